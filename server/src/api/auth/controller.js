@@ -101,7 +101,8 @@ const login = async (req, res, next) => {
         { 
           userId: authResult.user.id, 
           username: authResult.user.username,
-          email: authResult.user.email
+          email: authResult.user.email,
+          roles: authResult.user.roles || []
         },
         process.env.JWT_SECRET || 'your-secret-key',
         { expiresIn: process.env.JWT_ACCESS_EXPIRY || '15m' }
@@ -147,6 +148,11 @@ const login = async (req, res, next) => {
       if (error.message.includes('Invalid username') || error.message.includes('Invalid password')) {
         return next(ApiError.unauthorized('Invalid credentials'));
       }
+      if (error.message === 'Account suspended') {
+        return next(ApiError.forbidden(error.suspendedUntil
+          ? `Account suspended until ${new Date(error.suspendedUntil).toISOString()}`
+          : 'Account suspended'));
+      }
       throw error;
     }
   } catch (error) {
@@ -186,13 +192,20 @@ const refreshToken = async (req, res, next) => {
     }
 
     // Find user
-    const user = await User.findById(userId);
+    const user = await User.getById(userId);
     if (!user) {
       return next(ApiError.unauthorized('User not found'));
     }
 
+    // Roles may have changed since the last token was issued
+    const account = await User.getAccountStatus(userId);
+    if (account.suspended) {
+      await redisClient.del(`refresh_token:${userId}`);
+      return next(ApiError.forbidden('Account suspended'));
+    }
+
     // Generate new tokens
-    const tokens = await generateTokens(user);
+    const tokens = await generateTokens({ ...user, roles: account.roles });
 
     // Return new tokens
     res.status(200).json({
@@ -253,7 +266,8 @@ const generateTokens = async (user) => {
     { 
       userId: user.id, 
       username: user.username,
-      email: user.email
+      email: user.email,
+      roles: user.roles || []
     },
     process.env.JWT_SECRET,
     { expiresIn: process.env.JWT_ACCESS_EXPIRY || '15m' }
@@ -1,14 +1,75 @@
 const express = require('express');
+const QRCode = require('qrcode');
 const router = express.Router();
 const auth = require('../../middleware/auth');
 const { ApiError } = require('../../middleware/errorHandler');
 const logger = require('../../utils/logger');
 const Contact = require('../../models/Contact');
+const ContactRequest = require('../../models/ContactRequest');
+const ContactInvite = require('../../models/ContactInvite');
 const User = require('../../models/User');
+const { emitToUser } = require('../../websocket/socket');
 
 // Apply authentication middleware to all contact routes
 router.use(auth);
 
+/**
+ * Format a user the way contacts and contact requests show them
+ * @param {Object} user - User from User.getById
+ * @returns {Object} { id, username, name, avatar }
+ */
+const toRequestUser = (user) => ({
+  id: user.id,
+  username: user.username,
+  name: user.fullName,
+  avatar: user.profilePicture
+});
+
+/**
+ * Tell the recipient of a contact request about it
+ *
+ * If the request was accepted straight away (the recipient had already
+ * asked to add the user, or shared an invite), they're told the users are
+ * now contacts.
+ * @param {Object} result - { request, contact } from ContactRequest
+ * @param {string} userId - ID of the user who sent the request
+ * @param {string} recipientId - ID of the recipient
+ * @returns {Promise<void>}
+ */
+const notifyContactRequest = async (result, userId, recipientId) => {
+  const requester = await User.getById(userId);
+  
+  if (result.contact) {
+    await emitToUser(recipientId, 'contact_request', {
+      action: 'accepted',
+      request: result.request,
+      contact: toRequestUser(requester)
+    });
+  } else {
+    await emitToUser(recipientId, 'contact_request', {
+      action: 'received',
+      request: { ...result.request, user: toRequestUser(requester) }
+    });
+    
+    ContactRequest.sendContactRequestNotification(result.request, requester);
+  }
+};
+
+/**
+ * Send a contact request and tell the recipient about it
+ * @param {string} userId - ID of the user sending the request
+ * @param {string} contactId - ID of the user to add
+ * @param {string} message - Optional note for the recipient
+ * @returns {Promise<Object>} { request, contact }
+ */
+const sendContactRequest = async (userId, contactId, message = null) => {
+  const result = await ContactRequest.create(userId, contactId, message);
+  
+  await notifyContactRequest(result, userId, contactId);
+  
+  return result;
+};
+
 /**
  * Get user contacts
  * GET /api/contacts
@@ -34,8 +95,11 @@ router.get('/', async (req, res, next) => {
 });
 
 /**
- * Add a contact by contactId, username, or email
+ * Ask to add a contact by contactId, username, or email
  * POST /api/contacts
+ *
+ * Sends a contact request; the users become contacts once it's accepted.
+ * Same as POST /api/contacts/requests.
  */
 router.post('/', async (req, res, next) => {
   try {
@@ -76,13 +140,13 @@ router.post('/', async (req, res, next) => {
       logger.debug(`Adding contact by ID: ${contactId}`);
       
       try {
-        // Add contact by ID
-        const contact = await Contact.addContact(userId, contactId);
+        // Ask to add the contact by ID
+        const result = await sendContactRequest(userId, contactId, req.body.message);
         
-        logger.debug(`Contact added successfully: ${JSON.stringify(contact, null, 2)}`);
-        return res.status(201).json(contact);
+        logger.debug(`Contact request sent: ${JSON.stringify(result, null, 2)}`);
+        return res.status(201).json(result);
       } catch (error) {
-        logger.error(`Error adding contact by ID: ${error.message}`);
+        logger.error(`Error requesting contact by ID: ${error.message}`);
         
         if (error.message === 'Contact already exists') {
           return next(ApiError.conflict('Contact already exists'));
@@ -90,6 +154,12 @@ router.post('/', async (req, res, next) => {
           return next(ApiError.notFound('User not found'));
         } else if (error.message === 'Cannot add yourself as a contact') {
           return next(ApiError.badRequest('Cannot add yourself as a contact'));
+        } else if (error.message === 'User is blocked') {
+          return next(ApiError.forbidden('You cannot add this user as a contact'));
+        } else if (error.message === 'Contact request already sent') {
+          return next(ApiError.conflict('Contact request already sent'));
+        } else if (error.message.startsWith('Invalid message')) {
+          return next(ApiError.badRequest(error.message));
         }
         
         throw error;
@@ -115,11 +185,11 @@ router.post('/', async (req, res, next) => {
         
         logger.debug(`Found user: ${JSON.stringify(user, null, 2)}`);
         
-        // Add contact
-        const contact = await Contact.addContact(userId, user.id);
+        // Ask to add the contact
+        const result = await sendContactRequest(userId, user.id, req.body.message);
         
-        logger.debug(`Contact added successfully: ${JSON.stringify(contact, null, 2)}`);
-        return res.status(201).json(contact);
+        logger.debug(`Contact request sent: ${JSON.stringify(result, null, 2)}`);
+        return res.status(201).json(result);
       } catch (error) {
         logger.error(`Error adding contact by ${username ? 'username' : 'email'}: ${error.message}`);
         
@@ -127,6 +197,12 @@ router.post('/', async (req, res, next) => {
           return next(ApiError.conflict('Contact already exists'));
         } else if (error.message === 'Cannot add yourself as a contact') {
           return next(ApiError.badRequest('Cannot add yourself as a contact'));
+        } else if (error.message === 'User is blocked') {
+          return next(ApiError.forbidden('You cannot add this user as a contact'));
+        } else if (error.message === 'Contact request already sent') {
+          return next(ApiError.conflict('Contact request already sent'));
+        } else if (error.message.startsWith('Invalid message')) {
+          return next(ApiError.badRequest(error.message));
         }
         
         throw error;
@@ -139,7 +215,7 @@ router.post('/', async (req, res, next) => {
 });
 
 /**
- * Add a contact by ID
+ * Ask to add a contact by ID
  * POST /api/contacts/byid
  */
 router.post('/byid', async (req, res, next) => {
@@ -170,11 +246,11 @@ router.post('/byid', async (req, res, next) => {
     logger.debug(`Adding contact by ID: ${contactId}`);
     
     try {
-      // Add contact by ID
-      const contact = await Contact.addContact(userId, contactId);
+      // Ask to add the contact by ID
+      const result = await sendContactRequest(userId, contactId, req.body.message);
       
-      logger.debug(`Contact added successfully: ${JSON.stringify(contact, null, 2)}`);
-      return res.status(201).json(contact);
+      logger.debug(`Contact request sent: ${JSON.stringify(result, null, 2)}`);
+      return res.status(201).json(result);
     } catch (error) {
       logger.error(`Error adding contact by ID: ${error.message}`);
       
@@ -184,6 +260,12 @@ router.post('/byid', async (req, res, next) => {
         return next(ApiError.notFound('User not found'));
       } else if (error.message === 'Cannot add yourself as a contact') {
         return next(ApiError.badRequest('Cannot add yourself as a contact'));
+      } else if (error.message === 'User is blocked') {
+        return next(ApiError.forbidden('You cannot add this user as a contact'));
+      } else if (error.message === 'Contact request already sent') {
+        return next(ApiError.conflict('Contact request already sent'));
+      } else if (error.message.startsWith('Invalid message')) {
+        return next(ApiError.badRequest(error.message));
       }
       
       throw error;
@@ -207,18 +289,15 @@ router.get('/search', async (req, res, next) => {
       return next(ApiError.badRequest('Search query is required'));
     }
     
-    // Search users in database
-    const users = await User.search(query, 10);
-    
-    // Filter out the current user
-    const filteredUsers = users.filter(user => user.id !== userId);
+    // Search users in database, leaving out the current user and blocked users
+    const users = await User.search(query, userId);
     
     // Format the results
-    const results = filteredUsers.map(user => ({
+    const results = users.map(user => ({
       id: user.id,
       username: user.username,
-      name: user.full_name,
-      avatar: user.avatar_url
+      name: user.fullName,
+      avatar: user.profilePicture
     }));
     
     res.status(200).json(results);
@@ -229,149 +308,440 @@ router.get('/search', async (req, res, next) => {
 });
 
 /**
- * Get contact by ID
- * GET /api/contacts/:contactId
+ * Map contact request errors to API errors
+ * @param {Error} error - Error from ContactRequest
+ * @returns {ApiError|null} API error, or null if the error is unexpected
  */
-router.get('/:contactId', async (req, res, next) => {
+const contactRequestError = (error) => {
+  if (error.message === 'Cannot add yourself as a contact' || error.message.startsWith('Invalid')) {
+    return ApiError.badRequest(error.message);
+  } else if (error.message === 'User not found') {
+    return ApiError.notFound(error.message);
+  } else if (error.message === 'User is blocked') {
+    return ApiError.forbidden('You cannot add this user as a contact');
+  } else if (error.message === 'Contact already exists' || error.message === 'Contact request already sent' ||
+    error.message === 'Contact request is no longer pending') {
+    return ApiError.conflict(error.message);
+  }
+  
+  return null;
+};
+
+/**
+ * Send a contact request
+ * POST /api/contacts/requests
+ *
+ * Body: { contactId | username | email, message }
+ */
+router.post('/requests', async (req, res, next) => {
   try {
     const userId = req.user.id;
-    const contactId = req.params.contactId;
+    const { contactId, username, email, message } = req.body;
     
-    // Get contact from database
-    const contact = await Contact.getContactById(userId, contactId);
+    if (!contactId && !username && !email) {
+      return next(ApiError.badRequest('Contact ID, username, or email is required'));
+    }
     
-    if (!contact) {
-      return next(ApiError.notFound('Contact not found'));
+    let recipientId = contactId;
+    
+    if (!recipientId) {
+      const user = username ? await User.getByUsername(username) : await User.getByEmail(email);
+      
+      if (!user) {
+        return next(ApiError.notFound('User not found'));
+      }
+      
+      recipientId = user.id;
     }
     
-    res.status(200).json({
-      ...contact,
-      lastSeen: contact.last_seen
-    });
+    const result = await sendContactRequest(userId, recipientId, message);
+    
+    res.status(201).json(result);
   } catch (error) {
-    logger.error('Error fetching contact:', error);
-    next(ApiError.internal('Failed to fetch contact'));
+    const apiError = contactRequestError(error);
+    
+    if (apiError) {
+      return next(apiError);
+    }
+    
+    logger.error('Error sending contact request:', error);
+    next(ApiError.internal('Failed to send contact request'));
   }
 });
 
 /**
- * Remove a contact
- * DELETE /api/contacts/:contactId
+ * Get pending contact requests sent to the user
+ * GET /api/contacts/requests/incoming
  */
-router.delete('/:contactId', async (req, res, next) => {
+router.get('/requests/incoming', async (req, res, next) => {
+  try {
+    const requests = await ContactRequest.getIncoming(req.user.id);
+    
+    res.status(200).json(requests);
+  } catch (error) {
+    logger.error('Error fetching incoming contact requests:', error);
+    next(ApiError.internal('Failed to fetch contact requests'));
+  }
+});
+
+/**
+ * Get pending contact requests the user has sent
+ * GET /api/contacts/requests/outgoing
+ */
+router.get('/requests/outgoing', async (req, res, next) => {
+  try {
+    const requests = await ContactRequest.getOutgoing(req.user.id);
+    
+    res.status(200).json(requests);
+  } catch (error) {
+    logger.error('Error fetching outgoing contact requests:', error);
+    next(ApiError.internal('Failed to fetch contact requests'));
+  }
+});
+
+/**
+ * Accept a contact request
+ * POST /api/contacts/requests/:requestId/accept
+ */
+router.post('/requests/:requestId/accept', async (req, res, next) => {
   try {
     const userId = req.user.id;
-    const contactId = req.params.contactId;
+    const result = await ContactRequest.accept(req.params.requestId, userId);
     
-    // Check if contact exists
-    const contact = await Contact.getContactById(userId, contactId);
+    if (!result) {
+      return next(ApiError.notFound('Contact request not found'));
+    }
     
-    if (!contact) {
-      return next(ApiError.notFound('Contact not found'));
+    const recipient = await User.getById(userId);
+    
+    await emitToUser(result.request.requesterId, 'contact_request', {
+      action: 'accepted',
+      request: result.request,
+      contact: toRequestUser(recipient)
+    });
+    
+    res.status(200).json(result);
+  } catch (error) {
+    const apiError = contactRequestError(error);
+    
+    if (apiError) {
+      return next(apiError);
     }
     
-    // Remove contact
-    const success = await Contact.removeContact(userId, contactId);
+    logger.error('Error accepting contact request:', error);
+    next(ApiError.internal('Failed to accept contact request'));
+  }
+});
+
+/**
+ * Decline a contact request
+ * POST /api/contacts/requests/:requestId/decline
+ *
+ * The requester isn't told; the request just leaves their outbox.
+ */
+router.post('/requests/:requestId/decline', async (req, res, next) => {
+  try {
+    const request = await ContactRequest.decline(req.params.requestId, req.user.id);
     
-    if (!success) {
-      return next(ApiError.internal('Failed to remove contact'));
+    if (!request) {
+      return next(ApiError.notFound('Contact request not found'));
     }
     
-    res.status(200).json({ message: 'Contact removed successfully' });
+    res.status(200).json(request);
   } catch (error) {
-    logger.error('Error removing contact:', error);
-    next(ApiError.internal('Failed to remove contact'));
+    const apiError = contactRequestError(error);
+    
+    if (apiError) {
+      return next(apiError);
+    }
+    
+    logger.error('Error declining contact request:', error);
+    next(ApiError.internal('Failed to decline contact request'));
   }
 });
 
 /**
- * Generate a shareable link for adding as contact
- * POST /api/contacts/share
+ * Cancel a contact request the user sent
+ * DELETE /api/contacts/requests/:requestId
  */
-router.post('/share', async (req, res, next) => {
+router.delete('/requests/:requestId', async (req, res, next) => {
+  try {
+    const request = await ContactRequest.cancel(req.params.requestId, req.user.id);
+    
+    if (!request) {
+      return next(ApiError.notFound('Contact request not found'));
+    }
+    
+    await emitToUser(request.recipientId, 'contact_request', {
+      action: 'cancelled',
+      requestId: request.id
+    });
+    
+    res.status(200).json(request);
+  } catch (error) {
+    const apiError = contactRequestError(error);
+    
+    if (apiError) {
+      return next(apiError);
+    }
+    
+    logger.error('Error cancelling contact request:', error);
+    next(ApiError.internal('Failed to cancel contact request'));
+  }
+});
+
+// Image formats invite QR codes can be rendered in
+const QR_FORMATS = {
+  png: 'image/png',
+  svg: 'image/svg+xml'
+};
+
+/**
+ * Build the link an invite token is shared as
+ * @param {Object} req - Express request object
+ * @param {string} token - Invite token
+ * @returns {string} Link
+ */
+const inviteLink = (req, token) => {
+  const baseUrl = process.env.CLIENT_URL || `${req.protocol}://${req.get('host')}`;
+  
+  return `${baseUrl}/add-contact?token=${encodeURIComponent(token)}`;
+};
+
+/**
+ * Get the invite token from a scanned QR code
+ * @param {string} qrData - QR code contents: an invite link or a bare token
+ * @returns {string} Token
+ */
+const tokenFromQrData = (qrData) => {
+  try {
+    return new URL(qrData).searchParams.get('token') || qrData;
+  } catch (error) {
+    return qrData;
+  }
+};
+
+/**
+ * Redeem an invite token and tell its owner
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ * @param {string} token - Invite token
+ */
+const redeemInvite = async (req, res, next, token) => {
   try {
     const userId = req.user.id;
+    const result = await ContactInvite.redeem(token, userId);
+    
+    if (!result) {
+      return next(ApiError.notFound('Invite not found'));
+    }
+    
+    const { ownerId, ...contactResult } = result;
+    
+    await notifyContactRequest(contactResult, userId, ownerId);
+    
+    res.status(201).json(contactResult);
+  } catch (error) {
+    if (error.message === 'Invite has expired') {
+      return next(ApiError.forbidden(error.message, 'INVITE_EXPIRED'));
+    } else if (error.message === 'Invite has been revoked') {
+      return next(ApiError.forbidden(error.message, 'INVITE_REVOKED'));
+    } else if (error.message === 'Invite has been used up') {
+      return next(ApiError.forbidden(error.message, 'INVITE_USED_UP'));
+    }
+    
+    const apiError = contactRequestError(error);
     
-    // Generate a random token for the shareable link
-    const token = Math.random().toString(36).substring(2, 15) + Math.random().toString(36).substring(2, 15);
+    if (apiError) {
+      return next(apiError);
+    }
     
-    // In a real implementation, this would store the token in a database with an expiration
+    logger.error('Error redeeming contact invite:', error);
+    next(ApiError.internal('Failed to redeem invite'));
+  }
+};
+
+/**
+ * Create a shareable link for adding the user as a contact
+ * POST /api/contacts/share
+ *
+ * Body: { expiresInHours, maxUses, requireApproval }. With requireApproval,
+ * people using the link send a contact request instead of being added.
+ */
+router.post('/share', async (req, res, next) => {
+  try {
+    const { expiresInHours, maxUses, requireApproval } = req.body;
     
-    // Generate the shareable link
-    const shareableLink = `${req.protocol}://${req.get('host')}/add-contact?token=${token}`;
+    const invite = await ContactInvite.create(req.user.id, { expiresInHours, maxUses, requireApproval });
     
-    res.status(200).json({ shareableLink });
+    res.status(201).json({ ...invite, shareableLink: inviteLink(req, invite.token) });
   } catch (error) {
+    if (error.message.startsWith('Invalid')) {
+      return next(ApiError.badRequest(error.message));
+    }
+    
     logger.error('Error generating shareable link:', error);
     next(ApiError.internal('Failed to generate shareable link'));
   }
 });
 
+/**
+ * Get the user's invites that can still be used
+ * GET /api/contacts/invites
+ */
+router.get('/invites', async (req, res, next) => {
+  try {
+    const invites = await ContactInvite.getActive(req.user.id);
+    
+    res.status(200).json(invites.map(invite => ({ ...invite, shareableLink: inviteLink(req, invite.token) })));
+  } catch (error) {
+    logger.error('Error fetching contact invites:', error);
+    next(ApiError.internal('Failed to fetch invites'));
+  }
+});
+
+/**
+ * Get a QR code for one of the user's invites
+ * GET /api/contacts/invites/:inviteId/qr?format=png|svg&size=256
+ */
+router.get('/invites/:inviteId/qr', async (req, res, next) => {
+  try {
+    const format = req.query.format || 'png';
+    const size = parseInt(req.query.size, 10) || 256;
+    
+    if (!QR_FORMATS[format]) {
+      return next(ApiError.badRequest(`Invalid format. Must be one of: ${Object.keys(QR_FORMATS).join(', ')}`));
+    }
+    
+    if (size < 64 || size > 1024) {
+      return next(ApiError.badRequest('Invalid size. Must be between 64 and 1024'));
+    }
+    
+    const invite = await ContactInvite.getById(req.params.inviteId, req.user.id);
+    
+    if (!invite) {
+      return next(ApiError.notFound('Invite not found'));
+    }
+    
+    const link = inviteLink(req, invite.token);
+    const image = format === 'svg'
+      ? await QRCode.toString(link, { type: 'svg', width: size })
+      : await QRCode.toBuffer(link, { type: 'png', width: size });
+    
+    res.set('Content-Type', QR_FORMATS[format]);
+    res.set('Cache-Control', 'private, no-store');
+    res.status(200).send(image);
+  } catch (error) {
+    logger.error('Error generating invite QR code:', error);
+    next(ApiError.internal('Failed to generate QR code'));
+  }
+});
+
+/**
+ * Revoke one of the user's invites
+ * DELETE /api/contacts/invites/:inviteId
+ */
+router.delete('/invites/:inviteId', async (req, res, next) => {
+  try {
+    const revoked = await ContactInvite.revoke(req.params.inviteId, req.user.id);
+    
+    if (!revoked) {
+      return next(ApiError.notFound('Invite not found'));
+    }
+    
+    res.status(200).json({ message: 'Invite revoked successfully' });
+  } catch (error) {
+    logger.error('Error revoking contact invite:', error);
+    next(ApiError.internal('Failed to revoke invite'));
+  }
+});
+
 /**
  * Add contact via QR code
  * POST /api/contacts/qr
+ *
+ * Body: { qrData }, the scanned invite link or token
  */
 router.post('/qr', async (req, res, next) => {
+  const { qrData } = req.body;
+  
+  if (!qrData || typeof qrData !== 'string') {
+    return next(ApiError.badRequest('QR data is required'));
+  }
+  
+  await redeemInvite(req, res, next, tokenFromQrData(qrData));
+});
+
+/**
+ * Add contact via shareable link
+ * POST /api/contacts/link
+ *
+ * Body: { linkToken }, the token from the link
+ */
+router.post('/link', async (req, res, next) => {
+  const { linkToken } = req.body;
+  
+  if (!linkToken || typeof linkToken !== 'string') {
+    return next(ApiError.badRequest('Link token is required'));
+  }
+  
+  await redeemInvite(req, res, next, linkToken);
+});
+
+/**
+ * Get contact by ID
+ * GET /api/contacts/:contactId
+ */
+router.get('/:contactId', async (req, res, next) => {
   try {
     const userId = req.user.id;
-    const { qrData } = req.body;
+    const contactId = req.params.contactId;
+    
+    // Get contact from database
+    const contact = await Contact.getContactById(userId, contactId);
     
-    if (!qrData) {
-      return next(ApiError.badRequest('QR data is required'));
+    if (!contact) {
+      return next(ApiError.notFound('Contact not found'));
     }
     
-    // In a real implementation, this would:
-    // 1. Validate the QR data
-    // 2. Extract the user information
-    // 3. Add the contact to the user's contacts list
-    
-    const newContact = {
-      id: `qr_${Date.now()}`,
-      username: 'qruser',
-      name: 'QR User',
-      avatar: '',
-      status: 'offline',
-      lastSeen: new Date()
-    };
-    
-    res.status(201).json(newContact);
+    res.status(200).json({
+      ...contact,
+      lastSeen: contact.last_seen
+    });
   } catch (error) {
-    logger.error('Error adding contact by QR:', error);
-    next(ApiError.internal('Failed to add contact by QR code'));
+    logger.error('Error fetching contact:', error);
+    next(ApiError.internal('Failed to fetch contact'));
   }
 });
 
 /**
- * Add contact via shareable link
- * POST /api/contacts/link
+ * Remove a contact
+ * DELETE /api/contacts/:contactId
  */
-router.post('/link', async (req, res, next) => {
+router.delete('/:contactId', async (req, res, next) => {
   try {
     const userId = req.user.id;
-    const { linkToken } = req.body;
+    const contactId = req.params.contactId;
     
-    if (!linkToken) {
-      return next(ApiError.badRequest('Link token is required'));
+    // Check if contact exists
+    const contact = await Contact.getContactById(userId, contactId);
+    
+    if (!contact) {
+      return next(ApiError.notFound('Contact not found'));
     }
     
-    // In a real implementation, this would:
-    // 1. Validate the token
-    // 2. Find the associated user
-    // 3. Add the contact to the user's contacts list
-    
-    const newContact = {
-      id: `link_${Date.now()}`,
-      username: 'linkuser',
-      name: 'Link User',
-      avatar: '',
-      status: 'offline',
-      lastSeen: new Date()
-    };
-    
-    res.status(201).json(newContact);
+    // Remove contact
+    const success = await Contact.removeContact(userId, contactId);
+    
+    if (!success) {
+      return next(ApiError.internal('Failed to remove contact'));
+    }
+    
+    res.status(200).json({ message: 'Contact removed successfully' });
   } catch (error) {
-    logger.error('Error adding contact by link:', error);
-    next(ApiError.internal('Failed to add contact by link'));
+    logger.error('Error removing contact:', error);
+    next(ApiError.internal('Failed to remove contact'));
   }
 });
 
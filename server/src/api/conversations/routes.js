@@ -1,12 +1,149 @@
 const express = require('express');
 const auth = require('../../middleware/auth');
 const Message = require('../../models/Message');
+const Conversation = require('../../models/Conversation');
+const GroupInvite = require('../../models/GroupInvite');
+const ConversationExport = require('../../models/ConversationExport');
+const User = require('../../models/User');
 const logger = require('../../utils/logger');
 const { ApiError } = require('../../middleware/errorHandler');
+const { emitToUser, emitToConversation } = require('../../websocket/socket');
 const { v4: uuidv4 } = require('uuid');
+const fs = require('fs');
 
 const router = express.Router();
 
+// Human-readable disappearing message timers for system messages
+const TIMER_LABELS = {
+  '30s': '30 seconds',
+  '5m': '5 minutes',
+  '1h': '1 hour',
+  '1d': '1 day',
+  '7d': '7 days'
+};
+
+/**
+ * Check whether a user may pin and unpin messages in a conversation
+ * @param {string} conversationId - Conversation ID
+ * @param {string} userId - User ID
+ * @returns {Promise<ApiError|null>} Error to pass on, or null if allowed
+ */
+const checkPinPermission = async (conversationId, userId) => {
+  const conversation = await Conversation.getById(conversationId);
+  
+  if (!conversation) {
+    return ApiError.notFound('Conversation not found');
+  }
+  
+  const isParticipant = await Conversation.isParticipant(conversationId, userId);
+  
+  if (!isParticipant) {
+    return ApiError.forbidden('You are not a participant in this conversation');
+  }
+  
+  // Groups choose who can change the pins
+  if (conversation.is_group && !Conversation.can(conversation, userId, 'pinMessages')) {
+    return ApiError.forbidden('You do not have permission to pin messages in this group');
+  }
+  
+  return null;
+};
+
+/**
+ * Load a group along with the user's role in it
+ * @param {string} conversationId - Conversation ID
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} { conversation, role }, or { error } to pass on
+ */
+const getGroupMembership = async (conversationId, userId) => {
+  const conversation = await Conversation.getById(conversationId);
+  
+  if (!conversation) {
+    return { error: ApiError.notFound('Conversation not found') };
+  }
+  
+  if (!conversation.is_group) {
+    return { error: ApiError.badRequest('Roles and permissions are only available for groups') };
+  }
+  
+  const participant = conversation.participants.find(p => p.id === userId);
+  
+  if (!participant) {
+    return { error: ApiError.forbidden('You are not a participant in this conversation') };
+  }
+  
+  return { conversation, role: participant.role };
+};
+
+/**
+ * Check whether a user may manage a group's invite links and join requests
+ *
+ * Anyone who can add members can invite them, so this follows the group's
+ * addMembers setting.
+ * @param {string} conversationId - Conversation ID
+ * @param {string} userId - User ID
+ * @returns {Promise<ApiError|null>} Error to pass on, or null if allowed
+ */
+const checkInvitePermission = async (conversationId, userId) => {
+  const conversation = await Conversation.getById(conversationId);
+  
+  if (!conversation) {
+    return ApiError.notFound('Conversation not found');
+  }
+  
+  if (!conversation.is_group) {
+    return ApiError.badRequest('Invite links are only available for groups');
+  }
+  
+  if (!conversation.participants.some(p => p.id === userId)) {
+    return ApiError.forbidden('You are not a participant in this conversation');
+  }
+  
+  if (!Conversation.can(conversation, userId, 'addMembers')) {
+    return ApiError.forbidden('You do not have permission to manage invite links and join requests');
+  }
+  
+  return null;
+};
+
+/**
+ * Build the link a group invite is shared as
+ * @param {Object} req - Express request object
+ * @param {Object} invite - Group invite
+ * @returns {Object} Invite with its link
+ */
+const withInviteLink = (req, invite) => ({
+  ...invite,
+  link: `${process.env.CLIENT_URL || `${req.protocol}://${req.get('host')}`}/join/${invite.code}`
+});
+
+/**
+ * Tell a group that someone joined
+ *
+ * Posts a system message and sends participant_joined to the members who
+ * were already there.
+ * @param {Object} conversation - Group, including the new member
+ * @param {Object} user - New member ({ id, username })
+ * @param {string} content - System message text
+ * @returns {Promise<void>}
+ */
+const announceJoin = async (conversation, user, content) => {
+  const systemMessage = await Message.createSystemMessage(conversation.id, user.id, content);
+  
+  for (const participant of conversation.participants) {
+    if (participant.id !== user.id) {
+      await emitToUser(participant.id, 'participant_joined', {
+        conversationId: conversation.id,
+        userId: user.id,
+        username: user.username
+      });
+    }
+  }
+  
+  await emitToConversation(conversation.id, 'new_message', systemMessage);
+  await emitToUser(user.id, 'added_to_group', conversation);
+};
+
 // Apply authentication middleware to all routes
 router.use(auth);
 
@@ -24,6 +161,66 @@ router.get('/', async (req, res, next) => {
   }
 });
 
+/**
+ * @route GET /api/conversations/invites/:code
+ * @desc Preview the group an invite link is for
+ */
+router.get('/invites/:code', async (req, res, next) => {
+  try {
+    const preview = await GroupInvite.getPreview(req.params.code);
+    
+    if (!preview) {
+      return next(ApiError.notFound('Invite not found'));
+    }
+    
+    res.json(preview);
+  } catch (error) {
+    logger.error('Error getting group invite preview:', error);
+    next(ApiError.internal('Failed to get invite'));
+  }
+});
+
+/**
+ * @route POST /api/conversations/invites/:code/join
+ * @desc Join a group through an invite link, or ask to if an admin must approve
+ */
+router.post('/invites/:code/join', async (req, res, next) => {
+  try {
+    const result = await GroupInvite.join(req.params.code, req.user.id);
+    
+    if (!result) {
+      return next(ApiError.notFound('Invite not found'));
+    }
+    
+    if (result.status === 'pending') {
+      // Everyone who could approve the request, which depends on the group's settings
+      const approverIds = await Conversation.getIdsWithPermission(result.conversationId, 'addMembers');
+      
+      for (const approverId of approverIds) {
+        await emitToUser(approverId, 'group_join_request', {
+          ...result.joinRequest,
+          user: { id: req.user.id, username: req.user.username }
+        });
+      }
+      
+      return res.status(202).json(result);
+    }
+    
+    await announceJoin(result.conversation, req.user, `${req.user.username} joined using an invite link`);
+    
+    res.json(result);
+  } catch (error) {
+    if (error.message.startsWith('Invite has')) {
+      return next(ApiError.forbidden(error.message));
+    } else if (error.message === 'Already a participant in this group' || error.message === 'Join request already pending') {
+      return next(ApiError.conflict(error.message));
+    }
+    
+    logger.error('Error joining group by invite:', error);
+    next(ApiError.internal('Failed to join group'));
+  }
+});
+
 /**
  * @route GET /api/conversations/:id
  * @desc Get a specific conversation by ID
@@ -45,6 +242,12 @@ router.get('/:id', async (req, res, next) => {
       return next(ApiError.notFound('Conversation not found'));
     }
     
+    conversation.pins = await Conversation.getPins(id);
+    
+    if (conversation.is_group) {
+      conversation.permissions = Conversation.getPermissions(conversation);
+    }
+    
     res.json(conversation);
   } catch (error) {
     logger.error('Error getting conversation:', error);
@@ -90,7 +293,7 @@ router.post('/', async (req, res, next) => {
     }
     
     logger.debug(`Creating conversation with final participants: ${JSON.stringify(participantIds)}`);
-    const conversation = await Message.createConversation(participantIds, name, isGroup);
+    const conversation = await Message.createConversation(participantIds, name, isGroup, isGroup ? req.user.id : null);
     
     logger.debug(`Conversation created: ${JSON.stringify(conversation)}`);
     
@@ -153,40 +356,767 @@ router.post('/direct', async (req, res, next) => {
 
 /**
  * @route PUT /api/conversations/:id
- * @desc Update a conversation (e.g., change name, add/remove participants)
+ * @desc Update a group: change its name or avatar (editInfo), add members
+ * (addMembers) or remove members ranked below you
  */
 router.put('/:id', async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { name, addParticipants, removeParticipants } = req.body;
+    const { name, avatarUrl, addParticipants = [], removeParticipants = [] } = req.body;
     
-    // Check if user is a participant
-    const isParticipant = await Message.isConversationParticipant(id, req.user.id);
+    if (!Array.isArray(addParticipants) || !Array.isArray(removeParticipants)) {
+      return next(ApiError.badRequest('addParticipants and removeParticipants must be arrays'));
+    }
     
-    if (!isParticipant) {
-      return next(ApiError.forbidden('You are not a participant in this conversation'));
+    const membership = await getGroupMembership(id, req.user.id);
+    
+    if (membership.error) {
+      return next(membership.error);
     }
     
-    // Get the conversation
-    const conversation = await Message.getConversationById(id);
+    const { conversation, role } = membership;
+    const editsInfo = name !== undefined || avatarUrl !== undefined;
     
-    if (!conversation) {
-      return next(ApiError.notFound('Conversation not found'));
+    if (editsInfo && !Conversation.can(conversation, req.user.id, 'editInfo')) {
+      return next(ApiError.forbidden('You do not have permission to change the group name or avatar'));
     }
     
-    // Only allow updates to group conversations
-    if (!conversation.is_group) {
-      return next(ApiError.badRequest('Cannot update direct message conversations'));
+    const newMemberIds = [...new Set(addParticipants)]
+      .filter(userId => !conversation.participants.some(p => p.id === userId));
+    
+    if (newMemberIds.length > 0 && !Conversation.can(conversation, req.user.id, 'addMembers')) {
+      return next(ApiError.forbidden('You do not have permission to add participants'));
     }
     
-    // TODO: Implement conversation update logic
-    // This would involve updating the conversation name and/or participants
+    const removed = [];
+    
+    for (const userId of new Set(removeParticipants)) {
+      const target = conversation.participants.find(p => p.id === userId);
+      
+      if (!target) {
+        return next(ApiError.notFound('User is not a participant in this conversation'));
+      }
+      
+      // Leaving goes through DELETE /:id/leave, which hands ownership on
+      if (userId === req.user.id) {
+        return next(ApiError.badRequest('Use the leave endpoint to leave a group'));
+      }
+      
+      if (!Conversation.canManageMember(role, target.role)) {
+        return next(ApiError.forbidden('You do not have permission to remove this participant'));
+      }
+      
+      removed.push(userId);
+    }
     
-    res.status(501).json({ message: 'Conversation update not implemented yet' });
+    if (editsInfo) {
+      await Conversation.updateGroup(id, { name, avatarUrl });
+    }
+    
+    if (newMemberIds.length > 0) {
+      await Conversation.addParticipants(id, newMemberIds);
+    }
+    
+    for (const userId of removed) {
+      await Conversation.removeParticipant(id, userId);
+    }
+    
+    const updatedConversation = await Conversation.getById(id, { includePins: true });
+    
+    await emitToConversation(id, 'conversation_updated', updatedConversation);
+    
+    for (const userId of newMemberIds) {
+      await emitToUser(userId, 'added_to_group', updatedConversation);
+    }
+    
+    for (const userId of removed) {
+      await emitToUser(userId, 'removed_from_group', {
+        conversationId: id,
+        conversationName: conversation.name
+      });
+    }
+    
+    res.json(updatedConversation);
   } catch (error) {
     logger.error('Error updating conversation:', error);
     next(ApiError.internal('Failed to update conversation'));
   }
 });
 
+/**
+ * @route PUT /api/conversations/:id/disappearing
+ * @desc Set the disappearing message timer (off, 30s, 5m, 1h, 1d, 7d)
+ */
+router.put('/:id/disappearing', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { timer } = req.body;
+    
+    if (!timer || !Object.prototype.hasOwnProperty.call(Conversation.DISAPPEARING_TIMERS, timer)) {
+      return next(ApiError.badRequest(`Timer must be one of: ${Object.keys(Conversation.DISAPPEARING_TIMERS).join(', ')}`));
+    }
+    
+    const conversation = await Conversation.getById(id);
+    
+    if (!conversation) {
+      return next(ApiError.notFound('Conversation not found'));
+    }
+    
+    const isParticipant = await Conversation.isParticipant(id, req.user.id);
+    
+    if (!isParticipant) {
+      return next(ApiError.forbidden('You are not a participant in this conversation'));
+    }
+    
+    // In groups only admins can change the timer
+    if (conversation.is_group && !(await Conversation.isAdmin(id, req.user.id))) {
+      return next(ApiError.forbidden('Only admins can change the disappearing message timer'));
+    }
+    
+    const settings = { conversationId: id, disappearingTimer: timer };
+    
+    if (Conversation.getDisappearingTimer(conversation.message_ttl) === timer) {
+      return res.json(settings);
+    }
+    
+    await Conversation.updateSettings(id, { disappearingTimer: timer });
+    
+    // Record the change in the conversation
+    const systemMessage = await Message.createSystemMessage(
+      id,
+      req.user.id,
+      timer === 'off'
+        ? `${req.user.username} turned off disappearing messages`
+        : `${req.user.username} set disappearing messages to ${TIMER_LABELS[timer]}`
+    );
+    
+    await emitToConversation(id, 'conversation_updated', settings);
+    await emitToConversation(id, 'new_message', systemMessage);
+    
+    res.json(settings);
+  } catch (error) {
+    logger.error('Error updating disappearing message timer:', error);
+    next(ApiError.internal('Failed to update disappearing message timer'));
+  }
+});
+
+/**
+ * @route GET /api/conversations/:id/pins
+ * @desc Get the pinned messages in a conversation
+ */
+router.get('/:id/pins', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    const isParticipant = await Conversation.isParticipant(id, req.user.id);
+    
+    if (!isParticipant) {
+      return next(ApiError.forbidden('You are not a participant in this conversation'));
+    }
+    
+    const pins = await Conversation.getPins(id);
+    
+    res.json(pins);
+  } catch (error) {
+    logger.error('Error getting pinned messages:', error);
+    next(ApiError.internal('Failed to get pinned messages'));
+  }
+});
+
+/**
+ * @route POST /api/conversations/:id/pins
+ * @desc Pin a message in a conversation
+ */
+router.post('/:id/pins', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { messageId } = req.body;
+    
+    if (!messageId) {
+      return next(ApiError.badRequest('Message ID is required'));
+    }
+    
+    const permissionError = await checkPinPermission(id, req.user.id);
+    
+    if (permissionError) {
+      return next(permissionError);
+    }
+    
+    const pin = await Conversation.pinMessage(id, messageId, req.user.id);
+    
+    await emitToConversation(id, 'message_pinned', { conversationId: id, pin });
+    
+    res.status(201).json(pin);
+  } catch (error) {
+    if (error.message === 'Message not found') {
+      return next(ApiError.notFound('Message not found'));
+    }
+    
+    if (error.message === 'Message is already pinned') {
+      return next(ApiError.conflict(error.message));
+    }
+    
+    if (error.message.includes('at most')) {
+      return next(ApiError.badRequest(error.message));
+    }
+    
+    logger.error('Error pinning message:', error);
+    next(ApiError.internal('Failed to pin message'));
+  }
+});
+
+/**
+ * @route DELETE /api/conversations/:id/pins/:messageId
+ * @desc Unpin a message in a conversation
+ */
+router.delete('/:id/pins/:messageId', async (req, res, next) => {
+  try {
+    const { id, messageId } = req.params;
+    
+    const permissionError = await checkPinPermission(id, req.user.id);
+    
+    if (permissionError) {
+      return next(permissionError);
+    }
+    
+    const unpinned = await Conversation.unpinMessage(id, messageId);
+    
+    if (!unpinned) {
+      return next(ApiError.notFound('Message is not pinned'));
+    }
+    
+    await emitToConversation(id, 'message_unpinned', {
+      conversationId: id,
+      messageId,
+      unpinnedBy: req.user.id
+    });
+    
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Error unpinning message:', error);
+    next(ApiError.internal('Failed to unpin message'));
+  }
+});
+
+/**
+ * @route GET /api/conversations/:id/notifications
+ * @desc Get the current user's notification settings for a conversation
+ */
+router.get('/:id/notifications', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    const isParticipant = await Conversation.isParticipant(id, req.user.id);
+    
+    if (!isParticipant) {
+      return next(ApiError.forbidden('You are not a participant in this conversation'));
+    }
+    
+    const settings = await Conversation.getNotificationSettings(id, req.user.id);
+    
+    res.json(settings);
+  } catch (error) {
+    logger.error('Error getting conversation notification settings:', error);
+    next(ApiError.internal('Failed to get notification settings'));
+  }
+});
+
+/**
+ * @route PUT /api/conversations/:id/notifications
+ * @desc Mute a conversation or change its notification level for the current user
+ *
+ * Body: `level` (all, mentions, none) and/or `mute` (8h, 1w, forever, or false to unmute)
+ */
+router.put('/:id/notifications', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { level, mute } = req.body;
+    
+    const isParticipant = await Conversation.isParticipant(id, req.user.id);
+    
+    if (!isParticipant) {
+      return next(ApiError.forbidden('You are not a participant in this conversation'));
+    }
+    
+    const settings = await Conversation.updateNotificationSettings(id, req.user.id, { level, mute });
+    
+    res.json(settings);
+  } catch (error) {
+    if (error.message.startsWith('Invalid') || error.message.includes('required')) {
+      return next(ApiError.badRequest(error.message));
+    }
+    
+    logger.error('Error updating conversation notification settings:', error);
+    next(ApiError.internal('Failed to update notification settings'));
+  }
+});
+
+/**
+ * @route DELETE /api/conversations/:id/notifications
+ * @desc Reset the current user's notification settings for a conversation
+ */
+router.delete('/:id/notifications', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    const isParticipant = await Conversation.isParticipant(id, req.user.id);
+    
+    if (!isParticipant) {
+      return next(ApiError.forbidden('You are not a participant in this conversation'));
+    }
+    
+    const settings = await Conversation.resetNotificationSettings(id, req.user.id);
+    
+    res.json(settings);
+  } catch (error) {
+    logger.error('Error resetting conversation notification settings:', error);
+    next(ApiError.internal('Failed to reset notification settings'));
+  }
+});
+
+/**
+ * @route POST /api/conversations/:id/export
+ * @desc Start exporting a conversation's history to a ZIP file
+ *
+ * Body: { includeMedia } (optional, default false). The export runs in the
+ * background; the user gets a conversation_export_ready event when it's done.
+ */
+router.post('/:id/export', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.id;
+    const { includeMedia = false } = req.body;
+    
+    if (typeof includeMedia !== 'boolean') {
+      return next(ApiError.badRequest('includeMedia must be true or false'));
+    }
+    
+    const isParticipant = await Conversation.isParticipant(id, userId);
+    
+    if (!isParticipant) {
+      return next(ApiError.forbidden('You are not a participant in this conversation'));
+    }
+    
+    if (await ConversationExport.getActive(id, userId)) {
+      return next(ApiError.conflict('An export of this conversation is already in progress'));
+    }
+    
+    const conversationExport = await ConversationExport.create({ conversationId: id, userId, includeMedia });
+    
+    res.status(202).json(conversationExport);
+  } catch (error) {
+    logger.error('Error starting conversation export:', error);
+    next(ApiError.internal('Failed to start conversation export'));
+  }
+});
+
+/**
+ * @route GET /api/conversations/:id/exports/:exportId
+ * @desc Get the status of one of the current user's exports
+ */
+router.get('/:id/exports/:exportId', async (req, res, next) => {
+  try {
+    const conversationExport = await ConversationExport.getById(req.params.exportId);
+    
+    if (!conversationExport || conversationExport.conversationId !== req.params.id || conversationExport.userId !== req.user.id) {
+      return next(ApiError.notFound('Export not found'));
+    }
+    
+    const { filePath, ...details } = conversationExport;
+    
+    res.json(details);
+  } catch (error) {
+    logger.error('Error getting conversation export:', error);
+    next(ApiError.internal('Failed to get conversation export'));
+  }
+});
+
+/**
+ * @route GET /api/conversations/:id/exports/:exportId/download
+ * @desc Download a finished export
+ */
+router.get('/:id/exports/:exportId/download', async (req, res, next) => {
+  try {
+    const conversationExport = await ConversationExport.getById(req.params.exportId);
+    
+    if (!conversationExport || conversationExport.conversationId !== req.params.id || conversationExport.userId !== req.user.id) {
+      return next(ApiError.notFound('Export not found'));
+    }
+    
+    if (conversationExport.status !== 'completed') {
+      return next(ApiError.conflict(`Export is ${conversationExport.status}`));
+    }
+    
+    if (!conversationExport.filePath || !fs.existsSync(conversationExport.filePath)) {
+      return next(ApiError.notFound('Export has expired'));
+    }
+    
+    const date = new Date(conversationExport.completedAt).toISOString().slice(0, 10);
+    
+    res.download(conversationExport.filePath, `swickr-conversation-${date}.zip`, (error) => {
+      if (error && !res.headersSent) {
+        logger.error('Error sending conversation export:', error);
+        next(ApiError.internal('Failed to download conversation export'));
+      }
+    });
+  } catch (error) {
+    logger.error('Error downloading conversation export:', error);
+    next(ApiError.internal('Failed to download conversation export'));
+  }
+});
+
+/**
+ * @route POST /api/conversations/:id/invites
+ * @desc Create an invite link for a group (members who can add members)
+ */
+router.post('/:id/invites', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { expiresInHours, maxUses, requireApproval } = req.body;
+    
+    const permissionError = await checkInvitePermission(id, req.user.id);
+    
+    if (permissionError) {
+      return next(permissionError);
+    }
+    
+    const invite = await GroupInvite.create(id, req.user.id, { expiresInHours, maxUses, requireApproval });
+    
+    res.status(201).json(withInviteLink(req, invite));
+  } catch (error) {
+    if (error.message.startsWith('Invalid')) {
+      return next(ApiError.badRequest(error.message));
+    }
+    
+    logger.error('Error creating group invite:', error);
+    next(ApiError.internal('Failed to create invite'));
+  }
+});
+
+/**
+ * @route GET /api/conversations/:id/invites
+ * @desc Get a group's invite links that can still be used (members who can add members)
+ */
+router.get('/:id/invites', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    const permissionError = await checkInvitePermission(id, req.user.id);
+    
+    if (permissionError) {
+      return next(permissionError);
+    }
+    
+    const invites = await GroupInvite.getActive(id);
+    
+    res.json(invites.map(invite => withInviteLink(req, invite)));
+  } catch (error) {
+    logger.error('Error getting group invites:', error);
+    next(ApiError.internal('Failed to get invites'));
+  }
+});
+
+/**
+ * @route DELETE /api/conversations/:id/invites/:inviteId
+ * @desc Revoke a group invite link (members who can add members)
+ */
+router.delete('/:id/invites/:inviteId', async (req, res, next) => {
+  try {
+    const { id, inviteId } = req.params;
+    
+    const permissionError = await checkInvitePermission(id, req.user.id);
+    
+    if (permissionError) {
+      return next(permissionError);
+    }
+    
+    const revoked = await GroupInvite.revoke(inviteId, id);
+    
+    if (!revoked) {
+      return next(ApiError.notFound('Invite not found'));
+    }
+    
+    res.json({ success: true, message: 'Invite revoked' });
+  } catch (error) {
+    logger.error('Error revoking group invite:', error);
+    next(ApiError.internal('Failed to revoke invite'));
+  }
+});
+
+/**
+ * @route GET /api/conversations/:id/join-requests
+ * @desc Get a group's pending join requests (members who can add members)
+ */
+router.get('/:id/join-requests', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    const permissionError = await checkInvitePermission(id, req.user.id);
+    
+    if (permissionError) {
+      return next(permissionError);
+    }
+    
+    const joinRequests = await GroupInvite.getJoinRequests(id);
+    
+    res.json(joinRequests);
+  } catch (error) {
+    logger.error('Error getting group join requests:', error);
+    next(ApiError.internal('Failed to get join requests'));
+  }
+});
+
+/**
+ * @route POST /api/conversations/:id/join-requests/:requestId/approve
+ * @desc Approve a join request and add the user to the group (members who can add members)
+ */
+router.post('/:id/join-requests/:requestId/approve', async (req, res, next) => {
+  try {
+    const { id, requestId } = req.params;
+    
+    const permissionError = await checkInvitePermission(id, req.user.id);
+    
+    if (permissionError) {
+      return next(permissionError);
+    }
+    
+    const result = await GroupInvite.approveJoinRequest(requestId, id, req.user.id);
+    
+    if (!result) {
+      return next(ApiError.notFound('Join request not found'));
+    }
+    
+    const user = await User.getById(result.joinRequest.userId);
+    
+    await announceJoin(result.conversation, user, `${user.username} joined, approved by ${req.user.username}`);
+    
+    res.json(result);
+  } catch (error) {
+    if (error.message === 'Join request has already been reviewed') {
+      return next(ApiError.conflict(error.message));
+    }
+    
+    logger.error('Error approving group join request:', error);
+    next(ApiError.internal('Failed to approve join request'));
+  }
+});
+
+/**
+ * @route POST /api/conversations/:id/join-requests/:requestId/reject
+ * @desc Reject a join request (members who can add members)
+ */
+router.post('/:id/join-requests/:requestId/reject', async (req, res, next) => {
+  try {
+    const { id, requestId } = req.params;
+    
+    const permissionError = await checkInvitePermission(id, req.user.id);
+    
+    if (permissionError) {
+      return next(permissionError);
+    }
+    
+    const joinRequest = await GroupInvite.rejectJoinRequest(requestId, id, req.user.id);
+    
+    if (!joinRequest) {
+      return next(ApiError.notFound('Join request not found'));
+    }
+    
+    res.json(joinRequest);
+  } catch (error) {
+    if (error.message === 'Join request has already been reviewed') {
+      return next(ApiError.conflict(error.message));
+    }
+    
+    logger.error('Error rejecting group join request:', error);
+    next(ApiError.internal('Failed to reject join request'));
+  }
+});
+
+/**
+ * @route GET /api/conversations/:id/permissions
+ * @desc Get a group's permission settings and the user's role in it
+ */
+router.get('/:id/permissions', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { error, conversation, role } = await getGroupMembership(id, req.user.id);
+    
+    if (error) {
+      return next(error);
+    }
+    
+    res.json({ conversationId: id, role, permissions: Conversation.getPermissions(conversation) });
+  } catch (error) {
+    logger.error('Error getting group permissions:', error);
+    next(ApiError.internal('Failed to get group permissions'));
+  }
+});
+
+/**
+ * @route PUT /api/conversations/:id/permissions
+ * @desc Change the lowest role allowed to send messages, add members, edit the group's info or pin messages
+ */
+router.put('/:id/permissions', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { error, role } = await getGroupMembership(id, req.user.id);
+    
+    if (error) {
+      return next(error);
+    }
+    
+    if (role !== 'owner' && role !== 'admin') {
+      return next(ApiError.forbidden('Only admins can change group permissions'));
+    }
+    
+    const permissions = await Conversation.updatePermissions(id, req.body);
+    
+    await emitToConversation(id, 'group_permissions_updated', { conversationId: id, permissions });
+    
+    res.json({ conversationId: id, permissions });
+  } catch (error) {
+    if (error.message.startsWith('Invalid')) {
+      return next(ApiError.badRequest(error.message));
+    }
+    
+    logger.error('Error updating group permissions:', error);
+    next(ApiError.internal('Failed to update group permissions'));
+  }
+});
+
+/**
+ * @route PUT /api/conversations/:id/participants/:userId/role
+ * @desc Change a member's role (read_only, member, moderator or admin)
+ */
+router.put('/:id/participants/:userId/role', async (req, res, next) => {
+  try {
+    const { id, userId } = req.params;
+    const { role } = req.body;
+    
+    if (!Conversation.GROUP_ROLES.includes(role) || role === 'owner') {
+      return next(ApiError.badRequest(`Role must be one of: ${Conversation.GROUP_ROLES.filter(r => r !== 'owner').join(', ')}`));
+    }
+    
+    const membership = await getGroupMembership(id, req.user.id);
+    
+    if (membership.error) {
+      return next(membership.error);
+    }
+    
+    const target = membership.conversation.participants.find(p => p.id === userId);
+    
+    if (!target) {
+      return next(ApiError.notFound('User is not a participant in this conversation'));
+    }
+    
+    if (!Conversation.canAssignRole(membership.role, target.role, role)) {
+      return next(ApiError.forbidden('You cannot give this member that role'));
+    }
+    
+    await Conversation.setRole(id, userId, role);
+    
+    await emitToConversation(id, 'member_role_changed', {
+      conversationId: id,
+      userId,
+      role,
+      changedBy: req.user.id
+    });
+    
+    res.json({ conversationId: id, userId, role });
+  } catch (error) {
+    logger.error('Error changing group role:', error);
+    next(ApiError.internal('Failed to change role'));
+  }
+});
+
+/**
+ * @route POST /api/conversations/:id/owner
+ * @desc Hand the group over to another member
+ */
+router.post('/:id/owner', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { userId } = req.body;
+    
+    if (!userId) {
+      return next(ApiError.badRequest('User ID is required'));
+    }
+    
+    const membership = await getGroupMembership(id, req.user.id);
+    
+    if (membership.error) {
+      return next(membership.error);
+    }
+    
+    if (membership.role !== 'owner') {
+      return next(ApiError.forbidden('Only the owner can transfer ownership'));
+    }
+    
+    if (!membership.conversation.participants.some(p => p.id === userId)) {
+      return next(ApiError.notFound('User is not a participant in this conversation'));
+    }
+    
+    await Conversation.transferOwnership(id, req.user.id, userId);
+    
+    const newOwner = await User.getById(userId);
+    const systemMessage = await Message.createSystemMessage(
+      id,
+      req.user.id,
+      `${req.user.username} made ${newOwner.username} the group owner`
+    );
+    
+    await emitToConversation(id, 'ownership_transferred', {
+      conversationId: id,
+      previousOwnerId: req.user.id,
+      newOwnerId: userId
+    });
+    await emitToConversation(id, 'new_message', systemMessage);
+    
+    res.json({ conversationId: id, ownerId: userId });
+  } catch (error) {
+    if (error.message === 'You already own this group') {
+      return next(ApiError.badRequest(error.message));
+    }
+    
+    logger.error('Error transferring group ownership:', error);
+    next(ApiError.internal('Failed to transfer ownership'));
+  }
+});
+
+/**
+ * @route DELETE /api/conversations/:id/leave
+ * @desc Leave a group; if the owner leaves, the next highest-ranked member takes over
+ */
+router.delete('/:id/leave', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { error } = await getGroupMembership(id, req.user.id);
+    
+    if (error) {
+      return next(error);
+    }
+    
+    const newOwnerId = await Conversation.leaveGroup(id, req.user.id);
+    
+    const systemMessage = await Message.createSystemMessage(id, req.user.id, `${req.user.username} left the group`);
+    
+    await emitToConversation(id, 'participant_left', { conversationId: id, userId: req.user.id });
+    
+    if (newOwnerId) {
+      await emitToConversation(id, 'ownership_transferred', {
+        conversationId: id,
+        previousOwnerId: req.user.id,
+        newOwnerId
+      });
+    }
+    
+    await emitToConversation(id, 'new_message', systemMessage);
+    
+    res.json({ success: true, newOwnerId });
+  } catch (error) {
+    logger.error('Error leaving group:', error);
+    next(ApiError.internal('Failed to leave group'));
+  }
+});
+
 module.exports = router;
@@ -1,11 +1,22 @@
 const express = require('express');
+const { validate: isUuid } = require('uuid');
 const router = express.Router();
 const auth = require('../../middleware/auth');
 const { ApiError } = require('../../middleware/errorHandler');
 const logger = require('../../utils/logger');
 const { redisClient } = require('../../config/redis');
 const Message = require('../../models/Message');
+const ScheduledMessage = require('../../models/ScheduledMessage');
+const Conversation = require('../../models/Conversation');
+const Media = require('../../models/Media');
 const User = require('../../models/User');
+const ThreadFollow = require('../../models/ThreadFollow');
+const UserBlock = require('../../models/UserBlock');
+const Poll = require('../../models/Poll');
+const { emitToUser, emitToConversation, deliverMessage, emitPollUpdate, previewLinks } = require('../../websocket/socket');
+
+// Maximum number of conversations a message can be forwarded to at once
+const MAX_FORWARD_TARGETS = 20;
 
 // Apply authentication middleware to all message routes
 router.use(auth);
@@ -33,69 +44,319 @@ router.get('/conversations', async (req, res, next) => {
 /**
  * Search messages
  * GET /api/messages/search
+ *
+ * Query parameters: query, conversationId, senderId, from, to,
+ * hasMedia (true/false), limit, cursor
  */
 router.get('/search', async (req, res, next) => {
   try {
     const userId = req.user.id;
-    const query = req.query.query;
+    const { query, conversationId, senderId, from, to, hasMedia, limit, cursor } = req.query;
     
-    if (!query) {
+    if (!query || !query.trim()) {
       return next(ApiError.badRequest('Search query is required'));
     }
     
-    // For now, return empty results
-    // In a real implementation, this would search messages in a database
-    res.status(200).json([]);
+    if ((from && isNaN(Date.parse(from))) || (to && isNaN(Date.parse(to)))) {
+      return next(ApiError.badRequest('Invalid date range'));
+    }
+    
+    if (hasMedia !== undefined && hasMedia !== 'true' && hasMedia !== 'false') {
+      return next(ApiError.badRequest('hasMedia must be true or false'));
+    }
+    
+    if ((conversationId && !isUuid(conversationId)) || (senderId && !isUuid(senderId))) {
+      return next(ApiError.badRequest('conversationId and senderId must be valid IDs'));
+    }
+    
+    // Restricting to a conversation requires being part of it
+    if (conversationId) {
+      const isParticipant = await Message.isConversationParticipant(conversationId, userId);
+      
+      if (!isParticipant) {
+        return next(ApiError.forbidden('You are not a participant in this conversation'));
+      }
+    }
+    
+    const results = await Message.search(userId, {
+      query,
+      conversationId,
+      senderId,
+      from,
+      to,
+      hasMedia: hasMedia === undefined ? null : hasMedia === 'true',
+      limit,
+      cursor
+    });
+    
+    res.status(200).json(results);
   } catch (error) {
+    if (error.message === 'Invalid cursor') {
+      return next(ApiError.badRequest('Invalid cursor'));
+    }
+    
     logger.error('Error searching messages:', error);
     next(ApiError.internal('Failed to search messages'));
   }
 });
 
+/**
+ * Get messages that mention the user
+ * GET /api/messages/mentions
+ *
+ * Query parameters: limit, cursor
+ */
+router.get('/mentions', async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const { limit, cursor } = req.query;
+    
+    const mentions = await Message.getMentions(userId, { limit, cursor });
+    
+    res.status(200).json(mentions);
+  } catch (error) {
+    if (error.message === 'Invalid cursor') {
+      return next(ApiError.badRequest('Invalid cursor'));
+    }
+    
+    logger.error('Error fetching mentions:', error);
+    next(ApiError.internal('Failed to fetch mentions'));
+  }
+});
+
+/**
+ * Get the threads the user follows, most recently replied to first
+ * GET /api/messages/threads
+ *
+ * Query parameters: limit, cursor
+ */
+router.get('/threads', async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const { limit, cursor } = req.query;
+    
+    const threads = await ThreadFollow.getInbox(userId, { limit, cursor });
+    
+    res.status(200).json(threads);
+  } catch (error) {
+    if (error.message === 'Invalid cursor') {
+      return next(ApiError.badRequest('Invalid cursor'));
+    }
+    
+    logger.error('Error fetching threads:', error);
+    next(ApiError.internal('Failed to fetch threads'));
+  }
+});
+
+/**
+ * Get the user's pending scheduled messages
+ * GET /api/messages/scheduled
+ *
+ * Query parameters: conversationId (optional)
+ */
+router.get('/scheduled', async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const { conversationId } = req.query;
+    
+    const scheduledMessages = await ScheduledMessage.getByUser(userId, { conversationId });
+    
+    res.status(200).json(scheduledMessages);
+  } catch (error) {
+    logger.error('Error fetching scheduled messages:', error);
+    next(ApiError.internal('Failed to fetch scheduled messages'));
+  }
+});
+
+/**
+ * Reschedule a pending scheduled message
+ * PUT /api/messages/scheduled/:id
+ */
+router.put('/scheduled/:id', async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const { sendAt } = req.body;
+    
+    const scheduledMessage = await ScheduledMessage.reschedule(req.params.id, userId, sendAt);
+    
+    if (!scheduledMessage) {
+      return next(ApiError.notFound('Scheduled message not found'));
+    }
+    
+    res.status(200).json(scheduledMessage);
+  } catch (error) {
+    if (error.message.toLowerCase().includes('send time')) {
+      return next(ApiError.badRequest(error.message));
+    }
+    
+    logger.error('Error rescheduling message:', error);
+    next(ApiError.internal('Failed to reschedule message'));
+  }
+});
+
+/**
+ * Cancel a pending scheduled message
+ * DELETE /api/messages/scheduled/:id
+ */
+router.delete('/scheduled/:id', async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    
+    const scheduledMessage = await ScheduledMessage.cancel(req.params.id, userId);
+    
+    if (!scheduledMessage) {
+      return next(ApiError.notFound('Scheduled message not found'));
+    }
+    
+    res.status(200).json(scheduledMessage);
+  } catch (error) {
+    logger.error('Error cancelling scheduled message:', error);
+    next(ApiError.internal('Failed to cancel scheduled message'));
+  }
+});
+
+/**
+ * Get unread message counts
+ * GET /api/messages/unread
+ */
+router.get('/unread', async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    
+    // Get unread counts from database
+    const unreadCounts = await Message.getUnreadCounts(userId);
+    
+    res.status(200).json(unreadCounts);
+  } catch (error) {
+    logger.error('Error getting unread counts:', error);
+    next(ApiError.internal('Failed to get unread counts'));
+  }
+});
+
+/**
+ * Get unread message counts with each conversation's mute state
+ * GET /api/messages/unread/summary
+ */
+router.get('/unread/summary', async (req, res, next) => {
+  try {
+    const summary = await Message.getUnreadSummary(req.user.id);
+    
+    res.status(200).json(summary);
+  } catch (error) {
+    logger.error('Error getting unread summary:', error);
+    next(ApiError.internal('Failed to get unread summary'));
+  }
+});
+
 /**
  * Get messages for a conversation
  * GET /api/messages/:conversationId
+ *
+ * Query parameters: limit, before (cursor), after (cursor), around (message ID)
  */
 router.get('/:conversationId', async (req, res, next) => {
   try {
     const userId = req.user.id;
     const conversationId = req.params.conversationId;
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 20;
-    const offset = (page - 1) * limit;
+    const { limit, before, after, around } = req.query;
     
     // Validate conversation ID
     if (!conversationId) {
       return next(ApiError.badRequest('Conversation ID is required'));
     }
     
-    // Get messages from database
-    const messages = await Message.getByConversationId(conversationId, limit, offset);
+    if ([before, after, around].filter(Boolean).length > 1) {
+      return next(ApiError.badRequest('Only one of before, after or around can be used'));
+    }
     
-    // Mark messages as read
-    await Message.markAsRead(conversationId, userId);
+    const isParticipant = await Message.isConversationParticipant(conversationId, userId);
     
-    // Format messages for client
-    const formattedMessages = messages.map(message => ({
-      id: message.id,
-      senderId: message.sender_id,
-      conversationId: message.conversation_id,
-      content: message.content,
-      mediaId: message.media_id,
-      mediaType: message.media_type,
-      mediaUrl: message.media_url,
-      timestamp: message.created_at,
-      status: 'delivered',
-      read: message.is_read
-    }));
+    if (!isParticipant) {
+      return next(ApiError.forbidden('You are not a participant in this conversation'));
+    }
     
-    res.status(200).json(formattedMessages);
+    // Get messages from database
+    const page = await Message.getByConversation(conversationId, { limit, before, after, around, userId });
+    
+    // Mark messages as read when the latest page is loaded
+    if (!page.prevCursor) {
+      await Message.markConversationAsRead(conversationId, userId);
+      
+      // Clear the unread badge on the user's devices
+      await emitToUser(userId, 'read_state_sync', {
+        conversationId,
+        unreadCount: 0,
+        timestamp: new Date()
+      });
+    }
+    
+    res.status(200).json(page);
   } catch (error) {
+    if (error.message === 'Invalid cursor') {
+      return next(ApiError.badRequest('Invalid cursor'));
+    }
+    
+    if (error.message === 'Message not found') {
+      return next(ApiError.notFound('Message not found'));
+    }
+    
     logger.error('Error fetching messages:', error);
     next(ApiError.internal('Failed to fetch messages'));
   }
 });
 
+/**
+ * Post a poll
+ * POST /api/messages/polls
+ *
+ * Body: { conversationId, question, options: [...], multipleChoice, anonymous, closesAt }
+ */
+router.post('/polls', async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const { conversationId, question, options, multipleChoice, anonymous, closesAt } = req.body;
+    const poll = { question, options, multipleChoice, anonymous, closesAt };
+    
+    if (!conversationId) {
+      return next(ApiError.badRequest('Conversation ID is required'));
+    }
+    
+    try {
+      Poll.normalize(poll);
+    } catch (error) {
+      return next(ApiError.badRequest(error.message));
+    }
+    
+    const conversation = await Conversation.getById(conversationId);
+    
+    if (!conversation || !conversation.participants.some(p => p.id === userId)) {
+      return next(ApiError.forbidden('You are not a participant in this conversation'));
+    }
+    
+    if (await Conversation.isBlockedDirectConversation(conversation, userId)) {
+      return next(ApiError.forbidden('You cannot send messages to this user'));
+    }
+    
+    if (!Conversation.can(conversation, userId, 'sendMessages')) {
+      return next(ApiError.forbidden('You do not have permission to post in this conversation'));
+    }
+    
+    const message = await Message.create({
+      conversationId,
+      senderId: userId,
+      poll,
+      status: 'sent'
+    });
+    
+    await deliverMessage(message, conversation);
+    
+    res.status(201).json(message);
+  } catch (error) {
+    logger.error('Error posting poll:', error);
+    next(ApiError.internal('Failed to post poll'));
+  }
+});
+
 /**
  * Create or get a conversation between two users
  * POST /api/messages/conversation
@@ -126,20 +387,441 @@ router.post('/conversation', async (req, res, next) => {
 });
 
 /**
- * Get unread message counts
- * GET /api/messages/unread
+ * Edit a message
+ * PUT /api/messages/:messageId
+ *
+ * Unencrypted messages take new `content`. Encrypted messages must be
+ * re-encrypted by the client and take `encryptedContent`, `iv` and `recipientKeys`,
+ * and optionally a new `linkPreview`.
  */
-router.get('/unread', async (req, res, next) => {
+router.put('/:messageId', async (req, res, next) => {
   try {
     const userId = req.user.id;
+    const messageId = req.params.messageId;
+    const { content, encryptedContent, iv, recipientKeys, linkPreview } = req.body;
     
-    // Get unread counts from database
-    const unreadCounts = await Message.getUnreadCounts(userId);
+    const message = await Message.getById(messageId);
     
-    res.status(200).json(unreadCounts);
+    if (!message) {
+      return next(ApiError.notFound('Message not found'));
+    }
+    
+    if (message.senderId !== userId) {
+      return next(ApiError.forbidden('You can only edit your own messages'));
+    }
+    
+    const editedMessage = await Message.edit(messageId, userId, {
+      content,
+      encryptedContent,
+      iv,
+      recipientKeys,
+      linkPreview
+    });
+    
+    // Notify participants of the edit
+    await emitToConversation(editedMessage.conversationId, 'message_edited', editedMessage);
+    previewLinks(editedMessage);
+    
+    res.status(200).json(editedMessage);
   } catch (error) {
-    logger.error('Error getting unread counts:', error);
-    next(ApiError.internal('Failed to get unread counts'));
+    if (error.message.includes('required') || error.message === 'Polls cannot be edited') {
+      return next(ApiError.badRequest(error.message));
+    }
+    
+    if (Message.EDIT_FORBIDDEN_ERRORS.includes(error.message)) {
+      return next(ApiError.forbidden(error.message));
+    }
+    
+    // Expired since it was looked up, before the sweep removed it
+    if (error.message === 'Message not found') {
+      return next(ApiError.notFound(error.message));
+    }
+    
+    logger.error('Error editing message:', error);
+    next(ApiError.internal('Failed to edit message'));
+  }
+});
+
+/**
+ * Get the revision history of a message
+ * GET /api/messages/:messageId/revisions
+ */
+router.get('/:messageId/revisions', async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const messageId = req.params.messageId;
+    
+    const message = await Message.getById(messageId);
+    
+    if (!message) {
+      return next(ApiError.notFound('Message not found'));
+    }
+    
+    const isParticipant = await Message.isConversationParticipant(message.conversationId, userId);
+    
+    if (!isParticipant) {
+      return next(ApiError.forbidden('You are not a participant in this conversation'));
+    }
+    
+    const revisions = await Message.getRevisions(messageId);
+    
+    res.status(200).json(revisions);
+  } catch (error) {
+    logger.error('Error fetching message revisions:', error);
+    next(ApiError.internal('Failed to fetch message revisions'));
+  }
+});
+
+/**
+ * Get a message the user can see that others can reply to
+ * @param {string} messageId - Message ID
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} { message } or { error }
+ */
+const getThreadParent = async (messageId, userId) => {
+  const message = await Message.getById(messageId);
+  
+  if (!message) {
+    return { error: ApiError.notFound('Message not found') };
+  }
+  
+  const isParticipant = await Message.isConversationParticipant(message.conversationId, userId);
+  
+  if (!isParticipant) {
+    return { error: ApiError.forbidden('You are not a participant in this conversation') };
+  }
+  
+  return { message };
+};
+
+/**
+ * Get the replies to a message
+ * GET /api/messages/:messageId/replies
+ *
+ * Query parameters: limit, offset. Marks the thread read if the user follows it.
+ */
+router.get('/:messageId/replies', async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const messageId = req.params.messageId;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 100);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    
+    const { error } = await getThreadParent(messageId, userId);
+    
+    if (error) {
+      return next(error);
+    }
+    
+    const replies = await Message.getReplies(messageId, { limit, offset });
+    
+    if (await ThreadFollow.markRead(userId, messageId)) {
+      // Clear the thread's unread badge on the user's devices
+      await emitToUser(userId, 'thread_read', {
+        parentMessageId: messageId,
+        timestamp: new Date()
+      });
+    }
+    
+    res.status(200).json(replies);
+  } catch (error) {
+    logger.error('Error fetching message replies:', error);
+    next(ApiError.internal('Failed to fetch message replies'));
+  }
+});
+
+/**
+ * Follow the replies to a message
+ * POST /api/messages/:messageId/follow
+ */
+router.post('/:messageId/follow', async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const messageId = req.params.messageId;
+    
+    const { message, error } = await getThreadParent(messageId, userId);
+    
+    if (error) {
+      return next(error);
+    }
+    
+    if (message.parentMessageId) {
+      return next(ApiError.badRequest('Replies cannot be followed; follow the message they reply to'));
+    }
+    
+    await ThreadFollow.follow(userId, messageId);
+    
+    res.status(200).json({ parentMessageId: messageId, following: true });
+  } catch (error) {
+    logger.error('Error following thread:', error);
+    next(ApiError.internal('Failed to follow thread'));
+  }
+});
+
+/**
+ * Stop following the replies to a message
+ * DELETE /api/messages/:messageId/follow
+ */
+router.delete('/:messageId/follow', async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const messageId = req.params.messageId;
+    
+    const { message, error } = await getThreadParent(messageId, userId);
+    
+    if (error) {
+      return next(error);
+    }
+    
+    if (message.parentMessageId) {
+      return next(ApiError.badRequest('Replies cannot be followed; follow the message they reply to'));
+    }
+    
+    await ThreadFollow.unfollow(userId, messageId);
+    
+    res.status(200).json({ parentMessageId: messageId, following: false });
+  } catch (error) {
+    logger.error('Error unfollowing thread:', error);
+    next(ApiError.internal('Failed to unfollow thread'));
+  }
+});
+
+/**
+ * Get a poll a user can see
+ * @param {string} messageId - ID of the poll's message
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} { message, conversation } or { error }
+ */
+const getPollMessage = async (messageId, userId) => {
+  const message = await Message.getById(messageId);
+  
+  if (!message || message.type !== 'poll') {
+    return { error: ApiError.notFound('Poll not found') };
+  }
+  
+  const conversation = await Conversation.getById(message.conversationId);
+  
+  if (!conversation || !conversation.participants.some(p => p.id === userId)) {
+    return { error: ApiError.forbidden('You are not a participant in this conversation') };
+  }
+  
+  return { message, conversation };
+};
+
+/**
+ * Get a poll's current results
+ * GET /api/messages/:messageId/poll
+ */
+router.get('/:messageId/poll', async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const messageId = req.params.messageId;
+    
+    const { error } = await getPollMessage(messageId, userId);
+    
+    if (error) {
+      return next(error);
+    }
+    
+    const poll = await Poll.getByMessageId(messageId, userId);
+    
+    res.status(200).json(poll);
+  } catch (error) {
+    logger.error('Error fetching poll:', error);
+    next(ApiError.internal('Failed to fetch poll'));
+  }
+});
+
+/**
+ * Vote in a poll
+ * POST /api/messages/:messageId/poll/votes
+ *
+ * Body: { optionIds: [...] }. In a single-choice poll this replaces the
+ * user's earlier vote.
+ */
+router.post('/:messageId/poll/votes', async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const messageId = req.params.messageId;
+    const { optionIds } = req.body;
+    
+    if (!Array.isArray(optionIds) || optionIds.length === 0) {
+      return next(ApiError.badRequest('At least one option is required'));
+    }
+    
+    const { message, conversation, error } = await getPollMessage(messageId, userId);
+    
+    if (error) {
+      return next(error);
+    }
+    
+    // Like reactions, users on either side of a block can't vote in each other's polls
+    const blockedIds = await UserBlock.getBlockedOrBlockingIds(userId);
+    
+    if (blockedIds.has(message.senderId)) {
+      return next(ApiError.forbidden('You cannot vote in this poll'));
+    }
+    
+    const poll = await Poll.vote(messageId, userId, optionIds);
+    
+    await emitPollUpdate(message, conversation, userId, poll);
+    
+    res.status(200).json(poll);
+  } catch (error) {
+    if (Poll.VOTE_ERRORS.includes(error.message)) {
+      return next(ApiError.badRequest(error.message));
+    }
+    
+    logger.error('Error voting in poll:', error);
+    next(ApiError.internal('Failed to vote'));
+  }
+});
+
+/**
+ * Take back votes in a poll
+ * DELETE /api/messages/:messageId/poll/votes
+ *
+ * Query parameters: optionId (optional; all the user's votes are removed without it)
+ */
+router.delete('/:messageId/poll/votes', async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const messageId = req.params.messageId;
+    const { optionId = null } = req.query;
+    
+    const { message, conversation, error } = await getPollMessage(messageId, userId);
+    
+    if (error) {
+      return next(error);
+    }
+    
+    const poll = await Poll.unvote(messageId, userId, optionId);
+    
+    await emitPollUpdate(message, conversation, userId, poll);
+    
+    res.status(200).json(poll);
+  } catch (error) {
+    if (Poll.VOTE_ERRORS.includes(error.message)) {
+      return next(ApiError.badRequest(error.message));
+    }
+    
+    logger.error('Error removing poll vote:', error);
+    next(ApiError.internal('Failed to remove vote'));
+  }
+});
+
+/**
+ * Forward a message to other conversations
+ * POST /api/messages/:messageId/forward
+ *
+ * Body: { conversationIds: [...] }. Content and media are copied by reference
+ * and each copy is attributed to the original sender. Encrypted messages are
+ * refused; the client must re-encrypt them for the target conversation.
+ */
+router.post('/:messageId/forward', async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const messageId = req.params.messageId;
+    const { conversationIds } = req.body;
+    
+    if (!Array.isArray(conversationIds) || conversationIds.length === 0) {
+      return next(ApiError.badRequest('Target conversation IDs are required'));
+    }
+    
+    const targetIds = [...new Set(conversationIds)];
+    
+    if (targetIds.length > MAX_FORWARD_TARGETS) {
+      return next(ApiError.badRequest(`A message can be forwarded to at most ${MAX_FORWARD_TARGETS} conversations`));
+    }
+    
+    const message = await Message.getById(messageId);
+    
+    if (!message) {
+      return next(ApiError.notFound('Message not found'));
+    }
+    
+    const isParticipant = await Message.isConversationParticipant(message.conversationId, userId);
+    
+    if (!isParticipant) {
+      return next(ApiError.forbidden('You are not a participant in this conversation'));
+    }
+    
+    if (message.isEncrypted) {
+      return next(ApiError.badRequest('Encrypted messages cannot be forwarded; re-encrypt the content for the target conversation and send it as a new message'));
+    }
+    
+    if (message.type === 'system') {
+      return next(ApiError.badRequest('System messages cannot be forwarded'));
+    }
+    
+    if (message.type === 'poll') {
+      return next(ApiError.badRequest('Polls cannot be forwarded'));
+    }
+    
+    // Every target must be checked before anything is sent
+    const targets = [];
+    for (const conversationId of targetIds) {
+      const isTargetParticipant = await Message.isConversationParticipant(conversationId, userId);
+      
+      if (!isTargetParticipant) {
+        return next(ApiError.forbidden(`You are not a participant in conversation ${conversationId}`));
+      }
+      
+      const target = await Conversation.getById(conversationId);
+      
+      if (await Conversation.isBlockedDirectConversation(target, userId)) {
+        return next(ApiError.forbidden(`You cannot send messages to conversation ${conversationId}`));
+      }
+      
+      if (!Conversation.can(target, userId, 'sendMessages')) {
+        return next(ApiError.forbidden(`You do not have permission to post in conversation ${conversationId}`));
+      }
+      
+      targets.push(target);
+    }
+    
+    // Reference the existing upload instead of copying the file
+    let media = null;
+    if (message.media) {
+      const record = await Media.findById(message.media.id);
+      
+      if (!record) {
+        return next(ApiError.notFound('Media not found'));
+      }
+      
+      media = {
+        id: record.id,
+        type: record.mediaType,
+        filename: record.filename,
+        mimeType: record.mimeType,
+        size: record.size,
+        caption: message.media.caption
+      };
+    }
+    
+    // Forwarding a forwarded message keeps the original attribution
+    const forwardedFrom = message.forwardedFrom
+      ? { messageId: message.forwardedFrom.messageId, senderId: message.forwardedFrom.senderId }
+      : { messageId: message.id, senderId: message.senderId };
+    
+    const forwarded = [];
+    for (const conversation of targets) {
+      const copy = await Message.createWithMedia({
+        conversationId: conversation.id,
+        senderId: userId,
+        content: message.content,
+        media,
+        forwardedFrom
+      });
+      
+      await deliverMessage(copy, conversation);
+      forwarded.push(copy);
+    }
+    
+    res.status(201).json(forwarded);
+  } catch (error) {
+    logger.error('Error forwarding message:', error);
+    next(ApiError.internal('Failed to forward message'));
   }
 });
 
@@ -167,32 +849,87 @@ router.delete('/:messageId', async (req, res, next) => {
 /**
  * Send a message
  * POST /api/messages
+ *
+ * Pass `sendAt` to schedule the message for later instead of sending it now.
+ * Scheduled messages may be encrypted (`isEncrypted`, `encryptedContent`,
+ * `iv`, `recipientKeys`); the ciphertext is stored and sent as-is.
  */
 router.post('/', async (req, res, next) => {
   try {
     const userId = req.user.id;
-    const { conversationId, content, contentType, mediaId, mediaType, mediaUrl } = req.body;
+    const { conversationId, content, contentType, mediaId, mediaType, mediaUrl, parentMessageId, sendAt } = req.body;
     
     // Validate required fields
     if (!conversationId) {
       return next(ApiError.badRequest('Conversation ID is required'));
     }
     
+    if (sendAt !== undefined) {
+      const isParticipant = await Message.isConversationParticipant(conversationId, userId);
+      
+      if (!isParticipant) {
+        return next(ApiError.forbidden('You are not a participant in this conversation'));
+      }
+      
+      if (!(await Conversation.hasPermission(conversationId, userId, 'sendMessages'))) {
+        return next(ApiError.forbidden('You do not have permission to post in this conversation'));
+      }
+      
+      // A block is checked again when the message is due
+      const conversation = await Conversation.getById(conversationId);
+      if (conversation && await Conversation.isBlockedDirectConversation(conversation, userId)) {
+        return next(ApiError.forbidden('You cannot send messages to this user'));
+      }
+      
+      try {
+        const scheduledMessage = await ScheduledMessage.create({
+          ...req.body,
+          senderId: userId
+        });
+        
+        return res.status(201).json(scheduledMessage);
+      } catch (error) {
+        if (error.message.includes('required') || error.message.toLowerCase().includes('send time')) {
+          return next(ApiError.badRequest(error.message));
+        }
+        throw error;
+      }
+    }
+    
     if (!content && !mediaId) {
       return next(ApiError.badRequest('Message content or media is required'));
     }
     
+    // Nobody can message someone they blocked or were blocked by
+    const conversation = await Conversation.getById(conversationId);
+    if (conversation && await Conversation.isBlockedDirectConversation(conversation, userId)) {
+      return next(ApiError.forbidden('You cannot send messages to this user'));
+    }
+    
+    if (conversation && !Conversation.can(conversation, userId, 'sendMessages')) {
+      return next(ApiError.forbidden('You do not have permission to post in this conversation'));
+    }
+    
     logger.debug(`Creating message in conversation ${conversationId} from user ${userId}`);
     
     // Create message
-    const message = await Message.create({
-      conversationId,
-      senderId: userId,
-      content: content || '',
-      mediaId: mediaId || null,
-      mediaType: mediaType || null,
-      mediaUrl: mediaUrl || null
-    });
+    let message;
+    try {
+      message = await Message.create({
+        conversationId,
+        senderId: userId,
+        content: content || '',
+        mediaId: mediaId || null,
+        mediaType: mediaType || null,
+        mediaUrl: mediaUrl || null,
+        parentMessageId: parentMessageId || null
+      });
+    } catch (error) {
+      if (error.message.startsWith('Parent message')) {
+        return next(ApiError.badRequest(error.message));
+      }
+      throw error;
+    }
     
     // Format message for client
     const formattedMessage = {
@@ -203,6 +940,7 @@ router.post('/', async (req, res, next) => {
       mediaId: message.media_id,
       mediaType: message.media_type,
       mediaUrl: message.media_url,
+      parentMessageId: message.parentMessageId,
       timestamp: message.created_at,
       status: 'sent',
       read: message.is_read
@@ -210,6 +948,7 @@ router.post('/', async (req, res, next) => {
     
     // In a real implementation, we would emit a WebSocket event here
     // to notify other participants of the new message
+    previewLinks(message);
     
     res.status(201).json(formattedMessage);
   } catch (error) {
@@ -0,0 +1,256 @@
+/**
+ * Moderation API
+ * 
+ * Moderator endpoints for triaging abuse reports, deleting reported
+ * messages and suspending accounts. Every action is audit logged.
+ */
+
+const express = require('express');
+const router = express.Router();
+const auth = require('../../middleware/auth');
+const { isModerator, isAdmin } = require('../../middleware/roles');
+const { ApiError } = require('../../middleware/errorHandler');
+const logger = require('../../utils/logger');
+const Report = require('../../models/Report');
+const Conversation = require('../../models/Conversation');
+const ModerationLog = require('../../models/ModerationLog');
+const moderationService = require('../../services/ModerationService');
+
+// Report statuses moderators can list
+const REPORT_STATUSES = ['open', 'resolved', 'dismissed'];
+
+// Apply authentication and moderator checks to all moderation routes
+router.use(auth, isModerator);
+
+/**
+ * Get a report, unless it's about the moderator asking for it or a
+ * conversation they're in
+ * @param {string} id - Report ID
+ * @param {string} moderatorId - ID of the moderator
+ * @returns {Promise<Object|null>} Report
+ */
+const getVisibleReport = async (id, moderatorId) => {
+  const report = await Report.getById(id);
+  
+  // Nobody gets to see who reported them
+  if (!report || report.reportedUserId === moderatorId) {
+    return null;
+  }
+  
+  // Conversation reports have no reported user, but its members are the ones reported
+  if (report.targetType === 'conversation' && await Conversation.isParticipant(report.targetId, moderatorId)) {
+    return null;
+  }
+  
+  return report;
+};
+
+/**
+ * @route GET /api/moderation/reports
+ * @desc List reports, oldest first
+ * @access Moderator
+ */
+router.get('/reports', async (req, res, next) => {
+  try {
+    const status = req.query.status || 'open';
+    const targetType = req.query.targetType || null;
+    
+    if (!REPORT_STATUSES.includes(status)) {
+      return next(ApiError.badRequest(`Invalid status. Must be one of: ${REPORT_STATUSES.join(', ')}`));
+    }
+    
+    if (targetType && !Report.TARGET_TYPES.includes(targetType)) {
+      return next(ApiError.badRequest(`Invalid target type. Must be one of: ${Report.TARGET_TYPES.join(', ')}`));
+    }
+    
+    const reports = await Report.getAll({
+      status,
+      targetType,
+      excludeReportedUserId: req.user.id,
+      limit: Math.min(parseInt(req.query.limit, 10) || 50, 200),
+      offset: parseInt(req.query.offset, 10) || 0
+    });
+    
+    res.json(reports);
+  } catch (error) {
+    logger.error('Error getting reports:', error);
+    next(ApiError.internal('Failed to get reports'));
+  }
+});
+
+/**
+ * @route GET /api/moderation/reports/:id
+ * @desc Get a report with its snapshot
+ * @access Moderator
+ */
+router.get('/reports/:id', async (req, res, next) => {
+  try {
+    const report = await getVisibleReport(req.params.id, req.user.id);
+    
+    if (!report) {
+      return next(ApiError.notFound('Report not found'));
+    }
+    
+    res.json(report);
+  } catch (error) {
+    logger.error('Error getting report:', error);
+    next(ApiError.internal('Failed to get report'));
+  }
+});
+
+/**
+ * @route POST /api/moderation/reports/:id/resolve
+ * @desc Close a report as resolved or dismissed
+ * @access Moderator
+ */
+router.post('/reports/:id/resolve', async (req, res, next) => {
+  try {
+    const { status = 'resolved', resolution } = req.body;
+    
+    if (!await getVisibleReport(req.params.id, req.user.id)) {
+      return next(ApiError.notFound('Report not found'));
+    }
+    
+    const report = await moderationService.resolveReport(req.params.id, req.user.id, { status, resolution });
+    
+    if (!report) {
+      return next(ApiError.notFound('Report not found'));
+    }
+    
+    res.json(report);
+  } catch (error) {
+    if (error.message.startsWith('Invalid')) {
+      return next(ApiError.badRequest(error.message));
+    } else if (error.message === 'Report is already closed') {
+      return next(ApiError.conflict(error.message));
+    }
+    
+    logger.error('Error resolving report:', error);
+    next(ApiError.internal('Failed to resolve report'));
+  }
+});
+
+/**
+ * @route POST /api/moderation/reports/:id/delete-message
+ * @desc Delete the message a report is about
+ * @access Moderator
+ */
+router.post('/reports/:id/delete-message', async (req, res, next) => {
+  try {
+    if (!await getVisibleReport(req.params.id, req.user.id)) {
+      return next(ApiError.notFound('Report not found'));
+    }
+    
+    const deleted = await moderationService.deleteReportedMessage(req.params.id, req.user.id);
+    
+    res.json(deleted);
+  } catch (error) {
+    if (error.message === 'Only reported messages can be deleted') {
+      return next(ApiError.badRequest(error.message));
+    } else if (error.message === 'Message not found') {
+      return next(ApiError.notFound(error.message));
+    }
+    
+    logger.error('Error deleting reported message:', error);
+    next(ApiError.internal('Failed to delete message'));
+  }
+});
+
+/**
+ * @route POST /api/moderation/users/:id/suspend
+ * @desc Suspend an account (duration: 1d, 7d, 30d or permanent)
+ * @access Moderator
+ */
+router.post('/users/:id/suspend', async (req, res, next) => {
+  try {
+    const { duration, reason, reportId } = req.body;
+    
+    const account = await moderationService.suspendUser(req.params.id, req.user.id, { duration, reason, reportId });
+    
+    if (!account) {
+      return next(ApiError.notFound('User not found'));
+    }
+    
+    res.json({ userId: req.params.id, ...account });
+  } catch (error) {
+    if (error.message.startsWith('Invalid') || error.message.startsWith('Cannot')) {
+      return next(ApiError.badRequest(error.message));
+    }
+    
+    logger.error('Error suspending user:', error);
+    next(ApiError.internal('Failed to suspend user'));
+  }
+});
+
+/**
+ * @route DELETE /api/moderation/users/:id/suspend
+ * @desc Lift a suspension
+ * @access Moderator
+ */
+router.delete('/users/:id/suspend', async (req, res, next) => {
+  try {
+    const account = await moderationService.unsuspendUser(req.params.id, req.user.id);
+    
+    if (!account) {
+      return next(ApiError.notFound('User not found'));
+    }
+    
+    res.json({ userId: req.params.id, ...account });
+  } catch (error) {
+    logger.error('Error lifting suspension:', error);
+    next(ApiError.internal('Failed to lift suspension'));
+  }
+});
+
+/**
+ * @route PUT /api/moderation/users/:id/roles
+ * @desc Replace a user's roles
+ * @access Admin only
+ */
+router.put('/users/:id/roles', isAdmin, async (req, res, next) => {
+  try {
+    const { roles } = req.body;
+    
+    if (!Array.isArray(roles)) {
+      return next(ApiError.badRequest('Roles must be an array'));
+    }
+    
+    const account = await moderationService.updateRoles(req.params.id, req.user.id, roles);
+    
+    if (!account) {
+      return next(ApiError.notFound('User not found'));
+    }
+    
+    res.json({ userId: req.params.id, ...account });
+  } catch (error) {
+    if (error.message.startsWith('Invalid')) {
+      return next(ApiError.badRequest(error.message));
+    }
+    
+    logger.error('Error updating roles:', error);
+    next(ApiError.internal('Failed to update roles'));
+  }
+});
+
+/**
+ * @route GET /api/moderation/audit-log
+ * @desc List moderator actions, most recent first
+ * @access Moderator
+ */
+router.get('/audit-log', async (req, res, next) => {
+  try {
+    const entries = await ModerationLog.getAll({
+      targetId: req.query.targetId || null,
+      moderatorId: req.query.moderatorId || null,
+      limit: Math.min(parseInt(req.query.limit, 10) || 50, 200),
+      offset: parseInt(req.query.offset, 10) || 0
+    });
+    
+    res.json(entries);
+  } catch (error) {
+    logger.error('Error getting moderation audit log:', error);
+    next(ApiError.internal('Failed to get audit log'));
+  }
+});
+
+module.exports = router;
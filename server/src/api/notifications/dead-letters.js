@@ -0,0 +1,59 @@
+/**
+ * Push Dead Letter API
+ * 
+ * Admin endpoints for inspecting and replaying pushes that ran out of retries
+ */
+
+const express = require('express');
+const router = express.Router();
+const notificationService = require('../../services/NotificationService');
+const authenticate = require('../../middleware/auth');
+const { isAdmin } = require('../../middleware/roles');
+const { ApiError } = require('../../middleware/errorHandler');
+const logger = require('../../utils/logger');
+
+/**
+ * @route GET /api/notifications/dead-letters
+ * @desc List dead-lettered pushes, most recent first
+ * @access Admin only
+ */
+router.get('/', authenticate, isAdmin, async (req, res, next) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const offset = parseInt(req.query.offset, 10) || 0;
+    const includeReplayed = req.query.includeReplayed === 'true';
+    
+    const deadLetters = await notificationService.getDeadLetters({ limit, offset, includeReplayed });
+    
+    res.json(deadLetters);
+  } catch (error) {
+    logger.error('Error getting push dead letters:', error);
+    next(ApiError.internal('Failed to get dead letters'));
+  }
+});
+
+/**
+ * @route POST /api/notifications/dead-letters/:id/replay
+ * @desc Queue a dead-lettered push again
+ * @access Admin only
+ */
+router.post('/:id/replay', authenticate, isAdmin, async (req, res, next) => {
+  try {
+    const deadLetter = await notificationService.replayDeadLetter(req.params.id);
+    
+    if (!deadLetter) {
+      return next(ApiError.notFound('Dead letter not found'));
+    }
+    
+    res.json(deadLetter);
+  } catch (error) {
+    if (error.message.includes('already been replayed') || error.message.includes('no longer exists')) {
+      return next(ApiError.conflict(error.message));
+    }
+    
+    logger.error('Error replaying push dead letter:', error);
+    next(ApiError.internal('Failed to replay dead letter'));
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,56 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../../middleware/auth');
+const { ApiError } = require('../../middleware/errorHandler');
+const logger = require('../../utils/logger');
+const Report = require('../../models/Report');
+
+// Apply authentication middleware to all report routes
+router.use(auth);
+
+/**
+ * Report a message, user or conversation
+ * POST /api/reports
+ *
+ * Body: { targetType, targetId, reason, details }. A snapshot of the
+ * reported content is stored with the report for moderators.
+ */
+router.post('/', async (req, res, next) => {
+  try {
+    const { targetType, targetId, reason, details } = req.body;
+    
+    const report = await Report.create(req.user.id, { targetType, targetId, reason, details });
+    
+    res.status(201).json(report);
+  } catch (error) {
+    if (error.message.startsWith('Invalid') || error.message.includes('required') || error.message.startsWith('Cannot')) {
+      return next(ApiError.badRequest(error.message));
+    } else if (error.message === 'Reported content not found') {
+      return next(ApiError.notFound(error.message));
+    } else if (error.message.includes('only report content in your conversations')) {
+      return next(ApiError.forbidden(error.message));
+    } else if (error.message === 'You have already reported this') {
+      return next(ApiError.conflict(error.message));
+    }
+    
+    logger.error('Error creating report:', error);
+    next(ApiError.internal('Failed to create report'));
+  }
+});
+
+/**
+ * Get the reports the current user has filed
+ * GET /api/reports
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const reports = await Report.getByReporter(req.user.id);
+    
+    res.status(200).json(reports);
+  } catch (error) {
+    logger.error('Error fetching reports:', error);
+    next(ApiError.internal('Failed to fetch reports'));
+  }
+});
+
+module.exports = router;
@@ -7,6 +7,8 @@ const contactRoutes = require('./contacts/routes');
 const mediaRoutes = require('./media/routes');
 const conversationRoutes = require('./conversations/routes');
 const reactionRoutes = require('./reactions/routes');
+const reportRoutes = require('./reports/routes');
+const moderationRoutes = require('./moderation/routes');
 const statusRoutes = require('../routes/statusRoutes');
 const notificationRoutes = require('../routes/notificationRoutes');
 const debugRoutes = require('../routes/debugRoutes');
@@ -36,6 +38,8 @@ const setupRoutes = (app) => {
   apiRouter.use('/media', mediaRoutes);
   apiRouter.use('/conversations', conversationRoutes);
   apiRouter.use('/reactions', reactionRoutes);
+  apiRouter.use('/reports', reportRoutes);
+  apiRouter.use('/moderation', moderationRoutes);
   apiRouter.use('/status', statusRoutes);
   apiRouter.use('/notifications', notificationRoutes);
   
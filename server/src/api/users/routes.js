@@ -1,7 +1,12 @@
 const express = require('express');
+const fs = require('fs');
 const router = express.Router();
 const auth = require('../../middleware/auth');
 const User = require('../../models/User');
+const UserBlock = require('../../models/UserBlock');
+const DataExport = require('../../models/DataExport');
+const accountDataService = require('../../services/AccountDataService');
+const { emitToUser } = require('../../websocket/socket');
 const { ApiError } = require('../../middleware/errorHandler');
 const logger = require('../../utils/logger');
 
@@ -68,7 +73,8 @@ router.put('/profile', auth, async (req, res, next) => {
 
 /**
  * @route GET /api/users/status
- * @desc Get online status for a list of users
+ * @desc Get online status for a list of users. Only the user's accepted
+ * contacts are included, and nobody on either side of a block.
  * @access Private
  */
 router.get('/status', auth, async (req, res, next) => {
@@ -82,8 +88,14 @@ router.get('/status', auth, async (req, res, next) => {
     // Parse user IDs
     const ids = userIds.split(',');
     
+    const visibleIds = await User.getPresenceVisibleIds(req.user.id, ids);
+    
+    if (ids.includes(req.user.id)) {
+      visibleIds.push(req.user.id);
+    }
+    
     // Get online status for users
-    const statuses = await User.getOnlineStatus(ids);
+    const statuses = await User.getOnlineStatus(visibleIds);
     
     res.status(200).json(statuses);
   } catch (error) {
@@ -118,6 +130,188 @@ router.get('/search', auth, async (req, res, next) => {
   }
 });
 
+/**
+ * @route GET /api/users/blocked
+ * @desc Get the users the current user has blocked
+ * @access Private
+ */
+router.get('/blocked', auth, async (req, res, next) => {
+  try {
+    const blockedUsers = await UserBlock.getBlockedUsers(req.user.id);
+    
+    res.status(200).json(blockedUsers);
+  } catch (error) {
+    logger.error('Error fetching blocked users:', error);
+    next(ApiError.internal('Failed to fetch blocked users'));
+  }
+});
+
+/**
+ * @route POST /api/users/:id/block
+ * @desc Block a user
+ * @access Private
+ */
+router.post('/:id/block', auth, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    const block = await UserBlock.block(req.user.id, id);
+    
+    // Stop showing the blocker as online to the blocked user
+    await emitToUser(id, 'user_status', {
+      userId: req.user.id,
+      status: 'offline',
+      timestamp: new Date()
+    });
+    
+    res.status(201).json(block);
+  } catch (error) {
+    if (error.message === 'Cannot block yourself') {
+      return next(ApiError.badRequest(error.message));
+    } else if (error.message === 'User not found') {
+      return next(ApiError.notFound(error.message));
+    }
+    
+    logger.error('Error blocking user:', error);
+    next(ApiError.internal('Failed to block user'));
+  }
+});
+
+/**
+ * @route DELETE /api/users/:id/block
+ * @desc Unblock a user
+ * @access Private
+ */
+router.delete('/:id/block', auth, async (req, res, next) => {
+  try {
+    const unblocked = await UserBlock.unblock(req.user.id, req.params.id);
+    
+    if (!unblocked) {
+      return next(ApiError.notFound('User is not blocked'));
+    }
+    
+    res.status(200).json({ message: 'User unblocked successfully' });
+  } catch (error) {
+    logger.error('Error unblocking user:', error);
+    next(ApiError.internal('Failed to unblock user'));
+  }
+});
+
+/**
+ * @route POST /api/users/me/data-export
+ * @desc Start exporting everything the service holds about the current user
+ *
+ * The export runs in the background; the user gets a data_export_ready
+ * event when it's done.
+ * @access Private
+ */
+router.post('/me/data-export', auth, async (req, res, next) => {
+  try {
+    if (await DataExport.getActive(req.user.id)) {
+      return next(ApiError.conflict('A data export is already in progress'));
+    }
+    
+    const dataExport = await DataExport.create(req.user.id);
+    
+    res.status(202).json(dataExport);
+  } catch (error) {
+    logger.error('Error starting data export:', error);
+    next(ApiError.internal('Failed to start data export'));
+  }
+});
+
+/**
+ * @route GET /api/users/me/data-exports/:exportId
+ * @desc Get the status of one of the current user's data exports
+ * @access Private
+ */
+router.get('/me/data-exports/:exportId', auth, async (req, res, next) => {
+  try {
+    const dataExport = await DataExport.getById(req.params.exportId);
+    
+    if (!dataExport || dataExport.userId !== req.user.id) {
+      return next(ApiError.notFound('Export not found'));
+    }
+    
+    const { filePath, ...details } = dataExport;
+    
+    res.json(details);
+  } catch (error) {
+    logger.error('Error getting data export:', error);
+    next(ApiError.internal('Failed to get data export'));
+  }
+});
+
+/**
+ * @route GET /api/users/me/data-exports/:exportId/download
+ * @desc Download a finished data export
+ * @access Private
+ */
+router.get('/me/data-exports/:exportId/download', auth, async (req, res, next) => {
+  try {
+    const dataExport = await DataExport.getById(req.params.exportId);
+    
+    if (!dataExport || dataExport.userId !== req.user.id) {
+      return next(ApiError.notFound('Export not found'));
+    }
+    
+    if (dataExport.status !== 'completed') {
+      return next(ApiError.conflict(`Export is ${dataExport.status}`));
+    }
+    
+    if (!dataExport.filePath || !fs.existsSync(dataExport.filePath)) {
+      return next(ApiError.notFound('Export has expired'));
+    }
+    
+    const date = new Date(dataExport.completedAt).toISOString().slice(0, 10);
+    
+    res.download(dataExport.filePath, `swickr-data-${date}.zip`, (error) => {
+      if (error && !res.headersSent) {
+        logger.error('Error sending data export:', error);
+        next(ApiError.internal('Failed to download data export'));
+      }
+    });
+  } catch (error) {
+    logger.error('Error downloading data export:', error);
+    next(ApiError.internal('Failed to download data export'));
+  }
+});
+
+/**
+ * @route DELETE /api/users/me
+ * @desc Delete the current user's account and everything tied to it
+ *
+ * Body: { password, messages }, where messages is 'anonymize' (default)
+ * to keep sent messages under a "Deleted user" placeholder, or 'delete'.
+ * @access Private
+ */
+router.delete('/me', auth, async (req, res, next) => {
+  try {
+    const { password, messages = 'anonymize' } = req.body;
+    
+    if (typeof password !== 'string' || password.length === 0) {
+      return next(ApiError.badRequest('Password is required'));
+    }
+    
+    if (!User.MESSAGE_POLICIES.includes(messages)) {
+      return next(ApiError.badRequest(`messages must be one of: ${User.MESSAGE_POLICIES.join(', ')}`));
+    }
+    
+    const result = await accountDataService.deleteAccount(req.user.id, password, { messages });
+    
+    res.json({ success: true, ...result });
+  } catch (error) {
+    if (error.message === 'Password is incorrect') {
+      return next(ApiError.forbidden(error.message));
+    } else if (error.message === 'User not found') {
+      return next(ApiError.notFound(error.message));
+    }
+    
+    logger.error('Error deleting account:', error);
+    next(ApiError.internal('Failed to delete account'));
+  }
+});
+
 /**
  * @route GET /api/users/:id
  * @desc Get a user's public profile
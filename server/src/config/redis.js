@@ -5,6 +5,8 @@ const logger = require('../utils/logger');
 class MockRedisClient {
   constructor() {
     this.store = new Map();
+    // Always usable, like a connected node-redis client
+    this.isReady = true;
     logger.warn('Using mock Redis client - for development only');
   }
 
@@ -50,6 +52,47 @@ class MockRedisClient {
     return result;
   }
 
+  async hGetAll(key) {
+    if (!this.store.has(key)) {
+      return {};
+    }
+    return Object.fromEntries(this.store.get(key));
+  }
+
+  async sAdd(key, member) {
+    if (!this.store.has(key)) {
+      this.store.set(key, new Set());
+    }
+    const set = this.store.get(key);
+    const added = set.has(member) ? 0 : 1;
+    set.add(member);
+    return added;
+  }
+
+  async sRem(key, member) {
+    if (!this.store.has(key)) {
+      return 0;
+    }
+    const set = this.store.get(key);
+    const result = set.delete(member) ? 1 : 0;
+    if (set.size === 0) {
+      this.store.delete(key);
+    }
+    return result;
+  }
+
+  async sMembers(key) {
+    if (!this.store.has(key)) {
+      return [];
+    }
+    return Array.from(this.store.get(key));
+  }
+
+  async expire(key, seconds) {
+    // Nothing here outlives the process, so there's nothing to expire
+    return this.store.has(key) ? 1 : 0;
+  }
+
   async lPush(key, value) {
     if (!this.store.has(key)) {
       this.store.set(key, []);
@@ -69,7 +112,7 @@ class MockRedisClient {
 }
 
 // Determine if we should use real Redis or mock
-const shouldUseMockRedis = process.env.NODE_ENV === 'development' && !process.env.REDIS_URL;
+let shouldUseMockRedis = process.env.NODE_ENV === 'development' && !process.env.REDIS_URL;
 
 // Create Redis client
 const createRedisClient = () => {
@@ -90,7 +133,7 @@ const createRedisClient = () => {
   });
 };
 
-const redisClient = createRedisClient();
+let redisClient = createRedisClient();
 
 // Handle Redis events (only for real Redis client)
 if (!shouldUseMockRedis) {
@@ -127,14 +170,63 @@ const initRedis = async () => {
       throw error;
     }
     logger.warn('Falling back to mock Redis client');
-    return new MockRedisClient();
+    // Swap the shared client so the helpers below keep working
+    redisClient = new MockRedisClient();
+    shouldUseMockRedis = true;
+    module.exports.redisClient = redisClient;
+    return redisClient;
   }
 };
 
+/**
+ * Check whether the in-memory mock client is in use
+ * @returns {boolean} True when running without a real Redis server
+ */
+const isMockRedis = () => shouldUseMockRedis;
+
+/**
+ * Create the pub/sub client pair used by the Socket.IO Redis adapter
+ * @returns {Promise<Object|null>} { pubClient, subClient } or null when using mock Redis
+ */
+const createPubSubClients = async () => {
+  if (shouldUseMockRedis) {
+    return null;
+  }
+
+  const pubClient = redisClient.duplicate();
+  const subClient = redisClient.duplicate();
+
+  pubClient.on('error', (err) => {
+    logger.error('Redis pub client error:', err);
+  });
+
+  subClient.on('error', (err) => {
+    logger.error('Redis sub client error:', err);
+  });
+
+  await Promise.all([pubClient.connect(), subClient.connect()]);
+  return { pubClient, subClient };
+};
+
 // User status management
 const USER_STATUS_KEY = 'user:status';
 const USER_SOCKET_KEY = 'user:socket';
 const SOCKET_USER_KEY = 'socket:user';
+const USER_PRESENCE_KEY = 'user:presence';
+const ACTIVE_CONVERSATION_KEY = 'conversation:active';
+const USER_ACTIVE_CONVERSATIONS_KEY = 'user:active_conversations';
+const TYPING_STATUS_KEY = 'user:typing';
+const USER_LAST_SEEN_KEY = 'user:lastSeen';
+const USER_STATUS_MESSAGE_KEY = 'user:statusMessage';
+const USER_STATUS_EMOJI_KEY = 'user:statusEmoji';
+const REFRESH_TOKEN_KEY = 'refresh_token';
+
+// Socket entries left behind by an instance that crashed expire after this long.
+// Live connections don't depend on them: socket.js asks the Socket.IO adapter.
+const SOCKET_TTL = 24 * 60 * 60; // 1 day, in seconds
+
+// Typing state outlives a typing_stopped that never arrives by this long
+const TYPING_TTL = 30; // seconds
 
 /**
  * Set user status in Redis
@@ -182,15 +274,52 @@ const removeUserStatus = async (userId) => {
 };
 
 /**
- * Associate user ID with socket ID
+ * Remove everything kept in Redis about a user, e.g. when their account is deleted
+ *
+ * Revokes their refresh token, and clears their status, presence, sockets,
+ * active conversations and typing state.
+ * @param {string} userId - User ID
+ * @returns {Promise<boolean>} Success status
+ */
+const removeUserData = async (userId) => {
+  try {
+    for (const socketId of await redisClient.sMembers(`${USER_SOCKET_KEY}:${userId}`)) {
+      await redisClient.del(`${SOCKET_USER_KEY}:${socketId}`);
+    }
+
+    for (const conversationId of await redisClient.sMembers(`${USER_ACTIVE_CONVERSATIONS_KEY}:${userId}`)) {
+      await redisClient.sRem(`${ACTIVE_CONVERSATION_KEY}:${conversationId}`, userId);
+    }
+
+    for (const key of [USER_STATUS_KEY, USER_PRESENCE_KEY, USER_LAST_SEEN_KEY, USER_STATUS_MESSAGE_KEY, USER_STATUS_EMOJI_KEY]) {
+      await redisClient.hDel(key, userId);
+    }
+
+    for (const key of [USER_SOCKET_KEY, USER_ACTIVE_CONVERSATIONS_KEY, TYPING_STATUS_KEY, REFRESH_TOKEN_KEY]) {
+      await redisClient.del(`${key}:${userId}`);
+    }
+
+    return true;
+  } catch (error) {
+    logger.error('Error removing user data from Redis:', error);
+    return false;
+  }
+};
+
+/**
+ * Associate a socket ID with a user
+ * A user can have several sockets at once, one per connected device. Both
+ * keys expire (SOCKET_TTL), so sockets of a crashed instance don't stay
+ * forever.
  * @param {string} userId - User ID
  * @param {string} socketId - Socket ID
  * @returns {Promise<boolean>} Success status
  */
 const setUserSocket = async (userId, socketId) => {
   try {
-    await redisClient.hSet(USER_SOCKET_KEY, userId, socketId);
-    await redisClient.hSet(SOCKET_USER_KEY, socketId, userId);
+    await redisClient.sAdd(`${USER_SOCKET_KEY}:${userId}`, socketId);
+    await redisClient.expire(`${USER_SOCKET_KEY}:${userId}`, SOCKET_TTL);
+    await redisClient.set(`${SOCKET_USER_KEY}:${socketId}`, userId, { EX: SOCKET_TTL });
     return true;
   } catch (error) {
     logger.error('Error setting user socket in Redis:', error);
@@ -199,16 +328,16 @@ const setUserSocket = async (userId, socketId) => {
 };
 
 /**
- * Get socket ID for user
+ * Get all socket IDs for a user
  * @param {string} userId - User ID
- * @returns {Promise<string|null>} Socket ID
+ * @returns {Promise<Array<string>>} Socket IDs
  */
-const getUserSocket = async (userId) => {
+const getUserSockets = async (userId) => {
   try {
-    return await redisClient.hGet(USER_SOCKET_KEY, userId);
+    return await redisClient.sMembers(`${USER_SOCKET_KEY}:${userId}`);
   } catch (error) {
-    logger.error('Error getting user socket from Redis:', error);
-    return null;
+    logger.error('Error getting user sockets from Redis:', error);
+    return [];
   }
 };
 
@@ -219,7 +348,7 @@ const getUserSocket = async (userId) => {
  */
 const getUserBySocket = async (socketId) => {
   try {
-    return await redisClient.hGet(SOCKET_USER_KEY, socketId);
+    return await redisClient.get(`${SOCKET_USER_KEY}:${socketId}`);
   } catch (error) {
     logger.error('Error getting user by socket from Redis:', error);
     return null;
@@ -235,9 +364,9 @@ const removeSocket = async (socketId) => {
   try {
     const userId = await getUserBySocket(socketId);
     if (userId) {
-      await redisClient.hDel(USER_SOCKET_KEY, userId);
+      await redisClient.sRem(`${USER_SOCKET_KEY}:${userId}`, socketId);
     }
-    await redisClient.hDel(SOCKET_USER_KEY, socketId);
+    await redisClient.del(`${SOCKET_USER_KEY}:${socketId}`);
     return true;
   } catch (error) {
     logger.error('Error removing socket from Redis:', error);
@@ -245,14 +374,184 @@ const removeSocket = async (socketId) => {
   }
 };
 
+/**
+ * Store user presence details
+ * @param {string} userId - User ID
+ * @param {Object} presence - Presence details (status, lastActive, device)
+ * @returns {Promise<boolean>} Success status
+ */
+const setUserPresence = async (userId, presence) => {
+  try {
+    await redisClient.hSet(USER_PRESENCE_KEY, userId, JSON.stringify(presence));
+    return true;
+  } catch (error) {
+    logger.error('Error setting user presence in Redis:', error);
+    return false;
+  }
+};
+
+/**
+ * Get user presence details
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} Presence details
+ */
+const getUserPresence = async (userId) => {
+  try {
+    const presence = await redisClient.hGet(USER_PRESENCE_KEY, userId);
+    return presence ? JSON.parse(presence) : null;
+  } catch (error) {
+    logger.error('Error getting user presence from Redis:', error);
+    return null;
+  }
+};
+
+/**
+ * Get the users whose stored presence says they're connected
+ * @returns {Promise<Array<string>>} User IDs
+ */
+const getPresentUserIds = async () => {
+  try {
+    const presences = await redisClient.hGetAll(USER_PRESENCE_KEY);
+    return Object.entries(presences)
+      .filter(([, presence]) => JSON.parse(presence).status !== 'offline')
+      .map(([userId]) => userId);
+  } catch (error) {
+    logger.error('Error getting present users from Redis:', error);
+    return [];
+  }
+};
+
+/**
+ * Merge changes into stored user presence
+ * @param {string} userId - User ID
+ * @param {Object} changes - Presence fields to update
+ * @returns {Promise<Object|null>} Updated presence
+ */
+const updateUserPresence = async (userId, changes) => {
+  const presence = { ...(await getUserPresence(userId)), ...changes };
+  return await setUserPresence(userId, presence) ? presence : null;
+};
+
+/**
+ * Mark a user as active in a conversation
+ * @param {string} conversationId - Conversation ID
+ * @param {string} userId - User ID
+ * @returns {Promise<boolean>} Success status
+ */
+const addActiveConversationUser = async (conversationId, userId) => {
+  try {
+    await redisClient.sAdd(`${ACTIVE_CONVERSATION_KEY}:${conversationId}`, userId);
+    await redisClient.sAdd(`${USER_ACTIVE_CONVERSATIONS_KEY}:${userId}`, conversationId);
+    return true;
+  } catch (error) {
+    logger.error('Error adding active conversation user in Redis:', error);
+    return false;
+  }
+};
+
+/**
+ * Remove a user from a conversation's active users
+ * @param {string} conversationId - Conversation ID
+ * @param {string} userId - User ID
+ * @returns {Promise<boolean>} Success status
+ */
+const removeActiveConversationUser = async (conversationId, userId) => {
+  try {
+    await redisClient.sRem(`${ACTIVE_CONVERSATION_KEY}:${conversationId}`, userId);
+    await redisClient.sRem(`${USER_ACTIVE_CONVERSATIONS_KEY}:${userId}`, conversationId);
+    return true;
+  } catch (error) {
+    logger.error('Error removing active conversation user from Redis:', error);
+    return false;
+  }
+};
+
+/**
+ * Get users currently active in a conversation
+ * @param {string} conversationId - Conversation ID
+ * @returns {Promise<Array<string>>} User IDs
+ */
+const getActiveConversationUsers = async (conversationId) => {
+  try {
+    return await redisClient.sMembers(`${ACTIVE_CONVERSATION_KEY}:${conversationId}`);
+  } catch (error) {
+    logger.error('Error getting active conversation users from Redis:', error);
+    return [];
+  }
+};
+
+/**
+ * Get conversations a user is currently active in
+ * @param {string} userId - User ID
+ * @returns {Promise<Array<string>>} Conversation IDs
+ */
+const getUserActiveConversations = async (userId) => {
+  try {
+    return await redisClient.sMembers(`${USER_ACTIVE_CONVERSATIONS_KEY}:${userId}`);
+  } catch (error) {
+    logger.error('Error getting user active conversations from Redis:', error);
+    return [];
+  }
+};
+
+/**
+ * Record that a user is typing in a conversation
+ * @param {string} userId - User ID
+ * @param {string} conversationId - Conversation ID
+ * @returns {Promise<boolean>} Success status
+ */
+const setTypingStatus = async (userId, conversationId) => {
+  try {
+    await redisClient.hSet(`${TYPING_STATUS_KEY}:${userId}`, conversationId, new Date().toISOString());
+    await redisClient.expire(`${TYPING_STATUS_KEY}:${userId}`, TYPING_TTL);
+    return true;
+  } catch (error) {
+    logger.error('Error setting typing status in Redis:', error);
+    return false;
+  }
+};
+
+/**
+ * Clear a user's typing status
+ * @param {string} userId - User ID
+ * @param {string} [conversationId] - Conversation ID; clears all conversations if omitted
+ * @returns {Promise<boolean>} Success status
+ */
+const clearTypingStatus = async (userId, conversationId) => {
+  try {
+    if (conversationId) {
+      await redisClient.hDel(`${TYPING_STATUS_KEY}:${userId}`, conversationId);
+    } else {
+      await redisClient.del(`${TYPING_STATUS_KEY}:${userId}`);
+    }
+    return true;
+  } catch (error) {
+    logger.error('Error clearing typing status in Redis:', error);
+    return false;
+  }
+};
+
 module.exports = { 
   redisClient, 
   initRedis,
+  isMockRedis,
+  createPubSubClients,
   setUserStatus,
   getUserStatus,
   removeUserStatus,
+  removeUserData,
   setUserSocket,
-  getUserSocket,
+  getUserSockets,
   getUserBySocket,
-  removeSocket
+  removeSocket,
+  setUserPresence,
+  getUserPresence,
+  getPresentUserIds,
+  updateUserPresence,
+  addActiveConversationUser,
+  removeActiveConversationUser,
+  getActiveConversationUsers,
+  getUserActiveConversations,
+  setTypingStatus,
+  clearTypingStatus
 };
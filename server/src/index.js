@@ -5,6 +5,13 @@ const cors = require('cors');
 const helmet = require('helmet');
 const compression = require('compression');
 const { initializeSocketServer } = require('./websocket/socket');
+const scheduledMessageService = require('./services/ScheduledMessageService');
+const messageExpiryService = require('./services/MessageExpiryService');
+const notificationService = require('./services/NotificationService');
+const notificationDigestService = require('./services/NotificationDigestService');
+const pushDeliveryService = require('./services/PushDeliveryService');
+const conversationExportService = require('./services/ConversationExportService');
+const accountDataService = require('./services/AccountDataService');
 const { setupRoutes } = require('./api/routes');
 const { errorHandler } = require('./middleware/errorHandler');
 const logger = require('./utils/logger');
@@ -117,7 +124,28 @@ const startServer = async () => {
     
     // Set up WebSocket server (only in non-serverless environment)
     if (!process.env.VERCEL) {
-      initializeSocketServer(server);
+      await initializeSocketServer(server);
+      
+      // Start sending scheduled messages once sockets can deliver them
+      scheduledMessageService.start();
+      
+      // Start deleting disappearing messages
+      messageExpiryService.start();
+      
+      // Start sending summaries of batched message pushes
+      notificationService.start();
+      
+      // Start recording daily notification digests
+      notificationDigestService.start();
+      
+      // Start sending queued push notifications
+      pushDeliveryService.start();
+      
+      // Start building requested conversation exports
+      conversationExportService.start();
+      
+      // Start building requested personal data exports
+      accountDataService.start();
     }
     
     // Start the server (only if not in Vercel)
@@ -140,6 +168,13 @@ const startServer = async () => {
 // Handle graceful shutdown
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received, shutting down gracefully');
+  scheduledMessageService.stop();
+  messageExpiryService.stop();
+  notificationService.stop();
+  notificationDigestService.stop();
+  pushDeliveryService.stop();
+  conversationExportService.stop();
+  accountDataService.stop();
   server.close(() => {
     logger.info('Server closed');
     process.exit(0);
@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const { ApiError } = require('./errorHandler');
+const User = require('../models/User');
 const logger = require('../utils/logger');
 
 /**
@@ -32,7 +33,7 @@ const authenticateJWT = (req, res, next) => {
     logger.debug(`Token format check: ${token.substring(0, 10)}...`);
     
     // Verify token
-    jwt.verify(token, process.env.JWT_SECRET, (err, decoded) => {
+    jwt.verify(token, process.env.JWT_SECRET, async (err, decoded) => {
       if (err) {
         logger.debug(`JWT verification error: ${err.name} - ${err.message}`);
         
@@ -44,12 +45,33 @@ const authenticateJWT = (req, res, next) => {
       
       logger.debug('JWT decoded payload:', JSON.stringify(decoded, null, 2));
       
+      // Access tokens outlive a suspension or account deletion, so check
+      // the account on every request, as the socket handshake does
+      let account;
+      try {
+        account = await User.getAccountStatus(decoded.userId);
+      } catch (error) {
+        logger.error('Error checking account status:', error);
+        return next(ApiError.internal('Authentication failed'));
+      }
+      
+      if (!account) {
+        return next(ApiError.unauthorized('User not found'));
+      }
+      
+      if (account.suspended) {
+        return next(ApiError.forbidden(account.suspendedUntil
+          ? `Account suspended until ${new Date(account.suspendedUntil).toISOString()}`
+          : 'Account suspended'));
+      }
+      
       // Attach user info to request
       req.user = {
         id: decoded.userId, // Keep id for backward compatibility
         userId: decoded.userId, // Add userId for consistency
         username: decoded.username,
-        email: decoded.email
+        email: decoded.email,
+        roles: decoded.roles || [] // Checked by the middleware in roles.js
       };
       
       logger.debug(`User authenticated: ${req.user.username} (${req.user.id})`);
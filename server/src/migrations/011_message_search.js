@@ -0,0 +1,77 @@
+/**
+ * Migration: Message Full-Text Search
+ *
+ * Adds a full-text search index over plaintext message content.
+ * Encrypted messages are excluded from the index since their content is empty.
+ */
+const { pool } = require('../config/database');
+const logger = require('../utils/logger');
+
+/**
+ * Apply the migration
+ */
+async function up() {
+  const client = await pool.connect();
+
+  try {
+    logger.info('Starting migration: Creating message search index');
+
+    await client.query('BEGIN');
+
+    // Expression index used by Message.search. is_encrypted can be NULL
+    // on older rows, and the predicate has to match the search's exactly
+    // for the planner to use the index.
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_messages_content_search
+      ON messages USING GIN (to_tsvector('english', COALESCE(content, '')))
+      WHERE is_encrypted IS NOT TRUE;
+    `);
+
+    // Supports the (timestamp, id) ordering used for tie-breaking and cursors
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_messages_conversation_timestamp
+      ON messages(conversation_id, timestamp DESC, id DESC);
+    `);
+
+    await client.query('COMMIT');
+    logger.info('Migration successful: Created message search index');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error(`Migration failed: ${error.message}`);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Revert the migration
+ */
+async function down() {
+  const client = await pool.connect();
+
+  try {
+    logger.info('Reverting migration: Dropping message search index');
+
+    await client.query('BEGIN');
+
+    await client.query(`
+      DROP INDEX IF EXISTS idx_messages_content_search;
+    `);
+
+    await client.query(`
+      DROP INDEX IF EXISTS idx_messages_conversation_timestamp;
+    `);
+
+    await client.query('COMMIT');
+    logger.info('Migration reverted: Dropped message search index');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error(`Migration reversion failed: ${error.message}`);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = { up, down };
@@ -0,0 +1,88 @@
+/**
+ * Migration: Message Revisions
+ * 
+ * Adds an edited_at timestamp to messages and a message_revisions table
+ * holding the previous versions of edited messages
+ */
+const { pool } = require('../config/database');
+const logger = require('../utils/logger');
+
+/**
+ * Apply the migration
+ */
+async function up() {
+  const client = await pool.connect();
+  
+  try {
+    logger.info('Starting migration: Creating message_revisions table');
+    
+    await client.query('BEGIN');
+    
+    // Track when a message was last edited
+    await client.query(`
+      ALTER TABLE messages
+      ADD COLUMN IF NOT EXISTS edited_at TIMESTAMP WITH TIME ZONE;
+    `);
+    
+    // Create message_revisions table
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS message_revisions (
+        id UUID PRIMARY KEY,
+        message_id UUID NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+        editor_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        content TEXT,
+        encrypted_content TEXT,
+        iv TEXT,
+        recipient_keys JSONB,
+        is_encrypted BOOLEAN NOT NULL DEFAULT FALSE,
+        created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+      );
+    `);
+    
+    // Create indexes
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_message_revisions_message_id ON message_revisions(message_id, created_at);
+    `);
+    
+    await client.query('COMMIT');
+    logger.info('Migration successful: Created message_revisions table');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error(`Migration failed: ${error.message}`);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Revert the migration
+ */
+async function down() {
+  const client = await pool.connect();
+  
+  try {
+    logger.info('Reverting migration: Dropping message_revisions table');
+    
+    await client.query('BEGIN');
+    
+    await client.query(`
+      DROP TABLE IF EXISTS message_revisions;
+    `);
+    
+    await client.query(`
+      ALTER TABLE messages DROP COLUMN IF EXISTS edited_at;
+    `);
+    
+    await client.query('COMMIT');
+    logger.info('Migration reverted: Dropped message_revisions table');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error(`Migration reversion failed: ${error.message}`);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = { up, down };
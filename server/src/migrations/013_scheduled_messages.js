@@ -0,0 +1,99 @@
+/**
+ * Migration: Scheduled Messages
+ * 
+ * Creates the scheduled_messages table for messages that are sent at a future time
+ */
+const { pool } = require('../config/database');
+const logger = require('../utils/logger');
+
+/**
+ * Apply the migration
+ */
+async function up() {
+  const client = await pool.connect();
+  
+  try {
+    logger.info('Starting migration: Creating scheduled_messages table');
+    
+    await client.query('BEGIN');
+    
+    // Create scheduled_messages table
+    // message_id is assigned up front so a retried delivery can never create a second message
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS scheduled_messages (
+        id UUID PRIMARY KEY,
+        message_id UUID NOT NULL UNIQUE,
+        conversation_id UUID NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+        sender_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        content TEXT,
+        encrypted_content TEXT,
+        iv TEXT,
+        recipient_keys JSONB,
+        is_encrypted BOOLEAN NOT NULL DEFAULT FALSE,
+        media_id VARCHAR(100),
+        media_type VARCHAR(50),
+        media_url VARCHAR(255),
+        media_caption TEXT,
+        media_size BIGINT,
+        media_mime_type VARCHAR(100),
+        parent_message_id UUID,
+        send_at TIMESTAMP WITH TIME ZONE NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        last_error TEXT,
+        locked_at TIMESTAMP WITH TIME ZONE,
+        sent_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+        CONSTRAINT scheduled_messages_status_check
+          CHECK (status IN ('pending', 'sending', 'sent', 'cancelled', 'failed'))
+      );
+    `);
+    
+    // Create indexes
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_scheduled_messages_due ON scheduled_messages(status, send_at);
+    `);
+    
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_scheduled_messages_sender_id ON scheduled_messages(sender_id);
+    `);
+    
+    await client.query('COMMIT');
+    logger.info('Migration successful: Created scheduled_messages table');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error(`Migration failed: ${error.message}`);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Revert the migration
+ */
+async function down() {
+  const client = await pool.connect();
+  
+  try {
+    logger.info('Reverting migration: Dropping scheduled_messages table');
+    
+    await client.query('BEGIN');
+    
+    await client.query(`
+      DROP TABLE IF EXISTS scheduled_messages;
+    `);
+    
+    await client.query('COMMIT');
+    logger.info('Migration reverted: Dropped scheduled_messages table');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error(`Migration reversion failed: ${error.message}`);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = { up, down };
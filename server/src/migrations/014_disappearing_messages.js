@@ -0,0 +1,92 @@
+/**
+ * Migration: Disappearing Messages
+ *
+ * Adds a per-conversation message timer, an expires_at timestamp on messages
+ * and a message_type column so timer changes can be shown as system messages
+ */
+const { pool } = require('../config/database');
+const logger = require('../utils/logger');
+
+/**
+ * Apply the migration
+ */
+async function up() {
+  const client = await pool.connect();
+
+  try {
+    logger.info('Starting migration: Adding disappearing message columns');
+
+    await client.query('BEGIN');
+
+    // Timer in seconds applied to new messages (NULL = off)
+    await client.query(`
+      ALTER TABLE conversations
+      ADD COLUMN IF NOT EXISTS message_ttl INTEGER;
+    `);
+
+    await client.query(`
+      ALTER TABLE messages
+      ADD COLUMN IF NOT EXISTS expires_at TIMESTAMP WITH TIME ZONE;
+    `);
+
+    // Distinguish system messages (e.g. timer changes) from user messages
+    await client.query(`
+      ALTER TABLE messages
+      ADD COLUMN IF NOT EXISTS message_type VARCHAR(20) NOT NULL DEFAULT 'text';
+    `);
+
+    // Only expiring messages are indexed, which keeps the sweeper query cheap
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_messages_expires_at ON messages(expires_at)
+      WHERE expires_at IS NOT NULL;
+    `);
+
+    await client.query('COMMIT');
+    logger.info('Migration successful: Added disappearing message columns');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error(`Migration failed: ${error.message}`);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Revert the migration
+ */
+async function down() {
+  const client = await pool.connect();
+
+  try {
+    logger.info('Reverting migration: Removing disappearing message columns');
+
+    await client.query('BEGIN');
+
+    await client.query(`
+      DROP INDEX IF EXISTS idx_messages_expires_at;
+    `);
+
+    await client.query(`
+      ALTER TABLE messages
+      DROP COLUMN IF EXISTS message_type,
+      DROP COLUMN IF EXISTS expires_at;
+    `);
+
+    await client.query(`
+      ALTER TABLE conversations
+      DROP COLUMN IF EXISTS message_ttl;
+    `);
+
+    await client.query('COMMIT');
+    logger.info('Migration reverted: Removed disappearing message columns');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error(`Migration reversion failed: ${error.message}`);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = { up, down };
@@ -0,0 +1,66 @@
+/**
+ * Migration: Message Forwarding
+ *
+ * Records which message a forwarded copy came from and who wrote the original
+ */
+const { pool } = require('../config/database');
+const logger = require('../utils/logger');
+
+/**
+ * Apply the migration
+ */
+async function up() {
+  const client = await pool.connect();
+
+  try {
+    logger.info('Starting migration: Adding message forwarding columns');
+
+    await client.query('BEGIN');
+
+    // The original stays attributed even if it is deleted later
+    await client.query(`
+      ALTER TABLE messages
+      ADD COLUMN IF NOT EXISTS forwarded_from_message_id UUID,
+      ADD COLUMN IF NOT EXISTS forwarded_from_sender_id UUID REFERENCES users(id) ON DELETE SET NULL;
+    `);
+
+    await client.query('COMMIT');
+    logger.info('Migration successful: Added message forwarding columns');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error(`Migration failed: ${error.message}`);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Revert the migration
+ */
+async function down() {
+  const client = await pool.connect();
+
+  try {
+    logger.info('Reverting migration: Removing message forwarding columns');
+
+    await client.query('BEGIN');
+
+    await client.query(`
+      ALTER TABLE messages
+      DROP COLUMN IF EXISTS forwarded_from_sender_id,
+      DROP COLUMN IF EXISTS forwarded_from_message_id;
+    `);
+
+    await client.query('COMMIT');
+    logger.info('Migration reverted: Removed message forwarding columns');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error(`Migration reversion failed: ${error.message}`);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = { up, down };
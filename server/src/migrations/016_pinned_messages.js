@@ -0,0 +1,72 @@
+/**
+ * Migration: Pinned Messages
+ *
+ * Creates the pinned_messages table for messages pinned in a conversation
+ */
+const { pool } = require('../config/database');
+const logger = require('../utils/logger');
+
+/**
+ * Apply the migration
+ */
+async function up() {
+  const client = await pool.connect();
+
+  try {
+    logger.info('Starting migration: Creating pinned_messages table');
+
+    await client.query('BEGIN');
+
+    // Pins disappear with their message, e.g. when a disappearing message expires
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS pinned_messages (
+        conversation_id UUID NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+        message_id UUID NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+        pinned_by UUID REFERENCES users(id) ON DELETE SET NULL,
+        pinned_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+        PRIMARY KEY (conversation_id, message_id)
+      );
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_pinned_messages_message_id ON pinned_messages(message_id);
+    `);
+
+    await client.query('COMMIT');
+    logger.info('Migration successful: Created pinned_messages table');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error(`Migration failed: ${error.message}`);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Revert the migration
+ */
+async function down() {
+  const client = await pool.connect();
+
+  try {
+    logger.info('Reverting migration: Dropping pinned_messages table');
+
+    await client.query('BEGIN');
+
+    await client.query(`
+      DROP TABLE IF EXISTS pinned_messages;
+    `);
+
+    await client.query('COMMIT');
+    logger.info('Migration reverted: Dropped pinned_messages table');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error(`Migration reversion failed: ${error.message}`);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = { up, down };
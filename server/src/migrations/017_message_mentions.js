@@ -0,0 +1,72 @@
+/**
+ * Migration: Message Mentions
+ *
+ * Creates the message_mentions table linking messages to the users they @mention
+ */
+const { pool } = require('../config/database');
+const logger = require('../utils/logger');
+
+/**
+ * Apply the migration
+ */
+async function up() {
+  const client = await pool.connect();
+
+  try {
+    logger.info('Starting migration: Creating message_mentions table');
+
+    await client.query('BEGIN');
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS message_mentions (
+        message_id UUID NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        conversation_id UUID NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+        created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+        PRIMARY KEY (message_id, user_id)
+      );
+    `);
+
+    // Supports listing a user's mentions, newest first
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_message_mentions_user_id ON message_mentions(user_id, created_at DESC);
+    `);
+
+    await client.query('COMMIT');
+    logger.info('Migration successful: Created message_mentions table');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error(`Migration failed: ${error.message}`);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Revert the migration
+ */
+async function down() {
+  const client = await pool.connect();
+
+  try {
+    logger.info('Reverting migration: Dropping message_mentions table');
+
+    await client.query('BEGIN');
+
+    await client.query(`
+      DROP TABLE IF EXISTS message_mentions;
+    `);
+
+    await client.query('COMMIT');
+    logger.info('Migration reverted: Dropped message_mentions table');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error(`Migration reversion failed: ${error.message}`);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = { up, down };
@@ -0,0 +1,72 @@
+/**
+ * Migration: Conversation Notification Settings
+ *
+ * Creates the conversation_notification_settings table holding each user's
+ * per-conversation notification level and mute
+ */
+const { pool } = require('../config/database');
+const logger = require('../utils/logger');
+
+/**
+ * Apply the migration
+ */
+async function up() {
+  const client = await pool.connect();
+
+  try {
+    logger.info('Starting migration: Creating conversation_notification_settings table');
+
+    await client.query('BEGIN');
+
+    // A mute with no muted_until lasts until the user unmutes the conversation
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS conversation_notification_settings (
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        conversation_id UUID NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+        level VARCHAR(10) NOT NULL DEFAULT 'all' CHECK (level IN ('all', 'mentions', 'none')),
+        muted BOOLEAN NOT NULL DEFAULT FALSE,
+        muted_until TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+        PRIMARY KEY (user_id, conversation_id)
+      );
+    `);
+
+    await client.query('COMMIT');
+    logger.info('Migration successful: Created conversation_notification_settings table');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error(`Migration failed: ${error.message}`);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Revert the migration
+ */
+async function down() {
+  const client = await pool.connect();
+
+  try {
+    logger.info('Reverting migration: Dropping conversation_notification_settings table');
+
+    await client.query('BEGIN');
+
+    await client.query(`
+      DROP TABLE IF EXISTS conversation_notification_settings;
+    `);
+
+    await client.query('COMMIT');
+    logger.info('Migration reverted: Dropped conversation_notification_settings table');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error(`Migration reversion failed: ${error.message}`);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = { up, down };
@@ -0,0 +1,114 @@
+/**
+ * Migration: Notification Batching
+ *
+ * Adds per-user push batching and daily digest settings, the
+ * notification_batches table holding message pushes being coalesced, and
+ * the notification_digests table recording each user's daily digest
+ */
+const { pool } = require('../config/database');
+const logger = require('../utils/logger');
+
+/**
+ * Apply the migration
+ */
+async function up() {
+  const client = await pool.connect();
+
+  try {
+    logger.info('Starting migration: Adding notification batching');
+
+    await client.query('BEGIN');
+
+    // A batch window of 0 turns batching off
+    await client.query(`
+      ALTER TABLE notification_settings
+      ADD COLUMN IF NOT EXISTS batch_window_seconds INTEGER NOT NULL DEFAULT 60,
+      ADD COLUMN IF NOT EXISTS batch_threshold INTEGER NOT NULL DEFAULT 3,
+      ADD COLUMN IF NOT EXISTS daily_digest BOOLEAN NOT NULL DEFAULT FALSE;
+    `);
+
+    // One open batch per user and conversation, summarised once flush_at passes
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS notification_batches (
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        conversation_id UUID NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+        message_count INTEGER NOT NULL DEFAULT 1,
+        held_count INTEGER NOT NULL DEFAULT 0,
+        notification JSONB NOT NULL,
+        flush_at TIMESTAMP WITH TIME ZONE NOT NULL,
+        PRIMARY KEY (user_id, conversation_id)
+      );
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_notification_batches_flush_at ON notification_batches(flush_at);
+    `);
+
+    // sent_at stays NULL until the digest has been e-mailed
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS notification_digests (
+        id SERIAL PRIMARY KEY,
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        digest_date DATE NOT NULL,
+        conversations JSONB NOT NULL,
+        message_count INTEGER NOT NULL,
+        created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+        sent_at TIMESTAMP WITH TIME ZONE,
+        UNIQUE (user_id, digest_date)
+      );
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_notification_digests_unsent ON notification_digests(created_at)
+      WHERE sent_at IS NULL;
+    `);
+
+    await client.query('COMMIT');
+    logger.info('Migration successful: Added notification batching');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error(`Migration failed: ${error.message}`);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Revert the migration
+ */
+async function down() {
+  const client = await pool.connect();
+
+  try {
+    logger.info('Reverting migration: Removing notification batching');
+
+    await client.query('BEGIN');
+
+    await client.query(`
+      DROP TABLE IF EXISTS notification_digests;
+    `);
+
+    await client.query(`
+      DROP TABLE IF EXISTS notification_batches;
+    `);
+
+    await client.query(`
+      ALTER TABLE notification_settings
+      DROP COLUMN IF EXISTS batch_window_seconds,
+      DROP COLUMN IF EXISTS batch_threshold,
+      DROP COLUMN IF EXISTS daily_digest;
+    `);
+
+    await client.query('COMMIT');
+    logger.info('Migration reverted: Removed notification batching');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error(`Migration reversion failed: ${error.message}`);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = { up, down };
@@ -0,0 +1,109 @@
+/**
+ * Migration: Push Delivery Queue
+ *
+ * Creates the push_delivery_jobs queue for web push sends and the
+ * push_dead_letters table for sends that ran out of retries
+ */
+const { pool } = require('../config/database');
+const logger = require('../utils/logger');
+
+/**
+ * Apply the migration
+ */
+async function up() {
+  const client = await pool.connect();
+
+  try {
+    logger.info('Starting migration: Creating push delivery queue tables');
+
+    await client.query('BEGIN');
+
+    // One job per subscription, so each device is retried on its own
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS push_delivery_jobs (
+        id SERIAL PRIMARY KEY,
+        subscription_id INTEGER NOT NULL REFERENCES push_notification_subscriptions(id) ON DELETE CASCADE,
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        notification_type VARCHAR(50),
+        payload JSONB NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        max_attempts INTEGER NOT NULL,
+        next_attempt_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+        locked_at TIMESTAMP WITH TIME ZONE,
+        last_error TEXT,
+        created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+      );
+    `);
+
+    // Supports claiming due jobs
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_push_delivery_jobs_due ON push_delivery_jobs(next_attempt_at)
+      WHERE status = 'pending';
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS push_dead_letters (
+        id SERIAL PRIMARY KEY,
+        job_id INTEGER NOT NULL,
+        subscription_id INTEGER REFERENCES push_notification_subscriptions(id) ON DELETE SET NULL,
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        endpoint TEXT,
+        notification_type VARCHAR(50),
+        payload JSONB NOT NULL,
+        attempts INTEGER NOT NULL,
+        last_error TEXT,
+        status_code INTEGER,
+        failed_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+        replayed_at TIMESTAMP WITH TIME ZONE,
+        replay_job_id INTEGER
+      );
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_push_dead_letters_failed_at ON push_dead_letters(failed_at DESC);
+    `);
+
+    await client.query('COMMIT');
+    logger.info('Migration successful: Created push delivery queue tables');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error(`Migration failed: ${error.message}`);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Revert the migration
+ */
+async function down() {
+  const client = await pool.connect();
+
+  try {
+    logger.info('Reverting migration: Dropping push delivery queue tables');
+
+    await client.query('BEGIN');
+
+    await client.query(`
+      DROP TABLE IF EXISTS push_dead_letters;
+    `);
+
+    await client.query(`
+      DROP TABLE IF EXISTS push_delivery_jobs;
+    `);
+
+    await client.query('COMMIT');
+    logger.info('Migration reverted: Dropped push delivery queue tables');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error(`Migration reversion failed: ${error.message}`);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = { up, down };
@@ -0,0 +1,74 @@
+/**
+ * Migration: Quiet Hours Schedules
+ *
+ * Adds a per-user time zone and weekday quiet hours schedule to
+ * notification_settings, and lets users allow urgent pushes and
+ * mentions through quiet hours
+ */
+const { pool } = require('../config/database');
+const logger = require('../utils/logger');
+
+/**
+ * Apply the migration
+ */
+async function up() {
+  const client = await pool.connect();
+
+  try {
+    logger.info('Starting migration: Adding quiet hours schedules');
+
+    await client.query('BEGIN');
+
+    // quiet_hours_start/end are local times in the user's time zone.
+    // A NULL schedule means they apply every day; otherwise the schedule
+    // maps sun..sat to { start, end } or null for no quiet hours that day.
+    await client.query(`
+      ALTER TABLE notification_settings
+      ADD COLUMN IF NOT EXISTS timezone VARCHAR(64) NOT NULL DEFAULT 'UTC',
+      ADD COLUMN IF NOT EXISTS quiet_hours_schedule JSONB,
+      ADD COLUMN IF NOT EXISTS quiet_hours_allow_mentions BOOLEAN NOT NULL DEFAULT FALSE,
+      ADD COLUMN IF NOT EXISTS quiet_hours_allow_urgent BOOLEAN NOT NULL DEFAULT TRUE;
+    `);
+
+    await client.query('COMMIT');
+    logger.info('Migration successful: Added quiet hours schedules');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error(`Migration failed: ${error.message}`);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Revert the migration
+ */
+async function down() {
+  const client = await pool.connect();
+
+  try {
+    logger.info('Reverting migration: Removing quiet hours schedules');
+
+    await client.query('BEGIN');
+
+    await client.query(`
+      ALTER TABLE notification_settings
+      DROP COLUMN IF EXISTS timezone,
+      DROP COLUMN IF EXISTS quiet_hours_schedule,
+      DROP COLUMN IF EXISTS quiet_hours_allow_mentions,
+      DROP COLUMN IF EXISTS quiet_hours_allow_urgent;
+    `);
+
+    await client.query('COMMIT');
+    logger.info('Migration reverted: Removed quiet hours schedules');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error(`Migration reversion failed: ${error.message}`);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = { up, down };
@@ -0,0 +1,126 @@
+/**
+ * Migration: Moderation
+ *
+ * Adds user roles and account suspension, the reports table for abuse
+ * reports and the moderation_audit_log table recording moderator actions
+ */
+const { pool } = require('../config/database');
+const logger = require('../utils/logger');
+
+/**
+ * Apply the migration
+ */
+async function up() {
+  const client = await pool.connect();
+
+  try {
+    logger.info('Starting migration: Adding moderation');
+
+    await client.query('BEGIN');
+
+    // Roles end up in access tokens; suspended_until NULL with suspended_at set means suspended indefinitely
+    await client.query(`
+      ALTER TABLE users
+      ADD COLUMN IF NOT EXISTS roles TEXT[] NOT NULL DEFAULT '{}',
+      ADD COLUMN IF NOT EXISTS suspended_at TIMESTAMP WITH TIME ZONE,
+      ADD COLUMN IF NOT EXISTS suspended_until TIMESTAMP WITH TIME ZONE,
+      ADD COLUMN IF NOT EXISTS suspension_reason TEXT;
+    `);
+
+    // The snapshot keeps the reported content after it's edited or deleted
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS reports (
+        id UUID PRIMARY KEY,
+        reporter_id UUID REFERENCES users(id) ON DELETE SET NULL,
+        target_type VARCHAR(20) NOT NULL CHECK (target_type IN ('message', 'user', 'conversation')),
+        target_id UUID NOT NULL,
+        reported_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+        reason VARCHAR(30) NOT NULL,
+        details TEXT,
+        snapshot JSONB NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'resolved', 'dismissed')),
+        resolution TEXT,
+        resolved_by UUID REFERENCES users(id) ON DELETE SET NULL,
+        resolved_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+      );
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_reports_status ON reports(status, created_at);
+    `);
+
+    // A user can have one open report per target
+    await client.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_reports_open_per_reporter ON reports(reporter_id, target_type, target_id)
+      WHERE status = 'open';
+    `);
+
+    // Entries outlive the moderator's account so the history stays complete
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS moderation_audit_log (
+        id SERIAL PRIMARY KEY,
+        moderator_id UUID REFERENCES users(id) ON DELETE SET NULL,
+        action VARCHAR(30) NOT NULL,
+        report_id UUID REFERENCES reports(id) ON DELETE SET NULL,
+        target_type VARCHAR(20) NOT NULL,
+        target_id UUID NOT NULL,
+        details JSONB NOT NULL DEFAULT '{}',
+        created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+      );
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_moderation_audit_log_target ON moderation_audit_log(target_type, target_id);
+    `);
+
+    await client.query('COMMIT');
+    logger.info('Migration successful: Added moderation');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error(`Migration failed: ${error.message}`);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Revert the migration
+ */
+async function down() {
+  const client = await pool.connect();
+
+  try {
+    logger.info('Reverting migration: Removing moderation');
+
+    await client.query('BEGIN');
+
+    await client.query(`
+      DROP TABLE IF EXISTS moderation_audit_log;
+    `);
+
+    await client.query(`
+      DROP TABLE IF EXISTS reports;
+    `);
+
+    await client.query(`
+      ALTER TABLE users
+      DROP COLUMN IF EXISTS roles,
+      DROP COLUMN IF EXISTS suspended_at,
+      DROP COLUMN IF EXISTS suspended_until,
+      DROP COLUMN IF EXISTS suspension_reason;
+    `);
+
+    await client.query('COMMIT');
+    logger.info('Migration reverted: Removed moderation');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error(`Migration reversion failed: ${error.message}`);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = { up, down };
@@ -0,0 +1,122 @@
+/**
+ * Migration: Contact Requests
+ *
+ * Creates the contact_requests table so contacts are added only once
+ * the other user accepts. Contacts that were only added by one side turn
+ * into pending requests from that user, since the other never agreed.
+ */
+const { pool } = require('../config/database');
+const logger = require('../utils/logger');
+
+/**
+ * Apply the migration
+ */
+async function up() {
+  const client = await pool.connect();
+
+  try {
+    logger.info('Starting migration: Creating contact_requests table');
+
+    await client.query('BEGIN');
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS contact_requests (
+        id UUID PRIMARY KEY,
+        requester_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        recipient_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        message TEXT,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending'
+          CHECK (status IN ('pending', 'accepted', 'declined', 'cancelled')),
+        created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+        responded_at TIMESTAMP WITH TIME ZONE,
+        CHECK (requester_id <> recipient_id)
+      );
+    `);
+
+    // One pending request at a time from a user to another
+    await client.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_contact_requests_pending
+      ON contact_requests(requester_id, recipient_id)
+      WHERE status = 'pending';
+    `);
+
+    // Inbox listing
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_contact_requests_recipient
+      ON contact_requests(recipient_id, status);
+    `);
+
+    // One-sided contacts become requests, unless either user has blocked the other
+    await client.query(`
+      INSERT INTO contact_requests (id, requester_id, recipient_id, created_at)
+      SELECT uuid_generate_v4(), c.user_id, c.contact_id, COALESCE(c.created_at, NOW())
+      FROM contacts c
+      WHERE c.user_id <> c.contact_id
+      AND NOT EXISTS (
+        SELECT 1 FROM contacts r
+        WHERE r.user_id = c.contact_id AND r.contact_id = c.user_id
+      )
+      AND NOT EXISTS (
+        SELECT 1 FROM user_blocks b
+        WHERE (b.blocker_id = c.user_id AND b.blocked_id = c.contact_id)
+        OR (b.blocker_id = c.contact_id AND b.blocked_id = c.user_id)
+      )
+      ON CONFLICT DO NOTHING;
+    `);
+
+    // and are dropped from contacts, which only holds mutual pairs from here on
+    await client.query(`
+      DELETE FROM contacts c
+      WHERE NOT EXISTS (
+        SELECT 1 FROM contacts r
+        WHERE r.user_id = c.contact_id AND r.contact_id = c.user_id
+      );
+    `);
+
+    await client.query('COMMIT');
+    logger.info('Migration successful: Created contact_requests table');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error(`Migration failed: ${error.message}`);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Revert the migration
+ */
+async function down() {
+  const client = await pool.connect();
+
+  try {
+    logger.info('Reverting migration: Dropping contact_requests table');
+
+    await client.query('BEGIN');
+
+    // Pending requests go back to being one-sided contacts
+    await client.query(`
+      INSERT INTO contacts (user_id, contact_id)
+      SELECT requester_id, recipient_id
+      FROM contact_requests
+      WHERE status = 'pending'
+      ON CONFLICT (user_id, contact_id) DO NOTHING;
+    `);
+
+    await client.query(`
+      DROP TABLE IF EXISTS contact_requests;
+    `);
+
+    await client.query('COMMIT');
+    logger.info('Migration reverted: Dropped contact_requests table');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error(`Migration reversion failed: ${error.message}`);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = { up, down };
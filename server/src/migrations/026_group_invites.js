@@ -0,0 +1,102 @@
+/**
+ * Migration: Group Invites
+ *
+ * Creates the group_invites table for group invite links and the
+ * group_join_requests table for joins waiting on an admin's approval
+ */
+const { pool } = require('../config/database');
+const logger = require('../utils/logger');
+
+/**
+ * Apply the migration
+ */
+async function up() {
+  const client = await pool.connect();
+
+  try {
+    logger.info('Starting migration: Creating group invite tables');
+
+    await client.query('BEGIN');
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS group_invites (
+        id UUID PRIMARY KEY,
+        conversation_id UUID NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+        created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+        code VARCHAR(32) NOT NULL UNIQUE,
+        max_uses INTEGER CHECK (max_uses IS NULL OR max_uses > 0),
+        use_count INTEGER NOT NULL DEFAULT 0,
+        require_approval BOOLEAN NOT NULL DEFAULT FALSE,
+        expires_at TIMESTAMP WITH TIME ZONE,
+        revoked_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+      );
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_group_invites_conversation_id ON group_invites(conversation_id);
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS group_join_requests (
+        id UUID PRIMARY KEY,
+        conversation_id UUID NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+        invite_id UUID REFERENCES group_invites(id) ON DELETE SET NULL,
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending'
+          CHECK (status IN ('pending', 'approved', 'rejected')),
+        reviewed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+        reviewed_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+      );
+    `);
+
+    // One pending request per user and group
+    await client.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_group_join_requests_pending
+      ON group_join_requests(conversation_id, user_id)
+      WHERE status = 'pending';
+    `);
+
+    await client.query('COMMIT');
+    logger.info('Migration successful: Created group invite tables');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error(`Migration failed: ${error.message}`);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Revert the migration
+ */
+async function down() {
+  const client = await pool.connect();
+
+  try {
+    logger.info('Reverting migration: Dropping group invite tables');
+
+    await client.query('BEGIN');
+
+    await client.query(`
+      DROP TABLE IF EXISTS group_join_requests;
+    `);
+
+    await client.query(`
+      DROP TABLE IF EXISTS group_invites;
+    `);
+
+    await client.query('COMMIT');
+    logger.info('Migration reverted: Dropped group invite tables');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error(`Migration reversion failed: ${error.message}`);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = { up, down };
@@ -0,0 +1,124 @@
+/**
+ * Migration: Group Roles
+ *
+ * Replaces the is_admin flag on conversation_participants with a role
+ * (owner, admin, moderator, member or read_only) and adds per-group
+ * permission settings to conversations
+ */
+const { pool } = require('../config/database');
+const logger = require('../utils/logger');
+
+/**
+ * Apply the migration
+ */
+async function up() {
+  const client = await pool.connect();
+
+  try {
+    logger.info('Starting migration: Adding group roles and permissions');
+
+    await client.query('BEGIN');
+
+    await client.query(`
+      ALTER TABLE conversation_participants
+      ADD COLUMN IF NOT EXISTS role VARCHAR(20) NOT NULL DEFAULT 'member'
+        CHECK (role IN ('owner', 'admin', 'moderator', 'member', 'read_only'));
+    `);
+
+    await client.query(`
+      UPDATE conversation_participants
+      SET role = 'admin'
+      WHERE is_admin = true;
+    `);
+
+    // Each existing group's longest-standing admin (or member, if it has no
+    // admins) becomes its owner
+    await client.query(`
+      UPDATE conversation_participants cp
+      SET role = 'owner'
+      FROM (
+        SELECT DISTINCT ON (p.conversation_id) p.conversation_id, p.user_id
+        FROM conversation_participants p
+        JOIN conversations c ON c.id = p.conversation_id
+        WHERE c.is_group = true
+        ORDER BY p.conversation_id, p.is_admin DESC, p.joined_at ASC
+      ) first
+      WHERE cp.conversation_id = first.conversation_id AND cp.user_id = first.user_id;
+    `);
+
+    // A group has at most one owner
+    await client.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_conversation_participants_owner
+      ON conversation_participants(conversation_id)
+      WHERE role = 'owner';
+    `);
+
+    await client.query(`
+      ALTER TABLE conversation_participants
+      DROP COLUMN IF EXISTS is_admin;
+    `);
+
+    // Only the settings a group has changed; the rest use the defaults in the Conversation model
+    await client.query(`
+      ALTER TABLE conversations
+      ADD COLUMN IF NOT EXISTS permissions JSONB NOT NULL DEFAULT '{}';
+    `);
+
+    await client.query('COMMIT');
+    logger.info('Migration successful: Added group roles and permissions');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error(`Migration failed: ${error.message}`);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Revert the migration
+ */
+async function down() {
+  const client = await pool.connect();
+
+  try {
+    logger.info('Reverting migration: Removing group roles and permissions');
+
+    await client.query('BEGIN');
+
+    await client.query(`
+      ALTER TABLE conversation_participants
+      ADD COLUMN IF NOT EXISTS is_admin BOOLEAN DEFAULT FALSE;
+    `);
+
+    await client.query(`
+      UPDATE conversation_participants
+      SET is_admin = role IN ('owner', 'admin');
+    `);
+
+    await client.query(`
+      DROP INDEX IF EXISTS idx_conversation_participants_owner;
+    `);
+
+    await client.query(`
+      ALTER TABLE conversation_participants
+      DROP COLUMN IF EXISTS role;
+    `);
+
+    await client.query(`
+      ALTER TABLE conversations
+      DROP COLUMN IF EXISTS permissions;
+    `);
+
+    await client.query('COMMIT');
+    logger.info('Migration reverted: Removed group roles and permissions');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error(`Migration reversion failed: ${error.message}`);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = { up, down };
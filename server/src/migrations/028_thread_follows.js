@@ -0,0 +1,88 @@
+/**
+ * Migration: Thread Follows
+ *
+ * Creates the thread_follows table, which records who follows each reply
+ * thread and how far they've read it, and indexes replies by parent
+ */
+const { pool } = require('../config/database');
+const logger = require('../utils/logger');
+
+/**
+ * Apply the migration
+ */
+async function up() {
+  const client = await pool.connect();
+
+  try {
+    logger.info('Starting migration: Creating thread follows table');
+
+    await client.query('BEGIN');
+
+    // Rows stay when a user unfollows, so replying to someone's message
+    // doesn't make them follow a thread they chose to leave
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS thread_follows (
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        parent_message_id UUID NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+        following BOOLEAN NOT NULL DEFAULT TRUE,
+        last_read_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+        created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+        PRIMARY KEY (user_id, parent_message_id)
+      );
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_thread_follows_parent
+      ON thread_follows(parent_message_id)
+      WHERE following = true;
+    `);
+
+    // Thread summaries count and date replies by parent
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_messages_parent_timestamp
+      ON messages(parent_message_id, timestamp)
+      WHERE parent_message_id IS NOT NULL;
+    `);
+
+    await client.query('COMMIT');
+    logger.info('Migration successful: Created thread follows table');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error(`Migration failed: ${error.message}`);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Revert the migration
+ */
+async function down() {
+  const client = await pool.connect();
+
+  try {
+    logger.info('Reverting migration: Dropping thread follows table');
+
+    await client.query('BEGIN');
+
+    await client.query(`
+      DROP INDEX IF EXISTS idx_messages_parent_timestamp;
+    `);
+
+    await client.query(`
+      DROP TABLE IF EXISTS thread_follows;
+    `);
+
+    await client.query('COMMIT');
+    logger.info('Migration reverted: Dropped thread follows table');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error(`Migration reversion failed: ${error.message}`);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = { up, down };
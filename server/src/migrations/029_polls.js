@@ -0,0 +1,104 @@
+/**
+ * Migration: Polls
+ *
+ * Creates the polls, poll_options and poll_votes tables. A poll is a
+ * message with message_type 'poll'; its question is also the message content.
+ */
+const { pool } = require('../config/database');
+const logger = require('../utils/logger');
+
+/**
+ * Apply the migration
+ */
+async function up() {
+  const client = await pool.connect();
+
+  try {
+    logger.info('Starting migration: Creating poll tables');
+
+    await client.query('BEGIN');
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS polls (
+        message_id UUID PRIMARY KEY REFERENCES messages(id) ON DELETE CASCADE,
+        question TEXT NOT NULL,
+        multiple_choice BOOLEAN NOT NULL DEFAULT FALSE,
+        anonymous BOOLEAN NOT NULL DEFAULT FALSE,
+        closes_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+      );
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS poll_options (
+        id UUID PRIMARY KEY,
+        message_id UUID NOT NULL REFERENCES polls(message_id) ON DELETE CASCADE,
+        position SMALLINT NOT NULL,
+        text VARCHAR(100) NOT NULL,
+        UNIQUE (message_id, position)
+      );
+    `);
+
+    // Votes keep the poll's message ID so a user's votes on a poll can be
+    // found (and replaced, for single-choice polls) without joining options
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS poll_votes (
+        option_id UUID NOT NULL REFERENCES poll_options(id) ON DELETE CASCADE,
+        message_id UUID NOT NULL REFERENCES polls(message_id) ON DELETE CASCADE,
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+        PRIMARY KEY (option_id, user_id)
+      );
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_poll_votes_message_user
+      ON poll_votes(message_id, user_id);
+    `);
+
+    await client.query('COMMIT');
+    logger.info('Migration successful: Created poll tables');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error(`Migration failed: ${error.message}`);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Revert the migration
+ */
+async function down() {
+  const client = await pool.connect();
+
+  try {
+    logger.info('Reverting migration: Dropping poll tables');
+
+    await client.query('BEGIN');
+
+    await client.query(`
+      DROP TABLE IF EXISTS poll_votes;
+    `);
+
+    await client.query(`
+      DROP TABLE IF EXISTS poll_options;
+    `);
+
+    await client.query(`
+      DROP TABLE IF EXISTS polls;
+    `);
+
+    await client.query('COMMIT');
+    logger.info('Migration reverted: Dropped poll tables');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error(`Migration reversion failed: ${error.message}`);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = { up, down };
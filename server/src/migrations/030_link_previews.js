@@ -0,0 +1,66 @@
+/**
+ * Migration: Link Previews
+ *
+ * Adds a link_preview column to messages for the preview of the first
+ * link in a message
+ */
+const { pool } = require('../config/database');
+const logger = require('../utils/logger');
+
+/**
+ * Apply the migration
+ */
+async function up() {
+  const client = await pool.connect();
+
+  try {
+    logger.info('Starting migration: Adding link previews to messages');
+
+    await client.query('BEGIN');
+
+    // { url, title, description, image, siteName }, filled in once the link
+    // has been fetched, or attached by the sender of an encrypted message
+    await client.query(`
+      ALTER TABLE messages
+      ADD COLUMN IF NOT EXISTS link_preview JSONB;
+    `);
+
+    await client.query('COMMIT');
+    logger.info('Migration successful: Added link previews to messages');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error(`Migration failed: ${error.message}`);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Revert the migration
+ */
+async function down() {
+  const client = await pool.connect();
+
+  try {
+    logger.info('Reverting migration: Removing link previews from messages');
+
+    await client.query('BEGIN');
+
+    await client.query(`
+      ALTER TABLE messages
+      DROP COLUMN IF EXISTS link_preview;
+    `);
+
+    await client.query('COMMIT');
+    logger.info('Migration reverted: Removed link previews from messages');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error(`Migration reversion failed: ${error.message}`);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = { up, down };
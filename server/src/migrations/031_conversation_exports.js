@@ -0,0 +1,95 @@
+/**
+ * Migration: Conversation Exports
+ *
+ * Creates the conversation_exports table, which tracks jobs that archive
+ * a conversation's history into a downloadable ZIP file
+ */
+const { pool } = require('../config/database');
+const logger = require('../utils/logger');
+
+/**
+ * Apply the migration
+ */
+async function up() {
+  const client = await pool.connect();
+
+  try {
+    logger.info('Starting migration: Creating conversation exports table');
+
+    await client.query('BEGIN');
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS conversation_exports (
+        id UUID PRIMARY KEY,
+        conversation_id UUID NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        include_media BOOLEAN NOT NULL DEFAULT FALSE,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending'
+          CHECK (status IN ('pending', 'processing', 'completed', 'failed')),
+        file_path TEXT,
+        file_size BIGINT,
+        message_count INTEGER,
+        last_error TEXT,
+        locked_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+        completed_at TIMESTAMP WITH TIME ZONE,
+        expires_at TIMESTAMP WITH TIME ZONE
+      );
+    `);
+
+    // The export service claims waiting jobs oldest first
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_conversation_exports_status
+      ON conversation_exports(status, created_at)
+      WHERE status IN ('pending', 'processing');
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_conversation_exports_user
+      ON conversation_exports(user_id, conversation_id);
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_conversation_exports_expires_at
+      ON conversation_exports(expires_at)
+      WHERE expires_at IS NOT NULL;
+    `);
+
+    await client.query('COMMIT');
+    logger.info('Migration successful: Created conversation exports table');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error(`Migration failed: ${error.message}`);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Revert the migration
+ */
+async function down() {
+  const client = await pool.connect();
+
+  try {
+    logger.info('Reverting migration: Dropping conversation exports table');
+
+    await client.query('BEGIN');
+
+    await client.query(`
+      DROP TABLE IF EXISTS conversation_exports;
+    `);
+
+    await client.query('COMMIT');
+    logger.info('Migration reverted: Dropped conversation exports table');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error(`Migration reversion failed: ${error.message}`);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = { up, down };
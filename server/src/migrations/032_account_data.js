@@ -0,0 +1,112 @@
+/**
+ * Migration: Account Data
+ *
+ * Creates the data_exports table, which tracks "download my data" jobs,
+ * and the placeholder user that anonymised messages of deleted accounts
+ * are reassigned to
+ */
+const { pool } = require('../config/database');
+const logger = require('../utils/logger');
+
+// Matches User.DELETED_USER_ID
+const DELETED_USER_ID = '00000000-0000-0000-0000-000000000000';
+
+/**
+ * Apply the migration
+ */
+async function up() {
+  const client = await pool.connect();
+
+  try {
+    logger.info('Starting migration: Creating data exports table and deleted user placeholder');
+
+    await client.query('BEGIN');
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS data_exports (
+        id UUID PRIMARY KEY,
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending'
+          CHECK (status IN ('pending', 'processing', 'completed', 'failed')),
+        file_path TEXT,
+        file_size BIGINT,
+        last_error TEXT,
+        locked_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+        completed_at TIMESTAMP WITH TIME ZONE,
+        expires_at TIMESTAMP WITH TIME ZONE
+      );
+    `);
+
+    // The service claims waiting jobs oldest first
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_data_exports_status
+      ON data_exports(status, created_at)
+      WHERE status IN ('pending', 'processing');
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_data_exports_user
+      ON data_exports(user_id);
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_data_exports_expires_at
+      ON data_exports(expires_at)
+      WHERE expires_at IS NOT NULL;
+    `);
+
+    // Nobody can sign in as the placeholder: '!' is never a bcrypt hash,
+    // and the account is suspended indefinitely
+    await client.query(`
+      INSERT INTO users (id, username, email, password_hash, full_name, status, suspended_at, suspension_reason)
+      VALUES ($1, 'deleted_user', 'deleted-user@swickr.invalid', '!', 'Deleted user', 'offline', NOW(), 'Placeholder for deleted accounts')
+      ON CONFLICT (id) DO NOTHING;
+    `, [DELETED_USER_ID]);
+
+    await client.query('COMMIT');
+    logger.info('Migration successful: Created data exports table and deleted user placeholder');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error(`Migration failed: ${error.message}`);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Revert the migration
+ *
+ * The placeholder user is kept if anonymised messages still point at it.
+ */
+async function down() {
+  const client = await pool.connect();
+
+  try {
+    logger.info('Reverting migration: Dropping data exports table');
+
+    await client.query('BEGIN');
+
+    await client.query(`
+      DROP TABLE IF EXISTS data_exports;
+    `);
+
+    await client.query(`
+      DELETE FROM users u
+      WHERE u.id = $1
+      AND NOT EXISTS (SELECT 1 FROM messages m WHERE m.sender_id = u.id);
+    `, [DELETED_USER_ID]);
+
+    await client.query('COMMIT');
+    logger.info('Migration reverted: Dropped data exports table');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error(`Migration reversion failed: ${error.message}`);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = { up, down };
@@ -56,6 +56,18 @@ class Contact {
         throw new Error('User not found');
       }
       
+      // Check if either user has blocked the other
+      const blocked = await client.query(
+        `SELECT 1 FROM user_blocks
+         WHERE (blocker_id = $1 AND blocked_id = $2) OR (blocker_id = $2 AND blocked_id = $1)`,
+        [userId, contactId]
+      );
+      
+      if (blocked.rows.length > 0) {
+        logger.debug(`Block between user=${userId} and contact=${contactId}`);
+        throw new Error('User is blocked');
+      }
+      
       // Check if contact already exists
       logger.debug(`Checking if contact already exists: user=${userId}, contact=${contactId}`);
       const existingContact = await client.query(
@@ -192,6 +204,10 @@ class Contact {
          FROM users u
          WHERE u.id != $2
          AND (u.username ILIKE $1 OR u.full_name ILIKE $1)
+         AND NOT EXISTS (
+           SELECT 1 FROM user_blocks b
+           WHERE (b.blocker_id = $2 AND b.blocked_id = u.id) OR (b.blocker_id = u.id AND b.blocked_id = $2)
+         )
          ORDER BY u.full_name
          LIMIT 20`,
         [`%${query}%`, userId]
@@ -0,0 +1,259 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const { pool } = require('../config/database');
+const logger = require('../utils/logger');
+const ContactRequest = require('./ContactRequest');
+
+// Invites last a week unless the user picks otherwise, and at most 30 days
+const DEFAULT_EXPIRY_HOURS = 7 * 24;
+const MAX_EXPIRY_HOURS = 30 * 24;
+
+// Most people an invite can be used by
+const MAX_USES_LIMIT = 1000;
+
+// JWT type claim, so other tokens signed with the same secret can't be redeemed
+const TOKEN_TYPE = 'contact_invite';
+
+/**
+ * Get the secret invite tokens are signed with
+ *
+ * Derived from JWT_SECRET unless set on its own, but never equal to it, so
+ * an invite token can't be used as an access token.
+ * @returns {string} Secret
+ */
+const getSecret = () => process.env.CONTACT_INVITE_SECRET ||
+  crypto.createHmac('sha256', process.env.JWT_SECRET || 'your-secret-key').update(TOKEN_TYPE).digest('hex');
+
+/**
+ * ContactInvite Model
+ *
+ * Represents a shareable link (or QR code) for adding a user as a contact.
+ * Links carry a signed token; the invite's expiry, use count and revocation
+ * are checked against the database when it's redeemed.
+ */
+class ContactInvite {
+  /**
+   * Create an invite
+   * @param {string} userId - ID of the user sharing the invite
+   * @param {Object} options - Invite options
+   * @param {number} options.expiresInHours - Hours until the invite expires
+   * @param {number} options.maxUses - How many people can use it (null for no limit)
+   * @param {boolean} options.requireApproval - Send a contact request instead of adding the contact
+   * @returns {Promise<Object>} Invite with its token
+   */
+  static async create(userId, options = {}) {
+    const { expiresInHours = DEFAULT_EXPIRY_HOURS, maxUses = null, requireApproval = false } = options;
+
+    if (!Number.isInteger(expiresInHours) || expiresInHours < 1 || expiresInHours > MAX_EXPIRY_HOURS) {
+      throw new Error(`Invalid expiry. Must be between 1 and ${MAX_EXPIRY_HOURS} hours`);
+    }
+
+    if (maxUses !== null && (!Number.isInteger(maxUses) || maxUses < 1 || maxUses > MAX_USES_LIMIT)) {
+      throw new Error(`Invalid max uses. Must be between 1 and ${MAX_USES_LIMIT}`);
+    }
+
+    try {
+      const result = await pool.query(
+        `INSERT INTO contact_invites (id, user_id, max_uses, require_approval, expires_at)
+         VALUES ($1, $2, $3, $4, NOW() + make_interval(hours => $5))
+         RETURNING *`,
+        [uuidv4(), userId, maxUses, Boolean(requireApproval), expiresInHours]
+      );
+
+      return this.format(result.rows[0]);
+    } catch (error) {
+      logger.error(`Error creating contact invite: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a user's invites that can still be used
+   * @param {string} userId - User ID
+   * @returns {Promise<Array<Object>>} Invites, most recent first
+   */
+  static async getActive(userId) {
+    try {
+      const result = await pool.query(
+        `SELECT * FROM contact_invites
+         WHERE user_id = $1
+         AND revoked_at IS NULL
+         AND expires_at > NOW()
+         AND (max_uses IS NULL OR use_count < max_uses)
+         ORDER BY created_at DESC`,
+        [userId]
+      );
+
+      return result.rows.map(row => this.format(row));
+    } catch (error) {
+      logger.error(`Error getting contact invites: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Get one of a user's invites
+   * @param {string} inviteId - Invite ID
+   * @param {string} userId - ID of the user who created it
+   * @returns {Promise<Object|null>} Invite, or null if not found
+   */
+  static async getById(inviteId, userId) {
+    try {
+      const result = await pool.query(
+        'SELECT * FROM contact_invites WHERE id = $1 AND user_id = $2',
+        [inviteId, userId]
+      );
+
+      return result.rows.length > 0 ? this.format(result.rows[0]) : null;
+    } catch (error) {
+      logger.error(`Error getting contact invite: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke one of a user's invites
+   * @param {string} inviteId - Invite ID
+   * @param {string} userId - ID of the user who created it
+   * @returns {Promise<boolean>} Whether an active invite was revoked
+   */
+  static async revoke(inviteId, userId) {
+    try {
+      const result = await pool.query(
+        `UPDATE contact_invites
+         SET revoked_at = NOW()
+         WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL`,
+        [inviteId, userId]
+      );
+
+      return result.rowCount > 0;
+    } catch (error) {
+      logger.error(`Error revoking contact invite: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Redeem an invite token
+   *
+   * Adds the invite's owner as a contact, or sends them a contact request
+   * if the invite requires approval. A use is only counted if that works.
+   * @param {string} token - Invite token
+   * @param {string} userId - ID of the user redeeming it
+   * @returns {Promise<Object|null>} { ownerId, request, contact }, or null if the token isn't a valid invite
+   * @throws {Error} If the invite has expired, been revoked or been used up, or the users can't become contacts
+   */
+  static async redeem(token, userId) {
+    const inviteId = this.verifyToken(token);
+
+    if (!inviteId) {
+      return null;
+    }
+
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const found = await client.query(
+        'SELECT * FROM contact_invites WHERE id = $1 FOR UPDATE',
+        [inviteId]
+      );
+
+      if (found.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      const invite = found.rows[0];
+
+      if (invite.revoked_at) {
+        throw new Error('Invite has been revoked');
+      }
+
+      if (new Date(invite.expires_at) <= new Date()) {
+        throw new Error('Invite has expired');
+      }
+
+      if (invite.max_uses !== null && invite.use_count >= invite.max_uses) {
+        throw new Error('Invite has been used up');
+      }
+
+      const result = await ContactRequest.send(client, userId, invite.user_id, { accept: !invite.require_approval });
+
+      await client.query(
+        'UPDATE contact_invites SET use_count = use_count + 1 WHERE id = $1',
+        [inviteId]
+      );
+
+      await client.query('COMMIT');
+
+      return { ownerId: invite.user_id, ...result };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error(`Error redeeming contact invite: ${error.message}`);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Sign the token for an invite
+   *
+   * Tokens are deterministic, so an invite's link stays the same each time
+   * it's listed.
+   * @param {Object} row - contact_invites row
+   * @returns {string} Token
+   */
+  static signToken(row) {
+    return jwt.sign(
+      { type: TOKEN_TYPE, inviteId: row.id, exp: Math.floor(new Date(row.expires_at).getTime() / 1000) },
+      getSecret(),
+      { noTimestamp: true }
+    );
+  }
+
+  /**
+   * Check an invite token's signature and expiry
+   * @param {string} token - Invite token
+   * @returns {string|null} Invite ID, or null if the token is invalid or expired
+   */
+  static verifyToken(token) {
+    if (typeof token !== 'string' || !token) {
+      return null;
+    }
+
+    try {
+      const decoded = jwt.verify(token, getSecret());
+
+      return decoded.type === TOKEN_TYPE ? decoded.inviteId : null;
+    } catch (error) {
+      logger.debug(`Invalid contact invite token: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Format a contact_invites row
+   * @param {Object} row - contact_invites row
+   * @returns {Object} Invite with its token
+   */
+  static format(row) {
+    return {
+      id: row.id,
+      token: this.signToken(row),
+      maxUses: row.max_uses,
+      useCount: row.use_count,
+      requireApproval: row.require_approval,
+      expiresAt: row.expires_at,
+      revokedAt: row.revoked_at,
+      createdAt: row.created_at
+    };
+  }
+}
+
+ContactInvite.DEFAULT_EXPIRY_HOURS = DEFAULT_EXPIRY_HOURS;
+
+module.exports = ContactInvite;
@@ -0,0 +1,385 @@
+const { v4: uuidv4 } = require('uuid');
+const { pool } = require('../config/database');
+const logger = require('../utils/logger');
+
+// Longest note a user can send with a request
+const MAX_MESSAGE_LENGTH = 280;
+
+// Postgres unique_violation error code
+const UNIQUE_VIOLATION = '23505';
+
+// Details of the other user shown with a request, in the same shape as contacts
+const USER_COLUMNS = 'u.id AS user_id, u.username, u.full_name AS name, u.profile_picture AS avatar';
+
+/**
+ * ContactRequest Model
+ *
+ * Represents a request from one user to add another as a contact. The two
+ * become contacts of each other only when the recipient accepts.
+ */
+class ContactRequest {
+  /**
+   * Send a contact request
+   *
+   * If the recipient has already asked to add the requester, that request
+   * is accepted instead and the two become contacts straight away.
+   * @param {string} requesterId - ID of the user sending the request
+   * @param {string} recipientId - ID of the user to add
+   * @param {string} message - Optional note for the recipient
+   * @returns {Promise<Object>} { request, contact }, where contact is set if the users are now contacts
+   */
+  static async create(requesterId, recipientId, message = null) {
+    if (message !== null && (typeof message !== 'string' || message.length > MAX_MESSAGE_LENGTH)) {
+      throw new Error(`Invalid message. Must be text of at most ${MAX_MESSAGE_LENGTH} characters`);
+    }
+
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const result = await this.send(client, requesterId, recipientId, { message });
+
+      await client.query('COMMIT');
+
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error(`Error creating contact request: ${error.message}`);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Send a contact request inside a transaction
+   * @param {Object} client - Database client inside a transaction
+   * @param {string} requesterId - ID of the user sending the request
+   * @param {string} recipientId - ID of the user to add
+   * @param {Object} options - Request options
+   * @param {string} options.message - Optional note for the recipient
+   * @param {boolean} options.accept - Accept the request straight away, when the recipient has already agreed (e.g. by sharing an invite)
+   * @returns {Promise<Object>} { request, contact }, where contact is the recipient if the users are now contacts
+   */
+  static async send(client, requesterId, recipientId, { message = null, accept = false } = {}) {
+    if (requesterId === recipientId) {
+      throw new Error('Cannot add yourself as a contact');
+    }
+
+    const userResult = await client.query('SELECT id FROM users WHERE id = $1', [recipientId]);
+
+    if (userResult.rows.length === 0) {
+      throw new Error('User not found');
+    }
+
+    const blocked = await client.query(
+      `SELECT 1 FROM user_blocks
+       WHERE (blocker_id = $1 AND blocked_id = $2) OR (blocker_id = $2 AND blocked_id = $1)`,
+      [requesterId, recipientId]
+    );
+
+    if (blocked.rows.length > 0) {
+      throw new Error('User is blocked');
+    }
+
+    const existing = await client.query(
+      `SELECT COUNT(*)::int AS count FROM contacts
+       WHERE (user_id = $1 AND contact_id = $2) OR (user_id = $2 AND contact_id = $1)`,
+      [requesterId, recipientId]
+    );
+
+    if (existing.rows[0].count === 2) {
+      throw new Error('Contact already exists');
+    }
+
+    // They've already asked to add us, so this is an accept
+    const reverse = await client.query(
+      `SELECT * FROM contact_requests
+       WHERE requester_id = $1 AND recipient_id = $2 AND status = 'pending'
+       FOR UPDATE`,
+      [recipientId, requesterId]
+    );
+
+    if (reverse.rows.length > 0) {
+      return this.acceptRequest(client, reverse.rows[0], recipientId);
+    }
+
+    let inserted;
+
+    try {
+      inserted = await client.query(
+        `INSERT INTO contact_requests (id, requester_id, recipient_id, message)
+         VALUES ($1, $2, $3, $4)
+         RETURNING *`,
+        [uuidv4(), requesterId, recipientId, message]
+      );
+    } catch (error) {
+      if (error.code === UNIQUE_VIOLATION) {
+        throw new Error('Contact request already sent');
+      }
+
+      throw error;
+    }
+
+    if (accept) {
+      return this.acceptRequest(client, inserted.rows[0], recipientId);
+    }
+
+    return { request: await this.getWithUser(client, inserted.rows[0].id, 'recipient_id'), contact: null };
+  }
+
+  /**
+   * Accept a contact request sent to the user
+   * @param {string} requestId - Request ID
+   * @param {string} userId - ID of the recipient
+   * @returns {Promise<Object|null>} { request, contact }, or null if there's no such request for the user
+   * @throws {Error} If the request has already been answered or cancelled
+   */
+  static async accept(requestId, userId) {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const found = await client.query(
+        `SELECT * FROM contact_requests
+         WHERE id = $1 AND recipient_id = $2
+         FOR UPDATE`,
+        [requestId, userId]
+      );
+
+      if (found.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      if (found.rows[0].status !== 'pending') {
+        throw new Error('Contact request is no longer pending');
+      }
+
+      const result = await this.acceptRequest(client, found.rows[0], found.rows[0].requester_id);
+
+      await client.query('COMMIT');
+
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error(`Error accepting contact request: ${error.message}`);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Mark a pending request accepted and make the two users contacts
+   * @param {Object} client - Database client inside a transaction
+   * @param {Object} row - Pending contact_requests row
+   * @param {string} contactId - Which of the two users to return as the new contact
+   * @returns {Promise<Object>} { request, contact }, with the request showing the same user
+   */
+  static async acceptRequest(client, row, contactId) {
+    await client.query(
+      `UPDATE contact_requests
+       SET status = 'accepted', responded_at = NOW()
+       WHERE id = $1`,
+      [row.id]
+    );
+
+    await client.query(
+      `INSERT INTO contacts (user_id, contact_id)
+       VALUES ($1, $2), ($2, $1)
+       ON CONFLICT (user_id, contact_id) DO NOTHING`,
+      [row.requester_id, row.recipient_id]
+    );
+
+    const contact = await client.query(
+      `SELECT u.id, u.username, u.full_name as name, u.profile_picture as avatar, u.status, u.last_seen
+       FROM users u
+       WHERE u.id = $1`,
+      [contactId]
+    );
+
+    return {
+      request: await this.getWithUser(client, row.id, contactId === row.requester_id ? 'requester_id' : 'recipient_id'),
+      contact: contact.rows[0]
+    };
+  }
+
+  /**
+   * Decline a contact request sent to the user
+   * @param {string} requestId - Request ID
+   * @param {string} userId - ID of the recipient
+   * @returns {Promise<Object|null>} Declined request, or null if there's no such request for the user
+   */
+  static async decline(requestId, userId) {
+    return this.close(requestId, userId, 'recipient_id', 'declined');
+  }
+
+  /**
+   * Cancel a contact request the user sent
+   * @param {string} requestId - Request ID
+   * @param {string} userId - ID of the requester
+   * @returns {Promise<Object|null>} Cancelled request, or null if there's no such request from the user
+   */
+  static async cancel(requestId, userId) {
+    return this.close(requestId, userId, 'requester_id', 'cancelled');
+  }
+
+  /**
+   * Close a pending request without adding the contact
+   * @param {string} requestId - Request ID
+   * @param {string} userId - ID of the user closing it
+   * @param {string} party - Column the user has to match (requester_id or recipient_id)
+   * @param {string} status - declined or cancelled
+   * @returns {Promise<Object|null>} Closed request, or null if not found
+   * @throws {Error} If the request has already been answered or cancelled
+   */
+  static async close(requestId, userId, party, status) {
+    try {
+      const result = await pool.query(
+        `UPDATE contact_requests
+         SET status = $3, responded_at = NOW()
+         WHERE id = $1 AND ${party} = $2 AND status = 'pending'
+         RETURNING *`,
+        [requestId, userId, status]
+      );
+
+      if (result.rows.length > 0) {
+        return this.format(result.rows[0]);
+      }
+
+      const existing = await pool.query(
+        `SELECT status FROM contact_requests WHERE id = $1 AND ${party} = $2`,
+        [requestId, userId]
+      );
+
+      if (existing.rows.length === 0) {
+        return null;
+      }
+
+      throw new Error('Contact request is no longer pending');
+    } catch (error) {
+      logger.error(`Error closing contact request: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Get pending requests sent to a user
+   * @param {string} userId - User ID
+   * @returns {Promise<Array<Object>>} Requests with the requester's details, most recent first
+   */
+  static async getIncoming(userId) {
+    try {
+      const result = await pool.query(
+        `SELECT r.*, ${USER_COLUMNS}
+         FROM contact_requests r
+         JOIN users u ON u.id = r.requester_id
+         WHERE r.recipient_id = $1 AND r.status = 'pending'
+         ORDER BY r.created_at DESC`,
+        [userId]
+      );
+
+      return result.rows.map(row => this.format(row));
+    } catch (error) {
+      logger.error(`Error getting incoming contact requests: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Get pending requests a user has sent
+   * @param {string} userId - User ID
+   * @returns {Promise<Array<Object>>} Requests with the recipient's details, most recent first
+   */
+  static async getOutgoing(userId) {
+    try {
+      const result = await pool.query(
+        `SELECT r.*, ${USER_COLUMNS}
+         FROM contact_requests r
+         JOIN users u ON u.id = r.recipient_id
+         WHERE r.requester_id = $1 AND r.status = 'pending'
+         ORDER BY r.created_at DESC`,
+        [userId]
+      );
+
+      return result.rows.map(row => this.format(row));
+    } catch (error) {
+      logger.error(`Error getting outgoing contact requests: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a request with the details of one of its users
+   * @param {Object} client - Database client
+   * @param {string} requestId - Request ID
+   * @param {string} party - Whose details to include (requester_id or recipient_id)
+   * @returns {Promise<Object>} Request
+   */
+  static async getWithUser(client, requestId, party) {
+    const result = await client.query(
+      `SELECT r.*, ${USER_COLUMNS}
+       FROM contact_requests r
+       JOIN users u ON u.id = r.${party}
+       WHERE r.id = $1`,
+      [requestId]
+    );
+
+    return this.format(result.rows[0]);
+  }
+
+  /**
+   * Push a notification about a new request to its recipient
+   * @param {Object} request - Formatted request
+   * @param {Object} requester - Requester ({ username })
+   * @returns {Promise<void>}
+   */
+  static async sendContactRequestNotification(request, requester) {
+    try {
+      const notificationService = require('../services/NotificationService');
+
+      await notificationService.createNotification(
+        request.recipientId,
+        'contact_request',
+        'New contact request',
+        `${requester.username} wants to add you as a contact`,
+        { requestId: request.id, requesterId: request.requesterId }
+      );
+    } catch (error) {
+      logger.error(`Error sending contact request notification: ${error.message}`);
+    }
+  }
+
+  /**
+   * Format a contact_requests row
+   * @param {Object} row - contact_requests row, optionally joined with the other user's details
+   * @returns {Object} Request
+   */
+  static format(row) {
+    const request = {
+      id: row.id,
+      requesterId: row.requester_id,
+      recipientId: row.recipient_id,
+      message: row.message,
+      status: row.status,
+      createdAt: row.created_at,
+      respondedAt: row.responded_at
+    };
+
+    if (row.user_id) {
+      request.user = {
+        id: row.user_id,
+        username: row.username,
+        name: row.name,
+        avatar: row.avatar
+      };
+    }
+
+    return request;
+  }
+}
+
+module.exports = ContactRequest;
@@ -1,6 +1,51 @@
 const db = require('../config/database');
 const logger = require('../utils/logger');
 const { v4: uuidv4 } = require('uuid');
+const UserBlock = require('./UserBlock');
+
+// Disappearing message timers, in seconds (null = off)
+const DISAPPEARING_TIMERS = {
+  off: null,
+  '30s': 30,
+  '5m': 5 * 60,
+  '1h': 60 * 60,
+  '1d': 24 * 60 * 60,
+  '7d': 7 * 24 * 60 * 60
+};
+
+// Maximum number of pinned messages per conversation
+const MAX_PINNED_MESSAGES = 5;
+
+// Per-conversation notification levels: every message, only @mentions, or nothing
+const NOTIFICATION_LEVELS = ['all', 'mentions', 'none'];
+
+// Mute durations, in seconds (null = until unmuted)
+const MUTE_DURATIONS = {
+  '8h': 8 * 60 * 60,
+  '1w': 7 * 24 * 60 * 60,
+  forever: null
+};
+
+// Group roles, lowest to highest
+const GROUP_ROLES = ['read_only', 'member', 'moderator', 'admin', 'owner'];
+
+// Lowest role allowed to do each of these in a group, unless the group changes it
+const GROUP_PERMISSIONS = {
+  sendMessages: 'member',
+  addMembers: 'admin',
+  editInfo: 'admin',
+  pinMessages: 'admin'
+};
+
+// Roles a group permission can be set to (read-only members can never do any of them)
+const PERMISSION_ROLES = ['member', 'moderator', 'admin', 'owner'];
+
+/**
+ * Get a role's position in GROUP_ROLES
+ * @param {string} role - Group role
+ * @returns {number} Rank, or -1 for unknown roles and non-participants
+ */
+const rankOf = role => GROUP_ROLES.indexOf(role);
 
 class Conversation {
   /**
@@ -9,9 +54,10 @@ class Conversation {
    * @param {boolean} data.isGroup - Whether this is a group conversation
    * @param {string} data.name - Name of the group conversation (null for direct)
    * @param {Array<string>} data.participantIds - Array of participant user IDs
+   * @param {string} data.ownerId - ID of the group's owner (groups only)
    * @returns {Promise<Object>} Created conversation
    */
-  static async create({ isGroup = false, name = null, participantIds }) {
+  static async create({ isGroup = false, name = null, participantIds, ownerId = null }) {
     try {
       if (!participantIds || !Array.isArray(participantIds) || participantIds.length < 2) {
         throw new Error('At least two participants are required');
@@ -32,7 +78,7 @@ class Conversation {
 
       // Add participants
       await Promise.all(participantIds.map(userId => 
-        this.addParticipant(conversation.id, userId)
+        this.addParticipant(conversation.id, userId, isGroup && userId === ownerId ? 'owner' : 'member')
       ));
 
       // Get full conversation with participants
@@ -46,18 +92,21 @@ class Conversation {
   /**
    * Get conversation by ID
    * @param {string} id - Conversation ID
+   * @param {Object} options - Options
+   * @param {boolean} options.includePins - Also return the current pins, for payloads sent to clients
+   * @param {Object} options.client - Database client, to read inside a transaction
    * @returns {Promise<Object>} Conversation with participants
    */
-  static async getById(id) {
+  static async getById(id, { includePins = false, client = db } = {}) {
     try {
       // Get conversation
       const conversationQuery = `
-        SELECT id, is_group, name, created_at, updated_at
+        SELECT id, is_group, name, message_ttl, permissions, created_at, updated_at
         FROM conversations
         WHERE id = $1
       `;
       
-      const conversationResult = await db.query(conversationQuery, [id]);
+      const conversationResult = await client.query(conversationQuery, [id]);
       
       if (conversationResult.rows.length === 0) {
         return null;
@@ -67,15 +116,19 @@ class Conversation {
       
       // Get participants
       const participantsQuery = `
-        SELECT u.id
+        SELECT u.id, cp.role
         FROM conversation_participants cp
         JOIN users u ON cp.user_id = u.id
         WHERE cp.conversation_id = $1
       `;
       
-      const participantsResult = await db.query(participantsQuery, [id]);
+      const participantsResult = await client.query(participantsQuery, [id]);
       conversation.participants = participantsResult.rows;
       
+      if (includePins) {
+        conversation.pins = await this.getPins(id);
+      }
+      
       return conversation;
     } catch (error) {
       logger.error(`Error getting conversation: ${error.message}`);
@@ -123,9 +176,15 @@ class Conversation {
    * @param {string} userId1 - First user ID
    * @param {string} userId2 - Second user ID
    * @returns {Promise<Object>} Conversation
+   * @throws {Error} If either user has blocked the other
    */
   static async getOrCreateDirectConversation(userId1, userId2) {
     try {
+      // Blocked users can't start or reopen a chat with each other
+      if (await UserBlock.isBlockedBetween(userId1, userId2)) {
+        throw new Error('User is blocked');
+      }
+      
       // Check if conversation already exists
       const existingConversation = await this.getDirectConversation(userId1, userId2);
       
@@ -144,21 +203,38 @@ class Conversation {
     }
   }
 
+  /**
+   * Check whether a user is blocked from messaging a direct conversation
+   * @param {Object} conversation - Conversation with participants
+   * @param {string} userId - User ID of the sender
+   * @returns {Promise<boolean>} True if the sender and the other participant are on either side of a block
+   */
+  static async isBlockedDirectConversation(conversation, userId) {
+    if (conversation.is_group) {
+      return false;
+    }
+    
+    const recipient = conversation.participants.find(participant => participant.id !== userId);
+    return Boolean(recipient) && UserBlock.isBlockedBetween(userId, recipient.id);
+  }
+
   /**
    * Add participant to conversation
    * @param {string} conversationId - Conversation ID
    * @param {string} userId - User ID
+   * @param {string} role - Group role
+   * @param {Object} client - Database client, to run inside a transaction
    * @returns {Promise<void>}
    */
-  static async addParticipant(conversationId, userId) {
+  static async addParticipant(conversationId, userId, role = 'member', client = db.pool) {
     try {
       const query = `
-        INSERT INTO conversation_participants (conversation_id, user_id)
-        VALUES ($1, $2)
+        INSERT INTO conversation_participants (conversation_id, user_id, role)
+        VALUES ($1, $2, $3)
         ON CONFLICT (conversation_id, user_id) DO NOTHING
       `;
       
-      await db.query(query, [conversationId, userId]);
+      await client.query(query, [conversationId, userId, role]);
     } catch (error) {
       logger.error(`Error adding participant: ${error.message}`);
       throw error;
@@ -263,7 +339,7 @@ class Conversation {
   static async getForUser(userId) {
     try {
       const query = `
-        SELECT c.id, c.is_group, c.name, c.created_at, c.updated_at
+        SELECT c.id, c.is_group, c.name, c.message_ttl, c.created_at, c.updated_at
         FROM conversations c
         JOIN conversation_participants cp ON c.id = cp.conversation_id
         WHERE cp.user_id = $1
@@ -288,6 +364,7 @@ class Conversation {
             id: conversation.id,
             isGroup: conversation.is_group,
             name: conversation.name,
+            disappearingTimer: this.getDisappearingTimer(conversation.message_ttl),
             participants: participantsResult.rows,
             createdAt: conversation.created_at,
             updatedAt: conversation.updated_at
@@ -365,16 +442,355 @@ class Conversation {
     }
   }
 
+  /**
+   * Update conversation settings
+   * 
+   * Unlike updateGroup, these settings apply to direct conversations too.
+   * @param {string} conversationId - Conversation ID
+   * @param {Object} updates - Updates to apply
+   * @param {string} updates.disappearingTimer - Disappearing message timer (off, 30s, 5m, 1h, 1d, 7d)
+   * @returns {Promise<Object>} Updated conversation
+   */
+  static async updateSettings(conversationId, updates) {
+    try {
+      const conversation = await this.getById(conversationId);
+      if (!conversation) {
+        throw new Error('Conversation not found');
+      }
+      
+      const { disappearingTimer } = updates;
+      const updateFields = [];
+      const values = [conversationId];
+      let valueIndex = 2;
+      
+      if (disappearingTimer !== undefined) {
+        if (!Object.prototype.hasOwnProperty.call(DISAPPEARING_TIMERS, disappearingTimer)) {
+          throw new Error(`Invalid disappearing message timer. Must be one of: ${Object.keys(DISAPPEARING_TIMERS).join(', ')}`);
+        }
+        
+        updateFields.push(`message_ttl = $${valueIndex}`);
+        values.push(DISAPPEARING_TIMERS[disappearingTimer]);
+        valueIndex++;
+      }
+      
+      if (updateFields.length === 0) {
+        return conversation;
+      }
+      
+      // Update the conversation
+      const now = new Date().toISOString();
+      updateFields.push(`updated_at = $${valueIndex}`);
+      values.push(now);
+      
+      const query = `
+        UPDATE conversations
+        SET ${updateFields.join(', ')}
+        WHERE id = $1
+      `;
+      
+      await db.query(query, values);
+      
+      // Get updated conversation with participants
+      return this.getById(conversationId);
+    } catch (error) {
+      logger.error(`Error updating conversation settings: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the disappearing message timer name for a message TTL
+   * @param {number|null} messageTtl - Message TTL in seconds
+   * @returns {string} Timer name (off, 30s, 5m, 1h, 1d, 7d)
+   */
+  static getDisappearingTimer(messageTtl) {
+    const timer = Object.keys(DISAPPEARING_TIMERS).find(key => DISAPPEARING_TIMERS[key] === (messageTtl || null));
+    return timer || 'off';
+  }
+
+  /**
+   * Get pinned messages in a conversation
+   * @param {string} conversationId - Conversation ID
+   * @returns {Promise<Array<Object>>} Pins, most recently pinned first
+   */
+  static async getPins(conversationId) {
+    try {
+      const query = `
+        SELECT pm.message_id, pm.pinned_by, pm.pinned_at,
+               m.sender_id, m.content, m.is_encrypted, m.media_type, m.timestamp
+        FROM pinned_messages pm
+        JOIN messages m ON pm.message_id = m.id
+        WHERE pm.conversation_id = $1
+        ORDER BY pm.pinned_at DESC
+      `;
+      
+      const result = await db.query(query, [conversationId]);
+      
+      return result.rows.map(row => this.formatPin(row));
+    } catch (error) {
+      logger.error(`Error getting pinned messages: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Pin a message in a conversation
+   * @param {string} conversationId - Conversation ID
+   * @param {string} messageId - Message ID
+   * @param {string} userId - ID of the user pinning the message
+   * @returns {Promise<Object>} Created pin
+   */
+  static async pinMessage(conversationId, messageId, userId) {
+    const client = await db.pool.connect();
+    
+    try {
+      await client.query('BEGIN');
+      
+      // Lock the conversation so concurrent pins can't exceed the limit
+      await client.query(
+        'SELECT id FROM conversations WHERE id = $1 FOR UPDATE',
+        [conversationId]
+      );
+      
+      const messageResult = await client.query(
+        `SELECT id, sender_id, content, is_encrypted, media_type, timestamp
+         FROM messages
+         WHERE id = $1 AND conversation_id = $2`,
+        [messageId, conversationId]
+      );
+      
+      if (messageResult.rows.length === 0) {
+        throw new Error('Message not found');
+      }
+      
+      const pinsResult = await client.query(
+        'SELECT message_id FROM pinned_messages WHERE conversation_id = $1',
+        [conversationId]
+      );
+      
+      if (pinsResult.rows.some(row => row.message_id === messageId)) {
+        throw new Error('Message is already pinned');
+      }
+      
+      if (pinsResult.rows.length >= MAX_PINNED_MESSAGES) {
+        throw new Error(`A conversation can have at most ${MAX_PINNED_MESSAGES} pinned messages`);
+      }
+      
+      const insertResult = await client.query(
+        `INSERT INTO pinned_messages (conversation_id, message_id, pinned_by)
+         VALUES ($1, $2, $3)
+         RETURNING message_id, pinned_by, pinned_at`,
+        [conversationId, messageId, userId]
+      );
+      
+      await client.query('COMMIT');
+      
+      const message = messageResult.rows[0];
+      return this.formatPin({
+        ...insertResult.rows[0],
+        sender_id: message.sender_id,
+        content: message.content,
+        is_encrypted: message.is_encrypted,
+        media_type: message.media_type,
+        timestamp: message.timestamp
+      });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error(`Error pinning message: ${error.message}`);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Unpin a message in a conversation
+   * @param {string} conversationId - Conversation ID
+   * @param {string} messageId - Message ID
+   * @returns {Promise<boolean>} True if the message was pinned
+   */
+  static async unpinMessage(conversationId, messageId) {
+    try {
+      const query = `
+        DELETE FROM pinned_messages
+        WHERE conversation_id = $1 AND message_id = $2
+      `;
+      
+      const result = await db.query(query, [conversationId, messageId]);
+      return result.rowCount > 0;
+    } catch (error) {
+      logger.error(`Error unpinning message: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Format a pinned message row
+   * @param {Object} row - pinned_messages row joined with its message
+   * @returns {Object} Pin
+   */
+  static formatPin(row) {
+    return {
+      messageId: row.message_id,
+      senderId: row.sender_id,
+      // Encrypted content stays on the client; it can load the message itself
+      content: row.is_encrypted ? null : row.content,
+      isEncrypted: Boolean(row.is_encrypted),
+      mediaType: row.media_type || null,
+      timestamp: row.timestamp,
+      pinnedBy: row.pinned_by,
+      pinnedAt: row.pinned_at
+    };
+  }
+
+  /**
+   * Get a user's notification settings for a conversation
+   * @param {string} conversationId - Conversation ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Notification settings (defaults if the user has none)
+   */
+  static async getNotificationSettings(conversationId, userId) {
+    try {
+      const query = `
+        SELECT level, muted, muted_until, updated_at
+        FROM conversation_notification_settings
+        WHERE conversation_id = $1 AND user_id = $2
+      `;
+      
+      const result = await db.query(query, [conversationId, userId]);
+      
+      return this.formatNotificationSettings(conversationId, result.rows[0]);
+    } catch (error) {
+      logger.error(`Error getting conversation notification settings: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a user's notification settings for a conversation
+   * @param {string} conversationId - Conversation ID
+   * @param {string} userId - User ID
+   * @param {Object} updates - Settings to change
+   * @param {string} updates.level - Notification level (all, mentions, none)
+   * @param {string|boolean} updates.mute - Mute duration (8h, 1w, forever), or false to unmute
+   * @returns {Promise<Object>} Updated notification settings
+   */
+  static async updateNotificationSettings(conversationId, userId, updates) {
+    try {
+      const { level, mute } = updates;
+      
+      if (level === undefined && mute === undefined) {
+        throw new Error('Notification level or mute is required');
+      }
+      
+      if (level !== undefined && !NOTIFICATION_LEVELS.includes(level)) {
+        throw new Error(`Invalid notification level. Must be one of: ${NOTIFICATION_LEVELS.join(', ')}`);
+      }
+      
+      if (mute !== undefined && mute !== false && !Object.prototype.hasOwnProperty.call(MUTE_DURATIONS, mute)) {
+        throw new Error(`Invalid mute duration. Must be one of: ${Object.keys(MUTE_DURATIONS).join(', ')}`);
+      }
+      
+      const muted = mute === undefined ? null : mute !== false;
+      const mutedUntil = muted && MUTE_DURATIONS[mute] !== null
+        ? new Date(Date.now() + MUTE_DURATIONS[mute] * 1000)
+        : null;
+      
+      // Settings left out of the update keep their current value
+      const query = `
+        INSERT INTO conversation_notification_settings (user_id, conversation_id, level, muted, muted_until)
+        VALUES ($1, $2, COALESCE($3::varchar, 'all'), COALESCE($4::boolean, FALSE), $5)
+        ON CONFLICT (user_id, conversation_id) DO UPDATE SET
+          level = COALESCE($3::varchar, conversation_notification_settings.level),
+          muted = COALESCE($4::boolean, conversation_notification_settings.muted),
+          muted_until = CASE WHEN $4::boolean IS NULL
+            THEN conversation_notification_settings.muted_until
+            ELSE $5 END,
+          updated_at = NOW()
+        RETURNING level, muted, muted_until, updated_at
+      `;
+      
+      const result = await db.query(query, [userId, conversationId, level || null, muted, mutedUntil]);
+      
+      return this.formatNotificationSettings(conversationId, result.rows[0]);
+    } catch (error) {
+      logger.error(`Error updating conversation notification settings: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Reset a user's notification settings for a conversation to the defaults
+   * @param {string} conversationId - Conversation ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Default notification settings
+   */
+  static async resetNotificationSettings(conversationId, userId) {
+    try {
+      await db.query(
+        'DELETE FROM conversation_notification_settings WHERE conversation_id = $1 AND user_id = $2',
+        [conversationId, userId]
+      );
+      
+      return this.formatNotificationSettings(conversationId, null);
+    } catch (error) {
+      logger.error(`Error resetting conversation notification settings: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Format a conversation_notification_settings row
+   * 
+   * A mute whose muted_until has passed is reported as unmuted.
+   * @param {string} conversationId - Conversation ID
+   * @param {Object|null} row - Settings row, or null for the defaults
+   * @returns {Object} Notification settings
+   */
+  static formatNotificationSettings(conversationId, row) {
+    const mutedUntil = row && row.muted_until ? new Date(row.muted_until) : null;
+    const muted = Boolean(row && row.muted && (!mutedUntil || mutedUntil > new Date()));
+    
+    return {
+      conversationId,
+      level: (row && row.level) || 'all',
+      muted,
+      mutedUntil: muted ? mutedUntil : null,
+      updatedAt: (row && row.updated_at) || null
+    };
+  }
+
+  /**
+   * Check whether notification settings let a notification through
+   * 
+   * Mentions get through a mute and the mentions level; the none level blocks everything.
+   * @param {Object} settings - Settings from formatNotificationSettings
+   * @param {string} type - Notification type
+   * @returns {boolean} True if the notification should be sent
+   */
+  static allowsNotification(settings, type) {
+    if (settings.level === 'none') {
+      return false;
+    }
+    
+    if (type === 'mention') {
+      return true;
+    }
+    
+    return settings.level === 'all' && !settings.muted;
+  }
+
   /**
    * Add multiple participants to a group conversation
    * @param {string} conversationId - Conversation ID
    * @param {Array<string>} userIds - Array of user IDs to add
+   * @param {Object} client - Database client, to run inside a transaction
    * @returns {Promise<Object>} Updated conversation
    */
-  static async addParticipants(conversationId, userIds) {
+  static async addParticipants(conversationId, userIds, client = db.pool) {
     try {
       // Check if conversation exists and is a group
-      const conversation = await this.getById(conversationId);
+      const conversation = await this.getById(conversationId, { client });
       if (!conversation) {
         throw new Error('Conversation not found');
       }
@@ -385,18 +801,18 @@ class Conversation {
       
       // Add each participant
       await Promise.all(userIds.map(userId => 
-        this.addParticipant(conversationId, userId)
+        this.addParticipant(conversationId, userId, 'member', client)
       ));
       
       // Update the conversation's updated_at timestamp
       const now = new Date().toISOString();
-      await db.query(
+      await client.query(
         `UPDATE conversations SET updated_at = $1 WHERE id = $2`,
         [now, conversationId]
       );
       
       // Get updated conversation with participants
-      return this.getById(conversationId);
+      return this.getById(conversationId, { client });
     } catch (error) {
       logger.error(`Error adding participants to group: ${error.message}`);
       throw error;
@@ -410,7 +826,34 @@ class Conversation {
    * @returns {Promise<void>}
    */
   static async makeAdmin(conversationId, userId) {
+    return this.setRole(conversationId, userId, 'admin');
+  }
+
+  /**
+   * Remove admin status from a user in a group conversation
+   * @param {string} conversationId - Conversation ID
+   * @param {string} userId - User ID
+   * @returns {Promise<void>}
+   */
+  static async removeAdmin(conversationId, userId) {
+    return this.setRole(conversationId, userId, 'member');
+  }
+
+  /**
+   * Set a member's role in a group conversation
+   *
+   * The owner's role can't be changed here; see transferOwnership.
+   * @param {string} conversationId - Conversation ID
+   * @param {string} userId - User ID
+   * @param {string} role - read_only, member, moderator or admin
+   * @returns {Promise<void>}
+   */
+  static async setRole(conversationId, userId, role) {
     try {
+      if (role === 'owner' || !GROUP_ROLES.includes(role)) {
+        throw new Error(`Invalid role. Must be one of: ${GROUP_ROLES.filter(r => r !== 'owner').join(', ')}`);
+      }
+      
       // Check if conversation exists and is a group
       const conversation = await this.getById(conversationId);
       if (!conversation) {
@@ -418,119 +861,373 @@ class Conversation {
       }
       
       if (!conversation.is_group) {
-        throw new Error('Cannot set admin for a non-group conversation');
+        throw new Error('Cannot set roles in a non-group conversation');
       }
       
-      // Check if user is a participant
-      const isParticipant = await this.isParticipant(conversationId, userId);
-      if (!isParticipant) {
+      const currentRole = await this.getRole(conversationId, userId);
+      if (!currentRole) {
         throw new Error('User is not a participant in this conversation');
       }
       
-      // Make user an admin
-      const query = `
-        UPDATE conversation_participants
-        SET is_admin = true
-        WHERE conversation_id = $1 AND user_id = $2
-      `;
+      if (currentRole === 'owner') {
+        throw new Error('Cannot change the owner\'s role; transfer ownership instead');
+      }
       
-      await db.query(query, [conversationId, userId]);
+      await db.query(
+        `UPDATE conversation_participants
+         SET role = $3
+         WHERE conversation_id = $1 AND user_id = $2`,
+        [conversationId, userId, role]
+      );
     } catch (error) {
-      logger.error(`Error making user an admin: ${error.message}`);
+      logger.error(`Error setting group role: ${error.message}`);
       throw error;
     }
   }
 
   /**
-   * Remove admin status from a user in a group conversation
+   * Get a user's role in a conversation
    * @param {string} conversationId - Conversation ID
    * @param {string} userId - User ID
-   * @returns {Promise<void>}
+   * @returns {Promise<string|null>} Role, or null if the user isn't a participant
    */
-  static async removeAdmin(conversationId, userId) {
+  static async getRole(conversationId, userId) {
     try {
-      // Check if conversation exists and is a group
-      const conversation = await this.getById(conversationId);
-      if (!conversation) {
-        throw new Error('Conversation not found');
-      }
-      
-      if (!conversation.is_group) {
-        throw new Error('Cannot remove admin for a non-group conversation');
-      }
-      
-      // Remove admin status
-      const query = `
-        UPDATE conversation_participants
-        SET is_admin = false
-        WHERE conversation_id = $1 AND user_id = $2
-      `;
+      const result = await db.query(
+        `SELECT role FROM conversation_participants
+         WHERE conversation_id = $1 AND user_id = $2`,
+        [conversationId, userId]
+      );
       
-      await db.query(query, [conversationId, userId]);
+      return result.rows.length > 0 ? result.rows[0].role : null;
     } catch (error) {
-      logger.error(`Error removing admin status: ${error.message}`);
+      logger.error(`Error getting group role: ${error.message}`);
       throw error;
     }
   }
 
   /**
-   * Check if user is an admin of a group conversation
+   * Check if user is an admin (or the owner) of a group conversation
    * @param {string} conversationId - Conversation ID
    * @param {string} userId - User ID
    * @returns {Promise<boolean>} True if user is an admin
    */
   static async isAdmin(conversationId, userId) {
+    const role = await this.getRole(conversationId, userId);
+    
+    return rankOf(role) >= rankOf('admin');
+  }
+
+  /**
+   * Get the participants who may do something in a conversation
+   * @param {string} conversationId - Conversation ID
+   * @param {string} permission - One of the keys of GROUP_PERMISSIONS
+   * @returns {Promise<Array<string>>} User IDs; empty if the conversation doesn't exist
+   */
+  static async getIdsWithPermission(conversationId, permission) {
+    const conversation = await this.getById(conversationId);
+    
+    if (!conversation) {
+      return [];
+    }
+    
+    return conversation.participants
+      .filter(participant => this.can(conversation, participant.id, permission))
+      .map(participant => participant.id);
+  }
+
+  /**
+   * Get a group's permission settings, filling in the defaults
+   * @param {Object} conversation - Conversation, as returned by getById
+   * @returns {Object} Lowest role allowed for each permission in GROUP_PERMISSIONS
+   */
+  static getPermissions(conversation) {
+    return { ...GROUP_PERMISSIONS, ...(conversation.permissions || {}) };
+  }
+
+  /**
+   * Check whether a user may do something in a conversation
+   *
+   * Every participant of a direct conversation may do everything.
+   * @param {Object} conversation - Conversation, as returned by getById
+   * @param {string} userId - User ID
+   * @param {string} permission - One of the keys of GROUP_PERMISSIONS
+   * @returns {boolean} True if allowed
+   */
+  static can(conversation, userId, permission) {
+    if (!GROUP_PERMISSIONS[permission]) {
+      throw new Error(`Unknown group permission: ${permission}`);
+    }
+    
+    const participant = conversation.participants.find(p => p.id === userId);
+    
+    if (!participant) {
+      return false;
+    }
+    
+    if (!conversation.is_group) {
+      return true;
+    }
+    
+    return rankOf(participant.role) >= rankOf(this.getPermissions(conversation)[permission]);
+  }
+
+  /**
+   * Check whether a user may do something in a conversation
+   * @param {string} conversationId - Conversation ID
+   * @param {string} userId - User ID
+   * @param {string} permission - One of the keys of GROUP_PERMISSIONS
+   * @returns {Promise<boolean>} True if allowed; false if the conversation doesn't exist
+   */
+  static async hasPermission(conversationId, userId, permission) {
+    const conversation = await this.getById(conversationId);
+    
+    return conversation ? this.can(conversation, userId, permission) : false;
+  }
+
+  /**
+   * Change a group's permission settings
+   * @param {string} conversationId - Conversation ID
+   * @param {Object} updates - Lowest role allowed for each permission to change
+   * @returns {Promise<Object>} All of the group's permission settings
+   */
+  static async updatePermissions(conversationId, updates) {
     try {
-      const query = `
-        SELECT is_admin FROM conversation_participants
-        WHERE conversation_id = $1 AND user_id = $2
-      `;
+      for (const [permission, role] of Object.entries(updates)) {
+        if (!GROUP_PERMISSIONS[permission]) {
+          throw new Error(`Invalid permission. Must be one of: ${Object.keys(GROUP_PERMISSIONS).join(', ')}`);
+        }
+        
+        if (!PERMISSION_ROLES.includes(role)) {
+          throw new Error(`Invalid role for ${permission}. Must be one of: ${PERMISSION_ROLES.join(', ')}`);
+        }
+      }
       
-      const result = await db.query(query, [conversationId, userId]);
+      const result = await db.query(
+        `UPDATE conversations
+         SET permissions = permissions || $2::jsonb, updated_at = NOW()
+         WHERE id = $1 AND is_group = true
+         RETURNING permissions`,
+        [conversationId, JSON.stringify(updates)]
+      );
       
       if (result.rows.length === 0) {
-        return false;
+        throw new Error('Conversation not found');
       }
       
-      return result.rows[0].is_admin === true;
+      return this.getPermissions(result.rows[0]);
     } catch (error) {
-      logger.error(`Error checking if user is admin: ${error.message}`);
+      logger.error(`Error updating group permissions: ${error.message}`);
       throw error;
     }
   }
 
+  /**
+   * Check whether one member may remove another or change their role
+   *
+   * Moderators and above can manage anyone ranked below them.
+   * @param {string} actorRole - Role of the member acting
+   * @param {string} targetRole - Role of the member affected
+   * @returns {boolean} True if allowed
+   */
+  static canManageMember(actorRole, targetRole) {
+    return rankOf(actorRole) >= rankOf('moderator') && rankOf(actorRole) > rankOf(targetRole);
+  }
+
+  /**
+   * Check whether one member may give another a role
+   *
+   * Nobody can give out a role as high as their own, so only the owner
+   * can make admins.
+   * @param {string} actorRole - Role of the member acting
+   * @param {string} targetRole - Current role of the member affected
+   * @param {string} role - New role
+   * @returns {boolean} True if allowed
+   */
+  static canAssignRole(actorRole, targetRole, role) {
+    return this.canManageMember(actorRole, targetRole) && role !== 'owner' && rankOf(role) < rankOf(actorRole);
+  }
+
+  /**
+   * Hand a group over to another member
+   *
+   * The previous owner stays on as an admin.
+   * @param {string} conversationId - Conversation ID
+   * @param {string} ownerId - ID of the current owner
+   * @param {string} newOwnerId - ID of the member taking over
+   * @returns {Promise<void>}
+   */
+  static async transferOwnership(conversationId, ownerId, newOwnerId) {
+    const client = await db.pool.connect();
+    
+    try {
+      await client.query('BEGIN');
+      
+      const result = await client.query(
+        `SELECT user_id, role FROM conversation_participants
+         WHERE conversation_id = $1 AND user_id IN ($2, $3)
+         FOR UPDATE`,
+        [conversationId, ownerId, newOwnerId]
+      );
+      
+      const owner = result.rows.find(row => row.user_id === ownerId);
+      if (!owner || owner.role !== 'owner') {
+        throw new Error('Only the owner can transfer ownership');
+      }
+      
+      if (ownerId === newOwnerId) {
+        throw new Error('You already own this group');
+      }
+      
+      if (!result.rows.some(row => row.user_id === newOwnerId)) {
+        throw new Error('User is not a participant in this conversation');
+      }
+      
+      // Demote first, as a group can only have one owner
+      await client.query(
+        `UPDATE conversation_participants SET role = 'admin' WHERE conversation_id = $1 AND user_id = $2`,
+        [conversationId, ownerId]
+      );
+      
+      await client.query(
+        `UPDATE conversation_participants SET role = 'owner' WHERE conversation_id = $1 AND user_id = $2`,
+        [conversationId, newOwnerId]
+      );
+      
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error(`Error transferring group ownership: ${error.message}`);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
   /**
    * Leave a group conversation
+   *
+   * If the owner leaves, the highest-ranked remaining member (the
+   * longest-standing one, on a tie) becomes the owner.
    * @param {string} conversationId - Conversation ID
    * @param {string} userId - User ID
-   * @returns {Promise<void>}
+   * @returns {Promise<string|null>} ID of the new owner, if ownership passed on
    */
   static async leaveGroup(conversationId, userId) {
+    // Check if conversation exists and is a group
+    const conversation = await this.getById(conversationId);
+    if (!conversation) {
+      throw new Error('Conversation not found');
+    }
+    
+    if (!conversation.is_group) {
+      throw new Error('Cannot leave a non-group conversation');
+    }
+    
+    const client = await db.pool.connect();
+    
     try {
-      // Check if conversation exists and is a group
-      const conversation = await this.getById(conversationId);
-      if (!conversation) {
-        throw new Error('Conversation not found');
-      }
+      await client.query('BEGIN');
       
-      if (!conversation.is_group) {
-        throw new Error('Cannot leave a non-group conversation');
+      const leaving = await client.query(
+        `SELECT role FROM conversation_participants
+         WHERE conversation_id = $1 AND user_id = $2
+         FOR UPDATE`,
+        [conversationId, userId]
+      );
+      
+      let newOwnerId = null;
+      
+      if (leaving.rows.length > 0 && leaving.rows[0].role === 'owner') {
+        const successor = await client.query(
+          `SELECT user_id FROM conversation_participants
+           WHERE conversation_id = $1 AND user_id <> $2
+           ORDER BY array_position($3::varchar[], role) DESC, joined_at ASC
+           LIMIT 1
+           FOR UPDATE`,
+          [conversationId, userId, GROUP_ROLES]
+        );
+        
+        if (successor.rows.length > 0) {
+          newOwnerId = successor.rows[0].user_id;
+        }
       }
       
       // Remove participant
-      await this.removeParticipant(conversationId, userId);
+      await client.query(
+        `DELETE FROM conversation_participants
+         WHERE conversation_id = $1 AND user_id = $2`,
+        [conversationId, userId]
+      );
+      
+      if (newOwnerId) {
+        await client.query(
+          `UPDATE conversation_participants SET role = 'owner' WHERE conversation_id = $1 AND user_id = $2`,
+          [conversationId, newOwnerId]
+        );
+      }
       
       // Update the conversation's updated_at timestamp
-      const now = new Date().toISOString();
-      await db.query(
+      await client.query(
         `UPDATE conversations SET updated_at = $1 WHERE id = $2`,
-        [now, conversationId]
+        [new Date().toISOString(), conversationId]
       );
+      
+      await client.query('COMMIT');
+      
+      return newOwnerId;
     } catch (error) {
+      await client.query('ROLLBACK');
       logger.error(`Error leaving group: ${error.message}`);
       throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Hand every group a user owns to its next owner, as if they left it
+   *
+   * The successor is picked the same way as in leaveGroup: the highest
+   * role, then whoever joined first. Groups with nobody else in them are
+   * left alone.
+   * @param {string} userId - ID of the owner
+   * @param {Object} client - Database client, to run inside a transaction
+   * @returns {Promise<Array<Object>>} { conversationId, newOwnerId } for each group handed over
+   */
+  static async transferOwnedGroups(userId, client = db.pool) {
+    try {
+      const result = await client.query(
+        `UPDATE conversation_participants cp
+         SET role = 'owner'
+         FROM (
+           SELECT DISTINCT ON (successor.conversation_id) successor.conversation_id, successor.user_id
+           FROM conversation_participants owner
+           JOIN conversations c ON c.id = owner.conversation_id AND c.is_group = true
+           JOIN conversation_participants successor
+             ON successor.conversation_id = owner.conversation_id AND successor.user_id <> owner.user_id
+           WHERE owner.user_id = $1 AND owner.role = 'owner'
+           ORDER BY successor.conversation_id, array_position($2::varchar[], successor.role) DESC, successor.joined_at ASC
+         ) next_owner
+         WHERE cp.conversation_id = next_owner.conversation_id AND cp.user_id = next_owner.user_id
+         RETURNING cp.conversation_id, cp.user_id`,
+        [userId, GROUP_ROLES]
+      );
+
+      return result.rows.map(row => ({ conversationId: row.conversation_id, newOwnerId: row.user_id }));
+    } catch (error) {
+      logger.error(`Error transferring owned groups: ${error.message}`);
+      throw error;
     }
   }
 }
 
+Conversation.DISAPPEARING_TIMERS = DISAPPEARING_TIMERS;
+Conversation.MAX_PINNED_MESSAGES = MAX_PINNED_MESSAGES;
+Conversation.NOTIFICATION_LEVELS = NOTIFICATION_LEVELS;
+Conversation.MUTE_DURATIONS = MUTE_DURATIONS;
+Conversation.GROUP_ROLES = GROUP_ROLES;
+Conversation.GROUP_PERMISSIONS = GROUP_PERMISSIONS;
+Conversation.PERMISSION_ROLES = PERMISSION_ROLES;
+
 module.exports = Conversation;
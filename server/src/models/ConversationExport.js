@@ -0,0 +1,283 @@
+const { v4: uuidv4 } = require('uuid');
+const { pool } = require('../config/database');
+const logger = require('../utils/logger');
+
+// An export that has been "processing" this long is assumed to have crashed
+const STALE_LOCK_MINUTES = 30;
+
+// How long a finished export can be downloaded for
+const RETENTION_DAYS = 7;
+
+/**
+ * ConversationExport Model
+ *
+ * Represents a job that archives a conversation's history for a user, and
+ * the ZIP file it produces
+ */
+class ConversationExport {
+  /**
+   * Start a new export
+   *
+   * @param {Object} data - Export details
+   * @param {string} data.conversationId - ID of the conversation
+   * @param {string} data.userId - ID of the user exporting it
+   * @param {boolean} data.includeMedia - Whether to bundle media files (default: false)
+   * @returns {Promise<Object>} Export
+   */
+  static async create({ conversationId, userId, includeMedia = false }) {
+    try {
+      const result = await pool.query(
+        `INSERT INTO conversation_exports (id, conversation_id, user_id, include_media)
+         VALUES ($1, $2, $3, $4)
+         RETURNING *`,
+        [uuidv4(), conversationId, userId, Boolean(includeMedia)]
+      );
+
+      return this.format(result.rows[0]);
+    } catch (error) {
+      logger.error(`Error creating conversation export: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Get an export by ID
+   *
+   * @param {string} id - Export ID
+   * @returns {Promise<Object|null>} Export, with its filePath, or null if not found
+   */
+  static async getById(id) {
+    try {
+      const result = await pool.query(
+        'SELECT * FROM conversation_exports WHERE id = $1',
+        [id]
+      );
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      return { ...this.format(result.rows[0]), filePath: result.rows[0].file_path };
+    } catch (error) {
+      logger.error(`Error getting conversation export: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a user's unfinished export of a conversation
+   *
+   * @param {string} conversationId - ID of the conversation
+   * @param {string} userId - ID of the user
+   * @returns {Promise<Object|null>} Pending or processing export, or null if there isn't one
+   */
+  static async getActive(conversationId, userId) {
+    try {
+      const result = await pool.query(
+        `SELECT * FROM conversation_exports
+         WHERE conversation_id = $1 AND user_id = $2
+         AND status IN ('pending', 'processing')
+         ORDER BY created_at DESC
+         LIMIT 1`,
+        [conversationId, userId]
+      );
+
+      return result.rows.length > 0 ? this.format(result.rows[0]) : null;
+    } catch (error) {
+      logger.error(`Error getting active conversation export: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Claim pending exports for processing
+   *
+   * Claimed exports move to 'processing'. Exports left in 'processing' by
+   * a crashed instance are reclaimed once the lock is stale.
+   *
+   * @param {number} limit - Maximum number of exports to claim
+   * @returns {Promise<Array<Object>>} Claimed exports
+   */
+  static async claimPending(limit = 2) {
+    try {
+      const result = await pool.query(
+        `UPDATE conversation_exports
+         SET status = 'processing', locked_at = NOW()
+         WHERE id IN (
+           SELECT id FROM conversation_exports
+           WHERE status = 'pending'
+           OR (status = 'processing' AND locked_at < NOW() - INTERVAL '${STALE_LOCK_MINUTES} minutes')
+           ORDER BY created_at ASC
+           LIMIT $1
+           FOR UPDATE SKIP LOCKED
+         )
+         RETURNING *`,
+        [limit]
+      );
+
+      return result.rows.map(row => this.format(row));
+    } catch (error) {
+      logger.error(`Error claiming conversation exports: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Record a finished export
+   *
+   * @param {string} id - Export ID
+   * @param {Object} file - The archive
+   * @param {string} file.filePath - Where it was written
+   * @param {number} file.fileSize - Size in bytes
+   * @param {number} file.messageCount - Number of messages in it
+   * @returns {Promise<Object|null>} Updated export
+   */
+  static async markCompleted(id, { filePath, fileSize, messageCount }) {
+    try {
+      const result = await pool.query(
+        `UPDATE conversation_exports
+         SET status = 'completed', file_path = $2, file_size = $3, message_count = $4,
+             locked_at = NULL, last_error = NULL, completed_at = NOW(),
+             expires_at = NOW() + INTERVAL '${RETENTION_DAYS} days'
+         WHERE id = $1
+         RETURNING *`,
+        [id, filePath, fileSize, messageCount]
+      );
+
+      return result.rows.length > 0 ? this.format(result.rows[0]) : null;
+    } catch (error) {
+      logger.error(`Error completing conversation export: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Record a failed export
+   *
+   * @param {string} id - Export ID
+   * @param {string} reason - Failure reason
+   * @returns {Promise<Object|null>} Updated export
+   */
+  static async markFailed(id, reason) {
+    try {
+      const result = await pool.query(
+        `UPDATE conversation_exports
+         SET status = 'failed', last_error = $2, locked_at = NULL, completed_at = NOW()
+         WHERE id = $1
+         RETURNING *`,
+        [id, reason]
+      );
+
+      return result.rows.length > 0 ? this.format(result.rows[0]) : null;
+    } catch (error) {
+      logger.error(`Error failing conversation export: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete exports past their download window
+   *
+   * @param {number} limit - Maximum number of exports to delete
+   * @returns {Promise<Array<string>>} Paths of the deleted exports' files
+   */
+  static async deleteExpired(limit = 100) {
+    try {
+      const result = await pool.query(
+        `DELETE FROM conversation_exports
+         WHERE id IN (
+           SELECT id FROM conversation_exports
+           WHERE expires_at <= NOW()
+           LIMIT $1
+         )
+         RETURNING file_path`,
+        [limit]
+      );
+
+      return result.rows.map(row => row.file_path).filter(Boolean);
+    } catch (error) {
+      logger.error(`Error deleting expired conversation exports: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a page of a conversation's messages to export, oldest first
+   *
+   * Includes each message's reactions and the stored file of its media.
+   *
+   * @param {string} conversationId - ID of the conversation
+   * @param {Object} options - Query options
+   * @param {Object} options.after - { timestamp, id } of the last message already exported (optional)
+   * @param {number} options.limit - Maximum number of messages (default: 200)
+   * @returns {Promise<Array<Object>>} messages rows with sender_username, reactions and media file columns
+   */
+  static async getMessages(conversationId, { after = null, limit = 200 } = {}) {
+    const params = [conversationId, limit];
+    let positionFilter = '';
+
+    if (after) {
+      params.push(after.timestamp, after.id);
+      positionFilter = 'AND (m.timestamp, m.id) > ($3::timestamptz, $4::uuid)';
+    }
+
+    try {
+      const result = await pool.query(
+        `SELECT
+          m.id, m.sender_id, u.username AS sender_username, m.content, m.message_type,
+          m.is_encrypted, m.encrypted_content, m.iv, m.recipient_keys,
+          m.media_id, m.media_type, m.media_url, m.media_caption, m.media_size, m.media_mime_type,
+          md.user_id AS media_owner_id, md.media_type AS media_folder, md.filename AS media_filename,
+          md.original_filename AS media_original_filename,
+          m.parent_message_id, m.forwarded_from_message_id, m.link_preview,
+          m.timestamp, m.edited_at,
+          (
+            SELECT COALESCE(json_agg(json_build_object(
+              'emoji', r.emoji, 'userId', r.user_id, 'username', ru.username, 'timestamp', r.timestamp
+            ) ORDER BY r.timestamp), '[]'::json)
+            FROM message_reactions r
+            JOIN users ru ON ru.id = r.user_id
+            WHERE r.message_id = m.id
+          ) AS reactions
+        FROM messages m
+        JOIN users u ON u.id = m.sender_id
+        LEFT JOIN media md ON md.id::text = m.media_id::text
+        WHERE m.conversation_id = $1
+        AND (m.expires_at IS NULL OR m.expires_at > NOW())
+        ${positionFilter}
+        ORDER BY m.timestamp ASC, m.id ASC
+        LIMIT $2`,
+        params
+      );
+
+      return result.rows;
+    } catch (error) {
+      logger.error(`Error getting messages to export: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Format a database row
+   *
+   * @param {Object} row - conversation_exports row
+   * @returns {Object} Export
+   */
+  static format(row) {
+    return {
+      id: row.id,
+      conversationId: row.conversation_id,
+      userId: row.user_id,
+      includeMedia: Boolean(row.include_media),
+      status: row.status,
+      fileSize: row.file_size === null || row.file_size === undefined ? null : Number(row.file_size),
+      messageCount: row.message_count,
+      error: row.last_error,
+      createdAt: row.created_at,
+      completedAt: row.completed_at,
+      expiresAt: row.expires_at
+    };
+  }
+}
+
+module.exports = ConversationExport;
@@ -0,0 +1,348 @@
+const { v4: uuidv4 } = require('uuid');
+const { pool } = require('../config/database');
+const logger = require('../utils/logger');
+
+// An export that has been "processing" this long is assumed to have crashed
+const STALE_LOCK_MINUTES = 30;
+
+// How long a finished export can be downloaded for
+const RETENTION_DAYS = 7;
+
+// Postgres error code for a table that doesn't exist
+const UNDEFINED_TABLE = '42P01';
+
+// Rows about a user, by section of the export. Only rows that are the
+// user's own are included, e.g. blocks they made but not blocks against them.
+const SECTIONS = {
+  contacts: 'SELECT * FROM contacts WHERE user_id = $1 ORDER BY created_at',
+  contactRequests: 'SELECT * FROM contact_requests WHERE requester_id = $1 OR recipient_id = $1 ORDER BY created_at',
+  contactInvites: 'SELECT * FROM contact_invites WHERE user_id = $1 ORDER BY created_at',
+  blockedUsers: 'SELECT * FROM user_blocks WHERE blocker_id = $1 ORDER BY created_at',
+  conversations: `SELECT c.id, c.name, c.is_group, cp.role, cp.joined_at
+    FROM conversation_participants cp
+    JOIN conversations c ON c.id = cp.conversation_id
+    WHERE cp.user_id = $1
+    ORDER BY cp.joined_at`,
+  conversationSettings: 'SELECT * FROM conversation_notification_settings WHERE user_id = $1',
+  messageRevisions: 'SELECT * FROM message_revisions WHERE editor_id = $1 ORDER BY created_at',
+  reactions: 'SELECT * FROM message_reactions WHERE user_id = $1 ORDER BY timestamp',
+  mentions: 'SELECT * FROM message_mentions WHERE user_id = $1',
+  readReceipts: 'SELECT * FROM message_read_status WHERE user_id = $1',
+  pollVotes: 'SELECT * FROM poll_votes WHERE user_id = $1',
+  threadFollows: 'SELECT * FROM thread_follows WHERE user_id = $1',
+  scheduledMessages: 'SELECT * FROM scheduled_messages WHERE sender_id = $1 ORDER BY created_at',
+  media: 'SELECT * FROM media WHERE user_id::text = $1 ORDER BY created_at',
+  pushSubscriptions: 'SELECT * FROM push_notification_subscriptions WHERE user_id = $1',
+  notificationSettings: 'SELECT * FROM notification_settings WHERE user_id = $1',
+  notifications: 'SELECT * FROM notifications WHERE user_id = $1 ORDER BY created_at',
+  notificationHistory: 'SELECT * FROM notification_history WHERE user_id = $1 ORDER BY created_at',
+  notificationDigests: 'SELECT * FROM notification_digests WHERE user_id = $1 ORDER BY created_at',
+  statusHistory: 'SELECT * FROM user_status_history WHERE user_id = $1 ORDER BY created_at',
+  groupJoinRequests: 'SELECT * FROM group_join_requests WHERE user_id = $1 ORDER BY created_at',
+  reports: 'SELECT * FROM reports WHERE reporter_id = $1 ORDER BY created_at',
+  conversationExports: 'SELECT * FROM conversation_exports WHERE user_id = $1 ORDER BY created_at'
+};
+
+/**
+ * DataExport Model
+ *
+ * Represents a job that archives everything the service holds about a
+ * user ("download my data"), and the ZIP file it produces
+ */
+class DataExport {
+  /**
+   * Start a new export
+   *
+   * @param {string} userId - ID of the user
+   * @returns {Promise<Object>} Export
+   */
+  static async create(userId) {
+    try {
+      const result = await pool.query(
+        `INSERT INTO data_exports (id, user_id)
+         VALUES ($1, $2)
+         RETURNING *`,
+        [uuidv4(), userId]
+      );
+
+      return this.format(result.rows[0]);
+    } catch (error) {
+      logger.error(`Error creating data export: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Get an export by ID
+   *
+   * @param {string} id - Export ID
+   * @returns {Promise<Object|null>} Export, with its filePath, or null if not found
+   */
+  static async getById(id) {
+    try {
+      const result = await pool.query(
+        'SELECT * FROM data_exports WHERE id = $1',
+        [id]
+      );
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      return { ...this.format(result.rows[0]), filePath: result.rows[0].file_path };
+    } catch (error) {
+      logger.error(`Error getting data export: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a user's unfinished export
+   *
+   * @param {string} userId - ID of the user
+   * @returns {Promise<Object|null>} Pending or processing export, or null if there isn't one
+   */
+  static async getActive(userId) {
+    try {
+      const result = await pool.query(
+        `SELECT * FROM data_exports
+         WHERE user_id = $1
+         AND status IN ('pending', 'processing')
+         ORDER BY created_at DESC
+         LIMIT 1`,
+        [userId]
+      );
+
+      return result.rows.length > 0 ? this.format(result.rows[0]) : null;
+    } catch (error) {
+      logger.error(`Error getting active data export: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Claim pending exports for processing
+   *
+   * Claimed exports move to 'processing'. Exports left in 'processing' by
+   * a crashed instance are reclaimed once the lock is stale.
+   *
+   * @param {number} limit - Maximum number of exports to claim
+   * @returns {Promise<Array<Object>>} Claimed exports
+   */
+  static async claimPending(limit = 2) {
+    try {
+      const result = await pool.query(
+        `UPDATE data_exports
+         SET status = 'processing', locked_at = NOW()
+         WHERE id IN (
+           SELECT id FROM data_exports
+           WHERE status = 'pending'
+           OR (status = 'processing' AND locked_at < NOW() - INTERVAL '${STALE_LOCK_MINUTES} minutes')
+           ORDER BY created_at ASC
+           LIMIT $1
+           FOR UPDATE SKIP LOCKED
+         )
+         RETURNING *`,
+        [limit]
+      );
+
+      return result.rows.map(row => this.format(row));
+    } catch (error) {
+      logger.error(`Error claiming data exports: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Record a finished export
+   *
+   * @param {string} id - Export ID
+   * @param {Object} file - The archive
+   * @param {string} file.filePath - Where it was written
+   * @param {number} file.fileSize - Size in bytes
+   * @returns {Promise<Object|null>} Updated export
+   */
+  static async markCompleted(id, { filePath, fileSize }) {
+    try {
+      const result = await pool.query(
+        `UPDATE data_exports
+         SET status = 'completed', file_path = $2, file_size = $3,
+             locked_at = NULL, last_error = NULL, completed_at = NOW(),
+             expires_at = NOW() + INTERVAL '${RETENTION_DAYS} days'
+         WHERE id = $1
+         RETURNING *`,
+        [id, filePath, fileSize]
+      );
+
+      return result.rows.length > 0 ? this.format(result.rows[0]) : null;
+    } catch (error) {
+      logger.error(`Error completing data export: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Record a failed export
+   *
+   * @param {string} id - Export ID
+   * @param {string} reason - Failure reason
+   * @returns {Promise<Object|null>} Updated export
+   */
+  static async markFailed(id, reason) {
+    try {
+      const result = await pool.query(
+        `UPDATE data_exports
+         SET status = 'failed', last_error = $2, locked_at = NULL, completed_at = NOW()
+         WHERE id = $1
+         RETURNING *`,
+        [id, reason]
+      );
+
+      return result.rows.length > 0 ? this.format(result.rows[0]) : null;
+    } catch (error) {
+      logger.error(`Error failing data export: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete exports past their download window
+   *
+   * @param {number} limit - Maximum number of exports to delete
+   * @returns {Promise<Array<string>>} Paths of the deleted exports' files
+   */
+  static async deleteExpired(limit = 100) {
+    try {
+      const result = await pool.query(
+        `DELETE FROM data_exports
+         WHERE id IN (
+           SELECT id FROM data_exports
+           WHERE expires_at <= NOW()
+           LIMIT $1
+         )
+         RETURNING file_path`,
+        [limit]
+      );
+
+      return result.rows.map(row => row.file_path).filter(Boolean);
+    } catch (error) {
+      logger.error(`Error deleting expired data exports: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a user's profile, without their password hash
+   *
+   * @param {string} userId - ID of the user
+   * @returns {Promise<Object|null>} users row, or null if the user doesn't exist
+   */
+  static async getProfile(userId) {
+    try {
+      const result = await pool.query('SELECT * FROM users WHERE id = $1', [userId]);
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      const { password_hash: passwordHash, ...profile } = result.rows[0];
+      return profile;
+    } catch (error) {
+      logger.error(`Error getting profile to export: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Get every section of a user's data, apart from their profile and messages
+   *
+   * @param {string} userId - ID of the user
+   * @returns {Promise<Object>} Rows by section name (see SECTIONS)
+   */
+  static async getSections(userId) {
+    const sections = {};
+
+    for (const [name, query] of Object.entries(SECTIONS)) {
+      try {
+        const result = await pool.query(query, [userId]);
+        sections[name] = result.rows;
+      } catch (error) {
+        // Some tables only exist once their feature's migration has run
+        if (error.code === UNDEFINED_TABLE) {
+          sections[name] = [];
+          continue;
+        }
+
+        logger.error(`Error getting ${name} to export: ${error.message}`);
+        throw error;
+      }
+    }
+
+    return sections;
+  }
+
+  /**
+   * Get a page of the messages a user has sent, oldest first
+   *
+   * @param {string} userId - ID of the user
+   * @param {Object} options - Query options
+   * @param {Object} options.after - { timestamp, id } of the last message already exported (optional)
+   * @param {number} options.limit - Maximum number of messages (default: 200)
+   * @returns {Promise<Array<Object>>} messages rows
+   */
+  static async getMessages(userId, { after = null, limit = 200 } = {}) {
+    const params = [userId, limit];
+    let positionFilter = '';
+
+    if (after) {
+      params.push(after.timestamp, after.id);
+      positionFilter = 'AND (m.timestamp, m.id) > ($3::timestamptz, $4::uuid)';
+    }
+
+    try {
+      const result = await pool.query(
+        `SELECT
+          m.id, m.conversation_id, m.content, m.message_type,
+          m.is_encrypted, m.encrypted_content, m.iv, m.recipient_keys,
+          m.media_id, m.media_type, m.media_url, m.media_caption, m.media_size, m.media_mime_type,
+          m.parent_message_id, m.forwarded_from_message_id, m.link_preview,
+          m.timestamp, m.edited_at
+        FROM messages m
+        WHERE m.sender_id = $1
+        AND (m.expires_at IS NULL OR m.expires_at > NOW())
+        ${positionFilter}
+        ORDER BY m.timestamp ASC, m.id ASC
+        LIMIT $2`,
+        params
+      );
+
+      return result.rows;
+    } catch (error) {
+      logger.error(`Error getting messages to export: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Format a database row
+   *
+   * @param {Object} row - data_exports row
+   * @returns {Object} Export
+   */
+  static format(row) {
+    return {
+      id: row.id,
+      userId: row.user_id,
+      status: row.status,
+      fileSize: row.file_size === null || row.file_size === undefined ? null : Number(row.file_size),
+      error: row.last_error,
+      createdAt: row.created_at,
+      completedAt: row.completed_at,
+      expiresAt: row.expires_at
+    };
+  }
+}
+
+DataExport.SECTIONS = SECTIONS;
+
+module.exports = DataExport;
@@ -0,0 +1,405 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { pool } = require('../config/database');
+const logger = require('../utils/logger');
+const Conversation = require('./Conversation');
+
+// Longest an invite can last, and how many people it can let in
+const MAX_EXPIRY_HOURS = 30 * 24;
+const MAX_USES_LIMIT = 1000;
+
+// Random bytes in an invite code (base64url encoded to 16 characters)
+const CODE_BYTES = 12;
+
+// Postgres unique_violation error code
+const UNIQUE_VIOLATION = '23505';
+
+/**
+ * GroupInvite Model
+ *
+ * Represents invite links to group conversations, and the join requests
+ * they create when an admin has to approve new members.
+ */
+class GroupInvite {
+  /**
+   * Create an invite link for a group
+   * @param {string} conversationId - Group conversation ID
+   * @param {string} userId - ID of the admin creating it
+   * @param {Object} options - Invite options
+   * @param {number} options.expiresInHours - Hours until the invite expires (null for never)
+   * @param {number} options.maxUses - How many people can use it (null for no limit)
+   * @param {boolean} options.requireApproval - Whether an admin must approve each join
+   * @returns {Promise<Object>} Invite
+   */
+  static async create(conversationId, userId, options = {}) {
+    const { expiresInHours = null, maxUses = null, requireApproval = false } = options;
+
+    if (expiresInHours !== null && (!Number.isInteger(expiresInHours) || expiresInHours < 1 || expiresInHours > MAX_EXPIRY_HOURS)) {
+      throw new Error(`Invalid expiry. Must be between 1 and ${MAX_EXPIRY_HOURS} hours`);
+    }
+
+    if (maxUses !== null && (!Number.isInteger(maxUses) || maxUses < 1 || maxUses > MAX_USES_LIMIT)) {
+      throw new Error(`Invalid max uses. Must be between 1 and ${MAX_USES_LIMIT}`);
+    }
+
+    try {
+      const result = await pool.query(
+        `INSERT INTO group_invites (id, conversation_id, created_by, code, max_uses, require_approval, expires_at)
+         VALUES ($1, $2, $3, $4, $5, $6, CASE WHEN $7::int IS NULL THEN NULL ELSE NOW() + make_interval(hours => $7::int) END)
+         RETURNING *`,
+        [uuidv4(), conversationId, userId, crypto.randomBytes(CODE_BYTES).toString('base64url'), maxUses, Boolean(requireApproval), expiresInHours]
+      );
+
+      return this.format(result.rows[0]);
+    } catch (error) {
+      logger.error(`Error creating group invite: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a group's invites that can still be used
+   * @param {string} conversationId - Group conversation ID
+   * @returns {Promise<Array<Object>>} Invites, most recent first
+   */
+  static async getActive(conversationId) {
+    try {
+      const result = await pool.query(
+        `SELECT * FROM group_invites
+         WHERE conversation_id = $1
+         AND revoked_at IS NULL
+         AND (expires_at IS NULL OR expires_at > NOW())
+         AND (max_uses IS NULL OR use_count < max_uses)
+         ORDER BY created_at DESC`,
+        [conversationId]
+      );
+
+      return result.rows.map(row => this.format(row));
+    } catch (error) {
+      logger.error(`Error getting group invites: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke one of a group's invites
+   * @param {string} inviteId - Invite ID
+   * @param {string} conversationId - Group conversation ID
+   * @returns {Promise<boolean>} Whether an active invite was revoked
+   */
+  static async revoke(inviteId, conversationId) {
+    try {
+      const result = await pool.query(
+        `UPDATE group_invites
+         SET revoked_at = NOW()
+         WHERE id = $1 AND conversation_id = $2 AND revoked_at IS NULL`,
+        [inviteId, conversationId]
+      );
+
+      return result.rowCount > 0;
+    } catch (error) {
+      logger.error(`Error revoking group invite: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Get what someone opening an invite link sees before joining
+   * @param {string} code - Invite code
+   * @returns {Promise<Object|null>} Group preview, or null if the invite can't be used
+   */
+  static async getPreview(code) {
+    try {
+      const result = await pool.query(
+        `SELECT i.conversation_id, i.require_approval, i.expires_at, c.name,
+                (SELECT COUNT(*)::int FROM conversation_participants cp WHERE cp.conversation_id = i.conversation_id) AS participant_count
+         FROM group_invites i
+         JOIN conversations c ON c.id = i.conversation_id
+         WHERE i.code = $1
+         AND i.revoked_at IS NULL
+         AND (i.expires_at IS NULL OR i.expires_at > NOW())
+         AND (i.max_uses IS NULL OR i.use_count < i.max_uses)`,
+        [code]
+      );
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      const row = result.rows[0];
+
+      return {
+        conversationId: row.conversation_id,
+        name: row.name,
+        participantCount: row.participant_count,
+        requireApproval: row.require_approval,
+        expiresAt: row.expires_at
+      };
+    } catch (error) {
+      logger.error(`Error getting group invite preview: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Join a group through an invite link
+   *
+   * If the invite requires approval, a join request is left for the
+   * group's admins instead. Either way the invite's use is counted.
+   * @param {string} code - Invite code
+   * @param {string} userId - ID of the user joining
+   * @returns {Promise<Object|null>} { status: 'joined', conversationId, conversation } or
+   *   { status: 'pending', conversationId, joinRequest }, or null if there's no such invite
+   * @throws {Error} If the invite can't be used or the user is already in the group
+   */
+  static async join(code, userId) {
+    const client = await pool.connect();
+    let invite;
+
+    try {
+      await client.query('BEGIN');
+
+      const found = await client.query(
+        'SELECT * FROM group_invites WHERE code = $1 FOR UPDATE',
+        [code]
+      );
+
+      if (found.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      invite = found.rows[0];
+
+      if (invite.revoked_at) {
+        throw new Error('Invite has been revoked');
+      }
+
+      if (invite.expires_at && new Date(invite.expires_at) <= new Date()) {
+        throw new Error('Invite has expired');
+      }
+
+      if (invite.max_uses !== null && invite.use_count >= invite.max_uses) {
+        throw new Error('Invite has been used up');
+      }
+
+      const member = await client.query(
+        'SELECT 1 FROM conversation_participants WHERE conversation_id = $1 AND user_id = $2',
+        [invite.conversation_id, userId]
+      );
+
+      if (member.rows.length > 0) {
+        throw new Error('Already a participant in this group');
+      }
+
+      let joinRequest = null;
+
+      if (invite.require_approval) {
+        try {
+          const inserted = await client.query(
+            `INSERT INTO group_join_requests (id, conversation_id, invite_id, user_id)
+             VALUES ($1, $2, $3, $4)
+             RETURNING *`,
+            [uuidv4(), invite.conversation_id, invite.id, userId]
+          );
+
+          joinRequest = this.formatJoinRequest(inserted.rows[0]);
+        } catch (error) {
+          if (error.code === UNIQUE_VIOLATION) {
+            throw new Error('Join request already pending');
+          }
+
+          throw error;
+        }
+      }
+
+      await client.query(
+        'UPDATE group_invites SET use_count = use_count + 1 WHERE id = $1',
+        [invite.id]
+      );
+
+      // The use is only counted if the user actually gets in, and vice versa
+      if (!joinRequest) {
+        await Conversation.addParticipants(invite.conversation_id, [userId], client);
+      }
+
+      await client.query('COMMIT');
+
+      if (joinRequest) {
+        return { status: 'pending', conversationId: invite.conversation_id, joinRequest };
+      }
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error(`Error joining group by invite: ${error.message}`);
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    const conversation = await Conversation.getById(invite.conversation_id, { includePins: true });
+
+    return { status: 'joined', conversationId: invite.conversation_id, conversation };
+  }
+
+  /**
+   * Get a group's pending join requests
+   * @param {string} conversationId - Group conversation ID
+   * @returns {Promise<Array<Object>>} Join requests with the users' details, oldest first
+   */
+  static async getJoinRequests(conversationId) {
+    try {
+      const result = await pool.query(
+        `SELECT r.*, u.username, u.full_name, u.profile_picture
+         FROM group_join_requests r
+         JOIN users u ON u.id = r.user_id
+         WHERE r.conversation_id = $1 AND r.status = 'pending'
+         ORDER BY r.created_at ASC`,
+        [conversationId]
+      );
+
+      return result.rows.map(row => this.formatJoinRequest(row));
+    } catch (error) {
+      logger.error(`Error getting group join requests: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Approve a join request and add the user to the group
+   * @param {string} requestId - Join request ID
+   * @param {string} conversationId - Group conversation ID
+   * @param {string} adminId - ID of the admin approving it
+   * @returns {Promise<Object|null>} { joinRequest, conversation }, or null if not found
+   * @throws {Error} If the request has already been reviewed
+   */
+  static async approveJoinRequest(requestId, conversationId, adminId) {
+    const client = await pool.connect();
+    let joinRequest;
+
+    try {
+      await client.query('BEGIN');
+
+      joinRequest = await this.review(requestId, conversationId, adminId, 'approved', client);
+
+      if (!joinRequest) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      await Conversation.addParticipants(conversationId, [joinRequest.userId], client);
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error(`Error approving group join request: ${error.message}`);
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    const conversation = await Conversation.getById(conversationId, { includePins: true });
+
+    return { joinRequest, conversation };
+  }
+
+  /**
+   * Reject a join request
+   * @param {string} requestId - Join request ID
+   * @param {string} conversationId - Group conversation ID
+   * @param {string} adminId - ID of the admin rejecting it
+   * @returns {Promise<Object|null>} Join request, or null if not found
+   * @throws {Error} If the request has already been reviewed
+   */
+  static async rejectJoinRequest(requestId, conversationId, adminId) {
+    return this.review(requestId, conversationId, adminId, 'rejected');
+  }
+
+  /**
+   * Record an admin's decision on a pending join request
+   * @param {string} requestId - Join request ID
+   * @param {string} conversationId - Group conversation ID
+   * @param {string} adminId - ID of the admin
+   * @param {string} status - approved or rejected
+   * @param {Object} client - Database client, to run inside a transaction
+   * @returns {Promise<Object|null>} Join request, or null if not found
+   * @throws {Error} If the request has already been reviewed
+   */
+  static async review(requestId, conversationId, adminId, status, client = pool) {
+    try {
+      const result = await client.query(
+        `UPDATE group_join_requests
+         SET status = $4, reviewed_by = $3, reviewed_at = NOW()
+         WHERE id = $1 AND conversation_id = $2 AND status = 'pending'
+         RETURNING *`,
+        [requestId, conversationId, adminId, status]
+      );
+
+      if (result.rows.length > 0) {
+        return this.formatJoinRequest(result.rows[0]);
+      }
+
+      const existing = await client.query(
+        'SELECT status FROM group_join_requests WHERE id = $1 AND conversation_id = $2',
+        [requestId, conversationId]
+      );
+
+      if (existing.rows.length === 0) {
+        return null;
+      }
+
+      throw new Error('Join request has already been reviewed');
+    } catch (error) {
+      logger.error(`Error reviewing group join request: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Format a group_invites row
+   * @param {Object} row - group_invites row
+   * @returns {Object} Invite
+   */
+  static format(row) {
+    return {
+      id: row.id,
+      conversationId: row.conversation_id,
+      code: row.code,
+      createdBy: row.created_by,
+      maxUses: row.max_uses,
+      useCount: row.use_count,
+      requireApproval: row.require_approval,
+      expiresAt: row.expires_at,
+      revokedAt: row.revoked_at,
+      createdAt: row.created_at
+    };
+  }
+
+  /**
+   * Format a group_join_requests row
+   * @param {Object} row - group_join_requests row, optionally joined with the user's details
+   * @returns {Object} Join request
+   */
+  static formatJoinRequest(row) {
+    const joinRequest = {
+      id: row.id,
+      conversationId: row.conversation_id,
+      userId: row.user_id,
+      status: row.status,
+      reviewedBy: row.reviewed_by,
+      reviewedAt: row.reviewed_at,
+      createdAt: row.created_at
+    };
+
+    if (row.username) {
+      joinRequest.user = {
+        id: row.user_id,
+        username: row.username,
+        fullName: row.full_name,
+        profilePicture: row.profile_picture
+      };
+    }
+
+    return joinRequest;
+  }
+}
+
+module.exports = GroupInvite;
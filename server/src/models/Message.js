@@ -2,6 +2,23 @@ const { v4: uuidv4 } = require('uuid');
 const { pool } = require('../config/database');
 const logger = require('../utils/logger');
 const Conversation = require('./Conversation');
+const ThreadFollow = require('./ThreadFollow');
+const Poll = require('./Poll');
+const { encodeCursor, decodeCursor } = require('../utils/cursor');
+const { parseMentions } = require('../utils/mentions');
+const { sanitizeLinkPreview } = require('../utils/links');
+
+// Sentinel characters marking search highlights before HTML escaping
+const HIGHLIGHT_START = '\u0002';
+const HIGHLIGHT_END = '\u0003';
+
+// Edits refused because the editor may not post the message anymore
+const EDIT_FORBIDDEN_ERRORS = [
+  'Only the sender can edit this message',
+  'You are not a participant in this conversation',
+  'You cannot send messages to this user',
+  'You do not have permission to post in this conversation'
+];
 
 /**
  * Message Model
@@ -28,13 +45,19 @@ class Message {
    * @param {string} data.mediaMimeType - MIME type of attached media (optional)
    * @param {string} data.status - Message status (default: 'sent')
    * @param {string} data.parentMessageId - ID of the parent message if this is a reply (optional)
+   * @param {string} data.id - Pre-assigned message ID (optional, e.g. for scheduled messages)
+   * @param {string} data.type - Message type, 'text' or 'system' (default: 'text')
+   * @param {Object} data.poll - Poll details, making this a poll message (optional, see Poll.normalize)
+   * @param {Object} data.linkPreview - Preview of a link in an encrypted message, attached by the sender (optional)
    * @returns {Promise<Object>} Created message
    */
   static async create(data) {
     const {
+      id = null,
+      poll = null,
+      linkPreview = null,
       conversationId,
       senderId,
-      content = '',
       encryptedContent = null,
       iv = null,
       recipientKeys = null,
@@ -48,6 +71,7 @@ class Message {
       status = 'sent',
       parentMessageId = null
     } = data;
+    let { type = 'text', content = '' } = data;
 
     // Validate required fields
     if (!senderId) {
@@ -58,6 +82,19 @@ class Message {
       throw new Error('Conversation ID is required');
     }
 
+    // A poll's question is also its message content, so it shows up in
+    // search, conversation previews and older clients
+    let pollDetails = null;
+    if (poll) {
+      if (isEncrypted) {
+        throw new Error('Polls cannot be encrypted');
+      }
+
+      pollDetails = Poll.normalize(poll);
+      type = 'poll';
+      content = pollDetails.question;
+    }
+
     // For encrypted messages, we need the encrypted content and IV
     if (isEncrypted) {
       if (!encryptedContent) {
@@ -79,6 +116,10 @@ class Message {
       throw new Error('Media type and URL are required when media ID is provided');
     }
 
+    // The server previews links in plaintext messages itself once they're
+    // sent; it can't read encrypted ones, so their senders attach their own
+    const attachedPreview = isEncrypted ? sanitizeLinkPreview(linkPreview) : null;
+
     // Validate parent message if this is a reply
     if (parentMessageId) {
       const parentExists = await this.exists(parentMessageId);
@@ -94,7 +135,7 @@ class Message {
     }
 
     // Generate message ID
-    const messageId = uuidv4();
+    const messageId = id || uuidv4();
     const timestamp = new Date().toISOString();
 
     const client = await pool.connect();
@@ -102,20 +143,38 @@ class Message {
       await client.query('BEGIN');
 
       // Insert message
+      // Messages expire after the conversation's disappearing message timer;
+      // system messages (such as timer changes) are kept
       const result = await client.query(
         `INSERT INTO messages (
           id, conversation_id, sender_id, content, 
           encrypted_content, iv, recipient_keys, is_encrypted,
           media_id, media_type, media_url, media_caption, media_size, media_mime_type,
-          status, timestamp, parent_message_id
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17) 
-        RETURNING id`,
+          status, timestamp, parent_message_id, message_type, link_preview, expires_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19,
+          CASE WHEN $18 = 'system' THEN NULL ELSE (
+            SELECT NOW() + make_interval(secs => message_ttl) FROM conversations WHERE id = $2
+          ) END
+        ) 
+        RETURNING id, expires_at`,
         [messageId, conversationId, senderId, content, 
          encryptedContent, iv, JSON.stringify(recipientKeys || {}), isEncrypted,
          mediaId, mediaType, mediaUrl, mediaCaption, mediaSize, mediaMimeType, 
-         status, timestamp, parentMessageId]
+         status, timestamp, parentMessageId, type,
+         attachedPreview ? JSON.stringify(attachedPreview) : null]
       );
 
+      // Record @mentions of other participants in group conversations
+      const mentions = isEncrypted || type === 'system'
+        ? []
+        : await this.recordMentions(client, messageId, conversationId, content, senderId);
+
+      if (parentMessageId && type !== 'system') {
+        await ThreadFollow.followOnReply(client, senderId, parentMessageId);
+      }
+
+      const createdPoll = pollDetails ? await Poll.insert(client, messageId, pollDetails) : null;
+
       // Update conversation last_message and last_activity
       await client.query(
         `UPDATE conversations 
@@ -146,7 +205,12 @@ class Message {
         } : null,
         status,
         timestamp,
-        parentMessageId
+        parentMessageId,
+        type,
+        mentions,
+        poll: createdPoll,
+        linkPreview: attachedPreview,
+        expiresAt: result.rows[0].expires_at
       };
     } catch (error) {
       await client.query('ROLLBACK');
@@ -173,6 +237,9 @@ class Message {
    * @param {string} data.media.caption - Caption for the media (optional)
    * @param {string} data.status - Message status (default: 'sent')
    * @param {string} data.parentMessageId - ID of the parent message if this is a reply (optional)
+   * @param {Object} data.forwardedFrom - Original message when forwarding (optional)
+   * @param {string} data.forwardedFrom.messageId - ID of the original message
+   * @param {string} data.forwardedFrom.senderId - ID of the original message's sender
    * @returns {Promise<Object>} Created message
    */
   static async createWithMedia(data) {
@@ -182,7 +249,8 @@ class Message {
       content = '',
       media = null,
       status = 'sent',
-      parentMessageId = null
+      parentMessageId = null,
+      forwardedFrom = null
     } = data;
 
     // Validate required fields
@@ -231,9 +299,11 @@ class Message {
         `INSERT INTO messages (
           id, conversation_id, sender_id, content, 
           media_id, media_type, media_url, media_caption, media_size, media_mime_type,
-          status, created_at, parent_message_id
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13) 
-        RETURNING id`,
+          status, created_at, parent_message_id, forwarded_from_message_id, forwarded_from_sender_id, expires_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15,
+          (SELECT NOW() + make_interval(secs => message_ttl) FROM conversations WHERE id = $2)
+        ) 
+        RETURNING id, expires_at`,
         [
           messageId, 
           conversationId, 
@@ -247,10 +317,16 @@ class Message {
           media ? media.mimeType : null, 
           status, 
           timestamp,
-          parentMessageId
+          parentMessageId,
+          forwardedFrom ? forwardedFrom.messageId : null,
+          forwardedFrom ? forwardedFrom.senderId : null
         ]
       );
 
+      if (parentMessageId) {
+        await ThreadFollow.followOnReply(client, senderId, parentMessageId);
+      }
+
       // Update conversation last_message and last_activity
       const lastMessageText = content || (media ? `Sent a ${media.type}` : 'Sent a message');
       await client.query(
@@ -280,7 +356,9 @@ class Message {
         status,
         timestamp,
         parentMessageId,
-        isRead: false
+        forwardedFrom,
+        isRead: false,
+        expiresAt: result.rows[0].expires_at
       };
     } catch (error) {
       await client.query('ROLLBACK');
@@ -291,6 +369,97 @@ class Message {
     }
   }
 
+  /**
+   * Create a system message, such as a notice that a setting changed
+   * 
+   * System messages never expire, so the conversation keeps a record of
+   * changes to its disappearing message timer.
+   * 
+   * @param {string} conversationId - ID of the conversation
+   * @param {string} actorId - ID of the user whose action caused the message
+   * @param {string} content - Message text
+   * @returns {Promise<Object>} Created message
+   */
+  static async createSystemMessage(conversationId, actorId, content) {
+    return this.create({
+      conversationId,
+      senderId: actorId,
+      content,
+      type: 'system'
+    });
+  }
+
+  /**
+   * Delete messages whose disappearing message timer has run out
+   * 
+   * Attached media is marked for deletion in the same transaction, so
+   * Media.cleanupMarkedForDeletion removes the files once nothing else uses them.
+   * 
+   * @param {number} limit - Maximum number of messages to delete
+   * @returns {Promise<Array<Object>>} Deleted messages ({ id, conversationId, mediaId })
+   */
+  static async deleteExpired(limit = 500) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(
+        `DELETE FROM messages
+         WHERE id IN (
+           SELECT id FROM messages
+           WHERE expires_at <= NOW()
+           ORDER BY expires_at ASC
+           LIMIT $1
+           FOR UPDATE SKIP LOCKED
+         )
+         RETURNING id, conversation_id, media_id`,
+        [limit]
+      );
+
+      const mediaIds = result.rows.filter(row => row.media_id).map(row => row.media_id);
+
+      if (mediaIds.length > 0) {
+        await client.query(
+          'UPDATE media SET marked_for_deletion = true WHERE id = ANY($1)',
+          [mediaIds]
+        );
+      }
+
+      const conversationIds = [...new Set(result.rows.map(row => row.conversation_id))];
+
+      // last_message holds a copy of the latest message's text, which must disappear with it
+      if (conversationIds.length > 0) {
+        await client.query(
+          `UPDATE conversations c
+           SET last_message = (
+             SELECT COALESCE(NULLIF(m.content, ''), 'Sent a ' || COALESCE(m.media_type, 'file'))
+             FROM messages m
+             WHERE m.conversation_id = c.id
+             AND (m.expires_at IS NULL OR m.expires_at > NOW())
+             ORDER BY m.timestamp DESC
+             LIMIT 1
+           )
+           WHERE c.id = ANY($1)`,
+          [conversationIds]
+        );
+      }
+
+      await client.query('COMMIT');
+
+      return result.rows.map(row => ({
+        id: row.id,
+        conversationId: row.conversation_id,
+        mediaId: row.media_id
+      }));
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error(`Error deleting expired messages: ${error.message}`);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
   /**
    * Get a message by ID
    * 
@@ -308,11 +477,17 @@ class Message {
           m.id, m.conversation_id as "conversationId", m.sender_id as "senderId", m.content, 
           m.media_id as "mediaId", m.media_type as "mediaType", m.media_url as "mediaUrl", m.media_caption as "mediaCaption",
           m.media_size as "mediaSize", m.media_mime_type as "mediaMimeType",
-          m.status, m.read, m.timestamp,
+          m.status, m.read, m.timestamp, m.edited_at as "editedAt",
+          m.is_encrypted as "isEncrypted", m.link_preview as "linkPreview",
+          m.message_type as "type", m.expires_at as "expiresAt",
+          m.forwarded_from_message_id as "forwardedFromMessageId", m.forwarded_from_sender_id as "forwardedFromSenderId",
+          fu.username as "forwardedFromUsername",
           u.username as "senderUsername", u.full_name as "senderName"
          FROM messages m
          JOIN users u ON m.sender_id = u.id
-         WHERE m.id = $1`,
+         LEFT JOIN users fu ON m.forwarded_from_sender_id = fu.id
+         WHERE m.id = $1
+         AND (m.expires_at IS NULL OR m.expires_at > NOW())`,
         [messageId]
       );
 
@@ -328,6 +503,7 @@ class Message {
         senderId: message.senderId,
         senderUsername: message.senderUsername,
         content: message.content,
+        isEncrypted: Boolean(message.isEncrypted),
         media: message.mediaId ? {
           id: message.mediaId,
           type: message.mediaType,
@@ -338,7 +514,12 @@ class Message {
         } : null,
         status: message.status,
         timestamp: message.timestamp,
-        parentMessageId: message.parentMessageId
+        editedAt: message.editedAt,
+        parentMessageId: message.parentMessageId,
+        type: message.type,
+        linkPreview: message.linkPreview || null,
+        expiresAt: message.expiresAt,
+        forwardedFrom: this.formatForwardedFrom(message)
       };
     } catch (error) {
       logger.error(`Error getting message by ID: ${error.message}`);
@@ -349,41 +530,168 @@ class Message {
   /**
    * Get messages for a conversation
    * 
+   * Uses keyset pagination on (timestamp, id) so pages stay stable while new
+   * messages arrive. Messages are returned newest first. Pass `nextCursor` as
+   * `before` to load older messages and `prevCursor` as `after` to load newer ones.
+   * 
    * @param {string} conversationId - ID of the conversation
    * @param {Object} options - Query options
-   * @param {number} options.limit - Maximum number of messages to return
-   * @param {number} options.offset - Number of messages to skip
-   * @returns {Promise<Array<Object>>} Array of messages
+   * @param {number} options.limit - Maximum number of messages to return (default: 50, max: 100)
+   * @param {string} options.before - Cursor; only return messages older than it
+   * @param {string} options.after - Cursor; only return messages newer than it
+   * @param {string} options.around - Message ID; return a window of messages centred on it
+   * @param {string} options.userId - ID of the user reading; adds whether they follow each thread and its unread replies
+   * @returns {Promise<Object>} Messages with nextCursor and prevCursor
    */
   static async getByConversation(conversationId, options = {}) {
     if (!conversationId) {
       throw new Error('Conversation ID is required');
     }
 
-    const { limit = 50, offset = 0 } = options;
+    const { before = null, after = null, around = null, userId = null } = options;
+    const limit = Math.min(Math.max(parseInt(options.limit, 10) || 50, 1), 100);
 
-    try {
+    if ([before, after, around].filter(Boolean).length > 1) {
+      throw new Error('Only one of before, after or around can be used');
+    }
+
+    const parseCursor = (cursor) => {
+      const position = decodeCursor(cursor);
+      if (!position || !position.timestamp || !position.id) {
+        throw new Error('Invalid cursor');
+      }
+      return position;
+    };
+
+    // Fetch messages on one side of a (timestamp, id) position
+    const fetchPage = async (position, direction, count, inclusive = false) => {
+      const params = [conversationId, count];
+      let positionFilter = '';
+
+      if (position) {
+        params.push(position.timestamp, position.id);
+        const operator = `${direction === 'older' ? '<' : '>'}${inclusive ? '=' : ''}`;
+        positionFilter = `AND (m.timestamp, m.id) ${operator} ($3::timestamptz, $4::uuid)`;
+      }
+
+      params.push(userId);
+      const userParam = `$${params.length}::uuid`;
+
+      const order = direction === 'older' ? 'DESC' : 'ASC';
       const result = await pool.query(
         `SELECT 
           m.id, m.conversation_id as "conversationId", m.sender_id as "senderId", m.content, 
+          m.is_encrypted as "isEncrypted", m.encrypted_content as "encryptedContent", m.iv,
+          m.recipient_keys as "recipientKeys", m.link_preview as "linkPreview",
           m.media_id as "mediaId", m.media_type as "mediaType", m.media_url as "mediaUrl", m.media_caption as "mediaCaption",
           m.media_size as "mediaSize", m.media_mime_type as "mediaMimeType",
-          m.status, m.read, m.timestamp,
+          m.status, m.read, m.timestamp, m.edited_at as "editedAt",
+          m.parent_message_id as "parentMessageId",
+          m.message_type as "type", m.expires_at as "expiresAt",
+          m.forwarded_from_message_id as "forwardedFromMessageId", m.forwarded_from_sender_id as "forwardedFromSenderId",
+          fu.username as "forwardedFromUsername",
+          (
+            SELECT COALESCE(json_agg(json_build_object('userId', mu.id, 'username', mu.username)), '[]'::json)
+            FROM message_mentions mm
+            JOIN users mu ON mu.id = mm.user_id
+            WHERE mm.message_id = m.id
+          ) as "mentions",
+          (
+            SELECT json_build_object(
+              'replyCount', COUNT(*),
+              'lastReplyAt', MAX(r.timestamp),
+              'participants', COALESCE(jsonb_agg(DISTINCT jsonb_build_object('userId', ru.id, 'username', ru.username)), '[]'::jsonb),
+              'unreadCount', COUNT(*) FILTER (WHERE r.sender_id <> tf.user_id AND r.timestamp > tf.last_read_at)
+            )
+            FROM messages r
+            JOIN users ru ON ru.id = r.sender_id
+            WHERE r.parent_message_id = m.id
+            AND (r.expires_at IS NULL OR r.expires_at > NOW())
+          ) as "thread",
+          tf.user_id IS NOT NULL as "followingThread",
           u.username as "senderUsername", u.full_name as "senderName"
         FROM messages m
         JOIN users u ON m.sender_id = u.id
+        LEFT JOIN users fu ON m.forwarded_from_sender_id = fu.id
+        LEFT JOIN thread_follows tf
+          ON tf.parent_message_id = m.id AND tf.user_id = ${userParam} AND tf.following = true
         WHERE m.conversation_id = $1
-        ORDER BY m.timestamp DESC
-        LIMIT $2 OFFSET $3`,
-        [conversationId, limit, offset]
+        AND (m.expires_at IS NULL OR m.expires_at > NOW())
+        ${positionFilter}
+        ORDER BY m.timestamp ${order}, m.id ${order}
+        LIMIT $2`,
+        params
       );
 
-      return result.rows.map(message => ({
+      return result.rows;
+    };
+
+    const toCursor = (message) => encodeCursor({
+      timestamp: new Date(message.timestamp).toISOString(),
+      id: message.id
+    });
+
+    try {
+      let rows;
+      let hasOlder = false;
+      let hasNewer = false;
+
+      if (around) {
+        const targetResult = await pool.query(
+          'SELECT id, timestamp FROM messages WHERE id = $1 AND conversation_id = $2',
+          [around, conversationId]
+        );
+
+        if (targetResult.rows.length === 0) {
+          throw new Error('Message not found');
+        }
+
+        const target = targetResult.rows[0];
+        const position = { timestamp: new Date(target.timestamp).toISOString(), id: target.id };
+        const olderCount = Math.floor((limit - 1) / 2);
+        const newerCount = limit - 1 - olderCount;
+
+        // The older side includes the target message itself
+        const [olderRows, newerRows] = await Promise.all([
+          fetchPage(position, 'older', olderCount + 2, true),
+          fetchPage(position, 'newer', newerCount + 1)
+        ]);
+
+        hasOlder = olderRows.length > olderCount + 1;
+        hasNewer = newerRows.length > newerCount;
+        rows = [
+          ...newerRows.slice(0, newerCount).reverse(),
+          ...olderRows.slice(0, olderCount + 1)
+        ];
+      } else if (after) {
+        const position = parseCursor(after);
+
+        // Anything at or before the cursor is older than the whole page
+        const [newerRows, olderRows] = await Promise.all([
+          fetchPage(position, 'newer', limit + 1),
+          fetchPage(position, 'older', 1, true)
+        ]);
+
+        hasNewer = newerRows.length > limit;
+        hasOlder = olderRows.length > 0;
+        rows = newerRows.slice(0, limit).reverse();
+      } else {
+        const olderRows = await fetchPage(before ? parseCursor(before) : null, 'older', limit + 1);
+        hasOlder = olderRows.length > limit;
+        hasNewer = Boolean(before);
+        rows = olderRows.slice(0, limit);
+      }
+
+      const messages = rows.map(message => ({
         id: message.id,
         conversationId: message.conversationId,
         senderId: message.senderId,
         senderUsername: message.senderUsername,
         content: message.content,
+        isEncrypted: Boolean(message.isEncrypted),
+        encryptedContent: message.isEncrypted ? message.encryptedContent : null,
+        iv: message.isEncrypted ? message.iv : null,
+        recipientKeys: message.isEncrypted ? message.recipientKeys : null,
         media: message.mediaId ? {
           id: message.mediaId,
           type: message.mediaType,
@@ -394,14 +702,150 @@ class Message {
         } : null,
         status: message.status,
         timestamp: message.timestamp,
-        parentMessageId: message.parentMessageId
+        editedAt: message.editedAt,
+        parentMessageId: message.parentMessageId,
+        type: message.type,
+        mentions: message.mentions || [],
+        linkPreview: message.linkPreview || null,
+        expiresAt: message.expiresAt,
+        forwardedFrom: this.formatForwardedFrom(message),
+        thread: this.formatThread(message),
+        poll: null
       }));
+
+      // Attach the current results of any polls
+      const pollIds = messages.filter(message => message.type === 'poll').map(message => message.id);
+      if (pollIds.length > 0) {
+        const polls = await Poll.getResults(pollIds, userId);
+        for (const message of messages) {
+          if (polls.has(message.id)) {
+            message.poll = polls.get(message.id);
+          }
+        }
+      }
+
+      return {
+        messages,
+        nextCursor: hasOlder && rows.length > 0 ? toCursor(rows[rows.length - 1]) : null,
+        prevCursor: hasNewer && rows.length > 0 ? toCursor(rows[0]) : null
+      };
     } catch (error) {
       logger.error(`Error getting messages by conversation: ${error.message}`);
       throw error;
     }
   }
 
+  /**
+   * Get messages that mention a user
+   * 
+   * Only messages in conversations the user still participates in are returned.
+   * 
+   * @param {string} userId - ID of the mentioned user
+   * @param {Object} options - Query options
+   * @param {number} options.limit - Maximum number of messages to return (default: 20, max: 100)
+   * @param {string} options.cursor - Cursor from a previous page
+   * @returns {Promise<Object>} Messages, newest first, with nextCursor
+   */
+  static async getMentions(userId, options = {}) {
+    const limit = Math.min(Math.max(parseInt(options.limit, 10) || 20, 1), 100);
+    const params = [userId, limit + 1];
+    let cursorFilter = '';
+
+    if (options.cursor) {
+      const position = decodeCursor(options.cursor);
+      if (!position || !position.timestamp || !position.id) {
+        throw new Error('Invalid cursor');
+      }
+      params.push(position.timestamp, position.id);
+      cursorFilter = 'AND (m.timestamp, m.id) < ($3::timestamptz, $4::uuid)';
+    }
+
+    try {
+      const result = await pool.query(
+        `SELECT 
+          m.id, m.conversation_id, m.sender_id, m.content, m.timestamp,
+          m.media_id, m.media_type, m.media_url,
+          u.username AS sender_username, c.name AS conversation_name
+        FROM message_mentions mm
+        JOIN messages m ON m.id = mm.message_id
+        JOIN conversation_participants cp
+          ON cp.conversation_id = m.conversation_id AND cp.user_id = mm.user_id
+        JOIN users u ON u.id = m.sender_id
+        JOIN conversations c ON c.id = m.conversation_id
+        WHERE mm.user_id = $1
+        AND (m.expires_at IS NULL OR m.expires_at > NOW())
+        ${cursorFilter}
+        ORDER BY m.timestamp DESC, m.id DESC
+        LIMIT $2`,
+        params
+      );
+
+      const rows = result.rows.slice(0, limit);
+      const last = rows[rows.length - 1];
+
+      return {
+        messages: rows.map(row => ({
+          id: row.id,
+          conversationId: row.conversation_id,
+          conversationName: row.conversation_name,
+          senderId: row.sender_id,
+          senderUsername: row.sender_username,
+          content: row.content,
+          media: row.media_id ? {
+            id: row.media_id,
+            type: row.media_type,
+            url: row.media_url
+          } : null,
+          timestamp: row.timestamp
+        })),
+        nextCursor: result.rows.length > limit
+          ? encodeCursor({ timestamp: new Date(last.timestamp).toISOString(), id: last.id })
+          : null
+      };
+    } catch (error) {
+      logger.error(`Error getting mentions: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Format the forwarding attribution of a message row
+   * 
+   * @param {Object} message - Message row with forwardedFrom* columns
+   * @returns {Object|null} Attribution or null if the message was not forwarded
+   */
+  static formatForwardedFrom(message) {
+    if (!message.forwardedFromMessageId && !message.forwardedFromSenderId) {
+      return null;
+    }
+
+    return {
+      messageId: message.forwardedFromMessageId,
+      senderId: message.forwardedFromSenderId,
+      senderUsername: message.forwardedFromUsername || null
+    };
+  }
+
+  /**
+   * Format the summary of the replies to a message
+   * 
+   * @param {Object} message - Message row with thread and followingThread columns
+   * @returns {Object|null} Thread summary, or null if the message has no replies
+   */
+  static formatThread(message) {
+    if (!message.thread || !message.thread.replyCount) {
+      return null;
+    }
+
+    return {
+      replyCount: message.thread.replyCount,
+      lastReplyAt: message.thread.lastReplyAt,
+      participants: message.thread.participants || [],
+      following: Boolean(message.followingThread),
+      unreadCount: message.thread.unreadCount || 0
+    };
+  }
+
   /**
    * Update message status
    * 
@@ -433,14 +877,81 @@ class Message {
     }
   }
 
+  /**
+   * Store the preview of a link in a message
+   *
+   * The preview is only stored if the message still has the content it was
+   * built from, so a slow fetch can't overwrite the preview of an edit.
+   * @param {string} messageId - ID of the message
+   * @param {Object} preview - Link preview (see sanitizeLinkPreview)
+   * @param {string} content - Message content the preview was built from
+   * @returns {Promise<boolean>} Whether the preview was stored
+   */
+  static async setLinkPreview(messageId, preview, content) {
+    try {
+      const result = await pool.query(
+        'UPDATE messages SET link_preview = $1 WHERE id = $2 AND content = $3',
+        [JSON.stringify(preview), messageId, content]
+      );
+
+      return result.rowCount > 0;
+    } catch (error) {
+      logger.error(`Error storing link preview: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Record the @mentions in a message's content
+   * 
+   * Only other participants of group conversations can be mentioned.
+   * @param {Object} client - Database client of the message's transaction
+   * @param {string} messageId - ID of the message
+   * @param {string} conversationId - ID of the conversation
+   * @param {string} content - Message content
+   * @param {string} senderId - ID of the sender, who can't mention themselves
+   * @returns {Promise<Array<Object>>} { userId, username } of each mentioned user
+   */
+  static async recordMentions(client, messageId, conversationId, content, senderId) {
+    const mentionedUsernames = parseMentions(content);
+
+    if (mentionedUsernames.length === 0) {
+      return [];
+    }
+
+    const result = await client.query(
+      `WITH inserted AS (
+        INSERT INTO message_mentions (message_id, user_id, conversation_id)
+        SELECT $1, u.id, cp.conversation_id
+        FROM conversation_participants cp
+        JOIN conversations c ON c.id = cp.conversation_id
+        JOIN users u ON u.id = cp.user_id
+        WHERE cp.conversation_id = $2
+        AND c.is_group = true
+        AND LOWER(u.username) = ANY($3)
+        AND u.id != $4
+        RETURNING user_id
+      )
+      SELECT i.user_id, u.username
+      FROM inserted i
+      JOIN users u ON u.id = i.user_id`,
+      [messageId, conversationId, mentionedUsernames, senderId]
+    );
+
+    return result.rows.map(row => ({ userId: row.user_id, username: row.username }));
+  }
+
   /**
    * Delete a message
    * 
    * @param {string} messageId - ID of the message to delete
    * @param {string} userId - ID of the user performing the deletion
+   * @param {Object} options - Deletion options
+   * @param {boolean} options.moderator - Delete someone else's message as a moderator
+   * @param {Object} options.client - Client of a transaction to delete in (default: its own transaction)
    * @returns {Promise<boolean>} Success indicator
    */
-  static async delete(messageId, userId) {
+  static async delete(messageId, userId, { moderator = false, client = null } = {}) {
     if (!messageId) {
       throw new Error('Message ID is required');
     }
@@ -449,10 +960,35 @@ class Message {
       throw new Error('User ID is required');
     }
 
-    const client = await pool.connect();
+    if (client) {
+      return this.deleteWithClient(client, messageId, userId, moderator);
+    }
+
+    const ownClient = await pool.connect();
     try {
-      await client.query('BEGIN');
+      await ownClient.query('BEGIN');
+      const deleted = await this.deleteWithClient(ownClient, messageId, userId, moderator);
+      await ownClient.query(deleted ? 'COMMIT' : 'ROLLBACK');
+      return deleted;
+    } catch (error) {
+      await ownClient.query('ROLLBACK');
+      throw error;
+    } finally {
+      ownClient.release();
+    }
+  }
 
+  /**
+   * Delete a message using a client that is already in a transaction
+   * 
+   * @param {Object} client - Database client
+   * @param {string} messageId - ID of the message to delete
+   * @param {string} userId - ID of the user performing the deletion
+   * @param {boolean} moderator - Delete someone else's message as a moderator
+   * @returns {Promise<boolean>} Success indicator
+   */
+  static async deleteWithClient(client, messageId, userId, moderator) {
+    try {
       // Check if user has permission to delete the message
       const checkResult = await client.query(
         'SELECT sender_id, media_id FROM messages WHERE id = $1',
@@ -465,8 +1001,8 @@ class Message {
 
       const { sender_id, media_id } = checkResult.rows[0];
 
-      // Only allow sender to delete their own messages
-      if (sender_id !== userId) {
+      // Only allow sender to delete their own messages, unless a moderator is removing it
+      if (sender_id !== userId && !moderator) {
         return false;
       }
 
@@ -493,15 +1029,214 @@ class Message {
         }
       }
 
-      await client.query('COMMIT');
       return deleteResult.rowCount > 0;
     } catch (error) {
-      await client.query('ROLLBACK');
       logger.error(`Error deleting message: ${error.message}`);
       throw error;
+    }
+  }
+
+  /**
+   * Edit a message
+   * 
+   * The previous version is stored in message_revisions before the message
+   * is updated. Encrypted messages are re-encrypted by the client, so a new
+   * encryptedContent, iv and recipientKeys set must be supplied.
+   * 
+   * @param {string} messageId - ID of the message to edit
+   * @param {string} userId - ID of the user performing the edit
+   * @param {Object} data - New message data
+   * @param {string} data.content - New content (unencrypted messages)
+   * @param {string} data.encryptedContent - New encrypted content (encrypted messages)
+   * @param {string} data.iv - New initialization vector (encrypted messages)
+   * @param {Object} data.recipientKeys - New encrypted keys for recipients (encrypted messages)
+   * @param {Object} data.linkPreview - New link preview attached by the sender (encrypted messages, optional)
+   * @returns {Promise<Object>} Edited message
+   */
+  static async edit(messageId, userId, data = {}) {
+    if (!messageId) {
+      throw new Error('Message ID is required');
+    }
+
+    if (!userId) {
+      throw new Error('User ID is required');
+    }
+
+    const { content, encryptedContent, iv, recipientKeys, linkPreview } = data;
+
+    const client = await pool.connect();
+    let edited;
+    let newMentions = [];
+
+    try {
+      await client.query('BEGIN');
+
+      const existingResult = await client.query(
+        `SELECT id, conversation_id, sender_id, content, encrypted_content, iv,
+                recipient_keys, is_encrypted, media_id, message_type
+         FROM messages
+         WHERE id = $1
+         AND (expires_at IS NULL OR expires_at > NOW())
+         FOR UPDATE`,
+        [messageId]
+      );
+
+      if (existingResult.rows.length === 0) {
+        throw new Error('Message not found');
+      }
+
+      const existing = existingResult.rows[0];
+
+      // Only allow sender to edit their own messages
+      if (existing.sender_id !== userId) {
+        throw new Error('Only the sender can edit this message');
+      }
+
+      // Votes were cast on the question as asked
+      if (existing.message_type === 'poll') {
+        throw new Error('Polls cannot be edited');
+      }
+
+      // An edit is a new post, so the sender must still be allowed to post
+      const conversation = await Conversation.getById(existing.conversation_id, { client });
+
+      if (!conversation || !conversation.participants.some(p => p.id === userId)) {
+        throw new Error('You are not a participant in this conversation');
+      }
+
+      if (await Conversation.isBlockedDirectConversation(conversation, userId)) {
+        throw new Error('You cannot send messages to this user');
+      }
+
+      if (!Conversation.can(conversation, userId, 'sendMessages')) {
+        throw new Error('You do not have permission to post in this conversation');
+      }
+
+      if (existing.is_encrypted) {
+        if (!encryptedContent) {
+          throw new Error('Encrypted content is required for encrypted messages');
+        }
+        if (!iv) {
+          throw new Error('Initialization vector is required for encrypted messages');
+        }
+        if (!recipientKeys || Object.keys(recipientKeys).length === 0) {
+          throw new Error('Recipient keys are required for encrypted messages');
+        }
+      } else if (!content && !existing.media_id) {
+        throw new Error('Message content is required');
+      }
+
+      // Keep the previous version
+      await client.query(
+        `INSERT INTO message_revisions (
+          id, message_id, editor_id, content, encrypted_content, iv, recipient_keys, is_encrypted
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+        [uuidv4(), messageId, userId, existing.content, existing.encrypted_content,
+         existing.iv, JSON.stringify(existing.recipient_keys || {}), Boolean(existing.is_encrypted)]
+      );
+
+      // The old preview may be of a link that's gone; plaintext messages
+      // are previewed again after the edit
+      const attachedPreview = existing.is_encrypted ? sanitizeLinkPreview(linkPreview) : null;
+
+      const result = existing.is_encrypted
+        ? await client.query(
+          `UPDATE messages
+           SET encrypted_content = $1, iv = $2, recipient_keys = $3, link_preview = $4,
+               edited_at = NOW(), updated_at = NOW()
+           WHERE id = $5
+           RETURNING edited_at`,
+          [encryptedContent, iv, JSON.stringify(recipientKeys),
+           attachedPreview ? JSON.stringify(attachedPreview) : null, messageId]
+        )
+        : await client.query(
+          `UPDATE messages
+           SET content = $1, link_preview = NULL, edited_at = NOW(), updated_at = NOW()
+           WHERE id = $2
+           RETURNING edited_at`,
+          [content || '', messageId]
+        );
+
+      // Mentions follow the new content; users it newly mentions are notified
+      let mentions = [];
+
+      if (!existing.is_encrypted && existing.message_type !== 'system') {
+        const previous = await client.query(
+          'DELETE FROM message_mentions WHERE message_id = $1 RETURNING user_id',
+          [messageId]
+        );
+        const previousIds = new Set(previous.rows.map(row => row.user_id));
+
+        mentions = await this.recordMentions(client, messageId, existing.conversation_id, content, existing.sender_id);
+        newMentions = mentions.filter(mention => !previousIds.has(mention.userId));
+      }
+
+      await client.query('COMMIT');
+
+      edited = {
+        id: messageId,
+        conversationId: existing.conversation_id,
+        senderId: existing.sender_id,
+        content: existing.is_encrypted ? '' : (content || ''),
+        isEncrypted: Boolean(existing.is_encrypted),
+        encryptedContent: existing.is_encrypted ? encryptedContent : null,
+        iv: existing.is_encrypted ? iv : null,
+        recipientKeys: existing.is_encrypted ? recipientKeys : null,
+        linkPreview: attachedPreview,
+        mentions,
+        editedAt: result.rows[0].edited_at
+      };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error(`Error editing message: ${error.message}`);
+      throw error;
     } finally {
       client.release();
     }
+
+    if (newMentions.length > 0) {
+      await this.sendNewMessageNotification({ ...edited, mentions: newMentions }, { mentionsOnly: true });
+    }
+
+    return edited;
+  }
+
+  /**
+   * Get the revision history of a message
+   * 
+   * @param {string} messageId - ID of the message
+   * @returns {Promise<Array<Object>>} Previous versions, oldest first
+   */
+  static async getRevisions(messageId) {
+    if (!messageId) {
+      throw new Error('Message ID is required');
+    }
+
+    try {
+      const result = await pool.query(
+        `SELECT id, message_id, editor_id, content, encrypted_content, iv,
+                recipient_keys, is_encrypted, created_at
+         FROM message_revisions
+         WHERE message_id = $1
+         ORDER BY created_at ASC`,
+        [messageId]
+      );
+
+      return result.rows.map(revision => ({
+        id: revision.id,
+        messageId: revision.message_id,
+        editorId: revision.editor_id,
+        content: revision.is_encrypted ? '' : revision.content,
+        isEncrypted: revision.is_encrypted,
+        encryptedContent: revision.is_encrypted ? revision.encrypted_content : null,
+        iv: revision.is_encrypted ? revision.iv : null,
+        recipientKeys: revision.is_encrypted ? revision.recipient_keys : null,
+        createdAt: revision.created_at
+      }));
+    } catch (error) {
+      logger.error(`Error getting message revisions: ${error.message}`);
+      throw error;
+    }
   }
 
   /**
@@ -734,11 +1469,13 @@ class Message {
           c.id, 
           c.name,
           c.is_group,
+          c.permissions,
           c.created_at,
           c.updated_at,
           (
             SELECT json_agg(json_build_object(
               'id', u.id,
+              'role', cp2.role,
               'username', u.username,
               'fullName', u.full_name,
               'profilePicture', u.profile_picture,
@@ -795,9 +1532,10 @@ class Message {
    * @param {Array} participantIds - Array of user IDs to include in the conversation
    * @param {string} name - Conversation name (required for group chats)
    * @param {boolean} isGroup - Whether this is a group conversation
+   * @param {string} ownerId - ID of the group's owner (groups only)
    * @returns {Object} Created conversation
    */
-  static async createConversation(participantIds, name = null, isGroup = false) {
+  static async createConversation(participantIds, name = null, isGroup = false, ownerId = null) {
     const client = await pool.connect();
     try {
       await client.query('BEGIN');
@@ -844,8 +1582,8 @@ class Message {
       for (const participantId of participantIds) {
         logger.debug(`Adding participant ${participantId} to conversation ${conversationId}`);
         await client.query(
-          `INSERT INTO conversation_participants (conversation_id, user_id) VALUES ($1, $2)`,
-          [conversationId, participantId]
+          `INSERT INTO conversation_participants (conversation_id, user_id, role) VALUES ($1, $2, $3)`,
+          [conversationId, participantId, isGroup && participantId === ownerId ? 'owner' : 'member']
         );
       }
       
@@ -1024,6 +1762,185 @@ class Message {
     }
   }
 
+  /**
+   * Full-text search across all conversations a user participates in
+   *
+   * Encrypted messages are never matched: their plaintext is not stored
+   * server-side, so searching them could only ever leak ciphertext.
+   *
+   * @param {string} userId - ID of the user performing the search
+   * @param {Object} options - Search options
+   * @param {string} options.query - Search terms
+   * @param {string} [options.conversationId] - Restrict to a single conversation
+   * @param {string} [options.senderId] - Restrict to messages from a sender
+   * @param {string} [options.from] - Only messages at or after this date
+   * @param {string} [options.to] - Only messages at or before this date
+   * @param {boolean} [options.hasMedia] - Only messages with (true) or without (false) media
+   * @param {number} [options.limit] - Maximum number of results (default: 20, max: 100)
+   * @param {string} [options.cursor] - Cursor returned by a previous search
+   * @returns {Promise<Object>} Results and the cursor for the next page
+   */
+  static async search(userId, options = {}) {
+    if (!userId) {
+      throw new Error('User ID is required');
+    }
+
+    const {
+      query,
+      conversationId = null,
+      senderId = null,
+      from = null,
+      to = null,
+      hasMedia = null,
+      cursor = null
+    } = options;
+    const limit = Math.min(Math.max(parseInt(options.limit, 10) || 20, 1), 100);
+
+    if (!query || !query.trim()) {
+      throw new Error('Search query is required');
+    }
+
+    const after = cursor ? decodeCursor(cursor) : null;
+    if (cursor && (!after || typeof after.rank !== 'number' || !after.timestamp || !after.id)) {
+      throw new Error('Invalid cursor');
+    }
+
+    const params = [
+      userId,
+      query.trim(),
+      `StartSel=${HIGHLIGHT_START}, StopSel=${HIGHLIGHT_END}, MaxWords=30, MinWords=10, MaxFragments=2`
+    ];
+    const filters = [];
+
+    if (conversationId) {
+      params.push(conversationId);
+      filters.push(`m.conversation_id = $${params.length}`);
+    }
+
+    if (senderId) {
+      params.push(senderId);
+      filters.push(`m.sender_id = $${params.length}`);
+    }
+
+    if (from) {
+      params.push(new Date(from).toISOString());
+      filters.push(`m.timestamp >= $${params.length}`);
+    }
+
+    if (to) {
+      params.push(new Date(to).toISOString());
+      filters.push(`m.timestamp <= $${params.length}`);
+    }
+
+    if (hasMedia === true) {
+      filters.push('m.media_id IS NOT NULL');
+    } else if (hasMedia === false) {
+      filters.push('m.media_id IS NULL');
+    }
+
+    let cursorFilter = '';
+    if (after) {
+      params.push(after.rank, after.timestamp, after.id);
+      cursorFilter = `WHERE (r.rank, r.timestamp, r.id) < ($${params.length - 2}::float8, $${params.length - 1}::timestamptz, $${params.length}::uuid)`;
+    }
+
+    // Fetch one extra row to know whether another page exists
+    params.push(limit + 1);
+
+    try {
+      const result = await pool.query(
+        `WITH search_query AS (
+          SELECT websearch_to_tsquery('english', $2) AS tsq
+        ),
+        ranked AS (
+          SELECT
+            m.id, m.conversation_id, m.sender_id, m.content, m.timestamp,
+            m.media_id, m.media_type, m.media_url, m.media_caption,
+            m.parent_message_id,
+            ts_rank(to_tsvector('english', COALESCE(m.content, '')), sq.tsq)::float8 AS rank,
+            ts_headline('english', m.content, sq.tsq, $3) AS snippet
+          FROM messages m
+          JOIN conversation_participants cp
+            ON cp.conversation_id = m.conversation_id AND cp.user_id = $1
+          CROSS JOIN search_query sq
+          WHERE m.is_encrypted IS NOT TRUE
+          AND (m.expires_at IS NULL OR m.expires_at > NOW())
+          AND to_tsvector('english', COALESCE(m.content, '')) @@ sq.tsq
+          ${filters.map(filter => `AND ${filter}`).join('\n          ')}
+        )
+        SELECT r.*, u.username AS sender_username, u.full_name AS sender_name,
+               c.name AS conversation_name, c.is_group
+        FROM ranked r
+        JOIN users u ON r.sender_id = u.id
+        JOIN conversations c ON r.conversation_id = c.id
+        ${cursorFilter}
+        ORDER BY r.rank DESC, r.timestamp DESC, r.id DESC
+        LIMIT $${params.length}`,
+        params
+      );
+
+      const rows = result.rows.slice(0, limit);
+      const last = rows[rows.length - 1];
+
+      return {
+        results: rows.map(row => ({
+          id: row.id,
+          conversationId: row.conversation_id,
+          conversationName: row.conversation_name,
+          isGroup: row.is_group,
+          senderId: row.sender_id,
+          senderUsername: row.sender_username,
+          senderName: row.sender_name,
+          content: row.content,
+          snippet: this.formatSearchSnippet(row.snippet),
+          rank: row.rank,
+          media: row.media_id ? {
+            id: row.media_id,
+            type: row.media_type,
+            url: row.media_url,
+            caption: row.media_caption
+          } : null,
+          timestamp: row.timestamp,
+          parentMessageId: row.parent_message_id
+        })),
+        nextCursor: result.rows.length > limit && last
+          ? encodeCursor({
+            rank: last.rank,
+            timestamp: new Date(last.timestamp).toISOString(),
+            id: last.id
+          })
+          : null
+      };
+    } catch (error) {
+      logger.error(`Error searching messages: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Convert a raw ts_headline snippet into safe HTML
+   *
+   * The snippet is built from user content, so everything is escaped
+   * before the highlight markers are turned into <mark> tags.
+   *
+   * @param {string} snippet - Snippet with highlight sentinel characters
+   * @returns {string} HTML-escaped snippet with <mark> highlights
+   */
+  static formatSearchSnippet(snippet) {
+    if (!snippet) {
+      return '';
+    }
+
+    return snippet
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;')
+      .split(HIGHLIGHT_START).join('<mark>')
+      .split(HIGHLIGHT_END).join('</mark>');
+  }
+
   /**
    * Update message status
    * 
@@ -1100,35 +2017,56 @@ class Message {
    * @returns {Promise<Object>} Object with conversation IDs as keys and unread counts as values
    */
   static async getUnreadCounts(userId) {
+    const summary = await this.getUnreadSummary(userId);
+    const unreadCounts = {};
+
+    Object.entries(summary).forEach(([conversationId, { count }]) => {
+      unreadCounts[conversationId] = count;
+    });
+
+    return unreadCounts;
+  }
+
+  /**
+   * Get unread message counts for a user along with each conversation's mute state
+   * 
+   * Muted conversations are flagged so clients can show a quieter badge.
+   * @param {string} userId - ID of the user
+   * @returns {Promise<Object>} Object with conversation IDs as keys and
+   *   { count, muted, mutedUntil, level } as values
+   */
+  static async getUnreadSummary(userId) {
     if (!userId) {
       throw new Error('User ID is required');
     }
 
     try {
-      // Get conversations where the user is a participant
-      const conversations = await Conversation.getByParticipant(userId);
-      
-      if (!conversations || conversations.length === 0) {
-        return {};
-      }
-
-      const conversationIds = conversations.map(conv => conv.id);
-      
-      // Get unread message counts for each conversation
       const result = await pool.query(
-        `SELECT conversation_id, COUNT(*) as unread_count
-         FROM messages
-         WHERE conversation_id = ANY($1)
-         AND sender_id != $2
-         AND status != 'read'
-         GROUP BY conversation_id`,
-        [conversationIds, userId]
+        `SELECT cp.conversation_id, COUNT(m.id) AS unread_count,
+                cns.level, cns.muted, cns.muted_until
+         FROM conversation_participants cp
+         JOIN messages m ON m.conversation_id = cp.conversation_id
+         LEFT JOIN conversation_notification_settings cns
+           ON cns.conversation_id = cp.conversation_id AND cns.user_id = cp.user_id
+         WHERE cp.user_id = $1
+         AND m.sender_id != $1
+         AND m.status != 'read'
+         AND (m.expires_at IS NULL OR m.expires_at > NOW())
+         GROUP BY cp.conversation_id, cns.level, cns.muted, cns.muted_until`,
+        [userId]
       );
 
       // Convert to object with conversation IDs as keys
       const unreadCounts = {};
       result.rows.forEach(row => {
-        unreadCounts[row.conversation_id] = parseInt(row.unread_count, 10);
+        const settings = Conversation.formatNotificationSettings(row.conversation_id, row);
+        
+        unreadCounts[row.conversation_id] = {
+          count: parseInt(row.unread_count, 10),
+          muted: settings.muted || settings.level === 'none',
+          mutedUntil: settings.mutedUntil,
+          level: settings.level
+        };
       });
 
       return unreadCounts;
@@ -1194,6 +2132,7 @@ class Message {
         FROM messages m
         JOIN users u ON m.sender_id = u.id
         WHERE m.parent_message_id = $1
+        AND (m.expires_at IS NULL OR m.expires_at > NOW())
         ORDER BY m.timestamp ASC
         LIMIT $2 OFFSET $3`,
         [messageId, limit, offset]
@@ -1521,9 +2460,11 @@ class Message {
   /**
    * Send push notification for new message
    * @param {Object} message - Message object
+   * @param {Object} options - Options
+   * @param {boolean} options.mentionsOnly - Only notify the users in message.mentions (after an edit)
    * @returns {Promise<void>}
    */
-  static async sendNewMessageNotification(message) {
+  static async sendNewMessageNotification(message, { mentionsOnly = false } = {}) {
     try {
       const notificationService = require('../services/NotificationService');
       const User = require('./User');
@@ -1544,11 +2485,17 @@ class Message {
       
       const conversationData = conversation.rows[0];
       
-      // Get recipients (excluding sender)
+      // Get recipients (excluding the sender and users blocked either way) with their notification settings for the conversation
       const recipients = await pool.query(
-        `SELECT user_id 
-         FROM conversation_participants 
-         WHERE conversation_id = $1 AND user_id != $2`,
+        `SELECT cp.user_id, cns.level, cns.muted, cns.muted_until
+         FROM conversation_participants cp
+         LEFT JOIN conversation_notification_settings cns
+           ON cns.conversation_id = cp.conversation_id AND cns.user_id = cp.user_id
+         WHERE cp.conversation_id = $1 AND cp.user_id != $2
+         AND NOT EXISTS (
+           SELECT 1 FROM user_blocks b
+           WHERE (b.blocker_id = cp.user_id AND b.blocked_id = $2) OR (b.blocker_id = $2 AND b.blocked_id = cp.user_id)
+         )`,
         [message.conversationId, message.senderId]
       );
       
@@ -1559,6 +2506,7 @@ class Message {
       
       // Prepare notification content
       const senderName = conversationData.full_name || conversationData.username || 'Someone';
+      const mentionedUserIds = new Set((message.mentions || []).map(mention => mention.userId));
       let title, body;
       
       if (conversationData.is_group) {
@@ -1572,15 +2520,45 @@ class Message {
       
       // Send notification to each recipient
       for (const recipient of recipients.rows) {
+        const isMentioned = mentionedUserIds.has(recipient.user_id);
+        const settings = Conversation.formatNotificationSettings(message.conversationId, recipient);
+        
+        if (!Conversation.allowsNotification(settings, isMentioned ? 'mention' : 'message')) {
+          continue;
+        }
+        
+        if (mentionsOnly && !isMentioned) {
+          continue;
+        }
+        
+        // Mentioned users get a mention notification instead
+        if (isMentioned) {
+          await notificationService.createNotification(
+            recipient.user_id,
+            'mention',
+            `${senderName} mentioned you in ${conversationData.name || 'Group chat'}`,
+            this.getMessagePreview(message),
+            {
+              conversationId: message.conversationId,
+              messageId: message.id,
+              senderId: message.senderId,
+              isGroup: conversationData.is_group
+            }
+          );
+          continue;
+        }
+        
         await notificationService.sendNotification(recipient.user_id, {
-          type: 'new_message',
+          type: 'message',
           title,
           body,
           data: {
             conversationId: message.conversationId,
             messageId: message.id,
             senderId: message.senderId,
-            isGroup: conversationData.is_group
+            isGroup: conversationData.is_group,
+            // Used to title batched pushes ("5 new messages in Team Chat")
+            conversationName: conversationData.is_group ? conversationData.name : senderName
           }
         });
       }
@@ -1601,6 +2579,11 @@ class Message {
       return 'New encrypted message';
     }
     
+    // Polls show their question, and how the vote is going
+    if (message.type === 'poll' && message.poll) {
+      return Poll.preview(message.poll);
+    }
+    
     // If it's a media message, show the media type
     if (message.mediaType) {
       const mediaTypeMap = {
@@ -1681,4 +2664,6 @@ class Message {
   }
 }
 
+Message.EDIT_FORBIDDEN_ERRORS = EDIT_FORBIDDEN_ERRORS;
+
 module.exports = Message;
@@ -0,0 +1,137 @@
+const { pool } = require('../config/database');
+const logger = require('../utils/logger');
+
+// Actions moderators can take
+const ACTIONS = [
+  'resolve_report',
+  'dismiss_report',
+  'delete_message',
+  'suspend_user',
+  'unsuspend_user',
+  'update_roles'
+];
+
+/**
+ * ModerationLog Model
+ *
+ * Audit log of every moderator action, kept in moderation_audit_log
+ */
+class ModerationLog {
+  /**
+   * Record a moderator action
+   *
+   * @param {Object} entry - Log entry
+   * @param {string} entry.moderatorId - ID of the moderator
+   * @param {string} entry.action - One of ACTIONS
+   * @param {string} entry.targetType - report, message or user
+   * @param {string} entry.targetId - ID of the target
+   * @param {string} entry.reportId - Report the action was taken on, if any
+   * @param {Object} entry.details - Anything else worth keeping (reason, previous values)
+   * @param {Object} client - Database client, to record inside the action's transaction
+   * @returns {Promise<Object>} Log entry
+   */
+  static async record(entry, client = pool) {
+    const { moderatorId, action, targetType, targetId, reportId = null, details = {} } = entry;
+
+    if (!ACTIONS.includes(action)) {
+      throw new Error(`Invalid moderation action: ${action}`);
+    }
+
+    try {
+      const result = await client.query(
+        `INSERT INTO moderation_audit_log (moderator_id, action, report_id, target_type, target_id, details)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING *`,
+        [moderatorId, action, reportId, targetType, targetId, JSON.stringify(details)]
+      );
+
+      return this.format(result.rows[0]);
+    } catch (error) {
+      logger.error(`Error recording moderation action: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Get audit log entries
+   * @param {Object} options - Query options
+   * @param {string} options.targetId - Only entries about this target
+   * @param {string} options.moderatorId - Only entries by this moderator
+   * @param {number} options.limit - Maximum number of entries to return
+   * @param {number} options.offset - Offset for pagination
+   * @returns {Promise<Array<Object>>} Entries, most recent first
+   */
+  static async getAll(options = {}) {
+    const { targetId = null, moderatorId = null, limit = 50, offset = 0 } = options;
+
+    try {
+      const result = await pool.query(
+        `SELECT l.*, u.username AS moderator_username
+         FROM moderation_audit_log l
+         LEFT JOIN users u ON u.id = l.moderator_id
+         WHERE ($1::uuid IS NULL OR l.target_id = $1)
+         AND ($2::uuid IS NULL OR l.moderator_id = $2)
+         ORDER BY l.created_at DESC, l.id DESC
+         LIMIT $3 OFFSET $4`,
+        [targetId, moderatorId, limit, offset]
+      );
+
+      return result.rows.map(row => this.format(row));
+    } catch (error) {
+      logger.error(`Error getting moderation audit log: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a deleted user's ID from the audit log
+   *
+   * Entries stay, but those about the user point at replacementId instead.
+   * @param {string} userId - ID of the deleted user
+   * @param {string} replacementId - ID to put in their place
+   * @param {Object} client - Database client, to redact inside the deletion's transaction
+   * @returns {Promise<number>} Number of entries redacted
+   */
+  static async redactUser(userId, replacementId, client = pool) {
+    try {
+      const result = await client.query(
+        `UPDATE moderation_audit_log
+         SET target_id = CASE WHEN target_type = 'user' AND target_id = $1 THEN $2 ELSE target_id END,
+             details = CASE WHEN details->>'senderId' = $1::text
+               THEN details || jsonb_build_object('senderId', $2::text)
+               ELSE details END
+         WHERE (target_type = 'user' AND target_id = $1)
+         OR details->>'senderId' = $1::text`,
+        [userId, replacementId]
+      );
+
+      return result.rowCount;
+    } catch (error) {
+      logger.error(`Error redacting moderation audit log: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Format a log entry row
+   * @param {Object} row - moderation_audit_log row
+   * @returns {Object} Log entry
+   */
+  static format(row) {
+    return {
+      id: row.id,
+      moderatorId: row.moderator_id,
+      moderatorUsername: row.moderator_username,
+      action: row.action,
+      reportId: row.report_id,
+      targetType: row.target_type,
+      targetId: row.target_id,
+      details: row.details,
+      createdAt: row.created_at
+    };
+  }
+}
+
+ModerationLog.ACTIONS = ACTIONS;
+
+module.exports = ModerationLog;
@@ -0,0 +1,382 @@
+const { v4: uuidv4 } = require('uuid');
+const { pool } = require('../config/database');
+const logger = require('../utils/logger');
+
+// Limits on what a poll can ask
+const MIN_OPTIONS = 2;
+const MAX_OPTIONS = 10;
+const MAX_QUESTION_LENGTH = 300;
+const MAX_OPTION_LENGTH = 100;
+
+// Furthest ahead a poll's close time can be set
+const MAX_OPEN_DAYS = 30;
+
+// Longest question shown in a push preview
+const PREVIEW_QUESTION_LENGTH = 50;
+
+// Errors from voting that are the voter's mistake, not the server's
+const VOTE_ERRORS = [
+  'At least one option is required',
+  'This poll only allows one choice',
+  'Invalid poll option',
+  'Poll is closed'
+];
+
+/**
+ * Poll Model
+ *
+ * Represents polls posted as messages, their options and votes. A poll
+ * shares its ID with its message.
+ */
+class Poll {
+  /**
+   * Validate and tidy the details of a new poll
+   * @param {Object} data - Poll details
+   * @param {string} data.question - Question asked
+   * @param {Array<string>} data.options - Answers to choose from
+   * @param {boolean} data.multipleChoice - Whether voters can pick more than one option
+   * @param {boolean} data.anonymous - Whether to hide who voted for what
+   * @param {string} data.closesAt - When voting closes (optional)
+   * @returns {Object} Poll details
+   * @throws {Error} If the poll is invalid
+   */
+  static normalize(data) {
+    if (!data || typeof data !== 'object') {
+      throw new Error('Poll question is required');
+    }
+
+    const { options, multipleChoice = false, anonymous = false, closesAt = null } = data;
+    const question = typeof data.question === 'string' ? data.question.trim() : '';
+
+    if (!question) {
+      throw new Error('Poll question is required');
+    }
+
+    if (question.length > MAX_QUESTION_LENGTH) {
+      throw new Error(`Poll question must be at most ${MAX_QUESTION_LENGTH} characters`);
+    }
+
+    if (!Array.isArray(options) || options.length < MIN_OPTIONS || options.length > MAX_OPTIONS) {
+      throw new Error(`A poll needs between ${MIN_OPTIONS} and ${MAX_OPTIONS} options`);
+    }
+
+    const texts = options.map(option => (typeof option === 'string' ? option.trim() : ''));
+
+    if (texts.some(text => !text || text.length > MAX_OPTION_LENGTH)) {
+      throw new Error(`Poll options must be text of at most ${MAX_OPTION_LENGTH} characters`);
+    }
+
+    if (new Set(texts.map(text => text.toLowerCase())).size !== texts.length) {
+      throw new Error('Poll options must be different');
+    }
+
+    let closeTime = null;
+
+    if (closesAt !== null && closesAt !== undefined) {
+      closeTime = new Date(closesAt);
+
+      if (Number.isNaN(closeTime.getTime())) {
+        throw new Error('Invalid poll close time');
+      }
+
+      if (closeTime <= new Date()) {
+        throw new Error('Poll close time must be in the future');
+      }
+
+      if (closeTime - Date.now() > MAX_OPEN_DAYS * 24 * 60 * 60 * 1000) {
+        throw new Error(`Poll close time must be within ${MAX_OPEN_DAYS} days`);
+      }
+    }
+
+    return {
+      question,
+      options: texts,
+      multipleChoice: Boolean(multipleChoice),
+      anonymous: Boolean(anonymous),
+      closesAt: closeTime
+    };
+  }
+
+  /**
+   * Store a poll for a new message
+   * @param {Object} client - Database client inside the message's transaction
+   * @param {string} messageId - ID of the poll's message
+   * @param {Object} poll - Poll details from normalize
+   * @returns {Promise<Object>} Poll results, with no votes yet
+   */
+  static async insert(client, messageId, poll) {
+    await client.query(
+      `INSERT INTO polls (message_id, question, multiple_choice, anonymous, closes_at)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [messageId, poll.question, poll.multipleChoice, poll.anonymous, poll.closesAt]
+    );
+
+    const options = poll.options.map(text => ({ id: uuidv4(), text }));
+
+    await client.query(
+      `INSERT INTO poll_options (id, message_id, position, text)
+       SELECT id, $1, position - 1, text
+       FROM unnest($2::uuid[], $3::varchar[]) WITH ORDINALITY AS o(id, text, position)`,
+      [messageId, options.map(option => option.id), options.map(option => option.text)]
+    );
+
+    return {
+      question: poll.question,
+      multipleChoice: poll.multipleChoice,
+      anonymous: poll.anonymous,
+      closesAt: poll.closesAt,
+      closed: false,
+      totalVoters: 0,
+      options: options.map(option => ({
+        id: option.id,
+        text: option.text,
+        voteCount: 0,
+        ...(poll.anonymous ? {} : { voters: [] })
+      })),
+      myVotes: []
+    };
+  }
+
+  /**
+   * Get the current results of polls
+   * @param {Array<string>} messageIds - IDs of the polls' messages
+   * @param {string} viewerId - ID of the user viewing them, to include their own votes (optional)
+   * @returns {Promise<Map<string, Object>>} Poll results by message ID
+   */
+  static async getResults(messageIds, viewerId = null) {
+    if (messageIds.length === 0) {
+      return new Map();
+    }
+
+    try {
+      const result = await pool.query(
+        `SELECT
+          p.message_id, p.question, p.multiple_choice, p.anonymous, p.closes_at,
+          p.closes_at IS NOT NULL AND p.closes_at <= NOW() AS closed,
+          (SELECT COUNT(DISTINCT v.user_id)::int FROM poll_votes v WHERE v.message_id = p.message_id) AS total_voters,
+          (
+            SELECT COALESCE(json_agg(json_build_object(
+              'id', o.id,
+              'text', o.text,
+              'voteCount', (SELECT COUNT(*) FROM poll_votes v WHERE v.option_id = o.id),
+              'voters', CASE WHEN p.anonymous THEN NULL ELSE (
+                SELECT COALESCE(json_agg(json_build_object('userId', u.id, 'username', u.username) ORDER BY v.created_at), '[]'::json)
+                FROM poll_votes v
+                JOIN users u ON u.id = v.user_id
+                WHERE v.option_id = o.id
+              ) END,
+              'votedByViewer', EXISTS (SELECT 1 FROM poll_votes v WHERE v.option_id = o.id AND v.user_id = $2)
+            ) ORDER BY o.position), '[]'::json)
+            FROM poll_options o
+            WHERE o.message_id = p.message_id
+          ) AS options
+        FROM polls p
+        WHERE p.message_id = ANY($1::uuid[])`,
+        [messageIds, viewerId]
+      );
+
+      return new Map(result.rows.map(row => [row.message_id, this.format(row)]));
+    } catch (error) {
+      logger.error(`Error getting poll results: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the current results of a poll
+   * @param {string} messageId - ID of the poll's message
+   * @param {string} viewerId - ID of the user viewing it (optional)
+   * @returns {Promise<Object|null>} Poll results, or null if the message isn't a poll
+   */
+  static async getByMessageId(messageId, viewerId = null) {
+    const results = await this.getResults([messageId], viewerId);
+
+    return results.get(messageId) || null;
+  }
+
+  /**
+   * Vote in a poll
+   *
+   * In a single-choice poll the vote replaces any earlier one. In a
+   * multiple-choice poll it's added to the user's other choices.
+   * @param {string} messageId - ID of the poll's message
+   * @param {string} userId - ID of the user voting
+   * @param {Array<string>} optionIds - IDs of the options chosen
+   * @returns {Promise<Object|null>} Updated poll results, or null if the message isn't a poll
+   * @throws {Error} If the poll is closed or the options aren't valid
+   */
+  static async vote(messageId, userId, optionIds) {
+    if (!Array.isArray(optionIds) || optionIds.length === 0 || optionIds.some(id => typeof id !== 'string')) {
+      throw new Error('At least one option is required');
+    }
+
+    const chosen = [...new Set(optionIds)];
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const poll = await this.lockOpenPoll(client, messageId);
+
+      if (!poll) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      if (!poll.multiple_choice && chosen.length > 1) {
+        throw new Error('This poll only allows one choice');
+      }
+
+      const valid = await client.query(
+        'SELECT id FROM poll_options WHERE message_id = $1 AND id::text = ANY($2::text[])',
+        [messageId, chosen]
+      );
+
+      if (valid.rows.length !== chosen.length) {
+        throw new Error('Invalid poll option');
+      }
+
+      const validIds = valid.rows.map(row => row.id);
+
+      if (!poll.multiple_choice) {
+        await client.query(
+          'DELETE FROM poll_votes WHERE message_id = $1 AND user_id = $2 AND option_id <> ALL($3::uuid[])',
+          [messageId, userId, validIds]
+        );
+      }
+
+      await client.query(
+        `INSERT INTO poll_votes (option_id, message_id, user_id)
+         SELECT unnest($3::uuid[]), $1, $2
+         ON CONFLICT (option_id, user_id) DO NOTHING`,
+        [messageId, userId, validIds]
+      );
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error(`Error voting in poll: ${error.message}`);
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    return this.getByMessageId(messageId, userId);
+  }
+
+  /**
+   * Take back votes in a poll
+   * @param {string} messageId - ID of the poll's message
+   * @param {string} userId - ID of the user
+   * @param {string} optionId - Only take back the vote for this option (optional)
+   * @returns {Promise<Object|null>} Updated poll results, or null if the message isn't a poll
+   * @throws {Error} If the poll is closed
+   */
+  static async unvote(messageId, userId, optionId = null) {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const poll = await this.lockOpenPoll(client, messageId);
+
+      if (!poll) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      await client.query(
+        `DELETE FROM poll_votes
+         WHERE message_id = $1 AND user_id = $2
+         AND ($3::text IS NULL OR option_id::text = $3)`,
+        [messageId, userId, optionId]
+      );
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error(`Error removing poll vote: ${error.message}`);
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    return this.getByMessageId(messageId, userId);
+  }
+
+  /**
+   * Lock a poll for changing votes
+   * @param {Object} client - Database client inside a transaction
+   * @param {string} messageId - ID of the poll's message
+   * @returns {Promise<Object|null>} polls row, or null if the message isn't a poll
+   * @throws {Error} If the poll is closed
+   */
+  static async lockOpenPoll(client, messageId) {
+    const result = await client.query(
+      `SELECT multiple_choice, closes_at IS NOT NULL AND closes_at <= NOW() AS closed
+       FROM polls
+       WHERE message_id = $1
+       FOR UPDATE`,
+      [messageId]
+    );
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    if (result.rows[0].closed) {
+      throw new Error('Poll is closed');
+    }
+
+    return result.rows[0];
+  }
+
+  /**
+   * Describe a poll in a line, for push notifications
+   * @param {Object} poll - Poll results
+   * @returns {string} Preview
+   */
+  static preview(poll) {
+    const question = poll.question.length > PREVIEW_QUESTION_LENGTH
+      ? `${poll.question.substring(0, PREVIEW_QUESTION_LENGTH - 3)}...`
+      : poll.question;
+
+    if (!poll.totalVoters) {
+      return `Poll: ${question}`;
+    }
+
+    const leader = poll.options.reduce((best, option) => (option.voteCount > best.voteCount ? option : best));
+    const voters = `${poll.totalVoters} ${poll.totalVoters === 1 ? 'vote' : 'votes'}`;
+
+    return `Poll: ${question} (${voters}, leading: ${leader.text})`;
+  }
+
+  /**
+   * Format a poll results row
+   * @param {Object} row - polls row with total_voters, closed and options columns
+   * @returns {Object} Poll results
+   */
+  static format(row) {
+    const options = row.options || [];
+
+    return {
+      question: row.question,
+      multipleChoice: row.multiple_choice,
+      anonymous: row.anonymous,
+      closesAt: row.closes_at,
+      closed: Boolean(row.closed),
+      totalVoters: row.total_voters,
+      options: options.map(option => ({
+        id: option.id,
+        text: option.text,
+        voteCount: Number(option.voteCount),
+        ...(row.anonymous ? {} : { voters: option.voters || [] })
+      })),
+      myVotes: options.filter(option => option.votedByViewer).map(option => option.id)
+    };
+  }
+}
+
+Poll.VOTE_ERRORS = VOTE_ERRORS;
+
+module.exports = Poll;
@@ -0,0 +1,333 @@
+const { pool } = require('../config/database');
+const logger = require('../utils/logger');
+
+// A job that has been "sending" this long is assumed to have crashed
+const STALE_LOCK_MINUTES = 5;
+
+// Sends to a subscription are attempted this many times before being dead-lettered
+const MAX_ATTEMPTS = 5;
+
+// Retry delays double from the base delay up to the maximum, in seconds
+const RETRY_BASE_DELAY = 30;
+const RETRY_MAX_DELAY = 60 * 60;
+
+/**
+ * PushDeliveryJob Model
+ *
+ * Represents a pending web push send to one subscription. Jobs that run out
+ * of attempts are moved to the push_dead_letters table.
+ */
+class PushDeliveryJob {
+  /**
+   * Queue a push for a set of subscriptions
+   *
+   * @param {Array<number>} subscriptionIds - IDs of the subscriptions to push to
+   * @param {Object} payload - Push payload
+   * @param {string} type - Notification type, for metrics
+   * @returns {Promise<Array<number>>} IDs of the queued jobs
+   */
+  static async enqueue(subscriptionIds, payload, type = null) {
+    if (!subscriptionIds || subscriptionIds.length === 0) {
+      return [];
+    }
+
+    try {
+      const result = await pool.query(
+        `INSERT INTO push_delivery_jobs (subscription_id, user_id, notification_type, payload, max_attempts)
+         SELECT id, user_id, $2, $3, $4
+         FROM push_notification_subscriptions
+         WHERE id = ANY($1::int[])
+         RETURNING id`,
+        [subscriptionIds, type, JSON.stringify(payload), MAX_ATTEMPTS]
+      );
+
+      return result.rows.map(row => row.id);
+    } catch (error) {
+      logger.error(`Error queueing push delivery: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Claim jobs that are due and lock them for sending
+   *
+   * Jobs stuck in "sending" past the stale lock timeout are reclaimed.
+   * @param {number} limit - Maximum number of jobs to claim
+   * @returns {Promise<Array<Object>>} Claimed jobs with their subscription
+   */
+  static async claimDue(limit = 100) {
+    try {
+      const result = await pool.query(
+        `WITH claimed AS (
+           UPDATE push_delivery_jobs
+           SET status = 'sending', locked_at = NOW(), attempts = attempts + 1, updated_at = NOW()
+           WHERE id IN (
+             SELECT id FROM push_delivery_jobs
+             WHERE (status = 'pending' AND next_attempt_at <= NOW())
+             OR (status = 'sending' AND locked_at < NOW() - INTERVAL '${STALE_LOCK_MINUTES} minutes')
+             ORDER BY next_attempt_at ASC
+             LIMIT $1
+             FOR UPDATE SKIP LOCKED
+           )
+           RETURNING *
+         )
+         SELECT claimed.*, s.endpoint, s.p256dh, s.auth
+         FROM claimed
+         JOIN push_notification_subscriptions s ON s.id = claimed.subscription_id`,
+        [limit]
+      );
+
+      return result.rows.map(row => this.format(row));
+    } catch (error) {
+      logger.error(`Error claiming push delivery jobs: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a delivered job
+   * @param {number} id - Job ID
+   * @returns {Promise<boolean>} Whether the job existed
+   */
+  static async complete(id) {
+    try {
+      const result = await pool.query(
+        `WITH done AS (
+           DELETE FROM push_delivery_jobs WHERE id = $1 RETURNING subscription_id
+         )
+         UPDATE push_notification_subscriptions
+         SET last_used_at = NOW()
+         WHERE id IN (SELECT subscription_id FROM done)`,
+        [id]
+      );
+
+      return result.rowCount > 0;
+    } catch (error) {
+      logger.error(`Error completing push delivery job: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Record a failed send and schedule a retry, or dead-letter the job
+   * @param {Object} job - Claimed job
+   * @param {string} reason - Failure reason
+   * @param {Object} options - Failure details
+   * @param {number} options.statusCode - HTTP status from the push service
+   * @param {boolean} options.permanent - Don't retry
+   * @returns {Promise<string>} New state (pending or dead)
+   */
+  static async markFailed(job, reason, { statusCode = null, permanent = false } = {}) {
+    if (permanent || job.attempts >= job.maxAttempts) {
+      await this.deadLetter(job, reason, statusCode);
+      return 'dead';
+    }
+
+    try {
+      await pool.query(
+        `UPDATE push_delivery_jobs
+         SET status = 'pending', locked_at = NULL, last_error = $2,
+             next_attempt_at = NOW() + make_interval(secs => $3), updated_at = NOW()
+         WHERE id = $1`,
+        [job.id, reason, this.getRetryDelay(job.attempts)]
+      );
+
+      return 'pending';
+    } catch (error) {
+      logger.error(`Error marking push delivery job as failed: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the delay before the next attempt
+   * @param {number} attempts - Attempts made so far
+   * @returns {number} Delay in seconds
+   */
+  static getRetryDelay(attempts) {
+    return Math.min(RETRY_BASE_DELAY * 2 ** Math.max(attempts - 1, 0), RETRY_MAX_DELAY);
+  }
+
+  /**
+   * Move a job to the dead-letter table
+   * @param {Object} job - Claimed job
+   * @param {string} reason - Failure reason
+   * @param {number|null} statusCode - HTTP status from the push service
+   * @returns {Promise<number|null>} Dead letter ID
+   */
+  static async deadLetter(job, reason, statusCode = null) {
+    try {
+      const result = await pool.query(
+        `WITH moved AS (
+           DELETE FROM push_delivery_jobs WHERE id = $1 RETURNING *
+         )
+         INSERT INTO push_dead_letters
+           (job_id, subscription_id, user_id, endpoint, notification_type, payload, attempts, last_error, status_code)
+         SELECT id, subscription_id, user_id, $2, notification_type, payload, attempts, $3, $4
+         FROM moved
+         RETURNING id`,
+        [job.id, job.endpoint, reason, statusCode]
+      );
+
+      return result.rows.length > 0 ? result.rows[0].id : null;
+    } catch (error) {
+      logger.error(`Error dead-lettering push delivery job: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a subscription the push service no longer accepts, with its jobs
+   * @param {number} subscriptionId - Subscription ID
+   * @returns {Promise<boolean>} Whether the subscription existed
+   */
+  static async removeSubscription(subscriptionId) {
+    try {
+      const result = await pool.query(
+        'DELETE FROM push_notification_subscriptions WHERE id = $1',
+        [subscriptionId]
+      );
+
+      return result.rowCount > 0;
+    } catch (error) {
+      logger.error(`Error removing push subscription: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Get dead-lettered pushes
+   * @param {Object} options - Query options
+   * @param {number} options.limit - Maximum number of dead letters to return
+   * @param {number} options.offset - Offset for pagination
+   * @param {boolean} options.includeReplayed - Include dead letters that were already replayed
+   * @returns {Promise<Array<Object>>} Dead letters, most recent first
+   */
+  static async getDeadLetters(options = {}) {
+    const { limit = 50, offset = 0, includeReplayed = false } = options;
+
+    try {
+      const result = await pool.query(
+        `SELECT * FROM push_dead_letters
+         WHERE ($3 OR replayed_at IS NULL)
+         ORDER BY failed_at DESC
+         LIMIT $1 OFFSET $2`,
+        [limit, offset, includeReplayed]
+      );
+
+      return result.rows.map(row => this.formatDeadLetter(row));
+    } catch (error) {
+      logger.error(`Error getting push dead letters: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Queue a dead-lettered push again with a fresh set of attempts
+   * @param {number} id - Dead letter ID
+   * @returns {Promise<Object|null>} Replayed dead letter, or null if not found
+   */
+  static async replayDeadLetter(id) {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const letterResult = await client.query(
+        'SELECT * FROM push_dead_letters WHERE id = $1 FOR UPDATE',
+        [id]
+      );
+
+      if (letterResult.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      const letter = letterResult.rows[0];
+
+      if (letter.replayed_at) {
+        throw new Error('Dead letter has already been replayed');
+      }
+
+      if (!letter.subscription_id) {
+        throw new Error('Subscription no longer exists');
+      }
+
+      const jobResult = await client.query(
+        `INSERT INTO push_delivery_jobs (subscription_id, user_id, notification_type, payload, max_attempts)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING id`,
+        [letter.subscription_id, letter.user_id, letter.notification_type, JSON.stringify(letter.payload), MAX_ATTEMPTS]
+      );
+
+      const updateResult = await client.query(
+        `UPDATE push_dead_letters
+         SET replayed_at = NOW(), replay_job_id = $2
+         WHERE id = $1
+         RETURNING *`,
+        [id, jobResult.rows[0].id]
+      );
+
+      await client.query('COMMIT');
+
+      return this.formatDeadLetter(updateResult.rows[0]);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error(`Error replaying push dead letter: ${error.message}`);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Format a claimed job row
+   * @param {Object} row - push_delivery_jobs row joined with its subscription
+   * @returns {Object} Job
+   */
+  static format(row) {
+    return {
+      id: row.id,
+      subscriptionId: row.subscription_id,
+      userId: row.user_id,
+      type: row.notification_type,
+      payload: row.payload,
+      attempts: row.attempts,
+      maxAttempts: row.max_attempts,
+      lastError: row.last_error,
+      endpoint: row.endpoint,
+      keys: {
+        p256dh: row.p256dh,
+        auth: row.auth
+      },
+      createdAt: row.created_at
+    };
+  }
+
+  /**
+   * Format a dead letter row
+   * @param {Object} row - push_dead_letters row
+   * @returns {Object} Dead letter
+   */
+  static formatDeadLetter(row) {
+    return {
+      id: row.id,
+      jobId: row.job_id,
+      subscriptionId: row.subscription_id,
+      userId: row.user_id,
+      endpoint: row.endpoint,
+      type: row.notification_type,
+      payload: row.payload,
+      attempts: row.attempts,
+      lastError: row.last_error,
+      statusCode: row.status_code,
+      failedAt: row.failed_at,
+      replayedAt: row.replayed_at,
+      replayJobId: row.replay_job_id
+    };
+  }
+}
+
+PushDeliveryJob.MAX_ATTEMPTS = MAX_ATTEMPTS;
+
+module.exports = PushDeliveryJob;
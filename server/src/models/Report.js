@@ -0,0 +1,443 @@
+const { v4: uuidv4 } = require('uuid');
+const { pool } = require('../config/database');
+const logger = require('../utils/logger');
+const Message = require('./Message');
+const Conversation = require('./Conversation');
+const User = require('./User');
+
+// What can be reported
+const TARGET_TYPES = ['message', 'user', 'conversation'];
+
+// Why it was reported
+const REPORT_REASONS = [
+  'spam',
+  'harassment',
+  'hate_speech',
+  'violence',
+  'sexual_content',
+  'self_harm',
+  'impersonation',
+  'other'
+];
+
+// Moderators close reports as resolved (action taken) or dismissed
+const CLOSED_STATUSES = ['resolved', 'dismissed'];
+
+// Longest free-text explanation a reporter can add
+const MAX_DETAILS_LENGTH = 1000;
+
+// Messages captured when a conversation is reported
+const CONVERSATION_SNAPSHOT_MESSAGES = 20;
+
+// Postgres unique_violation error code
+const UNIQUE_VIOLATION = '23505';
+
+/**
+ * Report Model
+ *
+ * Represents a user's abuse report about a message, user or conversation.
+ * Reports carry a snapshot of the reported content taken when they're
+ * filed. Reporter identity is only ever shown to moderators.
+ */
+class Report {
+  /**
+   * File a report
+   *
+   * @param {string} reporterId - ID of the reporting user
+   * @param {Object} data - Report data
+   * @param {string} data.targetType - message, user or conversation
+   * @param {string} data.targetId - ID of the reported message, user or conversation
+   * @param {string} data.reason - One of REPORT_REASONS
+   * @param {string} data.details - Optional explanation
+   * @returns {Promise<Object>} Report, as seen by the reporter
+   */
+  static async create(reporterId, data) {
+    const { targetType, targetId, reason, details = null } = data;
+
+    if (!TARGET_TYPES.includes(targetType)) {
+      throw new Error(`Invalid report target type. Must be one of: ${TARGET_TYPES.join(', ')}`);
+    }
+
+    if (!targetId) {
+      throw new Error('Target ID is required');
+    }
+
+    if (!REPORT_REASONS.includes(reason)) {
+      throw new Error(`Invalid report reason. Must be one of: ${REPORT_REASONS.join(', ')}`);
+    }
+
+    if (details !== null && (typeof details !== 'string' || details.length > MAX_DETAILS_LENGTH)) {
+      throw new Error(`Invalid details. Must be text of at most ${MAX_DETAILS_LENGTH} characters`);
+    }
+
+    const { reportedUserId, snapshot } = await this.takeSnapshot(reporterId, targetType, targetId);
+
+    try {
+      const result = await pool.query(
+        `INSERT INTO reports (id, reporter_id, target_type, target_id, reported_user_id, reason, details, snapshot)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+         RETURNING *`,
+        [uuidv4(), reporterId, targetType, targetId, reportedUserId, reason, details, JSON.stringify(snapshot)]
+      );
+
+      return this.formatForReporter(result.rows[0]);
+    } catch (error) {
+      if (error.code === UNIQUE_VIOLATION) {
+        throw new Error('You have already reported this');
+      }
+
+      logger.error(`Error creating report: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Capture the reported content as the reporter can see it now
+   *
+   * @param {string} reporterId - ID of the reporting user
+   * @param {string} targetType - message, user or conversation
+   * @param {string} targetId - ID of the reported item
+   * @returns {Promise<Object>} { reportedUserId, snapshot }
+   * @throws {Error} If the target doesn't exist or the reporter can't see it
+   */
+  static async takeSnapshot(reporterId, targetType, targetId) {
+    if (targetType === 'user') {
+      if (targetId === reporterId) {
+        throw new Error('Cannot report yourself');
+      }
+
+      const user = await User.getById(targetId);
+
+      if (!user) {
+        throw new Error('Reported content not found');
+      }
+
+      return {
+        reportedUserId: user.id,
+        snapshot: {
+          userId: user.id,
+          username: user.username,
+          fullName: user.fullName,
+          profilePicture: user.profilePicture,
+          status: user.status
+        }
+      };
+    }
+
+    if (targetType === 'message') {
+      const message = await Message.getById(targetId);
+
+      if (!message) {
+        throw new Error('Reported content not found');
+      }
+
+      if (!await Message.isConversationParticipant(message.conversationId, reporterId)) {
+        throw new Error('You can only report content in your conversations');
+      }
+
+      if (message.senderId === reporterId) {
+        throw new Error('Cannot report your own message');
+      }
+
+      return {
+        reportedUserId: message.senderId,
+        snapshot: {
+          messageId: message.id,
+          conversationId: message.conversationId,
+          senderId: message.senderId,
+          senderUsername: message.senderUsername,
+          content: message.content,
+          isEncrypted: message.isEncrypted,
+          media: message.media,
+          timestamp: message.timestamp
+        }
+      };
+    }
+
+    const conversation = await Conversation.getById(targetId);
+
+    if (!conversation) {
+      throw new Error('Reported content not found');
+    }
+
+    if (!conversation.participants.some(participant => participant.id === reporterId)) {
+      throw new Error('You can only report content in your conversations');
+    }
+
+    const recent = await pool.query(
+      `SELECT m.id, m.sender_id, u.username, m.content, m.is_encrypted, m.timestamp
+       FROM messages m
+       JOIN users u ON u.id = m.sender_id
+       WHERE m.conversation_id = $1
+       AND (m.expires_at IS NULL OR m.expires_at > NOW())
+       ORDER BY m.timestamp DESC
+       LIMIT $2`,
+      [targetId, CONVERSATION_SNAPSHOT_MESSAGES]
+    );
+
+    return {
+      reportedUserId: null,
+      snapshot: {
+        conversationId: conversation.id,
+        name: conversation.name,
+        isGroup: conversation.is_group,
+        participants: conversation.participants.map(participant => ({
+          id: participant.id,
+          username: participant.username
+        })),
+        recentMessages: recent.rows.reverse().map(row => ({
+          id: row.id,
+          senderId: row.sender_id,
+          senderUsername: row.username,
+          content: row.content,
+          isEncrypted: Boolean(row.is_encrypted),
+          timestamp: row.timestamp
+        }))
+      }
+    };
+  }
+
+  /**
+   * Get reports for the moderation queue
+   *
+   * Reports about the moderator themselves, or about a conversation
+   * they're in, are left out, so nobody learns who reported them.
+   * @param {Object} options - Query options
+   * @param {string} options.status - Report status (open, resolved or dismissed)
+   * @param {string} options.targetType - Only reports about this kind of target
+   * @param {string} options.excludeReportedUserId - Leave out reports about this user and their conversations
+   * @param {number} options.limit - Maximum number of reports to return
+   * @param {number} options.offset - Offset for pagination
+   * @returns {Promise<Array<Object>>} Reports, oldest first
+   */
+  static async getAll(options = {}) {
+    const { status = 'open', targetType = null, excludeReportedUserId = null, limit = 50, offset = 0 } = options;
+
+    try {
+      const result = await pool.query(
+        `SELECT r.*, ru.username AS reporter_username, tu.username AS reported_username
+         FROM reports r
+         LEFT JOIN users ru ON ru.id = r.reporter_id
+         LEFT JOIN users tu ON tu.id = r.reported_user_id
+         WHERE r.status = $1
+         AND ($2::varchar IS NULL OR r.target_type = $2)
+         AND ($3::uuid IS NULL OR r.reported_user_id IS DISTINCT FROM $3)
+         AND ($3::uuid IS NULL OR NOT EXISTS (
+           SELECT 1 FROM conversation_participants cp
+           WHERE r.target_type = 'conversation' AND cp.conversation_id = r.target_id AND cp.user_id = $3
+         ))
+         ORDER BY r.created_at ASC
+         LIMIT $4 OFFSET $5`,
+        [status, targetType, excludeReportedUserId, limit, offset]
+      );
+
+      return result.rows.map(row => this.format(row));
+    } catch (error) {
+      logger.error(`Error getting reports: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a report with its reporter
+   * @param {string} id - Report ID
+   * @returns {Promise<Object|null>} Report, or null if not found
+   */
+  static async getById(id) {
+    try {
+      const result = await pool.query(
+        `SELECT r.*, ru.username AS reporter_username, tu.username AS reported_username
+         FROM reports r
+         LEFT JOIN users ru ON ru.id = r.reporter_id
+         LEFT JOIN users tu ON tu.id = r.reported_user_id
+         WHERE r.id = $1`,
+        [id]
+      );
+
+      return result.rows.length > 0 ? this.format(result.rows[0]) : null;
+    } catch (error) {
+      logger.error(`Error getting report: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the reports a user has filed
+   * @param {string} reporterId - ID of the reporting user
+   * @returns {Promise<Array<Object>>} Reports, most recent first
+   */
+  static async getByReporter(reporterId) {
+    try {
+      const result = await pool.query(
+        `SELECT * FROM reports
+         WHERE reporter_id = $1
+         ORDER BY created_at DESC`,
+        [reporterId]
+      );
+
+      return result.rows.map(row => this.formatForReporter(row));
+    } catch (error) {
+      logger.error(`Error getting user reports: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Close an open report
+   * @param {string} id - Report ID
+   * @param {Object} data - Outcome
+   * @param {string} data.status - resolved or dismissed
+   * @param {string} data.moderatorId - ID of the moderator closing the report
+   * @param {string} data.resolution - Moderator's note
+   * @param {Object} client - Database client, to run inside a transaction
+   * @returns {Promise<Object|null>} Closed report, or null if not found
+   * @throws {Error} If the status is invalid or the report is already closed
+   */
+  static async close(id, { status, moderatorId, resolution = null }, client = pool) {
+    if (!CLOSED_STATUSES.includes(status)) {
+      throw new Error(`Invalid report status. Must be one of: ${CLOSED_STATUSES.join(', ')}`);
+    }
+
+    const result = await client.query(
+      `UPDATE reports
+       SET status = $2, resolution = $3, resolved_by = $4, resolved_at = NOW()
+       WHERE id = $1 AND status = 'open'
+       RETURNING *`,
+      [id, status, resolution, moderatorId]
+    );
+
+    if (result.rows.length > 0) {
+      return this.format(result.rows[0]);
+    }
+
+    const existing = await client.query('SELECT status FROM reports WHERE id = $1', [id]);
+
+    if (existing.rows.length === 0) {
+      return null;
+    }
+
+    throw new Error('Report is already closed');
+  }
+
+  /**
+   * Remove a deleted user's personal data from report snapshots
+   *
+   * Reports stay for moderation, but the username, name, picture and
+   * message content captured about the user go. Their ID is swapped for
+   * replacementId, so the snapshot still shows that someone was there.
+   * @param {string} userId - ID of the deleted user
+   * @param {string} replacementId - ID to put in their place
+   * @param {Object} client - Database client, to redact inside the deletion's transaction
+   * @returns {Promise<number>} Number of reports redacted
+   */
+  static async redactUser(userId, replacementId, client = pool) {
+    try {
+      const result = await client.query(
+        `SELECT id, target_type, target_id, snapshot FROM reports
+         WHERE target_id = $1
+         OR reported_user_id = $1
+         OR snapshot::text LIKE '%' || $1::text || '%'
+         FOR UPDATE`,
+        [userId]
+      );
+
+      for (const row of result.rows) {
+        await client.query(
+          'UPDATE reports SET target_id = $2, snapshot = $3 WHERE id = $1',
+          [
+            row.id,
+            row.target_id === userId ? replacementId : row.target_id,
+            JSON.stringify(this.redactSnapshot(row.target_type, row.snapshot, userId, replacementId))
+          ]
+        );
+      }
+
+      return result.rows.length;
+    } catch (error) {
+      logger.error(`Error redacting reports: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a user's personal data from a snapshot (see takeSnapshot)
+   * @param {string} targetType - message, user or conversation
+   * @param {Object} snapshot - Report snapshot
+   * @param {string} userId - ID of the user to remove
+   * @param {string} replacementId - ID to put in their place
+   * @returns {Object} Redacted snapshot
+   */
+  static redactSnapshot(targetType, snapshot, userId, replacementId) {
+    if (targetType === 'user' && snapshot.userId === userId) {
+      return { userId: replacementId, username: null, fullName: null, profilePicture: null, status: null };
+    }
+
+    if (targetType === 'message' && snapshot.senderId === userId) {
+      return { ...snapshot, senderId: replacementId, senderUsername: null, content: null, media: null };
+    }
+
+    if (targetType === 'conversation') {
+      return {
+        ...snapshot,
+        participants: (snapshot.participants || []).map(participant => (
+          participant.id === userId ? { id: replacementId, username: null } : participant
+        )),
+        recentMessages: (snapshot.recentMessages || []).map(message => (
+          message.senderId === userId
+            ? { ...message, senderId: replacementId, senderUsername: null, content: null }
+            : message
+        ))
+      };
+    }
+
+    return snapshot;
+  }
+
+  /**
+   * Format a report for moderators
+   * @param {Object} row - reports row
+   * @returns {Object} Report
+   */
+  static format(row) {
+    return {
+      id: row.id,
+      reporterId: row.reporter_id,
+      reporterUsername: row.reporter_username,
+      targetType: row.target_type,
+      targetId: row.target_id,
+      reportedUserId: row.reported_user_id,
+      reportedUsername: row.reported_username,
+      reason: row.reason,
+      details: row.details,
+      snapshot: row.snapshot,
+      status: row.status,
+      resolution: row.resolution,
+      resolvedBy: row.resolved_by,
+      resolvedAt: row.resolved_at,
+      createdAt: row.created_at
+    };
+  }
+
+  /**
+   * Format a report for the user who filed it
+   * @param {Object} row - reports row
+   * @returns {Object} Report without moderation details
+   */
+  static formatForReporter(row) {
+    return {
+      id: row.id,
+      targetType: row.target_type,
+      targetId: row.target_id,
+      reason: row.reason,
+      details: row.details,
+      status: row.status,
+      createdAt: row.created_at,
+      resolvedAt: row.resolved_at
+    };
+  }
+}
+
+Report.TARGET_TYPES = TARGET_TYPES;
+Report.REPORT_REASONS = REPORT_REASONS;
+
+module.exports = Report;
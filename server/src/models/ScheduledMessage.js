@@ -0,0 +1,338 @@
+const { v4: uuidv4 } = require('uuid');
+const { pool } = require('../config/database');
+const logger = require('../utils/logger');
+
+// A delivery that has been "sending" this long is assumed to have crashed
+const STALE_LOCK_MINUTES = 5;
+
+// Deliveries are retried this many times before the message is marked failed
+const MAX_ATTEMPTS = 3;
+
+/**
+ * ScheduledMessage Model
+ *
+ * Represents a message that will be sent to a conversation at a future time
+ */
+class ScheduledMessage {
+  /**
+   * Schedule a new message
+   *
+   * @param {Object} data - Message data (same fields as Message.create)
+   * @param {string} data.conversationId - ID of the conversation
+   * @param {string} data.senderId - ID of the message sender
+   * @param {Date|string} data.sendAt - When the message should be sent
+   * @returns {Promise<Object>} Scheduled message
+   */
+  static async create(data) {
+    const {
+      conversationId,
+      senderId,
+      content = '',
+      encryptedContent = null,
+      iv = null,
+      recipientKeys = null,
+      isEncrypted = false,
+      mediaId = null,
+      mediaType = null,
+      mediaUrl = null,
+      mediaCaption = null,
+      mediaSize = null,
+      mediaMimeType = null,
+      parentMessageId = null,
+      sendAt
+    } = data;
+
+    // Validate required fields
+    if (!senderId) {
+      throw new Error('Sender ID is required');
+    }
+
+    if (!conversationId) {
+      throw new Error('Conversation ID is required');
+    }
+
+    this.validateSendAt(sendAt);
+
+    // For encrypted messages, we need the encrypted content, IV and recipient keys
+    if (isEncrypted) {
+      if (!encryptedContent || !iv || !recipientKeys || Object.keys(recipientKeys).length === 0) {
+        throw new Error('Encrypted messages require encryptedContent, iv, and recipientKeys');
+      }
+    } else if (!content && !mediaId) {
+      throw new Error('Message content or media is required');
+    }
+
+    try {
+      const result = await pool.query(
+        `INSERT INTO scheduled_messages (
+          id, message_id, conversation_id, sender_id, content,
+          encrypted_content, iv, recipient_keys, is_encrypted,
+          media_id, media_type, media_url, media_caption, media_size, media_mime_type,
+          parent_message_id, send_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17)
+        RETURNING *`,
+        [uuidv4(), uuidv4(), conversationId, senderId, isEncrypted ? '' : content,
+         encryptedContent, iv, JSON.stringify(recipientKeys || {}), isEncrypted,
+         mediaId, mediaType, mediaUrl, mediaCaption, mediaSize, mediaMimeType,
+         parentMessageId, new Date(sendAt).toISOString()]
+      );
+
+      return this.format(result.rows[0]);
+    } catch (error) {
+      logger.error(`Error scheduling message: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Validate a send time
+   *
+   * @param {Date|string} sendAt - When the message should be sent
+   */
+  static validateSendAt(sendAt) {
+    if (!sendAt) {
+      throw new Error('Send time is required');
+    }
+
+    const time = new Date(sendAt).getTime();
+
+    if (isNaN(time)) {
+      throw new Error('Invalid send time');
+    }
+
+    if (time <= Date.now()) {
+      throw new Error('Send time must be in the future');
+    }
+  }
+
+  /**
+   * Get a scheduled message by ID
+   *
+   * @param {string} id - Scheduled message ID
+   * @returns {Promise<Object|null>} Scheduled message or null if not found
+   */
+  static async getById(id) {
+    try {
+      const result = await pool.query(
+        'SELECT * FROM scheduled_messages WHERE id = $1',
+        [id]
+      );
+
+      return result.rows.length > 0 ? this.format(result.rows[0]) : null;
+    } catch (error) {
+      logger.error(`Error getting scheduled message: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a user's scheduled messages
+   *
+   * @param {string} userId - ID of the sender
+   * @param {Object} options - Query options
+   * @param {string} options.conversationId - Only messages for this conversation (optional)
+   * @param {string} options.status - Only messages with this status (default: 'pending')
+   * @returns {Promise<Array<Object>>} Scheduled messages, soonest first
+   */
+  static async getByUser(userId, options = {}) {
+    const { conversationId = null, status = 'pending' } = options;
+
+    const params = [userId, status];
+    let conversationFilter = '';
+
+    if (conversationId) {
+      params.push(conversationId);
+      conversationFilter = 'AND conversation_id = $3';
+    }
+
+    try {
+      const result = await pool.query(
+        `SELECT * FROM scheduled_messages
+         WHERE sender_id = $1 AND status = $2
+         ${conversationFilter}
+         ORDER BY send_at ASC`,
+        params
+      );
+
+      return result.rows.map(row => this.format(row));
+    } catch (error) {
+      logger.error(`Error getting scheduled messages: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel a pending scheduled message
+   *
+   * @param {string} id - Scheduled message ID
+   * @param {string} userId - ID of the user cancelling (must be the sender)
+   * @returns {Promise<Object|null>} Cancelled message, or null if it is not pending or not owned by the user
+   */
+  static async cancel(id, userId) {
+    try {
+      const result = await pool.query(
+        `UPDATE scheduled_messages
+         SET status = 'cancelled', updated_at = NOW()
+         WHERE id = $1 AND sender_id = $2 AND status = 'pending'
+         RETURNING *`,
+        [id, userId]
+      );
+
+      return result.rows.length > 0 ? this.format(result.rows[0]) : null;
+    } catch (error) {
+      logger.error(`Error cancelling scheduled message: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Move a pending scheduled message to a new send time
+   *
+   * @param {string} id - Scheduled message ID
+   * @param {string} userId - ID of the user rescheduling (must be the sender)
+   * @param {Date|string} sendAt - New send time
+   * @returns {Promise<Object|null>} Rescheduled message, or null if it is not pending or not owned by the user
+   */
+  static async reschedule(id, userId, sendAt) {
+    this.validateSendAt(sendAt);
+
+    try {
+      const result = await pool.query(
+        `UPDATE scheduled_messages
+         SET send_at = $1, updated_at = NOW()
+         WHERE id = $2 AND sender_id = $3 AND status = 'pending'
+         RETURNING *`,
+        [new Date(sendAt).toISOString(), id, userId]
+      );
+
+      return result.rows.length > 0 ? this.format(result.rows[0]) : null;
+    } catch (error) {
+      logger.error(`Error rescheduling scheduled message: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Claim due messages for delivery
+   *
+   * Rows are locked with SKIP LOCKED and moved to 'sending' in one statement,
+   * so concurrent scheduler instances never claim the same message. Messages
+   * left in 'sending' by a crashed instance are reclaimed once the lock is stale.
+   *
+   * @param {number} limit - Maximum number of messages to claim
+   * @returns {Promise<Array<Object>>} Claimed messages
+   */
+  static async claimDue(limit = 50) {
+    try {
+      const result = await pool.query(
+        `UPDATE scheduled_messages
+         SET status = 'sending', locked_at = NOW(), attempts = attempts + 1, updated_at = NOW()
+         WHERE id IN (
+           SELECT id FROM scheduled_messages
+           WHERE (status = 'pending' AND send_at <= NOW())
+           OR (status = 'sending' AND locked_at < NOW() - INTERVAL '${STALE_LOCK_MINUTES} minutes')
+           ORDER BY send_at ASC
+           LIMIT $1
+           FOR UPDATE SKIP LOCKED
+         )
+         RETURNING *`,
+        [limit]
+      );
+
+      return result.rows.map(row => this.format(row));
+    } catch (error) {
+      logger.error(`Error claiming scheduled messages: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark a scheduled message as sent
+   *
+   * @param {string} id - Scheduled message ID
+   * @returns {Promise<boolean>} Success indicator
+   */
+  static async markSent(id) {
+    try {
+      const result = await pool.query(
+        `UPDATE scheduled_messages
+         SET status = 'sent', sent_at = NOW(), locked_at = NULL, last_error = NULL, updated_at = NOW()
+         WHERE id = $1`,
+        [id]
+      );
+
+      return result.rowCount > 0;
+    } catch (error) {
+      logger.error(`Error marking scheduled message as sent: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Record a failed delivery attempt
+   *
+   * The message goes back to 'pending' to be retried, or to 'failed'
+   * once it has used up its attempts or cannot be delivered at all.
+   *
+   * @param {Object} scheduledMessage - Scheduled message that failed
+   * @param {string} reason - Failure reason
+   * @param {boolean} permanent - Whether retrying cannot help
+   * @returns {Promise<string>} New status
+   */
+  static async markFailed(scheduledMessage, reason, permanent = false) {
+    const status = permanent || scheduledMessage.attempts >= MAX_ATTEMPTS ? 'failed' : 'pending';
+
+    try {
+      await pool.query(
+        `UPDATE scheduled_messages
+         SET status = $1, last_error = $2, locked_at = NULL, updated_at = NOW()
+         WHERE id = $3`,
+        [status, reason, scheduledMessage.id]
+      );
+
+      return status;
+    } catch (error) {
+      logger.error(`Error marking scheduled message as failed: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Format a database row
+   *
+   * @param {Object} row - scheduled_messages row
+   * @returns {Object} Scheduled message
+   */
+  static format(row) {
+    return {
+      id: row.id,
+      messageId: row.message_id,
+      conversationId: row.conversation_id,
+      senderId: row.sender_id,
+      content: row.content,
+      isEncrypted: Boolean(row.is_encrypted),
+      encryptedContent: row.is_encrypted ? row.encrypted_content : null,
+      iv: row.is_encrypted ? row.iv : null,
+      recipientKeys: row.is_encrypted ? row.recipient_keys : null,
+      media: row.media_id ? {
+        id: row.media_id,
+        type: row.media_type,
+        url: row.media_url,
+        caption: row.media_caption,
+        size: row.media_size,
+        mimeType: row.media_mime_type
+      } : null,
+      parentMessageId: row.parent_message_id,
+      sendAt: row.send_at,
+      status: row.status,
+      attempts: row.attempts,
+      lastError: row.last_error,
+      sentAt: row.sent_at,
+      createdAt: row.created_at
+    };
+  }
+}
+
+ScheduledMessage.MAX_ATTEMPTS = MAX_ATTEMPTS;
+
+module.exports = ScheduledMessage;
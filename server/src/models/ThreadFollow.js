@@ -0,0 +1,232 @@
+const { pool } = require('../config/database');
+const logger = require('../utils/logger');
+const { encodeCursor, decodeCursor } = require('../utils/cursor');
+
+/**
+ * ThreadFollow Model
+ *
+ * Represents a user following the replies to a message, and how far
+ * they've read them. Replying to a thread follows it, as does having
+ * written the message it replies to.
+ */
+class ThreadFollow {
+  /**
+   * Follow a thread
+   * @param {string} userId - User ID
+   * @param {string} parentMessageId - ID of the message the thread replies to
+   * @returns {Promise<void>}
+   */
+  static async follow(userId, parentMessageId) {
+    try {
+      await pool.query(
+        `INSERT INTO thread_follows (user_id, parent_message_id)
+         VALUES ($1, $2)
+         ON CONFLICT (user_id, parent_message_id) DO UPDATE SET following = true`,
+        [userId, parentMessageId]
+      );
+    } catch (error) {
+      logger.error(`Error following thread: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Unfollow a thread
+   *
+   * The row is kept, so the user isn't made to follow it again when
+   * someone replies to their message.
+   * @param {string} userId - User ID
+   * @param {string} parentMessageId - ID of the message the thread replies to
+   * @returns {Promise<void>}
+   */
+  static async unfollow(userId, parentMessageId) {
+    try {
+      await pool.query(
+        `INSERT INTO thread_follows (user_id, parent_message_id, following)
+         VALUES ($1, $2, false)
+         ON CONFLICT (user_id, parent_message_id) DO UPDATE SET following = false`,
+        [userId, parentMessageId]
+      );
+    } catch (error) {
+      logger.error(`Error unfollowing thread: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Follow a thread on behalf of someone replying to it
+   *
+   * The replier follows it and has read it up to their reply. The parent
+   * message's author follows it too, unless they've unfollowed it before.
+   * @param {Object} client - Database client inside the reply's transaction
+   * @param {string} userId - ID of the user replying
+   * @param {string} parentMessageId - ID of the message replied to
+   * @returns {Promise<void>}
+   */
+  static async followOnReply(client, userId, parentMessageId) {
+    await client.query(
+      `INSERT INTO thread_follows (user_id, parent_message_id)
+       VALUES ($1, $2)
+       ON CONFLICT (user_id, parent_message_id) DO UPDATE SET following = true, last_read_at = NOW()`,
+      [userId, parentMessageId]
+    );
+
+    await client.query(
+      `INSERT INTO thread_follows (user_id, parent_message_id, last_read_at)
+       SELECT sender_id, id, timestamp FROM messages
+       WHERE id = $1 AND message_type <> 'system'
+       ON CONFLICT (user_id, parent_message_id) DO NOTHING`,
+      [parentMessageId]
+    );
+  }
+
+  /**
+   * Mark a thread read up to now
+   * @param {string} userId - User ID
+   * @param {string} parentMessageId - ID of the message the thread replies to
+   * @returns {Promise<boolean>} Whether the user follows the thread
+   */
+  static async markRead(userId, parentMessageId) {
+    try {
+      const result = await pool.query(
+        `UPDATE thread_follows
+         SET last_read_at = NOW()
+         WHERE user_id = $1 AND parent_message_id = $2 AND following = true`,
+        [userId, parentMessageId]
+      );
+
+      return result.rowCount > 0;
+    } catch (error) {
+      logger.error(`Error marking thread read: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the users following a thread who are still in its conversation
+   * @param {string} parentMessageId - ID of the message the thread replies to
+   * @returns {Promise<Array<string>>} Follower user IDs
+   */
+  static async getFollowerIds(parentMessageId) {
+    try {
+      const result = await pool.query(
+        `SELECT tf.user_id
+         FROM thread_follows tf
+         JOIN messages p ON p.id = tf.parent_message_id
+         JOIN conversation_participants cp
+           ON cp.conversation_id = p.conversation_id AND cp.user_id = tf.user_id
+         WHERE tf.parent_message_id = $1 AND tf.following = true`,
+        [parentMessageId]
+      );
+
+      return result.rows.map(row => row.user_id);
+    } catch (error) {
+      logger.error(`Error getting thread followers: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the threads a user follows, most recently replied to first
+   *
+   * Only threads with at least one reply, in conversations the user is
+   * still part of, are included.
+   * @param {string} userId - User ID
+   * @param {Object} options - Query options
+   * @param {number} options.limit - Maximum number of threads to return (default: 20, max: 100)
+   * @param {string} options.cursor - Cursor from a previous page
+   * @returns {Promise<Object>} Threads with nextCursor
+   */
+  static async getInbox(userId, options = {}) {
+    const limit = Math.min(Math.max(parseInt(options.limit, 10) || 20, 1), 100);
+    const params = [userId, limit + 1];
+    let cursorFilter = '';
+
+    if (options.cursor) {
+      const position = decodeCursor(options.cursor);
+      if (!position || !position.timestamp || !position.id) {
+        throw new Error('Invalid cursor');
+      }
+      params.push(position.timestamp, position.id);
+      cursorFilter = 'AND (s.last_reply_at, p.id) < ($3::timestamptz, $4::uuid)';
+    }
+
+    try {
+      const result = await pool.query(
+        `SELECT
+          p.id, p.conversation_id, p.sender_id, p.content, p.is_encrypted, p.timestamp,
+          pu.username AS sender_username, c.name AS conversation_name,
+          s.reply_count, s.last_reply_at, s.participants,
+          (
+            SELECT COUNT(*)::int FROM messages r
+            WHERE r.parent_message_id = p.id
+            AND r.sender_id <> $1
+            AND r.timestamp > tf.last_read_at
+            AND (r.expires_at IS NULL OR r.expires_at > NOW())
+          ) AS unread_count
+        FROM thread_follows tf
+        JOIN messages p ON p.id = tf.parent_message_id
+        JOIN conversation_participants cp
+          ON cp.conversation_id = p.conversation_id AND cp.user_id = tf.user_id
+        JOIN conversations c ON c.id = p.conversation_id
+        JOIN users pu ON pu.id = p.sender_id
+        JOIN LATERAL (
+          SELECT
+            COUNT(*)::int AS reply_count,
+            MAX(r.timestamp) AS last_reply_at,
+            COALESCE(jsonb_agg(DISTINCT jsonb_build_object('userId', ru.id, 'username', ru.username)), '[]'::jsonb) AS participants
+          FROM messages r
+          JOIN users ru ON ru.id = r.sender_id
+          WHERE r.parent_message_id = p.id
+          AND (r.expires_at IS NULL OR r.expires_at > NOW())
+        ) s ON s.reply_count > 0
+        WHERE tf.user_id = $1
+        AND tf.following = true
+        AND (p.expires_at IS NULL OR p.expires_at > NOW())
+        ${cursorFilter}
+        ORDER BY s.last_reply_at DESC, p.id DESC
+        LIMIT $2`,
+        params
+      );
+
+      const rows = result.rows.slice(0, limit);
+      const last = rows[rows.length - 1];
+
+      return {
+        threads: rows.map(row => this.format(row)),
+        nextCursor: result.rows.length > limit
+          ? encodeCursor({ timestamp: new Date(last.last_reply_at).toISOString(), id: last.id })
+          : null
+      };
+    } catch (error) {
+      logger.error(`Error getting thread inbox: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Format a thread inbox row
+   * @param {Object} row - Parent message row with its thread summary
+   * @returns {Object} Thread
+   */
+  static format(row) {
+    return {
+      parentMessage: {
+        id: row.id,
+        conversationId: row.conversation_id,
+        conversationName: row.conversation_name,
+        senderId: row.sender_id,
+        senderUsername: row.sender_username,
+        content: row.is_encrypted ? null : row.content,
+        isEncrypted: Boolean(row.is_encrypted),
+        timestamp: row.timestamp
+      },
+      replyCount: row.reply_count,
+      lastReplyAt: row.last_reply_at,
+      participants: row.participants,
+      unreadCount: row.unread_count
+    };
+  }
+}
+
+module.exports = ThreadFollow;
@@ -4,6 +4,17 @@ const logger = require('../utils/logger');
 const { v4: uuidv4 } = require('uuid');
 const { pool } = require('../config/database');
 const redis = require('../config/redis');
+const Conversation = require('./Conversation');
+const ModerationLog = require('./ModerationLog');
+
+// Roles checked by the middleware in middleware/roles.js
+const ROLES = ['admin', 'moderator'];
+
+// Placeholder that anonymised messages of deleted accounts belong to (created by migration 032)
+const DELETED_USER_ID = '00000000-0000-0000-0000-000000000000';
+
+// What happens to a deleted account's sent messages
+const MESSAGE_POLICIES = ['anonymize', 'delete'];
 
 class User {
   /**
@@ -60,7 +71,9 @@ class User {
     try {
       // Find user by username or email
       const result = await pool.query(
-        'SELECT id, username, email, password_hash, full_name, profile_picture, status FROM users WHERE username = $1 OR email = $1',
+        `SELECT id, username, email, password_hash, full_name, profile_picture, status,
+                roles, suspended_at, suspended_until, suspension_reason
+         FROM users WHERE username = $1 OR email = $1`,
         [usernameOrEmail]
       );
       
@@ -77,6 +90,12 @@ class User {
         throw new Error('Invalid username/email or password');
       }
       
+      // Suspended users can't sign in until the suspension ends
+      const account = this.formatAccountStatus(user);
+      if (account.suspended) {
+        throw Object.assign(new Error('Account suspended'), { suspendedUntil: account.suspendedUntil });
+      }
+      
       // Update user status to online
       await this.updateStatus(user.id, 'online');
       
@@ -88,7 +107,8 @@ class User {
           email: user.email,
           full_name: user.full_name,
           profile_picture: user.profile_picture,
-          status: 'online'
+          status: 'online',
+          roles: account.roles
         }
       };
     } catch (error) {
@@ -130,6 +150,104 @@ class User {
     }
   }
   
+  /**
+   * Get a user's roles and suspension
+   * @param {string} id - User ID
+   * @returns {Object|null} Account status, or null if the user doesn't exist
+   */
+  static async getAccountStatus(id) {
+    try {
+      const result = await pool.query(
+        'SELECT roles, suspended_at, suspended_until, suspension_reason FROM users WHERE id = $1',
+        [id]
+      );
+      
+      return result.rows.length > 0 ? this.formatAccountStatus(result.rows[0]) : null;
+    } catch (error) {
+      logger.error('Error getting account status:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Format a user's roles and suspension
+   * @param {Object} row - users row
+   * @returns {Object} Account status; an expired suspension counts as not suspended
+   */
+  static formatAccountStatus(row) {
+    const suspended = Boolean(row.suspended_at) &&
+      (!row.suspended_until || new Date(row.suspended_until) > new Date());
+    
+    return {
+      roles: row.roles || [],
+      suspended,
+      suspendedUntil: suspended ? row.suspended_until : null,
+      suspensionReason: suspended ? row.suspension_reason : null
+    };
+  }
+  
+  /**
+   * Suspend a user's account
+   * @param {string} id - User ID
+   * @param {Object} suspension - Suspension details
+   * @param {Date|null} suspension.until - When the suspension ends (null = indefinitely)
+   * @param {string} suspension.reason - Reason shown to the user
+   * @param {Object} client - Database client, to run inside a transaction
+   * @returns {Object|null} Account status, or null if the user doesn't exist
+   */
+  static async suspend(id, { until = null, reason = null }, client = pool) {
+    const result = await client.query(
+      `UPDATE users
+       SET suspended_at = NOW(), suspended_until = $2, suspension_reason = $3
+       WHERE id = $1
+       RETURNING roles, suspended_at, suspended_until, suspension_reason`,
+      [id, until, reason]
+    );
+    
+    return result.rows.length > 0 ? this.formatAccountStatus(result.rows[0]) : null;
+  }
+  
+  /**
+   * Lift a user's suspension
+   * @param {string} id - User ID
+   * @param {Object} client - Database client, to run inside a transaction
+   * @returns {Object|null} Account status, or null if the user doesn't exist
+   */
+  static async unsuspend(id, client = pool) {
+    const result = await client.query(
+      `UPDATE users
+       SET suspended_at = NULL, suspended_until = NULL, suspension_reason = NULL
+       WHERE id = $1
+       RETURNING roles, suspended_at, suspended_until, suspension_reason`,
+      [id]
+    );
+    
+    return result.rows.length > 0 ? this.formatAccountStatus(result.rows[0]) : null;
+  }
+  
+  /**
+   * Replace a user's roles
+   * @param {string} id - User ID
+   * @param {Array<string>} roles - New roles (from ROLES)
+   * @param {Object} client - Database client, to run inside a transaction
+   * @returns {Object|null} Account status, or null if the user doesn't exist
+   * @throws {Error} If a role is unknown
+   */
+  static async setRoles(id, roles, client = pool) {
+    const invalid = roles.filter(role => !ROLES.includes(role));
+    if (invalid.length > 0) {
+      throw new Error(`Invalid role: ${invalid.join(', ')}. Must be one of: ${ROLES.join(', ')}`);
+    }
+    
+    const result = await client.query(
+      `UPDATE users SET roles = $2 WHERE id = $1
+       RETURNING roles, suspended_at, suspended_until, suspension_reason`,
+      [id, [...new Set(roles)]]
+    );
+    
+    return result.rows.length > 0 ? this.formatAccountStatus(result.rows[0]) : null;
+  }
+  
   /**
    * Get user by username
    * @param {string} username - Username
@@ -209,7 +327,7 @@ class User {
   /**
    * Search users by username or full name
    * @param {string} query - Search query
-   * @param {string} currentUserId - Current user ID (to exclude from results)
+   * @param {string} currentUserId - Current user ID (excluded from results, along with users blocked either way)
    * @returns {Array} Array of users
    */
   static async search(query, currentUserId) {
@@ -225,7 +343,11 @@ class User {
           u.status,
           u.last_seen_at
          FROM users u
-         WHERE (u.username ILIKE $1 OR u.full_name ILIKE $1) AND u.id != $2
+         WHERE (u.username ILIKE $1 OR u.full_name ILIKE $1) AND u.id != $2 AND u.id != '${DELETED_USER_ID}'
+         AND NOT EXISTS (
+           SELECT 1 FROM user_blocks b
+           WHERE (b.blocker_id = $2 AND b.blocked_id = u.id) OR (b.blocker_id = u.id AND b.blocked_id = $2)
+         )
          LIMIT 20`,
         [`%${query}%`, currentUserId]
       );
@@ -362,6 +484,11 @@ class User {
         [status, userId]
       );
       
+      // The account may have been deleted since (e.g. a socket's offline grace period)
+      if (result.rows.length === 0) {
+        return false;
+      }
+      
       // Also update in Redis for fast access
       if (redis.redisClient) {
         await redis.redisClient.hSet('user:status', userId, status);
@@ -371,7 +498,7 @@ class User {
       await this.addStatusHistory(userId, status);
       
       logger.debug(`Updated user ${userId} status to ${status}`);
-      return result.rows.length > 0;
+      return true;
     } catch (error) {
       logger.error(`Error updating user status: ${error.message}`);
       throw error;
@@ -407,14 +534,18 @@ class User {
   }
   
   /**
-   * Get user's contacts
+   * Get user's accepted contacts
    * @param {string} userId - User ID
    * @returns {Array<string>} Array of contact user IDs
    */
   static async getContacts(userId) {
     try {
+      // Only accepted contacts, who have each other in their contacts
       const result = await pool.query(
-        `SELECT contact_id FROM contacts WHERE user_id = $1`,
+        `SELECT c.contact_id
+         FROM contacts c
+         JOIN contacts r ON r.user_id = c.contact_id AND r.contact_id = c.user_id
+         WHERE c.user_id = $1`,
         [userId]
       );
       
@@ -425,6 +556,53 @@ class User {
     }
   }
   
+  /**
+   * Get which of a list of users a viewer may see the presence of
+   *
+   * Presence is only shared between accepted contacts, and never between
+   * users who have blocked each other.
+   * @param {string} viewerId - User ID of the viewer
+   * @param {Array<string>} userIds - User IDs to check
+   * @returns {Promise<Array<string>>} The IDs in userIds the viewer may see
+   */
+  static async getPresenceVisibleIds(viewerId, userIds) {
+    try {
+      const result = await pool.query(
+        `SELECT c.contact_id
+         FROM contacts c
+         JOIN contacts r ON r.user_id = c.contact_id AND r.contact_id = c.user_id
+         WHERE c.user_id = $1
+         AND c.contact_id::text = ANY($2::text[])
+         AND NOT EXISTS (
+           SELECT 1 FROM user_blocks b
+           WHERE (b.blocker_id = c.user_id AND b.blocked_id = c.contact_id)
+           OR (b.blocker_id = c.contact_id AND b.blocked_id = c.user_id)
+         )`,
+        [viewerId, userIds]
+      );
+      
+      return result.rows.map(row => row.contact_id);
+    } catch (error) {
+      logger.error(`Error getting users with visible presence: ${error.message}`);
+      throw error;
+    }
+  }
+  
+  /**
+   * Get the status of several users
+   * @param {Array<string>} userIds - User IDs
+   * @returns {Promise<Object>} Status by user ID
+   */
+  static async getOnlineStatus(userIds) {
+    const statuses = {};
+    
+    for (const userId of userIds) {
+      statuses[userId] = await this.getStatus(userId);
+    }
+    
+    return statuses;
+  }
+  
   /**
    * Get user's contacts with details
    * @param {string} userId - User ID
@@ -488,16 +666,43 @@ class User {
   
   /**
    * Delete user account
+   *
+   * Erases everything tied to the user in one transaction. Their sent
+   * messages are either anonymised (handed to the deleted-user placeholder,
+   * so everyone else's conversations keep their history) or deleted with
+   * the account. Groups they own pass to their next owner. Their media rows
+   * go, and messages showing that media lose it. Every other row about the
+   * user goes with the user row (ON DELETE CASCADE) or drops its reference
+   * to them (ON DELETE SET NULL), and conversations left with nobody in
+   * them are deleted. Reports and the moderation audit log are kept, but
+   * what they captured about the user is redacted.
+   *
+   * Files on disk, Redis state and connected devices are left to the
+   * caller, see AccountDataService.deleteAccount.
    * @param {string} id - User ID
    * @param {string} password - Password for verification
-   * @returns {boolean} Success status
+   * @param {Object} options - Deletion options
+   * @param {string} options.messages - 'anonymize' (default) or 'delete'
+   * @returns {Object} { conversationIds, ownershipTransfers, media, exportFiles }: the
+   *   conversations the user was in, the groups handed over, their media rows and
+   *   the paths of their export archives
    */
-  static async deleteAccount(id, password) {
+  static async deleteAccount(id, password, { messages = 'anonymize' } = {}) {
+    if (!MESSAGE_POLICIES.includes(messages)) {
+      throw new Error(`Invalid message policy: ${messages}. Must be one of: ${MESSAGE_POLICIES.join(', ')}`);
+    }
+    
+    if (id === DELETED_USER_ID) {
+      throw new Error('User not found');
+    }
+    
     const client = await pool.connect();
     try {
+      await client.query('BEGIN');
+      
       // Get current password hash
       const userResult = await client.query(
-        'SELECT password_hash FROM users WHERE id = $1',
+        'SELECT password_hash FROM users WHERE id = $1 FOR UPDATE',
         [id]
       );
       
@@ -514,14 +719,77 @@ class User {
         throw new Error('Password is incorrect');
       }
       
+      const memberships = await client.query(
+        'SELECT conversation_id FROM conversation_participants WHERE user_id = $1',
+        [id]
+      );
+      const conversationIds = memberships.rows.map(row => row.conversation_id);
+      
+      const ownershipTransfers = await Conversation.transferOwnedGroups(id, client);
+      
+      const media = await client.query(
+        'SELECT * FROM media WHERE user_id::text = $1',
+        [id]
+      );
+      
+      const exports = await client.query(
+        `SELECT file_path FROM conversation_exports WHERE user_id = $1 AND file_path IS NOT NULL
+         UNION ALL
+         SELECT file_path FROM data_exports WHERE user_id = $1 AND file_path IS NOT NULL`,
+        [id]
+      );
+      
+      // Forwarded copies point at the same media, which is about to go
+      await client.query(
+        `UPDATE messages
+         SET media_id = NULL, media_type = NULL, media_url = NULL,
+             media_caption = NULL, media_size = NULL, media_mime_type = NULL
+         WHERE media_id IN (SELECT id::text FROM media WHERE user_id::text = $1)`,
+        [id]
+      );
+      
+      if (messages === 'delete') {
+        await client.query('DELETE FROM messages WHERE sender_id = $1', [id]);
+      } else {
+        await client.query(
+          'UPDATE messages SET sender_id = $2 WHERE sender_id = $1',
+          [id, DELETED_USER_ID]
+        );
+        await client.query(
+          'UPDATE message_revisions SET editor_id = $2 WHERE editor_id = $1',
+          [id, DELETED_USER_ID]
+        );
+      }
+      
+      // media.user_id has no foreign key on databases set up by migration 004
+      await client.query('DELETE FROM media WHERE user_id::text = $1', [id]);
+      
+      // Reports and the audit log are kept for moderation, without the user's personal data
+      // (Report requires this model, so it's loaded here rather than at the top)
+      const Report = require('./Report');
+      await Report.redactUser(id, DELETED_USER_ID, client);
+      await ModerationLog.redactUser(id, DELETED_USER_ID, client);
+      
       // Delete user
       await client.query('DELETE FROM users WHERE id = $1', [id]);
       
-      // Remove user status from Redis
-      await redis.removeUserStatus(id);
+      await client.query(
+        `DELETE FROM conversations c
+         WHERE c.id = ANY($1::uuid[])
+         AND NOT EXISTS (SELECT 1 FROM conversation_participants cp WHERE cp.conversation_id = c.id)`,
+        [conversationIds]
+      );
       
-      return true;
+      await client.query('COMMIT');
+      
+      return {
+        conversationIds,
+        ownershipTransfers,
+        media: media.rows,
+        exportFiles: exports.rows.map(row => row.file_path)
+      };
     } catch (error) {
+      await client.query('ROLLBACK');
       logger.error('Error deleting user account:', error);
       throw error;
     } finally {
@@ -731,4 +999,8 @@ class User {
   }
 }
 
+User.ROLES = ROLES;
+User.DELETED_USER_ID = DELETED_USER_ID;
+User.MESSAGE_POLICIES = MESSAGE_POLICIES;
+
 module.exports = User;
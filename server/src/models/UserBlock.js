@@ -0,0 +1,176 @@
+const { pool } = require('../config/database');
+const logger = require('../utils/logger');
+
+/**
+ * UserBlock Model
+ *
+ * Represents one user blocking another. Blocks are enforced in both
+ * directions: neither user can message, add or find the other, and
+ * neither sees the other's presence or typing.
+ */
+class UserBlock {
+  /**
+   * Block a user
+   *
+   * Also removes the two users from each other's contacts and cancels
+   * any pending contact requests between them.
+   * @param {string} blockerId - ID of the user blocking
+   * @param {string} blockedId - ID of the user being blocked
+   * @returns {Promise<Object>} Block with the blocked user's details
+   */
+  static async block(blockerId, blockedId) {
+    if (blockerId === blockedId) {
+      throw new Error('Cannot block yourself');
+    }
+
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const userResult = await client.query(
+        'SELECT id, username, full_name, profile_picture FROM users WHERE id = $1',
+        [blockedId]
+      );
+
+      if (userResult.rows.length === 0) {
+        throw new Error('User not found');
+      }
+
+      const blockResult = await client.query(
+        `INSERT INTO user_blocks (blocker_id, blocked_id)
+         VALUES ($1, $2)
+         ON CONFLICT (blocker_id, blocked_id) DO UPDATE SET blocker_id = EXCLUDED.blocker_id
+         RETURNING created_at`,
+        [blockerId, blockedId]
+      );
+
+      await client.query(
+        `DELETE FROM contacts
+         WHERE (user_id = $1 AND contact_id = $2) OR (user_id = $2 AND contact_id = $1)`,
+        [blockerId, blockedId]
+      );
+
+      await client.query(
+        `UPDATE contact_requests
+         SET status = 'cancelled', responded_at = NOW()
+         WHERE status = 'pending'
+         AND ((requester_id = $1 AND recipient_id = $2) OR (requester_id = $2 AND recipient_id = $1))`,
+        [blockerId, blockedId]
+      );
+
+      await client.query('COMMIT');
+
+      return this.format({ ...userResult.rows[0], created_at: blockResult.rows[0].created_at });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error(`Error blocking user: ${error.message}`);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Unblock a user
+   * @param {string} blockerId - ID of the user who blocked
+   * @param {string} blockedId - ID of the blocked user
+   * @returns {Promise<boolean>} Whether the user was blocked
+   */
+  static async unblock(blockerId, blockedId) {
+    try {
+      const result = await pool.query(
+        'DELETE FROM user_blocks WHERE blocker_id = $1 AND blocked_id = $2',
+        [blockerId, blockedId]
+      );
+
+      return result.rowCount > 0;
+    } catch (error) {
+      logger.error(`Error unblocking user: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the users a user has blocked
+   * @param {string} userId - User ID
+   * @returns {Promise<Array<Object>>} Blocked users, most recently blocked first
+   */
+  static async getBlockedUsers(userId) {
+    try {
+      const result = await pool.query(
+        `SELECT u.id, u.username, u.full_name, u.profile_picture, b.created_at
+         FROM user_blocks b
+         JOIN users u ON u.id = b.blocked_id
+         WHERE b.blocker_id = $1
+         ORDER BY b.created_at DESC`,
+        [userId]
+      );
+
+      return result.rows.map(row => this.format(row));
+    } catch (error) {
+      logger.error(`Error getting blocked users: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Check whether either of two users has blocked the other
+   * @param {string} userId1 - First user ID
+   * @param {string} userId2 - Second user ID
+   * @returns {Promise<boolean>} True if there is a block in either direction
+   */
+  static async isBlockedBetween(userId1, userId2) {
+    try {
+      const result = await pool.query(
+        `SELECT 1 FROM user_blocks
+         WHERE (blocker_id = $1 AND blocked_id = $2) OR (blocker_id = $2 AND blocked_id = $1)
+         LIMIT 1`,
+        [userId1, userId2]
+      );
+
+      return result.rows.length > 0;
+    } catch (error) {
+      logger.error(`Error checking user block: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Get everyone a user has blocked or been blocked by
+   * @param {string} userId - User ID
+   * @returns {Promise<Set<string>>} IDs of the users on the other side of a block
+   */
+  static async getBlockedOrBlockingIds(userId) {
+    try {
+      const result = await pool.query(
+        `SELECT blocked_id AS user_id FROM user_blocks WHERE blocker_id = $1
+         UNION
+         SELECT blocker_id AS user_id FROM user_blocks WHERE blocked_id = $1`,
+        [userId]
+      );
+
+      return new Set(result.rows.map(row => row.user_id));
+    } catch (error) {
+      logger.error(`Error getting blocked users: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Format a blocked user row
+   * @param {Object} row - users row with the block's created_at
+   * @returns {Object} Blocked user
+   */
+  static format(row) {
+    return {
+      userId: row.id,
+      username: row.username,
+      fullName: row.full_name,
+      profilePicture: row.profile_picture,
+      blockedAt: row.created_at
+    };
+  }
+}
+
+module.exports = UserBlock;
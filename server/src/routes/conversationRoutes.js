@@ -69,18 +69,14 @@ router.post('/', auth, async (req, res) => {
       return res.status(400).json({ error: { message: 'Group name is required' } });
     }
     
-    // Create the conversation
+    // Create the conversation, with the creator as the group's owner
     const conversation = await Conversation.create({
       isGroup,
       name,
-      participantIds
+      participantIds,
+      ownerId: req.user.id
     });
     
-    // For group chats, make the creator an admin
-    if (isGroup) {
-      await Conversation.makeAdmin(conversation.id, req.user.id);
-    }
-    
     // Emit socket event for real-time updates
     participantIds.forEach(userId => {
       io.to(`user:${userId}`).emit('new_conversation', conversation);
@@ -111,6 +107,10 @@ router.post('/direct', auth, async (req, res) => {
     
     res.json(conversation);
   } catch (error) {
+    if (error.message === 'User is blocked') {
+      return res.status(403).json({ error: { message: 'You cannot start a conversation with this user' } });
+    }
+    
     console.error('Error creating direct conversation:', error);
     res.status(500).json({ error: { message: 'Server error' } });
   }
@@ -132,9 +132,9 @@ router.put('/:id', auth, async (req, res) => {
       return res.status(403).json({ error: { message: 'You are not a participant in this conversation' } });
     }
     
-    const isAdmin = await Conversation.isAdmin(conversationId, req.user.id);
-    if (!isAdmin) {
-      return res.status(403).json({ error: { message: 'Only admins can update group settings' } });
+    const canEdit = await Conversation.hasPermission(conversationId, req.user.id, 'editInfo');
+    if (!canEdit) {
+      return res.status(403).json({ error: { message: 'You do not have permission to change the group name or avatar' } });
     }
     
     // Update the group
@@ -175,9 +175,9 @@ router.post('/:id/participants', auth, async (req, res) => {
       return res.status(403).json({ error: { message: 'You are not a participant in this conversation' } });
     }
     
-    const isAdmin = await Conversation.isAdmin(conversationId, req.user.id);
-    if (!isAdmin) {
-      return res.status(403).json({ error: { message: 'Only admins can add participants' } });
+    const canAdd = await Conversation.hasPermission(conversationId, req.user.id, 'addMembers');
+    if (!canAdd) {
+      return res.status(403).json({ error: { message: 'You do not have permission to add participants' } });
     }
     
     // Add participants
@@ -216,19 +216,24 @@ router.delete('/:id/participants/:userId', auth, async (req, res) => {
       return res.status(403).json({ error: { message: 'You are not a participant in this conversation' } });
     }
     
-    // Users can remove themselves, but only admins can remove others
+    // Users can remove themselves, but only members ranked above others can remove them
     if (userIdToRemove !== req.user.id) {
-      const isAdmin = await Conversation.isAdmin(conversationId, req.user.id);
-      if (!isAdmin) {
-        return res.status(403).json({ error: { message: 'Only admins can remove participants' } });
+      const role = await Conversation.getRole(conversationId, req.user.id);
+      const targetRole = await Conversation.getRole(conversationId, userIdToRemove);
+      if (!Conversation.canManageMember(role, targetRole)) {
+        return res.status(403).json({ error: { message: 'You do not have permission to remove this participant' } });
       }
     }
     
     // Get conversation before removing participant
     const conversation = await Conversation.getById(conversationId);
     
-    // Remove participant
-    await Conversation.removeParticipant(conversationId, userIdToRemove);
+    // Remove participant, passing ownership on if the owner removes themselves
+    if (userIdToRemove === req.user.id && conversation.is_group) {
+      await Conversation.leaveGroup(conversationId, userIdToRemove);
+    } else {
+      await Conversation.removeParticipant(conversationId, userIdToRemove);
+    }
     
     // Get updated conversation
     const updatedConversation = await Conversation.getById(conversationId);
@@ -267,9 +272,11 @@ router.post('/:id/admins/:userId', auth, async (req, res) => {
       return res.status(403).json({ error: { message: 'You are not a participant in this conversation' } });
     }
     
-    const isAdmin = await Conversation.isAdmin(conversationId, req.user.id);
-    if (!isAdmin) {
-      return res.status(403).json({ error: { message: 'Only admins can promote other users' } });
+    // Only the owner can make admins
+    const role = await Conversation.getRole(conversationId, req.user.id);
+    const targetRole = await Conversation.getRole(conversationId, userIdToPromote);
+    if (!Conversation.canAssignRole(role, targetRole, 'admin')) {
+      return res.status(403).json({ error: { message: 'Only the owner can promote other users to admin' } });
     }
     
     // Make user an admin
@@ -306,9 +313,10 @@ router.delete('/:id/admins/:userId', auth, async (req, res) => {
       return res.status(403).json({ error: { message: 'You are not a participant in this conversation' } });
     }
     
-    const isAdmin = await Conversation.isAdmin(conversationId, req.user.id);
-    if (!isAdmin) {
-      return res.status(403).json({ error: { message: 'Only admins can demote other users' } });
+    const role = await Conversation.getRole(conversationId, req.user.id);
+    const targetRole = await Conversation.getRole(conversationId, userIdToDemote);
+    if (!Conversation.canAssignRole(role, targetRole, 'member')) {
+      return res.status(403).json({ error: { message: 'You do not have permission to demote this user' } });
     }
     
     // Remove admin status
@@ -347,8 +355,8 @@ router.delete('/:id/leave', auth, async (req, res) => {
     // Get conversation before leaving
     const conversation = await Conversation.getById(conversationId);
     
-    // Leave the group
-    await Conversation.leaveGroup(conversationId, req.user.id);
+    // Leave the group; if the owner leaves, the next highest-ranked member takes over
+    const newOwnerId = await Conversation.leaveGroup(conversationId, req.user.id);
     
     // Get updated conversation
     const updatedConversation = await Conversation.getById(conversationId);
@@ -358,7 +366,7 @@ router.delete('/:id/leave', auth, async (req, res) => {
       io.to(`user:${participant.id}`).emit('conversation_updated', updatedConversation);
     });
     
-    res.json({ success: true, message: 'Left the group conversation' });
+    res.json({ success: true, message: 'Left the group conversation', newOwnerId });
   } catch (error) {
     console.error('Error leaving group:', error);
     res.status(500).json({ error: { message: 'Server error' } });
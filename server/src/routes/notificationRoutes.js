@@ -8,6 +8,7 @@ const clientEventsRouter = require('../api/notifications/client-events');
 const performanceTestRouter = require('../api/notifications/performance-test');
 const testRouter = require('../api/notifications/test');
 const performanceRouter = require('../api/notifications/performance');
+const deadLettersRouter = require('../api/notifications/dead-letters');
 
 // Mount client-events router
 router.use('/client', clientEventsRouter);
@@ -21,6 +22,9 @@ router.use('/test', testRouter);
 // Mount performance router (for metrics)
 router.use('/performance', performanceRouter);
 
+// Mount dead letters router (for failed pushes)
+router.use('/dead-letters', deadLettersRouter);
+
 /**
  * @route   GET /api/notifications/vapid-public-key
  * @desc    Get VAPID public key for push notifications
@@ -142,9 +146,26 @@ router.put('/settings', auth, async (req, res) => {
     const settings = req.body;
     const validSettings = [
       'enabled', 'newMessages', 'mentions', 'contactRequests', 'statusUpdates',
-      'quietHoursEnabled', 'quietHoursStart', 'quietHoursEnd'
+      'quietHoursEnabled', 'quietHoursStart', 'quietHoursEnd',
+      'timezone', 'quietHoursSchedule', 'quietHoursAllowMentions', 'quietHoursAllowUrgent',
+      'batchWindowSeconds', 'batchThreshold', 'dailyDigest'
     ];
     
+    // Batch window is 0 (off) to 1 hour; the first message always goes out on its own
+    if (settings.batchWindowSeconds !== undefined &&
+        !(Number.isInteger(settings.batchWindowSeconds) && settings.batchWindowSeconds >= 0 && settings.batchWindowSeconds <= 3600)) {
+      return res.status(400).json({
+        error: { message: 'batchWindowSeconds must be an integer between 0 and 3600' }
+      });
+    }
+    
+    if (settings.batchThreshold !== undefined &&
+        !(Number.isInteger(settings.batchThreshold) && settings.batchThreshold >= 2 && settings.batchThreshold <= 100)) {
+      return res.status(400).json({
+        error: { message: 'batchThreshold must be an integer between 2 and 100' }
+      });
+    }
+    
     // Filter out invalid settings
     const validatedSettings = {};
     for (const key of validSettings) {
@@ -166,11 +187,54 @@ router.put('/settings', auth, async (req, res) => {
     
     res.json(updatedSettings);
   } catch (error) {
+    // Bad time zones, quiet hours times or schedules
+    if (error.message.startsWith('Invalid')) {
+      return res.status(400).json({ error: { message: error.message } });
+    }
+    
     logger.error('Error updating notification settings:', error);
     res.status(500).json({ error: { message: 'Server error' } });
   }
 });
 
+/**
+ * @route   GET /api/notifications/digests
+ * @desc    Get the user's daily digests of unread messages
+ * @access  Private
+ */
+router.get('/digests', auth, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 7, 31);
+    const digests = await notificationService.getDigests(req.user.id, limit);
+    res.json(digests);
+  } catch (error) {
+    logger.error('Error getting notification digests:', error);
+    res.status(500).json({ error: { message: 'Server error' } });
+  }
+});
+
+/**
+ * @route   GET /api/notifications/delivery-check
+ * @desc    Check whether a push would be delivered to the user right now, and why not
+ * @access  Private
+ */
+router.get('/delivery-check', auth, async (req, res) => {
+  try {
+    const { type = 'message', conversationId, priority } = req.query;
+    const notification = {
+      type,
+      priority,
+      data: conversationId ? { conversationId } : {}
+    };
+    
+    const result = await notificationService.explainDelivery(req.user.id, notification);
+    res.json({ type, conversationId: conversationId || null, ...result });
+  } catch (error) {
+    logger.error('Error checking notification delivery:', error);
+    res.status(500).json({ error: { message: 'Server error' } });
+  }
+});
+
 /**
  * @route   GET /api/notifications
  * @desc    Get notifications for the user
@@ -21,12 +21,22 @@ router.get('/', auth, async (req, res) => {
 
 /**
  * @route   GET /api/status/:userId
- * @desc    Get a user's status details
+ * @desc    Get a user's status details (accepted contacts only, and not across a block)
  * @access  Private
  */
 router.get('/:userId', auth, async (req, res) => {
   try {
-    const statusDetails = await User.getStatusDetails(req.params.userId);
+    const { userId } = req.params;
+    
+    if (userId !== req.user.id) {
+      const visibleIds = await User.getPresenceVisibleIds(req.user.id, [userId]);
+      
+      if (visibleIds.length === 0) {
+        return res.status(404).json({ error: { message: 'User not found' } });
+      }
+    }
+    
+    const statusDetails = await User.getStatusDetails(userId);
     res.json(statusDetails);
   } catch (error) {
     console.error('Error getting status details:', error);
@@ -13,7 +13,29 @@ const fs = require('fs');
 // Migration files
 const migrations = [
   require('../migrations/004_media_tables'),
-  require('../migrations/005_message_reactions')
+  require('../migrations/005_message_reactions'),
+  require('../migrations/011_message_search'),
+  require('../migrations/012_message_revisions'),
+  require('../migrations/013_scheduled_messages'),
+  require('../migrations/014_disappearing_messages'),
+  require('../migrations/015_message_forwarding'),
+  require('../migrations/016_pinned_messages'),
+  require('../migrations/017_message_mentions'),
+  require('../migrations/018_conversation_notification_settings'),
+  require('../migrations/019_notification_batching'),
+  require('../migrations/020_push_delivery_queue'),
+  require('../migrations/021_quiet_hours_schedules'),
+  require('../migrations/022_user_blocks'),
+  require('../migrations/023_moderation'),
+  require('../migrations/024_contact_requests'),
+  require('../migrations/025_contact_invites'),
+  require('../migrations/026_group_invites'),
+  require('../migrations/027_group_roles'),
+  require('../migrations/028_thread_follows'),
+  require('../migrations/029_polls'),
+  require('../migrations/030_link_previews'),
+  require('../migrations/031_conversation_exports'),
+  require('../migrations/032_account_data')
   // Add other migrations here as they are created
 ];
 
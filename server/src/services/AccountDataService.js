@@ -0,0 +1,372 @@
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const logger = require('../utils/logger');
+const User = require('../models/User');
+const DataExport = require('../models/DataExport');
+const { removeUserData } = require('../config/redis');
+const { ZipWriter } = require('../utils/zip');
+const { emitToUser, emitToConversation, disconnectUser } = require('../websocket/socket');
+
+// How often the service looks for new export jobs
+const POLL_INTERVAL = 10 * 1000; // 10 seconds
+
+// Exports are slow and disk-heavy, so only a couple run at once
+const BATCH_SIZE = 2;
+
+// Messages read from the database at a time
+const PAGE_SIZE = 200;
+
+/**
+ * Service for a user's personal data: "download my data" exports, and
+ * erasing the account
+ *
+ * Each export is archived into a ZIP file holding data.json (the user's
+ * profile, every message they've sent and every other row about them) and
+ * the media files they've uploaded. Job state lives in the data_exports
+ * table, so exports survive restarts.
+ */
+class AccountDataService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+    this.uploadDir = process.env.UPLOAD_DIR || path.join(__dirname, '../../uploads');
+    this.exportDir = process.env.EXPORT_DIR || path.join(this.uploadDir, 'exports');
+  }
+
+  /**
+   * Start polling for export jobs
+   * @param {number} interval - Poll interval in milliseconds
+   */
+  start(interval = POLL_INTERVAL) {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.processPendingExports(), interval);
+    logger.info('Account data service started');
+
+    // Pick up anything requested while the server was down
+    this.processPendingExports();
+  }
+
+  /**
+   * Stop polling
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      logger.info('Account data service stopped');
+    }
+  }
+
+  /**
+   * Claim and run pending exports, and delete expired ones
+   * @returns {Promise<number>} Number of exports completed
+   */
+  async processPendingExports() {
+    // Skip the tick if the previous exports are still running
+    if (this.running) {
+      return 0;
+    }
+
+    this.running = true;
+    let completed = 0;
+
+    try {
+      const jobs = await DataExport.claimPending(BATCH_SIZE);
+
+      for (const job of jobs) {
+        if (await this.runExport(job)) {
+          completed++;
+        }
+      }
+
+      await this.deleteExpiredExports();
+    } catch (error) {
+      logger.error(`Error processing data exports: ${error.message}`);
+    } finally {
+      this.running = false;
+    }
+
+    return completed;
+  }
+
+  /**
+   * Build a claimed export's archive and tell the user how it went
+   * @param {Object} job - Claimed export
+   * @returns {Promise<boolean>} Whether the export completed
+   */
+  async runExport(job) {
+    const filePath = path.join(this.exportDir, `${job.id}.zip`);
+
+    try {
+      await fs.promises.mkdir(this.exportDir, { recursive: true });
+      await this.writeArchive(job, filePath);
+      const { size } = await fs.promises.stat(filePath);
+
+      const completed = await DataExport.markCompleted(job.id, { filePath, fileSize: size });
+      await emitToUser(job.userId, 'data_export_ready', completed);
+
+      logger.info(`Exported data of user ${job.userId} (export ${job.id})`);
+      return true;
+    } catch (error) {
+      logger.error(`Error running data export ${job.id}: ${error.message}`);
+      await fs.promises.rm(filePath, { force: true });
+
+      const failed = await DataExport.markFailed(job.id, error.message);
+      await emitToUser(job.userId, 'data_export_failed', failed);
+      return false;
+    }
+  }
+
+  /**
+   * Write an export's ZIP file
+   * @param {Object} job - Export
+   * @param {string} filePath - Where to write the archive
+   * @returns {Promise<void>}
+   */
+  async writeArchive(job, filePath) {
+    const profile = await DataExport.getProfile(job.userId);
+
+    if (!profile) {
+      throw new Error('User not found');
+    }
+
+    const sections = await DataExport.getSections(job.userId);
+    const mediaFiles = new Map();
+
+    sections.media = sections.media.map((row) => {
+      const source = this.resolveUploadPath(row.media_type, String(row.user_id), row.filename);
+      const file = source && fs.existsSync(source) ? `media/${row.id}${path.extname(row.filename)}` : null;
+
+      if (file) {
+        mediaFiles.set(file, source);
+      }
+
+      return { ...row, file };
+    });
+
+    const output = fs.createWriteStream(filePath);
+    const zip = new ZipWriter(output);
+
+    try {
+      await zip.addStream('data.json', Readable.from(this.renderJson(job, profile, sections)));
+
+      for (const [name, sourcePath] of mediaFiles) {
+        await zip.addStream(name, fs.createReadStream(sourcePath));
+      }
+
+      await zip.finish();
+    } catch (error) {
+      output.destroy();
+      throw error;
+    }
+  }
+
+  /**
+   * Render data.json
+   * @param {Object} job - Export
+   * @param {Object} profile - The user's profile
+   * @param {Object} sections - Rows by section name
+   * @yields {string} JSON text
+   */
+  async *renderJson(job, profile, sections) {
+    const header = JSON.stringify({
+      version: 1,
+      exportedAt: new Date().toISOString(),
+      profile,
+      ...sections
+    }, null, 2);
+
+    // Leave the object open for the messages array
+    yield `${header.slice(0, -2)},\n  "messages": [`;
+
+    let count = 0;
+    for await (const message of this.iterateMessages(job.userId)) {
+      yield `${count === 0 ? '' : ','}\n    ${JSON.stringify(message)}`;
+      count++;
+    }
+
+    yield `${count === 0 ? '' : '\n  '}]\n}\n`;
+  }
+
+  /**
+   * Read every message a user has sent, a page at a time
+   * @param {string} userId - ID of the user
+   * @yields {Object} Exported message
+   */
+  async *iterateMessages(userId) {
+    let after = null;
+
+    for (;;) {
+      const rows = await DataExport.getMessages(userId, { after, limit: PAGE_SIZE });
+
+      for (const row of rows) {
+        yield this.formatMessage(row);
+      }
+
+      if (rows.length < PAGE_SIZE) {
+        return;
+      }
+
+      const last = rows[rows.length - 1];
+      after = { timestamp: new Date(last.timestamp).toISOString(), id: last.id };
+    }
+  }
+
+  /**
+   * Format a message row for export
+   *
+   * Encrypted messages keep their ciphertext, iv and recipient keys, as in
+   * conversation exports.
+   * @param {Object} row - Row from DataExport.getMessages
+   * @returns {Object} Exported message
+   */
+  formatMessage(row) {
+    return {
+      id: row.id,
+      conversationId: row.conversation_id,
+      type: row.message_type || 'text',
+      timestamp: new Date(row.timestamp).toISOString(),
+      editedAt: row.edited_at ? new Date(row.edited_at).toISOString() : null,
+      content: row.is_encrypted ? null : row.content,
+      isEncrypted: Boolean(row.is_encrypted),
+      encryptedContent: row.is_encrypted ? row.encrypted_content : null,
+      iv: row.is_encrypted ? row.iv : null,
+      recipientKeys: row.is_encrypted ? row.recipient_keys : null,
+      parentMessageId: row.parent_message_id,
+      forwardedFromMessageId: row.forwarded_from_message_id || null,
+      media: row.media_id ? {
+        id: row.media_id,
+        type: row.media_type,
+        url: row.media_url,
+        caption: row.media_caption,
+        size: row.media_size === null ? null : Number(row.media_size),
+        mimeType: row.media_mime_type
+      } : null,
+      linkPreview: row.link_preview || null
+    };
+  }
+
+  /**
+   * Delete a user's account and everything tied to it
+   *
+   * The database side is User.deleteAccount. Once that has committed, this
+   * deletes the user's files (media, thumbnails and export archives),
+   * signs out every device and clears their Redis state, which revokes
+   * their refresh token. As with suspensions, access tokens already issued
+   * can't be refreshed and run out on their own (JWT_ACCESS_EXPIRY).
+   * @param {string} userId - ID of the user
+   * @param {string} password - Their password, to confirm
+   * @param {Object} options - Deletion options
+   * @param {string} options.messages - 'anonymize' (default) or 'delete' their sent messages
+   * @returns {Promise<Object>} { messages, conversations, mediaDeleted, ownershipTransfers }
+   */
+  async deleteAccount(userId, password, { messages = 'anonymize' } = {}) {
+    const erased = await User.deleteAccount(userId, password, { messages });
+
+    await this.deleteUserFiles(userId, erased.media, erased.exportFiles);
+
+    await emitToUser(userId, 'account_deleted', { messages });
+    await disconnectUser(userId);
+    await removeUserData(userId);
+
+    for (const conversationId of erased.conversationIds) {
+      await emitToConversation(conversationId, 'participant_left', { conversationId, userId });
+    }
+
+    for (const { conversationId, newOwnerId } of erased.ownershipTransfers) {
+      await emitToConversation(conversationId, 'ownership_transferred', {
+        conversationId,
+        previousOwnerId: userId,
+        newOwnerId
+      });
+    }
+
+    logger.info(`Deleted account ${userId} (messages: ${messages})`);
+
+    return {
+      messages,
+      conversations: erased.conversationIds.length,
+      mediaDeleted: erased.media.length,
+      ownershipTransfers: erased.ownershipTransfers
+    };
+  }
+
+  /**
+   * Delete a user's files from disk
+   *
+   * Removes each media file and its thumbnails, then the user's folder in
+   * every upload folder (which catches files the database lost track of),
+   * then their export archives.
+   * @param {string} userId - ID of the user
+   * @param {Array<Object>} media - The user's media rows
+   * @param {Array<string>} exportFiles - Paths of their export archives
+   * @returns {Promise<void>}
+   */
+  async deleteUserFiles(userId, media = [], exportFiles = []) {
+    const filePaths = [...exportFiles];
+
+    for (const row of media) {
+      filePaths.push(
+        this.resolveUploadPath(row.media_type, String(row.user_id), row.filename),
+        row.thumbnail_path && this.resolveUploadPath(row.thumbnail_path),
+        row.webp_thumbnail_path && this.resolveUploadPath(row.webp_thumbnail_path)
+      );
+    }
+
+    const folders = [this.resolveUploadPath(userId)];
+    const entries = await fs.promises.readdir(this.uploadDir, { withFileTypes: true }).catch(() => []);
+
+    for (const entry of entries) {
+      if (entry.isDirectory()) {
+        folders.push(this.resolveUploadPath(entry.name, userId));
+      }
+    }
+
+    for (const target of [...filePaths, ...folders].filter(Boolean)) {
+      try {
+        await fs.promises.rm(target, { recursive: true, force: true });
+      } catch (error) {
+        logger.error(`Error deleting ${target} for user ${userId}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Resolve a path in the upload directory
+   * @param {...string} segments - Path segments, relative to the upload directory (or absolute)
+   * @returns {string|null} The path, or null if it's outside the upload directory
+   */
+  resolveUploadPath(...segments) {
+    if (segments.some(segment => !segment)) {
+      return null;
+    }
+
+    const uploadDir = path.resolve(this.uploadDir);
+    const filePath = path.resolve(uploadDir, ...segments);
+
+    // Never touch anything outside the upload directory
+    return filePath.startsWith(`${uploadDir}${path.sep}`) ? filePath : null;
+  }
+
+  /**
+   * Delete exports past their download window, and their files
+   * @returns {Promise<number>} Number of exports deleted
+   */
+  async deleteExpiredExports() {
+    const filePaths = await DataExport.deleteExpired();
+
+    for (const filePath of filePaths) {
+      await fs.promises.rm(filePath, { force: true });
+    }
+
+    return filePaths.length;
+  }
+}
+
+// Create and export singleton instance
+const accountDataService = new AccountDataService();
+module.exports = accountDataService;
@@ -0,0 +1,496 @@
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const { once } = require('events');
+const { finished } = require('stream/promises');
+const logger = require('../utils/logger');
+const Conversation = require('../models/Conversation');
+const ConversationExport = require('../models/ConversationExport');
+const { ZipWriter } = require('../utils/zip');
+const { emitToUser } = require('../websocket/socket');
+
+// How often the service looks for new export jobs
+const POLL_INTERVAL = 10 * 1000; // 10 seconds
+
+// Exports are slow and disk-heavy, so only a couple run at once
+const BATCH_SIZE = 2;
+
+// Messages read from the database at a time
+const PAGE_SIZE = 200;
+
+/**
+ * Escape text for HTML
+ * @param {*} value - Text
+ * @returns {string} Escaped text
+ */
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Write text to a file stream, waiting for it to drain if its buffer is full
+ * @param {fs.WriteStream} stream - File stream
+ * @param {string} text - Text
+ * @returns {Promise<void>}
+ */
+const writeText = async (stream, text) => {
+  if (stream.errored) {
+    throw stream.errored;
+  }
+
+  if (!stream.write(text)) {
+    await once(stream, 'drain');
+  }
+};
+
+const TRANSCRIPT_STYLE = `
+    body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif; max-width: 48rem; margin: 2rem auto; padding: 0 1rem; color: #222; }
+    .message { border-bottom: 1px solid #eee; padding: 0.75rem 0; }
+    .message.system { color: #777; font-style: italic; }
+    .meta { font-size: 0.85rem; color: #666; }
+    .content { white-space: pre-wrap; margin: 0.25rem 0; }
+    .encrypted { color: #777; }
+    .media img { max-width: 100%; max-height: 20rem; }
+    .reactions { list-style: none; padding: 0; display: flex; gap: 0.5rem; font-size: 0.85rem; }
+  `;
+
+/**
+ * Service that runs conversation exports
+ *
+ * Each export is archived into a ZIP file holding messages.json (every
+ * message, its media, reactions and reply link), transcript.html,
+ * transcript.txt, and the media files themselves if asked for. Job state
+ * lives in the conversation_exports table, so exports survive restarts.
+ */
+class ConversationExportService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+    this.uploadDir = process.env.UPLOAD_DIR || path.join(__dirname, '../../uploads');
+    this.exportDir = process.env.EXPORT_DIR || path.join(this.uploadDir, 'exports');
+  }
+
+  /**
+   * Start polling for export jobs
+   * @param {number} interval - Poll interval in milliseconds
+   */
+  start(interval = POLL_INTERVAL) {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.processPendingExports(), interval);
+    logger.info('Conversation export service started');
+
+    // Pick up anything requested while the server was down
+    this.processPendingExports();
+  }
+
+  /**
+   * Stop polling
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      logger.info('Conversation export service stopped');
+    }
+  }
+
+  /**
+   * Claim and run pending exports, and delete expired ones
+   * @returns {Promise<number>} Number of exports completed
+   */
+  async processPendingExports() {
+    // Skip the tick if the previous exports are still running
+    if (this.running) {
+      return 0;
+    }
+
+    this.running = true;
+    let completed = 0;
+
+    try {
+      const jobs = await ConversationExport.claimPending(BATCH_SIZE);
+
+      for (const job of jobs) {
+        if (await this.runExport(job)) {
+          completed++;
+        }
+      }
+
+      await this.deleteExpiredExports();
+    } catch (error) {
+      logger.error(`Error processing conversation exports: ${error.message}`);
+    } finally {
+      this.running = false;
+    }
+
+    return completed;
+  }
+
+  /**
+   * Build a claimed export's archive and tell the user how it went
+   * @param {Object} job - Claimed export
+   * @returns {Promise<boolean>} Whether the export completed
+   */
+  async runExport(job) {
+    const filePath = path.join(this.exportDir, `${job.id}.zip`);
+
+    try {
+      const conversation = await Conversation.getById(job.conversationId);
+
+      // The user may have left the conversation since asking
+      if (!conversation || !conversation.participants.some(p => p.id === job.userId)) {
+        throw new Error('User is no longer a participant in this conversation');
+      }
+
+      await fs.promises.mkdir(this.exportDir, { recursive: true });
+      const messageCount = await this.writeArchive(job, conversation, filePath);
+      const { size } = await fs.promises.stat(filePath);
+
+      const completed = await ConversationExport.markCompleted(job.id, { filePath, fileSize: size, messageCount });
+      await emitToUser(job.userId, 'conversation_export_ready', completed);
+
+      logger.info(`Exported ${messageCount} messages from conversation ${job.conversationId} (export ${job.id})`);
+      return true;
+    } catch (error) {
+      logger.error(`Error running conversation export ${job.id}: ${error.message}`);
+      await fs.promises.rm(filePath, { force: true });
+
+      const failed = await ConversationExport.markFailed(job.id, error.message);
+      await emitToUser(job.userId, 'conversation_export_failed', failed);
+      return false;
+    }
+  }
+
+  /**
+   * Write an export's ZIP file
+   *
+   * Messages are read once: the transcripts are written to files next to
+   * the archive while messages.json is built, then added after it, so every
+   * file holds the same messages.
+   * @param {Object} job - Export
+   * @param {Object} conversation - Conversation being exported
+   * @param {string} filePath - Where to write the archive
+   * @returns {Promise<number>} Number of messages exported
+   */
+  async writeArchive(job, conversation, filePath) {
+    const output = fs.createWriteStream(filePath);
+    const zip = new ZipWriter(output);
+    const mediaFiles = new Map();
+    const stats = { messageCount: 0 };
+    const htmlPath = `${filePath}.html`;
+    const textPath = `${filePath}.txt`;
+    const html = fs.createWriteStream(htmlPath);
+    const text = fs.createWriteStream(textPath);
+
+    // Listen for write errors from the start; they're thrown once the files are closed
+    const transcriptsWritten = Promise.all([finished(html), finished(text)]);
+    transcriptsWritten.catch(() => {});
+
+    const writeTranscripts = async (message) => {
+      await writeText(html, this.renderHtmlMessage(message));
+      await writeText(text, this.renderTextMessage(message));
+    };
+
+    try {
+      await writeText(html, this.renderHtmlHeader(conversation));
+      await writeText(text, this.renderTextHeader(conversation));
+
+      await zip.addStream('messages.json', Readable.from(
+        this.renderJson(job, conversation, mediaFiles, stats, writeTranscripts)
+      ));
+
+      html.end('</body>\n</html>\n');
+      text.end();
+      await transcriptsWritten;
+
+      await zip.addStream('transcript.html', fs.createReadStream(htmlPath));
+      await zip.addStream('transcript.txt', fs.createReadStream(textPath));
+
+      for (const [name, sourcePath] of mediaFiles) {
+        await zip.addStream(name, fs.createReadStream(sourcePath));
+      }
+
+      await zip.finish();
+    } catch (error) {
+      output.destroy();
+      html.destroy();
+      text.destroy();
+      throw error;
+    } finally {
+      await fs.promises.rm(htmlPath, { force: true });
+      await fs.promises.rm(textPath, { force: true });
+    }
+
+    return stats.messageCount;
+  }
+
+  /**
+   * Read every message in a conversation, a page at a time
+   * @param {Object} job - Export
+   * @yields {Object} Exported message
+   */
+  async *iterateMessages(job) {
+    let after = null;
+
+    for (;;) {
+      const rows = await ConversationExport.getMessages(job.conversationId, { after, limit: PAGE_SIZE });
+
+      for (const row of rows) {
+        yield this.formatMessage(row, job.includeMedia);
+      }
+
+      if (rows.length < PAGE_SIZE) {
+        return;
+      }
+
+      const last = rows[rows.length - 1];
+      after = { timestamp: new Date(last.timestamp).toISOString(), id: last.id };
+    }
+  }
+
+  /**
+   * Render messages.json, noting the media files to bundle on the way
+   * @param {Object} job - Export
+   * @param {Object} conversation - Conversation
+   * @param {Map<string, string>} mediaFiles - Filled with archive path to file path for each media file
+   * @param {Object} stats - Filled with messageCount
+   * @param {Function} onMessage - Called with each exported message, for the transcripts
+   * @yields {string} JSON text
+   */
+  async *renderJson(job, conversation, mediaFiles, stats, onMessage) {
+    const header = JSON.stringify({
+      version: 1,
+      exportedAt: new Date().toISOString(),
+      exportedBy: job.userId,
+      conversation: {
+        id: conversation.id,
+        name: conversation.name || null,
+        isGroup: Boolean(conversation.is_group),
+        participants: conversation.participants.map(p => ({ id: p.id, role: p.role }))
+      }
+    }, null, 2);
+
+    // Leave the object open for the messages array
+    yield `${header.slice(0, -2)},\n  "messages": [`;
+
+    for await (const { message, mediaSource } of this.iterateMessages(job)) {
+      if (mediaSource) {
+        mediaFiles.set(message.media.file, mediaSource);
+      }
+
+      await onMessage(message);
+
+      yield `${stats.messageCount === 0 ? '' : ','}\n    ${JSON.stringify(message)}`;
+      stats.messageCount++;
+    }
+
+    yield `${stats.messageCount === 0 ? '' : '\n  '}]\n}\n`;
+  }
+
+  /**
+   * Render the start of transcript.html, up to the first message
+   * @param {Object} conversation - Conversation
+   * @returns {string} HTML
+   */
+  renderHtmlHeader(conversation) {
+    const title = conversation.name || 'Conversation';
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(title)}</title>
+  <style>${TRANSCRIPT_STYLE}</style>
+</head>
+<body>
+  <h1>${escapeHtml(title)}</h1>
+  <p class="meta">Exported ${escapeHtml(new Date().toISOString())}</p>
+`;
+  }
+
+  /**
+   * Render one message of the transcript
+   * @param {Object} message - Exported message
+   * @returns {string} HTML
+   */
+  renderHtmlMessage(message) {
+    const parts = [
+      `  <article class="message ${escapeHtml(message.type)}" id="message-${escapeHtml(message.id)}">`,
+      `    <div class="meta"><strong>${escapeHtml(message.senderUsername)}</strong> `
+        + `<time datetime="${escapeHtml(message.timestamp)}">${escapeHtml(message.timestamp)}</time>`
+        + `${message.editedAt ? ' (edited)' : ''}</div>`
+    ];
+
+    if (message.parentMessageId) {
+      parts.push(`    <div class="meta"><a href="#message-${escapeHtml(message.parentMessageId)}">In reply to an earlier message</a></div>`);
+    }
+
+    if (message.isEncrypted) {
+      parts.push('    <p class="content encrypted">Encrypted message (its ciphertext is in messages.json)</p>');
+    } else if (message.content) {
+      const content = message.type === 'poll' ? `Poll: ${message.content}` : message.content;
+      parts.push(`    <p class="content">${escapeHtml(content)}</p>`);
+    }
+
+    if (message.media) {
+      const { media } = message;
+      const label = escapeHtml(media.caption || media.filename || media.type);
+
+      if (!media.file) {
+        parts.push(`    <p class="media">Attachment: ${label}</p>`);
+      } else if (media.type === 'image') {
+        parts.push(`    <p class="media"><a href="${escapeHtml(media.file)}"><img src="${escapeHtml(media.file)}" alt="${label}"></a></p>`);
+      } else {
+        parts.push(`    <p class="media"><a href="${escapeHtml(media.file)}">${label}</a></p>`);
+      }
+    }
+
+    if (message.reactions.length > 0) {
+      const counts = new Map();
+      for (const reaction of message.reactions) {
+        counts.set(reaction.emoji, [...(counts.get(reaction.emoji) || []), reaction.username]);
+      }
+
+      const items = [...counts].map(([emoji, usernames]) =>
+        `<li title="${escapeHtml(usernames.join(', '))}">${escapeHtml(emoji)} ${usernames.length}</li>`);
+      parts.push(`    <ul class="reactions">${items.join('')}</ul>`);
+    }
+
+    parts.push('  </article>\n');
+    return parts.join('\n');
+  }
+
+  /**
+   * Render the start of transcript.txt, up to the first message
+   * @param {Object} conversation - Conversation
+   * @returns {string} Text
+   */
+  renderTextHeader(conversation) {
+    return `${conversation.name || 'Conversation'}\nExported ${new Date().toISOString()}\n\n`;
+  }
+
+  /**
+   * Render one message of the plain text transcript
+   * @param {Object} message - Exported message
+   * @returns {string} Text
+   */
+  renderTextMessage(message) {
+    const lines = [`[${message.timestamp}] ${message.senderUsername}${message.editedAt ? ' (edited)' : ''}`];
+
+    if (message.parentMessageId) {
+      lines.push(`  In reply to message ${message.parentMessageId}`);
+    }
+
+    if (message.isEncrypted) {
+      lines.push('  Encrypted message (its ciphertext is in messages.json)');
+    } else if (message.content) {
+      const content = message.type === 'poll' ? `Poll: ${message.content}` : message.content;
+      lines.push(...content.split('\n').map(line => `  ${line}`));
+    }
+
+    if (message.media) {
+      const { media } = message;
+      const label = media.caption || media.filename || media.type;
+      lines.push(`  Attachment: ${label}${media.file ? ` (${media.file})` : ''}`);
+    }
+
+    if (message.reactions.length > 0) {
+      const counts = new Map();
+      for (const reaction of message.reactions) {
+        counts.set(reaction.emoji, (counts.get(reaction.emoji) || 0) + 1);
+      }
+
+      lines.push(`  Reactions: ${[...counts].map(([emoji, count]) => `${emoji} ${count}`).join(', ')}`);
+    }
+
+    return `${lines.join('\n')}\n\n`;
+  }
+
+  /**
+   * Format a message row for export
+   *
+   * Encrypted messages keep their ciphertext, iv and recipient keys so the
+   * user's client can decrypt the export offline.
+   * @param {Object} row - Row from ConversationExport.getMessages
+   * @param {boolean} includeMedia - Whether media files are being bundled
+   * @returns {Object} { message, mediaSource }, mediaSource being the media file to bundle (if any)
+   */
+  formatMessage(row, includeMedia) {
+    const mediaSource = includeMedia && row.media_id ? this.getMediaPath(row) : null;
+
+    const message = {
+      id: row.id,
+      senderId: row.sender_id,
+      senderUsername: row.sender_username,
+      type: row.message_type || 'text',
+      timestamp: new Date(row.timestamp).toISOString(),
+      editedAt: row.edited_at ? new Date(row.edited_at).toISOString() : null,
+      content: row.is_encrypted ? null : row.content,
+      isEncrypted: Boolean(row.is_encrypted),
+      encryptedContent: row.is_encrypted ? row.encrypted_content : null,
+      iv: row.is_encrypted ? row.iv : null,
+      recipientKeys: row.is_encrypted ? row.recipient_keys : null,
+      parentMessageId: row.parent_message_id,
+      forwardedFromMessageId: row.forwarded_from_message_id || null,
+      media: row.media_id ? {
+        id: row.media_id,
+        type: row.media_type,
+        url: row.media_url,
+        caption: row.media_caption,
+        size: row.media_size === null ? null : Number(row.media_size),
+        mimeType: row.media_mime_type,
+        filename: row.media_original_filename || null,
+        file: mediaSource ? `media/${row.media_id}${path.extname(row.media_filename)}` : null
+      } : null,
+      linkPreview: row.link_preview || null,
+      reactions: row.reactions || []
+    };
+
+    return { message, mediaSource };
+  }
+
+  /**
+   * Find a media file in the upload directory
+   * @param {Object} row - Row from ConversationExport.getMessages
+   * @returns {string|null} File path, or null if the file is missing
+   */
+  getMediaPath(row) {
+    if (!row.media_filename || !row.media_folder || !row.media_owner_id) {
+      return null;
+    }
+
+    const uploadDir = path.resolve(this.uploadDir);
+    const filePath = path.resolve(uploadDir, row.media_folder, String(row.media_owner_id), row.media_filename);
+
+    // Never read outside the upload directory
+    if (!filePath.startsWith(`${uploadDir}${path.sep}`) || !fs.existsSync(filePath)) {
+      return null;
+    }
+
+    return filePath;
+  }
+
+  /**
+   * Delete exports past their download window, and their files
+   * @returns {Promise<number>} Number of exports deleted
+   */
+  async deleteExpiredExports() {
+    const filePaths = await ConversationExport.deleteExpired();
+
+    for (const filePath of filePaths) {
+      await fs.promises.rm(filePath, { force: true });
+    }
+
+    return filePaths.length;
+  }
+}
+
+// Create and export singleton instance
+const conversationExportService = new ConversationExportService();
+module.exports = conversationExportService;
@@ -0,0 +1,370 @@
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const logger = require('../utils/logger');
+const cache = require('../utils/cache');
+const Message = require('../models/Message');
+const { extractUrls, toHttpUrl, sanitizeLinkPreview } = require('../utils/links');
+
+// Limits on each fetch, including redirects and the oEmbed lookup
+const FETCH_TIMEOUT = 5 * 1000; // 5 seconds
+const MAX_RESPONSE_BYTES = 512 * 1024; // 512 KB
+const MAX_REDIRECTS = 3;
+
+// How long previews (and failed lookups) are cached, in seconds
+const CACHE_TTL = 6 * 60 * 60; // 6 hours
+const FAILURE_CACHE_TTL = 10 * 60; // 10 minutes
+
+const USER_AGENT = 'SwickrLinkPreview/1.0 (+https://swickr.app)';
+
+// Addresses the fetcher must never connect to: private networks, loopback,
+// link-local (including cloud metadata services), and other special ranges
+const BLOCKED_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24],
+  ['192.168.0.0', 16], ['198.18.0.0', 15], ['198.51.100.0', 24], ['203.0.113.0', 24],
+  ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED_RANGES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['100::', 64],
+  ['2001:db8::', 32], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+/**
+ * Decode the HTML entities in an attribute or text
+ * @param {string} text - HTML text
+ * @returns {string} Decoded text
+ */
+const decodeEntities = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+  if (code[0] === '#') {
+    const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+    return point > 0 && point <= 0x10ffff ? String.fromCodePoint(point) : entity;
+  }
+
+  return ENTITIES[code.toLowerCase()] || entity;
+});
+
+/**
+ * Parse the attributes of an HTML tag
+ * @param {string} tag - Tag source, e.g. <meta property="og:title" content="...">
+ * @returns {Object} Attributes, with lowercased names
+ */
+const parseAttributes = (tag) => {
+  const attributes = {};
+
+  for (const match of tag.matchAll(/([a-z][a-z0-9:_-]*)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/gi)) {
+    attributes[match[1].toLowerCase()] = decodeEntities(match[2] ?? match[3] ?? match[4]);
+  }
+
+  return attributes;
+};
+
+/**
+ * Service that builds previews of links in messages
+ *
+ * Pages are fetched server-side, so the fetcher refuses to connect to
+ * private addresses (checked on every connection, including redirects),
+ * and stops at a size and time limit. Previews are cached by URL.
+ */
+class LinkPreviewService {
+  constructor() {
+    this.timeout = FETCH_TIMEOUT;
+    this.maxResponseBytes = MAX_RESPONSE_BYTES;
+
+    // Only for tests, which fetch from a server on localhost
+    this.allowPrivateNetworks = false;
+
+    // Lookups in progress, so a link shared many times at once is fetched once
+    this.pending = new Map();
+  }
+
+  /**
+   * Preview the first link in a new or edited message and store it
+   *
+   * Encrypted and system messages are skipped; the server can't read them.
+   * @param {Object} message - Message
+   * @returns {Promise<Object|null>} Preview, or null if none was stored
+   */
+  async previewMessage(message) {
+    if (message.isEncrypted || message.type === 'system') {
+      return null;
+    }
+
+    const [url] = extractUrls(message.content);
+
+    if (!url) {
+      return null;
+    }
+
+    const preview = await this.getPreview(url);
+
+    // The message may have been edited or deleted while the page loaded
+    if (!preview || !(await Message.setLinkPreview(message.id, preview, message.content))) {
+      return null;
+    }
+
+    return preview;
+  }
+
+  /**
+   * Get the preview for a URL, from the cache if possible
+   * @param {string} url - Page URL
+   * @returns {Promise<Object|null>} Preview, or null if the page couldn't be previewed
+   */
+  async getPreview(url) {
+    const key = `link-preview:${url}`;
+    const cached = cache.get(key);
+
+    if (cached !== undefined) {
+      return cached;
+    }
+
+    if (!this.pending.has(url)) {
+      const lookup = this.fetchPreview(url)
+        .catch((error) => {
+          logger.debug(`Could not preview ${url}: ${error.message}`);
+          return null;
+        })
+        .then((preview) => {
+          cache.set(key, preview, preview ? CACHE_TTL : FAILURE_CACHE_TTL);
+          this.pending.delete(url);
+          return preview;
+        });
+
+      this.pending.set(url, lookup);
+    }
+
+    return this.pending.get(url);
+  }
+
+  /**
+   * Fetch a page and build its preview from its Open Graph tags, falling
+   * back to its oEmbed data and then its title and description
+   * @param {string} url - Page URL
+   * @returns {Promise<Object|null>} Preview, or null if the page has nothing to show
+   */
+  async fetchPreview(url) {
+    const deadline = Date.now() + this.timeout;
+    const page = await this.fetch(url, deadline, 'text/html');
+
+    if (!/^(text\/html|application\/xhtml\+xml)\b/i.test(page.contentType)) {
+      return null;
+    }
+
+    const metadata = this.parseMetadata(page.body, page.url);
+
+    if (metadata.oEmbedUrl && (!metadata.title || !metadata.image)) {
+      try {
+        const oEmbed = JSON.parse((await this.fetch(metadata.oEmbedUrl, deadline, 'application/json')).body);
+
+        metadata.title = metadata.title || oEmbed.title;
+        metadata.image = metadata.image || toHttpUrl(oEmbed.thumbnail_url, page.url);
+        metadata.siteName = metadata.siteName || oEmbed.provider_name;
+      } catch (error) {
+        logger.debug(`Could not read oEmbed data for ${url}: ${error.message}`);
+      }
+    }
+
+    return sanitizeLinkPreview({
+      url: page.url,
+      title: metadata.title || metadata.documentTitle,
+      description: metadata.description,
+      image: metadata.image,
+      siteName: metadata.siteName
+    });
+  }
+
+  /**
+   * Pull preview metadata out of a page's HTML
+   * @param {string} html - Page HTML (possibly cut short)
+   * @param {string} pageUrl - URL the page was fetched from, for relative links
+   * @returns {Object} title, description, image, siteName, documentTitle and oEmbedUrl
+   */
+  parseMetadata(html, pageUrl) {
+    const meta = {};
+
+    for (const [tag] of html.matchAll(/<meta\s[^>]*>/gi)) {
+      const attributes = parseAttributes(tag);
+      const name = (attributes.property || attributes.name || '').toLowerCase();
+
+      if (name && attributes.content !== undefined && !(name in meta)) {
+        meta[name] = attributes.content;
+      }
+    }
+
+    let oEmbedUrl = null;
+
+    for (const [tag] of html.matchAll(/<link\s[^>]*>/gi)) {
+      const attributes = parseAttributes(tag);
+
+      if ((attributes.rel || '').toLowerCase() === 'alternate' && (attributes.type || '').toLowerCase() === 'application/json+oembed') {
+        oEmbedUrl = toHttpUrl(attributes.href, pageUrl);
+        break;
+      }
+    }
+
+    const documentTitle = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+
+    return {
+      title: meta['og:title'] || meta['twitter:title'],
+      description: meta['og:description'] || meta['twitter:description'] || meta.description,
+      image: toHttpUrl(meta['og:image'] || meta['og:image:url'] || meta['twitter:image'], pageUrl),
+      siteName: meta['og:site_name'],
+      documentTitle: documentTitle ? decodeEntities(documentTitle[1]) : null,
+      oEmbedUrl
+    };
+  }
+
+  /**
+   * Fetch a URL, following redirects
+   *
+   * Bodies longer than the size limit are cut short rather than refused;
+   * the metadata a preview needs is near the top of a page.
+   * @param {string} url - URL to fetch
+   * @param {number} deadline - Time (in ms since the epoch) to give up at
+   * @param {string} accept - Accept header
+   * @param {number} redirectsLeft - How many more redirects to follow
+   * @returns {Promise<Object>} { url, contentType, body }
+   * @throws {Error} If the URL or any address it resolves to isn't allowed, or the fetch fails
+   */
+  fetch(url, deadline, accept, redirectsLeft = MAX_REDIRECTS) {
+    const target = toHttpUrl(url) ? new URL(url) : null;
+
+    if (!target) {
+      return Promise.reject(new Error('Only http and https URLs can be previewed'));
+    }
+
+    // Connections to IP literals skip the DNS lookup below, so check them here
+    const host = target.hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(host) && !this.isAllowedAddress(host)) {
+      return Promise.reject(new Error(`Address ${host} is not allowed`));
+    }
+
+    const remaining = deadline - Date.now();
+    if (remaining <= 0) {
+      return Promise.reject(new Error('Timed out'));
+    }
+
+    return new Promise((resolve, reject) => {
+      const client = target.protocol === 'https:' ? https : http;
+      const request = client.get(target, {
+        headers: { 'User-Agent': USER_AGENT, Accept: accept },
+        lookup: (hostname, options, callback) => this.lookup(hostname, options, callback)
+      }, (response) => {
+        const { statusCode, headers } = response;
+
+        if (statusCode >= 300 && statusCode < 400 && headers.location) {
+          response.resume();
+          clearTimeout(timer);
+
+          if (redirectsLeft === 0) {
+            reject(new Error('Too many redirects'));
+            return;
+          }
+
+          resolve(this.fetch(new URL(headers.location, target).href, deadline, accept, redirectsLeft - 1));
+          return;
+        }
+
+        if (statusCode !== 200) {
+          response.resume();
+          clearTimeout(timer);
+          reject(new Error(`Unexpected status ${statusCode}`));
+          return;
+        }
+
+        const chunks = [];
+        let size = 0;
+        const finish = () => {
+          clearTimeout(timer);
+          resolve({
+            url: target.href,
+            contentType: headers['content-type'] || '',
+            body: Buffer.concat(chunks).toString('utf8')
+          });
+        };
+
+        response.on('data', (chunk) => {
+          chunks.push(chunk);
+          size += chunk.length;
+
+          if (size >= this.maxResponseBytes) {
+            chunks[chunks.length - 1] = chunk.subarray(0, chunk.length - (size - this.maxResponseBytes));
+            response.destroy();
+            finish();
+          }
+        });
+        response.on('end', finish);
+        response.on('error', (error) => {
+          clearTimeout(timer);
+          reject(error);
+        });
+      });
+
+      const timer = setTimeout(() => request.destroy(new Error('Timed out')), remaining);
+
+      request.on('error', (error) => {
+        clearTimeout(timer);
+        reject(error);
+      });
+    });
+  }
+
+  /**
+   * Resolve a hostname, refusing private addresses
+   *
+   * Used as the lookup for each connection, so the address checked is the
+   * one connected to, even if the name's DNS records change in between.
+   * @param {string} hostname - Hostname
+   * @param {Object} options - dns.lookup options
+   * @param {Function} callback - dns.lookup callback
+   */
+  lookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+      if (error) {
+        callback(error);
+        return;
+      }
+
+      const blocked = addresses.find(({ address }) => !this.isAllowedAddress(address));
+      if (blocked) {
+        callback(new Error(`Address ${blocked.address} is not allowed`));
+        return;
+      }
+
+      if (options.all) {
+        callback(null, addresses);
+      } else {
+        callback(null, addresses[0].address, addresses[0].family);
+      }
+    });
+  }
+
+  /**
+   * Check whether the fetcher may connect to an address
+   * @param {string} address - IPv4 or IPv6 address
+   * @returns {boolean} Whether it's a public address (or private ones are allowed)
+   */
+  isAllowedAddress(address) {
+    if (this.allowPrivateNetworks) {
+      return true;
+    }
+
+    const family = net.isIP(address);
+
+    if (family === 0) {
+      return false;
+    }
+
+    return !BLOCKED_RANGES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+  }
+}
+
+// Create singleton instance
+const linkPreviewService = new LinkPreviewService();
+
+module.exports = linkPreviewService;
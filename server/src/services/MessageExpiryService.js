@@ -0,0 +1,111 @@
+const logger = require('../utils/logger');
+const Message = require('../models/Message');
+const Media = require('../models/Media');
+const { emitToConversation } = require('../websocket/socket');
+
+// How often expired messages are swept
+const SWEEP_INTERVAL = 10 * 1000; // 10 seconds
+
+// Maximum number of messages deleted per batch
+const BATCH_SIZE = 500;
+
+/**
+ * Service that hard-deletes disappearing messages once they expire
+ *
+ * Deleted messages are announced to participants with a `messages_expired`
+ * event so clients can drop them from view.
+ */
+class MessageExpiryService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Start sweeping expired messages
+   * @param {number} interval - Sweep interval in milliseconds
+   */
+  start(interval = SWEEP_INTERVAL) {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.sweep(), interval);
+    logger.info('Message expiry service started');
+
+    // Remove anything that expired while the server was down
+    this.sweep();
+  }
+
+  /**
+   * Stop sweeping
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      logger.info('Message expiry service stopped');
+    }
+  }
+
+  /**
+   * Delete all expired messages and their media
+   * @returns {Promise<number>} Number of messages deleted
+   */
+  async sweep() {
+    // Skip the tick if the previous sweep is still running
+    if (this.running) {
+      return 0;
+    }
+
+    this.running = true;
+    let deleted = 0;
+
+    try {
+      let expired;
+      let mediaMarked = false;
+
+      do {
+        expired = await Message.deleteExpired(BATCH_SIZE);
+        deleted += expired.length;
+        mediaMarked = mediaMarked || expired.some(message => message.mediaId);
+
+        // Group deleted message IDs by conversation
+        const byConversation = new Map();
+        for (const message of expired) {
+          if (!byConversation.has(message.conversationId)) {
+            byConversation.set(message.conversationId, []);
+          }
+          byConversation.get(message.conversationId).push(message.id);
+        }
+
+        for (const [conversationId, messageIds] of byConversation) {
+          await emitToConversation(conversationId, 'messages_expired', {
+            conversationId,
+            messageIds,
+            timestamp: new Date()
+          });
+        }
+      } while (expired.length === BATCH_SIZE);
+
+      if (mediaMarked) {
+        const cleaned = await Media.cleanupMarkedForDeletion();
+        logger.debug(`Cleaned up ${cleaned} media files from expired messages`);
+      }
+
+      if (deleted > 0) {
+        logger.info(`Deleted ${deleted} expired messages`);
+      }
+    } catch (error) {
+      logger.error(`Error sweeping expired messages: ${error.message}`);
+    } finally {
+      this.running = false;
+    }
+
+    return deleted;
+  }
+}
+
+// Create and export singleton instance
+const messageExpiryService = new MessageExpiryService();
+module.exports = messageExpiryService;
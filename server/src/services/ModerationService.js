@@ -0,0 +1,241 @@
+const logger = require('../utils/logger');
+const { pool } = require('../config/database');
+const redis = require('../config/redis');
+const Message = require('../models/Message');
+const Report = require('../models/Report');
+const User = require('../models/User');
+const ModerationLog = require('../models/ModerationLog');
+const { emitToUser, emitToConversation, disconnectUser } = require('../websocket/socket');
+
+// How long an account can be suspended for, in milliseconds (null = until lifted)
+const SUSPENSION_DURATIONS = {
+  '1d': 24 * 60 * 60 * 1000,
+  '7d': 7 * 24 * 60 * 60 * 1000,
+  '30d': 30 * 24 * 60 * 60 * 1000,
+  permanent: null
+};
+
+/**
+ * Service for moderator actions on reports and accounts
+ *
+ * Every action is written to the moderation audit log. Actions on the
+ * database are recorded in the same transaction, so nothing happens
+ * without an audit entry.
+ */
+class ModerationService {
+  /**
+   * Close a report as resolved or dismissed
+   * @param {string} reportId - Report ID
+   * @param {string} moderatorId - ID of the moderator
+   * @param {Object} outcome - Outcome
+   * @param {string} outcome.status - resolved or dismissed
+   * @param {string} outcome.resolution - Moderator's note
+   * @returns {Promise<Object|null>} Closed report, or null if not found
+   */
+  async resolveReport(reportId, moderatorId, { status, resolution = null }) {
+    return this.inTransaction(async (client) => {
+      const report = await Report.close(reportId, { status, moderatorId, resolution }, client);
+
+      if (!report) {
+        return null;
+      }
+
+      await ModerationLog.record({
+        moderatorId,
+        action: status === 'resolved' ? 'resolve_report' : 'dismiss_report',
+        targetType: 'report',
+        targetId: reportId,
+        reportId,
+        details: { resolution }
+      }, client);
+
+      return report;
+    });
+  }
+
+  /**
+   * Delete a reported message
+   * @param {string} reportId - ID of a report about the message
+   * @param {string} moderatorId - ID of the moderator
+   * @returns {Promise<Object|null>} { messageId, conversationId }, or null if the report isn't found
+   * @throws {Error} If the report isn't about a message or the message is already gone
+   */
+  async deleteReportedMessage(reportId, moderatorId) {
+    const report = await Report.getById(reportId);
+
+    if (!report) {
+      return null;
+    }
+
+    if (report.targetType !== 'message') {
+      throw new Error('Only reported messages can be deleted');
+    }
+
+    const { messageId, conversationId, senderId } = report.snapshot;
+
+    await this.inTransaction(async (client) => {
+      const deleted = await Message.delete(messageId, moderatorId, { moderator: true, client });
+
+      if (!deleted) {
+        throw new Error('Message not found');
+      }
+
+      await ModerationLog.record({
+        moderatorId,
+        action: 'delete_message',
+        targetType: 'message',
+        targetId: messageId,
+        reportId,
+        details: { conversationId, senderId }
+      }, client);
+    });
+
+    await emitToConversation(conversationId, 'message_deleted', { messageId, conversationId });
+
+    logger.info(`Moderator ${moderatorId} deleted message ${messageId} (report ${reportId})`);
+    return { messageId, conversationId };
+  }
+
+  /**
+   * Suspend a user's account
+   *
+   * The user is signed out everywhere: their refresh token is revoked and
+   * their sockets are disconnected. Access tokens they already hold are
+   * refused by the auth middleware, which checks the account.
+   * @param {string} userId - ID of the user to suspend
+   * @param {string} moderatorId - ID of the moderator
+   * @param {Object} suspension - Suspension details
+   * @param {string} suspension.duration - One of SUSPENSION_DURATIONS
+   * @param {string} suspension.reason - Reason shown to the user
+   * @param {string} suspension.reportId - Report that led to the suspension, if any
+   * @returns {Promise<Object|null>} Account status, or null if the user isn't found
+   */
+  async suspendUser(userId, moderatorId, { duration, reason = null, reportId = null }) {
+    if (!Object.prototype.hasOwnProperty.call(SUSPENSION_DURATIONS, duration)) {
+      throw new Error(`Invalid suspension duration. Must be one of: ${Object.keys(SUSPENSION_DURATIONS).join(', ')}`);
+    }
+
+    if (userId === moderatorId) {
+      throw new Error('Cannot suspend yourself');
+    }
+
+    const until = SUSPENSION_DURATIONS[duration] === null ? null : new Date(Date.now() + SUSPENSION_DURATIONS[duration]);
+
+    const account = await this.inTransaction(async (client) => {
+      const suspended = await User.suspend(userId, { until, reason }, client);
+
+      if (!suspended) {
+        return null;
+      }
+
+      await ModerationLog.record({
+        moderatorId,
+        action: 'suspend_user',
+        targetType: 'user',
+        targetId: userId,
+        reportId,
+        details: { duration, until, reason }
+      }, client);
+
+      return suspended;
+    });
+
+    if (!account) {
+      return null;
+    }
+
+    // Read the client now; initRedis may have swapped in the fallback since import
+    if (redis.redisClient.isReady) {
+      await redis.redisClient.del(`refresh_token:${userId}`);
+    }
+
+    await emitToUser(userId, 'account_suspended', { until, reason });
+    await disconnectUser(userId);
+
+    logger.info(`Moderator ${moderatorId} suspended user ${userId} (${duration})`);
+    return account;
+  }
+
+  /**
+   * Lift a user's suspension
+   * @param {string} userId - ID of the suspended user
+   * @param {string} moderatorId - ID of the moderator
+   * @returns {Promise<Object|null>} Account status, or null if the user isn't found
+   */
+  async unsuspendUser(userId, moderatorId) {
+    return this.inTransaction(async (client) => {
+      const account = await User.unsuspend(userId, client);
+
+      if (!account) {
+        return null;
+      }
+
+      await ModerationLog.record({
+        moderatorId,
+        action: 'unsuspend_user',
+        targetType: 'user',
+        targetId: userId
+      }, client);
+
+      return account;
+    });
+  }
+
+  /**
+   * Replace a user's roles
+   *
+   * New roles take effect when the user's access token is next refreshed.
+   * @param {string} userId - ID of the user
+   * @param {string} adminId - ID of the admin
+   * @param {Array<string>} roles - New roles
+   * @returns {Promise<Object|null>} Account status, or null if the user isn't found
+   */
+  async updateRoles(userId, adminId, roles) {
+    const previous = await User.getAccountStatus(userId);
+
+    if (!previous) {
+      return null;
+    }
+
+    return this.inTransaction(async (client) => {
+      const account = await User.setRoles(userId, roles, client);
+
+      await ModerationLog.record({
+        moderatorId: adminId,
+        action: 'update_roles',
+        targetType: 'user',
+        targetId: userId,
+        details: { previous: previous.roles, roles: account.roles }
+      }, client);
+
+      return account;
+    });
+  }
+
+  /**
+   * Run a function inside a database transaction
+   * @param {Function} fn - Called with the transaction's client
+   * @returns {Promise<*>} Whatever fn returns
+   */
+  async inTransaction(fn) {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+      const result = await fn(client);
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error(`Moderation action failed: ${error.message}`);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+}
+
+// Create and export singleton instance
+const moderationService = new ModerationService();
+moderationService.SUSPENSION_DURATIONS = SUSPENSION_DURATIONS;
+module.exports = moderationService;
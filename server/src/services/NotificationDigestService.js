@@ -0,0 +1,72 @@
+const logger = require('../utils/logger');
+const notificationService = require('./NotificationService');
+
+// How often to check for a day that still needs digests
+const CHECK_INTERVAL = 60 * 60 * 1000; // 1 hour
+
+/**
+ * Service that records yesterday's daily digest for users who enabled them
+ *
+ * Digests are recorded once per user and day, so the hourly check only does
+ * work after midnight (UTC) and is safe to run on several instances.
+ */
+class NotificationDigestService {
+  constructor() {
+    this.timer = null;
+    this.lastDigestDate = null;
+  }
+
+  /**
+   * Start recording digests
+   * @param {number} interval - Check interval in milliseconds
+   */
+  start(interval = CHECK_INTERVAL) {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.run(), interval);
+    logger.info('Notification digest service started');
+
+    // Catch up on a digest missed while the server was down
+    this.run();
+  }
+
+  /**
+   * Stop recording digests
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      logger.info('Notification digest service stopped');
+    }
+  }
+
+  /**
+   * Record digests for the previous day if that hasn't been done yet
+   * @param {Date} now - Current time
+   * @returns {Promise<number>} Number of digests recorded
+   */
+  async run(now = new Date()) {
+    const yesterday = new Date(now.getTime() - 24 * 60 * 60 * 1000);
+    const digestDate = yesterday.toISOString().slice(0, 10);
+
+    if (digestDate === this.lastDigestDate) {
+      return 0;
+    }
+
+    try {
+      const digests = await notificationService.generateDailyDigests(digestDate);
+      this.lastDigestDate = digestDate;
+      return digests.length;
+    } catch (error) {
+      logger.error(`Error recording daily digests: ${error.message}`);
+      return 0;
+    }
+  }
+}
+
+// Create and export singleton instance
+const notificationDigestService = new NotificationDigestService();
+module.exports = notificationDigestService;
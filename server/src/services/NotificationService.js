@@ -1,7 +1,51 @@
 const webpush = require('web-push');
 const logger = require('../utils/logger');
 const { pool } = require('../config/database');
+const Conversation = require('../models/Conversation');
+const PushDeliveryJob = require('../models/PushDeliveryJob');
 const NotificationPerformanceMonitor = require('./NotificationPerformanceMonitor');
+const pushDeliveryService = require('./PushDeliveryService');
+
+// Notification settings and their notification_settings columns
+const SETTINGS_COLUMNS = {
+  enabled: 'enabled',
+  newMessages: 'new_messages',
+  mentions: 'mentions',
+  contactRequests: 'contact_requests',
+  statusUpdates: 'status_updates',
+  quietHoursEnabled: 'quiet_hours_enabled',
+  quietHoursStart: 'quiet_hours_start',
+  quietHoursEnd: 'quiet_hours_end',
+  batchWindowSeconds: 'batch_window_seconds',
+  batchThreshold: 'batch_threshold',
+  dailyDigest: 'daily_digest',
+  timezone: 'timezone',
+  quietHoursSchedule: 'quiet_hours_schedule',
+  quietHoursAllowMentions: 'quiet_hours_allow_mentions',
+  quietHoursAllowUrgent: 'quiet_hours_allow_urgent'
+};
+
+// Keys of a weekly quiet hours schedule, in Date#getDay order
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Quiet hours times are HH:MM (a TIME column also adds :SS)
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+
+// How often batches whose window has closed are looked for, in case the
+// instance that opened them restarted before flushing them
+const BATCH_FLUSH_INTERVAL = 15 * 1000; // 15 seconds
+
+// Maximum number of batches flushed at a time
+const BATCH_FLUSH_SIZE = 100;
+
+// Notification types and the setting that turns them on (true = always on)
+const TYPE_SETTINGS = {
+  'message': 'newMessages',
+  'mention': 'mentions',
+  'contact_request': 'contactRequests',
+  'status_update': 'statusUpdates',
+  'system': true
+};
 
 /**
  * Service for handling push notifications
@@ -21,6 +65,36 @@ class NotificationService {
       this.initialized = false;
       logger.warn('Push notification service not initialized: missing VAPID keys');
     }
+    
+    // Polls for batches to flush (see start)
+    this.timer = null;
+  }
+
+  /**
+   * Start flushing message batches whose window has closed
+   * @param {number} interval - Poll interval in milliseconds
+   */
+  start(interval = BATCH_FLUSH_INTERVAL) {
+    if (this.timer) {
+      return;
+    }
+    
+    this.timer = setInterval(() => this.flushDueBatches(), interval);
+    logger.info('Notification batch flushing started');
+    
+    // Flush batches left open while the server was down
+    this.flushDueBatches();
+  }
+
+  /**
+   * Stop flushing message batches
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      logger.info('Notification batch flushing stopped');
+    }
   }
 
   /**
@@ -162,8 +236,11 @@ class NotificationService {
    * @param {string} userId - User ID
    * @param {Object} settings - Notification settings
    * @returns {Promise<Object>} - Updated settings
+   * @throws {Error} - If the quiet hours settings are invalid
    */
   async updateNotificationSettings(userId, settings) {
+    this.validateQuietHoursSettings(settings);
+    
     const client = await pool.connect();
     try {
       // Ensure settings exist
@@ -176,9 +253,9 @@ class NotificationService {
       
       // Add each setting to the update query
       for (const [key, value] of Object.entries(settings)) {
-        if (value !== undefined) {
-          updateFields.push(`${key} = $${paramIndex}`);
-          queryParams.push(value);
+        if (value !== undefined && SETTINGS_COLUMNS[key]) {
+          updateFields.push(`${SETTINGS_COLUMNS[key]} = $${paramIndex}`);
+          queryParams.push(key === 'quietHoursSchedule' && value !== null ? JSON.stringify(value) : value);
           paramIndex++;
         }
       }
@@ -222,6 +299,13 @@ class NotificationService {
       quietHoursEnabled: dbSettings.quiet_hours_enabled,
       quietHoursStart: dbSettings.quiet_hours_start,
       quietHoursEnd: dbSettings.quiet_hours_end,
+      batchWindowSeconds: dbSettings.batch_window_seconds,
+      batchThreshold: dbSettings.batch_threshold,
+      dailyDigest: dbSettings.daily_digest,
+      timezone: dbSettings.timezone || 'UTC',
+      quietHoursSchedule: dbSettings.quiet_hours_schedule || null,
+      quietHoursAllowMentions: dbSettings.quiet_hours_allow_mentions,
+      quietHoursAllowUrgent: dbSettings.quiet_hours_allow_urgent,
       updatedAt: dbSettings.updated_at
     };
   }
@@ -302,100 +386,445 @@ class NotificationService {
     }
     
     try {
-      // Get user's notification settings
-      const settings = await this.getNotificationSettings(userId);
+      const { deliver, reason, settings } = await this.checkDelivery(userId, notification);
       
-      // Check if notifications are enabled
-      if (!settings.enabled) {
-        logger.debug(`Notifications disabled for user ${userId}, skipping push`);
-        return { sent: 0, failed: 0, skipped: true, reason: 'notifications_disabled' };
+      if (!deliver) {
+        logger.debug(`Skipping ${notification.type} push for user ${userId}: ${reason}`);
+        return { sent: 0, failed: 0, skipped: true, reason };
       }
       
-      // Check notification type settings
-      const typeMap = {
-        'message': 'newMessages',
-        'mention': 'mentions',
-        'contact_request': 'contactRequests',
-        'status_update': 'statusUpdates',
-        'system': true // System notifications are always enabled
-      };
-      
-      const typeEnabled = typeMap[notification.type];
-      if (typeEnabled !== true && !settings[typeEnabled]) {
-        logger.debug(`${notification.type} notifications disabled for user ${userId}, skipping push`);
-        return { sent: 0, failed: 0, skipped: true, reason: 'type_disabled' };
+      // Collapse bursts of message pushes into a summary
+      if (await this.batchMessageNotification(userId, notification, settings)) {
+        logger.debug(`Batched ${notification.type} notification for user ${userId}`);
+        return { sent: 0, failed: 0, skipped: true, reason: 'batched' };
       }
       
-      // Check quiet hours
-      if (settings.quietHoursEnabled) {
-        const isQuietHours = await this.isQuietHours(userId);
-        if (isQuietHours) {
-          logger.debug(`Quiet hours active for user ${userId}, skipping push`);
-          return { sent: 0, failed: 0, skipped: true, reason: 'quiet_hours' };
-        }
+      return await this.pushToSubscriptions(userId, notification);
+    } catch (error) {
+      logger.error('Error sending push notification:', error);
+      return { sent: 0, failed: 0, skipped: true, error: error.message };
+    }
+  }
+
+  /**
+   * Check whether a notification would be pushed to a user right now
+   * 
+   * Applies the user's settings in order: master toggle, notification type,
+   * conversation mute, then quiet hours. Urgent notifications (priority
+   * `urgent`) and mentions can be let through quiet hours by the user.
+   * @param {string} userId - User ID
+   * @param {Object} notification - Notification object (type, priority, data.conversationId)
+   * @param {Date} now - Time to check
+   * @returns {Promise<Object>} - { deliver, reason, settings, quietHours }
+   */
+  async checkDelivery(userId, notification, now = new Date()) {
+    const settings = await this.getNotificationSettings(userId);
+    const quietHours = this.getQuietHoursStatus(settings, now);
+    const result = (deliver, reason = null) => ({ deliver, reason, settings, quietHours });
+    
+    if (!settings.enabled) {
+      return result(false, 'notifications_disabled');
+    }
+    
+    const typeSetting = TYPE_SETTINGS[notification.type];
+    if (typeSetting !== true && !settings[typeSetting]) {
+      return result(false, 'type_disabled');
+    }
+    
+    // Check the user's mute and notification level for the conversation
+    const conversationId = notification.data && notification.data.conversationId;
+    if (conversationId) {
+      const conversationSettings = await Conversation.getNotificationSettings(conversationId, userId);
+      if (!Conversation.allowsNotification(conversationSettings, notification.type)) {
+        return result(false, 'conversation_muted');
       }
-      
-      // Get user's push subscriptions
+    }
+    
+    if (quietHours.active && !this.bypassesQuietHours(settings, notification)) {
+      return result(false, 'quiet_hours');
+    }
+    
+    return result(true);
+  }
+
+  /**
+   * Explain whether a push would reach the user's devices right now
+   * @param {string} userId - User ID
+   * @param {Object} notification - Notification to check (type, priority, data.conversationId)
+   * @returns {Promise<Object>} - Whether it would be delivered, why not, and the user's local time
+   */
+  async explainDelivery(userId, notification) {
+    const { deliver, reason, quietHours } = await this.checkDelivery(userId, notification);
+    
+    const explanation = {
+      deliver,
+      reason,
+      quietHours
+    };
+    
+    if (!this.initialized) {
+      return { ...explanation, deliver: false, reason: 'push_not_configured' };
+    }
+    
+    if (deliver) {
       const subscriptions = await this.getUserSubscriptions(userId);
       
       if (subscriptions.length === 0) {
-        logger.debug(`No push subscriptions found for user ${userId}`);
-        return { sent: 0, failed: 0, skipped: true, reason: 'no_subscriptions' };
+        return { ...explanation, deliver: false, reason: 'no_subscriptions' };
       }
       
-      // Prepare notification payload
-      const payload = JSON.stringify({
-        title: notification.title,
-        body: notification.body,
-        icon: '/assets/icon-192x192.png',
-        badge: '/assets/badge.png',
-        data: {
-          ...notification.data,
-          notificationId: notification.id,
-          type: notification.type,
-          url: this.getNotificationUrl(notification)
-        },
-        tag: `swickr-${notification.type}-${Date.now()}`
-      });
-      
-      // Send push notifications to all subscriptions
-      const results = await Promise.allSettled(
-        subscriptions.map(subscription => 
-          webpush.sendNotification(
-            {
-              endpoint: subscription.endpoint,
-              keys: subscription.keys
-            },
-            payload
-          )
-        )
+      explanation.devices = subscriptions.length;
+    }
+    
+    return explanation;
+  }
+
+  /**
+   * Queue a push notification for all of a user's subscriptions
+   * @param {string} userId - User ID
+   * @param {Object} notification - Notification object
+   * @returns {Promise<Object>} - Number of pushes queued
+   */
+  async pushToSubscriptions(userId, notification) {
+    // Get user's push subscriptions
+    const subscriptions = await this.getUserSubscriptions(userId);
+    
+    if (subscriptions.length === 0) {
+      logger.debug(`No push subscriptions found for user ${userId}`);
+      return { queued: 0, skipped: true, reason: 'no_subscriptions' };
+    }
+    
+    // Prepare notification payload
+    const payload = {
+      title: notification.title,
+      body: notification.body,
+      icon: '/assets/icon-192x192.png',
+      badge: '/assets/badge.png',
+      data: {
+        ...notification.data,
+        notificationId: notification.id,
+        type: notification.type,
+        url: this.getNotificationUrl(notification)
+      },
+      tag: this.getNotificationTag(notification)
+    };
+    
+    const jobIds = await this.queuePush(subscriptions.map(subscription => subscription.id), payload, notification.type);
+    
+    logger.debug(`Queued push notifications to ${jobIds.length}/${subscriptions.length} devices for user ${userId}`);
+    return { queued: jobIds.length, skipped: false };
+  }
+
+  /**
+   * Put a push on the delivery queue
+   * 
+   * Each subscription gets its own job, retried with backoff until it is
+   * delivered or dead-lettered by the push delivery service. Where the
+   * service isn't polling, this waits for the first attempt.
+   * @param {Array<number>} subscriptionIds - Subscription IDs
+   * @param {Object} payload - Push payload
+   * @param {string} type - Notification type
+   * @returns {Promise<Array<number>>} - IDs of the queued jobs
+   */
+  async queuePush(subscriptionIds, payload, type) {
+    const jobIds = await PushDeliveryJob.enqueue(subscriptionIds, payload, type);
+    
+    if (jobIds.length > 0) {
+      await pushDeliveryService.kick();
+    }
+    
+    return jobIds;
+  }
+
+  /**
+   * Get the push tag for a notification
+   * 
+   * Message pushes share a tag per conversation, so each one replaces the
+   * previous notification for that conversation on the device.
+   * @param {Object} notification - Notification object
+   * @returns {string} - Notification tag
+   */
+  getNotificationTag(notification) {
+    if (notification.type === 'message' && notification.data && notification.data.conversationId) {
+      return `swickr-conversation-${notification.data.conversationId}`;
+    }
+    
+    return `swickr-${notification.type}-${Date.now()}`;
+  }
+
+  /**
+   * Hold a message push back if its conversation is busy
+   * 
+   * The first pushes in a window go out as usual. Once batchThreshold messages
+   * have arrived within batchWindowSeconds, further pushes are held and a single
+   * summary replaces them when the window closes. Batches live in the
+   * notification_batches table, so they survive restarts and are shared by
+   * every instance.
+   * @param {string} userId - User ID
+   * @param {Object} notification - Notification object
+   * @param {Object} settings - User's notification settings
+   * @returns {Promise<boolean>} - True if the push was held for the summary
+   */
+  async batchMessageNotification(userId, notification, settings) {
+    const conversationId = notification.data && notification.data.conversationId;
+    
+    if (notification.type !== 'message' || !conversationId || !settings.batchWindowSeconds) {
+      return false;
+    }
+    
+    const threshold = settings.batchThreshold || 2;
+    const result = await pool.query(
+      `INSERT INTO notification_batches (user_id, conversation_id, notification, flush_at)
+       VALUES ($1, $2, $3, NOW() + make_interval(secs => $4))
+       ON CONFLICT (user_id, conversation_id) DO UPDATE
+       SET message_count = notification_batches.message_count + 1,
+           held_count = notification_batches.held_count +
+             CASE WHEN notification_batches.message_count + 1 >= $5 THEN 1 ELSE 0 END,
+           notification = EXCLUDED.notification
+       RETURNING message_count`,
+      [userId, conversationId, JSON.stringify(notification), settings.batchWindowSeconds, threshold]
+    );
+    
+    const messageCount = result.rows[0].message_count;
+    
+    // This message opened the batch, so flush it when the window closes.
+    // The poll in start() catches it if this instance goes away first.
+    if (messageCount === 1) {
+      const timer = setTimeout(() => this.flushDueBatches(), settings.batchWindowSeconds * 1000);
+      timer.unref();
+    }
+    
+    return messageCount >= threshold;
+  }
+
+  /**
+   * Send the summary pushes of batches whose window has closed
+   * 
+   * Batches are claimed by deleting them, so each summary is only sent by
+   * one instance.
+   * @param {number} limit - Maximum number of batches to flush
+   * @returns {Promise<number>} - Number of summaries sent
+   */
+  async flushDueBatches(limit = BATCH_FLUSH_SIZE) {
+    let sent = 0;
+    
+    try {
+      const result = await pool.query(
+        `DELETE FROM notification_batches
+         WHERE (user_id, conversation_id) IN (
+           SELECT user_id, conversation_id FROM notification_batches
+           WHERE flush_at <= NOW()
+           ORDER BY flush_at ASC
+           LIMIT $1
+           FOR UPDATE SKIP LOCKED
+         )
+         RETURNING *`,
+        [limit]
       );
       
-      // Count successes and failures
-      const sent = results.filter(r => r.status === 'fulfilled').length;
-      const failed = results.filter(r => r.status === 'rejected').length;
-      
-      // Log failures
-      results.forEach((result, index) => {
-        if (result.status === 'rejected') {
-          const subscription = subscriptions[index];
-          logger.error(`Failed to send push notification to subscription ${subscription.id}:`, result.reason);
+      for (const batch of result.rows) {
+        try {
+          const flushed = await this.flushBatch(batch);
           
-          // Handle expired or invalid subscriptions
-          if (result.reason.statusCode === 404 || result.reason.statusCode === 410) {
-            logger.info(`Removing expired subscription ${subscription.id}`);
-            this.deleteSubscription(userId, subscription.endpoint).catch(err => {
-              logger.error(`Error removing expired subscription:`, err);
-            });
+          if (flushed && flushed.queued > 0) {
+            sent++;
           }
+        } catch (error) {
+          logger.error(`Error sending batched push notification to user ${batch.user_id}: ${error.message}`);
         }
-      });
-      
-      logger.debug(`Sent push notifications to ${sent}/${subscriptions.length} devices for user ${userId}`);
-      return { sent, failed, skipped: false };
+      }
     } catch (error) {
-      logger.error('Error sending push notification:', error);
-      return { sent: 0, failed: 0, skipped: true, error: error.message };
+      logger.error(`Error flushing notification batches: ${error.message}`);
+    }
+    
+    return sent;
+  }
+
+  /**
+   * Send the summary push for a batch once its window closes
+   * 
+   * The user's settings are checked again, since they may have muted the
+   * conversation or entered quiet hours while the batch was open.
+   * @param {Object} batch - notification_batches row
+   * @returns {Promise<Object|null>} - Result of sending, or null if nothing was held
+   */
+  async flushBatch(batch) {
+    if (batch.held_count === 0) {
+      return null;
+    }
+    
+    const notification = batch.notification;
+    const count = batch.message_count;
+    const name = notification.data.conversationName;
+    const summary = {
+      ...notification,
+      title: notification.data.isGroup
+        ? `${count} new messages in ${name || 'Group chat'}`
+        : `${count} new messages from ${name || 'Someone'}`,
+      data: {
+        ...notification.data,
+        messageCount: count
+      }
+    };
+    
+    const { deliver, reason } = await this.checkDelivery(batch.user_id, summary);
+    
+    if (!deliver) {
+      logger.debug(`Skipping batched push for user ${batch.user_id}: ${reason}`);
+      return { queued: 0, skipped: true, reason };
+    }
+    
+    return this.pushToSubscriptions(batch.user_id, summary);
+  }
+
+  /**
+   * Check whether quiet hours are active for a user
+   * @param {Object} settings - User's notification settings
+   * @param {Date} now - Time to check
+   * @returns {boolean} - True during the user's quiet hours
+   */
+  isQuietHours(settings, now = new Date()) {
+    return this.getQuietHoursStatus(settings, now).active;
+  }
+
+  /**
+   * Work out the user's local time and whether it falls in their quiet hours
+   * 
+   * Quiet hours come from the weekly schedule if there is one, otherwise from
+   * quietHoursStart/End every day. Hours that run past midnight belong to the
+   * day they start on, so Monday 22:00-07:00 covers early Tuesday.
+   * @param {Object} settings - User's notification settings
+   * @param {Date} now - Time to check
+   * @returns {Object} - { active, timezone, weekday, localTime }
+   */
+  getQuietHoursStatus(settings, now = new Date()) {
+    const timezone = settings.timezone || 'UTC';
+    const { weekday, minutes, localTime } = this.getLocalTime(now, timezone);
+    const status = { active: false, timezone, weekday: WEEKDAYS[weekday], localTime };
+    
+    if (!settings.quietHoursEnabled) {
+      return status;
+    }
+    
+    const today = this.getQuietHoursForDay(settings, weekday);
+    const yesterday = this.getQuietHoursForDay(settings, (weekday + 6) % 7);
+    
+    if (today) {
+      const start = this.timeToMinutes(today.start);
+      const end = this.timeToMinutes(today.end);
+      const overnight = start > end;
+      
+      if (overnight ? minutes >= start : this.isTimeInRange(localTime, today.start, today.end)) {
+        return { ...status, active: true };
+      }
+    }
+    
+    // Quiet hours that started yesterday evening
+    if (yesterday && this.timeToMinutes(yesterday.start) > this.timeToMinutes(yesterday.end) &&
+        minutes < this.timeToMinutes(yesterday.end)) {
+      return { ...status, active: true };
+    }
+    
+    return status;
+  }
+
+  /**
+   * Get the quiet hours that start on a weekday
+   * @param {Object} settings - User's notification settings
+   * @param {number} weekday - Day of the week (0 = Sunday)
+   * @returns {Object|null} - { start, end }, or null for no quiet hours that day
+   */
+  getQuietHoursForDay(settings, weekday) {
+    if (settings.quietHoursSchedule) {
+      return settings.quietHoursSchedule[WEEKDAYS[weekday]] || null;
+    }
+    
+    if (!settings.quietHoursStart || !settings.quietHoursEnd) {
+      return null;
+    }
+    
+    return { start: settings.quietHoursStart, end: settings.quietHoursEnd };
+  }
+
+  /**
+   * Check whether a notification may be pushed during quiet hours
+   * @param {Object} settings - User's notification settings
+   * @param {Object} notification - Notification object
+   * @returns {boolean} - True if the user lets it through
+   */
+  bypassesQuietHours(settings, notification) {
+    const priority = notification.priority || (notification.data && notification.data.priority);
+    
+    if (priority === 'urgent' && settings.quietHoursAllowUrgent) {
+      return true;
+    }
+    
+    return notification.type === 'mention' && Boolean(settings.quietHoursAllowMentions);
+  }
+
+  /**
+   * Get the local day and time in a time zone
+   * @param {Date} date - Instant to convert
+   * @param {string} timezone - IANA time zone
+   * @returns {Object} - { weekday (0 = Sunday), minutes since midnight, localTime (HH:MM) }
+   */
+  getLocalTime(date, timezone) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(date).forEach(part => {
+      parts[part.type] = part.value;
+    });
+    
+    const localTime = `${parts.hour}:${parts.minute}`;
+    
+    return {
+      weekday: WEEKDAYS.indexOf(parts.weekday.slice(0, 3).toLowerCase()),
+      minutes: this.timeToMinutes(localTime),
+      localTime
+    };
+  }
+
+  /**
+   * Validate quiet hours settings before saving them
+   * @param {Object} settings - Settings being updated
+   * @throws {Error} - If a time zone, time or schedule is invalid
+   */
+  validateQuietHoursSettings(settings) {
+    const { timezone, quietHoursStart, quietHoursEnd, quietHoursSchedule } = settings;
+    
+    if (timezone !== undefined) {
+      try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+      } catch (error) {
+        throw new Error(`Invalid time zone: ${timezone}`);
+      }
+    }
+    
+    for (const time of [quietHoursStart, quietHoursEnd]) {
+      if (time !== undefined && !TIME_PATTERN.test(time)) {
+        throw new Error('Invalid quiet hours time. Use HH:MM');
+      }
+    }
+    
+    if (quietHoursSchedule !== undefined && quietHoursSchedule !== null) {
+      if (typeof quietHoursSchedule !== 'object' || Array.isArray(quietHoursSchedule)) {
+        throw new Error('Invalid quiet hours schedule');
+      }
+      
+      for (const [day, hours] of Object.entries(quietHoursSchedule)) {
+        if (!WEEKDAYS.includes(day)) {
+          throw new Error(`Invalid quiet hours schedule day: ${day}. Must be one of: ${WEEKDAYS.join(', ')}`);
+        }
+        
+        if (hours !== null && (!hours || !TIME_PATTERN.test(hours.start) || !TIME_PATTERN.test(hours.end))) {
+          throw new Error(`Invalid quiet hours for ${day}. Use { start: 'HH:MM', end: 'HH:MM' } or null`);
+        }
+      }
     }
   }
 
@@ -403,7 +832,7 @@ class NotificationService {
    * Check if a time is within a range
    * @param {string} time - Time to check (HH:MM)
    * @param {string} start - Start time (HH:MM)
-   * @param {string} end - End time (HH:MM)
+   * @param {string} end - End time (HH:MM, exclusive)
    * @returns {boolean} - True if time is within range
    */
   isTimeInRange(time, start, end) {
@@ -414,16 +843,16 @@ class NotificationService {
     
     // Handle range that crosses midnight
     if (startMinutes > endMinutes) {
-      return timeMinutes >= startMinutes || timeMinutes <= endMinutes;
+      return timeMinutes >= startMinutes || timeMinutes < endMinutes;
     }
     
     // Normal range
-    return timeMinutes >= startMinutes && timeMinutes <= endMinutes;
+    return timeMinutes >= startMinutes && timeMinutes < endMinutes;
   }
 
   /**
    * Convert time string to minutes since midnight
-   * @param {string} time - Time string (HH:MM)
+   * @param {string} time - Time string (HH:MM or HH:MM:SS)
    * @returns {number} - Minutes since midnight
    */
   timeToMinutes(time) {
@@ -583,7 +1012,7 @@ class NotificationService {
    * Send a push notification to a user
    * @param {string} userId - User ID
    * @param {Object} notification - Notification data
-   * @returns {Promise<Object>} - Result of the send operation
+   * @returns {Promise<Object>} - Result of queueing the push
    */
   async sendPushNotificationToUser(userId, notification) {
     if (!this.initialized) {
@@ -595,7 +1024,7 @@ class NotificationService {
       // Generate a unique notification ID for tracking
       const notificationId = `${userId}-${Date.now()}`;
       
-      // Start performance tracking
+      // Track sends skipped before queueing; queued sends are tracked on delivery
       const endTracking = NotificationPerformanceMonitor.startNotificationSend(notificationId);
       
       // Check notification settings
@@ -607,12 +1036,9 @@ class NotificationService {
       }
       
       // Check quiet hours
-      if (settings.quietHoursEnabled) {
-        const isQuietHours = await this.isQuietHours(userId);
-        if (isQuietHours) {
-          endTracking(false, notification.type || 'unknown', 'quiet-hours');
-          return { success: false, error: 'Quiet hours enabled for user' };
-        }
+      if (this.isQuietHours(settings) && !this.bypassesQuietHours(settings, notification)) {
+        endTracking(false, notification.type || 'unknown', 'quiet-hours');
+        return { success: false, error: 'Quiet hours enabled for user' };
       }
 
       // Get all subscriptions for the user
@@ -623,73 +1049,20 @@ class NotificationService {
         return { success: false, error: 'No push subscriptions found for user' };
       }
 
-      // Send to all subscriptions
-      const results = await Promise.all(
-        subscriptions.map(async (subscription) => {
-          try {
-            await webpush.sendNotification(
-              {
-                endpoint: subscription.endpoint,
-                keys: {
-                  p256dh: subscription.p256dh,
-                  auth: subscription.auth
-                }
-              },
-              JSON.stringify(notification)
-            );
-            
-            // Update last_used_at timestamp
-            await pool.query(
-              `UPDATE push_notification_subscriptions 
-               SET last_used_at = NOW() 
-               WHERE id = $1`,
-              [subscription.id]
-            );
-            
-            return { success: true, subscriptionId: subscription.id };
-          } catch (error) {
-            // Handle expired subscriptions
-            if (error.statusCode === 410) {
-              await this.removeSubscription(subscription.id);
-              return { 
-                success: false, 
-                subscriptionId: subscription.id, 
-                error: 'Subscription expired', 
-                removed: true 
-              };
-            }
-            
-            logger.error(`Error sending push notification to subscription ${subscription.id}:`, error);
-            return { 
-              success: false, 
-              subscriptionId: subscription.id, 
-              error: error.message || 'Unknown error' 
-            };
-          }
-        })
-      );
-
-      // Calculate success rate
-      const successCount = results.filter(r => r.success).length;
-      const failureCount = results.length - successCount;
-      
-      // End performance tracking
-      const notificationType = notification.type || 'unknown';
-      endTracking(
-        successCount > 0, 
-        notificationType,
-        successCount > 0 ? null : 'all-subscriptions-failed'
+      const jobIds = await this.queuePush(
+        subscriptions.map(subscription => subscription.id),
+        notification,
+        notification.type
       );
       
       // Store notification in database for history
       await this.storeNotification(userId, notification);
 
       return {
-        success: successCount > 0,
-        total: results.length,
-        successCount,
-        failureCount,
-        results
+        success: jobIds.length > 0,
+        total: subscriptions.length,
+        queued: jobIds.length,
+        jobIds
       };
     } catch (error) {
       logger.error('Error sending push notification to user:', error);
@@ -701,7 +1074,7 @@ class NotificationService {
    * Send a push notification to a specific subscription
    * @param {string} subscriptionId - Subscription ID
    * @param {Object} notification - Notification data
-   * @returns {Promise<Object>} - Result of the send operation
+   * @returns {Promise<Object>} - Result of queueing the push
    */
   async sendPushNotificationBySubscriptionId(subscriptionId, notification) {
     if (!this.initialized) {
@@ -713,7 +1086,7 @@ class NotificationService {
       // Generate a unique notification ID for tracking
       const notificationId = `subscription-${subscriptionId}-${Date.now()}`;
       
-      // Start performance tracking
+      // Track sends skipped before queueing; queued sends are tracked on delivery
       const endTracking = NotificationPerformanceMonitor.startNotificationSend(notificationId);
       
       // Get subscription
@@ -724,48 +1097,12 @@ class NotificationService {
         return { success: false, error: 'Subscription not found' };
       }
 
-      try {
-        await webpush.sendNotification(
-          {
-            endpoint: subscription.endpoint,
-            keys: {
-              p256dh: subscription.p256dh,
-              auth: subscription.auth
-            }
-          },
-          JSON.stringify(notification)
-        );
-        
-        // Update last_used_at timestamp
-        await pool.query(
-          `UPDATE push_notification_subscriptions 
-           SET last_used_at = NOW() 
-           WHERE id = $1`,
-          [subscriptionId]
-        );
-        
-        // End performance tracking
-        endTracking(true, notification.type || 'unknown');
-        
-        // Store notification in database for history
-        await this.storeNotification(subscription.user_id, notification);
-        
-        return { success: true };
-      } catch (error) {
-        // Handle expired subscriptions
-        if (error.statusCode === 410) {
-          await this.removeSubscription(subscriptionId);
-          endTracking(false, notification.type || 'unknown', 'subscription-expired');
-          return { success: false, error: 'Subscription expired', removed: true };
-        }
-        
-        logger.error(`Error sending push notification to subscription ${subscriptionId}:`, error);
-        endTracking(false, notification.type || 'unknown', error.statusCode ? `http-${error.statusCode}` : 'send-error');
-        return { 
-          success: false, 
-          error: error.message || 'Unknown error' 
-        };
-      }
+      const jobIds = await this.queuePush([subscription.id], notification, notification.type);
+      
+      // Store notification in database for history
+      await this.storeNotification(subscription.userId, notification);
+      
+      return { success: jobIds.length > 0, jobIds };
     } catch (error) {
       logger.error('Error sending push notification to subscription:', error);
       return { success: false, error: error.message || 'Unknown error' };
@@ -775,7 +1112,7 @@ class NotificationService {
   /**
    * Send a broadcast notification to all users
    * @param {Object} notification - Notification data
-   * @returns {Promise<Object>} - Result of the broadcast operation
+   * @returns {Promise<Object>} - Result of queueing the broadcast
    */
   async sendBroadcastNotification(notification) {
     if (!this.initialized) {
@@ -787,118 +1124,65 @@ class NotificationService {
       // Generate a unique notification ID for tracking
       const broadcastId = `broadcast-${Date.now()}`;
       
-      // Start performance tracking
+      // Track broadcasts skipped before queueing; queued sends are tracked on delivery
       const endTracking = NotificationPerformanceMonitor.startNotificationSend(broadcastId);
       
       // Get all active subscriptions
       const result = await pool.query(
-        `SELECT id, user_id, endpoint, p256dh, auth 
+        `SELECT id, user_id 
          FROM push_notification_subscriptions`
       );
       
-      const subscriptions = result.rows;
-      
-      if (subscriptions.length === 0) {
+      if (result.rows.length === 0) {
         endTracking(false, notification.type || 'unknown', 'no-subscriptions');
         return { success: false, error: 'No push subscriptions found' };
       }
 
-      // Send to all subscriptions
-      const results = await Promise.all(
-        subscriptions.map(async (subscription) => {
-          try {
-            // Check if user has notifications enabled
-            const settings = await this.getNotificationSettings(subscription.user_id);
-            
-            if (!settings.enabled) {
-              return { 
-                success: false, 
-                userId: subscription.user_id, 
-                subscriptionId: subscription.id, 
-                error: 'Notifications disabled for user' 
-              };
-            }
-            
-            // Check quiet hours
-            if (settings.quietHoursEnabled) {
-              const isQuietHours = await this.isQuietHours(subscription.user_id);
-              if (isQuietHours) {
-                return { 
-                  success: false, 
-                  userId: subscription.user_id, 
-                  subscriptionId: subscription.id, 
-                  error: 'Quiet hours enabled for user' 
-                };
-              }
-            }
-            
-            await webpush.sendNotification(
-              {
-                endpoint: subscription.endpoint,
-                keys: {
-                  p256dh: subscription.p256dh,
-                  auth: subscription.auth
-                }
-              },
-              JSON.stringify(notification)
-            );
-            
-            // Update last_used_at timestamp
-            await pool.query(
-              `UPDATE push_notification_subscriptions 
-               SET last_used_at = NOW() 
-               WHERE id = $1`,
-              [subscription.id]
-            );
-            
-            // Store notification in database for history
-            await this.storeNotification(subscription.user_id, notification);
-            
-            return { 
-              success: true, 
-              userId: subscription.user_id, 
-              subscriptionId: subscription.id 
-            };
-          } catch (error) {
-            // Handle expired subscriptions
-            if (error.statusCode === 410) {
-              await this.removeSubscription(subscription.id);
-              return { 
-                success: false, 
-                userId: subscription.user_id, 
-                subscriptionId: subscription.id, 
-                error: 'Subscription expired', 
-                removed: true 
-              };
-            }
-            
-            return { 
-              success: false, 
-              userId: subscription.user_id, 
-              subscriptionId: subscription.id, 
-              error: error.message || 'Unknown error' 
-            };
-          }
-        })
-      );
+      // Group subscriptions by user so settings are checked once per user
+      const subscriptionsByUser = new Map();
+      for (const subscription of result.rows) {
+        if (!subscriptionsByUser.has(subscription.user_id)) {
+          subscriptionsByUser.set(subscription.user_id, []);
+        }
+        subscriptionsByUser.get(subscription.user_id).push(subscription.id);
+      }
 
-      // Calculate success rate
-      const successCount = results.filter(r => r.success).length;
-      const failureCount = results.length - successCount;
+      const subscriptionIds = [];
+      const recipientIds = [];
       
-      // End performance tracking
-      endTracking(
-        successCount > 0, 
-        notification.type || 'broadcast', 
-        successCount > 0 ? null : 'all-subscriptions-failed'
-      );
+      for (const [userId, userSubscriptionIds] of subscriptionsByUser) {
+        // Check if user has notifications enabled
+        const settings = await this.getNotificationSettings(userId);
+        
+        if (!settings.enabled) {
+          continue;
+        }
+        
+        // Check quiet hours
+        if (this.isQuietHours(settings) && !this.bypassesQuietHours(settings, notification)) {
+          continue;
+        }
+        
+        subscriptionIds.push(...userSubscriptionIds);
+        recipientIds.push(userId);
+      }
+
+      const jobIds = await this.queuePush(subscriptionIds, notification, notification.type || 'broadcast');
+      
+      // Store notification in database for history
+      for (const userId of recipientIds) {
+        await this.storeNotification(userId, notification);
+      }
+
+      if (jobIds.length === 0) {
+        endTracking(false, notification.type || 'broadcast', 'all-users-skipped');
+      }
 
       return {
-        success: successCount > 0,
-        total: results.length,
-        successCount,
-        failureCount,
-        results
+        success: jobIds.length > 0,
+        total: result.rows.length,
+        queued: jobIds.length,
+        skipped: result.rows.length - subscriptionIds.length
       };
     } catch (error) {
       logger.error('Error sending broadcast notification:', error);
@@ -906,6 +1190,181 @@ class NotificationService {
     }
   }
 
+  /**
+   * Get a push subscription by ID
+   * @param {number} subscriptionId - Subscription ID
+   * @returns {Promise<Object|null>} - Subscription, or null if not found
+   */
+  async getSubscriptionById(subscriptionId) {
+    try {
+      const result = await pool.query(
+        `SELECT id, user_id, endpoint 
+         FROM push_notification_subscriptions 
+         WHERE id = $1`,
+        [subscriptionId]
+      );
+      
+      if (result.rows.length === 0) {
+        return null;
+      }
+      
+      const row = result.rows[0];
+      return { id: row.id, userId: row.user_id, endpoint: row.endpoint };
+    } catch (error) {
+      logger.error('Error getting push subscription:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Store a sent push notification in the user's notification history
+   * @param {string} userId - User ID
+   * @param {Object} notification - Notification data
+   * @returns {Promise<void>}
+   */
+  async storeNotification(userId, notification) {
+    try {
+      await pool.query(
+        `INSERT INTO notifications (user_id, type, title, body, data)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [
+          userId,
+          notification.type || 'system',
+          notification.title || '',
+          notification.body || '',
+          JSON.stringify(notification.data || {})
+        ]
+      );
+    } catch (error) {
+      // History is best effort; the push is already queued
+      logger.error('Error storing notification:', error);
+    }
+  }
+
+  /**
+   * Get dead-lettered pushes
+   * @param {Object} options - Query options (limit, offset, includeReplayed)
+   * @returns {Promise<Array>} - Dead letters, most recent first
+   */
+  async getDeadLetters(options = {}) {
+    return PushDeliveryJob.getDeadLetters(options);
+  }
+
+  /**
+   * Queue a dead-lettered push again
+   * @param {number} deadLetterId - Dead letter ID
+   * @returns {Promise<Object|null>} - Replayed dead letter, or null if not found
+   */
+  async replayDeadLetter(deadLetterId) {
+    const deadLetter = await PushDeliveryJob.replayDeadLetter(deadLetterId);
+    
+    if (deadLetter) {
+      await pushDeliveryService.kick();
+    }
+    
+    return deadLetter;
+  }
+
+  /**
+   * Record daily digests of unread messages
+   * 
+   * Each offline user with daily digests enabled gets one digest per day
+   * listing the conversations with messages from that day that arrived after
+   * they went offline and that they haven't read yet. Users who are online
+   * have seen their unread badges already. Digests are only recorded once, so
+   * this can run repeatedly and on several instances.
+   * @param {string} digestDate - Day the digest covers (YYYY-MM-DD, UTC)
+   * @returns {Promise<Array>} - Digests that were recorded
+   */
+  async generateDailyDigests(digestDate) {
+    try {
+      const result = await pool.query(
+        `WITH unread AS (
+           SELECT cp.user_id, c.id AS conversation_id, c.name, c.is_group, COUNT(m.id) AS message_count
+           FROM notification_settings ns
+           JOIN users u ON u.id = ns.user_id
+           JOIN conversation_participants cp ON cp.user_id = ns.user_id
+           JOIN conversations c ON c.id = cp.conversation_id
+           JOIN messages m ON m.conversation_id = c.id
+           LEFT JOIN conversation_notification_settings cns
+             ON cns.conversation_id = c.id AND cns.user_id = cp.user_id
+           WHERE ns.enabled = TRUE AND ns.daily_digest = TRUE
+           AND COALESCE(u.status, 'offline') = 'offline'
+           AND (u.status_updated_at IS NULL OR m.timestamp >= u.status_updated_at)
+           AND m.sender_id != cp.user_id
+           AND m.status != 'read'
+           AND m.timestamp >= $1::date AND m.timestamp < $1::date + INTERVAL '1 day'
+           AND (m.expires_at IS NULL OR m.expires_at > NOW())
+           AND COALESCE(cns.level, 'all') != 'none'
+           GROUP BY cp.user_id, c.id, c.name, c.is_group
+         )
+         INSERT INTO notification_digests (user_id, digest_date, conversations, message_count)
+         SELECT user_id, $1::date,
+                json_agg(json_build_object(
+                  'conversationId', conversation_id,
+                  'name', name,
+                  'isGroup', is_group,
+                  'messageCount', message_count
+                ) ORDER BY message_count DESC),
+                SUM(message_count)
+         FROM unread
+         GROUP BY user_id
+         ON CONFLICT (user_id, digest_date) DO NOTHING
+         RETURNING *`,
+        [digestDate]
+      );
+      
+      if (result.rows.length > 0) {
+        logger.info(`Recorded ${result.rows.length} daily digests for ${digestDate}`);
+      }
+      
+      return result.rows.map(row => this.formatDigest(row));
+    } catch (error) {
+      logger.error('Error generating daily digests:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get daily digests for a user
+   * @param {string} userId - User ID
+   * @param {number} limit - Maximum number of digests to return
+   * @returns {Promise<Array>} - Digests, newest first
+   */
+  async getDigests(userId, limit = 7) {
+    try {
+      const result = await pool.query(
+        `SELECT * FROM notification_digests
+         WHERE user_id = $1
+         ORDER BY digest_date DESC
+         LIMIT $2`,
+        [userId, limit]
+      );
+      
+      return result.rows.map(row => this.formatDigest(row));
+    } catch (error) {
+      logger.error('Error getting notification digests:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Format a notification digest for client
+   * @param {Object} row - notification_digests row
+   * @returns {Object} - Formatted digest
+   */
+  formatDigest(row) {
+    return {
+      id: row.id,
+      userId: row.user_id,
+      digestDate: row.digest_date,
+      conversations: row.conversations,
+      messageCount: parseInt(row.message_count, 10),
+      createdAt: row.created_at,
+      sentAt: row.sent_at
+    };
+  }
+
   /**
    * Get notification performance metrics
    * @returns {Object} - Performance metrics
@@ -0,0 +1,171 @@
+const webpush = require('web-push');
+const logger = require('../utils/logger');
+const PushDeliveryJob = require('../models/PushDeliveryJob');
+const NotificationPerformanceMonitor = require('./NotificationPerformanceMonitor');
+
+// How often the queue is polled for due jobs
+const POLL_INTERVAL = 5 * 1000; // 5 seconds
+
+// Maximum number of jobs claimed per poll
+const BATCH_SIZE = 100;
+
+// Push service responses meaning the subscription is gone for good
+const GONE_STATUS_CODES = [404, 410];
+
+// Push service responses that won't succeed on retry
+const PERMANENT_STATUS_CODES = [400, 401, 403, 413];
+
+/**
+ * Service that sends queued web pushes
+ *
+ * Jobs live in the push_delivery_jobs table, so pushes survive restarts and
+ * several instances can work the queue side by side. Failed sends are retried
+ * with exponential backoff and dead-lettered once they run out of attempts.
+ */
+class PushDeliveryService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+    this.pending = false;
+  }
+
+  /**
+   * Start polling for due jobs
+   * @param {number} interval - Poll interval in milliseconds
+   */
+  start(interval = POLL_INTERVAL) {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.processDueJobs(), interval);
+    logger.info('Push delivery service started');
+
+    // Send anything queued while the server was down
+    this.processDueJobs();
+  }
+
+  /**
+   * Stop polling
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      logger.info('Push delivery service stopped');
+    }
+  }
+
+  /**
+   * Work the queue now rather than on the next poll
+   *
+   * Called after queueing so pushes aren't held up by the poll interval.
+   * Without a poll timer (on Vercel the service is never started) nothing
+   * else will send the jobs, so the returned promise settles once they've
+   * been tried, and callers wait on it before their request ends. Failed
+   * sends stay queued for the next kick.
+   * @returns {Promise<number>|undefined} Number of pushes delivered, when there's no poll timer
+   */
+  kick() {
+    if (this.running) {
+      // Run again as soon as the current batch is done
+      this.pending = true;
+      return undefined;
+    }
+
+    const processing = this.processDueJobs();
+
+    return this.timer ? undefined : processing;
+  }
+
+  /**
+   * Claim and send all due jobs
+   * @returns {Promise<number>} Number of pushes delivered
+   */
+  async processDueJobs() {
+    // Skip the tick if the previous batch is still being sent
+    if (this.running) {
+      return 0;
+    }
+
+    this.running = true;
+    let delivered = 0;
+
+    try {
+      let jobs;
+
+      do {
+        this.pending = false;
+        jobs = await PushDeliveryJob.claimDue(BATCH_SIZE);
+
+        const results = await Promise.all(jobs.map(job => this.deliver(job)));
+        delivered += results.filter(Boolean).length;
+      } while (jobs.length === BATCH_SIZE || this.pending);
+    } catch (error) {
+      logger.error(`Error processing push delivery jobs: ${error.message}`);
+    } finally {
+      this.running = false;
+    }
+
+    return delivered;
+  }
+
+  /**
+   * Send a single claimed job
+   * @param {Object} job - Claimed job
+   * @returns {Promise<boolean>} Whether the push was delivered
+   */
+  async deliver(job) {
+    const type = job.type || 'unknown';
+    const endTracking = NotificationPerformanceMonitor.startNotificationSend(`push-job-${job.id}-${job.attempts}`);
+
+    try {
+      await webpush.sendNotification(
+        {
+          endpoint: job.endpoint,
+          keys: job.keys
+        },
+        JSON.stringify(job.payload)
+      );
+    } catch (error) {
+      const { statusCode } = error;
+
+      try {
+        if (GONE_STATUS_CODES.includes(statusCode)) {
+          logger.info(`Removing expired subscription ${job.subscriptionId}`);
+          await PushDeliveryJob.removeSubscription(job.subscriptionId);
+          endTracking(false, type, 'subscription-expired');
+          return false;
+        }
+
+        const state = await PushDeliveryJob.markFailed(job, error.message || 'Unknown error', {
+          statusCode: statusCode || null,
+          permanent: PERMANENT_STATUS_CODES.includes(statusCode)
+        });
+
+        logger.warn(`Push delivery job ${job.id} failed (attempt ${job.attempts}/${job.maxAttempts}, now ${state}): ${error.message}`);
+      } catch (markError) {
+        // The job stays locked and is reclaimed once the lock goes stale
+        logger.error(`Error recording push delivery failure for job ${job.id}: ${markError.message}`);
+      }
+
+      endTracking(false, type, statusCode ? `http-${statusCode}` : 'send-error');
+      return false;
+    }
+
+    endTracking(true, type);
+
+    try {
+      await PushDeliveryJob.complete(job.id);
+    } catch (error) {
+      // The push went out; at worst it's sent again once the lock goes stale
+      logger.error(`Error completing push delivery job ${job.id}: ${error.message}`);
+    }
+
+    return true;
+  }
+}
+
+// Create and export singleton instance
+const pushDeliveryService = new PushDeliveryService();
+module.exports = pushDeliveryService;
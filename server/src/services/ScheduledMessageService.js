@@ -0,0 +1,164 @@
+const logger = require('../utils/logger');
+const Message = require('../models/Message');
+const Conversation = require('../models/Conversation');
+const ScheduledMessage = require('../models/ScheduledMessage');
+const { deliverMessage } = require('../websocket/socket');
+
+// How often the scheduler looks for due messages
+const POLL_INTERVAL = 15 * 1000; // 15 seconds
+
+// Maximum number of messages claimed per poll
+const BATCH_SIZE = 50;
+
+// Postgres unique_violation error code
+const UNIQUE_VIOLATION = '23505';
+
+/**
+ * Service that sends scheduled messages when they are due
+ *
+ * State lives in the scheduled_messages table, so pending messages survive
+ * restarts and several instances can run the scheduler side by side.
+ */
+class ScheduledMessageService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Start polling for due messages
+   * @param {number} interval - Poll interval in milliseconds
+   */
+  start(interval = POLL_INTERVAL) {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.processDueMessages(), interval);
+    logger.info('Scheduled message service started');
+
+    // Catch up on anything that became due while the server was down
+    this.processDueMessages();
+  }
+
+  /**
+   * Stop polling
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      logger.info('Scheduled message service stopped');
+    }
+  }
+
+  /**
+   * Claim and send all due messages
+   * @returns {Promise<number>} Number of messages sent
+   */
+  async processDueMessages() {
+    // Skip the tick if the previous batch is still being sent
+    if (this.running) {
+      return 0;
+    }
+
+    this.running = true;
+    let sent = 0;
+
+    try {
+      const dueMessages = await ScheduledMessage.claimDue(BATCH_SIZE);
+
+      for (const scheduledMessage of dueMessages) {
+        if (await this.sendScheduledMessage(scheduledMessage)) {
+          sent++;
+        }
+      }
+    } catch (error) {
+      logger.error(`Error processing scheduled messages: ${error.message}`);
+    } finally {
+      this.running = false;
+    }
+
+    return sent;
+  }
+
+  /**
+   * Send a single claimed message
+   * @param {Object} scheduledMessage - Claimed scheduled message
+   * @returns {Promise<boolean>} Whether the message was sent
+   */
+  async sendScheduledMessage(scheduledMessage) {
+    const { id, messageId, conversationId, senderId } = scheduledMessage;
+
+    try {
+      const conversation = await Conversation.getById(conversationId);
+
+      // The sender may have left the conversation, or lost the right to post, since scheduling
+      if (!conversation || !conversation.participants.some(p => p.id === senderId)) {
+        await ScheduledMessage.markFailed(scheduledMessage, 'Sender is no longer a participant in this conversation', true);
+        return false;
+      }
+
+      if (!Conversation.can(conversation, senderId, 'sendMessages')) {
+        await ScheduledMessage.markFailed(scheduledMessage, 'Sender is no longer allowed to post in this conversation', true);
+        return false;
+      }
+
+      if (await Conversation.isBlockedDirectConversation(conversation, senderId)) {
+        await ScheduledMessage.markFailed(scheduledMessage, 'Sender and recipient have blocked each other', true);
+        return false;
+      }
+
+      let message;
+
+      try {
+        message = await Message.create({
+          id: messageId,
+          conversationId,
+          senderId,
+          content: scheduledMessage.content,
+          encryptedContent: scheduledMessage.encryptedContent,
+          iv: scheduledMessage.iv,
+          recipientKeys: scheduledMessage.recipientKeys,
+          isEncrypted: scheduledMessage.isEncrypted,
+          mediaId: scheduledMessage.media ? scheduledMessage.media.id : null,
+          mediaType: scheduledMessage.media ? scheduledMessage.media.type : null,
+          mediaUrl: scheduledMessage.media ? scheduledMessage.media.url : null,
+          mediaCaption: scheduledMessage.media ? scheduledMessage.media.caption : null,
+          mediaSize: scheduledMessage.media ? scheduledMessage.media.size : null,
+          mediaMimeType: scheduledMessage.media ? scheduledMessage.media.mimeType : null,
+          parentMessageId: scheduledMessage.parentMessageId,
+          status: 'sent'
+        });
+      } catch (error) {
+        // A previous attempt created the message and then crashed; don't send it twice
+        if (error.code === UNIQUE_VIOLATION) {
+          logger.warn(`Scheduled message ${id} was already created as message ${messageId}`);
+          await ScheduledMessage.markSent(id);
+          return false;
+        }
+        throw error;
+      }
+
+      await ScheduledMessage.markSent(id);
+
+      // The message exists now, so a delivery error mustn't mark it failed (and retry it)
+      try {
+        await deliverMessage(message, conversation);
+      } catch (error) {
+        logger.error(`Error delivering scheduled message ${id} (message ${message.id}): ${error.message}`);
+      }
+
+      logger.info(`Sent scheduled message ${id} as message ${message.id}`);
+      return true;
+    } catch (error) {
+      const status = await ScheduledMessage.markFailed(scheduledMessage, error.message);
+      logger.error(`Error sending scheduled message ${id} (now ${status}): ${error.message}`);
+      return false;
+    }
+  }
+}
+
+// Create and export singleton instance
+const scheduledMessageService = new ScheduledMessageService();
+module.exports = scheduledMessageService;
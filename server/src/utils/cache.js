@@ -229,9 +229,9 @@ const prune = () => {
   return prunedCount;
 };
 
-// Periodically prune expired items (every 5 minutes)
+// Periodically prune expired items (every 5 minutes), without keeping the process alive
 if (CACHE_ENABLED) {
-  setInterval(prune, 5 * 60 * 1000);
+  setInterval(prune, 5 * 60 * 1000).unref();
 }
 
 module.exports = {
@@ -0,0 +1,40 @@
+/**
+ * Cursor Utilities
+ *
+ * Opaque pagination cursors for keyset (seek) pagination.
+ * Cursors are base64url-encoded JSON so clients can pass them back verbatim.
+ */
+
+/**
+ * Encode a cursor payload
+ *
+ * @param {Object} payload - Values identifying the position in the result set
+ * @returns {string} Opaque cursor string
+ */
+const encodeCursor = (payload) => {
+  return Buffer.from(JSON.stringify(payload), 'utf8').toString('base64url');
+};
+
+/**
+ * Decode a cursor string
+ *
+ * @param {string} cursor - Cursor previously returned by encodeCursor
+ * @returns {Object|null} Decoded payload or null if the cursor is malformed
+ */
+const decodeCursor = (cursor) => {
+  if (!cursor || typeof cursor !== 'string') {
+    return null;
+  }
+
+  try {
+    const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return payload && typeof payload === 'object' ? payload : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  encodeCursor,
+  decodeCursor
+};
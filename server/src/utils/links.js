@@ -0,0 +1,125 @@
+/**
+ * Link Utilities
+ *
+ * Finding URLs in message content and checking link previews.
+ */
+
+// http(s) URLs up to the next whitespace, quote or angle bracket
+const URL_PATTERN = /\bhttps?:\/\/[^\s<>"']+/gi;
+
+// Punctuation that usually ends the sentence around a URL rather than the URL itself
+const TRAILING_PUNCTUATION = /[.,;:!?)\]}]+$/;
+
+// Longest text kept for each preview field
+const MAX_TITLE_LENGTH = 300;
+const MAX_DESCRIPTION_LENGTH = 1000;
+const MAX_SITE_NAME_LENGTH = 100;
+const MAX_URL_LENGTH = 2048;
+
+/**
+ * Extract the http(s) URLs in message content
+ *
+ * @param {string} content - Message content
+ * @returns {Array<string>} Unique URLs, in order of first appearance
+ */
+const extractUrls = (content) => {
+  if (!content || typeof content !== 'string' || !content.includes('http')) {
+    return [];
+  }
+
+  const urls = new Set();
+
+  for (const match of content.matchAll(URL_PATTERN)) {
+    const url = toHttpUrl(match[0].replace(TRAILING_PUNCTUATION, ''));
+
+    if (url) {
+      urls.add(url);
+    }
+  }
+
+  return [...urls];
+};
+
+/**
+ * Parse an absolute http(s) URL
+ *
+ * @param {string} value - URL, or a path relative to base
+ * @param {string} base - URL to resolve relative paths against (optional)
+ * @returns {string|null} Normalised URL, or null if it isn't a usable http(s) URL
+ */
+const toHttpUrl = (value, base = undefined) => {
+  if (!value || typeof value !== 'string' || value.length > MAX_URL_LENGTH) {
+    return null;
+  }
+
+  try {
+    const url = new URL(value.trim(), base);
+
+    if ((url.protocol !== 'http:' && url.protocol !== 'https:') || url.username || url.password) {
+      return null;
+    }
+
+    return url.href;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Trim a preview text field
+ *
+ * @param {*} value - Field value
+ * @param {number} maxLength - Longest length kept
+ * @returns {string|null} Text with whitespace collapsed, or null if empty
+ */
+const toText = (value, maxLength) => {
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const text = value.replace(/\s+/g, ' ').trim();
+
+  if (!text) {
+    return null;
+  }
+
+  return text.length > maxLength ? `${text.substring(0, maxLength - 3)}...` : text;
+};
+
+/**
+ * Check and tidy a link preview
+ *
+ * Used both for previews the server fetches and ones a sender attaches
+ * to an encrypted message.
+ *
+ * @param {Object} preview - Preview with url, title, description, image and siteName
+ * @returns {Object|null} Preview, or null if it has no usable URL or nothing to show
+ */
+const sanitizeLinkPreview = (preview) => {
+  if (!preview || typeof preview !== 'object') {
+    return null;
+  }
+
+  const url = toHttpUrl(preview.url);
+  const title = toText(preview.title, MAX_TITLE_LENGTH);
+  const description = toText(preview.description, MAX_DESCRIPTION_LENGTH);
+  const image = toHttpUrl(preview.image);
+
+  if (!url || (!title && !description && !image)) {
+    return null;
+  }
+
+  return {
+    url,
+    title,
+    description,
+    image,
+    siteName: toText(preview.siteName, MAX_SITE_NAME_LENGTH)
+  };
+};
+
+module.exports = {
+  extractUrls,
+  toHttpUrl,
+  sanitizeLinkPreview
+};
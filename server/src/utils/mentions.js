@@ -0,0 +1,40 @@
+/**
+ * Mention Utilities
+ *
+ * Parsing of @username mentions in message content.
+ */
+
+// @ must start the text or follow a non-word character, so e-mail addresses don't match.
+// Usernames may contain dots and dashes, but not at the end ("@bob." mentions "bob").
+const MENTION_PATTERN = /(^|[^\w@])@([A-Za-z0-9_]+(?:[.-][A-Za-z0-9_]+)*)/g;
+
+// Upper bound on mentions resolved per message
+const MAX_MENTIONS = 50;
+
+/**
+ * Extract mentioned usernames from message content
+ *
+ * @param {string} content - Message content
+ * @returns {Array<string>} Unique lowercased usernames, in order of first appearance
+ */
+const parseMentions = (content) => {
+  if (!content || typeof content !== 'string' || !content.includes('@')) {
+    return [];
+  }
+
+  const usernames = new Set();
+
+  for (const match of content.matchAll(MENTION_PATTERN)) {
+    usernames.add(match[2].toLowerCase());
+
+    if (usernames.size >= MAX_MENTIONS) {
+      break;
+    }
+  }
+
+  return [...usernames];
+};
+
+module.exports = {
+  parseMentions
+};
@@ -0,0 +1,206 @@
+/**
+ * ZIP Utilities
+ *
+ * A minimal streaming ZIP writer. Entries are deflated and written one at a
+ * time, so large archives never have to fit in memory.
+ */
+const zlib = require('zlib');
+const { once } = require('events');
+const { Readable, Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+
+// Record signatures
+const LOCAL_FILE_HEADER = 0x04034b50;
+const DATA_DESCRIPTOR = 0x08074b50;
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+
+// Sizes are written after each entry's data, and names are UTF-8
+const FLAGS = 0x0008 | 0x0800;
+const VERSION = 20;
+const DEFLATE = 8;
+
+// Without ZIP64 extensions, sizes and offsets are 32-bit and entry counts 16-bit
+const MAX_SIZE = 0xffffffff;
+const MAX_ENTRIES = 0xffff;
+
+const CRC_TABLE = new Uint32Array(256).map((value, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+/**
+ * Update a CRC-32 checksum with more data
+ * @param {Buffer} data - Data
+ * @param {number} crc - Checksum so far
+ * @returns {number} Updated checksum
+ */
+const crc32 = (data, crc = 0) => {
+  let c = crc ^ 0xffffffff;
+  for (let i = 0; i < data.length; i++) {
+    c = CRC_TABLE[(c ^ data[i]) & 0xff] ^ (c >>> 8);
+  }
+  return (c ^ 0xffffffff) >>> 0;
+};
+
+/**
+ * Convert a date to MS-DOS date and time fields
+ * @param {Date} date - Date
+ * @returns {Object} { time, date }
+ */
+const toDosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+/**
+ * Writes a ZIP archive to a stream
+ *
+ * Add entries one after another (each add must finish before the next
+ * starts), then call finish.
+ */
+class ZipWriter {
+  /**
+   * @param {Writable} output - Stream to write the archive to
+   */
+  constructor(output) {
+    this.output = output;
+    this.offset = 0;
+    this.entries = [];
+  }
+
+  /**
+   * Add an entry from a string or buffer
+   * @param {string} name - Path inside the archive
+   * @param {string|Buffer} data - Contents
+   * @returns {Promise<void>}
+   */
+  addFile(name, data) {
+    return this.addStream(name, Readable.from([Buffer.from(data)]));
+  }
+
+  /**
+   * Add an entry from a stream
+   * @param {string} name - Path inside the archive
+   * @param {Readable|AsyncIterable} source - Contents, as buffers or strings
+   * @param {Date} modifiedAt - Modification time (default: now)
+   * @returns {Promise<void>}
+   * @throws {Error} If the archive would be too large
+   */
+  async addStream(name, source, modifiedAt = new Date()) {
+    if (this.entries.length >= MAX_ENTRIES) {
+      throw new Error('Too many files for a ZIP archive');
+    }
+
+    const entry = {
+      name: Buffer.from(name, 'utf8'),
+      offset: this.offset,
+      ...toDosDateTime(modifiedAt),
+      crc: 0,
+      size: 0,
+      compressedSize: 0
+    };
+
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(LOCAL_FILE_HEADER, 0);
+    header.writeUInt16LE(VERSION, 4);
+    header.writeUInt16LE(FLAGS, 6);
+    header.writeUInt16LE(DEFLATE, 8);
+    header.writeUInt16LE(entry.time, 10);
+    header.writeUInt16LE(entry.date, 12);
+    // CRC and sizes (14-25) follow the data in its descriptor
+    header.writeUInt16LE(entry.name.length, 26);
+    await this.write(Buffer.concat([header, entry.name]));
+
+    const checksum = new Transform({
+      transform(chunk, encoding, callback) {
+        const data = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, encoding);
+        entry.crc = crc32(data, entry.crc);
+        entry.size += data.length;
+        callback(null, data);
+      }
+    });
+
+    await pipeline(source, checksum, zlib.createDeflateRaw(), async (compressed) => {
+      for await (const chunk of compressed) {
+        entry.compressedSize += chunk.length;
+        await this.write(chunk);
+      }
+    });
+
+    if (entry.size > MAX_SIZE || this.offset > MAX_SIZE) {
+      throw new Error('Too much data for a ZIP archive');
+    }
+
+    const descriptor = Buffer.alloc(16);
+    descriptor.writeUInt32LE(DATA_DESCRIPTOR, 0);
+    descriptor.writeUInt32LE(entry.crc, 4);
+    descriptor.writeUInt32LE(entry.compressedSize, 8);
+    descriptor.writeUInt32LE(entry.size, 12);
+    await this.write(descriptor);
+
+    this.entries.push(entry);
+  }
+
+  /**
+   * Write the central directory and end the output stream
+   * @returns {Promise<void>} Resolves once the output has finished
+   */
+  async finish() {
+    const directoryOffset = this.offset;
+
+    for (const entry of this.entries) {
+      const header = Buffer.alloc(46);
+      header.writeUInt32LE(CENTRAL_DIRECTORY_HEADER, 0);
+      header.writeUInt16LE(VERSION, 4);
+      header.writeUInt16LE(VERSION, 6);
+      header.writeUInt16LE(FLAGS, 8);
+      header.writeUInt16LE(DEFLATE, 10);
+      header.writeUInt16LE(entry.time, 12);
+      header.writeUInt16LE(entry.date, 14);
+      header.writeUInt32LE(entry.crc, 16);
+      header.writeUInt32LE(entry.compressedSize, 20);
+      header.writeUInt32LE(entry.size, 24);
+      header.writeUInt16LE(entry.name.length, 28);
+      header.writeUInt32LE(entry.offset, 42);
+      await this.write(Buffer.concat([header, entry.name]));
+    }
+
+    if (this.offset > MAX_SIZE) {
+      throw new Error('Too much data for a ZIP archive');
+    }
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(END_OF_CENTRAL_DIRECTORY, 0);
+    end.writeUInt16LE(this.entries.length, 8);
+    end.writeUInt16LE(this.entries.length, 10);
+    end.writeUInt32LE(this.offset - directoryOffset, 12);
+    end.writeUInt32LE(directoryOffset, 16);
+    await this.write(end);
+
+    const finished = once(this.output, 'finish');
+    this.output.end();
+    await finished;
+  }
+
+  /**
+   * Write to the output, waiting if it's backed up
+   * @param {Buffer} data - Data
+   * @returns {Promise<void>}
+   */
+  async write(data) {
+    this.offset += data.length;
+
+    if (!this.output.write(data)) {
+      await once(this.output, 'drain');
+    }
+  }
+}
+
+module.exports = {
+  ZipWriter,
+  crc32
+};
@@ -1,26 +1,40 @@
 const socketIo = require('socket.io');
+const { createAdapter } = require('@socket.io/redis-adapter');
 const jwt = require('jsonwebtoken');
 const logger = require('../utils/logger');
 const Message = require('../models/Message');
 const User = require('../models/User');
 const Conversation = require('../models/Conversation');
 const MessageReaction = require('../models/MessageReaction');
+const UserBlock = require('../models/UserBlock');
+const ThreadFollow = require('../models/ThreadFollow');
+const Poll = require('../models/Poll');
+const LinkPreviewService = require('../services/LinkPreviewService');
 const authConfig = require('../config/auth');
+const {
+  createPubSubClients,
+  setUserSocket,
+  getUserSockets,
+  removeSocket,
+  setUserPresence,
+  getUserPresence,
+  getPresentUserIds,
+  updateUserPresence,
+  addActiveConversationUser,
+  removeActiveConversationUser,
+  getActiveConversationUsers,
+  getUserActiveConversations,
+  setTypingStatus,
+  clearTypingStatus
+} = require('../config/redis');
 const JWT_SECRET = authConfig.JWT_SECRET;
 
-// Map of userId to socketId
-const userSockets = new Map();
+// Socket mappings, presence, active conversations and typing status live in
+// Redis so every server instance shares them (see config/redis.js). Whether a
+// user is actually connected is asked of the Socket.IO adapter instead, which
+// only answers for instances that are still running.
 
-// Map of userId to presence data
-const userPresence = new Map();
-
-// Map of conversationId to set of active user IDs
-const activeConversations = new Map();
-
-// Map of userId to typing status by conversation
-const typingStatus = new Map();
-
-// Map of userId to inactivity timeout
+// Map of userId to inactivity timeout (timers belong to the node holding the socket)
 const inactivityTimeouts = new Map();
 
 // Map of userId to encrypted presence preferences
@@ -29,46 +43,94 @@ const encryptedPresencePreferences = new Map();
 // Constants
 const AWAY_TIMEOUT = 10 * 60 * 1000; // 10 minutes
 const OFFLINE_GRACE_PERIOD = 5 * 1000; // 5 seconds
+const PRESENCE_SWEEP_INTERVAL = 60 * 1000; // 1 minute
+
+// Socket.io server instance, used to emit events from outside socket handlers
+let ioInstance = null;
+
+// Timer that marks users offline when the instance holding their sockets died
+let presenceSweepTimer = null;
+
+// Room holding all of a user's sockets, across server instances
+const userRoom = (userId) => `user:${userId}`;
 
 // Initialize socket.io server
-function initializeSocketServer(server) {
+async function initializeSocketServer(server) {
   const io = socketIo(server, {
     cors: {
       origin: '*',
       methods: ['GET', 'POST']
     }
   });
+  ioInstance = io;
+
+  // Fan events out to other server instances through Redis pub/sub
+  try {
+    const clients = await createPubSubClients();
+    if (clients) {
+      io.adapter(createAdapter(clients.pubClient, clients.subClient));
+      logger.info('Socket.IO Redis adapter enabled');
+    }
+  } catch (error) {
+    logger.error(`Failed to enable Socket.IO Redis adapter: ${error.message}`);
+  }
 
   // Authentication middleware
-  io.use((socket, next) => {
+  io.use(async (socket, next) => {
     const token = socket.handshake.auth.token;
     if (!token) {
       return next(new Error('Authentication error: Token not provided'));
     }
 
+    let decoded;
     try {
-      const decoded = jwt.verify(token, JWT_SECRET);
-      socket.userId = decoded.userId;
-      next();
+      decoded = jwt.verify(token, JWT_SECRET);
     } catch (error) {
       logger.error(`Socket authentication error: ${error.message}`);
-      next(new Error('Authentication error: Invalid token'));
+      return next(new Error('Authentication error: Invalid token'));
     }
+
+    try {
+      // Access tokens outlive a suspension or account deletion, so a
+      // disconnected user mustn't be able to just reconnect with theirs
+      const account = await User.getAccountStatus(decoded.userId);
+      if (!account) {
+        return next(new Error('Authentication error: User not found'));
+      }
+      if (account.suspended) {
+        return next(new Error('Authentication error: Account suspended'));
+      }
+    } catch (error) {
+      logger.error(`Socket authentication error: ${error.message}`);
+      return next(new Error('Authentication error: Could not check account'));
+    }
+
+    socket.userId = decoded.userId;
+    // socket.data is visible to other instances through fetchSockets()
+    socket.data.userId = decoded.userId;
+    next();
   });
 
+  // Catch users left "online" by an instance that crashed
+  clearInterval(presenceSweepTimer);
+  presenceSweepTimer = setInterval(() => sweepStalePresence(io), PRESENCE_SWEEP_INTERVAL);
+  presenceSweepTimer.unref();
+
   io.on('connection', (socket) => {
     const userId = socket.userId;
     logger.info(`User connected: ${userId}`);
+    socket.join(userRoom(userId));
 
-    // Store socket connection
-    userSockets.set(userId, socket.id);
-    
-    // Initialize user presence
-    userPresence.set(userId, {
-      status: 'online',
-      lastActive: new Date(),
-      device: socket.handshake.headers['user-agent'] || 'unknown'
-    });
+    // Store socket connection and initialize user presence, then
+    // broadcast user's online status to their contacts
+    Promise.all([
+      setUserSocket(userId, socket.id),
+      setUserPresence(userId, {
+        status: 'online',
+        lastActive: new Date(),
+        device: socket.handshake.headers['user-agent'] || 'unknown'
+      })
+    ]).then(() => broadcastUserStatus(io, userId, 'online'));
     
     // Clear any existing inactivity timeout
     if (inactivityTimeouts.has(userId)) {
@@ -77,23 +139,9 @@ function initializeSocketServer(server) {
     }
     
     // Set inactivity timeout to automatically set status to away
-    const inactivityTimeout = setTimeout(() => {
-      if (userPresence.has(userId) && userPresence.get(userId).status === 'online') {
-        userPresence.set(userId, {
-          ...userPresence.get(userId),
-          status: 'away',
-          lastActive: new Date()
-        });
-        
-        // Broadcast away status
-        broadcastUserStatus(io, userId, 'away');
-      }
-    }, AWAY_TIMEOUT);
+    const inactivityTimeout = setTimeout(() => markAway(io, userId), AWAY_TIMEOUT);
     
     inactivityTimeouts.set(userId, inactivityTimeout);
-    
-    // Broadcast user's online status to their contacts
-    broadcastUserStatus(io, userId, 'online');
 
     // Handle user status
     socket.on('status', async (status) => {
@@ -108,8 +156,7 @@ function initializeSocketServer(server) {
         await User.updateStatus(userId, status);
         
         // Update presence cache
-        userPresence.set(userId, {
-          ...userPresence.get(userId),
+        await updateUserPresence(userId, {
           status,
           lastActive: new Date()
         });
@@ -122,25 +169,21 @@ function initializeSocketServer(server) {
     });
 
     // Handle user activity
-    socket.on('user_activity', () => {
+    socket.on('user_activity', async () => {
       try {
-        // Update last active timestamp
-        if (userPresence.has(userId)) {
-          userPresence.set(userId, {
-            ...userPresence.get(userId),
-            lastActive: new Date()
-          });
-        }
+        const presence = await getUserPresence(userId);
         
-        // If user was away, set them back to online
-        if (userPresence.has(userId) && userPresence.get(userId).status === 'away') {
-          userPresence.set(userId, {
-            ...userPresence.get(userId),
-            status: 'online'
+        if (presence) {
+          // Update last active timestamp, and if user was away, set them back to online
+          await updateUserPresence(userId, {
+            lastActive: new Date(),
+            status: presence.status === 'away' ? 'online' : presence.status
           });
           
-          // Broadcast online status
-          broadcastUserStatus(io, userId, 'online');
+          if (presence.status === 'away') {
+            // Broadcast online status
+            broadcastUserStatus(io, userId, 'online');
+          }
         }
         
         // Reset inactivity timeout
@@ -148,18 +191,7 @@ function initializeSocketServer(server) {
           clearTimeout(inactivityTimeouts.get(userId));
         }
         
-        const inactivityTimeout = setTimeout(() => {
-          if (userPresence.has(userId) && userPresence.get(userId).status === 'online') {
-            userPresence.set(userId, {
-              ...userPresence.get(userId),
-              status: 'away',
-              lastActive: new Date()
-            });
-            
-            // Broadcast away status
-            broadcastUserStatus(io, userId, 'away');
-          }
-        }, AWAY_TIMEOUT);
+        const inactivityTimeout = setTimeout(() => markAway(io, userId), AWAY_TIMEOUT);
         
         inactivityTimeouts.set(userId, inactivityTimeout);
       } catch (error) {
@@ -170,7 +202,7 @@ function initializeSocketServer(server) {
     // Handle new message
     socket.on('message', async (data) => {
       try {
-        const { conversationId, content, mediaId, mediaType, mediaUrl, mediaCaption, mediaSize, mediaMimeType, isEncrypted, encryptedContent, iv, recipientKeys } = data;
+        const { conversationId, content, mediaId, mediaType, mediaUrl, mediaCaption, mediaSize, mediaMimeType, isEncrypted, encryptedContent, iv, recipientKeys, parentMessageId, poll, linkPreview } = data;
 
         // Validate required fields
         if (!conversationId) {
@@ -179,17 +211,50 @@ function initializeSocketServer(server) {
         }
 
         // Validate that either content or media is provided
-        if (!isEncrypted && !content && !mediaId) {
+        if (!isEncrypted && !content && !mediaId && !poll) {
           socket.emit('error', { message: 'Message must have either content or media' });
           return;
         }
         
+        if (poll) {
+          if (isEncrypted) {
+            socket.emit('error', { message: 'Polls cannot be encrypted' });
+            return;
+          }
+          
+          try {
+            Poll.normalize(poll);
+          } catch (error) {
+            socket.emit('error', { message: error.message });
+            return;
+          }
+        }
+        
         // For encrypted messages, validate required fields
         if (isEncrypted && (!encryptedContent || !iv || !recipientKeys)) {
           socket.emit('error', { message: 'Encrypted messages require encryptedContent, iv, and recipientKeys' });
           return;
         }
 
+        // Get conversation participants
+        const conversation = await Conversation.getById(conversationId);
+        if (!conversation) {
+          socket.emit('error', { message: 'Conversation not found' });
+          return;
+        }
+
+        // Nobody can message someone they blocked or were blocked by
+        if (await Conversation.isBlockedDirectConversation(conversation, userId)) {
+          socket.emit('error', { message: 'You cannot send messages to this user' });
+          return;
+        }
+
+        // Read-only members, and anyone below the group's posting setting, can't send
+        if (!Conversation.can(conversation, userId, 'sendMessages')) {
+          socket.emit('error', { message: 'You do not have permission to post in this conversation' });
+          return;
+        }
+
         // Create message
         const message = await Message.create({
           senderId: userId,
@@ -205,62 +270,85 @@ function initializeSocketServer(server) {
           mediaCaption,
           mediaSize,
           mediaMimeType,
+          parentMessageId,
+          poll,
+          linkPreview,
           status: 'sent'
         });
 
-        // Get conversation participants
-        const conversation = await Conversation.getById(conversationId);
-        if (!conversation) {
-          socket.emit('error', { message: 'Conversation not found' });
+        // Fan the message out to participants
+        await deliverMessage(message, conversation);
+
+        // Acknowledge message receipt
+        socket.emit('message_sent', { messageId: message.id, timestamp: new Date() });
+      } catch (error) {
+        logger.error(`Error handling message: ${error.message}`);
+        socket.emit('error', { message: 'Failed to send message' });
+      }
+    });
+
+    // Handle message edits
+    socket.on('message:edit', async (data) => {
+      try {
+        const { messageId, content, encryptedContent, iv, recipientKeys, linkPreview } = data;
+
+        if (!messageId) {
+          socket.emit('error', { message: 'Message ID is required' });
           return;
         }
 
-        // Send message to all participants
-        conversation.participants.forEach(participant => {
-          const participantSocketId = userSockets.get(participant.id);
-          if (participantSocketId) {
-            io.to(participantSocketId).emit('new_message', {
-              ...message,
-              senderName: participant.id === userId ? 'You' : conversation.participants.find(p => p.id === userId)?.username
-            });
-            
-            // Send delivery confirmation to sender if recipient is online
-            if (participant.id !== userId) {
-              socket.emit('message_delivered', {
-                messageId: message.id,
-                userId: participant.id,
-                timestamp: new Date()
-              });
-              
-              // Update message status to delivered
-              Message.updateStatus(message.id, 'delivered');
-            }
-          }
-        });
+        const message = await Message.getById(messageId);
+        if (!message) {
+          socket.emit('error', { message: 'Message not found' });
+          return;
+        }
 
-        // Send typing stopped event to all participants
-        conversation.participants.forEach(participant => {
-          if (participant.id !== userId) {
-            const participantSocketId = userSockets.get(participant.id);
-            if (participantSocketId) {
-              io.to(participantSocketId).emit('typing_stopped', { conversationId, userId });
-            }
-          }
-        });
+        if (message.senderId !== userId) {
+          socket.emit('error', { message: 'You can only edit your own messages' });
+          return;
+        }
 
-        // Clear typing status for this user in this conversation
-        if (typingStatus.has(userId)) {
-          const userTypingStatus = typingStatus.get(userId);
-          if (userTypingStatus.has(conversationId)) {
-            userTypingStatus.delete(conversationId);
-          }
+        if (message.type === 'poll') {
+          socket.emit('error', { message: 'Polls cannot be edited' });
+          return;
         }
 
-        // Acknowledge message receipt
-        socket.emit('message_sent', { messageId: message.id, timestamp: new Date() });
+        // Encrypted messages must be re-encrypted by the client
+        if (encryptedContent !== undefined && (!encryptedContent || !iv || !recipientKeys)) {
+          socket.emit('error', { message: 'Encrypted messages require encryptedContent, iv, and recipientKeys' });
+          return;
+        }
+
+        if (encryptedContent === undefined && !content && !message.media) {
+          socket.emit('error', { message: 'Message content is required' });
+          return;
+        }
+
+        const editedMessage = await Message.edit(messageId, userId, {
+          content,
+          encryptedContent,
+          iv,
+          recipientKeys,
+          linkPreview
+        });
+
+        // Notify all participants in the conversation
+        await emitToConversation(editedMessage.conversationId, 'message_edited', editedMessage);
+        previewLinks(editedMessage);
+
+        // Acknowledge edit
+        socket.emit('message_edit_confirmed', {
+          messageId,
+          editedAt: editedMessage.editedAt
+        });
       } catch (error) {
-        logger.error(`Error handling message: ${error.message}`);
-        socket.emit('error', { message: 'Failed to send message' });
+        if (Message.EDIT_FORBIDDEN_ERRORS.includes(error.message) || error.message === 'Message not found') {
+          socket.emit('error', { message: error.message });
+          return;
+        }
+
+        logger.error(`Error handling message edit: ${error.message}`);
+        socket.emit('error', { message: 'Failed to edit message' });
       }
     });
 
@@ -283,7 +371,14 @@ function initializeSocketServer(server) {
           updatedCount = success ? 1 : 0;
         } else if (conversationId) {
           // Mark all messages in conversation as read
-          updatedCount = await Message.markAsRead(conversationId, userId);
+          updatedCount = await Message.markConversationAsRead(conversationId, userId);
+          
+          // Clear the unread badge on the user's other devices
+          await emitToUser(userId, 'read_state_sync', {
+            conversationId,
+            unreadCount: 0,
+            timestamp: new Date()
+          }, socket.id);
         }
         
         if (updatedCount > 0) {
@@ -302,18 +397,20 @@ function initializeSocketServer(server) {
           
           if (conversation) {
             // Notify sender that their messages were read
-            conversation.participants.forEach(participant => {
-              if (participant.id !== userId) {
-                const participantSocketId = userSockets.get(participant.id);
-                if (participantSocketId) {
-                  io.to(participantSocketId).emit('message_read', {
-                    conversationId: conversation.id,
-                    userId,
-                    timestamp: new Date()
-                  });
-                }
-              }
+            await emitToUsers(otherParticipantIds(conversation, userId), 'message_read', {
+              conversationId: conversation.id,
+              userId,
+              timestamp: new Date()
             });
+            
+            // Sync the single read message to the user's other devices
+            if (messageId) {
+              await emitToUser(userId, 'read_state_sync', {
+                conversationId: conversation.id,
+                messageId,
+                timestamp: new Date()
+              }, socket.id);
+            }
           }
         }
         
@@ -340,11 +437,7 @@ function initializeSocketServer(server) {
         }
 
         // Store typing status
-        if (!typingStatus.has(userId)) {
-          typingStatus.set(userId, new Map());
-        }
-        
-        typingStatus.get(userId).set(conversationId, new Date());
+        await setTypingStatus(userId, conversationId);
 
         // Get conversation participants
         const conversation = await Conversation.getById(conversationId);
@@ -352,18 +445,13 @@ function initializeSocketServer(server) {
           return;
         }
 
-        // Send typing event to all participants except sender
-        conversation.participants.forEach(participant => {
-          if (participant.id !== userId) {
-            const participantSocketId = userSockets.get(participant.id);
-            if (participantSocketId) {
-              io.to(participantSocketId).emit('typing', { 
-                conversationId, 
-                userId,
-                username: conversation.participants.find(p => p.id === userId)?.username
-              });
-            }
-          }
+        const blockedIds = await UserBlock.getBlockedOrBlockingIds(userId);
+
+        // Send typing event to all participants except sender and blocked users
+        await emitToUsers(otherParticipantIds(conversation, userId).filter(id => !blockedIds.has(id)), 'typing', { 
+          conversationId, 
+          userId,
+          username: conversation.participants.find(p => p.id === userId)?.username
         });
       } catch (error) {
         logger.error(`Error handling typing event: ${error.message}`);
@@ -381,9 +469,7 @@ function initializeSocketServer(server) {
         }
 
         // Clear typing status
-        if (typingStatus.has(userId)) {
-          typingStatus.get(userId).delete(conversationId);
-        }
+        await clearTypingStatus(userId, conversationId);
 
         // Get conversation participants
         const conversation = await Conversation.getById(conversationId);
@@ -391,15 +477,14 @@ function initializeSocketServer(server) {
           return;
         }
 
-        // Send typing stopped event to all participants except sender
-        conversation.participants.forEach(participant => {
-          if (participant.id !== userId) {
-            const participantSocketId = userSockets.get(participant.id);
-            if (participantSocketId) {
-              io.to(participantSocketId).emit('typing_stopped', { conversationId, userId });
-            }
-          }
-        });
+        const blockedIds = await UserBlock.getBlockedOrBlockingIds(userId);
+
+        // Send typing stopped event to all participants except sender and blocked users
+        await emitToUsers(
+          otherParticipantIds(conversation, userId).filter(id => !blockedIds.has(id)),
+          'typing_stopped',
+          { conversationId, userId }
+        );
       } catch (error) {
         logger.error(`Error handling typing stopped event: ${error.message}`);
       }
@@ -436,21 +521,24 @@ function initializeSocketServer(server) {
           return;
         }
         
+        // Users on either side of a block can't react to each other's messages
+        const blockedIds = await UserBlock.getBlockedOrBlockingIds(userId);
+        if (blockedIds.has(message.senderId)) {
+          socket.emit('error', { message: 'You cannot react to this message' });
+          return;
+        }
+        
         // Add reaction
         const reaction = await MessageReaction.addReaction(messageId, userId, emoji);
         
-        // Notify all participants in the conversation
-        conversation.participants.forEach(participant => {
-          const participantSocketId = userSockets.get(participant.id);
-          if (participantSocketId) {
-            io.to(participantSocketId).emit('message:reaction:add', {
-              messageId,
-              userId,
-              emoji,
-              username: conversation.participants.find(p => p.id === userId)?.username,
-              timestamp: new Date()
-            });
-          }
+        // Notify all participants in the conversation, except blocked users
+        const recipientIds = conversation.participants.map(p => p.id).filter(id => !blockedIds.has(id));
+        await emitToUsers(recipientIds, 'message:reaction:add', {
+          messageId,
+          userId,
+          emoji,
+          username: conversation.participants.find(p => p.id === userId)?.username,
+          timestamp: new Date()
         });
         
         // Acknowledge reaction
@@ -466,6 +554,82 @@ function initializeSocketServer(server) {
       }
     });
     
+    // Handle poll votes
+    socket.on('message:poll:vote', async (data) => {
+      try {
+        const { messageId, optionIds } = data;
+        
+        if (!messageId || !Array.isArray(optionIds) || optionIds.length === 0) {
+          socket.emit('error', { message: 'Message ID and option IDs are required' });
+          return;
+        }
+        
+        const target = await getPollForVoting(messageId, userId);
+        if (target.error) {
+          socket.emit('error', { message: target.error });
+          return;
+        }
+        
+        const poll = await Poll.vote(messageId, userId, optionIds);
+        
+        await emitPollUpdate(target.message, target.conversation, userId, poll);
+        
+        // Acknowledge vote
+        socket.emit('poll_vote_confirmed', {
+          success: true,
+          messageId,
+          optionIds: poll.myVotes,
+          timestamp: new Date()
+        });
+      } catch (error) {
+        if (Poll.VOTE_ERRORS.includes(error.message)) {
+          socket.emit('error', { message: error.message });
+          return;
+        }
+        
+        logger.error(`Error handling poll vote: ${error.message}`);
+        socket.emit('error', { message: 'Failed to vote' });
+      }
+    });
+    
+    // Handle taking back poll votes
+    socket.on('message:poll:unvote', async (data) => {
+      try {
+        const { messageId, optionId = null } = data;
+        
+        if (!messageId) {
+          socket.emit('error', { message: 'Message ID is required' });
+          return;
+        }
+        
+        const target = await getPollForVoting(messageId, userId);
+        if (target.error) {
+          socket.emit('error', { message: target.error });
+          return;
+        }
+        
+        const poll = await Poll.unvote(messageId, userId, optionId);
+        
+        await emitPollUpdate(target.message, target.conversation, userId, poll);
+        
+        // Acknowledge vote removal
+        socket.emit('poll_unvote_confirmed', {
+          success: true,
+          messageId,
+          optionIds: poll.myVotes,
+          timestamp: new Date()
+        });
+      } catch (error) {
+        if (Poll.VOTE_ERRORS.includes(error.message)) {
+          socket.emit('error', { message: error.message });
+          return;
+        }
+        
+        logger.error(`Error handling poll unvote: ${error.message}`);
+        socket.emit('error', { message: 'Failed to remove vote' });
+      }
+    });
+    
     // Handle message reaction removal
     socket.on('message:reaction:remove', async (data) => {
       try {
@@ -497,22 +661,20 @@ function initializeSocketServer(server) {
           return;
         }
         
+        const blockedIds = await UserBlock.getBlockedOrBlockingIds(userId);
+        
         // Remove reaction
         const success = await MessageReaction.removeReaction(messageId, userId, emoji);
         
         if (success) {
-          // Notify all participants in the conversation
-          conversation.participants.forEach(participant => {
-            const participantSocketId = userSockets.get(participant.id);
-            if (participantSocketId) {
-              io.to(participantSocketId).emit('message:reaction:remove', {
-                messageId,
-                userId,
-                emoji,
-                username: conversation.participants.find(p => p.id === userId)?.username,
-                timestamp: new Date()
-              });
-            }
+          // Notify all participants in the conversation, except blocked users
+          const recipientIds = conversation.participants.map(p => p.id).filter(id => !blockedIds.has(id));
+          await emitToUsers(recipientIds, 'message:reaction:remove', {
+            messageId,
+            userId,
+            emoji,
+            username: conversation.participants.find(p => p.id === userId)?.username,
+            timestamp: new Date()
           });
           
           // Acknowledge reaction removal
@@ -540,11 +702,8 @@ function initializeSocketServer(server) {
         }
         
         // Add user to active conversation
-        if (!activeConversations.has(conversationId)) {
-          activeConversations.set(conversationId, new Set());
-        }
-        
-        activeConversations.get(conversationId).add(userId);
+        await addActiveConversationUser(conversationId, userId);
+        const activeUsers = await getActiveConversationUsers(conversationId);
         
         // Get conversation participants
         const conversation = await Conversation.getById(conversationId);
@@ -553,42 +712,35 @@ function initializeSocketServer(server) {
         }
         
         // Notify other participants that user joined
-        conversation.participants.forEach(participant => {
-          if (participant.id !== userId) {
-            const participantSocketId = userSockets.get(participant.id);
-            if (participantSocketId) {
-              io.to(participantSocketId).emit('conversation_presence', { 
-                conversationId,
-                userId,
-                action: 'join',
-                activeUsers: Array.from(activeConversations.get(conversationId))
-              });
-            }
-          }
+        await emitToUsers(otherParticipantIds(conversation, userId), 'conversation_presence', { 
+          conversationId,
+          userId,
+          action: 'join',
+          activeUsers
         });
         
         // Send current active users to the joining user
         socket.emit('conversation_presence', {
           conversationId,
-          activeUsers: Array.from(activeConversations.get(conversationId)),
+          activeUsers,
           action: 'current'
         });
         
         // Mark conversation as read when joined
-        await Message.markAsRead(conversationId, userId);
+        await Message.markConversationAsRead(conversationId, userId);
+        
+        // Clear the unread badge on the user's other devices
+        await emitToUser(userId, 'read_state_sync', {
+          conversationId,
+          unreadCount: 0,
+          timestamp: new Date()
+        }, socket.id);
         
         // Notify senders that their messages were read
-        conversation.participants.forEach(participant => {
-          if (participant.id !== userId) {
-            const participantSocketId = userSockets.get(participant.id);
-            if (participantSocketId) {
-              io.to(participantSocketId).emit('message_read', {
-                conversationId,
-                userId,
-                timestamp: new Date()
-              });
-            }
-          }
+        await emitToUsers(otherParticipantIds(conversation, userId), 'message_read', {
+          conversationId,
+          userId,
+          timestamp: new Date()
         });
       } catch (error) {
         logger.error(`Error joining conversation: ${error.message}`);
@@ -604,14 +756,8 @@ function initializeSocketServer(server) {
         }
         
         // Remove user from active conversation
-        if (activeConversations.has(conversationId)) {
-          activeConversations.get(conversationId).delete(userId);
-          
-          // Clean up if no users are active
-          if (activeConversations.get(conversationId).size === 0) {
-            activeConversations.delete(conversationId);
-          }
-        }
+        await removeActiveConversationUser(conversationId, userId);
+        const activeUsers = await getActiveConversationUsers(conversationId);
         
         // Get conversation participants
         const conversation = await Conversation.getById(conversationId);
@@ -620,81 +766,47 @@ function initializeSocketServer(server) {
         }
         
         // Notify other participants that user left
-        conversation.participants.forEach(participant => {
-          if (participant.id !== userId) {
-            const participantSocketId = userSockets.get(participant.id);
-            if (participantSocketId) {
-              io.to(participantSocketId).emit('conversation_presence', { 
-                conversationId,
-                userId,
-                action: 'leave',
-                activeUsers: activeConversations.has(conversationId) 
-                  ? Array.from(activeConversations.get(conversationId))
-                  : []
-              });
-            }
-          }
+        await emitToUsers(otherParticipantIds(conversation, userId), 'conversation_presence', { 
+          conversationId,
+          userId,
+          action: 'leave',
+          activeUsers
         });
         
         // Clear typing status for this conversation
-        if (typingStatus.has(userId)) {
-          typingStatus.get(userId).delete(conversationId);
-        }
+        await clearTypingStatus(userId, conversationId);
       } catch (error) {
         logger.error(`Error leaving conversation: ${error.message}`);
       }
     });
 
     // Handle disconnect
-    socket.on('disconnect', () => {
+    socket.on('disconnect', async () => {
       logger.info(`User disconnected: ${userId}`);
       
+      // Forget the device (Socket.IO has already taken it out of its rooms)
+      await removeSocket(socket.id);
+      
       // Don't immediately mark as offline - use a grace period
       // This helps with brief disconnections (page refresh, network hiccup)
-      const offlineTimeout = setTimeout(() => {
-        // Only mark as offline if they haven't reconnected
-        if (userSockets.get(userId) === socket.id) {
-          userSockets.delete(userId);
-          
-          // Update presence cache
-          if (userPresence.has(userId)) {
-            userPresence.set(userId, {
-              ...userPresence.get(userId),
-              status: 'offline',
-              lastActive: new Date()
-            });
+      const offlineTimeout = setTimeout(async () => {
+        try {
+          // Only mark as offline if no other device is connected (possibly on another node)
+          if ((await getLiveSocketIds(userId)).length > 0) {
+            return;
           }
           
-          // Broadcast offline status
-          broadcastUserStatus(io, userId, 'offline');
-          
-          // Remove from all active conversations
-          for (const [conversationId, activeUsers] of activeConversations.entries()) {
-            if (activeUsers.has(userId)) {
-              activeUsers.delete(userId);
-              
-              // Notify other participants
-              notifyConversationParticipants(io, conversationId, userId, 'leave');
-              
-              // Clean up if no users are active
-              if (activeUsers.size === 0) {
-                activeConversations.delete(conversationId);
-              }
-            }
-          }
-          
-          // Clear typing status
-          typingStatus.delete(userId);
-          
-          // Update user status in database
-          User.updateStatus(userId, 'offline').catch(error => {
-            logger.error(`Error updating user status: ${error.message}`);
-          });
+          await markOffline(io, userId);
+        } catch (error) {
+          logger.error(`Error handling disconnect: ${error.message}`);
         }
       }, OFFLINE_GRACE_PERIOD);
       
-      // Clear any existing inactivity timeout
-      if (inactivityTimeouts.has(userId)) {
+      // Clear the inactivity timeout unless another device is connected to this node
+      const hasLocalSockets = Array.from(io.sockets.sockets.values())
+        .some(other => other.userId === userId && other.id !== socket.id);
+      
+      if (!hasLocalSockets && inactivityTimeouts.has(userId)) {
         clearTimeout(inactivityTimeouts.get(userId));
         inactivityTimeouts.delete(userId);
       }
@@ -725,15 +837,11 @@ function initializeSocketServer(server) {
         }
         
         // Forward the encrypted read receipt to all participants
-        conversation.participants.forEach(participantId => {
-          if (participantId !== userId && userSockets.has(participantId)) {
-            io.to(userSockets.get(participantId)).emit('encrypted_read_receipt', {
-              conversationId,
-              encryptedContent,
-              iv,
-              recipientKeys
-            });
-          }
+        await emitToUsers(conversation.participants.filter(id => id !== userId), 'encrypted_read_receipt', {
+          conversationId,
+          encryptedContent,
+          iv,
+          recipientKeys
         });
         
         // Log the encrypted read receipt
@@ -769,15 +877,11 @@ function initializeSocketServer(server) {
         }
         
         // Forward the encrypted delivery receipt to all participants
-        conversation.participants.forEach(participantId => {
-          if (participantId !== userId && userSockets.has(participantId)) {
-            io.to(userSockets.get(participantId)).emit('encrypted_delivery_receipt', {
-              conversationId,
-              encryptedContent,
-              iv,
-              recipientKeys
-            });
-          }
+        await emitToUsers(conversation.participants.filter(id => id !== userId), 'encrypted_delivery_receipt', {
+          conversationId,
+          encryptedContent,
+          iv,
+          recipientKeys
         });
         
         // Log the encrypted delivery receipt
@@ -813,15 +917,11 @@ function initializeSocketServer(server) {
         }
         
         // Forward the encrypted typing indicator to all participants
-        conversation.participants.forEach(participantId => {
-          if (participantId !== userId && userSockets.has(participantId)) {
-            io.to(userSockets.get(participantId)).emit('encrypted_typing', {
-              conversationId,
-              encryptedContent,
-              iv,
-              recipientKeys
-            });
-          }
+        await emitToUsers(conversation.participants.filter(id => id !== userId), 'encrypted_typing', {
+          conversationId,
+          encryptedContent,
+          iv,
+          recipientKeys
         });
       } catch (error) {
         logger.error(`Error handling encrypted typing indicator: ${error.message}`);
@@ -854,15 +954,11 @@ function initializeSocketServer(server) {
         }
         
         // Forward the encrypted typing stopped indicator to all participants
-        conversation.participants.forEach(participantId => {
-          if (participantId !== userId && userSockets.has(participantId)) {
-            io.to(userSockets.get(participantId)).emit('encrypted_typing_stopped', {
-              conversationId,
-              encryptedContent,
-              iv,
-              recipientKeys
-            });
-          }
+        await emitToUsers(conversation.participants.filter(id => id !== userId), 'encrypted_typing_stopped', {
+          conversationId,
+          encryptedContent,
+          iv,
+          recipientKeys
         });
       } catch (error) {
         logger.error(`Error handling encrypted typing stopped indicator: ${error.message}`);
@@ -894,22 +990,20 @@ function initializeSocketServer(server) {
 // Broadcast user status to contacts
 async function broadcastUserStatus(io, userId, status) {
   try {
-    // Get user's contacts
-    const user = await User.getById(userId);
-    if (!user || !user.contacts) {
+    // Presence is only shared with accepted contacts
+    const contactIds = await User.getContacts(userId);
+    if (contactIds.length === 0) {
       return;
     }
     
+    // Blocked users never see the user's presence
+    const blockedIds = await UserBlock.getBlockedOrBlockingIds(userId);
+    
     // Broadcast status to all online contacts
-    user.contacts.forEach(contactId => {
-      const contactSocketId = userSockets.get(contactId);
-      if (contactSocketId) {
-        io.to(contactSocketId).emit('user_status', { 
-          userId, 
-          status,
-          timestamp: new Date()
-        });
-      }
+    await emitToUsers(contactIds.filter(id => !blockedIds.has(id)), 'user_status', { 
+      userId, 
+      status,
+      timestamp: new Date()
     });
   } catch (error) {
     logger.error(`Error broadcasting user status: ${error.message}`);
@@ -926,27 +1020,307 @@ async function notifyConversationParticipants(io, conversationId, userId, action
     }
     
     // Current active users in the conversation
-    const activeUsers = activeConversations.has(conversationId)
-      ? Array.from(activeConversations.get(conversationId))
-      : [];
+    const activeUsers = await getActiveConversationUsers(conversationId);
     
     // Notify all participants except the user who triggered the action
-    conversation.participants.forEach(participant => {
-      if (participant.id !== userId) {
-        const participantSocketId = userSockets.get(participant.id);
-        if (participantSocketId) {
-          io.to(participantSocketId).emit('conversation_presence', {
-            conversationId,
-            userId,
-            action,
-            activeUsers
-          });
-        }
-      }
+    await emitToUsers(otherParticipantIds(conversation, userId), 'conversation_presence', {
+      conversationId,
+      userId,
+      action,
+      activeUsers
     });
   } catch (error) {
     logger.error(`Error notifying conversation participants: ${error.message}`);
   }
 }
 
-module.exports = { initializeSocketServer };
+// Mark a user as away after a period of inactivity
+async function markAway(io, userId) {
+  try {
+    const presence = await getUserPresence(userId);
+    
+    // Activity on another device (possibly on another node) keeps the user online
+    const idleFor = presence ? Date.now() - new Date(presence.lastActive).getTime() : 0;
+    if (presence && presence.status === 'online' && idleFor >= AWAY_TIMEOUT) {
+      await updateUserPresence(userId, {
+        status: 'away',
+        lastActive: new Date()
+      });
+      
+      // Broadcast away status
+      broadcastUserStatus(io, userId, 'away');
+    }
+  } catch (error) {
+    logger.error(`Error marking user away: ${error.message}`);
+  }
+}
+
+// Mark a user offline once none of their devices are connected anywhere
+async function markOffline(io, userId) {
+  // Update presence cache
+  if (await getUserPresence(userId)) {
+    await updateUserPresence(userId, {
+      status: 'offline',
+      lastActive: new Date()
+    });
+  }
+  
+  // Broadcast offline status
+  broadcastUserStatus(io, userId, 'offline');
+  
+  // Remove from all active conversations
+  for (const conversationId of await getUserActiveConversations(userId)) {
+    await removeActiveConversationUser(conversationId, userId);
+    
+    // Notify other participants
+    notifyConversationParticipants(io, conversationId, userId, 'leave');
+  }
+  
+  // Clear typing status, and sockets left behind by an instance that crashed
+  await clearTypingStatus(userId);
+  for (const socketId of await getUserSockets(userId)) {
+    await removeSocket(socketId);
+  }
+  
+  // Update user status in database
+  User.updateStatus(userId, 'offline').catch(error => {
+    logger.error(`Error updating user status: ${error.message}`);
+  });
+}
+
+// Mark offline everyone whose presence says they're connected but who has
+// no live socket, i.e. whose instance died without running its disconnect handlers
+async function sweepStalePresence(io) {
+  try {
+    const liveUserIds = new Set((await io.fetchSockets()).map(socket => socket.data.userId));
+    
+    for (const userId of await getPresentUserIds()) {
+      if (!liveUserIds.has(userId)) {
+        await markOffline(io, userId);
+      }
+    }
+  } catch (error) {
+    // An instance that didn't answer may still hold sockets, so leave everyone be
+    logger.error(`Error sweeping stale presence: ${error.message}`);
+  }
+}
+
+// Get the IDs of a user's connected sockets, on every server instance
+async function getLiveSocketIds(userId) {
+  // With the Redis adapter this asks every running instance
+  const sockets = await ioInstance.in(userRoom(userId)).fetchSockets();
+  return sockets.map(socket => socket.id);
+}
+
+// Find which of the given users have a device connected, on every server instance
+async function getOnlineUserIds(userIds) {
+  if (userIds.length === 0) {
+    return new Set();
+  }
+
+  // One round trip for all the users, however many instances there are
+  const sockets = await ioInstance.in(userIds.map(userRoom)).fetchSockets();
+  return new Set(sockets.map(socket => socket.data.userId));
+}
+
+// Emit an event to all of a user's devices, wherever they are connected
+async function emitToUser(userId, event, data, exceptSocketId = null) {
+  await emitToUsers([userId], event, data, exceptSocketId);
+}
+
+// Emit an event to all the devices of several users in one go
+async function emitToUsers(userIds, event, data, exceptSocketId = null) {
+  if (!ioInstance || userIds.length === 0) {
+    return;
+  }
+
+  // With the Redis adapter this reaches sockets on other server instances;
+  // users without a connected device are simply in no room
+  ioInstance.to(userIds.map(userRoom)).except(exceptSocketId || []).emit(event, data);
+}
+
+// IDs of a conversation's participants other than the given user
+function otherParticipantIds(conversation, userId) {
+  return conversation.participants.map(p => p.id).filter(id => id !== userId);
+}
+
+// Disconnect all of a user's devices, e.g. when their account is suspended
+async function disconnectUser(userId) {
+  if (!ioInstance) {
+    return;
+  }
+
+  ioInstance.in(userRoom(userId)).disconnectSockets(true);
+}
+
+// Deliver a new message to every participant's devices
+// Shared by the socket message handler and the message scheduler
+async function deliverMessage(message, conversation) {
+  const { senderId, conversationId } = message;
+
+  // In groups, users on either side of a block don't see each other's messages live
+  const blockedIds = await UserBlock.getBlockedOrBlockingIds(senderId);
+  const participants = conversation.participants.filter(p => !blockedIds.has(p.id));
+
+  const recipientIds = participants.map(p => p.id).filter(id => id !== senderId);
+
+  // Send message to all participants
+  await emitToUser(senderId, 'new_message', { ...message, senderName: 'You' });
+  await emitToUsers(recipientIds, 'new_message', {
+    ...message,
+    senderName: conversation.participants.find(p => p.id === senderId)?.username
+  });
+
+  // Send delivery confirmations to the sender for recipients who are online
+  try {
+    const onlineIds = await getOnlineUserIds(recipientIds);
+
+    for (const recipientId of recipientIds.filter(id => onlineIds.has(id))) {
+      await emitToUser(senderId, 'message_delivered', {
+        messageId: message.id,
+        userId: recipientId,
+        timestamp: new Date()
+      });
+    }
+
+    if (onlineIds.size > 0) {
+      Message.updateStatus(message.id, 'delivered');
+    }
+  } catch (error) {
+    // Some instance didn't answer in time; the message went out, only the receipts are missing
+    logger.warn(`Error finding online recipients of message ${message.id}: ${error.message}`);
+  }
+
+  // Send typing stopped event to all participants
+  await emitToUsers(recipientIds, 'typing_stopped', { conversationId, userId: senderId });
+
+  // Clear typing status for the sender in this conversation
+  await clearTypingStatus(senderId, conversationId);
+
+  // Links are previewed in the background; the preview follows when it's ready
+  previewLinks(message, participants.map(p => p.id));
+
+  // Followers of a thread who aren't looking at the conversation hear about replies to it
+  if (message.parentMessageId) {
+    const [followerIds, activeUsers] = await Promise.all([
+      ThreadFollow.getFollowerIds(message.parentMessageId),
+      getActiveConversationUsers(conversationId)
+    ]);
+
+    const notifiedIds = followerIds.filter(followerId =>
+      followerId !== senderId && !blockedIds.has(followerId) && !activeUsers.includes(followerId)
+    );
+
+    await emitToUsers(notifiedIds, 'thread_reply', {
+      conversationId,
+      parentMessageId: message.parentMessageId,
+      message
+    });
+  }
+
+  // Send push notifications to recipients
+  await Message.sendNewMessageNotification(message);
+}
+
+// Preview the first link in a plaintext message without holding up its
+// delivery, then send the preview to participants (or just participantIds)
+// Shared by the socket message handlers and the REST API
+function previewLinks(message, participantIds = null) {
+  // Encrypted messages carry any preview their sender attached
+  if (message.isEncrypted || message.linkPreview) {
+    return Promise.resolve(null);
+  }
+
+  return LinkPreviewService.previewMessage(message)
+    .then(async (linkPreview) => {
+      if (!linkPreview) {
+        return null;
+      }
+
+      const payload = { messageId: message.id, conversationId: message.conversationId, linkPreview };
+
+      if (participantIds) {
+        await emitToUsers(participantIds, 'message_preview_ready', payload);
+      } else {
+        await emitToConversation(message.conversationId, 'message_preview_ready', payload);
+      }
+
+      return linkPreview;
+    })
+    .catch((error) => {
+      logger.error(`Error previewing links in message: ${error.message}`);
+      return null;
+    });
+}
+
+// Find a poll a user wants to vote in, and check they're allowed to
+// Returns { message, conversation } or { error }
+async function getPollForVoting(messageId, userId) {
+  const message = await Message.getById(messageId);
+  if (!message || message.type !== 'poll') {
+    return { error: 'Poll not found' };
+  }
+
+  const conversation = await Conversation.getById(message.conversationId);
+  if (!conversation || !conversation.participants.some(p => p.id === userId)) {
+    return { error: 'You do not have permission to vote in this poll' };
+  }
+
+  // Like reactions, users on either side of a block can't vote in each other's polls
+  const blockedIds = await UserBlock.getBlockedOrBlockingIds(userId);
+  if (blockedIds.has(message.senderId)) {
+    return { error: 'You cannot vote in this poll' };
+  }
+
+  return { message, conversation };
+}
+
+// Send a poll's new tallies to every participant
+// Shared by the socket poll handlers and the REST API
+async function emitPollUpdate(message, conversation, voterId, poll) {
+  const { myVotes, ...tallies } = poll;
+  const update = {
+    messageId: message.id,
+    conversationId: message.conversationId,
+    // Anonymous polls don't say who voted
+    userId: poll.anonymous ? null : voterId,
+    poll: tallies,
+    timestamp: new Date()
+  };
+
+  await emitToUsers(otherParticipantIds(conversation, voterId), 'message:poll:update', update);
+
+  // The voter's own devices also learn which options they now have
+  if (conversation.participants.some(p => p.id === voterId)) {
+    await emitToUser(voterId, 'message:poll:update', { ...update, poll: { ...tallies, myVotes } });
+  }
+}
+
+// Emit an event to every online participant of a conversation
+async function emitToConversation(conversationId, event, data) {
+  if (!ioInstance) {
+    return;
+  }
+
+  try {
+    const conversation = await Conversation.getById(conversationId);
+    if (!conversation) {
+      return;
+    }
+
+    await emitToUsers(conversation.participants.map(p => p.id), event, data);
+  } catch (error) {
+    logger.error(`Error emitting ${event} to conversation: ${error.message}`);
+  }
+}
+
+module.exports = {
+  initializeSocketServer,
+  emitToUser,
+  emitToUsers,
+  emitToConversation,
+  deliverMessage,
+  emitPollUpdate,
+  previewLinks,
+  disconnectUser
+};
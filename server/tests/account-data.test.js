@@ -0,0 +1,745 @@
+/**
+ * Account Data Tests
+ *
+ * Tests for exporting a user's personal data and erasing their account
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const bcrypt = require('bcrypt');
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+
+jest.mock('../src/config/database', () => ({
+  pool: { query: jest.fn(), connect: jest.fn() },
+  query: jest.fn()
+}));
+jest.mock('../src/websocket/socket', () => ({
+  emitToUser: jest.fn(),
+  emitToConversation: jest.fn(),
+  disconnectUser: jest.fn()
+}));
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+// Use the in-memory Redis client, so the test can look at everything stored
+process.env.NODE_ENV = 'development';
+delete process.env.REDIS_URL;
+
+const { pool } = require('../src/config/database');
+const redis = require('../src/config/redis');
+const { emitToUser, emitToConversation, disconnectUser } = require('../src/websocket/socket');
+const User = require('../src/models/User');
+const DataExport = require('../src/models/DataExport');
+const accountDataService = require('../src/services/AccountDataService');
+const userRoutes = require('../src/api/users/routes');
+const { crc32 } = require('../src/utils/zip');
+const { errorHandler } = require('../src/middleware/errorHandler');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const aliceId = uuidv4();
+const bobId = uuidv4();
+const conversationId = uuidv4();
+const exportId = uuidv4();
+const mediaId = uuidv4();
+const token = jwt.sign({ userId: aliceId, username: 'alice' }, process.env.JWT_SECRET);
+const passwordHash = bcrypt.hashSync('correct horse', 4);
+
+const app = express();
+app.use(express.json());
+app.use('/api/users', userRoutes);
+app.use(errorHandler);
+
+// Columns that hold a user's ID, by name
+const USER_COLUMN = /(^|_)(user|contact|sender|editor|requester|recipient|blocker|blocked|reporter|moderator|owner|creator|author|voter)(_id)?$|_by$/;
+
+// Tables of short-lived delivery state, which isn't worth exporting
+const TRANSIENT_TABLES = ['offline_message_queue', 'push_delivery_jobs', 'push_dead_letters', 'notification_batches', 'data_exports'];
+
+/**
+ * Find every column that holds a user's ID in the schema
+ * @returns {Array<Object>} { file, table, column, definition }
+ */
+const findUserColumns = () => {
+  const migrationsDir = path.join(__dirname, '../src/migrations');
+  const files = [
+    path.join(__dirname, '../src/config/database.js'),
+    ...fs.readdirSync(migrationsDir).filter(name => name.endsWith('.js')).map(name => path.join(migrationsDir, name))
+  ];
+  const columns = [];
+
+  for (const file of files) {
+    let table = null;
+
+    for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+      const tableMatch = line.match(/(?:CREATE TABLE IF NOT EXISTS|ALTER TABLE)\s+(\w+)/);
+      if (tableMatch) {
+        table = tableMatch[1];
+      }
+
+      const columnMatch = line.match(/^\s*(?:ADD COLUMN (?:IF NOT EXISTS )?)?(\w+)\s+(?:UUID|VARCHAR\(\d+\))/);
+      if (columnMatch && table && table !== 'users' && USER_COLUMN.test(columnMatch[1])) {
+        columns.push({ file: path.basename(file), table, column: columnMatch[1], definition: line.trim() });
+      }
+    }
+  }
+
+  return columns;
+};
+
+/**
+ * Read the entries of a ZIP file
+ * @param {Buffer} data - Archive
+ * @returns {Object} Entry contents by name
+ */
+const readZip = (data) => {
+  const end = data.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  const count = data.readUInt16LE(end + 10);
+  let offset = data.readUInt32LE(end + 16);
+  const entries = {};
+
+  for (let i = 0; i < count; i++) {
+    const compressedSize = data.readUInt32LE(offset + 20);
+    const nameLength = data.readUInt16LE(offset + 28);
+    const headerOffset = data.readUInt32LE(offset + 42);
+    const name = data.toString('utf8', offset + 46, offset + 46 + nameLength);
+    const dataStart = headerOffset + 30 + data.readUInt16LE(headerOffset + 26);
+    const contents = zlib.inflateRawSync(data.subarray(dataStart, dataStart + compressedSize));
+
+    expect(crc32(contents)).toBe(data.readUInt32LE(offset + 16));
+    entries[name] = contents;
+    offset += 46 + nameLength;
+  }
+
+  return entries;
+};
+
+const job = (overrides = {}) => ({
+  id: exportId,
+  userId: aliceId,
+  status: 'processing',
+  ...overrides
+});
+
+const mediaRow = (overrides = {}) => ({
+  id: mediaId,
+  user_id: aliceId,
+  media_type: 'image',
+  filename: 'stored.png',
+  original_filename: 'holiday.png',
+  thumbnail_path: null,
+  webp_thumbnail_path: null,
+  ...overrides
+});
+
+/**
+ * A database client that answers User.deleteAccount's queries
+ * @param {Object} rows - Rows to return, by query
+ * @returns {Object} Client with a jest.fn query
+ */
+const mockClient = (rows = {}) => {
+  const client = {
+    query: jest.fn(async (sql) => {
+      if (sql.startsWith('SELECT password_hash')) {
+        return { rows: rows.user === undefined ? [{ password_hash: passwordHash }] : rows.user };
+      }
+      if (sql.startsWith('SELECT conversation_id')) {
+        return { rows: (rows.conversations || []).map(id => ({ conversation_id: id })) };
+      }
+      if (sql.includes('SET role = \'owner\'')) {
+        return { rows: rows.transfers || [] };
+      }
+      if (sql.startsWith('SELECT * FROM media')) {
+        return { rows: rows.media || [] };
+      }
+      if (sql.startsWith('SELECT file_path')) {
+        return { rows: (rows.exportFiles || []).map(filePath => ({ file_path: filePath })) };
+      }
+      if (sql.startsWith('SELECT id, target_type')) {
+        return { rows: rows.reports || [] };
+      }
+      return { rows: [] };
+    }),
+    release: jest.fn()
+  };
+
+  pool.connect.mockResolvedValue(client);
+  return client;
+};
+
+const queries = (client) => client.query.mock.calls.map(([sql, params]) => ({
+  sql: sql.replace(/\s+/g, ' ').trim(),
+  params
+}));
+
+describe('Account data', () => {
+  let uploadDir;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+    // The auth middleware checks the account on every request
+    jest.spyOn(User, 'getAccountStatus').mockResolvedValue({ roles: [], suspended: false });
+
+    uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'swickr-account-'));
+    accountDataService.uploadDir = uploadDir;
+    accountDataService.exportDir = path.join(uploadDir, 'exports');
+    redis.redisClient.store.clear();
+  });
+
+  afterEach(() => {
+    fs.rmSync(uploadDir, { recursive: true, force: true });
+  });
+
+  describe('User.deleteAccount', () => {
+    it('should anonymise sent messages by default', async () => {
+      const client = mockClient({
+        conversations: [conversationId],
+        transfers: [{ conversation_id: conversationId, user_id: bobId }],
+        media: [mediaRow()],
+        exportFiles: ['/exports/one.zip']
+      });
+
+      const result = await User.deleteAccount(aliceId, 'correct horse');
+
+      const sql = queries(client);
+      expect(sql[0].sql).toBe('BEGIN');
+      expect(sql[sql.length - 1].sql).toBe('COMMIT');
+      expect(sql).toContainEqual({
+        sql: 'UPDATE messages SET sender_id = $2 WHERE sender_id = $1',
+        params: [aliceId, User.DELETED_USER_ID]
+      });
+      expect(sql).toContainEqual({
+        sql: 'UPDATE message_revisions SET editor_id = $2 WHERE editor_id = $1',
+        params: [aliceId, User.DELETED_USER_ID]
+      });
+      expect(sql.some(q => q.sql.startsWith('DELETE FROM messages'))).toBe(false);
+      expect(result).toEqual({
+        conversationIds: [conversationId],
+        ownershipTransfers: [{ conversationId, newOwnerId: bobId }],
+        media: [mediaRow()],
+        exportFiles: ['/exports/one.zip']
+      });
+      expect(client.release).toHaveBeenCalled();
+    });
+
+    it('should delete sent messages when asked', async () => {
+      const client = mockClient();
+
+      await User.deleteAccount(aliceId, 'correct horse', { messages: 'delete' });
+
+      const sql = queries(client);
+      expect(sql).toContainEqual({ sql: 'DELETE FROM messages WHERE sender_id = $1', params: [aliceId] });
+      expect(sql.some(q => q.sql.includes('SET sender_id'))).toBe(false);
+    });
+
+    it('should delete the user, their media and empty conversations, in that order', async () => {
+      const client = mockClient({ conversations: [conversationId] });
+
+      await User.deleteAccount(aliceId, 'correct horse');
+
+      const sql = queries(client).map(q => q.sql);
+      const clearMedia = sql.findIndex(q => q.startsWith('UPDATE messages SET media_id = NULL'));
+      const deleteMedia = sql.indexOf('DELETE FROM media WHERE user_id::text = $1');
+      const deleteUser = sql.indexOf('DELETE FROM users WHERE id = $1');
+      const deleteConversations = sql.findIndex(q => q.startsWith('DELETE FROM conversations'));
+
+      expect(clearMedia).toBeGreaterThan(-1);
+      expect(deleteMedia).toBeGreaterThan(clearMedia);
+      expect(deleteUser).toBeGreaterThan(deleteMedia);
+      expect(deleteConversations).toBeGreaterThan(deleteUser);
+      expect(client.query.mock.calls[deleteConversations][1]).toEqual([[conversationId]]);
+    });
+
+    it('should redact what reports and the audit log captured about the user', async () => {
+      const messageId = uuidv4();
+      const userReport = {
+        id: uuidv4(),
+        target_type: 'user',
+        target_id: aliceId,
+        snapshot: { userId: aliceId, username: 'alice', fullName: 'Alice Liddell', profilePicture: '/a.png', status: 'online' }
+      };
+      const messageReport = {
+        id: uuidv4(),
+        target_type: 'message',
+        target_id: messageId,
+        snapshot: { messageId, conversationId, senderId: aliceId, senderUsername: 'alice', content: 'My number is 555-0100', media: null }
+      };
+      const conversationReport = {
+        id: uuidv4(),
+        target_type: 'conversation',
+        target_id: conversationId,
+        snapshot: {
+          conversationId,
+          participants: [{ id: aliceId, username: 'alice' }, { id: bobId, username: 'bob' }],
+          recentMessages: [
+            { id: uuidv4(), senderId: aliceId, senderUsername: 'alice', content: 'Hi Bob' },
+            { id: messageId, senderId: bobId, senderUsername: 'bob', content: 'Hi Alice' }
+          ]
+        }
+      };
+      const client = mockClient({ reports: [userReport, messageReport, conversationReport] });
+
+      await User.deleteAccount(aliceId, 'correct horse');
+
+      const sql = queries(client);
+      const select = sql.find(q => q.sql.startsWith('SELECT id, target_type'));
+      expect(select.params).toEqual([aliceId]);
+      expect(select.sql).toContain('OR snapshot::text LIKE');
+
+      const updates = sql.filter(q => q.sql.startsWith('UPDATE reports'));
+      expect(updates.map(q => q.params[1])).toEqual([User.DELETED_USER_ID, messageId, conversationId]);
+      const snapshots = updates.map(q => JSON.parse(q.params[2]));
+      expect(snapshots[0]).toEqual({ userId: User.DELETED_USER_ID, username: null, fullName: null, profilePicture: null, status: null });
+      expect(snapshots[1]).toEqual(expect.objectContaining({ senderId: User.DELETED_USER_ID, senderUsername: null, content: null }));
+      expect(snapshots[2].participants).toEqual([{ id: User.DELETED_USER_ID, username: null }, { id: bobId, username: 'bob' }]);
+      expect(snapshots[2].recentMessages[0]).toEqual(expect.objectContaining({ senderId: User.DELETED_USER_ID, senderUsername: null, content: null }));
+      expect(snapshots[2].recentMessages[1]).toEqual(conversationReport.snapshot.recentMessages[1]);
+      for (const update of updates) {
+        expect(update.params[2]).not.toMatch(new RegExp(`${aliceId}|"alice"|Liddell|555-0100`));
+      }
+
+      const auditLog = sql.find(q => q.sql.startsWith('UPDATE moderation_audit_log'));
+      expect(auditLog.params).toEqual([aliceId, User.DELETED_USER_ID]);
+      expect(auditLog.sql).toContain("details->>'senderId' = $1::text");
+
+      // All inside the deletion's transaction
+      const commit = sql.findIndex(q => q.sql === 'COMMIT');
+      expect(sql.indexOf(auditLog)).toBeLessThan(commit);
+      expect(sql.indexOf(updates[2])).toBeLessThan(commit);
+    });
+
+    it('should hand owned groups to the most senior remaining member', async () => {
+      const client = mockClient();
+
+      await User.deleteAccount(aliceId, 'correct horse');
+
+      const [sql, params] = client.query.mock.calls.find(([query]) => query.includes('SET role = \'owner\''));
+      expect(sql).toContain('ORDER BY successor.conversation_id, array_position($2::varchar[], successor.role) DESC, successor.joined_at ASC');
+      expect(params).toEqual([aliceId, ['read_only', 'member', 'moderator', 'admin', 'owner']]);
+    });
+
+    it('should not delete anything if the password is wrong', async () => {
+      const client = mockClient();
+
+      await expect(User.deleteAccount(aliceId, 'wrong')).rejects.toThrow('Password is incorrect');
+
+      const sql = queries(client).map(q => q.sql);
+      expect(sql).toContain('ROLLBACK');
+      expect(sql.some(q => q.startsWith('DELETE') || q.startsWith('UPDATE'))).toBe(false);
+    });
+
+    it('should reject an unknown message policy', async () => {
+      await expect(User.deleteAccount(aliceId, 'correct horse', { messages: 'keep' }))
+        .rejects.toThrow('Invalid message policy');
+      expect(pool.connect).not.toHaveBeenCalled();
+    });
+
+    it('should never delete the deleted-user placeholder', async () => {
+      await expect(User.deleteAccount(User.DELETED_USER_ID, '!')).rejects.toThrow('User not found');
+      expect(pool.connect).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Schema coverage', () => {
+    const userColumns = findUserColumns();
+
+    it('should find the columns that hold user IDs', () => {
+      expect(userColumns.length).toBeGreaterThan(30);
+      expect(userColumns).toContainEqual(expect.objectContaining({ table: 'messages', column: 'sender_id' }));
+    });
+
+    it('should leave nothing behind when a user row is deleted', () => {
+      // media.user_id has no foreign key when created by migration 004; deleteAccount deletes those rows itself
+      const deletedExplicitly = ({ file, table, column }) =>
+        file === '004_media_tables.js' && table === 'media' && column === 'user_id';
+
+      const uncovered = userColumns.filter(({ definition, ...column }) =>
+        !/REFERENCES users\(id\) ON DELETE (CASCADE|SET NULL)/.test(definition) && !deletedExplicitly(column));
+
+      expect(uncovered).toEqual([]);
+    });
+
+    it('should export every table of the user\'s own rows', () => {
+      const exported = [...Object.values(DataExport.SECTIONS).join(' ').matchAll(/(?:FROM|JOIN) (\w+)/g)]
+        .map(match => match[1]);
+
+      const missing = userColumns
+        .filter(({ definition }) => /ON DELETE CASCADE/.test(definition))
+        .map(({ table }) => table)
+        .filter(table => table !== 'messages' && !TRANSIENT_TABLES.includes(table) && !exported.includes(table));
+
+      expect([...new Set(missing)]).toEqual([]);
+    });
+  });
+
+  describe('AccountDataService.deleteAccount', () => {
+    it('should leave no files, sessions or Redis state belonging to the user', async () => {
+      const file = (...segments) => {
+        const filePath = path.join(uploadDir, ...segments);
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, 'bytes');
+        return filePath;
+      };
+
+      const stored = file('image', aliceId, 'stored.png');
+      const thumbnail = file('thumbnails', aliceId, 'thumb_stored.png');
+      const untracked = file(aliceId, 'video', 'old.mp4');
+      const exportFile = file('exports', 'alice-export.zip');
+      const bobsFile = file('image', bobId, 'bob.png');
+      const bobsThumbnail = file('thumbnails', bobId, 'thumb_bob.png');
+
+      await redis.setUserStatus(aliceId, 'online');
+      await redis.setUserSocket(aliceId, 'socket-a');
+      await redis.setUserPresence(aliceId, { status: 'online' });
+      await redis.addActiveConversationUser(conversationId, aliceId);
+      await redis.setTypingStatus(aliceId, conversationId);
+      await redis.redisClient.set(`refresh_token:${aliceId}`, 'refresh');
+      await redis.redisClient.hSet('user:lastSeen', aliceId, '1');
+      await redis.redisClient.hSet('user:statusMessage', aliceId, 'Away');
+      await redis.redisClient.hSet('user:statusEmoji', aliceId, '🌴');
+
+      await redis.setUserStatus(bobId, 'online');
+      await redis.setUserSocket(bobId, 'socket-b');
+      await redis.addActiveConversationUser(conversationId, bobId);
+      await redis.redisClient.set(`refresh_token:${bobId}`, 'refresh');
+
+      jest.spyOn(User, 'deleteAccount').mockResolvedValue({
+        conversationIds: [conversationId],
+        ownershipTransfers: [{ conversationId, newOwnerId: bobId }],
+        media: [mediaRow({ thumbnail_path: thumbnail })],
+        exportFiles: [exportFile]
+      });
+
+      const result = await accountDataService.deleteAccount(aliceId, 'correct horse', { messages: 'delete' });
+
+      expect(User.deleteAccount).toHaveBeenCalledWith(aliceId, 'correct horse', { messages: 'delete' });
+      expect(result).toEqual({
+        messages: 'delete',
+        conversations: 1,
+        mediaDeleted: 1,
+        ownershipTransfers: [{ conversationId, newOwnerId: bobId }]
+      });
+
+      // Files
+      for (const filePath of [stored, thumbnail, untracked, exportFile]) {
+        expect(fs.existsSync(filePath)).toBe(false);
+      }
+      expect(fs.existsSync(path.join(uploadDir, 'image', aliceId))).toBe(false);
+      expect(fs.existsSync(path.join(uploadDir, 'thumbnails', aliceId))).toBe(false);
+      expect(fs.existsSync(path.join(uploadDir, aliceId))).toBe(false);
+      expect(fs.existsSync(bobsFile)).toBe(true);
+      expect(fs.existsSync(bobsThumbnail)).toBe(true);
+
+      // Redis: no key, field, member or value mentions her
+      const mentionsAlice = [];
+      for (const [key, value] of redis.redisClient.store) {
+        const contents = value instanceof Map ? [...value.keys(), ...value.values()]
+          : value instanceof Set ? [...value] : [value];
+
+        if (key.includes(aliceId) || contents.some(item => String(item).includes(aliceId))) {
+          mentionsAlice.push(key);
+        }
+      }
+      expect(mentionsAlice).toEqual([]);
+      expect(await redis.redisClient.get(`refresh_token:${bobId}`)).toBe('refresh');
+      expect(await redis.getActiveConversationUsers(conversationId)).toEqual([bobId]);
+      expect(await redis.getUserSockets(bobId)).toEqual(['socket-b']);
+
+      // Sessions and everyone else
+      expect(emitToUser).toHaveBeenCalledWith(aliceId, 'account_deleted', { messages: 'delete' });
+      expect(disconnectUser).toHaveBeenCalledWith(aliceId);
+      expect(emitToConversation).toHaveBeenCalledWith(conversationId, 'participant_left', { conversationId, userId: aliceId });
+      expect(emitToConversation).toHaveBeenCalledWith(conversationId, 'ownership_transferred', {
+        conversationId,
+        previousOwnerId: aliceId,
+        newOwnerId: bobId
+      });
+    });
+
+    it('should not touch files outside the upload directory', async () => {
+      const outside = path.join(os.tmpdir(), `swickr-outside-${uuidv4()}.png`);
+      fs.writeFileSync(outside, 'bytes');
+
+      try {
+        jest.spyOn(User, 'deleteAccount').mockResolvedValue({
+          conversationIds: [],
+          ownershipTransfers: [],
+          media: [mediaRow({ media_type: '..', filename: `../${path.basename(outside)}`, thumbnail_path: outside })],
+          exportFiles: []
+        });
+
+        await accountDataService.deleteAccount(aliceId, 'correct horse');
+
+        expect(fs.existsSync(outside)).toBe(true);
+      } finally {
+        fs.rmSync(outside, { force: true });
+      }
+    });
+
+    it('should leave everything in place if the database refuses', async () => {
+      const stored = path.join(uploadDir, 'image', aliceId, 'stored.png');
+      fs.mkdirSync(path.dirname(stored), { recursive: true });
+      fs.writeFileSync(stored, 'bytes');
+      await redis.redisClient.set(`refresh_token:${aliceId}`, 'refresh');
+      jest.spyOn(User, 'deleteAccount').mockRejectedValue(new Error('Password is incorrect'));
+
+      await expect(accountDataService.deleteAccount(aliceId, 'wrong')).rejects.toThrow('Password is incorrect');
+
+      expect(fs.existsSync(stored)).toBe(true);
+      expect(await redis.redisClient.get(`refresh_token:${aliceId}`)).toBe('refresh');
+      expect(disconnectUser).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('AccountDataService.runExport', () => {
+    const exportFile = () => path.join(uploadDir, 'exports', `${exportId}.zip`);
+
+    it('should archive the user\'s data and media files', async () => {
+      fs.mkdirSync(path.join(uploadDir, 'image', aliceId), { recursive: true });
+      fs.writeFileSync(path.join(uploadDir, 'image', aliceId, 'stored.png'), 'png-bytes');
+
+      jest.spyOn(DataExport, 'getProfile').mockResolvedValue({ id: aliceId, username: 'alice', email: 'alice@example.com' });
+      jest.spyOn(DataExport, 'getSections').mockResolvedValue({
+        contacts: [{ user_id: aliceId, contact_id: bobId }],
+        media: [mediaRow()],
+        pushSubscriptions: [{ user_id: aliceId, endpoint: 'https://push.example.com/1' }]
+      });
+      jest.spyOn(DataExport, 'getMessages').mockResolvedValue([
+        {
+          id: uuidv4(),
+          conversation_id: conversationId,
+          content: 'Hello',
+          message_type: 'text',
+          is_encrypted: false,
+          media_id: null,
+          timestamp: '2024-05-01T10:00:00.000Z',
+          edited_at: null
+        },
+        {
+          id: uuidv4(),
+          conversation_id: conversationId,
+          content: null,
+          message_type: 'text',
+          is_encrypted: true,
+          encrypted_content: 'ciphertext',
+          iv: 'iv',
+          recipient_keys: { [bobId]: 'key' },
+          media_id: null,
+          timestamp: '2024-05-01T10:01:00.000Z',
+          edited_at: null
+        }
+      ]);
+      const completed = jest.spyOn(DataExport, 'markCompleted').mockResolvedValue(job({ status: 'completed' }));
+
+      expect(await accountDataService.runExport(job())).toBe(true);
+
+      const entries = readZip(fs.readFileSync(exportFile()));
+      expect(Object.keys(entries)).toEqual(['data.json', `media/${mediaId}.png`]);
+      expect(entries[`media/${mediaId}.png`].toString()).toBe('png-bytes');
+
+      const data = JSON.parse(entries['data.json'].toString());
+      expect(data.profile).toEqual({ id: aliceId, username: 'alice', email: 'alice@example.com' });
+      expect(data.contacts).toEqual([{ user_id: aliceId, contact_id: bobId }]);
+      expect(data.pushSubscriptions).toHaveLength(1);
+      expect(data.media[0].file).toBe(`media/${mediaId}.png`);
+      expect(data.messages).toHaveLength(2);
+      expect(data.messages[0].content).toBe('Hello');
+      expect(data.messages[1]).toMatchObject({ content: null, encryptedContent: 'ciphertext', iv: 'iv' });
+
+      expect(completed).toHaveBeenCalledWith(exportId, { filePath: exportFile(), fileSize: expect.any(Number) });
+      expect(emitToUser).toHaveBeenCalledWith(aliceId, 'data_export_ready', expect.objectContaining({ status: 'completed' }));
+    });
+
+    it('should fail the export if the user no longer exists', async () => {
+      jest.spyOn(DataExport, 'getProfile').mockResolvedValue(null);
+      const failed = jest.spyOn(DataExport, 'markFailed').mockResolvedValue(job({ status: 'failed' }));
+
+      expect(await accountDataService.runExport(job())).toBe(false);
+
+      expect(failed).toHaveBeenCalledWith(exportId, 'User not found');
+      expect(fs.existsSync(exportFile())).toBe(false);
+      expect(emitToUser).toHaveBeenCalledWith(aliceId, 'data_export_failed', expect.any(Object));
+    });
+  });
+
+  describe('DataExport', () => {
+    it('should leave the password hash out of the profile', async () => {
+      pool.query.mockResolvedValue({ rows: [{ id: aliceId, username: 'alice', password_hash: passwordHash }] });
+
+      expect(await DataExport.getProfile(aliceId)).toEqual({ id: aliceId, username: 'alice' });
+    });
+
+    it('should skip sections whose tables don\'t exist', async () => {
+      pool.query.mockImplementation(async (sql) => {
+        if (sql.includes('user_status_history')) {
+          throw Object.assign(new Error('relation "user_status_history" does not exist'), { code: '42P01' });
+        }
+        return { rows: [{ user_id: aliceId }] };
+      });
+
+      const sections = await DataExport.getSections(aliceId);
+
+      expect(Object.keys(sections)).toEqual(Object.keys(DataExport.SECTIONS));
+      expect(sections.statusHistory).toEqual([]);
+      expect(sections.contacts).toEqual([{ user_id: aliceId }]);
+    });
+
+    it('should page through sent messages oldest first', async () => {
+      pool.query.mockResolvedValue({ rows: [] });
+
+      await DataExport.getMessages(aliceId, { after: { timestamp: '2024-05-01T10:00:00.000Z', id: mediaId }, limit: 50 });
+
+      const [sql, params] = pool.query.mock.calls[0];
+      expect(sql).toContain('WHERE m.sender_id = $1');
+      expect(sql).toContain('(m.timestamp, m.id) > ($3::timestamptz, $4::uuid)');
+      expect(params).toEqual([aliceId, 50, '2024-05-01T10:00:00.000Z', mediaId]);
+    });
+  });
+
+  describe('POST /api/users/me/data-export', () => {
+    it('should queue an export', async () => {
+      jest.spyOn(DataExport, 'getActive').mockResolvedValue(null);
+      const create = jest.spyOn(DataExport, 'create').mockResolvedValue(job({ status: 'pending' }));
+
+      const res = await request(app)
+        .post('/api/users/me/data-export')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(202);
+      expect(res.body.status).toBe('pending');
+      expect(create).toHaveBeenCalledWith(aliceId);
+    });
+
+    it('should refuse a second export while one is running', async () => {
+      jest.spyOn(DataExport, 'getActive').mockResolvedValue(job({ status: 'pending' }));
+      const create = jest.spyOn(DataExport, 'create');
+
+      const res = await request(app)
+        .post('/api/users/me/data-export')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(409);
+      expect(create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /api/users/me/data-exports/:exportId', () => {
+    it('should return the export without its file path', async () => {
+      jest.spyOn(DataExport, 'getById').mockResolvedValue({ ...job({ status: 'completed' }), filePath: '/secret/path.zip' });
+
+      const res = await request(app)
+        .get(`/api/users/me/data-exports/${exportId}`)
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.status).toBe('completed');
+      expect(res.body.filePath).toBeUndefined();
+    });
+
+    it('should hide other users\' exports', async () => {
+      jest.spyOn(DataExport, 'getById').mockResolvedValue(job({ userId: bobId }));
+
+      const res = await request(app)
+        .get(`/api/users/me/data-exports/${exportId}`)
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe('GET /api/users/me/data-exports/:exportId/download', () => {
+    it('should send the finished archive', async () => {
+      const filePath = path.join(uploadDir, 'done.zip');
+      fs.writeFileSync(filePath, 'zip-bytes');
+      jest.spyOn(DataExport, 'getById').mockResolvedValue({
+        ...job({ status: 'completed', completedAt: '2024-05-02T08:00:00.000Z' }),
+        filePath
+      });
+
+      const res = await request(app)
+        .get(`/api/users/me/data-exports/${exportId}/download`)
+        .set('Authorization', `Bearer ${token}`)
+        .buffer(true)
+        .parse((response, callback) => {
+          const chunks = [];
+          response.on('data', chunk => chunks.push(chunk));
+          response.on('end', () => callback(null, Buffer.concat(chunks)));
+        });
+
+      expect(res.status).toBe(200);
+      expect(res.headers['content-disposition']).toContain('swickr-data-2024-05-02.zip');
+      expect(res.body.toString()).toBe('zip-bytes');
+    });
+
+    it('should refuse to download an unfinished export', async () => {
+      jest.spyOn(DataExport, 'getById').mockResolvedValue({ ...job({ status: 'processing' }), filePath: null });
+
+      const res = await request(app)
+        .get(`/api/users/me/data-exports/${exportId}/download`)
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(409);
+    });
+  });
+
+  describe('DELETE /api/users/me', () => {
+    it('should delete the account', async () => {
+      const deleteAccount = jest.spyOn(accountDataService, 'deleteAccount').mockResolvedValue({
+        messages: 'delete',
+        conversations: 2,
+        mediaDeleted: 1,
+        ownershipTransfers: []
+      });
+
+      const res = await request(app)
+        .delete('/api/users/me')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ password: 'correct horse', messages: 'delete' });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ success: true, messages: 'delete', conversations: 2 });
+      expect(deleteAccount).toHaveBeenCalledWith(aliceId, 'correct horse', { messages: 'delete' });
+    });
+
+    it('should require the password', async () => {
+      const deleteAccount = jest.spyOn(accountDataService, 'deleteAccount');
+
+      const res = await request(app)
+        .delete('/api/users/me')
+        .set('Authorization', `Bearer ${token}`)
+        .send({});
+
+      expect(res.status).toBe(400);
+      expect(deleteAccount).not.toHaveBeenCalled();
+    });
+
+    it('should reject an unknown message policy', async () => {
+      const res = await request(app)
+        .delete('/api/users/me')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ password: 'correct horse', messages: 'keep' });
+
+      expect(res.status).toBe(400);
+    });
+
+    it('should refuse a wrong password', async () => {
+      jest.spyOn(accountDataService, 'deleteAccount').mockRejectedValue(new Error('Password is incorrect'));
+
+      const res = await request(app)
+        .delete('/api/users/me')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ password: 'wrong' });
+
+      expect(res.status).toBe(403);
+    });
+  });
+});
@@ -0,0 +1,324 @@
+/**
+ * Contact Invite Tests
+ *
+ * Tests for shareable contact links and QR codes: signed tokens, expiry,
+ * use limits, revocation and redeeming an invite
+ */
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+
+jest.mock('../src/config/database', () => ({
+  pool: { query: jest.fn(), connect: jest.fn() },
+  query: jest.fn()
+}));
+jest.mock('../src/config/redis', () => ({ redisClient: {} }));
+jest.mock('../src/websocket/socket', () => ({
+  emitToUser: jest.fn(),
+  emitToConversation: jest.fn()
+}));
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const { pool } = require('../src/config/database');
+const { emitToUser } = require('../src/websocket/socket');
+const ContactInvite = require('../src/models/ContactInvite');
+const ContactRequest = require('../src/models/ContactRequest');
+const User = require('../src/models/User');
+const contactRoutes = require('../src/api/contacts/routes');
+const { errorHandler } = require('../src/middleware/errorHandler');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const ownerId = uuidv4();
+const guestId = uuidv4();
+const inviteId = uuidv4();
+const ownerToken = jwt.sign({ userId: ownerId, username: 'olivia' }, process.env.JWT_SECRET);
+const guestToken = jwt.sign({ userId: guestId, username: 'gus' }, process.env.JWT_SECRET);
+
+const app = express();
+app.use(express.json());
+app.use('/api/contacts', contactRoutes);
+app.use(errorHandler);
+
+const inviteRow = (overrides = {}) => ({
+  id: inviteId,
+  user_id: ownerId,
+  max_uses: null,
+  use_count: 0,
+  require_approval: false,
+  expires_at: new Date(Date.now() + 24 * 60 * 60 * 1000),
+  revoked_at: null,
+  created_at: new Date(),
+  ...overrides
+});
+
+const mockClient = (handler) => {
+  const client = {
+    query: jest.fn(async (sql, params) => handler(sql, params) || { rows: [] }),
+    release: jest.fn()
+  };
+  pool.connect.mockResolvedValue(client);
+  return client;
+};
+
+const inviteClient = (row) => mockClient((sql) => (
+  sql.includes('FROM contact_invites') ? { rows: [row] } : null
+));
+
+const parseBinary = (res, callback) => {
+  const chunks = [];
+  res.on('data', chunk => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+};
+
+describe('Contact invites', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+    // The auth middleware checks the account on every request
+    jest.spyOn(User, 'getAccountStatus').mockResolvedValue({ roles: [], suspended: false });
+  });
+
+  describe('Tokens', () => {
+    it('should sign a token that identifies the invite and expires with it', () => {
+      const row = inviteRow();
+      const token = ContactInvite.signToken(row);
+
+      expect(ContactInvite.verifyToken(token)).toBe(inviteId);
+      expect(ContactInvite.signToken(row)).toBe(token);
+      expect(jwt.decode(token).exp).toBe(Math.floor(row.expires_at.getTime() / 1000));
+    });
+
+    it('should reject tampered, expired and access tokens', () => {
+      const token = ContactInvite.signToken(inviteRow());
+      const expired = ContactInvite.signToken(inviteRow({ expires_at: new Date(Date.now() - 1000) }));
+
+      expect(ContactInvite.verifyToken(`${token.slice(0, -2)}xx`)).toBeNull();
+      expect(ContactInvite.verifyToken(expired)).toBeNull();
+      expect(ContactInvite.verifyToken(ownerToken)).toBeNull();
+    });
+
+    it('should not be usable as an access token', () => {
+      const token = ContactInvite.signToken(inviteRow());
+
+      expect(() => jwt.verify(token, process.env.JWT_SECRET)).toThrow();
+    });
+  });
+
+  describe('ContactInvite.redeem', () => {
+    it('should add the owner as a contact and count the use', async () => {
+      const client = inviteClient(inviteRow({ max_uses: 5, use_count: 4 }));
+      const send = jest.spyOn(ContactRequest, 'send').mockResolvedValue({
+        request: { id: uuidv4(), status: 'accepted' },
+        contact: { id: ownerId, username: 'olivia' }
+      });
+
+      const result = await ContactInvite.redeem(ContactInvite.signToken(inviteRow()), guestId);
+
+      expect(send).toHaveBeenCalledWith(client, guestId, ownerId, { accept: true });
+      expect(result).toEqual(expect.objectContaining({ ownerId, contact: expect.objectContaining({ id: ownerId }) }));
+      expect(client.query.mock.calls.some(([sql]) => sql.includes('use_count = use_count + 1'))).toBe(true);
+      expect(client.query).toHaveBeenCalledWith('COMMIT');
+    });
+
+    it('should send a contact request when the invite requires approval', async () => {
+      const client = inviteClient(inviteRow({ require_approval: true }));
+      const send = jest.spyOn(ContactRequest, 'send').mockResolvedValue({ request: { status: 'pending' }, contact: null });
+
+      await ContactInvite.redeem(ContactInvite.signToken(inviteRow()), guestId);
+
+      expect(send).toHaveBeenCalledWith(client, guestId, ownerId, { accept: false });
+    });
+
+    it('should refuse revoked, expired and used up invites', async () => {
+      const send = jest.spyOn(ContactRequest, 'send');
+      const token = ContactInvite.signToken(inviteRow());
+
+      inviteClient(inviteRow({ revoked_at: new Date() }));
+      await expect(ContactInvite.redeem(token, guestId)).rejects.toThrow('Invite has been revoked');
+
+      inviteClient(inviteRow({ expires_at: new Date(Date.now() - 1000) }));
+      await expect(ContactInvite.redeem(token, guestId)).rejects.toThrow('Invite has expired');
+
+      const client = inviteClient(inviteRow({ max_uses: 2, use_count: 2 }));
+      await expect(ContactInvite.redeem(token, guestId)).rejects.toThrow('Invite has been used up');
+      expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+      expect(send).not.toHaveBeenCalled();
+    });
+
+    it('should not count a use when the users can\'t become contacts', async () => {
+      const client = inviteClient(inviteRow());
+      jest.spyOn(ContactRequest, 'send').mockRejectedValue(new Error('Contact already exists'));
+
+      await expect(ContactInvite.redeem(ContactInvite.signToken(inviteRow()), guestId)).rejects.toThrow('Contact already exists');
+      expect(client.query.mock.calls.some(([sql]) => sql.includes('use_count = use_count + 1'))).toBe(false);
+      expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+    });
+
+    it('should ignore invalid tokens without touching the database', async () => {
+      expect(await ContactInvite.redeem('not-a-token', guestId)).toBeNull();
+      expect(pool.connect).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/contacts/share', () => {
+    it('should create an invite and return its link', async () => {
+      pool.query.mockImplementation(async (sql, params) => ({
+        rows: [inviteRow({ id: params[0], max_uses: params[2], require_approval: params[3] })]
+      }));
+
+      const res = await request(app)
+        .post('/api/contacts/share')
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ maxUses: 3, expiresInHours: 48, requireApproval: true });
+
+      expect(res.status).toBe(201);
+      expect(res.body).toEqual(expect.objectContaining({ maxUses: 3, useCount: 0, requireApproval: true }));
+      expect(res.body.shareableLink).toContain(`/add-contact?token=${res.body.token}`);
+      expect(pool.query.mock.calls[0][1]).toEqual([expect.any(String), ownerId, 3, true, 48]);
+    });
+
+    it('should reject invalid expiry and use limits', async () => {
+      const res = await request(app)
+        .post('/api/contacts/share')
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ expiresInHours: 24 * 365 });
+
+      expect(res.status).toBe(400);
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('/api/contacts/invites', () => {
+    it('should list the user\'s active invites', async () => {
+      pool.query.mockResolvedValue({ rows: [inviteRow()] });
+
+      const res = await request(app)
+        .get('/api/contacts/invites')
+        .set('Authorization', `Bearer ${ownerToken}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual([expect.objectContaining({ id: inviteId, shareableLink: expect.stringContaining('token=') })]);
+      const [sql, params] = pool.query.mock.calls[0];
+      expect(sql).toContain('revoked_at IS NULL');
+      expect(params).toEqual([ownerId]);
+    });
+
+    it('should render an invite as a PNG or SVG QR code', async () => {
+      pool.query.mockResolvedValue({ rows: [inviteRow()] });
+
+      const png = await request(app)
+        .get(`/api/contacts/invites/${inviteId}/qr`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .buffer(true)
+        .parse(parseBinary);
+
+      expect(png.status).toBe(200);
+      expect(png.headers['content-type']).toBe('image/png');
+      expect(png.body.subarray(0, 4).toString('hex')).toBe('89504e47');
+
+      const svg = await request(app)
+        .get(`/api/contacts/invites/${inviteId}/qr?format=svg`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .buffer(true)
+        .parse(parseBinary);
+
+      expect(svg.headers['content-type']).toContain('image/svg+xml');
+      expect(svg.body.toString()).toContain('<svg');
+    });
+
+    it('should not render QR codes for other users\' invites', async () => {
+      pool.query.mockResolvedValue({ rows: [] });
+
+      const res = await request(app)
+        .get(`/api/contacts/invites/${inviteId}/qr`)
+        .set('Authorization', `Bearer ${guestToken}`);
+
+      expect(res.status).toBe(404);
+      expect(pool.query.mock.calls[0][1]).toEqual([inviteId, guestId]);
+    });
+
+    it('should revoke an invite', async () => {
+      pool.query.mockResolvedValueOnce({ rowCount: 1 }).mockResolvedValueOnce({ rowCount: 0 });
+
+      const revoked = await request(app)
+        .delete(`/api/contacts/invites/${inviteId}`)
+        .set('Authorization', `Bearer ${ownerToken}`);
+      const again = await request(app)
+        .delete(`/api/contacts/invites/${inviteId}`)
+        .set('Authorization', `Bearer ${ownerToken}`);
+
+      expect(revoked.status).toBe(200);
+      expect(again.status).toBe(404);
+    });
+  });
+
+  describe('Redeeming', () => {
+    it('should add the contact from a link and tell the owner', async () => {
+      jest.spyOn(ContactInvite, 'redeem').mockResolvedValue({
+        ownerId,
+        request: { id: uuidv4(), status: 'accepted' },
+        contact: { id: ownerId, username: 'olivia' }
+      });
+      jest.spyOn(User, 'getById').mockResolvedValue({ id: guestId, username: 'gus' });
+      const token = ContactInvite.signToken(inviteRow());
+
+      const res = await request(app)
+        .post('/api/contacts/link')
+        .set('Authorization', `Bearer ${guestToken}`)
+        .send({ linkToken: token });
+
+      expect(res.status).toBe(201);
+      expect(res.body.contact).toEqual(expect.objectContaining({ id: ownerId }));
+      expect(res.body.ownerId).toBeUndefined();
+      expect(ContactInvite.redeem).toHaveBeenCalledWith(token, guestId);
+      expect(emitToUser).toHaveBeenCalledWith(ownerId, 'contact_request', expect.objectContaining({
+        action: 'accepted',
+        contact: expect.objectContaining({ id: guestId })
+      }));
+    });
+
+    it('should read the token from a scanned QR link', async () => {
+      jest.spyOn(ContactInvite, 'redeem').mockResolvedValue({ ownerId, request: { status: 'pending' }, contact: null });
+      jest.spyOn(ContactRequest, 'sendContactRequestNotification').mockResolvedValue();
+      jest.spyOn(User, 'getById').mockResolvedValue({ id: guestId, username: 'gus' });
+      const token = ContactInvite.signToken(inviteRow());
+
+      const res = await request(app)
+        .post('/api/contacts/qr')
+        .set('Authorization', `Bearer ${guestToken}`)
+        .send({ qrData: `https://swickr.example/add-contact?token=${encodeURIComponent(token)}` });
+
+      expect(res.status).toBe(201);
+      expect(ContactInvite.redeem).toHaveBeenCalledWith(token, guestId);
+      expect(emitToUser).toHaveBeenCalledWith(ownerId, 'contact_request', expect.objectContaining({ action: 'received' }));
+    });
+
+    it('should explain why an invite can\'t be used', async () => {
+      jest.spyOn(ContactInvite, 'redeem').mockRejectedValue(new Error('Invite has expired'));
+
+      const res = await request(app)
+        .post('/api/contacts/link')
+        .set('Authorization', `Bearer ${guestToken}`)
+        .send({ linkToken: 'whatever' });
+
+      expect(res.status).toBe(403);
+      expect(res.body.error.code).toBe('INVITE_EXPIRED');
+    });
+
+    it('should return 404 for unknown tokens', async () => {
+      const res = await request(app)
+        .post('/api/contacts/link')
+        .set('Authorization', `Bearer ${guestToken}`)
+        .send({ linkToken: 'forged' });
+
+      expect(res.status).toBe(404);
+    });
+  });
+});
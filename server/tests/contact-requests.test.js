@@ -0,0 +1,341 @@
+/**
+ * Contact Request Tests
+ *
+ * Tests for sending, accepting, declining and cancelling contact requests,
+ * the request inbox and outbox, and sharing presence only with accepted contacts
+ */
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+
+jest.mock('../src/config/database', () => ({
+  pool: { query: jest.fn(), connect: jest.fn() },
+  query: jest.fn()
+}));
+jest.mock('../src/config/redis', () => ({ redisClient: {} }));
+jest.mock('../src/websocket/socket', () => ({
+  emitToUser: jest.fn(),
+  emitToConversation: jest.fn()
+}));
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const { pool } = require('../src/config/database');
+const { emitToUser } = require('../src/websocket/socket');
+const ContactRequest = require('../src/models/ContactRequest');
+const Contact = require('../src/models/Contact');
+const User = require('../src/models/User');
+const contactRoutes = require('../src/api/contacts/routes');
+const { errorHandler } = require('../src/middleware/errorHandler');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const aliceId = uuidv4();
+const bobId = uuidv4();
+const requestId = uuidv4();
+const aliceToken = jwt.sign({ userId: aliceId, username: 'alice' }, process.env.JWT_SECRET);
+const bobToken = jwt.sign({ userId: bobId, username: 'bob' }, process.env.JWT_SECRET);
+
+const app = express();
+app.use(express.json());
+app.use('/api/contacts', contactRoutes);
+app.use(errorHandler);
+
+const requestRow = (overrides = {}) => ({
+  id: requestId,
+  requester_id: aliceId,
+  recipient_id: bobId,
+  message: null,
+  status: 'pending',
+  created_at: new Date(),
+  responded_at: null,
+  ...overrides
+});
+
+const mockClient = (handler) => {
+  const client = {
+    query: jest.fn(async (sql, params) => handler(sql, params) || { rows: [] }),
+    release: jest.fn()
+  };
+  pool.connect.mockResolvedValue(client);
+  return client;
+};
+
+const queries = (client) => client.query.mock.calls.map(([sql]) => sql);
+
+describe('Contact requests', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+    // The auth middleware checks the account on every request
+    jest.spyOn(User, 'getAccountStatus').mockResolvedValue({ roles: [], suspended: false });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  describe('ContactRequest.create', () => {
+    it('should store a pending request without adding the contact', async () => {
+      const client = mockClient((sql, params) => {
+        if (sql.includes('FROM users WHERE id')) {
+          return { rows: [{ id: bobId }] };
+        }
+        if (sql.includes('COUNT(*)')) {
+          return { rows: [{ count: 0 }] };
+        }
+        if (sql.includes('INSERT INTO contact_requests')) {
+          return { rows: [{ id: params[0] }] };
+        }
+        if (sql.includes('JOIN users u ON u.id = r.recipient_id')) {
+          return { rows: [requestRow({ message: 'Hi from the conference', user_id: bobId, username: 'bob' })] };
+        }
+      });
+
+      const result = await ContactRequest.create(aliceId, bobId, 'Hi from the conference');
+
+      expect(result.contact).toBeNull();
+      expect(result.request).toEqual(expect.objectContaining({
+        requesterId: aliceId,
+        recipientId: bobId,
+        status: 'pending',
+        message: 'Hi from the conference',
+        user: expect.objectContaining({ id: bobId, username: 'bob' })
+      }));
+      expect(queries(client).some(sql => sql.includes('INSERT INTO contacts'))).toBe(false);
+      expect(client.query).toHaveBeenCalledWith('COMMIT');
+    });
+
+    it('should accept the other user\'s pending request instead of sending a new one', async () => {
+      const client = mockClient((sql) => {
+        if (sql.includes('FROM users WHERE id')) {
+          return { rows: [{ id: aliceId }] };
+        }
+        if (sql.includes('COUNT(*)')) {
+          return { rows: [{ count: 0 }] };
+        }
+        if (sql.includes('FROM contact_requests') && sql.includes('FOR UPDATE')) {
+          return { rows: [requestRow()] };
+        }
+        if (sql.includes('FROM users u')) {
+          return { rows: [{ id: aliceId, username: 'alice' }] };
+        }
+        if (sql.includes('JOIN users u ON u.id = r.requester_id')) {
+          return { rows: [requestRow({ status: 'accepted', user_id: aliceId, username: 'alice' })] };
+        }
+      });
+
+      const result = await ContactRequest.create(bobId, aliceId);
+
+      expect(result.request.status).toBe('accepted');
+      expect(result.contact).toEqual(expect.objectContaining({ id: aliceId }));
+      const insert = client.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO contacts'));
+      expect(insert[1]).toEqual([aliceId, bobId]);
+      expect(queries(client).some(sql => sql.includes('INSERT INTO contact_requests'))).toBe(false);
+    });
+
+    it('should refuse requests to existing contacts and duplicate requests', async () => {
+      mockClient((sql) => {
+        if (sql.includes('FROM users WHERE id')) {
+          return { rows: [{ id: bobId }] };
+        }
+        if (sql.includes('COUNT(*)')) {
+          return { rows: [{ count: 2 }] };
+        }
+      });
+      await expect(ContactRequest.create(aliceId, bobId)).rejects.toThrow('Contact already exists');
+
+      const client = mockClient((sql) => {
+        if (sql.includes('FROM users WHERE id')) {
+          return { rows: [{ id: bobId }] };
+        }
+        if (sql.includes('COUNT(*)')) {
+          return { rows: [{ count: 0 }] };
+        }
+        if (sql.includes('INSERT INTO contact_requests')) {
+          throw Object.assign(new Error('duplicate key value'), { code: '23505' });
+        }
+      });
+      await expect(ContactRequest.create(aliceId, bobId)).rejects.toThrow('Contact request already sent');
+      expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+
+      await expect(ContactRequest.create(aliceId, aliceId)).rejects.toThrow('Cannot add yourself as a contact');
+    });
+  });
+
+  describe('ContactRequest.accept', () => {
+    it('should only let the recipient accept', async () => {
+      const client = mockClient(() => null);
+
+      expect(await ContactRequest.accept(requestId, aliceId)).toBeNull();
+      const [, params] = client.query.mock.calls.find(([sql]) => sql.includes('FOR UPDATE'));
+      expect(params).toEqual([requestId, aliceId]);
+      expect(queries(client).some(sql => sql.includes('INSERT INTO contacts'))).toBe(false);
+    });
+
+    it('should refuse requests that were already answered', async () => {
+      const client = mockClient((sql) => (
+        sql.includes('FOR UPDATE') ? { rows: [requestRow({ status: 'cancelled' })] } : null
+      ));
+
+      await expect(ContactRequest.accept(requestId, bobId)).rejects.toThrow('Contact request is no longer pending');
+      expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+    });
+  });
+
+  describe('POST /api/contacts/requests', () => {
+    it('should send a request and tell the recipient right away', async () => {
+      const sent = { request: { id: requestId, requesterId: aliceId, recipientId: bobId, status: 'pending' }, contact: null };
+      jest.spyOn(ContactRequest, 'create').mockResolvedValue(sent);
+      jest.spyOn(ContactRequest, 'sendContactRequestNotification').mockResolvedValue();
+      jest.spyOn(User, 'getById').mockResolvedValue({ id: aliceId, username: 'alice', fullName: 'Alice' });
+
+      const res = await request(app)
+        .post('/api/contacts/requests')
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .send({ contactId: bobId, message: 'Hi!' });
+
+      expect(res.status).toBe(201);
+      expect(res.body).toEqual(sent);
+      expect(ContactRequest.create).toHaveBeenCalledWith(aliceId, bobId, 'Hi!');
+      expect(emitToUser).toHaveBeenCalledWith(bobId, 'contact_request', {
+        action: 'received',
+        request: expect.objectContaining({ id: requestId, user: expect.objectContaining({ id: aliceId, name: 'Alice' }) })
+      });
+      expect(ContactRequest.sendContactRequestNotification).toHaveBeenCalledWith(sent.request, expect.objectContaining({ username: 'alice' }));
+    });
+
+    it('should return 409 when a request is already pending', async () => {
+      jest.spyOn(ContactRequest, 'create').mockRejectedValue(new Error('Contact request already sent'));
+
+      const res = await request(app)
+        .post('/api/contacts/requests')
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .send({ contactId: bobId });
+
+      expect(res.status).toBe(409);
+    });
+
+    it('should send a request rather than adding the contact from POST /api/contacts', async () => {
+      jest.spyOn(ContactRequest, 'create').mockResolvedValue({ request: { id: requestId, status: 'pending' }, contact: null });
+      jest.spyOn(ContactRequest, 'sendContactRequestNotification').mockResolvedValue();
+      jest.spyOn(User, 'getById').mockResolvedValue({ id: aliceId, username: 'alice' });
+      const addContact = jest.spyOn(Contact, 'addContact');
+
+      const res = await request(app)
+        .post('/api/contacts')
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .send({ contactId: bobId });
+
+      expect(res.status).toBe(201);
+      expect(res.body.request.status).toBe('pending');
+      expect(addContact).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Answering requests', () => {
+    it('should accept a request and tell the requester', async () => {
+      const accepted = {
+        request: { id: requestId, requesterId: aliceId, recipientId: bobId, status: 'accepted' },
+        contact: { id: aliceId, username: 'alice' }
+      };
+      jest.spyOn(ContactRequest, 'accept').mockResolvedValue(accepted);
+      jest.spyOn(User, 'getById').mockResolvedValue({ id: bobId, username: 'bob' });
+
+      const res = await request(app)
+        .post(`/api/contacts/requests/${requestId}/accept`)
+        .set('Authorization', `Bearer ${bobToken}`);
+
+      expect(res.status).toBe(200);
+      expect(ContactRequest.accept).toHaveBeenCalledWith(requestId, bobId);
+      expect(emitToUser).toHaveBeenCalledWith(aliceId, 'contact_request', expect.objectContaining({
+        action: 'accepted',
+        contact: expect.objectContaining({ id: bobId })
+      }));
+    });
+
+    it('should decline a request without telling the requester', async () => {
+      jest.spyOn(ContactRequest, 'decline').mockResolvedValue({ id: requestId, status: 'declined' });
+
+      const res = await request(app)
+        .post(`/api/contacts/requests/${requestId}/decline`)
+        .set('Authorization', `Bearer ${bobToken}`);
+
+      expect(res.status).toBe(200);
+      expect(emitToUser).not.toHaveBeenCalled();
+    });
+
+    it('should return 409 for a request that was already answered', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ status: 'accepted' }] });
+
+      const res = await request(app)
+        .post(`/api/contacts/requests/${requestId}/decline`)
+        .set('Authorization', `Bearer ${bobToken}`);
+
+      expect(res.status).toBe(409);
+    });
+
+    it('should let the requester cancel and tell the recipient', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [requestRow({ status: 'cancelled' })] });
+
+      const res = await request(app)
+        .delete(`/api/contacts/requests/${requestId}`)
+        .set('Authorization', `Bearer ${aliceToken}`);
+
+      expect(res.status).toBe(200);
+      expect(pool.query.mock.calls[0][1]).toEqual([requestId, aliceId, 'cancelled']);
+      expect(emitToUser).toHaveBeenCalledWith(bobId, 'contact_request', { action: 'cancelled', requestId });
+    });
+
+    it('should return 404 when someone else tries to cancel', async () => {
+      pool.query.mockResolvedValue({ rows: [] });
+
+      const res = await request(app)
+        .delete(`/api/contacts/requests/${requestId}`)
+        .set('Authorization', `Bearer ${bobToken}`);
+
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe('Inbox and outbox', () => {
+    it('should list pending requests sent to the user', async () => {
+      pool.query.mockResolvedValue({ rows: [requestRow({ user_id: aliceId, username: 'alice', name: 'Alice' })] });
+
+      const res = await request(app)
+        .get('/api/contacts/requests/incoming')
+        .set('Authorization', `Bearer ${bobToken}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual([expect.objectContaining({ id: requestId, user: expect.objectContaining({ id: aliceId, name: 'Alice' }) })]);
+      const [sql, params] = pool.query.mock.calls[0];
+      expect(sql).toContain("r.status = 'pending'");
+      expect(params).toEqual([bobId]);
+    });
+
+    it('should list pending requests the user has sent', async () => {
+      pool.query.mockResolvedValue({ rows: [] });
+
+      const res = await request(app)
+        .get('/api/contacts/requests/outgoing')
+        .set('Authorization', `Bearer ${aliceToken}`);
+
+      expect(res.status).toBe(200);
+      expect(pool.query.mock.calls[0][0]).toContain('r.requester_id = $1');
+    });
+  });
+
+  describe('Presence', () => {
+    it('should only share presence with accepted contacts', async () => {
+      pool.query.mockResolvedValue({ rows: [{ contact_id: bobId }] });
+
+      expect(await User.getContacts(aliceId)).toEqual([bobId]);
+      const [sql] = pool.query.mock.calls[0];
+      expect(sql).toContain('JOIN contacts r ON r.user_id = c.contact_id AND r.contact_id = c.user_id');
+    });
+  });
+});
@@ -0,0 +1,448 @@
+/**
+ * Conversation Export Tests
+ *
+ * Tests for exporting a conversation's history to a ZIP file
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+
+jest.mock('../src/config/database', () => ({
+  pool: { query: jest.fn(), connect: jest.fn() },
+  query: jest.fn()
+}));
+jest.mock('../src/config/redis', () => ({ redisClient: {} }));
+jest.mock('../src/models/User', () => ({
+  getAccountStatus: jest.fn().mockResolvedValue({ roles: [], suspended: false })
+}));
+jest.mock('../src/websocket/socket', () => ({
+  emitToUser: jest.fn(),
+  emitToConversation: jest.fn()
+}));
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const { pool } = require('../src/config/database');
+const { emitToUser } = require('../src/websocket/socket');
+const Conversation = require('../src/models/Conversation');
+const ConversationExport = require('../src/models/ConversationExport');
+const conversationExportService = require('../src/services/ConversationExportService');
+const conversationRoutes = require('../src/api/conversations/routes');
+const { ZipWriter, crc32 } = require('../src/utils/zip');
+const { errorHandler } = require('../src/middleware/errorHandler');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const aliceId = uuidv4();
+const bobId = uuidv4();
+const conversationId = uuidv4();
+const exportId = uuidv4();
+const mediaId = uuidv4();
+const token = jwt.sign({ userId: aliceId, username: 'alice' }, process.env.JWT_SECRET);
+
+const app = express();
+app.use(express.json());
+app.use('/api/conversations', conversationRoutes);
+app.use(errorHandler);
+
+/**
+ * Read the entries of a ZIP file
+ * @param {Buffer} data - Archive
+ * @returns {Object} Entry contents by name
+ */
+const readZip = (data) => {
+  const end = data.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  const count = data.readUInt16LE(end + 10);
+  let offset = data.readUInt32LE(end + 16);
+  const entries = {};
+
+  for (let i = 0; i < count; i++) {
+    const compressedSize = data.readUInt32LE(offset + 20);
+    const nameLength = data.readUInt16LE(offset + 28);
+    const headerOffset = data.readUInt32LE(offset + 42);
+    const name = data.toString('utf8', offset + 46, offset + 46 + nameLength);
+    const dataStart = headerOffset + 30 + data.readUInt16LE(headerOffset + 26);
+    const contents = zlib.inflateRawSync(data.subarray(dataStart, dataStart + compressedSize));
+
+    expect(crc32(contents)).toBe(data.readUInt32LE(offset + 16));
+    entries[name] = contents;
+    offset += 46 + nameLength;
+  }
+
+  return entries;
+};
+
+const conversation = (participants = [aliceId, bobId]) => ({
+  id: conversationId,
+  name: 'Trip <planning>',
+  is_group: true,
+  participants: participants.map(id => ({ id, role: 'member' }))
+});
+
+const job = (overrides = {}) => ({
+  id: exportId,
+  conversationId,
+  userId: aliceId,
+  includeMedia: true,
+  status: 'processing',
+  ...overrides
+});
+
+const messageRow = (overrides = {}) => ({
+  id: uuidv4(),
+  sender_id: aliceId,
+  sender_username: 'alice',
+  content: 'Hello',
+  message_type: 'text',
+  is_encrypted: false,
+  encrypted_content: null,
+  iv: null,
+  recipient_keys: {},
+  media_id: null,
+  parent_message_id: null,
+  forwarded_from_message_id: null,
+  link_preview: null,
+  timestamp: '2024-05-01T10:00:00.000Z',
+  edited_at: null,
+  reactions: [],
+  ...overrides
+});
+
+describe('Conversation export', () => {
+  let uploadDir;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+
+    uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'swickr-export-'));
+    conversationExportService.uploadDir = uploadDir;
+    conversationExportService.exportDir = path.join(uploadDir, 'exports');
+  });
+
+  afterEach(() => {
+    fs.rmSync(uploadDir, { recursive: true, force: true });
+  });
+
+  describe('ZipWriter', () => {
+    it('should write entries that read back intact', async () => {
+      const filePath = path.join(uploadDir, 'test.zip');
+      const zip = new ZipWriter(fs.createWriteStream(filePath));
+
+      await zip.addFile('notes/hello.txt', 'Héllo');
+      await zip.addStream('lines.txt', (async function* lines() {
+        for (let i = 0; i < 1000; i++) {
+          yield `line ${i}\n`;
+        }
+      })());
+      await zip.finish();
+
+      const entries = readZip(fs.readFileSync(filePath));
+      expect(Object.keys(entries)).toEqual(['notes/hello.txt', 'lines.txt']);
+      expect(entries['notes/hello.txt'].toString()).toBe('Héllo');
+      expect(entries['lines.txt'].toString().split('\n')).toHaveLength(1001);
+    });
+  });
+
+  describe('ConversationExportService.runExport', () => {
+    const exportFile = () => path.join(uploadDir, 'exports', `${exportId}.zip`);
+
+    it('should archive messages as JSON, HTML and plain text, with media files', async () => {
+      const parentId = uuidv4();
+      fs.mkdirSync(path.join(uploadDir, 'image', bobId), { recursive: true });
+      fs.writeFileSync(path.join(uploadDir, 'image', bobId, 'stored.png'), 'png-bytes');
+
+      jest.spyOn(Conversation, 'getById').mockResolvedValue(conversation());
+      jest.spyOn(ConversationExport, 'getMessages').mockResolvedValue([
+        messageRow({
+          id: parentId,
+          content: 'Look at <b>this</b>',
+          reactions: [
+            { emoji: '👍', userId: bobId, username: 'bob', timestamp: '2024-05-01T10:01:00.000Z' },
+            { emoji: '👍', userId: aliceId, username: 'alice', timestamp: '2024-05-01T10:02:00.000Z' }
+          ]
+        }),
+        messageRow({
+          sender_id: bobId,
+          sender_username: 'bob',
+          content: '',
+          parent_message_id: parentId,
+          media_id: mediaId,
+          media_type: 'image',
+          media_url: `/api/media/${mediaId}`,
+          media_size: '9',
+          media_mime_type: 'image/png',
+          media_owner_id: bobId,
+          media_folder: 'image',
+          media_filename: 'stored.png',
+          media_original_filename: 'beach.png',
+          timestamp: '2024-05-01T10:05:00.000Z'
+        }),
+        messageRow({
+          content: '',
+          is_encrypted: true,
+          encrypted_content: 'ciphertext',
+          iv: 'iv-1',
+          recipient_keys: { [bobId]: 'key-1' },
+          timestamp: '2024-05-01T10:10:00.000Z'
+        })
+      ]);
+      const markCompleted = jest.spyOn(ConversationExport, 'markCompleted')
+        .mockImplementation(async (id, file) => ({ id, status: 'completed', ...file }));
+
+      expect(await conversationExportService.runExport(job())).toBe(true);
+
+      const entries = readZip(fs.readFileSync(exportFile()));
+      expect(Object.keys(entries)).toEqual(['messages.json', 'transcript.html', 'transcript.txt', `media/${mediaId}.png`]);
+      expect(entries[`media/${mediaId}.png`].toString()).toBe('png-bytes');
+
+      const data = JSON.parse(entries['messages.json']);
+      expect(data.conversation).toEqual(expect.objectContaining({ id: conversationId, isGroup: true }));
+      expect(data.messages).toHaveLength(3);
+      expect(data.messages[0].reactions).toHaveLength(2);
+      expect(data.messages[1]).toEqual(expect.objectContaining({
+        parentMessageId: parentId,
+        media: expect.objectContaining({ id: mediaId, size: 9, filename: 'beach.png', file: `media/${mediaId}.png` })
+      }));
+      expect(data.messages[2]).toEqual(expect.objectContaining({
+        content: null,
+        isEncrypted: true,
+        encryptedContent: 'ciphertext',
+        iv: 'iv-1',
+        recipientKeys: { [bobId]: 'key-1' }
+      }));
+
+      const html = entries['transcript.html'].toString();
+      expect(html).toContain('<title>Trip &lt;planning&gt;</title>');
+      expect(html).toContain('Look at &lt;b&gt;this&lt;/b&gt;');
+      expect(html).not.toContain('<b>this</b>');
+      expect(html).toContain(`href="#message-${parentId}"`);
+      expect(html).toContain(`<img src="media/${mediaId}.png"`);
+      expect(html).toContain('👍 2');
+      expect(html).toContain('Encrypted message');
+
+      const text = entries['transcript.txt'].toString();
+      expect(text.startsWith('Trip <planning>\n')).toBe(true);
+      expect(text).toContain('] alice\n  Look at <b>this</b>\n  Reactions: 👍 2\n');
+      expect(text).toContain(`] bob\n  In reply to message ${parentId}\n  Attachment: beach.png (media/${mediaId}.png)\n`);
+      expect(text).toContain('  Encrypted message (its ciphertext is in messages.json)');
+      expect(fs.readdirSync(path.join(uploadDir, 'exports'))).toEqual([`${exportId}.zip`]);
+
+      const { size } = fs.statSync(exportFile());
+      expect(markCompleted).toHaveBeenCalledWith(exportId, { filePath: exportFile(), fileSize: size, messageCount: 3 });
+      expect(emitToUser).toHaveBeenCalledWith(aliceId, 'conversation_export_ready', expect.objectContaining({ id: exportId }));
+    });
+
+    it('should leave media files out unless asked for them', async () => {
+      fs.mkdirSync(path.join(uploadDir, 'image', bobId), { recursive: true });
+      fs.writeFileSync(path.join(uploadDir, 'image', bobId, 'stored.png'), 'png-bytes');
+
+      jest.spyOn(Conversation, 'getById').mockResolvedValue(conversation());
+      jest.spyOn(ConversationExport, 'getMessages').mockResolvedValue([messageRow({
+        media_id: mediaId,
+        media_type: 'image',
+        media_owner_id: bobId,
+        media_folder: 'image',
+        media_filename: 'stored.png'
+      })]);
+      jest.spyOn(ConversationExport, 'markCompleted').mockResolvedValue({});
+
+      await conversationExportService.runExport(job({ includeMedia: false }));
+
+      const entries = readZip(fs.readFileSync(exportFile()));
+      expect(Object.keys(entries)).toEqual(['messages.json', 'transcript.html', 'transcript.txt']);
+      expect(JSON.parse(entries['messages.json']).messages[0].media.file).toBeNull();
+    });
+
+    it('should not read media from outside the upload directory', () => {
+      expect(conversationExportService.getMediaPath(messageRow({
+        media_id: mediaId,
+        media_owner_id: '..',
+        media_folder: '..',
+        media_filename: 'etc/passwd'
+      }))).toBeNull();
+    });
+
+    it('should read long conversations a page at a time', async () => {
+      const rows = Array.from({ length: 250 }, (_, i) => messageRow({
+        timestamp: new Date(Date.UTC(2024, 0, 1, 0, i)).toISOString()
+      }));
+
+      jest.spyOn(Conversation, 'getById').mockResolvedValue(conversation());
+      const getMessages = jest.spyOn(ConversationExport, 'getMessages')
+        .mockImplementation(async (id, { after }) => (after ? rows.slice(200) : rows.slice(0, 200)));
+      const markCompleted = jest.spyOn(ConversationExport, 'markCompleted').mockResolvedValue({});
+
+      await conversationExportService.runExport(job());
+
+      // Each page is read once for every file in the archive
+      expect(getMessages).toHaveBeenCalledTimes(2);
+      expect(getMessages).toHaveBeenNthCalledWith(2, conversationId, {
+        after: { timestamp: rows[199].timestamp, id: rows[199].id },
+        limit: 200
+      });
+      expect(markCompleted.mock.calls[0][1].messageCount).toBe(250);
+      const entries = readZip(fs.readFileSync(exportFile()));
+      expect(JSON.parse(entries['messages.json']).messages).toHaveLength(250);
+      expect(entries['transcript.html'].toString().match(/<article /g)).toHaveLength(250);
+      expect(entries['transcript.txt'].toString().match(/^\[/gm)).toHaveLength(250);
+    });
+
+    it('should fail the export if the user has left the conversation', async () => {
+      jest.spyOn(Conversation, 'getById').mockResolvedValue(conversation([bobId]));
+      const markFailed = jest.spyOn(ConversationExport, 'markFailed')
+        .mockImplementation(async (id, reason) => ({ id, status: 'failed', error: reason }));
+
+      expect(await conversationExportService.runExport(job())).toBe(false);
+
+      expect(markFailed).toHaveBeenCalledWith(exportId, 'User is no longer a participant in this conversation');
+      expect(emitToUser).toHaveBeenCalledWith(aliceId, 'conversation_export_failed', expect.objectContaining({ status: 'failed' }));
+      expect(fs.existsSync(exportFile())).toBe(false);
+    });
+
+    it('should delete expired exports and their files', async () => {
+      const filePath = path.join(uploadDir, 'old.zip');
+      fs.writeFileSync(filePath, 'zip');
+      jest.spyOn(ConversationExport, 'deleteExpired').mockResolvedValue([filePath]);
+
+      expect(await conversationExportService.deleteExpiredExports()).toBe(1);
+      expect(fs.existsSync(filePath)).toBe(false);
+    });
+  });
+
+  describe('POST /api/conversations/:id/export', () => {
+    it('should queue an export', async () => {
+      jest.spyOn(Conversation, 'isParticipant').mockResolvedValue(true);
+      jest.spyOn(ConversationExport, 'getActive').mockResolvedValue(null);
+      const create = jest.spyOn(ConversationExport, 'create').mockResolvedValue(job({ status: 'pending' }));
+
+      const res = await request(app)
+        .post(`/api/conversations/${conversationId}/export`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ includeMedia: true });
+
+      expect(res.status).toBe(202);
+      expect(res.body.status).toBe('pending');
+      expect(create).toHaveBeenCalledWith({ conversationId, userId: aliceId, includeMedia: true });
+    });
+
+    it('should only let participants export a conversation', async () => {
+      jest.spyOn(Conversation, 'isParticipant').mockResolvedValue(false);
+
+      const res = await request(app)
+        .post(`/api/conversations/${conversationId}/export`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({});
+
+      expect(res.status).toBe(403);
+    });
+
+    it('should refuse a second export while one is running', async () => {
+      jest.spyOn(Conversation, 'isParticipant').mockResolvedValue(true);
+      jest.spyOn(ConversationExport, 'getActive').mockResolvedValue(job({ status: 'pending' }));
+      const create = jest.spyOn(ConversationExport, 'create');
+
+      const res = await request(app)
+        .post(`/api/conversations/${conversationId}/export`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({});
+
+      expect(res.status).toBe(409);
+      expect(create).not.toHaveBeenCalled();
+    });
+
+    it('should reject an invalid includeMedia', async () => {
+      const res = await request(app)
+        .post(`/api/conversations/${conversationId}/export`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ includeMedia: 'yes' });
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe('GET /api/conversations/:id/exports/:exportId', () => {
+    it('should return the export without its file path', async () => {
+      jest.spyOn(ConversationExport, 'getById').mockResolvedValue(job({ status: 'completed', filePath: '/srv/x.zip' }));
+
+      const res = await request(app)
+        .get(`/api/conversations/${conversationId}/exports/${exportId}`)
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.status).toBe('completed');
+      expect(res.body.filePath).toBeUndefined();
+    });
+
+    it('should hide other users\' exports', async () => {
+      jest.spyOn(ConversationExport, 'getById').mockResolvedValue(job({ userId: bobId }));
+
+      const res = await request(app)
+        .get(`/api/conversations/${conversationId}/exports/${exportId}`)
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe('GET /api/conversations/:id/exports/:exportId/download', () => {
+    it('should send the finished archive', async () => {
+      const filePath = path.join(uploadDir, 'done.zip');
+      fs.writeFileSync(filePath, 'zip-bytes');
+      jest.spyOn(ConversationExport, 'getById').mockResolvedValue(job({
+        status: 'completed',
+        filePath,
+        completedAt: '2024-05-02T08:00:00.000Z'
+      }));
+
+      const res = await request(app)
+        .get(`/api/conversations/${conversationId}/exports/${exportId}/download`)
+        .set('Authorization', `Bearer ${token}`)
+        .buffer(true)
+        .parse((response, callback) => {
+          const chunks = [];
+          response.on('data', chunk => chunks.push(chunk));
+          response.on('end', () => callback(null, Buffer.concat(chunks)));
+        });
+
+      expect(res.status).toBe(200);
+      expect(res.headers['content-disposition']).toContain('swickr-conversation-2024-05-02.zip');
+      expect(res.body.toString()).toBe('zip-bytes');
+    });
+
+    it('should refuse to download an unfinished export', async () => {
+      jest.spyOn(ConversationExport, 'getById').mockResolvedValue(job({ status: 'processing' }));
+
+      const res = await request(app)
+        .get(`/api/conversations/${conversationId}/exports/${exportId}/download`)
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(409);
+    });
+  });
+
+  describe('ConversationExport.getMessages', () => {
+    it('should page through messages oldest first', async () => {
+      pool.query.mockResolvedValue({ rows: [] });
+
+      await ConversationExport.getMessages(conversationId, {
+        after: { timestamp: '2024-05-01T10:00:00.000Z', id: mediaId },
+        limit: 50
+      });
+
+      const [sql, params] = pool.query.mock.calls[0];
+      expect(sql).toContain('ORDER BY m.timestamp ASC, m.id ASC');
+      expect(sql).toContain('(m.timestamp, m.id) > ($3::timestamptz, $4::uuid)');
+      expect(params).toEqual([conversationId, 50, '2024-05-01T10:00:00.000Z', mediaId]);
+    });
+  });
+});
@@ -0,0 +1,274 @@
+/**
+ * Conversation Notification Settings Tests
+ *
+ * Tests for muting conversations, per-conversation notification levels
+ * and how they affect push notifications and unread counts
+ */
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+
+jest.mock('../src/config/database', () => ({
+  pool: { query: jest.fn(), connect: jest.fn() },
+  query: jest.fn()
+}));
+jest.mock('../src/config/redis', () => ({ redisClient: {} }));
+jest.mock('../src/models/User', () => ({
+  getAccountStatus: jest.fn().mockResolvedValue({ roles: [], suspended: false })
+}));
+jest.mock('../src/models/Media', () => ({}));
+jest.mock('../src/websocket/socket', () => ({
+  emitToUser: jest.fn(),
+  emitToConversation: jest.fn(),
+  deliverMessage: jest.fn()
+}));
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const db = require('../src/config/database');
+const Conversation = require('../src/models/Conversation');
+const Message = require('../src/models/Message');
+const notificationService = require('../src/services/NotificationService');
+const conversationRoutes = require('../src/api/conversations/routes');
+const { errorHandler } = require('../src/middleware/errorHandler');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const userId = uuidv4();
+const senderId = uuidv4();
+const conversationId = uuidv4();
+const token = jwt.sign({ userId, username: 'muter' }, process.env.JWT_SECRET);
+
+const app = express();
+app.use(express.json());
+app.use('/api/conversations', conversationRoutes);
+app.use(errorHandler);
+
+const HOUR = 60 * 60 * 1000;
+
+const settings = (overrides = {}) => ({
+  conversationId,
+  level: 'all',
+  muted: false,
+  mutedUntil: null,
+  ...overrides
+});
+
+describe('Conversation notification settings', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+  });
+
+  describe('Conversation.updateNotificationSettings', () => {
+    it('should mute a conversation for 8 hours', async () => {
+      db.query.mockImplementation(async (sql, params) => ({
+        rows: [{ level: 'all', muted: params[3], muted_until: params[4], updated_at: new Date() }]
+      }));
+
+      const updated = await Conversation.updateNotificationSettings(conversationId, userId, { mute: '8h' });
+
+      const [sql, params] = db.query.mock.calls[0];
+      expect(sql).toContain('ON CONFLICT (user_id, conversation_id)');
+      expect(params.slice(0, 4)).toEqual([userId, conversationId, null, true]);
+      expect(params[4].getTime()).toBeGreaterThan(Date.now() + 8 * HOUR - 5000);
+      expect(updated.muted).toBe(true);
+    });
+
+    it('should mute forever without an expiry', async () => {
+      db.query.mockResolvedValue({ rows: [{ level: 'all', muted: true, muted_until: null }] });
+
+      const updated = await Conversation.updateNotificationSettings(conversationId, userId, { mute: 'forever' });
+
+      expect(db.query.mock.calls[0][1][4]).toBeNull();
+      expect(updated).toEqual(expect.objectContaining({ muted: true, mutedUntil: null }));
+    });
+
+    it('should reject unknown levels and durations', async () => {
+      await expect(Conversation.updateNotificationSettings(conversationId, userId, { level: 'some' }))
+        .rejects.toThrow('Invalid notification level');
+      await expect(Conversation.updateNotificationSettings(conversationId, userId, { mute: '3d' }))
+        .rejects.toThrow('Invalid mute duration');
+      expect(db.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Conversation.formatNotificationSettings', () => {
+    it('should treat an expired mute as unmuted', () => {
+      const expired = Conversation.formatNotificationSettings(conversationId, {
+        level: 'all',
+        muted: true,
+        muted_until: new Date(Date.now() - HOUR)
+      });
+
+      expect(expired).toEqual(expect.objectContaining({ muted: false, mutedUntil: null }));
+    });
+
+    it('should default to all notifications', () => {
+      expect(Conversation.formatNotificationSettings(conversationId, null))
+        .toEqual(expect.objectContaining({ level: 'all', muted: false }));
+    });
+  });
+
+  describe('Conversation.allowsNotification', () => {
+    it('should let mentions through a mute but not the none level', () => {
+      expect(Conversation.allowsNotification(settings({ muted: true }), 'message')).toBe(false);
+      expect(Conversation.allowsNotification(settings({ muted: true }), 'mention')).toBe(true);
+      expect(Conversation.allowsNotification(settings({ level: 'mentions' }), 'message')).toBe(false);
+      expect(Conversation.allowsNotification(settings({ level: 'mentions' }), 'mention')).toBe(true);
+      expect(Conversation.allowsNotification(settings({ level: 'none' }), 'mention')).toBe(false);
+    });
+  });
+
+  describe('NotificationService.sendNotification', () => {
+    const notification = (type) => ({ type, title: 'Hi', body: 'Hello', data: { conversationId } });
+
+    beforeEach(() => {
+      notificationService.initialized = true;
+      jest.spyOn(notificationService, 'getNotificationSettings').mockResolvedValue({
+        enabled: true,
+        newMessages: true,
+        mentions: true,
+        quietHoursEnabled: false
+      });
+    });
+
+    afterAll(() => {
+      notificationService.initialized = false;
+    });
+
+    it('should skip pushes for muted conversations', async () => {
+      jest.spyOn(Conversation, 'getNotificationSettings').mockResolvedValue(settings({ muted: true }));
+      const getUserSubscriptions = jest.spyOn(notificationService, 'getUserSubscriptions');
+
+      const result = await notificationService.sendNotification(userId, notification('message'));
+
+      expect(result).toEqual(expect.objectContaining({ skipped: true, reason: 'conversation_muted' }));
+      expect(getUserSubscriptions).not.toHaveBeenCalled();
+    });
+
+    it('should still push mentions in muted conversations', async () => {
+      jest.spyOn(Conversation, 'getNotificationSettings').mockResolvedValue(settings({ muted: true }));
+      jest.spyOn(notificationService, 'getUserSubscriptions').mockResolvedValue([]);
+
+      const result = await notificationService.sendNotification(userId, notification('mention'));
+
+      expect(result.reason).toBe('no_subscriptions');
+    });
+  });
+
+  describe('Message.sendNewMessageNotification', () => {
+    it('should not notify recipients who muted the conversation', async () => {
+      const quietId = uuidv4();
+      const loudId = uuidv4();
+      db.pool.query.mockImplementation(async (sql) => {
+        if (sql.includes('FROM conversations')) {
+          return { rows: [{ id: conversationId, is_group: true, name: 'Team', username: 'alice' }] };
+        }
+        return {
+          rows: [
+            { user_id: quietId, level: 'all', muted: true, muted_until: new Date(Date.now() + HOUR) },
+            { user_id: loudId, level: null, muted: null, muted_until: null }
+          ]
+        };
+      });
+      const sendNotification = jest.spyOn(notificationService, 'sendNotification').mockResolvedValue({});
+
+      await Message.sendNewMessageNotification({ id: uuidv4(), conversationId, senderId, content: 'Lunch?' });
+
+      expect(sendNotification).toHaveBeenCalledTimes(1);
+      expect(sendNotification).toHaveBeenCalledWith(loudId, expect.objectContaining({ type: 'message' }));
+    });
+  });
+
+  describe('Message.getUnreadSummary', () => {
+    const mutedId = uuidv4();
+    const unreadRows = () => [
+      { conversation_id: conversationId, unread_count: '3', level: null, muted: null, muted_until: null },
+      { conversation_id: mutedId, unread_count: '12', level: 'all', muted: true, muted_until: null }
+    ];
+
+    it('should flag muted conversations', async () => {
+      db.pool.query.mockResolvedValue({ rows: unreadRows() });
+
+      const summary = await Message.getUnreadSummary(userId);
+
+      expect(summary[conversationId]).toEqual({ count: 3, muted: false, mutedUntil: null, level: 'all' });
+      expect(summary[mutedId]).toEqual({ count: 12, muted: true, mutedUntil: null, level: 'all' });
+    });
+
+    it('should keep Message.getUnreadCounts returning plain numbers', async () => {
+      db.pool.query.mockResolvedValue({ rows: unreadRows() });
+
+      expect(await Message.getUnreadCounts(userId)).toEqual({ [conversationId]: 3, [mutedId]: 12 });
+      expect(db.pool.query.mock.calls[0][0]).toContain("m.status != 'read'");
+    });
+  });
+
+  describe('/api/conversations/:id/notifications', () => {
+    it('should return the user\'s settings', async () => {
+      jest.spyOn(Conversation, 'isParticipant').mockResolvedValue(true);
+      jest.spyOn(Conversation, 'getNotificationSettings').mockResolvedValue(settings());
+
+      const res = await request(app)
+        .get(`/api/conversations/${conversationId}/notifications`)
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual(settings());
+    });
+
+    it('should update the mute and level', async () => {
+      jest.spyOn(Conversation, 'isParticipant').mockResolvedValue(true);
+      const update = jest.spyOn(Conversation, 'updateNotificationSettings')
+        .mockResolvedValue(settings({ level: 'mentions', muted: true }));
+
+      const res = await request(app)
+        .put(`/api/conversations/${conversationId}/notifications`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ level: 'mentions', mute: '1w' });
+
+      expect(res.status).toBe(200);
+      expect(update).toHaveBeenCalledWith(conversationId, userId, { level: 'mentions', mute: '1w' });
+    });
+
+    it('should reject invalid settings', async () => {
+      jest.spyOn(Conversation, 'isParticipant').mockResolvedValue(true);
+
+      const res = await request(app)
+        .put(`/api/conversations/${conversationId}/notifications`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ mute: 'tomorrow' });
+
+      expect(res.status).toBe(400);
+    });
+
+    it('should forbid non-participants', async () => {
+      jest.spyOn(Conversation, 'isParticipant').mockResolvedValue(false);
+
+      const res = await request(app)
+        .put(`/api/conversations/${conversationId}/notifications`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ mute: '8h' });
+
+      expect(res.status).toBe(403);
+    });
+
+    it('should reset the settings', async () => {
+      jest.spyOn(Conversation, 'isParticipant').mockResolvedValue(true);
+      const reset = jest.spyOn(Conversation, 'resetNotificationSettings').mockResolvedValue(settings());
+
+      const res = await request(app)
+        .delete(`/api/conversations/${conversationId}/notifications`)
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(200);
+      expect(reset).toHaveBeenCalledWith(conversationId, userId);
+    });
+  });
+});
@@ -0,0 +1,238 @@
+/**
+ * Disappearing Message Tests
+ *
+ * Tests for per-conversation message timers, the expiry sweeper and
+ * the endpoint for changing the timer
+ */
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+
+jest.mock('../src/config/database', () => ({
+  pool: { query: jest.fn(), connect: jest.fn() },
+  query: jest.fn()
+}));
+jest.mock('../src/config/redis', () => ({ redisClient: {} }));
+jest.mock('../src/models/User', () => ({
+  getAccountStatus: jest.fn().mockResolvedValue({ roles: [], suspended: false })
+}));
+jest.mock('../src/models/Media', () => ({
+  cleanupMarkedForDeletion: jest.fn()
+}));
+jest.mock('../src/websocket/socket', () => ({
+  emitToUser: jest.fn(),
+  emitToConversation: jest.fn(),
+  deliverMessage: jest.fn()
+}));
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const db = require('../src/config/database');
+const { pool } = db;
+const { emitToConversation } = require('../src/websocket/socket');
+const Media = require('../src/models/Media');
+const Message = require('../src/models/Message');
+const Conversation = require('../src/models/Conversation');
+const messageExpiryService = require('../src/services/MessageExpiryService');
+const conversationRoutes = require('../src/api/conversations/routes');
+const { errorHandler } = require('../src/middleware/errorHandler');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const userId = uuidv4();
+const conversationId = uuidv4();
+const token = jwt.sign({ userId, username: 'alice' }, process.env.JWT_SECRET);
+
+const app = express();
+app.use(express.json());
+app.use('/api/conversations', conversationRoutes);
+app.use(errorHandler);
+
+/**
+ * Create a mock database client for transactions
+ *
+ * @param {Function} handler - Answers non-transaction queries
+ * @returns {Object} Mock client
+ */
+const mockClient = (handler) => {
+  const client = {
+    query: jest.fn(async (sql, params) => {
+      if (sql === 'BEGIN' || sql === 'COMMIT' || sql === 'ROLLBACK') {
+        return { rows: [] };
+      }
+      return handler(sql, params);
+    }),
+    release: jest.fn()
+  };
+  pool.connect.mockResolvedValue(client);
+  return client;
+};
+
+describe('Disappearing messages', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+  });
+
+  describe('Message model', () => {
+    it('should give new messages an expiry from the conversation timer', async () => {
+      const expiresAt = new Date(Date.now() + 30000).toISOString();
+      const client = mockClient(async (sql) => (
+        sql.includes('INSERT INTO messages') ? { rows: [{ id: 'x', expires_at: expiresAt }] } : { rows: [] }
+      ));
+
+      const message = await Message.create({ conversationId, senderId: userId, content: 'Gone soon' });
+
+      const [sql, params] = client.query.mock.calls.find(([query]) => query.includes('INSERT INTO messages'));
+      expect(sql).toContain('make_interval(secs => message_ttl)');
+      expect(params[17]).toBe('text');
+      expect(message.expiresAt).toBe(expiresAt);
+    });
+
+    it('should hard-delete expired messages, mark their media for deletion and replace their last_message', async () => {
+      const mediaId = uuidv4();
+      const expired = [
+        { id: uuidv4(), conversation_id: conversationId, media_id: mediaId },
+        { id: uuidv4(), conversation_id: conversationId, media_id: null }
+      ];
+      const client = mockClient(async (sql) => (
+        sql.includes('DELETE FROM messages') ? { rows: expired } : { rows: [] }
+      ));
+
+      const deleted = await Message.deleteExpired(100);
+
+      const deleteCall = client.query.mock.calls.find(([sql]) => sql.includes('DELETE FROM messages'));
+      expect(deleteCall[0]).toContain('expires_at <= NOW()');
+      expect(deleteCall[0]).toContain('SKIP LOCKED');
+      expect(client.query).toHaveBeenCalledWith(expect.stringContaining('marked_for_deletion = true'), [[mediaId]]);
+      const lastMessageCall = client.query.mock.calls.find(([sql]) => sql.includes('SET last_message'));
+      expect(lastMessageCall[0]).toContain('m.expires_at IS NULL OR m.expires_at > NOW()');
+      expect(lastMessageCall[1]).toEqual([[conversationId]]);
+      expect(client.query).toHaveBeenCalledWith('COMMIT');
+      expect(deleted).toEqual([
+        { id: expired[0].id, conversationId, mediaId },
+        { id: expired[1].id, conversationId, mediaId: null }
+      ]);
+    });
+  });
+
+  describe('Conversation.updateSettings', () => {
+    it('should store the timer in seconds', async () => {
+      db.query.mockImplementation(async (sql) => {
+        if (sql.includes('FROM conversations')) {
+          return { rows: [{ id: conversationId, is_group: false, message_ttl: null }] };
+        }
+        return { rows: [] };
+      });
+
+      await Conversation.updateSettings(conversationId, { disappearingTimer: '5m' });
+
+      const updateCall = db.query.mock.calls.find(([sql]) => sql.includes('UPDATE conversations'));
+      expect(updateCall[0]).toContain('message_ttl = $2');
+      expect(updateCall[1][1]).toBe(300);
+    });
+
+    it('should reject unknown timers', async () => {
+      db.query.mockResolvedValue({ rows: [{ id: conversationId }] });
+
+      await expect(Conversation.updateSettings(conversationId, { disappearingTimer: '2h' }))
+        .rejects.toThrow('Invalid disappearing message timer');
+    });
+
+    it('should map stored TTLs back to timer names', () => {
+      expect(Conversation.getDisappearingTimer(null)).toBe('off');
+      expect(Conversation.getDisappearingTimer(86400)).toBe('1d');
+    });
+  });
+
+  describe('MessageExpiryService', () => {
+    it('should notify each conversation and clean up media', async () => {
+      const otherConversationId = uuidv4();
+      jest.spyOn(Message, 'deleteExpired').mockResolvedValue([
+        { id: 'm1', conversationId, mediaId: 'media-1' },
+        { id: 'm2', conversationId, mediaId: null },
+        { id: 'm3', conversationId: otherConversationId, mediaId: null }
+      ]);
+      Media.cleanupMarkedForDeletion.mockResolvedValue(1);
+
+      const deleted = await messageExpiryService.sweep();
+
+      expect(deleted).toBe(3);
+      expect(emitToConversation).toHaveBeenCalledWith(conversationId, 'messages_expired',
+        expect.objectContaining({ conversationId, messageIds: ['m1', 'm2'] }));
+      expect(emitToConversation).toHaveBeenCalledWith(otherConversationId, 'messages_expired',
+        expect.objectContaining({ conversationId: otherConversationId, messageIds: ['m3'] }));
+      expect(Media.cleanupMarkedForDeletion).toHaveBeenCalled();
+    });
+
+    it('should do nothing when no messages have expired', async () => {
+      jest.spyOn(Message, 'deleteExpired').mockResolvedValue([]);
+
+      expect(await messageExpiryService.sweep()).toBe(0);
+      expect(emitToConversation).not.toHaveBeenCalled();
+      expect(Media.cleanupMarkedForDeletion).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('PUT /api/conversations/:id/disappearing', () => {
+    it('should change the timer and post a system message', async () => {
+      const systemMessage = { id: uuidv4(), conversationId, type: 'system' };
+      jest.spyOn(Conversation, 'getById').mockResolvedValue({ id: conversationId, is_group: false, message_ttl: null });
+      jest.spyOn(Conversation, 'isParticipant').mockResolvedValue(true);
+      const updateSettings = jest.spyOn(Conversation, 'updateSettings').mockResolvedValue({});
+      const createSystemMessage = jest.spyOn(Message, 'createSystemMessage').mockResolvedValue(systemMessage);
+
+      const res = await request(app)
+        .put(`/api/conversations/${conversationId}/disappearing`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ timer: '1h' });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ conversationId, disappearingTimer: '1h' });
+      expect(updateSettings).toHaveBeenCalledWith(conversationId, { disappearingTimer: '1h' });
+      expect(createSystemMessage).toHaveBeenCalledWith(conversationId, userId, 'alice set disappearing messages to 1 hour');
+      expect(emitToConversation).toHaveBeenCalledWith(conversationId, 'new_message', systemMessage);
+    });
+
+    it('should not post a system message when the timer is unchanged', async () => {
+      jest.spyOn(Conversation, 'getById').mockResolvedValue({ id: conversationId, is_group: false, message_ttl: 3600 });
+      jest.spyOn(Conversation, 'isParticipant').mockResolvedValue(true);
+      const createSystemMessage = jest.spyOn(Message, 'createSystemMessage');
+
+      const res = await request(app)
+        .put(`/api/conversations/${conversationId}/disappearing`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ timer: '1h' });
+
+      expect(res.status).toBe(200);
+      expect(createSystemMessage).not.toHaveBeenCalled();
+    });
+
+    it('should only let admins change the timer in groups', async () => {
+      jest.spyOn(Conversation, 'getById').mockResolvedValue({ id: conversationId, is_group: true, message_ttl: null });
+      jest.spyOn(Conversation, 'isParticipant').mockResolvedValue(true);
+      jest.spyOn(Conversation, 'isAdmin').mockResolvedValue(false);
+
+      const res = await request(app)
+        .put(`/api/conversations/${conversationId}/disappearing`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ timer: '1d' });
+
+      expect(res.status).toBe(403);
+    });
+
+    it('should reject unknown timers', async () => {
+      const res = await request(app)
+        .put(`/api/conversations/${conversationId}/disappearing`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ timer: 'forever' });
+
+      expect(res.status).toBe(400);
+    });
+  });
+});
@@ -0,0 +1,415 @@
+/**
+ * Group Invite Tests
+ *
+ * Tests for group invite links, joining through them, and admin approval
+ * of join requests
+ */
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+
+jest.mock('../src/config/database', () => ({
+  pool: { query: jest.fn(), connect: jest.fn() },
+  query: jest.fn()
+}));
+jest.mock('../src/config/redis', () => ({ redisClient: {} }));
+jest.mock('../src/websocket/socket', () => ({
+  emitToUser: jest.fn(),
+  emitToConversation: jest.fn()
+}));
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const { pool } = require('../src/config/database');
+const { emitToUser, emitToConversation } = require('../src/websocket/socket');
+const GroupInvite = require('../src/models/GroupInvite');
+const Conversation = require('../src/models/Conversation');
+const Message = require('../src/models/Message');
+const User = require('../src/models/User');
+const conversationRoutes = require('../src/api/conversations/routes');
+const { errorHandler } = require('../src/middleware/errorHandler');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const adminId = uuidv4();
+const memberId = uuidv4();
+const joinerId = uuidv4();
+const conversationId = uuidv4();
+const inviteId = uuidv4();
+const requestId = uuidv4();
+const adminToken = jwt.sign({ userId: adminId, username: 'ada' }, process.env.JWT_SECRET);
+const memberToken = jwt.sign({ userId: memberId, username: 'max' }, process.env.JWT_SECRET);
+const joinerToken = jwt.sign({ userId: joinerId, username: 'jo' }, process.env.JWT_SECRET);
+
+const app = express();
+app.use(express.json());
+app.use('/api/conversations', conversationRoutes);
+app.use(errorHandler);
+
+const group = (participantIds = [adminId, memberId], permissions = {}) => ({
+  id: conversationId,
+  is_group: true,
+  name: 'Climbing club',
+  permissions,
+  participants: participantIds.map(id => ({ id, role: id === adminId ? 'admin' : 'member' }))
+});
+
+const inviteRow = (overrides = {}) => ({
+  id: inviteId,
+  conversation_id: conversationId,
+  created_by: adminId,
+  code: 'abcdefghijklmnop',
+  max_uses: null,
+  use_count: 0,
+  require_approval: false,
+  expires_at: null,
+  revoked_at: null,
+  created_at: new Date(),
+  ...overrides
+});
+
+const mockClient = (handler) => {
+  const client = {
+    query: jest.fn(async (sql, params) => handler(sql, params) || { rows: [] }),
+    release: jest.fn()
+  };
+  pool.connect.mockResolvedValue(client);
+  return client;
+};
+
+const inviteClient = (row, { member = false } = {}) => mockClient((sql, params) => {
+  if (sql.includes('FROM group_invites')) {
+    return { rows: [row] };
+  }
+  if (sql.includes('FROM conversation_participants')) {
+    return { rows: member ? [{}] : [] };
+  }
+  if (sql.includes('INSERT INTO group_join_requests')) {
+    return { rows: [{ id: params[0], conversation_id: params[1], invite_id: params[2], user_id: params[3], status: 'pending' }] };
+  }
+});
+
+// Position of the first query containing text, or -1
+const queryIndex = (client, text) => client.query.mock.calls.findIndex(([sql]) => sql.includes(text));
+
+const asAdmin = () => {
+  jest.spyOn(Conversation, 'getById').mockResolvedValue(group());
+};
+
+describe('Group invites', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+    // The auth middleware checks the account on every request
+    jest.spyOn(User, 'getAccountStatus').mockResolvedValue({ roles: [], suspended: false });
+  });
+
+  describe('GroupInvite.join', () => {
+    it('should add the user and count the use in one transaction', async () => {
+      const client = inviteClient(inviteRow({ max_uses: 3, use_count: 2 }));
+      jest.spyOn(Conversation, 'getById').mockResolvedValue(group([adminId, memberId, joinerId]));
+
+      const result = await GroupInvite.join('abcdefghijklmnop', joinerId);
+
+      expect(result.status).toBe('joined');
+      expect(result.conversation.participants).toHaveLength(3);
+      // Added through Conversation.addParticipants, inside the transaction
+      expect(Conversation.getById).toHaveBeenCalledWith(conversationId, { client });
+      const countUse = queryIndex(client, 'use_count = use_count + 1');
+      const addMember = queryIndex(client, 'INSERT INTO conversation_participants');
+      const commit = queryIndex(client, 'COMMIT');
+      expect(countUse).toBeGreaterThan(-1);
+      expect(client.query.mock.calls[addMember][1]).toEqual([conversationId, joinerId, 'member']);
+      expect(addMember).toBeLessThan(commit);
+      expect(countUse).toBeLessThan(commit);
+    });
+
+    it('should not count the use if the user can\'t be added', async () => {
+      const client = mockClient((sql) => {
+        if (sql.includes('FROM group_invites')) {
+          return { rows: [inviteRow()] };
+        }
+        if (sql.includes('INSERT INTO conversation_participants')) {
+          throw new Error('insert or update on table "conversation_participants" violates foreign key constraint');
+        }
+      });
+      jest.spyOn(Conversation, 'getById').mockResolvedValue(group());
+
+      await expect(GroupInvite.join('abcdefghijklmnop', joinerId)).rejects.toThrow('violates foreign key constraint');
+      expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+      expect(client.query).not.toHaveBeenCalledWith('COMMIT');
+    });
+
+    it('should leave a join request when an admin must approve', async () => {
+      const client = inviteClient(inviteRow({ require_approval: true }));
+
+      const result = await GroupInvite.join('abcdefghijklmnop', joinerId);
+
+      expect(result).toEqual(expect.objectContaining({
+        status: 'pending',
+        conversationId,
+        joinRequest: expect.objectContaining({ userId: joinerId, status: 'pending' })
+      }));
+      expect(queryIndex(client, 'INSERT INTO conversation_participants')).toBe(-1);
+    });
+
+    it('should refuse revoked, expired and used up invites and existing members', async () => {
+      inviteClient(inviteRow({ revoked_at: new Date() }));
+      await expect(GroupInvite.join('abcdefghijklmnop', joinerId)).rejects.toThrow('Invite has been revoked');
+
+      inviteClient(inviteRow({ expires_at: new Date(Date.now() - 1000) }));
+      await expect(GroupInvite.join('abcdefghijklmnop', joinerId)).rejects.toThrow('Invite has expired');
+
+      inviteClient(inviteRow({ max_uses: 1, use_count: 1 }));
+      await expect(GroupInvite.join('abcdefghijklmnop', joinerId)).rejects.toThrow('Invite has been used up');
+
+      const client = inviteClient(inviteRow(), { member: true });
+      await expect(GroupInvite.join('abcdefghijklmnop', memberId)).rejects.toThrow('Already a participant in this group');
+      expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+      expect(queryIndex(client, 'INSERT INTO conversation_participants')).toBe(-1);
+    });
+
+    it('should return null for unknown codes', async () => {
+      mockClient(() => null);
+
+      expect(await GroupInvite.join('nope', joinerId)).toBeNull();
+    });
+  });
+
+  describe('Managing invites', () => {
+    it('should let admins create an invite link', async () => {
+      asAdmin();
+      pool.query.mockImplementation(async (sql, params) => ({
+        rows: [inviteRow({ id: params[0], code: params[3], max_uses: params[4], require_approval: params[5] })]
+      }));
+
+      const res = await request(app)
+        .post(`/api/conversations/${conversationId}/invites`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ maxUses: 10, requireApproval: true, expiresInHours: 24 });
+
+      expect(res.status).toBe(201);
+      expect(res.body).toEqual(expect.objectContaining({ maxUses: 10, requireApproval: true }));
+      expect(res.body.code).toMatch(/^[A-Za-z0-9_-]{16}$/);
+      expect(res.body.link).toMatch(new RegExp(`/join/${res.body.code}$`));
+      const [, params] = pool.query.mock.calls[0];
+      expect(params.slice(1)).toEqual([conversationId, adminId, res.body.code, 10, true, 24]);
+    });
+
+    it('should not let other members create invite links', async () => {
+      jest.spyOn(Conversation, 'getById').mockResolvedValue(group());
+
+      const res = await request(app)
+        .post(`/api/conversations/${conversationId}/invites`)
+        .set('Authorization', `Bearer ${memberToken}`)
+        .send({});
+
+      expect(res.status).toBe(403);
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+
+    it('should let members create invite links when the group lets them add members', async () => {
+      jest.spyOn(Conversation, 'getById').mockResolvedValue(group([adminId, memberId], { addMembers: 'member' }));
+      pool.query.mockImplementation(async (sql, params) => ({
+        rows: [inviteRow({ id: params[0], created_by: params[2], code: params[3] })]
+      }));
+
+      const res = await request(app)
+        .post(`/api/conversations/${conversationId}/invites`)
+        .set('Authorization', `Bearer ${memberToken}`)
+        .send({});
+
+      expect(res.status).toBe(201);
+      expect(pool.query.mock.calls[0][1][2]).toBe(memberId);
+    });
+
+    it('should not let admins manage invites when only the owner can add members', async () => {
+      jest.spyOn(Conversation, 'getById').mockResolvedValue(group([adminId, memberId], { addMembers: 'owner' }));
+
+      const res = await request(app)
+        .get(`/api/conversations/${conversationId}/join-requests`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.status).toBe(403);
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+
+    it('should not create invite links for direct conversations', async () => {
+      jest.spyOn(Conversation, 'getById').mockResolvedValue({ ...group(), is_group: false });
+
+      const res = await request(app)
+        .post(`/api/conversations/${conversationId}/invites`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({});
+
+      expect(res.status).toBe(400);
+    });
+
+    it('should revoke an invite link', async () => {
+      asAdmin();
+      pool.query.mockResolvedValue({ rowCount: 1 });
+
+      const res = await request(app)
+        .delete(`/api/conversations/${conversationId}/invites/${inviteId}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.status).toBe(200);
+      expect(pool.query.mock.calls[0][1]).toEqual([inviteId, conversationId]);
+    });
+  });
+
+  describe('POST /api/conversations/invites/:code/join', () => {
+    it('should announce the new member to the group', async () => {
+      const joined = group([adminId, memberId, joinerId]);
+      jest.spyOn(GroupInvite, 'join').mockResolvedValue({ status: 'joined', conversationId, conversation: joined });
+      const systemMessage = { id: uuidv4(), type: 'system', content: 'jo joined using an invite link' };
+      jest.spyOn(Message, 'createSystemMessage').mockResolvedValue(systemMessage);
+
+      const res = await request(app)
+        .post('/api/conversations/invites/abcdefghijklmnop/join')
+        .set('Authorization', `Bearer ${joinerToken}`);
+
+      expect(res.status).toBe(200);
+      expect(GroupInvite.join).toHaveBeenCalledWith('abcdefghijklmnop', joinerId);
+      expect(Message.createSystemMessage).toHaveBeenCalledWith(conversationId, joinerId, 'jo joined using an invite link');
+      expect(emitToUser).toHaveBeenCalledWith(adminId, 'participant_joined', { conversationId, userId: joinerId, username: 'jo' });
+      expect(emitToUser).toHaveBeenCalledWith(memberId, 'participant_joined', expect.any(Object));
+      expect(emitToUser).not.toHaveBeenCalledWith(joinerId, 'participant_joined', expect.any(Object));
+      expect(emitToConversation).toHaveBeenCalledWith(conversationId, 'new_message', systemMessage);
+    });
+
+    it('should tell admins about a pending join request', async () => {
+      const joinRequest = { id: requestId, conversationId, userId: joinerId, status: 'pending' };
+      jest.spyOn(GroupInvite, 'join').mockResolvedValue({ status: 'pending', conversationId, joinRequest });
+      jest.spyOn(Conversation, 'getById').mockResolvedValue(group());
+      const createSystemMessage = jest.spyOn(Message, 'createSystemMessage');
+
+      const res = await request(app)
+        .post('/api/conversations/invites/abcdefghijklmnop/join')
+        .set('Authorization', `Bearer ${joinerToken}`);
+
+      expect(res.status).toBe(202);
+      expect(emitToUser).toHaveBeenCalledWith(adminId, 'group_join_request', expect.objectContaining({ id: requestId }));
+      expect(emitToUser).not.toHaveBeenCalledWith(memberId, 'group_join_request', expect.any(Object));
+      expect(createSystemMessage).not.toHaveBeenCalled();
+    });
+
+    it('should tell every member who may approve a pending join request', async () => {
+      const joinRequest = { id: requestId, conversationId, userId: joinerId, status: 'pending' };
+      jest.spyOn(GroupInvite, 'join').mockResolvedValue({ status: 'pending', conversationId, joinRequest });
+      jest.spyOn(Conversation, 'getById').mockResolvedValue(group([adminId, memberId], { addMembers: 'member' }));
+
+      const res = await request(app)
+        .post('/api/conversations/invites/abcdefghijklmnop/join')
+        .set('Authorization', `Bearer ${joinerToken}`);
+
+      expect(res.status).toBe(202);
+      expect(emitToUser).toHaveBeenCalledWith(adminId, 'group_join_request', expect.objectContaining({ id: requestId }));
+      expect(emitToUser).toHaveBeenCalledWith(memberId, 'group_join_request', expect.objectContaining({ id: requestId }));
+    });
+
+    it('should return 403 for an invite that can\'t be used', async () => {
+      jest.spyOn(GroupInvite, 'join').mockRejectedValue(new Error('Invite has expired'));
+
+      const res = await request(app)
+        .post('/api/conversations/invites/abcdefghijklmnop/join')
+        .set('Authorization', `Bearer ${joinerToken}`);
+
+      expect(res.status).toBe(403);
+    });
+
+    it('should preview the group before joining', async () => {
+      pool.query.mockResolvedValue({
+        rows: [{ conversation_id: conversationId, name: 'Climbing club', participant_count: 2, require_approval: true, expires_at: null }]
+      });
+
+      const res = await request(app)
+        .get('/api/conversations/invites/abcdefghijklmnop')
+        .set('Authorization', `Bearer ${joinerToken}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ conversationId, name: 'Climbing club', participantCount: 2, requireApproval: true, expiresAt: null });
+    });
+  });
+
+  describe('Join requests', () => {
+    it('should list pending join requests for admins', async () => {
+      asAdmin();
+      pool.query.mockResolvedValue({
+        rows: [{ id: requestId, conversation_id: conversationId, user_id: joinerId, status: 'pending', username: 'jo' }]
+      });
+
+      const res = await request(app)
+        .get(`/api/conversations/${conversationId}/join-requests`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual([expect.objectContaining({ id: requestId, user: expect.objectContaining({ username: 'jo' }) })]);
+    });
+
+    it('should add the user when an admin approves', async () => {
+      jest.spyOn(Conversation, 'getById')
+        .mockResolvedValueOnce(group())
+        .mockResolvedValue(group([adminId, memberId, joinerId]));
+      const client = mockClient((sql) => {
+        if (sql.includes('UPDATE group_join_requests')) {
+          return { rows: [{ id: requestId, conversation_id: conversationId, user_id: joinerId, status: 'approved', reviewed_by: adminId }] };
+        }
+      });
+      jest.spyOn(User, 'getById').mockResolvedValue({ id: joinerId, username: 'jo' });
+      jest.spyOn(Message, 'createSystemMessage').mockResolvedValue({ id: uuidv4() });
+
+      const res = await request(app)
+        .post(`/api/conversations/${conversationId}/join-requests/${requestId}/approve`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.status).toBe(200);
+      const review = queryIndex(client, 'UPDATE group_join_requests');
+      const addMember = queryIndex(client, 'INSERT INTO conversation_participants');
+      expect(client.query.mock.calls[addMember][1]).toEqual([conversationId, joinerId, 'member']);
+      expect(review).toBeLessThan(addMember);
+      expect(addMember).toBeLessThan(queryIndex(client, 'COMMIT'));
+      expect(Message.createSystemMessage).toHaveBeenCalledWith(conversationId, joinerId, 'jo joined, approved by ada');
+      expect(emitToUser).toHaveBeenCalledWith(joinerId, 'added_to_group', expect.objectContaining({ id: conversationId }));
+      expect(emitToUser).toHaveBeenCalledWith(memberId, 'participant_joined', expect.objectContaining({ userId: joinerId }));
+    });
+
+    it('should return 409 for a request that was already reviewed', async () => {
+      asAdmin();
+      const client = mockClient((sql) => {
+        if (sql.includes('SELECT status FROM group_join_requests')) {
+          return { rows: [{ status: 'rejected' }] };
+        }
+      });
+
+      const res = await request(app)
+        .post(`/api/conversations/${conversationId}/join-requests/${requestId}/approve`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.status).toBe(409);
+      expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+      expect(queryIndex(client, 'INSERT INTO conversation_participants')).toBe(-1);
+    });
+
+    it('should reject a join request without adding the user', async () => {
+      asAdmin();
+      pool.query.mockResolvedValueOnce({
+        rows: [{ id: requestId, conversation_id: conversationId, user_id: joinerId, status: 'rejected' }]
+      });
+      const addParticipants = jest.spyOn(Conversation, 'addParticipants');
+
+      const res = await request(app)
+        .post(`/api/conversations/${conversationId}/join-requests/${requestId}/reject`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.status).toBe('rejected');
+      expect(addParticipants).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,471 @@
+/**
+ * Group Role Tests
+ *
+ * Tests for group roles, per-group permission settings, ownership
+ * transfer and the checks on posting, pinning and managing members
+ */
+process.env.NODE_ENV = 'development';
+delete process.env.REDIS_URL;
+
+const http = require('http');
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const ioClient = require('socket.io-client');
+const { v4: uuidv4 } = require('uuid');
+
+jest.mock('../src/config/database', () => ({
+  pool: { query: jest.fn(), connect: jest.fn() },
+  query: jest.fn()
+}));
+jest.mock('../src/models/User', () => ({
+  getById: jest.fn(),
+  getContacts: jest.fn().mockResolvedValue([]),
+  updateStatus: jest.fn().mockResolvedValue(true),
+  getAccountStatus: jest.fn().mockResolvedValue({ roles: [], suspended: false })
+}));
+jest.mock('../src/websocket/socket', () => ({
+  emitToUser: jest.fn(),
+  emitToConversation: jest.fn()
+}));
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const db = require('../src/config/database');
+const redis = require('../src/config/redis');
+const { emitToConversation } = require('../src/websocket/socket');
+const Conversation = require('../src/models/Conversation');
+const Message = require('../src/models/Message');
+const User = require('../src/models/User');
+const UserBlock = require('../src/models/UserBlock');
+const conversationRoutes = require('../src/api/conversations/routes');
+const { errorHandler } = require('../src/middleware/errorHandler');
+const { JWT_SECRET } = require('../src/config/auth');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const ownerId = uuidv4();
+const adminId = uuidv4();
+const moderatorId = uuidv4();
+const memberId = uuidv4();
+const readOnlyId = uuidv4();
+const conversationId = uuidv4();
+
+const tokenFor = (userId, username) => jwt.sign({ userId, username }, process.env.JWT_SECRET);
+
+const app = express();
+app.use(express.json());
+app.use('/api/conversations', conversationRoutes);
+app.use(errorHandler);
+
+const group = (overrides = {}) => ({
+  id: conversationId,
+  is_group: true,
+  name: 'Book club',
+  permissions: {},
+  participants: [
+    { id: ownerId, role: 'owner' },
+    { id: adminId, role: 'admin' },
+    { id: moderatorId, role: 'moderator' },
+    { id: memberId, role: 'member' },
+    { id: readOnlyId, role: 'read_only' }
+  ],
+  ...overrides
+});
+
+const mockClient = (handler) => {
+  const client = {
+    query: jest.fn(async (sql, params) => handler(sql, params) || { rows: [] }),
+    release: jest.fn()
+  };
+  db.pool.connect.mockResolvedValue(client);
+  return client;
+};
+
+describe('Group roles', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+  });
+
+  describe('Conversation.can', () => {
+    it('should let members post but not read-only members', () => {
+      expect(Conversation.can(group(), memberId, 'sendMessages')).toBe(true);
+      expect(Conversation.can(group(), readOnlyId, 'sendMessages')).toBe(false);
+    });
+
+    it('should follow the group\'s permission settings', () => {
+      const announcements = group({ permissions: { sendMessages: 'admin', pinMessages: 'moderator' } });
+
+      expect(Conversation.can(announcements, memberId, 'sendMessages')).toBe(false);
+      expect(Conversation.can(announcements, adminId, 'sendMessages')).toBe(true);
+      expect(Conversation.can(announcements, moderatorId, 'pinMessages')).toBe(true);
+      expect(Conversation.can(group(), moderatorId, 'pinMessages')).toBe(false);
+    });
+
+    it('should let every participant of a direct conversation do everything', () => {
+      const direct = { id: conversationId, is_group: false, participants: [{ id: memberId, role: 'member' }] };
+
+      expect(Conversation.can(direct, memberId, 'editInfo')).toBe(true);
+      expect(Conversation.can(direct, ownerId, 'sendMessages')).toBe(false);
+    });
+
+    it('should reject unknown permissions', () => {
+      expect(() => Conversation.can(group(), ownerId, 'deleteGroup')).toThrow('Unknown group permission');
+    });
+  });
+
+  describe('Conversation.canAssignRole', () => {
+    it('should only let the owner make admins', () => {
+      expect(Conversation.canAssignRole('owner', 'member', 'admin')).toBe(true);
+      expect(Conversation.canAssignRole('admin', 'member', 'admin')).toBe(false);
+    });
+
+    it('should let members manage only those ranked below them', () => {
+      expect(Conversation.canAssignRole('admin', 'member', 'moderator')).toBe(true);
+      expect(Conversation.canAssignRole('moderator', 'member', 'read_only')).toBe(true);
+      expect(Conversation.canAssignRole('moderator', 'moderator', 'member')).toBe(false);
+      expect(Conversation.canAssignRole('member', 'read_only', 'member')).toBe(false);
+      expect(Conversation.canAssignRole('owner', 'admin', 'owner')).toBe(false);
+    });
+  });
+
+  describe('Conversation.updatePermissions', () => {
+    it('should merge the changes into the group\'s settings', async () => {
+      db.query.mockResolvedValue({ rows: [{ permissions: { sendMessages: 'admin' } }] });
+
+      const permissions = await Conversation.updatePermissions(conversationId, { sendMessages: 'admin' });
+
+      expect(permissions).toEqual({ ...Conversation.GROUP_PERMISSIONS, sendMessages: 'admin' });
+      expect(db.query.mock.calls[0][1]).toEqual([conversationId, JSON.stringify({ sendMessages: 'admin' })]);
+    });
+
+    it('should reject unknown permissions and roles', async () => {
+      await expect(Conversation.updatePermissions(conversationId, { deleteGroup: 'admin' })).rejects.toThrow('Invalid permission');
+      await expect(Conversation.updatePermissions(conversationId, { sendMessages: 'read_only' })).rejects.toThrow('Invalid role');
+      expect(db.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Conversation.leaveGroup', () => {
+    it('should pass ownership to the highest-ranked remaining member', async () => {
+      jest.spyOn(Conversation, 'getById').mockResolvedValue(group());
+      const client = mockClient((sql) => {
+        if (sql.includes('SELECT role')) {
+          return { rows: [{ role: 'owner' }] };
+        }
+        if (sql.includes('array_position')) {
+          return { rows: [{ user_id: adminId }] };
+        }
+      });
+
+      const newOwnerId = await Conversation.leaveGroup(conversationId, ownerId);
+
+      expect(newOwnerId).toBe(adminId);
+      const statements = client.query.mock.calls.map(([sql]) => sql);
+      const deleted = statements.findIndex(sql => sql.includes('DELETE FROM conversation_participants'));
+      const promoted = statements.findIndex(sql => sql.includes('SET role = \'owner\''));
+      expect(deleted).toBeGreaterThan(-1);
+      expect(promoted).toBeGreaterThan(deleted);
+      expect(client.query).toHaveBeenCalledWith('COMMIT');
+    });
+
+    it('should not look for a new owner when anyone else leaves', async () => {
+      jest.spyOn(Conversation, 'getById').mockResolvedValue(group());
+      const client = mockClient((sql) => {
+        if (sql.includes('SELECT role')) {
+          return { rows: [{ role: 'member' }] };
+        }
+      });
+
+      expect(await Conversation.leaveGroup(conversationId, memberId)).toBeNull();
+      expect(client.query.mock.calls.some(([sql]) => sql.includes('array_position'))).toBe(false);
+    });
+  });
+
+  describe('Conversation.transferOwnership', () => {
+    it('should make the old owner an admin before promoting the new one', async () => {
+      const client = mockClient((sql) => {
+        if (sql.includes('FOR UPDATE')) {
+          return { rows: [{ user_id: ownerId, role: 'owner' }, { user_id: memberId, role: 'member' }] };
+        }
+      });
+
+      await Conversation.transferOwnership(conversationId, ownerId, memberId);
+
+      const updates = client.query.mock.calls.filter(([sql]) => sql.startsWith('UPDATE'));
+      expect(updates[0]).toEqual([expect.stringContaining('role = \'admin\''), [conversationId, ownerId]]);
+      expect(updates[1]).toEqual([expect.stringContaining('role = \'owner\''), [conversationId, memberId]]);
+    });
+
+    it('should refuse anyone but the owner', async () => {
+      const client = mockClient((sql) => {
+        if (sql.includes('FOR UPDATE')) {
+          return { rows: [{ user_id: adminId, role: 'admin' }, { user_id: memberId, role: 'member' }] };
+        }
+      });
+
+      await expect(Conversation.transferOwnership(conversationId, adminId, memberId)).rejects.toThrow('Only the owner can transfer ownership');
+      expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+    });
+  });
+
+  describe('PUT /api/conversations/:id/permissions', () => {
+    it('should let admins change the settings and tell the group', async () => {
+      jest.spyOn(Conversation, 'getById').mockResolvedValue(group());
+      const permissions = { ...Conversation.GROUP_PERMISSIONS, sendMessages: 'admin' };
+      const updatePermissions = jest.spyOn(Conversation, 'updatePermissions').mockResolvedValue(permissions);
+
+      const res = await request(app)
+        .put(`/api/conversations/${conversationId}/permissions`)
+        .set('Authorization', `Bearer ${tokenFor(adminId, 'ada')}`)
+        .send({ sendMessages: 'admin' });
+
+      expect(res.status).toBe(200);
+      expect(updatePermissions).toHaveBeenCalledWith(conversationId, { sendMessages: 'admin' });
+      expect(emitToConversation).toHaveBeenCalledWith(conversationId, 'group_permissions_updated', { conversationId, permissions });
+    });
+
+    it('should not let moderators change the settings', async () => {
+      jest.spyOn(Conversation, 'getById').mockResolvedValue(group());
+      const updatePermissions = jest.spyOn(Conversation, 'updatePermissions');
+
+      const res = await request(app)
+        .put(`/api/conversations/${conversationId}/permissions`)
+        .set('Authorization', `Bearer ${tokenFor(moderatorId, 'mo')}`)
+        .send({ pinMessages: 'moderator' });
+
+      expect(res.status).toBe(403);
+      expect(updatePermissions).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 for invalid settings', async () => {
+      jest.spyOn(Conversation, 'getById').mockResolvedValue(group());
+
+      const res = await request(app)
+        .put(`/api/conversations/${conversationId}/permissions`)
+        .set('Authorization', `Bearer ${tokenFor(ownerId, 'olga')}`)
+        .send({ sendMessages: 'everyone' });
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe('PUT /api/conversations/:id', () => {
+    it('should follow the group\'s editInfo setting for renaming', async () => {
+      jest.spyOn(Conversation, 'getById').mockResolvedValue(group({ permissions: { editInfo: 'moderator' } }));
+      const updateGroup = jest.spyOn(Conversation, 'updateGroup').mockResolvedValue(group());
+
+      const denied = await request(app)
+        .put(`/api/conversations/${conversationId}`)
+        .set('Authorization', `Bearer ${tokenFor(memberId, 'max')}`)
+        .send({ name: 'Renamed' });
+
+      expect(denied.status).toBe(403);
+      expect(updateGroup).not.toHaveBeenCalled();
+
+      const res = await request(app)
+        .put(`/api/conversations/${conversationId}`)
+        .set('Authorization', `Bearer ${tokenFor(moderatorId, 'mo')}`)
+        .send({ name: 'Renamed' });
+
+      expect(res.status).toBe(200);
+      expect(updateGroup).toHaveBeenCalledWith(conversationId, { name: 'Renamed', avatarUrl: undefined });
+      expect(emitToConversation).toHaveBeenCalledWith(conversationId, 'conversation_updated', expect.objectContaining({ id: conversationId }));
+    });
+
+    it('should only let members allowed to add members add participants', async () => {
+      const newUserId = uuidv4();
+      jest.spyOn(Conversation, 'getById').mockResolvedValue(group());
+      const addParticipants = jest.spyOn(Conversation, 'addParticipants').mockResolvedValue(group());
+
+      const denied = await request(app)
+        .put(`/api/conversations/${conversationId}`)
+        .set('Authorization', `Bearer ${tokenFor(moderatorId, 'mo')}`)
+        .send({ addParticipants: [newUserId] });
+
+      expect(denied.status).toBe(403);
+      expect(addParticipants).not.toHaveBeenCalled();
+
+      const res = await request(app)
+        .put(`/api/conversations/${conversationId}`)
+        .set('Authorization', `Bearer ${tokenFor(adminId, 'ada')}`)
+        .send({ addParticipants: [newUserId, memberId] });
+
+      expect(res.status).toBe(200);
+      expect(addParticipants).toHaveBeenCalledWith(conversationId, [newUserId]);
+    });
+
+    it('should only let members remove those ranked below them', async () => {
+      jest.spyOn(Conversation, 'getById').mockResolvedValue(group());
+      const removeParticipant = jest.spyOn(Conversation, 'removeParticipant').mockResolvedValue();
+
+      const denied = await request(app)
+        .put(`/api/conversations/${conversationId}`)
+        .set('Authorization', `Bearer ${tokenFor(moderatorId, 'mo')}`)
+        .send({ removeParticipants: [adminId] });
+
+      expect(denied.status).toBe(403);
+      expect(removeParticipant).not.toHaveBeenCalled();
+
+      const res = await request(app)
+        .put(`/api/conversations/${conversationId}`)
+        .set('Authorization', `Bearer ${tokenFor(moderatorId, 'mo')}`)
+        .send({ removeParticipants: [memberId] });
+
+      expect(res.status).toBe(200);
+      expect(removeParticipant).toHaveBeenCalledWith(conversationId, memberId);
+    });
+  });
+
+  describe('PUT /api/conversations/:id/participants/:userId/role', () => {
+    it('should let an admin make a member a moderator', async () => {
+      jest.spyOn(Conversation, 'getById').mockResolvedValue(group());
+      const setRole = jest.spyOn(Conversation, 'setRole').mockResolvedValue();
+
+      const res = await request(app)
+        .put(`/api/conversations/${conversationId}/participants/${memberId}/role`)
+        .set('Authorization', `Bearer ${tokenFor(adminId, 'ada')}`)
+        .send({ role: 'moderator' });
+
+      expect(res.status).toBe(200);
+      expect(setRole).toHaveBeenCalledWith(conversationId, memberId, 'moderator');
+      expect(emitToConversation).toHaveBeenCalledWith(conversationId, 'member_role_changed', {
+        conversationId,
+        userId: memberId,
+        role: 'moderator',
+        changedBy: adminId
+      });
+    });
+
+    it('should not let an admin make other admins', async () => {
+      jest.spyOn(Conversation, 'getById').mockResolvedValue(group());
+      const setRole = jest.spyOn(Conversation, 'setRole');
+
+      const res = await request(app)
+        .put(`/api/conversations/${conversationId}/participants/${memberId}/role`)
+        .set('Authorization', `Bearer ${tokenFor(adminId, 'ada')}`)
+        .send({ role: 'admin' });
+
+      expect(res.status).toBe(403);
+      expect(setRole).not.toHaveBeenCalled();
+    });
+
+    it('should not hand out ownership as a role', async () => {
+      const res = await request(app)
+        .put(`/api/conversations/${conversationId}/participants/${memberId}/role`)
+        .set('Authorization', `Bearer ${tokenFor(ownerId, 'olga')}`)
+        .send({ role: 'owner' });
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe('POST /api/conversations/:id/owner', () => {
+    it('should transfer ownership and announce it', async () => {
+      jest.spyOn(Conversation, 'getById').mockResolvedValue(group());
+      const transferOwnership = jest.spyOn(Conversation, 'transferOwnership').mockResolvedValue();
+      User.getById.mockResolvedValue({ id: memberId, username: 'mel' });
+      jest.spyOn(Message, 'createSystemMessage').mockResolvedValue({ id: uuidv4() });
+
+      const res = await request(app)
+        .post(`/api/conversations/${conversationId}/owner`)
+        .set('Authorization', `Bearer ${tokenFor(ownerId, 'olga')}`)
+        .send({ userId: memberId });
+
+      expect(res.status).toBe(200);
+      expect(transferOwnership).toHaveBeenCalledWith(conversationId, ownerId, memberId);
+      expect(Message.createSystemMessage).toHaveBeenCalledWith(conversationId, ownerId, 'olga made mel the group owner');
+      expect(emitToConversation).toHaveBeenCalledWith(conversationId, 'ownership_transferred', {
+        conversationId,
+        previousOwnerId: ownerId,
+        newOwnerId: memberId
+      });
+    });
+
+    it('should only let the owner transfer ownership', async () => {
+      jest.spyOn(Conversation, 'getById').mockResolvedValue(group());
+      const transferOwnership = jest.spyOn(Conversation, 'transferOwnership');
+
+      const res = await request(app)
+        .post(`/api/conversations/${conversationId}/owner`)
+        .set('Authorization', `Bearer ${tokenFor(adminId, 'ada')}`)
+        .send({ userId: adminId });
+
+      expect(res.status).toBe(403);
+      expect(transferOwnership).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('DELETE /api/conversations/:id/leave', () => {
+    it('should announce the new owner when the owner leaves', async () => {
+      jest.spyOn(Conversation, 'getById').mockResolvedValue(group());
+      jest.spyOn(Conversation, 'leaveGroup').mockResolvedValue(adminId);
+      jest.spyOn(Message, 'createSystemMessage').mockResolvedValue({ id: uuidv4() });
+
+      const res = await request(app)
+        .delete(`/api/conversations/${conversationId}/leave`)
+        .set('Authorization', `Bearer ${tokenFor(ownerId, 'olga')}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.newOwnerId).toBe(adminId);
+      expect(Message.createSystemMessage).toHaveBeenCalledWith(conversationId, ownerId, 'olga left the group');
+      expect(emitToConversation).toHaveBeenCalledWith(conversationId, 'participant_left', { conversationId, userId: ownerId });
+      expect(emitToConversation).toHaveBeenCalledWith(conversationId, 'ownership_transferred', {
+        conversationId,
+        previousOwnerId: ownerId,
+        newOwnerId: adminId
+      });
+    });
+  });
+
+  describe('Socket message handler', () => {
+    const { initializeSocketServer } = jest.requireActual('../src/websocket/socket');
+    const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+    let server;
+    let io;
+    let client;
+
+    beforeAll(async () => {
+      server = http.createServer();
+      io = await initializeSocketServer(server);
+      await new Promise(resolve => server.listen(0, resolve));
+
+      client = ioClient(`http://localhost:${server.address().port}`, {
+        auth: { token: jwt.sign({ userId: readOnlyId }, JWT_SECRET) },
+        transports: ['websocket'],
+        forceNew: true
+      });
+      await new Promise(resolve => client.once('connect', resolve));
+      for (let attempt = 0; attempt < 50; attempt++) {
+        if ((await redis.getUserSockets(readOnlyId)).includes(client.id)) {
+          break;
+        }
+        await sleep(20);
+      }
+    });
+
+    afterAll(async () => {
+      client.close();
+      // Let the offline grace period run out so no timers are left behind
+      await sleep(5500);
+      await new Promise(resolve => io.close(resolve));
+    }, 10000);
+
+    it('should refuse messages from read-only members', async () => {
+      jest.spyOn(Conversation, 'getById').mockResolvedValue(group());
+      jest.spyOn(UserBlock, 'getBlockedOrBlockingIds').mockResolvedValue([]);
+      const create = jest.spyOn(Message, 'create');
+
+      const error = new Promise(resolve => client.once('error', resolve));
+      client.emit('message', { conversationId, content: 'Can I talk?' });
+
+      expect(await error).toEqual({ message: 'You do not have permission to post in this conversation' });
+      expect(create).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,436 @@
+/**
+ * Link Preview Tests
+ *
+ * Tests for fetching, caching and delivering previews of links in messages,
+ * run against a local HTTP fixture server
+ */
+process.env.NODE_ENV = 'development';
+delete process.env.REDIS_URL;
+
+const http = require('http');
+const jwt = require('jsonwebtoken');
+const ioClient = require('socket.io-client');
+const { v4: uuidv4 } = require('uuid');
+
+jest.mock('../src/config/database', () => ({
+  pool: { query: jest.fn(), connect: jest.fn() },
+  query: jest.fn()
+}));
+jest.mock('../src/models/User', () => ({
+  getById: jest.fn(),
+  getContacts: jest.fn().mockResolvedValue([]),
+  updateStatus: jest.fn().mockResolvedValue(true),
+  getAccountStatus: jest.fn().mockResolvedValue({ roles: [], suspended: false })
+}));
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const { pool } = require('../src/config/database');
+const redis = require('../src/config/redis');
+const cache = require('../src/utils/cache');
+const Message = require('../src/models/Message');
+const UserBlock = require('../src/models/UserBlock');
+const LinkPreviewService = require('../src/services/LinkPreviewService');
+const { extractUrls, sanitizeLinkPreview } = require('../src/utils/links');
+const { initializeSocketServer, deliverMessage } = require('../src/websocket/socket');
+const { JWT_SECRET } = require('../src/config/auth');
+
+const aliceId = uuidv4();
+const bobId = uuidv4();
+const conversationId = uuidv4();
+const messageId = uuidv4();
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Pages served by the fixture server
+const pages = {
+  '/article': `<html><head>
+    <meta property="og:title" content="Swickr &amp; friends">
+    <meta property="og:description" content="All about   the app">
+    <meta property="og:image" content="/cover.png">
+    <meta property="og:site_name" content="Swickr Blog">
+    <title>Ignored title</title>
+  </head><body>Hello</body></html>`,
+  '/plain': `<html><head>
+    <title>Plain page</title>
+    <meta name="description" content="Just a title and a description">
+  </head></html>`,
+  '/oembed-page': `<html><head>
+    <link rel="alternate" type="application/json+oembed" href="/oembed.json">
+    <meta property="og:description" content="A video">
+  </head></html>`,
+  '/empty': '<html><body>Nothing to see</body></html>'
+};
+
+const fixture = http.createServer((req, res) => {
+  fixture.requests.push(req.url);
+
+  if (pages[req.url]) {
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+    res.end(pages[req.url]);
+  } else if (req.url === '/oembed.json') {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ title: 'Cat video', thumbnail_url: '/thumb.jpg', provider_name: 'Tube' }));
+  } else if (req.url === '/redirect') {
+    res.writeHead(302, { Location: '/article' });
+    res.end();
+  } else if (req.url === '/loop') {
+    res.writeHead(302, { Location: '/loop' });
+    res.end();
+  } else if (req.url === '/big') {
+    res.writeHead(200, { 'Content-Type': 'text/html' });
+    res.write('<html><head><meta property="og:title" content="Big page"></head><body>');
+    res.end('x'.repeat(256 * 1024));
+  } else if (req.url === '/slow') {
+    // Sends headers but never finishes the page
+    res.writeHead(200, { 'Content-Type': 'text/html' });
+    res.write('<html><head>');
+  } else if (req.url === '/image') {
+    res.writeHead(200, { 'Content-Type': 'image/png' });
+    res.end(Buffer.alloc(64));
+  } else {
+    res.writeHead(404);
+    res.end();
+  }
+});
+fixture.requests = [];
+
+let baseUrl;
+
+describe('Link Previews', () => {
+  beforeAll(async () => {
+    await new Promise(resolve => fixture.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${fixture.address().port}`;
+  });
+
+  afterAll(async () => {
+    fixture.closeAllConnections();
+    await new Promise(resolve => fixture.close(resolve));
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+    cache.clear();
+    fixture.requests = [];
+
+    // The fixture server is on localhost
+    LinkPreviewService.allowPrivateNetworks = true;
+    LinkPreviewService.timeout = 5000;
+    LinkPreviewService.maxResponseBytes = 512 * 1024;
+  });
+
+  afterEach(() => {
+    LinkPreviewService.allowPrivateNetworks = false;
+  });
+
+  describe('extractUrls', () => {
+    it('should find unique http(s) URLs without trailing punctuation', () => {
+      expect(extractUrls('See https://example.com/a, and (http://example.org/b). Again: https://example.com/a!'))
+        .toEqual(['https://example.com/a', 'http://example.org/b']);
+    });
+
+    it('should ignore other schemes and URLs with credentials', () => {
+      expect(extractUrls('ftp://example.com javascript:alert(1) https://user:pw@example.com')).toEqual([]);
+      expect(extractUrls(null)).toEqual([]);
+    });
+  });
+
+  describe('sanitizeLinkPreview', () => {
+    it('should trim fields and drop unsafe image URLs', () => {
+      expect(sanitizeLinkPreview({
+        url: 'https://example.com',
+        title: `  ${'a'.repeat(400)} `,
+        image: 'javascript:alert(1)',
+        extra: 'ignored'
+      })).toEqual({
+        url: 'https://example.com/',
+        title: `${'a'.repeat(297)}...`,
+        description: null,
+        image: null,
+        siteName: null
+      });
+    });
+
+    it('should reject previews with nothing to show', () => {
+      expect(sanitizeLinkPreview({ url: 'https://example.com' })).toBeNull();
+      expect(sanitizeLinkPreview({ url: 'file:///etc/passwd', title: 'Secrets' })).toBeNull();
+      expect(sanitizeLinkPreview('https://example.com')).toBeNull();
+    });
+  });
+
+  describe('fetching', () => {
+    it('should build a preview from Open Graph tags', async () => {
+      expect(await LinkPreviewService.getPreview(`${baseUrl}/article`)).toEqual({
+        url: `${baseUrl}/article`,
+        title: 'Swickr & friends',
+        description: 'All about the app',
+        image: `${baseUrl}/cover.png`,
+        siteName: 'Swickr Blog'
+      });
+    });
+
+    it('should fall back to the page title and meta description', async () => {
+      expect(await LinkPreviewService.getPreview(`${baseUrl}/plain`)).toEqual(expect.objectContaining({
+        title: 'Plain page',
+        description: 'Just a title and a description',
+        image: null
+      }));
+    });
+
+    it('should fill in missing details from oEmbed data', async () => {
+      expect(await LinkPreviewService.getPreview(`${baseUrl}/oembed-page`)).toEqual({
+        url: `${baseUrl}/oembed-page`,
+        title: 'Cat video',
+        description: 'A video',
+        image: `${baseUrl}/thumb.jpg`,
+        siteName: 'Tube'
+      });
+    });
+
+    it('should follow redirects and use the final URL', async () => {
+      const preview = await LinkPreviewService.getPreview(`${baseUrl}/redirect`);
+
+      expect(preview.url).toBe(`${baseUrl}/article`);
+      expect(fixture.requests).toEqual(['/redirect', '/article']);
+    });
+
+    it('should give up on redirect loops', async () => {
+      expect(await LinkPreviewService.getPreview(`${baseUrl}/loop`)).toBeNull();
+      expect(fixture.requests).toHaveLength(4);
+    });
+
+    it('should stop reading at the size limit', async () => {
+      LinkPreviewService.maxResponseBytes = 1024;
+
+      const page = await LinkPreviewService.fetch(`${baseUrl}/big`, Date.now() + 5000, 'text/html');
+
+      expect(page.body).toHaveLength(1024);
+      expect((await LinkPreviewService.getPreview(`${baseUrl}/big`)).title).toBe('Big page');
+    });
+
+    it('should give up on pages that take too long', async () => {
+      LinkPreviewService.timeout = 200;
+
+      const started = Date.now();
+      expect(await LinkPreviewService.getPreview(`${baseUrl}/slow`)).toBeNull();
+      expect(Date.now() - started).toBeLessThan(2000);
+    });
+
+    it('should not preview non-HTML responses or pages with nothing to show', async () => {
+      expect(await LinkPreviewService.getPreview(`${baseUrl}/image`)).toBeNull();
+      expect(await LinkPreviewService.getPreview(`${baseUrl}/empty`)).toBeNull();
+      expect(await LinkPreviewService.getPreview(`${baseUrl}/missing`)).toBeNull();
+    });
+  });
+
+  describe('SSRF protection', () => {
+    it('should refuse private, loopback and link-local addresses', () => {
+      LinkPreviewService.allowPrivateNetworks = false;
+
+      ['10.1.2.3', '127.0.0.1', '169.254.169.254', '172.16.5.4', '192.168.1.1', '0.0.0.0',
+        '::1', '::ffff:127.0.0.1', 'fd00::1', 'fe80::1', 'not-an-ip'].forEach((address) => {
+        expect(LinkPreviewService.isAllowedAddress(address)).toBe(false);
+      });
+
+      ['8.8.8.8', '93.184.216.34', '2606:4700:4700::1111'].forEach((address) => {
+        expect(LinkPreviewService.isAllowedAddress(address)).toBe(true);
+      });
+    });
+
+    it('should not connect to a private IP address', async () => {
+      LinkPreviewService.allowPrivateNetworks = false;
+
+      await expect(LinkPreviewService.fetch(`${baseUrl}/article`, Date.now() + 5000, 'text/html'))
+        .rejects.toThrow('Address 127.0.0.1 is not allowed');
+      expect(fixture.requests).toEqual([]);
+    });
+
+    it('should not connect to a hostname that resolves to a private address', async () => {
+      LinkPreviewService.allowPrivateNetworks = false;
+      const url = `http://localhost:${fixture.address().port}/article`;
+
+      await expect(LinkPreviewService.fetch(url, Date.now() + 5000, 'text/html'))
+        .rejects.toThrow('is not allowed');
+      expect(await LinkPreviewService.getPreview(url)).toBeNull();
+      expect(fixture.requests).toEqual([]);
+    });
+  });
+
+  describe('caching', () => {
+    it('should fetch each URL once, even when asked at the same time', async () => {
+      const url = `${baseUrl}/article`;
+
+      const [first, second] = await Promise.all([
+        LinkPreviewService.getPreview(url),
+        LinkPreviewService.getPreview(url)
+      ]);
+      const third = await LinkPreviewService.getPreview(url);
+
+      expect(second).toEqual(first);
+      expect(third).toEqual(first);
+      expect(fixture.requests).toEqual(['/article']);
+      expect(cache.get(`link-preview:${url}`)).toEqual(first);
+    });
+
+    it('should remember pages that could not be previewed', async () => {
+      await LinkPreviewService.getPreview(`${baseUrl}/missing`);
+      await LinkPreviewService.getPreview(`${baseUrl}/missing`);
+
+      expect(fixture.requests).toEqual(['/missing']);
+    });
+  });
+
+  describe('previewMessage', () => {
+    it('should store the preview of the first link in a message', async () => {
+      pool.query.mockResolvedValue({ rowCount: 1 });
+
+      const content = `Read ${baseUrl}/article and ${baseUrl}/plain`;
+      const preview = await LinkPreviewService.previewMessage({ id: messageId, content });
+
+      expect(preview.title).toBe('Swickr & friends');
+      expect(pool.query).toHaveBeenCalledWith(
+        expect.stringContaining('SET link_preview'),
+        [JSON.stringify(preview), messageId, content]
+      );
+      expect(fixture.requests).toEqual(['/article']);
+    });
+
+    it('should not store the preview if the message was edited meanwhile', async () => {
+      // No row still has the content the preview was built from
+      pool.query.mockResolvedValue({ rowCount: 0 });
+
+      expect(await LinkPreviewService.previewMessage({
+        id: messageId,
+        content: `Read ${baseUrl}/article`
+      })).toBeNull();
+      expect(pool.query.mock.calls[0][0]).toContain('AND content = $3');
+    });
+
+    it('should skip encrypted messages', async () => {
+      expect(await LinkPreviewService.previewMessage({
+        id: messageId,
+        isEncrypted: true,
+        content: `${baseUrl}/article`
+      })).toBeNull();
+      expect(fixture.requests).toEqual([]);
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Message.create', () => {
+    const mockClient = () => {
+      const client = {
+        query: jest.fn(async sql => (sql.includes('INSERT INTO messages') ? { rows: [{ id: 'x', expires_at: null }] } : { rows: [] })),
+        release: jest.fn()
+      };
+      pool.connect.mockResolvedValue(client);
+      return client;
+    };
+
+    const encrypted = {
+      conversationId,
+      senderId: aliceId,
+      isEncrypted: true,
+      encryptedContent: 'ciphertext',
+      iv: 'iv',
+      recipientKeys: { [bobId]: 'key' }
+    };
+
+    it('should store a preview the sender attached to an encrypted message', async () => {
+      const client = mockClient();
+
+      const message = await Message.create({
+        ...encrypted,
+        linkPreview: { url: 'https://example.com/post', title: ' A post ', image: 'data:image/png;base64,xx' }
+      });
+
+      const expected = { url: 'https://example.com/post', title: 'A post', description: null, image: null, siteName: null };
+      const [, params] = client.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO messages'));
+      expect(params[18]).toBe(JSON.stringify(expected));
+      expect(message.linkPreview).toEqual(expected);
+    });
+
+    it('should ignore attached previews on plaintext messages', async () => {
+      const client = mockClient();
+
+      const message = await Message.create({
+        conversationId,
+        senderId: aliceId,
+        content: 'https://example.com/post',
+        linkPreview: { url: 'https://example.com/post', title: 'Made up' }
+      });
+
+      const [, params] = client.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO messages'));
+      expect(params[18]).toBeNull();
+      expect(message.linkPreview).toBeNull();
+    });
+  });
+
+  describe('message_preview_ready', () => {
+    let server;
+    let io;
+    let bobClient;
+
+    beforeAll(async () => {
+      server = http.createServer();
+      io = await initializeSocketServer(server);
+      await new Promise(resolve => server.listen(0, resolve));
+
+      bobClient = ioClient(`http://localhost:${server.address().port}`, {
+        auth: { token: jwt.sign({ userId: bobId }, JWT_SECRET) },
+        transports: ['websocket'],
+        forceNew: true
+      });
+      await new Promise(resolve => bobClient.once('connect', resolve));
+      for (let attempt = 0; attempt < 50; attempt++) {
+        if ((await redis.getUserSockets(bobId)).includes(bobClient.id)) {
+          break;
+        }
+        await sleep(20);
+      }
+    });
+
+    afterAll(async () => {
+      bobClient.close();
+      // Let the offline grace period run out so no timers are left behind
+      await sleep(5500);
+      await new Promise(resolve => io.close(resolve));
+    }, 15000);
+
+    it('should send the preview to participants once it resolves', async () => {
+      jest.spyOn(UserBlock, 'getBlockedOrBlockingIds').mockResolvedValue(new Set());
+      jest.spyOn(Message, 'updateStatus').mockResolvedValue(true);
+      jest.spyOn(Message, 'sendNewMessageNotification').mockResolvedValue();
+      const setLinkPreview = jest.spyOn(Message, 'setLinkPreview').mockResolvedValue(true);
+      const conversation = {
+        id: conversationId,
+        participants: [{ id: aliceId, username: 'alice' }, { id: bobId, username: 'bob' }]
+      };
+
+      const content = `Look: ${baseUrl}/article`;
+      const newMessage = new Promise(resolve => bobClient.once('new_message', resolve));
+      const ready = new Promise(resolve => bobClient.once('message_preview_ready', resolve));
+      await deliverMessage({
+        id: messageId,
+        conversationId,
+        senderId: aliceId,
+        content,
+        isEncrypted: false
+      }, conversation);
+
+      expect((await newMessage).id).toBe(messageId);
+      const event = await ready;
+      expect(event).toEqual({
+        messageId,
+        conversationId,
+        linkPreview: expect.objectContaining({ title: 'Swickr & friends' })
+      });
+      expect(setLinkPreview).toHaveBeenCalledWith(messageId, event.linkPreview, content);
+    });
+  });
+});
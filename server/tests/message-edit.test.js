@@ -0,0 +1,324 @@
+/**
+ * Message Editing Tests
+ *
+ * Tests for editing messages and their revision history
+ */
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+
+jest.mock('../src/config/database', () => ({
+  pool: { query: jest.fn(), connect: jest.fn() },
+  query: jest.fn()
+}));
+jest.mock('../src/config/redis', () => ({ redisClient: {} }));
+jest.mock('../src/models/User', () => ({
+  getAccountStatus: jest.fn().mockResolvedValue({ roles: [], suspended: false })
+}));
+jest.mock('../src/models/Media', () => ({}));
+jest.mock('../src/websocket/socket', () => ({
+  emitToUser: jest.fn(),
+  emitToConversation: jest.fn(),
+  previewLinks: jest.fn()
+}));
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const { pool } = require('../src/config/database');
+const { emitToConversation } = require('../src/websocket/socket');
+const Message = require('../src/models/Message');
+const Conversation = require('../src/models/Conversation');
+const messageRoutes = require('../src/api/messages/routes');
+const { errorHandler } = require('../src/middleware/errorHandler');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const senderId = uuidv4();
+const otherUserId = uuidv4();
+const conversationId = uuidv4();
+const messageId = uuidv4();
+const senderToken = jwt.sign({ userId: senderId, username: 'sender' }, process.env.JWT_SECRET);
+const otherToken = jwt.sign({ userId: otherUserId, username: 'other' }, process.env.JWT_SECRET);
+
+const app = express();
+app.use(express.json());
+app.use('/api/messages', messageRoutes);
+app.use(errorHandler);
+
+/**
+ * Create a mock database client that answers the edit transaction
+ *
+ * @param {Object} existing - Row returned for the message being edited
+ * @returns {Object} Mock client
+ */
+const mockClient = (existing) => {
+  const client = {
+    query: jest.fn(async (sql) => {
+      if (sql.includes('FOR UPDATE')) {
+        return { rows: existing ? [existing] : [] };
+      }
+      if (sql.includes('RETURNING edited_at')) {
+        return { rows: [{ edited_at: '2024-01-01T12:00:00.000Z' }] };
+      }
+      return { rows: [] };
+    }),
+    release: jest.fn()
+  };
+  pool.connect.mockResolvedValue(client);
+  return client;
+};
+
+const existingRow = (overrides = {}) => ({
+  id: messageId,
+  conversation_id: conversationId,
+  sender_id: senderId,
+  content: 'Helo world',
+  encrypted_content: null,
+  iv: null,
+  recipient_keys: null,
+  is_encrypted: false,
+  media_id: null,
+  ...overrides
+});
+
+const groupConversation = (role = 'member') => ({
+  id: conversationId,
+  is_group: true,
+  permissions: {},
+  participants: [{ id: senderId, role }, { id: otherUserId, role: 'member' }]
+});
+
+describe('Message editing', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+  });
+
+  describe('Message.edit', () => {
+    beforeEach(() => {
+      jest.spyOn(Conversation, 'getById').mockResolvedValue(groupConversation());
+    });
+
+    it('should store the previous version and update the content', async () => {
+      const client = mockClient(existingRow());
+
+      const edited = await Message.edit(messageId, senderId, { content: 'Hello world' });
+
+      const revisionCall = client.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO message_revisions'));
+      expect(revisionCall[1]).toEqual(expect.arrayContaining([messageId, senderId, 'Helo world']));
+      const updateCall = client.query.mock.calls.find(([sql]) => sql.includes('UPDATE messages'));
+      expect(updateCall[0]).toContain('edited_at = NOW()');
+      expect(updateCall[1]).toEqual(['Hello world', messageId]);
+      expect(client.query).toHaveBeenCalledWith('COMMIT');
+      expect(edited).toEqual(expect.objectContaining({
+        id: messageId,
+        conversationId,
+        content: 'Hello world',
+        editedAt: '2024-01-01T12:00:00.000Z'
+      }));
+    });
+
+    it('should re-encrypt encrypted messages with a new iv and recipient keys', async () => {
+      const client = mockClient(existingRow({
+        content: '',
+        encrypted_content: 'old-ciphertext',
+        iv: 'old-iv',
+        recipient_keys: { [otherUserId]: 'old-key' },
+        is_encrypted: true
+      }));
+      const recipientKeys = { [otherUserId]: 'new-key' };
+
+      const edited = await Message.edit(messageId, senderId, {
+        encryptedContent: 'new-ciphertext',
+        iv: 'new-iv',
+        recipientKeys
+      });
+
+      const revisionCall = client.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO message_revisions'));
+      expect(revisionCall[1]).toEqual(expect.arrayContaining(['old-ciphertext', 'old-iv']));
+      const updateCall = client.query.mock.calls.find(([sql]) => sql.includes('UPDATE messages'));
+      expect(updateCall[1]).toEqual(['new-ciphertext', 'new-iv', JSON.stringify(recipientKeys), null, messageId]);
+      expect(edited.encryptedContent).toBe('new-ciphertext');
+      expect(edited.content).toBe('');
+    });
+
+    it('should require a new iv when editing encrypted messages', async () => {
+      const client = mockClient(existingRow({ is_encrypted: true, encrypted_content: 'old' }));
+
+      await expect(Message.edit(messageId, senderId, {
+        encryptedContent: 'new-ciphertext',
+        recipientKeys: { [otherUserId]: 'new-key' }
+      })).rejects.toThrow('Initialization vector is required');
+      expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+      expect(client.release).toHaveBeenCalled();
+    });
+
+    it('should not let other users edit the message', async () => {
+      const client = mockClient(existingRow());
+
+      await expect(Message.edit(messageId, otherUserId, { content: 'Hijacked' }))
+        .rejects.toThrow('Only the sender can edit this message');
+      expect(client.query.mock.calls.some(([sql]) => sql.includes('UPDATE messages'))).toBe(false);
+    });
+
+    it('should read the conversation inside the transaction', async () => {
+      const client = mockClient(existingRow());
+
+      await Message.edit(messageId, senderId, { content: 'Hello world' });
+
+      expect(Conversation.getById).toHaveBeenCalledWith(conversationId, { client });
+    });
+
+    it('should not let senders who left the conversation edit', async () => {
+      const client = mockClient(existingRow());
+      Conversation.getById.mockResolvedValue({
+        ...groupConversation(),
+        participants: [{ id: otherUserId, role: 'member' }]
+      });
+
+      await expect(Message.edit(messageId, senderId, { content: 'Hello world' }))
+        .rejects.toThrow('You are not a participant in this conversation');
+      expect(client.query.mock.calls.some(([sql]) => sql.includes('UPDATE messages'))).toBe(false);
+      expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+    });
+
+    it('should not let senders who may no longer post edit', async () => {
+      const client = mockClient(existingRow());
+      Conversation.getById.mockResolvedValue(groupConversation('read_only'));
+
+      await expect(Message.edit(messageId, senderId, { content: 'Hello world' }))
+        .rejects.toThrow('You do not have permission to post in this conversation');
+      expect(client.query.mock.calls.some(([sql]) => sql.includes('UPDATE messages'))).toBe(false);
+    });
+
+    it('should not allow edits in a blocked direct conversation', async () => {
+      const client = mockClient(existingRow());
+      Conversation.getById.mockResolvedValue({ ...groupConversation(), is_group: false });
+      jest.spyOn(Conversation, 'isBlockedDirectConversation').mockResolvedValue(true);
+
+      await expect(Message.edit(messageId, senderId, { content: 'Hello world' }))
+        .rejects.toThrow('You cannot send messages to this user');
+      expect(client.query.mock.calls.some(([sql]) => sql.includes('UPDATE messages'))).toBe(false);
+    });
+
+    it('should not edit expired messages the sweep has not removed yet', async () => {
+      const client = mockClient(null);
+
+      await expect(Message.edit(messageId, senderId, { content: 'Hello world' }))
+        .rejects.toThrow('Message not found');
+      const [sql] = client.query.mock.calls.find(([query]) => query.includes('FOR UPDATE'));
+      expect(sql).toContain('expires_at > NOW()');
+    });
+  });
+
+  describe('PUT /api/messages/:messageId', () => {
+    it('should edit the message and notify participants', async () => {
+      const edited = { id: messageId, conversationId, content: 'Hello world', editedAt: '2024-01-01T12:00:00.000Z' };
+      jest.spyOn(Message, 'getById').mockResolvedValue({ id: messageId, conversationId, senderId });
+      jest.spyOn(Message, 'edit').mockResolvedValue(edited);
+
+      const res = await request(app)
+        .put(`/api/messages/${messageId}`)
+        .set('Authorization', `Bearer ${senderToken}`)
+        .send({ content: 'Hello world' });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual(edited);
+      expect(emitToConversation).toHaveBeenCalledWith(conversationId, 'message_edited', edited);
+    });
+
+    it('should forbid editing another user\'s message', async () => {
+      jest.spyOn(Message, 'getById').mockResolvedValue({ id: messageId, conversationId, senderId });
+      const edit = jest.spyOn(Message, 'edit');
+
+      const res = await request(app)
+        .put(`/api/messages/${messageId}`)
+        .set('Authorization', `Bearer ${otherToken}`)
+        .send({ content: 'Hijacked' });
+
+      expect(res.status).toBe(403);
+      expect(edit).not.toHaveBeenCalled();
+    });
+
+    it('should forbid edits the sender may no longer post', async () => {
+      jest.spyOn(Message, 'getById').mockResolvedValue({ id: messageId, conversationId, senderId });
+      jest.spyOn(Message, 'edit').mockRejectedValue(new Error('You are not a participant in this conversation'));
+
+      const res = await request(app)
+        .put(`/api/messages/${messageId}`)
+        .set('Authorization', `Bearer ${senderToken}`)
+        .send({ content: 'Hello world' });
+
+      expect(res.status).toBe(403);
+      expect(emitToConversation).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 when the message expires before the edit', async () => {
+      jest.spyOn(Message, 'getById').mockResolvedValue({ id: messageId, conversationId, senderId });
+      jest.spyOn(Message, 'edit').mockRejectedValue(new Error('Message not found'));
+
+      const res = await request(app)
+        .put(`/api/messages/${messageId}`)
+        .set('Authorization', `Bearer ${senderToken}`)
+        .send({ content: 'Hello world' });
+
+      expect(res.status).toBe(404);
+    });
+
+    it('should return 404 for unknown messages', async () => {
+      jest.spyOn(Message, 'getById').mockResolvedValue(null);
+
+      const res = await request(app)
+        .put(`/api/messages/${messageId}`)
+        .set('Authorization', `Bearer ${senderToken}`)
+        .send({ content: 'Hello world' });
+
+      expect(res.status).toBe(404);
+    });
+
+    it('should return 400 when required fields are missing', async () => {
+      jest.spyOn(Message, 'getById').mockResolvedValue({ id: messageId, conversationId, senderId });
+      jest.spyOn(Message, 'edit').mockRejectedValue(new Error('Message content is required'));
+
+      const res = await request(app)
+        .put(`/api/messages/${messageId}`)
+        .set('Authorization', `Bearer ${senderToken}`)
+        .send({});
+
+      expect(res.status).toBe(400);
+      expect(emitToConversation).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /api/messages/:messageId/revisions', () => {
+    it('should return revisions to conversation participants', async () => {
+      const revisions = [{ id: uuidv4(), messageId, content: 'Helo world' }];
+      jest.spyOn(Message, 'getById').mockResolvedValue({ id: messageId, conversationId, senderId });
+      jest.spyOn(Message, 'isConversationParticipant').mockResolvedValue(true);
+      jest.spyOn(Message, 'getRevisions').mockResolvedValue(revisions);
+
+      const res = await request(app)
+        .get(`/api/messages/${messageId}/revisions`)
+        .set('Authorization', `Bearer ${otherToken}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual(revisions);
+    });
+
+    it('should hide revisions from non-participants', async () => {
+      jest.spyOn(Message, 'getById').mockResolvedValue({ id: messageId, conversationId, senderId });
+      jest.spyOn(Message, 'isConversationParticipant').mockResolvedValue(false);
+
+      const res = await request(app)
+        .get(`/api/messages/${messageId}/revisions`)
+        .set('Authorization', `Bearer ${otherToken}`);
+
+      expect(res.status).toBe(403);
+    });
+  });
+});
@@ -0,0 +1,214 @@
+/**
+ * Message Forwarding Tests
+ *
+ * Tests for forwarding messages to other conversations
+ */
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+
+jest.mock('../src/config/database', () => ({
+  pool: { query: jest.fn(), connect: jest.fn() },
+  query: jest.fn()
+}));
+jest.mock('../src/config/redis', () => ({ redisClient: {} }));
+jest.mock('../src/models/User', () => ({
+  getAccountStatus: jest.fn().mockResolvedValue({ roles: [], suspended: false })
+}));
+jest.mock('../src/models/Media', () => ({
+  findById: jest.fn()
+}));
+jest.mock('../src/websocket/socket', () => ({
+  emitToUser: jest.fn(),
+  emitToConversation: jest.fn(),
+  deliverMessage: jest.fn()
+}));
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const { pool } = require('../src/config/database');
+const { deliverMessage } = require('../src/websocket/socket');
+const Media = require('../src/models/Media');
+const Message = require('../src/models/Message');
+const Conversation = require('../src/models/Conversation');
+const messageRoutes = require('../src/api/messages/routes');
+const { errorHandler } = require('../src/middleware/errorHandler');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const userId = uuidv4();
+const authorId = uuidv4();
+const sourceConversationId = uuidv4();
+const targetIds = [uuidv4(), uuidv4()];
+const messageId = uuidv4();
+const token = jwt.sign({ userId, username: 'forwarder' }, process.env.JWT_SECRET);
+
+const app = express();
+app.use(express.json());
+app.use('/api/messages', messageRoutes);
+app.use(errorHandler);
+
+const sourceMessage = (overrides = {}) => ({
+  id: messageId,
+  conversationId: sourceConversationId,
+  senderId: authorId,
+  content: 'Worth sharing',
+  isEncrypted: false,
+  media: null,
+  type: 'text',
+  forwardedFrom: null,
+  ...overrides
+});
+
+const forward = (conversationIds = targetIds) => request(app)
+  .post(`/api/messages/${messageId}/forward`)
+  .set('Authorization', `Bearer ${token}`)
+  .send({ conversationIds });
+
+describe('Message forwarding', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+    jest.spyOn(Conversation, 'getById').mockImplementation(async (id) => ({ id, participants: [{ id: userId }] }));
+  });
+
+  describe('Message.createWithMedia', () => {
+    it('should store the forwarding attribution', async () => {
+      const client = {
+        query: jest.fn(async (sql) => (
+          sql.includes('INSERT INTO messages') ? { rows: [{ id: 'x', expires_at: null }] } : { rows: [] }
+        )),
+        release: jest.fn()
+      };
+      pool.connect.mockResolvedValue(client);
+      const forwardedFrom = { messageId, senderId: authorId };
+
+      const copy = await Message.createWithMedia({
+        conversationId: targetIds[0],
+        senderId: userId,
+        content: 'Worth sharing',
+        forwardedFrom
+      });
+
+      const [sql, params] = client.query.mock.calls.find(([query]) => query.includes('INSERT INTO messages'));
+      expect(sql).toContain('forwarded_from_message_id, forwarded_from_sender_id');
+      expect(params).toEqual(expect.arrayContaining([messageId, authorId]));
+      expect(copy.forwardedFrom).toEqual(forwardedFrom);
+    });
+  });
+
+  describe('POST /api/messages/:messageId/forward', () => {
+    it('should copy the message into every target conversation', async () => {
+      jest.spyOn(Message, 'getById').mockResolvedValue(sourceMessage());
+      jest.spyOn(Message, 'isConversationParticipant').mockResolvedValue(true);
+      const createWithMedia = jest.spyOn(Message, 'createWithMedia')
+        .mockImplementation(async (data) => ({ id: uuidv4(), ...data }));
+
+      const res = await forward();
+
+      expect(res.status).toBe(201);
+      expect(res.body).toHaveLength(2);
+      expect(createWithMedia).toHaveBeenCalledTimes(2);
+      expect(createWithMedia).toHaveBeenCalledWith(expect.objectContaining({
+        conversationId: targetIds[1],
+        senderId: userId,
+        content: 'Worth sharing',
+        media: null,
+        forwardedFrom: { messageId, senderId: authorId }
+      }));
+      expect(deliverMessage).toHaveBeenCalledTimes(2);
+    });
+
+    it('should reference the original media without re-uploading', async () => {
+      jest.spyOn(Message, 'getById').mockResolvedValue(sourceMessage({
+        content: '',
+        media: { id: 'media-1', type: 'image', url: '/api/media/media-1', caption: 'Sunset' }
+      }));
+      jest.spyOn(Message, 'isConversationParticipant').mockResolvedValue(true);
+      Media.findById.mockResolvedValue({
+        id: 'media-1',
+        mediaType: 'image',
+        filename: 'media-1.jpg',
+        mimeType: 'image/jpeg',
+        size: 1024
+      });
+      const createWithMedia = jest.spyOn(Message, 'createWithMedia')
+        .mockImplementation(async (data) => ({ id: uuidv4(), ...data }));
+
+      const res = await forward([targetIds[0]]);
+
+      expect(res.status).toBe(201);
+      expect(createWithMedia).toHaveBeenCalledWith(expect.objectContaining({
+        media: {
+          id: 'media-1',
+          type: 'image',
+          filename: 'media-1.jpg',
+          mimeType: 'image/jpeg',
+          size: 1024,
+          caption: 'Sunset'
+        }
+      }));
+    });
+
+    it('should keep the original attribution when forwarding a forward', async () => {
+      const originalId = uuidv4();
+      jest.spyOn(Message, 'getById').mockResolvedValue(sourceMessage({
+        senderId: uuidv4(),
+        forwardedFrom: { messageId: originalId, senderId: authorId, senderUsername: 'author' }
+      }));
+      jest.spyOn(Message, 'isConversationParticipant').mockResolvedValue(true);
+      const createWithMedia = jest.spyOn(Message, 'createWithMedia')
+        .mockImplementation(async (data) => ({ id: uuidv4(), ...data }));
+
+      await forward([targetIds[0]]);
+
+      expect(createWithMedia).toHaveBeenCalledWith(expect.objectContaining({
+        forwardedFrom: { messageId: originalId, senderId: authorId }
+      }));
+    });
+
+    it('should refuse to forward encrypted messages', async () => {
+      jest.spyOn(Message, 'getById').mockResolvedValue(sourceMessage({ isEncrypted: true, content: '' }));
+      jest.spyOn(Message, 'isConversationParticipant').mockResolvedValue(true);
+      const createWithMedia = jest.spyOn(Message, 'createWithMedia');
+
+      const res = await forward();
+
+      expect(res.status).toBe(400);
+      expect(res.body.error.message).toContain('re-encrypt');
+      expect(createWithMedia).not.toHaveBeenCalled();
+    });
+
+    it('should send nothing if the user is not in every target conversation', async () => {
+      jest.spyOn(Message, 'getById').mockResolvedValue(sourceMessage());
+      jest.spyOn(Message, 'isConversationParticipant')
+        .mockImplementation(async (conversationId) => conversationId !== targetIds[1]);
+      const createWithMedia = jest.spyOn(Message, 'createWithMedia');
+
+      const res = await forward();
+
+      expect(res.status).toBe(403);
+      expect(createWithMedia).not.toHaveBeenCalled();
+    });
+
+    it('should forbid forwarding from conversations the user is not in', async () => {
+      jest.spyOn(Message, 'getById').mockResolvedValue(sourceMessage());
+      jest.spyOn(Message, 'isConversationParticipant').mockResolvedValue(false);
+
+      const res = await forward();
+
+      expect(res.status).toBe(403);
+    });
+
+    it('should require target conversations', async () => {
+      const res = await forward([]);
+
+      expect(res.status).toBe(400);
+    });
+  });
+});
@@ -0,0 +1,294 @@
+/**
+ * Message Mention Tests
+ *
+ * Tests for parsing @mentions, storing them with messages,
+ * mention notifications and listing a user's mentions
+ */
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+
+jest.mock('../src/config/database', () => ({
+  pool: { query: jest.fn(), connect: jest.fn() },
+  query: jest.fn()
+}));
+jest.mock('../src/config/redis', () => ({ redisClient: {} }));
+jest.mock('../src/models/User', () => ({
+  getAccountStatus: jest.fn().mockResolvedValue({ roles: [], suspended: false })
+}));
+jest.mock('../src/models/Media', () => ({}));
+jest.mock('../src/services/NotificationService', () => ({
+  sendNotification: jest.fn(),
+  createNotification: jest.fn()
+}));
+jest.mock('../src/websocket/socket', () => ({
+  emitToUser: jest.fn(),
+  emitToConversation: jest.fn(),
+  deliverMessage: jest.fn()
+}));
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const { pool } = require('../src/config/database');
+const notificationService = require('../src/services/NotificationService');
+const Message = require('../src/models/Message');
+const Conversation = require('../src/models/Conversation');
+const messageRoutes = require('../src/api/messages/routes');
+const { errorHandler } = require('../src/middleware/errorHandler');
+const { parseMentions } = require('../src/utils/mentions');
+const { decodeCursor } = require('../src/utils/cursor');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const senderId = uuidv4();
+const bobId = uuidv4();
+const carolId = uuidv4();
+const conversationId = uuidv4();
+const token = jwt.sign({ userId: bobId, username: 'bob' }, process.env.JWT_SECRET);
+
+const app = express();
+app.use(express.json());
+app.use('/api/messages', messageRoutes);
+app.use(errorHandler);
+
+/**
+ * Create a mock database client for the create transaction
+ *
+ * @param {Array<Object>} mentionRows - Rows returned for inserted mentions
+ * @returns {Object} Mock client
+ */
+const mockClient = (mentionRows = []) => {
+  const client = {
+    query: jest.fn(async (sql) => {
+      if (sql.includes('INSERT INTO messages')) {
+        return { rows: [{ id: 'x', expires_at: null }] };
+      }
+      if (sql.includes('INSERT INTO message_mentions')) {
+        return { rows: mentionRows };
+      }
+      return { rows: [] };
+    }),
+    release: jest.fn()
+  };
+  pool.connect.mockResolvedValue(client);
+  return client;
+};
+
+describe('Message mentions', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+  });
+
+  describe('parseMentions', () => {
+    it('should extract unique lowercased usernames', () => {
+      expect(parseMentions('Hey @Bob and @carol.smith, also @bob again')).toEqual(['bob', 'carol.smith']);
+    });
+
+    it('should ignore e-mail addresses and trailing punctuation', () => {
+      expect(parseMentions('Mail bob@example.com or ask @dave.')).toEqual(['dave']);
+    });
+
+    it('should return nothing for content without mentions', () => {
+      expect(parseMentions('No mentions here')).toEqual([]);
+      expect(parseMentions(null)).toEqual([]);
+    });
+  });
+
+  describe('Message.create', () => {
+    it('should store mentions of group participants', async () => {
+      const client = mockClient([{ user_id: bobId, username: 'bob' }]);
+
+      const message = await Message.create({ conversationId, senderId, content: 'Thoughts, @Bob?' });
+
+      const [sql, params] = client.query.mock.calls.find(([query]) => query.includes('INSERT INTO message_mentions'));
+      expect(sql).toContain('c.is_group = true');
+      expect(params).toEqual([expect.any(String), conversationId, ['bob'], senderId]);
+      expect(message.mentions).toEqual([{ userId: bobId, username: 'bob' }]);
+    });
+
+    it('should not parse encrypted messages', async () => {
+      const client = mockClient();
+
+      const message = await Message.create({
+        conversationId,
+        senderId,
+        isEncrypted: true,
+        encryptedContent: 'ciphertext @bob',
+        iv: 'iv',
+        recipientKeys: { [bobId]: 'key' }
+      });
+
+      expect(client.query.mock.calls.some(([sql]) => sql.includes('message_mentions'))).toBe(false);
+      expect(message.mentions).toEqual([]);
+    });
+  });
+
+  describe('Message.edit', () => {
+    beforeEach(() => {
+      jest.spyOn(Conversation, 'getById').mockResolvedValue({
+        id: conversationId,
+        is_group: true,
+        permissions: {},
+        participants: [{ id: senderId, role: 'member' }, { id: bobId, role: 'member' }, { id: carolId, role: 'member' }]
+      });
+    });
+
+    /**
+     * Create a mock database client for the edit transaction
+     *
+     * @param {Array<string>} previousIds - Users the message mentioned before the edit
+     * @param {Array<Object>} mentionRows - Rows returned for the re-inserted mentions
+     * @returns {Object} Mock client
+     */
+    const mockEditClient = (previousIds, mentionRows) => {
+      const client = {
+        query: jest.fn(async (sql) => {
+          if (sql.includes('FOR UPDATE')) {
+            return {
+              rows: [{
+                id: 'x',
+                conversation_id: conversationId,
+                sender_id: senderId,
+                content: 'Old',
+                is_encrypted: false,
+                message_type: 'text'
+              }]
+            };
+          }
+          if (sql.includes('RETURNING edited_at')) {
+            return { rows: [{ edited_at: '2024-01-01T12:00:00.000Z' }] };
+          }
+          if (sql.includes('DELETE FROM message_mentions')) {
+            return { rows: previousIds.map(userId => ({ user_id: userId })) };
+          }
+          if (sql.includes('INSERT INTO message_mentions')) {
+            return { rows: mentionRows };
+          }
+          return { rows: [] };
+        }),
+        release: jest.fn()
+      };
+      pool.connect.mockResolvedValue(client);
+      return client;
+    };
+
+    it('should store the new mentions and notify only newly mentioned users', async () => {
+      const client = mockEditClient([bobId], [
+        { user_id: bobId, username: 'bob' },
+        { user_id: carolId, username: 'carol' }
+      ]);
+      const notify = jest.spyOn(Message, 'sendNewMessageNotification').mockResolvedValue();
+
+      const edited = await Message.edit('x', senderId, { content: '@bob and now @carol' });
+
+      const [, params] = client.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO message_mentions'));
+      expect(params).toEqual(['x', conversationId, ['bob', 'carol'], senderId]);
+      expect(edited.mentions).toHaveLength(2);
+      expect(notify).toHaveBeenCalledWith(
+        expect.objectContaining({ mentions: [{ userId: carolId, username: 'carol' }] }),
+        { mentionsOnly: true }
+      );
+    });
+
+    it('should drop mentions removed by the edit without notifying anyone', async () => {
+      const client = mockEditClient([bobId], []);
+      const notify = jest.spyOn(Message, 'sendNewMessageNotification');
+
+      const edited = await Message.edit('x', senderId, { content: 'Never mind' });
+
+      expect(client.query).toHaveBeenCalledWith(expect.stringContaining('DELETE FROM message_mentions'), ['x']);
+      expect(client.query.mock.calls.some(([sql]) => sql.includes('INSERT INTO message_mentions'))).toBe(false);
+      expect(edited.mentions).toEqual([]);
+      expect(notify).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Message.sendNewMessageNotification', () => {
+    it('should send mentioned users a mention notification instead of a message notification', async () => {
+      pool.query.mockImplementation(async (sql) => {
+        if (sql.includes('FROM conversations')) {
+          return { rows: [{ id: conversationId, is_group: true, name: 'Team', username: 'alice' }] };
+        }
+        return { rows: [{ user_id: bobId }, { user_id: carolId }] };
+      });
+
+      await Message.sendNewMessageNotification({
+        id: uuidv4(),
+        conversationId,
+        senderId,
+        content: 'Thoughts, @bob?',
+        mentions: [{ userId: bobId, username: 'bob' }]
+      });
+
+      expect(notificationService.createNotification).toHaveBeenCalledWith(
+        bobId,
+        'mention',
+        'alice mentioned you in Team',
+        'Thoughts, @bob?',
+        expect.objectContaining({ conversationId })
+      );
+      expect(notificationService.sendNotification).toHaveBeenCalledTimes(1);
+      expect(notificationService.sendNotification).toHaveBeenCalledWith(carolId, expect.any(Object));
+    });
+
+    it('should only notify mentioned users after an edit', async () => {
+      pool.query.mockImplementation(async (sql) => {
+        if (sql.includes('FROM conversations')) {
+          return { rows: [{ id: conversationId, is_group: true, name: 'Team', username: 'alice' }] };
+        }
+        return { rows: [{ user_id: bobId }, { user_id: carolId }] };
+      });
+
+      await Message.sendNewMessageNotification({
+        id: uuidv4(),
+        conversationId,
+        senderId,
+        content: 'Thoughts, @bob?',
+        mentions: [{ userId: bobId, username: 'bob' }]
+      }, { mentionsOnly: true });
+
+      expect(notificationService.createNotification).toHaveBeenCalledWith(bobId, 'mention', expect.any(String), expect.any(String), expect.any(Object));
+      expect(notificationService.sendNotification).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /api/messages/mentions', () => {
+    it('should list messages mentioning the user with a cursor', async () => {
+      const rows = [0, 1, 2].map(index => ({
+        id: uuidv4(),
+        conversation_id: conversationId,
+        sender_id: senderId,
+        content: `Ping ${index} @bob`,
+        timestamp: new Date(Date.UTC(2024, 0, 1, 12, 10 - index)),
+        sender_username: 'alice',
+        conversation_name: 'Team'
+      }));
+      pool.query.mockResolvedValue({ rows });
+
+      const res = await request(app)
+        .get('/api/messages/mentions')
+        .query({ limit: 2 })
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.messages.map(message => message.content)).toEqual(['Ping 0 @bob', 'Ping 1 @bob']);
+      expect(decodeCursor(res.body.nextCursor)).toEqual({ timestamp: rows[1].timestamp.toISOString(), id: rows[1].id });
+      expect(pool.query.mock.calls[0][1]).toEqual([bobId, 3]);
+    });
+
+    it('should reject malformed cursors', async () => {
+      const res = await request(app)
+        .get('/api/messages/mentions')
+        .query({ cursor: 'nope' })
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(400);
+    });
+  });
+});
@@ -0,0 +1,227 @@
+/**
+ * Message Pagination Tests
+ *
+ * Tests for cursor-based pagination of conversation messages
+ */
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+
+jest.mock('../src/config/database', () => ({
+  pool: { query: jest.fn(), connect: jest.fn() },
+  query: jest.fn()
+}));
+jest.mock('../src/config/redis', () => ({ redisClient: {} }));
+jest.mock('../src/models/User', () => ({
+  getAccountStatus: jest.fn().mockResolvedValue({ roles: [], suspended: false })
+}));
+jest.mock('../src/models/Media', () => ({}));
+jest.mock('../src/websocket/socket', () => ({
+  emitToUser: jest.fn(),
+  emitToConversation: jest.fn()
+}));
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const { pool } = require('../src/config/database');
+const Message = require('../src/models/Message');
+const messageRoutes = require('../src/api/messages/routes');
+const { errorHandler } = require('../src/middleware/errorHandler');
+const { encodeCursor, decodeCursor } = require('../src/utils/cursor');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const userId = uuidv4();
+const conversationId = uuidv4();
+const token = jwt.sign({ userId, username: 'reader' }, process.env.JWT_SECRET);
+
+const app = express();
+app.use(express.json());
+app.use('/api/messages', messageRoutes);
+app.use(errorHandler);
+
+// Ten messages, one minute apart, oldest first
+const history = Array.from({ length: 10 }, (_, index) => ({
+  id: uuidv4(),
+  conversationId,
+  senderId: userId,
+  senderUsername: 'reader',
+  content: `Message ${index}`,
+  isEncrypted: false,
+  status: 'sent',
+  timestamp: new Date(Date.UTC(2024, 0, 1, 12, index)),
+  editedAt: null,
+  parentMessageId: null
+}));
+
+const positionOf = (message) => ({
+  timestamp: message.timestamp.toISOString(),
+  id: message.id
+});
+
+/**
+ * Answer pagination queries from the in-memory history
+ */
+const mockHistoryQueries = () => {
+  pool.query.mockImplementation(async (sql, params) => {
+    if (sql.startsWith('SELECT id, timestamp FROM messages')) {
+      return { rows: history.filter(message => message.id === params[0]) };
+    }
+
+    const older = sql.includes('ORDER BY m.timestamp DESC');
+    let rows = older ? [...history].reverse() : [...history];
+
+    const comparison = sql.match(/\(m\.timestamp, m\.id\) (<=|>=|<|>)/);
+    if (comparison) {
+      const pivot = history.findIndex(message => message.id === params[3]);
+      rows = rows.filter(message => {
+        const index = history.indexOf(message);
+        switch (comparison[1]) {
+          case '<': return index < pivot;
+          case '<=': return index <= pivot;
+          case '>': return index > pivot;
+          default: return index >= pivot;
+        }
+      });
+    }
+
+    return { rows: rows.slice(0, params[1]) };
+  });
+};
+
+const contents = (page) => page.messages.map(message => message.content);
+
+describe('Message pagination', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+    mockHistoryQueries();
+  });
+
+  describe('Message.getByConversation', () => {
+    it('should return the newest messages first with a cursor to older ones', async () => {
+      const page = await Message.getByConversation(conversationId, { limit: 3 });
+
+      expect(contents(page)).toEqual(['Message 9', 'Message 8', 'Message 7']);
+      expect(decodeCursor(page.nextCursor)).toEqual(positionOf(history[7]));
+      expect(page.prevCursor).toBeNull();
+    });
+
+    it('should page backwards without skipping or repeating messages', async () => {
+      const first = await Message.getByConversation(conversationId, { limit: 4 });
+      const second = await Message.getByConversation(conversationId, { limit: 4, before: first.nextCursor });
+      const third = await Message.getByConversation(conversationId, { limit: 4, before: second.nextCursor });
+
+      expect([...contents(first), ...contents(second), ...contents(third)])
+        .toEqual(history.map(message => message.content).reverse());
+      expect(third.nextCursor).toBeNull();
+      expect(decodeCursor(second.prevCursor)).toEqual(positionOf(history[5]));
+    });
+
+    it('should load newer messages after a cursor', async () => {
+      const page = await Message.getByConversation(conversationId, {
+        limit: 3,
+        after: encodeCursor(positionOf(history[2]))
+      });
+
+      expect(contents(page)).toEqual(['Message 5', 'Message 4', 'Message 3']);
+      expect(decodeCursor(page.prevCursor)).toEqual(positionOf(history[5]));
+      expect(decodeCursor(page.nextCursor)).toEqual(positionOf(history[3]));
+    });
+
+    it('should not offer older messages after a cursor before the first message', async () => {
+      const page = await Message.getByConversation(conversationId, {
+        limit: 3,
+        after: encodeCursor({ timestamp: '2023-12-31T00:00:00.000Z', id: uuidv4() })
+      });
+
+      expect(contents(page)).toEqual(['Message 2', 'Message 1', 'Message 0']);
+      expect(page.nextCursor).toBeNull();
+      expect(decodeCursor(page.prevCursor)).toEqual(positionOf(history[2]));
+    });
+
+    it('should return a window around a message', async () => {
+      const page = await Message.getByConversation(conversationId, { limit: 5, around: history[4].id });
+
+      expect(contents(page)).toEqual(['Message 6', 'Message 5', 'Message 4', 'Message 3', 'Message 2']);
+      expect(decodeCursor(page.nextCursor)).toEqual(positionOf(history[2]));
+      expect(decodeCursor(page.prevCursor)).toEqual(positionOf(history[6]));
+    });
+
+    it('should fail when the jump target is not in the conversation', async () => {
+      await expect(Message.getByConversation(conversationId, { around: uuidv4() }))
+        .rejects.toThrow('Message not found');
+    });
+
+    it('should reject malformed cursors', async () => {
+      await expect(Message.getByConversation(conversationId, { before: 'nope' }))
+        .rejects.toThrow('Invalid cursor');
+    });
+  });
+
+  describe('GET /api/messages/:conversationId', () => {
+    it('should return messages with cursors', async () => {
+      jest.spyOn(Message, 'isConversationParticipant').mockResolvedValue(true);
+      const markAsRead = jest.spyOn(Message, 'markConversationAsRead').mockResolvedValue(0);
+
+      const res = await request(app)
+        .get(`/api/messages/${conversationId}`)
+        .query({ limit: 2 })
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.messages.map(message => message.content)).toEqual(['Message 9', 'Message 8']);
+      expect(res.body.nextCursor).toEqual(expect.any(String));
+      expect(res.body.prevCursor).toBeNull();
+      expect(markAsRead).toHaveBeenCalledWith(conversationId, userId);
+    });
+
+    it('should not mark messages as read when viewing older history', async () => {
+      jest.spyOn(Message, 'isConversationParticipant').mockResolvedValue(true);
+      const markAsRead = jest.spyOn(Message, 'markConversationAsRead').mockResolvedValue(0);
+
+      const res = await request(app)
+        .get(`/api/messages/${conversationId}`)
+        .query({ before: encodeCursor(positionOf(history[5])) })
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(200);
+      expect(markAsRead).not.toHaveBeenCalled();
+    });
+
+    it('should reject combining cursors', async () => {
+      const res = await request(app)
+        .get(`/api/messages/${conversationId}`)
+        .query({ before: 'a', after: 'b' })
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(400);
+    });
+
+    it('should forbid non-participants', async () => {
+      jest.spyOn(Message, 'isConversationParticipant').mockResolvedValue(false);
+
+      const res = await request(app)
+        .get(`/api/messages/${conversationId}`)
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(403);
+    });
+
+    it('should return 404 when jumping to an unknown message', async () => {
+      jest.spyOn(Message, 'isConversationParticipant').mockResolvedValue(true);
+
+      const res = await request(app)
+        .get(`/api/messages/${conversationId}`)
+        .query({ around: uuidv4() })
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(404);
+    });
+  });
+});
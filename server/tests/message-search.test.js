@@ -0,0 +1,222 @@
+/**
+ * Message Search Tests
+ *
+ * Tests for full-text message search across conversations
+ */
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+
+jest.mock('../src/config/database', () => ({
+  pool: { query: jest.fn(), connect: jest.fn() },
+  query: jest.fn()
+}));
+jest.mock('../src/config/redis', () => ({ redisClient: {} }));
+jest.mock('../src/models/User', () => ({
+  getAccountStatus: jest.fn().mockResolvedValue({ roles: [], suspended: false })
+}));
+jest.mock('../src/models/Media', () => ({}));
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const { pool } = require('../src/config/database');
+const Message = require('../src/models/Message');
+const messageRoutes = require('../src/api/messages/routes');
+const { errorHandler } = require('../src/middleware/errorHandler');
+const { encodeCursor, decodeCursor } = require('../src/utils/cursor');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const userId = uuidv4();
+const conversationId = uuidv4();
+const token = jwt.sign({ userId, username: 'searcher' }, process.env.JWT_SECRET);
+
+const app = express();
+app.use(express.json());
+app.use('/api/messages', messageRoutes);
+app.use(errorHandler);
+
+const searchRow = (overrides = {}) => ({
+  id: uuidv4(),
+  conversation_id: conversationId,
+  conversation_name: 'Weekend plans',
+  is_group: true,
+  sender_id: userId,
+  sender_username: 'searcher',
+  sender_name: 'Search User',
+  content: 'Pizza <b>tonight</b>?',
+  snippet: '\u0002Pizza\u0003 <b>tonight</b>?',
+  rank: 0.5,
+  media_id: null,
+  timestamp: new Date('2024-01-01T12:00:00Z'),
+  parent_message_id: null,
+  ...overrides
+});
+
+describe('Message search', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+  });
+
+  describe('Message.formatSearchSnippet', () => {
+    it('should escape content and wrap highlights in mark tags', () => {
+      expect(Message.formatSearchSnippet('\u0002Pizza\u0003 <b>tonight</b>?'))
+        .toBe('<mark>Pizza</mark> &lt;b&gt;tonight&lt;/b&gt;?');
+    });
+
+    it('should return an empty string for missing snippets', () => {
+      expect(Message.formatSearchSnippet(null)).toBe('');
+    });
+  });
+
+  describe('Message.search', () => {
+    it('should filter on the predicate of the partial search index', async () => {
+      pool.query.mockResolvedValue({ rows: [] });
+
+      await Message.search(userId, { query: 'pizza' });
+
+      expect(pool.query.mock.calls[0][0]).toContain('WHERE m.is_encrypted IS NOT TRUE\n');
+    });
+
+    it('should exclude encrypted messages and scope results to the user', async () => {
+      pool.query.mockResolvedValue({ rows: [searchRow()] });
+
+      const { results, nextCursor } = await Message.search(userId, { query: 'pizza' });
+
+      const [sql, params] = pool.query.mock.calls[0];
+      expect(sql).toContain('m.is_encrypted IS NOT TRUE');
+      expect(sql).toContain('cp.user_id = $1');
+      expect(params[0]).toBe(userId);
+      expect(params[1]).toBe('pizza');
+      expect(results).toHaveLength(1);
+      expect(results[0].snippet).toBe('<mark>Pizza</mark> &lt;b&gt;tonight&lt;/b&gt;?');
+      expect(results[0].conversationName).toBe('Weekend plans');
+      expect(nextCursor).toBeNull();
+    });
+
+    it('should apply filters and return a cursor when more results exist', async () => {
+      const rows = [searchRow({ rank: 0.9 }), searchRow({ rank: 0.4 }), searchRow({ rank: 0.1 })];
+      pool.query.mockResolvedValue({ rows });
+
+      const { results, nextCursor } = await Message.search(userId, {
+        query: 'pizza',
+        conversationId,
+        senderId: userId,
+        from: '2024-01-01',
+        hasMedia: true,
+        limit: 2
+      });
+
+      const [sql, params] = pool.query.mock.calls[0];
+      expect(sql).toContain('m.conversation_id = $4');
+      expect(sql).toContain('m.sender_id = $5');
+      expect(sql).toContain('m.timestamp >= $6');
+      expect(sql).toContain('m.media_id IS NOT NULL');
+      expect(params[params.length - 1]).toBe(3);
+      expect(results).toHaveLength(2);
+      expect(decodeCursor(nextCursor)).toEqual({
+        rank: 0.4,
+        timestamp: rows[1].timestamp.toISOString(),
+        id: rows[1].id
+      });
+    });
+
+    it('should continue after the cursor position', async () => {
+      pool.query.mockResolvedValue({ rows: [] });
+      const cursor = encodeCursor({ rank: 0.4, timestamp: '2024-01-01T12:00:00.000Z', id: uuidv4() });
+
+      await Message.search(userId, { query: 'pizza', cursor });
+
+      const [sql] = pool.query.mock.calls[0];
+      expect(sql).toContain('(r.rank, r.timestamp, r.id) <');
+    });
+
+    it('should reject malformed cursors', async () => {
+      await expect(Message.search(userId, { query: 'pizza', cursor: 'not-a-cursor' }))
+        .rejects.toThrow('Invalid cursor');
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /api/messages/search', () => {
+    it('should require a search query', async () => {
+      const res = await request(app)
+        .get('/api/messages/search')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(400);
+    });
+
+    it('should reject an invalid date range', async () => {
+      const res = await request(app)
+        .get('/api/messages/search')
+        .query({ query: 'pizza', from: 'yesterday-ish' })
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(400);
+    });
+
+    it('should reject conversation and sender filters that aren\'t IDs', async () => {
+      const isParticipant = jest.spyOn(Message, 'isConversationParticipant');
+      const search = jest.spyOn(Message, 'search');
+
+      for (const filter of [{ conversationId: 'general' }, { senderId: 'bob' }]) {
+        const res = await request(app)
+          .get('/api/messages/search')
+          .query({ query: 'pizza', ...filter })
+          .set('Authorization', `Bearer ${token}`);
+
+        expect(res.status).toBe(400);
+      }
+      expect(isParticipant).not.toHaveBeenCalled();
+      expect(search).not.toHaveBeenCalled();
+    });
+
+    it('should forbid searching conversations the user is not in', async () => {
+      jest.spyOn(Message, 'isConversationParticipant').mockResolvedValue(false);
+      const search = jest.spyOn(Message, 'search');
+
+      const res = await request(app)
+        .get('/api/messages/search')
+        .query({ query: 'pizza', conversationId })
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(403);
+      expect(search).not.toHaveBeenCalled();
+    });
+
+    it('should return results and pass filters to the model', async () => {
+      jest.spyOn(Message, 'isConversationParticipant').mockResolvedValue(true);
+      const search = jest.spyOn(Message, 'search').mockResolvedValue({ results: [], nextCursor: null });
+
+      const res = await request(app)
+        .get('/api/messages/search')
+        .query({ query: 'pizza', conversationId, hasMedia: 'false', limit: '10' })
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ results: [], nextCursor: null });
+      expect(search).toHaveBeenCalledWith(userId, expect.objectContaining({
+        query: 'pizza',
+        conversationId,
+        hasMedia: false,
+        limit: '10'
+      }));
+    });
+
+    it('should return 400 for an invalid cursor', async () => {
+      const res = await request(app)
+        .get('/api/messages/search')
+        .query({ query: 'pizza', cursor: 'garbage' })
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(400);
+    });
+  });
+});
@@ -0,0 +1,451 @@
+/**
+ * Moderation Tests
+ *
+ * Tests for abuse reports, the moderation queue, moderator actions and
+ * their audit log, and account suspension
+ */
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const bcrypt = require('bcryptjs');
+const { v4: uuidv4 } = require('uuid');
+
+jest.mock('../src/config/database', () => ({
+  pool: { query: jest.fn(), connect: jest.fn() },
+  query: jest.fn()
+}));
+jest.mock('../src/config/redis', () => ({
+  redisClient: { isReady: true, set: jest.fn(), get: jest.fn(), del: jest.fn() }
+}));
+jest.mock('../src/models/Media', () => ({}));
+jest.mock('../src/websocket/socket', () => ({
+  emitToUser: jest.fn(),
+  emitToConversation: jest.fn(),
+  deliverMessage: jest.fn(),
+  disconnectUser: jest.fn()
+}));
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const { pool } = require('../src/config/database');
+const redis = require('../src/config/redis');
+const { redisClient } = redis;
+const { emitToUser, emitToConversation, disconnectUser } = require('../src/websocket/socket');
+const Report = require('../src/models/Report');
+const User = require('../src/models/User');
+const Message = require('../src/models/Message');
+const Conversation = require('../src/models/Conversation');
+const reportRoutes = require('../src/api/reports/routes');
+const moderationRoutes = require('../src/api/moderation/routes');
+const authRoutes = require('../src/api/auth/routes');
+const { errorHandler } = require('../src/middleware/errorHandler');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const reporterId = uuidv4();
+const offenderId = uuidv4();
+const moderatorId = uuidv4();
+const reportId = uuidv4();
+const messageId = uuidv4();
+const conversationId = uuidv4();
+
+const reporterToken = jwt.sign({ userId: reporterId, username: 'alice' }, process.env.JWT_SECRET);
+const moderatorToken = jwt.sign({ userId: moderatorId, username: 'mod', roles: ['moderator'] }, process.env.JWT_SECRET);
+
+const app = express();
+app.use(express.json());
+app.use('/api/reports', reportRoutes);
+app.use('/api/moderation', moderationRoutes);
+app.use('/api/auth', authRoutes);
+app.use(errorHandler);
+
+const reportedMessage = {
+  id: messageId,
+  conversationId,
+  senderId: offenderId,
+  senderUsername: 'mallory',
+  content: 'You will regret this',
+  isEncrypted: false,
+  media: null,
+  timestamp: new Date().toISOString()
+};
+
+const messageReport = (overrides = {}) => ({
+  id: reportId,
+  reporterId,
+  reporterUsername: 'alice',
+  targetType: 'message',
+  targetId: messageId,
+  reportedUserId: offenderId,
+  reportedUsername: 'mallory',
+  reason: 'harassment',
+  details: null,
+  snapshot: { messageId, conversationId, senderId: offenderId, content: reportedMessage.content },
+  status: 'open',
+  ...overrides
+});
+
+const mockClient = (handler) => {
+  const client = {
+    query: jest.fn(async (sql, params) => handler(sql, params) || { rows: [] }),
+    release: jest.fn()
+  };
+  pool.connect.mockResolvedValue(client);
+  return client;
+};
+
+describe('Moderation', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+    // The auth middleware checks the account on every request
+    jest.spyOn(User, 'getAccountStatus').mockResolvedValue({ roles: [], suspended: false });
+  });
+
+  describe('Report.create', () => {
+    it('should store a snapshot of the reported message', async () => {
+      jest.spyOn(Message, 'getById').mockResolvedValue(reportedMessage);
+      jest.spyOn(Message, 'isConversationParticipant').mockResolvedValue(true);
+      pool.query.mockImplementation(async (sql, params) => ({
+        rows: [{ id: params[0], reporter_id: params[1], target_type: params[2], target_id: params[3], reason: params[5], status: 'open' }]
+      }));
+
+      const report = await Report.create(reporterId, { targetType: 'message', targetId: messageId, reason: 'harassment' });
+
+      const [, params] = pool.query.mock.calls[0];
+      expect(params[4]).toBe(offenderId);
+      expect(JSON.parse(params[7])).toEqual(expect.objectContaining({
+        messageId,
+        senderId: offenderId,
+        content: 'You will regret this'
+      }));
+      expect(report).toEqual(expect.objectContaining({ targetType: 'message', targetId: messageId, status: 'open' }));
+      expect(report.reporterId).toBeUndefined();
+    });
+
+    it('should only accept reports about content the reporter can see', async () => {
+      jest.spyOn(Message, 'getById').mockResolvedValue(reportedMessage);
+      jest.spyOn(Message, 'isConversationParticipant').mockResolvedValue(false);
+
+      await expect(Report.create(reporterId, { targetType: 'message', targetId: messageId, reason: 'spam' }))
+        .rejects.toThrow('You can only report content in your conversations');
+      await expect(Report.create(reporterId, { targetType: 'user', targetId: reporterId, reason: 'spam' }))
+        .rejects.toThrow('Cannot report yourself');
+      await expect(Report.create(reporterId, { targetType: 'message', targetId: messageId, reason: 'boring' }))
+        .rejects.toThrow('Invalid report reason');
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/reports', () => {
+    it('should file a report', async () => {
+      const filed = { id: reportId, targetType: 'user', targetId: offenderId, reason: 'spam', status: 'open' };
+      jest.spyOn(Report, 'create').mockResolvedValue(filed);
+
+      const res = await request(app)
+        .post('/api/reports')
+        .set('Authorization', `Bearer ${reporterToken}`)
+        .send({ targetType: 'user', targetId: offenderId, reason: 'spam' });
+
+      expect(res.status).toBe(201);
+      expect(res.body).toEqual(filed);
+      expect(Report.create).toHaveBeenCalledWith(reporterId, { targetType: 'user', targetId: offenderId, reason: 'spam', details: undefined });
+    });
+
+    it('should return 409 when the user already has an open report about it', async () => {
+      jest.spyOn(Report, 'create').mockRejectedValue(new Error('You have already reported this'));
+
+      const res = await request(app)
+        .post('/api/reports')
+        .set('Authorization', `Bearer ${reporterToken}`)
+        .send({ targetType: 'user', targetId: offenderId, reason: 'spam' });
+
+      expect(res.status).toBe(409);
+    });
+  });
+
+  describe('/api/moderation/reports', () => {
+    it('should be closed to users who aren\'t moderators', async () => {
+      const res = await request(app)
+        .get('/api/moderation/reports')
+        .set('Authorization', `Bearer ${reporterToken}`);
+
+      expect(res.status).toBe(403);
+    });
+
+    it('should leave reports about the moderator out of their queue', async () => {
+      pool.query.mockResolvedValue({ rows: [] });
+
+      const res = await request(app)
+        .get('/api/moderation/reports')
+        .set('Authorization', `Bearer ${moderatorToken}`);
+
+      expect(res.status).toBe(200);
+      const [sql, params] = pool.query.mock.calls[0];
+      expect(sql).toContain('reported_user_id IS DISTINCT FROM $3');
+      expect(sql).toContain("r.target_type = 'conversation' AND cp.conversation_id = r.target_id AND cp.user_id = $3");
+      expect(params).toEqual(['open', null, moderatorId, 50, 0]);
+    });
+
+    it('should not show a moderator a report about themselves', async () => {
+      jest.spyOn(Report, 'getById').mockResolvedValue(messageReport({ reportedUserId: moderatorId }));
+
+      const res = await request(app)
+        .get(`/api/moderation/reports/${reportId}`)
+        .set('Authorization', `Bearer ${moderatorToken}`);
+
+      expect(res.status).toBe(404);
+    });
+
+    it('should not show a moderator a report about a conversation they\'re in', async () => {
+      const conversationReport = messageReport({ targetType: 'conversation', targetId: conversationId, reportedUserId: null });
+      jest.spyOn(Report, 'getById').mockResolvedValue(conversationReport);
+      const isParticipant = jest.spyOn(Conversation, 'isParticipant').mockResolvedValueOnce(true);
+
+      const hidden = await request(app)
+        .get(`/api/moderation/reports/${reportId}`)
+        .set('Authorization', `Bearer ${moderatorToken}`);
+
+      expect(hidden.status).toBe(404);
+      expect(isParticipant).toHaveBeenCalledWith(conversationId, moderatorId);
+
+      isParticipant.mockResolvedValueOnce(false);
+
+      const shown = await request(app)
+        .get(`/api/moderation/reports/${reportId}`)
+        .set('Authorization', `Bearer ${moderatorToken}`);
+
+      expect(shown.status).toBe(200);
+    });
+
+    it('should resolve a report and audit it in the same transaction', async () => {
+      jest.spyOn(Report, 'getById').mockResolvedValue(messageReport());
+      const client = mockClient((sql, params) => {
+        if (sql.includes('UPDATE reports')) {
+          return { rows: [{ id: params[0], status: params[1], resolution: params[2], resolved_by: params[3] }] };
+        }
+        if (sql.includes('INSERT INTO moderation_audit_log')) {
+          return { rows: [{ id: 1, moderator_id: params[0], action: params[1] }] };
+        }
+      });
+
+      const res = await request(app)
+        .post(`/api/moderation/reports/${reportId}/resolve`)
+        .set('Authorization', `Bearer ${moderatorToken}`)
+        .send({ status: 'dismissed', resolution: 'Banter between friends' });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual(expect.objectContaining({ status: 'dismissed', resolvedBy: moderatorId }));
+      const audit = client.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO moderation_audit_log'));
+      expect(audit[1]).toEqual([moderatorId, 'dismiss_report', reportId, 'report', reportId, JSON.stringify({ resolution: 'Banter between friends' })]);
+      expect(client.query).toHaveBeenLastCalledWith('COMMIT');
+    });
+
+    it('should return 409 for a report that is already closed', async () => {
+      jest.spyOn(Report, 'getById').mockResolvedValue(messageReport({ status: 'resolved' }));
+      const client = mockClient((sql) => (
+        sql.includes('SELECT status FROM reports') ? { rows: [{ status: 'resolved' }] } : null
+      ));
+
+      const res = await request(app)
+        .post(`/api/moderation/reports/${reportId}/resolve`)
+        .set('Authorization', `Bearer ${moderatorToken}`)
+        .send({ status: 'resolved' });
+
+      expect(res.status).toBe(409);
+      expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+    });
+
+    it('should delete a reported message and tell the conversation', async () => {
+      jest.spyOn(Report, 'getById').mockResolvedValue(messageReport());
+      const client = mockClient((sql) => {
+        if (sql.includes('SELECT sender_id, media_id FROM messages')) {
+          return { rows: [{ sender_id: offenderId, media_id: null }] };
+        }
+        if (sql.includes('DELETE FROM messages')) {
+          return { rows: [{ id: messageId }], rowCount: 1 };
+        }
+        if (sql.includes('INSERT INTO moderation_audit_log')) {
+          return { rows: [{ id: 2, action: 'delete_message' }] };
+        }
+      });
+
+      const res = await request(app)
+        .post(`/api/moderation/reports/${reportId}/delete-message`)
+        .set('Authorization', `Bearer ${moderatorToken}`);
+
+      expect(res.status).toBe(200);
+      const statements = client.query.mock.calls.map(([sql]) => sql);
+      expect(statements.filter(sql => sql === 'BEGIN')).toHaveLength(1);
+      expect(statements.findIndex(sql => sql.includes('INSERT INTO moderation_audit_log')))
+        .toBeLessThan(statements.indexOf('COMMIT'));
+      const audit = client.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO moderation_audit_log'));
+      expect(audit[1]).toEqual(expect.arrayContaining([moderatorId, 'delete_message', reportId, 'message', messageId]));
+      expect(pool.query).not.toHaveBeenCalled();
+      expect(emitToConversation).toHaveBeenCalledWith(conversationId, 'message_deleted', { messageId, conversationId });
+    });
+
+    it('should keep the message if the audit entry can\'t be written', async () => {
+      jest.spyOn(Report, 'getById').mockResolvedValue(messageReport());
+      const client = mockClient((sql) => {
+        if (sql.includes('SELECT sender_id, media_id FROM messages')) {
+          return { rows: [{ sender_id: offenderId, media_id: null }] };
+        }
+        if (sql.includes('DELETE FROM messages')) {
+          return { rows: [{ id: messageId }], rowCount: 1 };
+        }
+        if (sql.includes('INSERT INTO moderation_audit_log')) {
+          throw new Error('connection lost');
+        }
+      });
+
+      const res = await request(app)
+        .post(`/api/moderation/reports/${reportId}/delete-message`)
+        .set('Authorization', `Bearer ${moderatorToken}`);
+
+      expect(res.status).toBe(500);
+      expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+      expect(client.query).not.toHaveBeenCalledWith('COMMIT');
+      expect(emitToConversation).not.toHaveBeenCalled();
+    });
+
+    it('should refuse to delete a message for a report about a user', async () => {
+      jest.spyOn(Report, 'getById').mockResolvedValue(messageReport({ targetType: 'user', targetId: offenderId }));
+      const remove = jest.spyOn(Message, 'delete');
+
+      const res = await request(app)
+        .post(`/api/moderation/reports/${reportId}/delete-message`)
+        .set('Authorization', `Bearer ${moderatorToken}`);
+
+      expect(res.status).toBe(400);
+      expect(remove).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Suspension', () => {
+    it('should suspend the user and sign them out everywhere', async () => {
+      const until = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
+      const client = mockClient((sql) => {
+        if (sql.includes('UPDATE users')) {
+          return { rows: [{ roles: [], suspended_at: new Date(), suspended_until: until, suspension_reason: 'Threats' }] };
+        }
+        if (sql.includes('INSERT INTO moderation_audit_log')) {
+          return { rows: [{ id: 3 }] };
+        }
+      });
+
+      const res = await request(app)
+        .post(`/api/moderation/users/${offenderId}/suspend`)
+        .set('Authorization', `Bearer ${moderatorToken}`)
+        .send({ duration: '7d', reason: 'Threats', reportId });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual(expect.objectContaining({ userId: offenderId, suspended: true, suspensionReason: 'Threats' }));
+      expect(client.query.mock.calls.some(([sql]) => sql.includes('INSERT INTO moderation_audit_log'))).toBe(true);
+      expect(redisClient.del).toHaveBeenCalledWith(`refresh_token:${offenderId}`);
+      expect(emitToUser).toHaveBeenCalledWith(offenderId, 'account_suspended', expect.objectContaining({ reason: 'Threats' }));
+      expect(disconnectUser).toHaveBeenCalledWith(offenderId);
+    });
+
+    it('should revoke the refresh token from the client in use at the time', async () => {
+      const fallback = { isReady: true, del: jest.fn() };
+      mockClient((sql) => {
+        if (sql.includes('UPDATE users')) {
+          return { rows: [{ roles: [], suspended_at: new Date(), suspended_until: null, suspension_reason: null }] };
+        }
+        if (sql.includes('INSERT INTO moderation_audit_log')) {
+          return { rows: [{ id: 4 }] };
+        }
+      });
+
+      // As initRedis does when it falls back to the mock client
+      redis.redisClient = fallback;
+      try {
+        const res = await request(app)
+          .post(`/api/moderation/users/${offenderId}/suspend`)
+          .set('Authorization', `Bearer ${moderatorToken}`)
+          .send({ duration: 'permanent' });
+
+        expect(res.status).toBe(200);
+      } finally {
+        redis.redisClient = redisClient;
+      }
+      expect(fallback.del).toHaveBeenCalledWith(`refresh_token:${offenderId}`);
+      expect(redisClient.del).not.toHaveBeenCalled();
+    });
+
+    it('should refuse API requests from suspended and deleted users', async () => {
+      const until = new Date(Date.now() + 24 * 60 * 60 * 1000);
+      const create = jest.spyOn(Report, 'create');
+      const offenderToken = jwt.sign({ userId: offenderId, username: 'mallory' }, process.env.JWT_SECRET);
+      const send = () => request(app)
+        .post('/api/reports')
+        .set('Authorization', `Bearer ${offenderToken}`)
+        .send({ targetType: 'user', targetId: reporterId, reason: 'spam' });
+
+      User.getAccountStatus.mockResolvedValueOnce({ roles: [], suspended: true, suspendedUntil: until });
+      const suspended = await send();
+      User.getAccountStatus.mockResolvedValueOnce(null);
+      const deleted = await send();
+
+      expect(suspended.status).toBe(403);
+      expect(suspended.body.error.message).toBe(`Account suspended until ${until.toISOString()}`);
+      expect(deleted.status).toBe(401);
+      expect(User.getAccountStatus).toHaveBeenCalledWith(offenderId);
+      expect(create).not.toHaveBeenCalled();
+    });
+
+    it('should reject unknown durations', async () => {
+      const res = await request(app)
+        .post(`/api/moderation/users/${offenderId}/suspend`)
+        .set('Authorization', `Bearer ${moderatorToken}`)
+        .send({ duration: 'forever-ish' });
+
+      expect(res.status).toBe(400);
+      expect(pool.connect).not.toHaveBeenCalled();
+    });
+
+    it('should only let admins change roles', async () => {
+      const res = await request(app)
+        .put(`/api/moderation/users/${offenderId}/roles`)
+        .set('Authorization', `Bearer ${moderatorToken}`)
+        .send({ roles: ['moderator'] });
+
+      expect(res.status).toBe(403);
+    });
+
+    it('should not let a suspended user sign in', async () => {
+      const password_hash = await bcrypt.hash('secret123', 4);
+      const until = new Date(Date.now() + 24 * 60 * 60 * 1000);
+      pool.query.mockResolvedValue({
+        rows: [{ id: offenderId, username: 'mallory', password_hash, roles: [], suspended_at: new Date(), suspended_until: until }]
+      });
+
+      const res = await request(app)
+        .post('/api/auth/login')
+        .send({ username: 'mallory', password: 'secret123' });
+
+      expect(res.status).toBe(403);
+      expect(res.body.error.message).toBe(`Account suspended until ${until.toISOString()}`);
+      expect(redisClient.set).not.toHaveBeenCalled();
+    });
+
+    it('should let the user sign in once the suspension has run out', async () => {
+      jest.spyOn(User, 'updateStatus').mockResolvedValue();
+      const password_hash = await bcrypt.hash('secret123', 4);
+      pool.query.mockResolvedValue({
+        rows: [{ id: offenderId, username: 'mallory', password_hash, roles: [], suspended_at: new Date(), suspended_until: new Date(Date.now() - 1000) }]
+      });
+
+      const res = await request(app)
+        .post('/api/auth/login')
+        .send({ username: 'mallory', password: 'secret123' });
+
+      expect(res.status).toBe(200);
+    });
+  });
+});
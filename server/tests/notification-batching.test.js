@@ -0,0 +1,306 @@
+/**
+ * Notification Batching Tests
+ *
+ * Tests for collapsing bursts of message pushes per conversation
+ * and recording daily digests of unread messages
+ */
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+
+jest.mock('../src/config/database', () => ({
+  pool: { query: jest.fn(), connect: jest.fn() },
+  query: jest.fn()
+}));
+jest.mock('../src/config/redis', () => ({ redisClient: {} }));
+jest.mock('../src/models/User', () => ({
+  getAccountStatus: jest.fn().mockResolvedValue({ roles: [], suspended: false })
+}));
+jest.mock('../src/websocket/socket', () => ({
+  initializeSocketServer: jest.fn(),
+  emitToUser: jest.fn(),
+  emitToConversation: jest.fn()
+}));
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const { pool } = require('../src/config/database');
+const Conversation = require('../src/models/Conversation');
+const PushDeliveryJob = require('../src/models/PushDeliveryJob');
+const notificationService = require('../src/services/NotificationService');
+const notificationDigestService = require('../src/services/NotificationDigestService');
+const notificationRoutes = require('../src/routes/notificationRoutes');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const userId = uuidv4();
+const conversationId = uuidv4();
+const token = jwt.sign({ userId, username: 'busy' }, process.env.JWT_SECRET);
+
+const app = express();
+app.use(express.json());
+app.use('/api/notifications', notificationRoutes);
+
+const messageNotification = (body) => ({
+  type: 'message',
+  title: 'New message in Team Chat',
+  body,
+  data: { conversationId, isGroup: true, conversationName: 'Team Chat' }
+});
+
+const queuedPayloads = () => PushDeliveryJob.enqueue.mock.calls.map(([, payload]) => payload);
+
+// Stands in for the notification_batches table, keyed by user and conversation
+const batchTable = new Map();
+
+const mockBatchTable = () => {
+  batchTable.clear();
+  pool.query.mockImplementation(async (sql, params) => {
+    if (sql.includes('INSERT INTO notification_batches')) {
+      const [batchUserId, batchConversationId, notification, windowSeconds, threshold] = params;
+      const key = `${batchUserId}:${batchConversationId}`;
+      const batch = batchTable.get(key);
+
+      if (batch) {
+        batch.message_count++;
+        batch.held_count += batch.message_count >= threshold ? 1 : 0;
+        batch.notification = JSON.parse(notification);
+      } else {
+        batchTable.set(key, {
+          user_id: batchUserId,
+          conversation_id: batchConversationId,
+          message_count: 1,
+          held_count: 0,
+          notification: JSON.parse(notification),
+          flush_at: Date.now() + windowSeconds * 1000
+        });
+      }
+
+      return { rows: [{ message_count: batchTable.get(key).message_count }] };
+    }
+
+    if (sql.includes('DELETE FROM notification_batches')) {
+      const due = [...batchTable.entries()].filter(([, batch]) => batch.flush_at <= Date.now());
+      due.forEach(([key]) => batchTable.delete(key));
+      return { rows: due.map(([, batch]) => batch) };
+    }
+
+    return { rows: [] };
+  });
+};
+
+describe('Notification batching', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+    mockBatchTable();
+    notificationService.initialized = true;
+    jest.spyOn(PushDeliveryJob, 'enqueue').mockResolvedValue([1]);
+    jest.spyOn(notificationService, 'getNotificationSettings').mockResolvedValue({
+      enabled: true,
+      newMessages: true,
+      mentions: true,
+      quietHoursEnabled: false,
+      batchWindowSeconds: 60,
+      batchThreshold: 3
+    });
+    jest.spyOn(notificationService, 'getUserSubscriptions').mockResolvedValue([
+      { id: 1, endpoint: 'https://push.example/1', keys: { p256dh: 'key', auth: 'auth' } }
+    ]);
+    jest.spyOn(Conversation, 'getNotificationSettings')
+      .mockResolvedValue({ conversationId, level: 'all', muted: false, mutedUntil: null });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  afterAll(() => {
+    notificationService.initialized = false;
+  });
+
+  describe('NotificationService.sendNotification', () => {
+    it('should collapse a burst into one summary push with the same tag', async () => {
+      jest.useFakeTimers();
+
+      const results = [];
+      for (let index = 1; index <= 5; index++) {
+        results.push(await notificationService.sendNotification(userId, messageNotification(`alice: message ${index}`)));
+      }
+
+      expect(results.map(result => result.reason || 'sent')).toEqual(['sent', 'sent', 'batched', 'batched', 'batched']);
+      expect(PushDeliveryJob.enqueue).toHaveBeenCalledTimes(2);
+
+      await jest.advanceTimersByTimeAsync(60 * 1000);
+
+      const payloads = queuedPayloads();
+      expect(payloads).toHaveLength(3);
+      expect(payloads[2]).toEqual(expect.objectContaining({
+        title: '5 new messages in Team Chat',
+        body: 'alice: message 5',
+        tag: `swickr-conversation-${conversationId}`
+      }));
+      expect(payloads[2].data.messageCount).toBe(5);
+      expect(payloads[0].tag).toBe(payloads[2].tag);
+      expect(batchTable.size).toBe(0);
+    });
+
+    it('should check the user\'s settings again before sending the summary', async () => {
+      jest.useFakeTimers();
+
+      for (let index = 1; index <= 4; index++) {
+        await notificationService.sendNotification(userId, messageNotification(`alice: message ${index}`));
+      }
+      Conversation.getNotificationSettings
+        .mockResolvedValue({ conversationId, level: 'all', muted: true, mutedUntil: null });
+      await jest.advanceTimersByTimeAsync(60 * 1000);
+
+      expect(PushDeliveryJob.enqueue).toHaveBeenCalledTimes(2);
+      expect(batchTable.size).toBe(0);
+    });
+
+    it('should flush batches another instance left open', async () => {
+      batchTable.set(`${userId}:${conversationId}`, {
+        user_id: userId,
+        conversation_id: conversationId,
+        message_count: 6,
+        held_count: 4,
+        notification: messageNotification('alice: message 6'),
+        flush_at: Date.now() - 1000
+      });
+
+      expect(await notificationService.flushDueBatches()).toBe(1);
+
+      expect(queuedPayloads()).toEqual([expect.objectContaining({ title: '6 new messages in Team Chat' })]);
+      expect(pool.query.mock.calls[0][0]).toContain('FOR UPDATE SKIP LOCKED');
+    });
+
+    it('should not send a summary when the window closes below the threshold', async () => {
+      jest.useFakeTimers();
+
+      await notificationService.sendNotification(userId, messageNotification('alice: hi'));
+      await notificationService.sendNotification(userId, messageNotification('alice: there'));
+      await jest.advanceTimersByTimeAsync(60 * 1000);
+
+      expect(PushDeliveryJob.enqueue).toHaveBeenCalledTimes(2);
+    });
+
+    it('should never hold back mentions', async () => {
+      jest.useFakeTimers();
+
+      for (let index = 0; index < 3; index++) {
+        await notificationService.sendNotification(userId, messageNotification('alice: hi'));
+      }
+      const result = await notificationService.sendNotification(userId, {
+        ...messageNotification('alice mentioned you'),
+        type: 'mention'
+      });
+
+      expect(result.skipped).toBe(false);
+    });
+
+    it('should send every push when batching is turned off', async () => {
+      notificationService.getNotificationSettings.mockResolvedValue({
+        enabled: true,
+        newMessages: true,
+        batchWindowSeconds: 0,
+        batchThreshold: 3
+      });
+
+      for (let index = 0; index < 4; index++) {
+        await notificationService.sendNotification(userId, messageNotification('alice: hi'));
+      }
+
+      expect(PushDeliveryJob.enqueue).toHaveBeenCalledTimes(4);
+      expect(batchTable.size).toBe(0);
+    });
+  });
+
+  describe('NotificationService.updateNotificationSettings', () => {
+    it('should map settings to their columns', async () => {
+      notificationService.getNotificationSettings.mockRestore();
+      const client = {
+        query: jest.fn(async () => ({ rows: [{ user_id: userId, batch_window_seconds: 30, batch_threshold: 4 }] })),
+        release: jest.fn()
+      };
+      pool.connect.mockResolvedValue(client);
+
+      const settings = await notificationService.updateNotificationSettings(userId, {
+        batchWindowSeconds: 30,
+        batchThreshold: 4
+      });
+
+      const [sql, params] = client.query.mock.calls.find(([query]) => query.includes('UPDATE notification_settings'));
+      expect(sql).toContain('batch_window_seconds = $2, batch_threshold = $3');
+      expect(params).toEqual([userId, 30, 4]);
+      expect(settings).toEqual(expect.objectContaining({ batchWindowSeconds: 30, batchThreshold: 4 }));
+    });
+  });
+
+  describe('Daily digests', () => {
+    it('should record one digest per user and day', async () => {
+      pool.query.mockResolvedValue({
+        rows: [{
+          id: 1,
+          user_id: userId,
+          digest_date: '2024-01-01',
+          conversations: [{ conversationId, name: 'Team Chat', messageCount: 12 }],
+          message_count: '12'
+        }]
+      });
+
+      const digests = await notificationService.generateDailyDigests('2024-01-01');
+
+      const [sql, params] = pool.query.mock.calls[0];
+      expect(sql).toContain('ns.daily_digest = TRUE');
+      expect(sql).toContain("COALESCE(u.status, 'offline') = 'offline'");
+      expect(sql).toContain('m.timestamp >= u.status_updated_at');
+      expect(sql).toContain('ON CONFLICT (user_id, digest_date) DO NOTHING');
+      expect(params).toEqual(['2024-01-01']);
+      expect(digests[0]).toEqual(expect.objectContaining({ userId, messageCount: 12 }));
+    });
+
+    it('should record the previous day\'s digests once', async () => {
+      const generate = jest.spyOn(notificationService, 'generateDailyDigests').mockResolvedValue([]);
+      notificationDigestService.lastDigestDate = null;
+
+      await notificationDigestService.run(new Date('2024-01-02T00:30:00Z'));
+      await notificationDigestService.run(new Date('2024-01-02T01:30:00Z'));
+
+      expect(generate).toHaveBeenCalledTimes(1);
+      expect(generate).toHaveBeenCalledWith('2024-01-01');
+    });
+  });
+
+  describe('PUT /api/notifications/settings', () => {
+    it('should reject a batch threshold below 2', async () => {
+      const update = jest.spyOn(notificationService, 'updateNotificationSettings');
+
+      const res = await request(app)
+        .put('/api/notifications/settings')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ batchThreshold: 1 });
+
+      expect(res.status).toBe(400);
+      expect(update).not.toHaveBeenCalled();
+    });
+
+    it('should save batching settings', async () => {
+      const update = jest.spyOn(notificationService, 'updateNotificationSettings')
+        .mockResolvedValue({ batchWindowSeconds: 120, dailyDigest: true });
+
+      const res = await request(app)
+        .put('/api/notifications/settings')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ batchWindowSeconds: 120, dailyDigest: true });
+
+      expect(res.status).toBe(200);
+      expect(update).toHaveBeenCalledWith(userId, { batchWindowSeconds: 120, dailyDigest: true });
+    });
+  });
+});
@@ -0,0 +1,293 @@
+/**
+ * Pinned Message Tests
+ *
+ * Tests for pinning and unpinning messages in conversations
+ */
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+
+jest.mock('../src/config/database', () => ({
+  pool: { query: jest.fn(), connect: jest.fn() },
+  query: jest.fn()
+}));
+jest.mock('../src/config/redis', () => ({ redisClient: {} }));
+jest.mock('../src/models/User', () => ({
+  getAccountStatus: jest.fn().mockResolvedValue({ roles: [], suspended: false })
+}));
+jest.mock('../src/websocket/socket', () => ({
+  emitToUser: jest.fn(),
+  emitToConversation: jest.fn()
+}));
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const db = require('../src/config/database');
+const { emitToConversation } = require('../src/websocket/socket');
+const Conversation = require('../src/models/Conversation');
+const Message = require('../src/models/Message');
+const conversationRoutes = require('../src/api/conversations/routes');
+const { errorHandler } = require('../src/middleware/errorHandler');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const userId = uuidv4();
+const conversationId = uuidv4();
+const messageId = uuidv4();
+const token = jwt.sign({ userId, username: 'pinner' }, process.env.JWT_SECRET);
+
+const app = express();
+app.use(express.json());
+app.use('/api/conversations', conversationRoutes);
+app.use(errorHandler);
+
+/**
+ * Create a mock database client for the pin transaction
+ *
+ * @param {Object} options - Rows returned by the client
+ * @param {Array<Object>} options.messages - Rows for the message lookup
+ * @param {Array<Object>} options.pins - Existing pins in the conversation
+ * @returns {Object} Mock client
+ */
+const mockClient = ({ messages = [], pins = [] }) => {
+  const client = {
+    query: jest.fn(async (sql, params) => {
+      if (sql.includes('FROM messages')) {
+        return { rows: messages };
+      }
+      if (sql.includes('SELECT message_id FROM pinned_messages')) {
+        return { rows: pins };
+      }
+      if (sql.includes('INSERT INTO pinned_messages')) {
+        return { rows: [{ message_id: params[1], pinned_by: params[2], pinned_at: '2024-01-01T12:00:00.000Z' }] };
+      }
+      return { rows: [] };
+    }),
+    release: jest.fn()
+  };
+  db.pool.connect.mockResolvedValue(client);
+  return client;
+};
+
+const messageRow = (overrides = {}) => ({
+  id: messageId,
+  sender_id: uuidv4(),
+  content: 'Meeting at 10',
+  is_encrypted: false,
+  media_type: null,
+  timestamp: '2024-01-01T10:00:00.000Z',
+  ...overrides
+});
+
+describe('Pinned messages', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+  });
+
+  describe('Conversation.pinMessage', () => {
+    it('should pin a message from the conversation', async () => {
+      const client = mockClient({ messages: [messageRow()] });
+
+      const pin = await Conversation.pinMessage(conversationId, messageId, userId);
+
+      expect(client.query).toHaveBeenCalledWith(expect.stringContaining('FOR UPDATE'), [conversationId]);
+      expect(client.query).toHaveBeenCalledWith('COMMIT');
+      expect(pin).toEqual(expect.objectContaining({
+        messageId,
+        content: 'Meeting at 10',
+        pinnedBy: userId
+      }));
+    });
+
+    it('should not expose encrypted content', async () => {
+      mockClient({ messages: [messageRow({ is_encrypted: true, content: '' })] });
+
+      const pin = await Conversation.pinMessage(conversationId, messageId, userId);
+
+      expect(pin.isEncrypted).toBe(true);
+      expect(pin.content).toBeNull();
+    });
+
+    it('should enforce the pin limit', async () => {
+      const pins = Array.from({ length: Conversation.MAX_PINNED_MESSAGES }, () => ({ message_id: uuidv4() }));
+      const client = mockClient({ messages: [messageRow()], pins });
+
+      await expect(Conversation.pinMessage(conversationId, messageId, userId))
+        .rejects.toThrow(`at most ${Conversation.MAX_PINNED_MESSAGES} pinned messages`);
+      expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+      expect(client.release).toHaveBeenCalled();
+    });
+
+    it('should reject messages from other conversations', async () => {
+      mockClient({ messages: [] });
+
+      await expect(Conversation.pinMessage(conversationId, messageId, userId))
+        .rejects.toThrow('Message not found');
+    });
+  });
+
+  describe('GET /api/conversations/:id', () => {
+    it('should include the current pins, loaded once', async () => {
+      const pins = [{ messageId, content: 'Meeting at 10' }];
+      jest.spyOn(Message, 'isConversationParticipant').mockResolvedValue(true);
+      jest.spyOn(Message, 'getConversationById').mockResolvedValue({ id: conversationId, is_group: false });
+      const getPins = jest.spyOn(Conversation, 'getPins').mockResolvedValue(pins);
+
+      const res = await request(app)
+        .get(`/api/conversations/${conversationId}`)
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.pins).toEqual(pins);
+      expect(getPins).toHaveBeenCalledTimes(1);
+    });
+
+  });
+
+  describe('Conversation.getById', () => {
+    beforeEach(() => {
+      db.query.mockImplementation(async (sql) => {
+        if (sql.includes('FROM pinned_messages')) {
+          return { rows: [{ message_id: messageId, content: 'Meeting at 10', pinned_by: userId }] };
+        }
+        if (sql.includes('FROM conversations')) {
+          return { rows: [{ id: conversationId, is_group: false }] };
+        }
+        return { rows: [{ id: userId }] };
+      });
+    });
+
+    it('should include the current pins when asked', async () => {
+      const conversation = await Conversation.getById(conversationId, { includePins: true });
+
+      expect(conversation.pins).toEqual([expect.objectContaining({ messageId, content: 'Meeting at 10' })]);
+    });
+
+    it('should leave pins out by default', async () => {
+      const conversation = await Conversation.getById(conversationId);
+
+      expect(conversation.pins).toBeUndefined();
+      expect(db.query.mock.calls.some(([sql]) => sql.includes('pinned_messages'))).toBe(false);
+    });
+  });
+
+  describe('/api/conversations/:id/pins', () => {
+    it('should list pins for participants', async () => {
+      const pins = [{ messageId, content: 'Meeting at 10' }];
+      jest.spyOn(Conversation, 'isParticipant').mockResolvedValue(true);
+      jest.spyOn(Conversation, 'getPins').mockResolvedValue(pins);
+
+      const res = await request(app)
+        .get(`/api/conversations/${conversationId}/pins`)
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual(pins);
+    });
+
+    it('should pin a message and notify participants', async () => {
+      const pin = { messageId, pinnedBy: userId };
+      jest.spyOn(Conversation, 'getById').mockResolvedValue({ id: conversationId, is_group: false });
+      jest.spyOn(Conversation, 'isParticipant').mockResolvedValue(true);
+      jest.spyOn(Conversation, 'pinMessage').mockResolvedValue(pin);
+
+      const res = await request(app)
+        .post(`/api/conversations/${conversationId}/pins`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ messageId });
+
+      expect(res.status).toBe(201);
+      expect(emitToConversation).toHaveBeenCalledWith(conversationId, 'message_pinned', { conversationId, pin });
+    });
+
+    it('should only let group admins pin messages by default', async () => {
+      jest.spyOn(Conversation, 'getById').mockResolvedValue({
+        id: conversationId,
+        is_group: true,
+        participants: [{ id: userId, role: 'member' }]
+      });
+      jest.spyOn(Conversation, 'isParticipant').mockResolvedValue(true);
+      const pinMessage = jest.spyOn(Conversation, 'pinMessage');
+
+      const res = await request(app)
+        .post(`/api/conversations/${conversationId}/pins`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ messageId });
+
+      expect(res.status).toBe(403);
+      expect(pinMessage).not.toHaveBeenCalled();
+    });
+
+    it('should let members pin when the group allows it', async () => {
+      const pin = { messageId, pinnedBy: userId };
+      jest.spyOn(Conversation, 'getById').mockResolvedValue({
+        id: conversationId,
+        is_group: true,
+        permissions: { pinMessages: 'member' },
+        participants: [{ id: userId, role: 'member' }]
+      });
+      jest.spyOn(Conversation, 'isParticipant').mockResolvedValue(true);
+      jest.spyOn(Conversation, 'pinMessage').mockResolvedValue(pin);
+
+      const res = await request(app)
+        .post(`/api/conversations/${conversationId}/pins`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ messageId });
+
+      expect(res.status).toBe(201);
+    });
+
+    it('should return 400 when the pin limit is reached', async () => {
+      jest.spyOn(Conversation, 'getById').mockResolvedValue({ id: conversationId, is_group: false });
+      jest.spyOn(Conversation, 'isParticipant').mockResolvedValue(true);
+      jest.spyOn(Conversation, 'pinMessage').mockRejectedValue(new Error('A conversation can have at most 5 pinned messages'));
+
+      const res = await request(app)
+        .post(`/api/conversations/${conversationId}/pins`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ messageId });
+
+      expect(res.status).toBe(400);
+    });
+
+    it('should unpin a message and notify participants', async () => {
+      jest.spyOn(Conversation, 'getById').mockResolvedValue({
+        id: conversationId,
+        is_group: true,
+        participants: [{ id: userId, role: 'admin' }]
+      });
+      jest.spyOn(Conversation, 'isParticipant').mockResolvedValue(true);
+      jest.spyOn(Conversation, 'unpinMessage').mockResolvedValue(true);
+
+      const res = await request(app)
+        .delete(`/api/conversations/${conversationId}/pins/${messageId}`)
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(200);
+      expect(emitToConversation).toHaveBeenCalledWith(conversationId, 'message_unpinned', {
+        conversationId,
+        messageId,
+        unpinnedBy: userId
+      });
+    });
+
+    it('should return 404 when unpinning a message that is not pinned', async () => {
+      jest.spyOn(Conversation, 'getById').mockResolvedValue({ id: conversationId, is_group: false });
+      jest.spyOn(Conversation, 'isParticipant').mockResolvedValue(true);
+      jest.spyOn(Conversation, 'unpinMessage').mockResolvedValue(false);
+
+      const res = await request(app)
+        .delete(`/api/conversations/${conversationId}/pins/${messageId}`)
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(404);
+      expect(emitToConversation).not.toHaveBeenCalled();
+    });
+  });
+});
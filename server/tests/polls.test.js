@@ -0,0 +1,542 @@
+/**
+ * Poll Tests
+ *
+ * Tests for poll messages, voting, live tallies and poll previews
+ */
+process.env.NODE_ENV = 'development';
+delete process.env.REDIS_URL;
+
+const http = require('http');
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const ioClient = require('socket.io-client');
+const { v4: uuidv4 } = require('uuid');
+
+jest.mock('../src/config/database', () => ({
+  pool: { query: jest.fn(), connect: jest.fn() },
+  query: jest.fn()
+}));
+jest.mock('../src/models/User', () => ({
+  getById: jest.fn(),
+  getContacts: jest.fn().mockResolvedValue([]),
+  updateStatus: jest.fn().mockResolvedValue(true),
+  getAccountStatus: jest.fn().mockResolvedValue({ roles: [], suspended: false })
+}));
+jest.mock('../src/models/Media', () => ({}));
+jest.mock('../src/websocket/socket', () => ({
+  emitToUser: jest.fn(),
+  emitToConversation: jest.fn(),
+  deliverMessage: jest.fn(),
+  emitPollUpdate: jest.fn()
+}));
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const { pool } = require('../src/config/database');
+const redis = require('../src/config/redis');
+const { deliverMessage, emitPollUpdate } = require('../src/websocket/socket');
+const Conversation = require('../src/models/Conversation');
+const Message = require('../src/models/Message');
+const Poll = require('../src/models/Poll');
+const UserBlock = require('../src/models/UserBlock');
+const messageRoutes = require('../src/api/messages/routes');
+const { errorHandler } = require('../src/middleware/errorHandler');
+const { JWT_SECRET } = require('../src/config/auth');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const aliceId = uuidv4();
+const bobId = uuidv4();
+const carolId = uuidv4();
+const conversationId = uuidv4();
+const pollId = uuidv4();
+const pizzaId = uuidv4();
+const sushiId = uuidv4();
+const token = jwt.sign({ userId: bobId, username: 'bob' }, process.env.JWT_SECRET);
+
+const app = express();
+app.use(express.json());
+app.use('/api/messages', messageRoutes);
+app.use(errorHandler);
+
+const group = (overrides = {}) => ({
+  id: conversationId,
+  is_group: true,
+  permissions: {},
+  participants: [
+    { id: aliceId, username: 'alice', role: 'owner' },
+    { id: bobId, username: 'bob', role: 'member' },
+    { id: carolId, username: 'carol', role: 'member' }
+  ],
+  ...overrides
+});
+
+const pollMessage = (overrides = {}) => ({
+  id: pollId,
+  conversationId,
+  senderId: aliceId,
+  content: 'Lunch?',
+  type: 'poll',
+  ...overrides
+});
+
+const results = (overrides = {}) => ({
+  question: 'Lunch?',
+  multipleChoice: false,
+  anonymous: false,
+  closesAt: null,
+  closed: false,
+  totalVoters: 1,
+  options: [
+    { id: pizzaId, text: 'Pizza', voteCount: 1, voters: [{ userId: bobId, username: 'bob' }] },
+    { id: sushiId, text: 'Sushi', voteCount: 0, voters: [] }
+  ],
+  myVotes: [pizzaId],
+  ...overrides
+});
+
+const resultsRow = (overrides = {}) => ({
+  message_id: pollId,
+  question: 'Lunch?',
+  multiple_choice: false,
+  anonymous: false,
+  closes_at: null,
+  closed: false,
+  total_voters: 1,
+  options: [
+    { id: pizzaId, text: 'Pizza', voteCount: 1, voters: [{ userId: bobId, username: 'bob' }], votedByViewer: true },
+    { id: sushiId, text: 'Sushi', voteCount: 0, voters: [], votedByViewer: false }
+  ],
+  ...overrides
+});
+
+const mockClient = (handler = () => null) => {
+  const client = {
+    query: jest.fn(async (sql, params) => handler(sql, params) || { rows: [] }),
+    release: jest.fn()
+  };
+  pool.connect.mockResolvedValue(client);
+  return client;
+};
+
+describe('Polls', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+  });
+
+  describe('Poll.normalize', () => {
+    it('should tidy a valid poll', () => {
+      const closesAt = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+
+      expect(Poll.normalize({ question: ' Lunch? ', options: [' Pizza', 'Sushi '], multipleChoice: 1, closesAt })).toEqual({
+        question: 'Lunch?',
+        options: ['Pizza', 'Sushi'],
+        multipleChoice: true,
+        anonymous: false,
+        closesAt: new Date(closesAt)
+      });
+    });
+
+    it('should reject polls without enough different options', () => {
+      expect(() => Poll.normalize({ question: 'Lunch?', options: ['Pizza'] })).toThrow('A poll needs between 2 and 10 options');
+      expect(() => Poll.normalize({ question: 'Lunch?', options: ['Pizza', 'pizza'] })).toThrow('Poll options must be different');
+      expect(() => Poll.normalize({ question: 'Lunch?', options: ['Pizza', ''] })).toThrow('Poll options must be text');
+    });
+
+    it('should reject a missing question or a close time in the past', () => {
+      expect(() => Poll.normalize({ question: '  ', options: ['a', 'b'] })).toThrow('Poll question is required');
+      expect(() => Poll.normalize({ question: 'Lunch?', options: ['a', 'b'], closesAt: '2000-01-01' }))
+        .toThrow('Poll close time must be in the future');
+      expect(() => Poll.normalize({ question: 'Lunch?', options: ['a', 'b'], closesAt: 'soon' }))
+        .toThrow('Invalid poll close time');
+    });
+  });
+
+  describe('Message.create', () => {
+    it('should store a poll message with its options', async () => {
+      const client = mockClient(sql => (sql.includes('INSERT INTO messages') ? { rows: [{ id: 'x', expires_at: null }] } : null));
+
+      const message = await Message.create({
+        conversationId,
+        senderId: aliceId,
+        poll: { question: 'Lunch?', options: ['Pizza', 'Sushi'], anonymous: true }
+      });
+
+      const [, messageParams] = client.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO messages'));
+      expect(messageParams[3]).toBe('Lunch?');
+      expect(messageParams[17]).toBe('poll');
+      const [, optionParams] = client.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO poll_options'));
+      expect(optionParams[2]).toEqual(['Pizza', 'Sushi']);
+      expect(message.type).toBe('poll');
+      expect(message.poll).toEqual(expect.objectContaining({
+        question: 'Lunch?',
+        anonymous: true,
+        totalVoters: 0,
+        options: [
+          { id: optionParams[1][0], text: 'Pizza', voteCount: 0 },
+          { id: optionParams[1][1], text: 'Sushi', voteCount: 0 }
+        ]
+      }));
+    });
+
+    it('should refuse encrypted polls', async () => {
+      await expect(Message.create({
+        conversationId,
+        senderId: aliceId,
+        isEncrypted: true,
+        encryptedContent: 'ciphertext',
+        iv: 'iv',
+        recipientKeys: { [bobId]: 'key' },
+        poll: { question: 'Lunch?', options: ['Pizza', 'Sushi'] }
+      })).rejects.toThrow('Polls cannot be encrypted');
+    });
+  });
+
+  describe('Poll.vote', () => {
+    it('should replace an earlier vote in a single-choice poll', async () => {
+      const client = mockClient((sql) => {
+        if (sql.includes('FROM polls')) {
+          return { rows: [{ multiple_choice: false, closed: false }] };
+        }
+        if (sql.includes('FROM poll_options')) {
+          return { rows: [{ id: pizzaId }] };
+        }
+        return null;
+      });
+      pool.query.mockResolvedValue({ rows: [resultsRow()] });
+
+      const poll = await Poll.vote(pollId, bobId, [pizzaId]);
+
+      const [deleteSql, deleteParams] = client.query.mock.calls.find(([sql]) => sql.startsWith('DELETE FROM poll_votes'));
+      expect(deleteSql).toContain('option_id <> ALL($3::uuid[])');
+      expect(deleteParams).toEqual([pollId, bobId, [pizzaId]]);
+      expect(client.query).toHaveBeenCalledWith('COMMIT');
+      expect(poll.myVotes).toEqual([pizzaId]);
+    });
+
+    it('should add to earlier votes in a multiple-choice poll', async () => {
+      const client = mockClient((sql) => {
+        if (sql.includes('FROM polls')) {
+          return { rows: [{ multiple_choice: true, closed: false }] };
+        }
+        if (sql.includes('FROM poll_options')) {
+          return { rows: [{ id: pizzaId }, { id: sushiId }] };
+        }
+        return null;
+      });
+      pool.query.mockResolvedValue({ rows: [resultsRow({ multiple_choice: true })] });
+
+      await Poll.vote(pollId, bobId, [pizzaId, sushiId]);
+
+      expect(client.query.mock.calls.some(([sql]) => sql.startsWith('DELETE'))).toBe(false);
+      const [, insertParams] = client.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO poll_votes'));
+      expect(insertParams).toEqual([pollId, bobId, [pizzaId, sushiId]]);
+    });
+
+    it('should refuse more than one choice in a single-choice poll', async () => {
+      const client = mockClient(sql => (sql.includes('FROM polls') ? { rows: [{ multiple_choice: false, closed: false }] } : null));
+
+      await expect(Poll.vote(pollId, bobId, [pizzaId, sushiId])).rejects.toThrow('This poll only allows one choice');
+      expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+    });
+
+    it('should refuse options from other polls', async () => {
+      mockClient((sql) => {
+        if (sql.includes('FROM polls')) {
+          return { rows: [{ multiple_choice: false, closed: false }] };
+        }
+        return null;
+      });
+
+      await expect(Poll.vote(pollId, bobId, [uuidv4()])).rejects.toThrow('Invalid poll option');
+    });
+
+    it('should refuse votes once the poll has closed', async () => {
+      const client = mockClient(sql => (sql.includes('FROM polls') ? { rows: [{ multiple_choice: false, closed: true }] } : null));
+
+      await expect(Poll.vote(pollId, bobId, [pizzaId])).rejects.toThrow('Poll is closed');
+      expect(client.query.mock.calls.some(([sql]) => sql.includes('INSERT INTO poll_votes'))).toBe(false);
+    });
+  });
+
+  describe('Poll.getResults', () => {
+    it('should not say who voted in anonymous polls', async () => {
+      pool.query.mockResolvedValue({
+        rows: [resultsRow({
+          anonymous: true,
+          options: [
+            { id: pizzaId, text: 'Pizza', voteCount: 1, voters: null, votedByViewer: false },
+            { id: sushiId, text: 'Sushi', voteCount: 0, voters: null, votedByViewer: false }
+          ]
+        })]
+      });
+
+      const poll = await Poll.getByMessageId(pollId, carolId);
+
+      expect(poll.options).toEqual([
+        { id: pizzaId, text: 'Pizza', voteCount: 1 },
+        { id: sushiId, text: 'Sushi', voteCount: 0 }
+      ]);
+      expect(poll.myVotes).toEqual([]);
+    });
+  });
+
+  describe('Message.getByConversation', () => {
+    it('should include poll results', async () => {
+      pool.query.mockImplementation(async (sql) => {
+        if (sql.includes('FROM polls')) {
+          return { rows: [resultsRow()] };
+        }
+        return {
+          rows: [
+            { id: pollId, conversationId, senderId: aliceId, content: 'Lunch?', type: 'poll', timestamp: new Date().toISOString() },
+            { id: uuidv4(), conversationId, senderId: bobId, content: 'Hi', type: 'text', timestamp: new Date().toISOString() }
+          ]
+        };
+      });
+
+      const page = await Message.getByConversation(conversationId, { userId: bobId });
+
+      expect(page.messages[0].poll).toEqual(results());
+      expect(page.messages[1].poll).toBeNull();
+      const [, pollParams] = pool.query.mock.calls.find(([sql]) => sql.includes('FROM polls'));
+      expect(pollParams).toEqual([[pollId], bobId]);
+    });
+  });
+
+  describe('Message.getMessagePreview', () => {
+    it('should show the question and the leading option', () => {
+      expect(Message.getMessagePreview({ type: 'poll', content: 'Lunch?', poll: results({ totalVoters: 0 }) }))
+        .toBe('Poll: Lunch?');
+      expect(Message.getMessagePreview({ type: 'poll', content: 'Lunch?', poll: results({ totalVoters: 3 }) }))
+        .toBe('Poll: Lunch? (3 votes, leading: Pizza)');
+    });
+  });
+
+  describe('POST /api/messages/polls', () => {
+    it('should post and deliver a poll', async () => {
+      jest.spyOn(Conversation, 'getById').mockResolvedValue(group());
+      const create = jest.spyOn(Message, 'create').mockImplementation(async data => ({ id: pollId, type: 'poll', ...data }));
+
+      const res = await request(app)
+        .post('/api/messages/polls')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ conversationId, question: 'Lunch?', options: ['Pizza', 'Sushi'], multipleChoice: true });
+
+      expect(res.status).toBe(201);
+      expect(create).toHaveBeenCalledWith(expect.objectContaining({
+        conversationId,
+        senderId: bobId,
+        poll: expect.objectContaining({ question: 'Lunch?', options: ['Pizza', 'Sushi'], multipleChoice: true })
+      }));
+      expect(deliverMessage).toHaveBeenCalledWith(expect.objectContaining({ id: pollId }), expect.objectContaining({ id: conversationId }));
+    });
+
+    it('should reject invalid polls', async () => {
+      const create = jest.spyOn(Message, 'create');
+
+      const res = await request(app)
+        .post('/api/messages/polls')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ conversationId, question: 'Lunch?', options: ['Pizza'] });
+
+      expect(res.status).toBe(400);
+      expect(create).not.toHaveBeenCalled();
+    });
+
+    it('should refuse read-only members', async () => {
+      jest.spyOn(Conversation, 'getById').mockResolvedValue(group({
+        participants: [{ id: aliceId, role: 'owner' }, { id: bobId, role: 'read_only' }]
+      }));
+      const create = jest.spyOn(Message, 'create');
+
+      const res = await request(app)
+        .post('/api/messages/polls')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ conversationId, question: 'Lunch?', options: ['Pizza', 'Sushi'] });
+
+      expect(res.status).toBe(403);
+      expect(create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST and DELETE /api/messages/:messageId/poll/votes', () => {
+    it('should vote and broadcast the new tallies', async () => {
+      jest.spyOn(Message, 'getById').mockResolvedValue(pollMessage());
+      jest.spyOn(Conversation, 'getById').mockResolvedValue(group());
+      jest.spyOn(UserBlock, 'getBlockedOrBlockingIds').mockResolvedValue(new Set());
+      const vote = jest.spyOn(Poll, 'vote').mockResolvedValue(results());
+
+      const res = await request(app)
+        .post(`/api/messages/${pollId}/poll/votes`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ optionIds: [pizzaId] });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual(results());
+      expect(vote).toHaveBeenCalledWith(pollId, bobId, [pizzaId]);
+      expect(emitPollUpdate).toHaveBeenCalledWith(expect.objectContaining({ id: pollId }), expect.any(Object), bobId, results());
+    });
+
+    it('should reject votes in closed polls', async () => {
+      jest.spyOn(Message, 'getById').mockResolvedValue(pollMessage());
+      jest.spyOn(Conversation, 'getById').mockResolvedValue(group());
+      jest.spyOn(UserBlock, 'getBlockedOrBlockingIds').mockResolvedValue(new Set());
+      jest.spyOn(Poll, 'vote').mockRejectedValue(new Error('Poll is closed'));
+
+      const res = await request(app)
+        .post(`/api/messages/${pollId}/poll/votes`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ optionIds: [pizzaId] });
+
+      expect(res.status).toBe(400);
+      expect(emitPollUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should refuse votes in polls from blocked users', async () => {
+      jest.spyOn(Message, 'getById').mockResolvedValue(pollMessage());
+      jest.spyOn(Conversation, 'getById').mockResolvedValue(group());
+      jest.spyOn(UserBlock, 'getBlockedOrBlockingIds').mockResolvedValue(new Set([aliceId]));
+      const vote = jest.spyOn(Poll, 'vote');
+
+      const res = await request(app)
+        .post(`/api/messages/${pollId}/poll/votes`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ optionIds: [pizzaId] });
+
+      expect(res.status).toBe(403);
+      expect(vote).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 for messages that aren\'t polls', async () => {
+      jest.spyOn(Message, 'getById').mockResolvedValue(pollMessage({ type: 'text' }));
+
+      const res = await request(app)
+        .post(`/api/messages/${pollId}/poll/votes`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ optionIds: [pizzaId] });
+
+      expect(res.status).toBe(404);
+    });
+
+    it('should take back a vote', async () => {
+      jest.spyOn(Message, 'getById').mockResolvedValue(pollMessage());
+      jest.spyOn(Conversation, 'getById').mockResolvedValue(group());
+      const unvote = jest.spyOn(Poll, 'unvote').mockResolvedValue(results({ totalVoters: 0, myVotes: [] }));
+
+      const res = await request(app)
+        .delete(`/api/messages/${pollId}/poll/votes?optionId=${pizzaId}`)
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(200);
+      expect(unvote).toHaveBeenCalledWith(pollId, bobId, pizzaId);
+      expect(emitPollUpdate).toHaveBeenCalled();
+    });
+  });
+
+  describe('PUT /api/messages/:messageId', () => {
+    it('should refuse to edit polls', async () => {
+      jest.spyOn(Message, 'getById').mockResolvedValue(pollMessage({ senderId: bobId }));
+      mockClient(sql => (sql.includes('FOR UPDATE')
+        ? { rows: [{ id: pollId, sender_id: bobId, message_type: 'poll' }] }
+        : null));
+
+      const res = await request(app)
+        .put(`/api/messages/${pollId}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ content: 'Dinner?' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error.message).toBe('Polls cannot be edited');
+    });
+  });
+
+  describe('Socket poll events', () => {
+    const { initializeSocketServer } = jest.requireActual('../src/websocket/socket');
+    const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+    let server;
+    let io;
+    let bobClient;
+    let carolClient;
+
+    const connect = async (userId) => {
+      const client = ioClient(`http://localhost:${server.address().port}`, {
+        auth: { token: jwt.sign({ userId }, JWT_SECRET) },
+        transports: ['websocket'],
+        forceNew: true
+      });
+      await new Promise(resolve => client.once('connect', resolve));
+      for (let attempt = 0; attempt < 50; attempt++) {
+        if ((await redis.getUserSockets(userId)).includes(client.id)) {
+          break;
+        }
+        await sleep(20);
+      }
+      return client;
+    };
+
+    beforeAll(async () => {
+      server = http.createServer();
+      io = await initializeSocketServer(server);
+      await new Promise(resolve => server.listen(0, resolve));
+
+      bobClient = await connect(bobId);
+      carolClient = await connect(carolId);
+    });
+
+    afterAll(async () => {
+      bobClient.close();
+      carolClient.close();
+      // Let the offline grace period run out so no timers are left behind
+      await sleep(5500);
+      await new Promise(resolve => io.close(resolve));
+    }, 15000);
+
+    it('should broadcast live tallies, with the voter\'s own choices only to the voter', async () => {
+      jest.spyOn(Message, 'getById').mockResolvedValue(pollMessage());
+      jest.spyOn(Conversation, 'getById').mockResolvedValue(group());
+      jest.spyOn(UserBlock, 'getBlockedOrBlockingIds').mockResolvedValue(new Set());
+      jest.spyOn(Poll, 'vote').mockResolvedValue(results());
+
+      const bobUpdate = new Promise(resolve => bobClient.once('message:poll:update', resolve));
+      const carolUpdate = new Promise(resolve => carolClient.once('message:poll:update', resolve));
+      const confirmed = new Promise(resolve => bobClient.once('poll_vote_confirmed', resolve));
+      bobClient.emit('message:poll:vote', { messageId: pollId, optionIds: [pizzaId] });
+
+      const { myVotes, ...tallies } = results();
+      expect(await bobUpdate).toEqual(expect.objectContaining({ messageId: pollId, userId: bobId, poll: results() }));
+      expect(await carolUpdate).toEqual(expect.objectContaining({ messageId: pollId, userId: bobId, poll: tallies }));
+      expect((await confirmed).optionIds).toEqual(myVotes);
+    });
+
+    it('should not say who voted in anonymous polls', async () => {
+      jest.spyOn(Message, 'getById').mockResolvedValue(pollMessage());
+      jest.spyOn(Conversation, 'getById').mockResolvedValue(group());
+      jest.spyOn(UserBlock, 'getBlockedOrBlockingIds').mockResolvedValue(new Set());
+      jest.spyOn(Poll, 'unvote').mockResolvedValue(results({ anonymous: true, totalVoters: 0, myVotes: [] }));
+
+      const carolUpdate = new Promise(resolve => carolClient.once('message:poll:update', resolve));
+      bobClient.emit('message:poll:unvote', { messageId: pollId });
+
+      expect((await carolUpdate).userId).toBeNull();
+    });
+
+    it('should report voting mistakes to the voter', async () => {
+      jest.spyOn(Message, 'getById').mockResolvedValue(pollMessage());
+      jest.spyOn(Conversation, 'getById').mockResolvedValue(group());
+      jest.spyOn(UserBlock, 'getBlockedOrBlockingIds').mockResolvedValue(new Set());
+      jest.spyOn(Poll, 'vote').mockRejectedValue(new Error('This poll only allows one choice'));
+
+      const error = new Promise(resolve => bobClient.once('error', resolve));
+      bobClient.emit('message:poll:vote', { messageId: pollId, optionIds: [pizzaId, sushiId] });
+
+      expect(await error).toEqual({ message: 'This poll only allows one choice' });
+    });
+  });
+});
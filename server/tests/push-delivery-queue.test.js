@@ -0,0 +1,255 @@
+/**
+ * Push Delivery Queue Tests
+ *
+ * Tests for queueing web pushes, retrying failed sends with backoff,
+ * dead-lettering and replaying pushes that run out of attempts
+ */
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+
+jest.mock('web-push', () => ({
+  setVapidDetails: jest.fn(),
+  sendNotification: jest.fn()
+}));
+jest.mock('../src/config/database', () => ({
+  pool: { query: jest.fn(), connect: jest.fn() },
+  query: jest.fn()
+}));
+jest.mock('../src/config/redis', () => ({ redisClient: {} }));
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const webpush = require('web-push');
+const { pool } = require('../src/config/database');
+const PushDeliveryJob = require('../src/models/PushDeliveryJob');
+const NotificationPerformanceMonitor = require('../src/services/NotificationPerformanceMonitor');
+const notificationService = require('../src/services/NotificationService');
+const pushDeliveryService = require('../src/services/PushDeliveryService');
+const deadLetterRoutes = require('../src/api/notifications/dead-letters');
+const { errorHandler } = require('../src/middleware/errorHandler');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const userId = uuidv4();
+const adminToken = jwt.sign({ userId: uuidv4(), username: 'admin', roles: ['admin'] }, process.env.JWT_SECRET);
+const userToken = jwt.sign({ userId, username: 'user' }, process.env.JWT_SECRET);
+
+const app = express();
+app.use(express.json());
+app.use('/api/notifications/dead-letters', deadLetterRoutes);
+app.use(errorHandler);
+
+const job = (overrides = {}) => ({
+  id: 7,
+  subscriptionId: 3,
+  userId,
+  type: 'message',
+  payload: { title: 'Hi', body: 'Hello' },
+  attempts: 1,
+  maxAttempts: PushDeliveryJob.MAX_ATTEMPTS,
+  endpoint: 'https://push.example/3',
+  keys: { p256dh: 'key', auth: 'auth' },
+  ...overrides
+});
+
+const pushError = (statusCode) => Object.assign(new Error(`Received unexpected response code ${statusCode}`), { statusCode });
+
+describe('Push delivery queue', () => {
+  let endTracking;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+    endTracking = jest.fn();
+    jest.spyOn(NotificationPerformanceMonitor, 'startNotificationSend').mockReturnValue(endTracking);
+  });
+
+  describe('PushDeliveryJob', () => {
+    it('should claim due jobs with SKIP LOCKED and reclaim stale ones', async () => {
+      pool.query.mockResolvedValue({ rows: [] });
+
+      await PushDeliveryJob.claimDue(25);
+
+      const [sql, params] = pool.query.mock.calls[0];
+      expect(sql).toContain('FOR UPDATE SKIP LOCKED');
+      expect(sql).toContain("status = 'sending' AND locked_at <");
+      expect(params).toEqual([25]);
+    });
+
+    it('should back off exponentially up to the maximum delay', () => {
+      expect([1, 2, 3, 4].map(attempts => PushDeliveryJob.getRetryDelay(attempts))).toEqual([30, 60, 120, 240]);
+      expect(PushDeliveryJob.getRetryDelay(20)).toBe(60 * 60);
+    });
+
+    it('should schedule a retry while attempts remain', async () => {
+      pool.query.mockResolvedValue({ rows: [] });
+
+      const state = await PushDeliveryJob.markFailed(job({ attempts: 3 }), 'Service unavailable', { statusCode: 503 });
+
+      expect(state).toBe('pending');
+      expect(pool.query.mock.calls[0][1]).toEqual([7, 'Service unavailable', 120]);
+    });
+
+    it('should dead-letter a job once its attempts run out', async () => {
+      pool.query.mockResolvedValue({ rows: [{ id: 1 }] });
+
+      const state = await PushDeliveryJob.markFailed(job({ attempts: PushDeliveryJob.MAX_ATTEMPTS }), 'Service unavailable', { statusCode: 503 });
+
+      const [sql, params] = pool.query.mock.calls[0];
+      expect(state).toBe('dead');
+      expect(sql).toContain('INSERT INTO push_dead_letters');
+      expect(params).toEqual([7, 'https://push.example/3', 'Service unavailable', 503]);
+    });
+
+    it('should refuse to replay a dead letter twice', async () => {
+      const client = {
+        query: jest.fn(async (sql) => (
+          sql.includes('FROM push_dead_letters') ? { rows: [{ id: 1, subscription_id: 3, replayed_at: new Date() }] } : { rows: [] }
+        )),
+        release: jest.fn()
+      };
+      pool.connect.mockResolvedValue(client);
+
+      await expect(PushDeliveryJob.replayDeadLetter(1)).rejects.toThrow('already been replayed');
+      expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+      expect(client.query.mock.calls.some(([sql]) => sql.includes('INSERT INTO push_delivery_jobs'))).toBe(false);
+    });
+  });
+
+  describe('PushDeliveryService.deliver', () => {
+    it('should complete delivered jobs and record the timing', async () => {
+      webpush.sendNotification.mockResolvedValue({});
+      const complete = jest.spyOn(PushDeliveryJob, 'complete').mockResolvedValue(true);
+
+      expect(await pushDeliveryService.deliver(job())).toBe(true);
+
+      expect(webpush.sendNotification).toHaveBeenCalledWith(
+        { endpoint: 'https://push.example/3', keys: { p256dh: 'key', auth: 'auth' } },
+        JSON.stringify(job().payload)
+      );
+      expect(complete).toHaveBeenCalledWith(7);
+      expect(endTracking).toHaveBeenCalledWith(true, 'message');
+    });
+
+    it('should retry transient failures', async () => {
+      webpush.sendNotification.mockRejectedValue(pushError(503));
+      const markFailed = jest.spyOn(PushDeliveryJob, 'markFailed').mockResolvedValue('pending');
+
+      expect(await pushDeliveryService.deliver(job())).toBe(false);
+
+      expect(markFailed).toHaveBeenCalledWith(job(), expect.any(String), { statusCode: 503, permanent: false });
+      expect(endTracking).toHaveBeenCalledWith(false, 'message', 'http-503');
+    });
+
+    it('should dead-letter rejected payloads without retrying', async () => {
+      webpush.sendNotification.mockRejectedValue(pushError(413));
+      const markFailed = jest.spyOn(PushDeliveryJob, 'markFailed').mockResolvedValue('dead');
+
+      await pushDeliveryService.deliver(job());
+
+      expect(markFailed).toHaveBeenCalledWith(job(), expect.any(String), { statusCode: 413, permanent: true });
+    });
+
+    it('should drop subscriptions the push service no longer knows', async () => {
+      webpush.sendNotification.mockRejectedValue(pushError(410));
+      const removeSubscription = jest.spyOn(PushDeliveryJob, 'removeSubscription').mockResolvedValue(true);
+      const markFailed = jest.spyOn(PushDeliveryJob, 'markFailed');
+
+      await pushDeliveryService.deliver(job());
+
+      expect(removeSubscription).toHaveBeenCalledWith(3);
+      expect(markFailed).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('NotificationService.sendPushNotificationToUser', () => {
+    beforeEach(() => {
+      notificationService.initialized = true;
+    });
+
+    afterAll(() => {
+      notificationService.initialized = false;
+    });
+
+    it('should queue one job per subscription instead of sending inline', async () => {
+      jest.spyOn(notificationService, 'getNotificationSettings').mockResolvedValue({ enabled: true });
+      jest.spyOn(notificationService, 'getUserSubscriptions').mockResolvedValue([{ id: 3 }, { id: 4 }]);
+      jest.spyOn(notificationService, 'storeNotification').mockResolvedValue();
+      const enqueue = jest.spyOn(PushDeliveryJob, 'enqueue').mockResolvedValue([11, 12]);
+      jest.spyOn(PushDeliveryJob, 'claimDue').mockResolvedValue([]);
+      const notification = { type: 'system', title: 'Maintenance', body: 'Tonight at 10' };
+
+      const result = await notificationService.sendPushNotificationToUser(userId, notification);
+
+      expect(result).toEqual(expect.objectContaining({ success: true, queued: 2 }));
+      expect(enqueue).toHaveBeenCalledWith([3, 4], notification, 'system');
+      expect(webpush.sendNotification).not.toHaveBeenCalled();
+    });
+
+    it('should send queued pushes before returning when the service isn\'t polling', async () => {
+      jest.spyOn(notificationService, 'getNotificationSettings').mockResolvedValue({ enabled: true });
+      jest.spyOn(notificationService, 'getUserSubscriptions').mockResolvedValue([{ id: 3 }]);
+      jest.spyOn(notificationService, 'storeNotification').mockResolvedValue();
+      jest.spyOn(PushDeliveryJob, 'enqueue').mockResolvedValue([7]);
+      jest.spyOn(PushDeliveryJob, 'claimDue').mockResolvedValueOnce([job()]).mockResolvedValue([]);
+      const complete = jest.spyOn(PushDeliveryJob, 'complete').mockResolvedValue();
+      webpush.sendNotification.mockResolvedValue({ statusCode: 201 });
+
+      await notificationService.sendPushNotificationToUser(userId, { type: 'system', title: 'Hi', body: 'Hello' });
+
+      expect(webpush.sendNotification).toHaveBeenCalledTimes(1);
+      expect(complete).toHaveBeenCalledWith(7);
+    });
+  });
+
+  describe('/api/notifications/dead-letters', () => {
+    it('should be limited to admins', async () => {
+      const res = await request(app)
+        .get('/api/notifications/dead-letters')
+        .set('Authorization', `Bearer ${userToken}`);
+
+      expect(res.status).toBe(403);
+    });
+
+    it('should list dead letters', async () => {
+      const deadLetters = [{ id: 1, lastError: 'Service unavailable' }];
+      const getDeadLetters = jest.spyOn(PushDeliveryJob, 'getDeadLetters').mockResolvedValue(deadLetters);
+
+      const res = await request(app)
+        .get('/api/notifications/dead-letters')
+        .query({ limit: 10 })
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual(deadLetters);
+      expect(getDeadLetters).toHaveBeenCalledWith({ limit: 10, offset: 0, includeReplayed: false });
+    });
+
+    it('should replay a dead letter', async () => {
+      jest.spyOn(PushDeliveryJob, 'replayDeadLetter').mockResolvedValue({ id: 1, replayJobId: 20 });
+
+      const res = await request(app)
+        .post('/api/notifications/dead-letters/1/replay')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.replayJobId).toBe(20);
+    });
+
+    it('should return 409 for a dead letter that was already replayed', async () => {
+      jest.spyOn(PushDeliveryJob, 'replayDeadLetter').mockRejectedValue(new Error('Dead letter has already been replayed'));
+
+      const res = await request(app)
+        .post('/api/notifications/dead-letters/1/replay')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.status).toBe(409);
+    });
+  });
+});
@@ -0,0 +1,273 @@
+/**
+ * Quiet Hours Tests
+ *
+ * Tests for quiet hours in the user's own time zone, weekday schedules,
+ * letting urgent pushes and mentions through, and the delivery check endpoint
+ */
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+
+jest.mock('../src/config/database', () => ({
+  pool: { query: jest.fn(), connect: jest.fn() },
+  query: jest.fn()
+}));
+jest.mock('../src/config/redis', () => ({ redisClient: {} }));
+jest.mock('../src/models/User', () => ({
+  getAccountStatus: jest.fn().mockResolvedValue({ roles: [], suspended: false })
+}));
+jest.mock('../src/websocket/socket', () => ({
+  initializeSocketServer: jest.fn(),
+  emitToUser: jest.fn(),
+  emitToConversation: jest.fn()
+}));
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const { pool } = require('../src/config/database');
+const PushDeliveryJob = require('../src/models/PushDeliveryJob');
+const notificationService = require('../src/services/NotificationService');
+const notificationRoutes = require('../src/routes/notificationRoutes');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const userId = uuidv4();
+const token = jwt.sign({ userId, username: 'sleeper' }, process.env.JWT_SECRET);
+
+const app = express();
+app.use(express.json());
+app.use('/api/notifications', notificationRoutes);
+
+const settings = (overrides = {}) => ({
+  enabled: true,
+  newMessages: true,
+  mentions: true,
+  quietHoursEnabled: true,
+  quietHoursStart: '22:00:00',
+  quietHoursEnd: '07:00:00',
+  timezone: 'America/New_York',
+  quietHoursSchedule: null,
+  quietHoursAllowMentions: false,
+  quietHoursAllowUrgent: true,
+  batchWindowSeconds: 0,
+  ...overrides
+});
+
+// Monday 2024-01-15 23:00 in New York
+const MONDAY_NIGHT = new Date('2024-01-16T04:00:00Z');
+
+describe('Quiet hours', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+  });
+
+  describe('NotificationService.getQuietHoursStatus', () => {
+    it('should use the user\'s time zone rather than the server\'s', () => {
+      const status = notificationService.getQuietHoursStatus(settings(), MONDAY_NIGHT);
+
+      expect(status).toEqual({ active: true, timezone: 'America/New_York', weekday: 'mon', localTime: '23:00' });
+      expect(notificationService.isQuietHours(settings({ timezone: 'Asia/Tokyo' }), MONDAY_NIGHT)).toBe(false);
+    });
+
+    it('should end quiet hours at the end time', () => {
+      expect(notificationService.isQuietHours(settings(), new Date('2024-01-16T11:59:00Z'))).toBe(true);
+      expect(notificationService.isQuietHours(settings(), new Date('2024-01-16T12:00:00Z'))).toBe(false);
+    });
+
+    it('should follow the weekday schedule, including overnight hours from the day before', () => {
+      const weekendLieIn = settings({
+        timezone: 'Europe/Berlin',
+        quietHoursSchedule: { fri: { start: '23:00', end: '10:00' }, sat: null }
+      });
+
+      // Saturday 08:00 in Berlin, still inside Friday night's quiet hours
+      expect(notificationService.isQuietHours(weekendLieIn, new Date('2024-01-20T07:00:00Z'))).toBe(true);
+      // Saturday 23:30 in Berlin, no quiet hours on Saturdays
+      expect(notificationService.isQuietHours(weekendLieIn, new Date('2024-01-20T22:30:00Z'))).toBe(false);
+      // Thursday 23:30 in Berlin, not in the schedule
+      expect(notificationService.isQuietHours(weekendLieIn, new Date('2024-01-18T22:30:00Z'))).toBe(false);
+    });
+
+    it('should be inactive when quiet hours are turned off', () => {
+      expect(notificationService.isQuietHours(settings({ quietHoursEnabled: false }), MONDAY_NIGHT)).toBe(false);
+    });
+  });
+
+  describe('NotificationService.checkDelivery', () => {
+    it('should hold back pushes during quiet hours', async () => {
+      jest.spyOn(notificationService, 'getNotificationSettings').mockResolvedValue(settings());
+
+      const result = await notificationService.checkDelivery(userId, { type: 'message' }, MONDAY_NIGHT);
+
+      expect(result).toEqual(expect.objectContaining({ deliver: false, reason: 'quiet_hours' }));
+    });
+
+    it('should let urgent notifications through unless the user turned that off', async () => {
+      const getSettings = jest.spyOn(notificationService, 'getNotificationSettings').mockResolvedValue(settings());
+      const urgent = { type: 'system', priority: 'urgent' };
+
+      expect((await notificationService.checkDelivery(userId, urgent, MONDAY_NIGHT)).deliver).toBe(true);
+
+      getSettings.mockResolvedValue(settings({ quietHoursAllowUrgent: false }));
+      expect((await notificationService.checkDelivery(userId, urgent, MONDAY_NIGHT)).reason).toBe('quiet_hours');
+    });
+
+    it('should let mentions through only when the user allows it', async () => {
+      const getSettings = jest.spyOn(notificationService, 'getNotificationSettings').mockResolvedValue(settings());
+      const mention = { type: 'mention' };
+
+      expect((await notificationService.checkDelivery(userId, mention, MONDAY_NIGHT)).reason).toBe('quiet_hours');
+
+      getSettings.mockResolvedValue(settings({ quietHoursAllowMentions: true }));
+      expect((await notificationService.checkDelivery(userId, mention, MONDAY_NIGHT)).deliver).toBe(true);
+    });
+  });
+
+  describe('Sending during quiet hours', () => {
+    beforeEach(() => {
+      notificationService.initialized = true;
+    });
+
+    afterAll(() => {
+      notificationService.initialized = false;
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('should skip pushes during quiet hours', async () => {
+      jest.useFakeTimers({ now: MONDAY_NIGHT });
+      jest.spyOn(notificationService, 'getNotificationSettings').mockResolvedValue(settings());
+      const enqueue = jest.spyOn(PushDeliveryJob, 'enqueue');
+
+      const result = await notificationService.sendNotification(userId, { type: 'message', title: 'Hi', body: 'Hello' });
+
+      expect(result).toEqual(expect.objectContaining({ skipped: true, reason: 'quiet_hours' }));
+      expect(enqueue).not.toHaveBeenCalled();
+    });
+
+    it('should queue urgent pushes sent straight to the user during quiet hours', async () => {
+      jest.useFakeTimers({ now: MONDAY_NIGHT });
+      jest.spyOn(notificationService, 'getNotificationSettings').mockResolvedValue(settings());
+      jest.spyOn(notificationService, 'getUserSubscriptions').mockResolvedValue([{ id: 3 }]);
+      jest.spyOn(notificationService, 'storeNotification').mockResolvedValue();
+      const enqueue = jest.spyOn(PushDeliveryJob, 'enqueue').mockResolvedValue([1]);
+
+      const quiet = await notificationService.sendPushNotificationToUser(userId, { type: 'system', title: 'Hi', body: 'Hello' });
+      const urgent = await notificationService.sendPushNotificationToUser(userId, { type: 'system', priority: 'urgent', title: 'Hi', body: 'Hello' });
+
+      expect(quiet.success).toBe(false);
+      expect(urgent.success).toBe(true);
+      expect(enqueue).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('NotificationService.updateNotificationSettings', () => {
+    it('should reject unknown time zones and malformed schedules without saving', async () => {
+      await expect(notificationService.updateNotificationSettings(userId, { timezone: 'Mars/Olympus_Mons' }))
+        .rejects.toThrow('Invalid time zone');
+      await expect(notificationService.updateNotificationSettings(userId, { quietHoursSchedule: { someday: null } }))
+        .rejects.toThrow('Invalid quiet hours schedule day');
+      await expect(notificationService.updateNotificationSettings(userId, { quietHoursSchedule: { mon: { start: '25:00', end: '07:00' } } }))
+        .rejects.toThrow('Invalid quiet hours for mon');
+      await expect(notificationService.updateNotificationSettings(userId, { quietHoursStart: '10pm' }))
+        .rejects.toThrow('Invalid quiet hours time');
+      expect(pool.connect).not.toHaveBeenCalled();
+    });
+
+    it('should store the schedule as JSON', async () => {
+      const schedule = { mon: { start: '22:00', end: '07:00' }, sat: null };
+      const client = {
+        query: jest.fn(async () => ({ rows: [{ user_id: userId, timezone: 'Europe/Berlin', quiet_hours_schedule: schedule }] })),
+        release: jest.fn()
+      };
+      pool.connect.mockResolvedValue(client);
+
+      const updated = await notificationService.updateNotificationSettings(userId, {
+        timezone: 'Europe/Berlin',
+        quietHoursSchedule: schedule
+      });
+
+      const [sql, params] = client.query.mock.calls.find(([query]) => query.includes('UPDATE notification_settings'));
+      expect(sql).toContain('timezone = $2, quiet_hours_schedule = $3');
+      expect(params).toEqual([userId, 'Europe/Berlin', JSON.stringify(schedule)]);
+      expect(updated).toEqual(expect.objectContaining({ timezone: 'Europe/Berlin', quietHoursSchedule: schedule }));
+    });
+  });
+
+  describe('PUT /api/notifications/settings', () => {
+    it('should return 400 for an unknown time zone', async () => {
+      const res = await request(app)
+        .put('/api/notifications/settings')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ timezone: 'Nowhere/Special' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error.message).toContain('Invalid time zone');
+    });
+  });
+
+  describe('GET /api/notifications/delivery-check', () => {
+    beforeEach(() => {
+      notificationService.initialized = true;
+    });
+
+    afterAll(() => {
+      notificationService.initialized = false;
+    });
+
+    it('should explain that quiet hours are holding pushes back', async () => {
+      jest.spyOn(notificationService, 'checkDelivery').mockResolvedValue({
+        deliver: false,
+        reason: 'quiet_hours',
+        settings: settings(),
+        quietHours: { active: true, timezone: 'America/New_York', weekday: 'mon', localTime: '23:00' }
+      });
+
+      const res = await request(app)
+        .get('/api/notifications/delivery-check')
+        .query({ type: 'mention' })
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual(expect.objectContaining({
+        deliver: false,
+        reason: 'quiet_hours',
+        type: 'mention',
+        quietHours: expect.objectContaining({ active: true, localTime: '23:00' })
+      }));
+      expect(res.body.settings).toBeUndefined();
+      expect(notificationService.checkDelivery).toHaveBeenCalledWith(userId, { type: 'mention', priority: undefined, data: {} });
+    });
+
+    it('should report users without any devices', async () => {
+      jest.spyOn(notificationService, 'getNotificationSettings').mockResolvedValue(settings({ quietHoursEnabled: false }));
+      jest.spyOn(notificationService, 'getUserSubscriptions').mockResolvedValue([]);
+
+      const res = await request(app)
+        .get('/api/notifications/delivery-check')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual(expect.objectContaining({ deliver: false, reason: 'no_subscriptions' }));
+    });
+
+    it('should count the devices a push would reach', async () => {
+      jest.spyOn(notificationService, 'getNotificationSettings').mockResolvedValue(settings({ quietHoursEnabled: false }));
+      jest.spyOn(notificationService, 'getUserSubscriptions').mockResolvedValue([{ id: 1 }, { id: 2 }]);
+
+      const res = await request(app)
+        .get('/api/notifications/delivery-check')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.body).toEqual(expect.objectContaining({ deliver: true, reason: null, devices: 2 }));
+    });
+  });
+});
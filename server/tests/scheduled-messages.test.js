@@ -0,0 +1,352 @@
+/**
+ * Scheduled Message Tests
+ *
+ * Tests for scheduling messages, the scheduler that sends them and
+ * the REST endpoints for managing them
+ */
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+
+jest.mock('../src/config/database', () => ({
+  pool: { query: jest.fn(), connect: jest.fn() },
+  query: jest.fn()
+}));
+jest.mock('../src/config/redis', () => ({ redisClient: {} }));
+jest.mock('../src/models/User', () => ({
+  getAccountStatus: jest.fn().mockResolvedValue({ roles: [], suspended: false })
+}));
+jest.mock('../src/models/Media', () => ({}));
+jest.mock('../src/websocket/socket', () => ({
+  emitToUser: jest.fn(),
+  emitToConversation: jest.fn(),
+  deliverMessage: jest.fn()
+}));
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const { pool } = require('../src/config/database');
+const { deliverMessage } = require('../src/websocket/socket');
+const Message = require('../src/models/Message');
+const Conversation = require('../src/models/Conversation');
+const ScheduledMessage = require('../src/models/ScheduledMessage');
+const UserBlock = require('../src/models/UserBlock');
+const scheduledMessageService = require('../src/services/ScheduledMessageService');
+const messageRoutes = require('../src/api/messages/routes');
+const { errorHandler } = require('../src/middleware/errorHandler');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const senderId = uuidv4();
+const recipientId = uuidv4();
+const conversationId = uuidv4();
+const token = jwt.sign({ userId: senderId, username: 'sender' }, process.env.JWT_SECRET);
+
+const app = express();
+app.use(express.json());
+app.use('/api/messages', messageRoutes);
+app.use(errorHandler);
+
+const inOneHour = () => new Date(Date.now() + 60 * 60 * 1000).toISOString();
+
+const scheduledMessage = (overrides = {}) => ({
+  id: uuidv4(),
+  messageId: uuidv4(),
+  conversationId,
+  senderId,
+  content: 'Happy birthday!',
+  isEncrypted: false,
+  encryptedContent: null,
+  iv: null,
+  recipientKeys: null,
+  media: null,
+  parentMessageId: null,
+  status: 'sending',
+  attempts: 1,
+  ...overrides
+});
+
+const conversation = (participantIds = [senderId, recipientId]) => ({
+  id: conversationId,
+  participants: participantIds.map(id => ({ id }))
+});
+
+describe('Scheduled messages', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+    jest.spyOn(UserBlock, 'isBlockedBetween').mockResolvedValue(false);
+  });
+
+  describe('ScheduledMessage', () => {
+    it('should store encrypted messages without plaintext', async () => {
+      pool.query.mockImplementation(async (sql, params) => ({
+        rows: [{ id: params[0], message_id: params[1], content: params[4], is_encrypted: params[8], encrypted_content: params[5] }]
+      }));
+
+      const scheduled = await ScheduledMessage.create({
+        conversationId,
+        senderId,
+        content: 'should not be stored',
+        isEncrypted: true,
+        encryptedContent: 'ciphertext',
+        iv: 'iv',
+        recipientKeys: { [recipientId]: 'key' },
+        sendAt: inOneHour()
+      });
+
+      expect(scheduled.content).toBe('');
+      expect(scheduled.encryptedContent).toBe('ciphertext');
+      expect(scheduled.messageId).toEqual(expect.any(String));
+    });
+
+    it('should reject send times in the past', async () => {
+      await expect(ScheduledMessage.create({
+        conversationId,
+        senderId,
+        content: 'Too late',
+        sendAt: new Date(Date.now() - 1000).toISOString()
+      })).rejects.toThrow('Send time must be in the future');
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+
+    it('should claim due messages with SKIP LOCKED and reclaim stale ones', async () => {
+      pool.query.mockResolvedValue({ rows: [] });
+
+      await ScheduledMessage.claimDue(10);
+
+      const [sql, params] = pool.query.mock.calls[0];
+      expect(sql).toContain('FOR UPDATE SKIP LOCKED');
+      expect(sql).toContain("status = 'sending' AND locked_at <");
+      expect(params).toEqual([10]);
+    });
+
+    it('should retry failed deliveries until attempts run out', async () => {
+      pool.query.mockResolvedValue({ rows: [] });
+
+      expect(await ScheduledMessage.markFailed(scheduledMessage({ attempts: 1 }), 'boom')).toBe('pending');
+      expect(await ScheduledMessage.markFailed(scheduledMessage({ attempts: ScheduledMessage.MAX_ATTEMPTS }), 'boom')).toBe('failed');
+      expect(await ScheduledMessage.markFailed(scheduledMessage({ attempts: 1 }), 'gone', true)).toBe('failed');
+    });
+  });
+
+  describe('ScheduledMessageService', () => {
+    it('should create the message with its pre-assigned ID and deliver it', async () => {
+      const due = scheduledMessage();
+      const created = { id: due.messageId, conversationId, senderId, content: due.content };
+      jest.spyOn(ScheduledMessage, 'claimDue').mockResolvedValue([due]);
+      jest.spyOn(Conversation, 'getById').mockResolvedValue(conversation());
+      const create = jest.spyOn(Message, 'create').mockResolvedValue(created);
+      const markSent = jest.spyOn(ScheduledMessage, 'markSent').mockResolvedValue(true);
+
+      const sent = await scheduledMessageService.processDueMessages();
+
+      expect(sent).toBe(1);
+      expect(create).toHaveBeenCalledWith(expect.objectContaining({
+        id: due.messageId,
+        conversationId,
+        senderId,
+        content: 'Happy birthday!'
+      }));
+      expect(markSent).toHaveBeenCalledWith(due.id);
+      expect(deliverMessage).toHaveBeenCalledWith(created, conversation());
+    });
+
+    it('should not send a message twice after a crash', async () => {
+      const due = scheduledMessage({ attempts: 2 });
+      const duplicate = new Error('duplicate key value violates unique constraint');
+      duplicate.code = '23505';
+      jest.spyOn(Conversation, 'getById').mockResolvedValue(conversation());
+      jest.spyOn(Message, 'create').mockRejectedValue(duplicate);
+      const markSent = jest.spyOn(ScheduledMessage, 'markSent').mockResolvedValue(true);
+
+      expect(await scheduledMessageService.sendScheduledMessage(due)).toBe(false);
+      expect(markSent).toHaveBeenCalledWith(due.id);
+      expect(deliverMessage).not.toHaveBeenCalled();
+    });
+
+    it('should fail permanently when the sender has left the conversation', async () => {
+      const due = scheduledMessage();
+      jest.spyOn(Conversation, 'getById').mockResolvedValue(conversation([recipientId]));
+      const create = jest.spyOn(Message, 'create');
+      const markFailed = jest.spyOn(ScheduledMessage, 'markFailed').mockResolvedValue('failed');
+
+      expect(await scheduledMessageService.sendScheduledMessage(due)).toBe(false);
+      expect(markFailed).toHaveBeenCalledWith(due, expect.any(String), true);
+      expect(create).not.toHaveBeenCalled();
+    });
+
+    it('should fail permanently when the sender has been made read-only', async () => {
+      const due = scheduledMessage();
+      jest.spyOn(Conversation, 'getById').mockResolvedValue({
+        id: conversationId,
+        is_group: true,
+        participants: [{ id: senderId, role: 'read_only' }, { id: recipientId, role: 'owner' }]
+      });
+      const create = jest.spyOn(Message, 'create');
+      const markFailed = jest.spyOn(ScheduledMessage, 'markFailed').mockResolvedValue('failed');
+
+      expect(await scheduledMessageService.sendScheduledMessage(due)).toBe(false);
+      expect(markFailed).toHaveBeenCalledWith(due, 'Sender is no longer allowed to post in this conversation', true);
+      expect(create).not.toHaveBeenCalled();
+    });
+
+    it('should fail permanently when the sender and recipient have blocked each other', async () => {
+      const due = scheduledMessage();
+      jest.spyOn(Conversation, 'getById').mockResolvedValue(conversation());
+      UserBlock.isBlockedBetween.mockResolvedValue(true);
+      const create = jest.spyOn(Message, 'create');
+      const markFailed = jest.spyOn(ScheduledMessage, 'markFailed').mockResolvedValue('failed');
+
+      expect(await scheduledMessageService.sendScheduledMessage(due)).toBe(false);
+      expect(UserBlock.isBlockedBetween).toHaveBeenCalledWith(senderId, recipientId);
+      expect(markFailed).toHaveBeenCalledWith(due, 'Sender and recipient have blocked each other', true);
+      expect(create).not.toHaveBeenCalled();
+    });
+
+    it('should put the message back for retry when delivery fails', async () => {
+      const due = scheduledMessage();
+      jest.spyOn(Conversation, 'getById').mockResolvedValue(conversation());
+      jest.spyOn(Message, 'create').mockRejectedValue(new Error('connection reset'));
+      const markFailed = jest.spyOn(ScheduledMessage, 'markFailed').mockResolvedValue('pending');
+
+      expect(await scheduledMessageService.sendScheduledMessage(due)).toBe(false);
+      expect(markFailed).toHaveBeenCalledWith(due, 'connection reset');
+    });
+
+    it('should keep a created message sent when only the socket delivery fails', async () => {
+      const due = scheduledMessage();
+      jest.spyOn(Conversation, 'getById').mockResolvedValue(conversation());
+      jest.spyOn(Message, 'create').mockResolvedValue({ id: due.messageId, conversationId, senderId });
+      const markSent = jest.spyOn(ScheduledMessage, 'markSent').mockResolvedValue(true);
+      const markFailed = jest.spyOn(ScheduledMessage, 'markFailed');
+      deliverMessage.mockRejectedValueOnce(new Error('Redis connection lost'));
+
+      expect(await scheduledMessageService.sendScheduledMessage(due)).toBe(true);
+      expect(markSent).toHaveBeenCalledWith(due.id);
+      expect(markFailed).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/messages with sendAt', () => {
+    it('should schedule the message', async () => {
+      const sendAt = inOneHour();
+      const scheduled = { id: uuidv4(), conversationId, sendAt, status: 'pending' };
+      jest.spyOn(Message, 'isConversationParticipant').mockResolvedValue(true);
+      jest.spyOn(Conversation, 'hasPermission').mockResolvedValue(true);
+      jest.spyOn(Conversation, 'getById').mockResolvedValue(conversation());
+      const create = jest.spyOn(ScheduledMessage, 'create').mockResolvedValue(scheduled);
+      const send = jest.spyOn(Message, 'create');
+
+      const res = await request(app)
+        .post('/api/messages')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ conversationId, content: 'Later', sendAt });
+
+      expect(res.status).toBe(201);
+      expect(res.body).toEqual(scheduled);
+      expect(create).toHaveBeenCalledWith(expect.objectContaining({ conversationId, senderId, content: 'Later', sendAt }));
+      expect(send).not.toHaveBeenCalled();
+    });
+
+    it('should reject invalid send times', async () => {
+      jest.spyOn(Message, 'isConversationParticipant').mockResolvedValue(true);
+      jest.spyOn(Conversation, 'hasPermission').mockResolvedValue(true);
+      jest.spyOn(Conversation, 'getById').mockResolvedValue(conversation());
+
+      const res = await request(app)
+        .post('/api/messages')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ conversationId, content: 'Later', sendAt: 'tomorrow-ish' });
+
+      expect(res.status).toBe(400);
+    });
+
+    it('should forbid scheduling into conversations the user is not part of', async () => {
+      jest.spyOn(Message, 'isConversationParticipant').mockResolvedValue(false);
+
+      const res = await request(app)
+        .post('/api/messages')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ conversationId, content: 'Later', sendAt: inOneHour() });
+
+      expect(res.status).toBe(403);
+    });
+
+    it('should forbid scheduling messages to a user on either side of a block', async () => {
+      jest.spyOn(Message, 'isConversationParticipant').mockResolvedValue(true);
+      jest.spyOn(Conversation, 'hasPermission').mockResolvedValue(true);
+      jest.spyOn(Conversation, 'getById').mockResolvedValue(conversation());
+      UserBlock.isBlockedBetween.mockResolvedValue(true);
+      const create = jest.spyOn(ScheduledMessage, 'create');
+
+      const res = await request(app)
+        .post('/api/messages')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ conversationId, content: 'Later', sendAt: inOneHour() });
+
+      expect(res.status).toBe(403);
+      expect(create).not.toHaveBeenCalled();
+    });
+
+    it('should forbid scheduling for members who can\'t post', async () => {
+      jest.spyOn(Message, 'isConversationParticipant').mockResolvedValue(true);
+      const hasPermission = jest.spyOn(Conversation, 'hasPermission').mockResolvedValue(false);
+      const create = jest.spyOn(ScheduledMessage, 'create');
+
+      const res = await request(app)
+        .post('/api/messages')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ conversationId, content: 'Later', sendAt: inOneHour() });
+
+      expect(res.status).toBe(403);
+      expect(hasPermission).toHaveBeenCalledWith(conversationId, senderId, 'sendMessages');
+      expect(create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('/api/messages/scheduled', () => {
+    it('should list pending scheduled messages', async () => {
+      const list = [{ id: uuidv4(), status: 'pending' }];
+      const getByUser = jest.spyOn(ScheduledMessage, 'getByUser').mockResolvedValue(list);
+
+      const res = await request(app)
+        .get('/api/messages/scheduled')
+        .query({ conversationId })
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual(list);
+      expect(getByUser).toHaveBeenCalledWith(senderId, { conversationId });
+    });
+
+    it('should reschedule a pending message', async () => {
+      const id = uuidv4();
+      const sendAt = inOneHour();
+      const reschedule = jest.spyOn(ScheduledMessage, 'reschedule').mockResolvedValue({ id, sendAt });
+
+      const res = await request(app)
+        .put(`/api/messages/scheduled/${id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ sendAt });
+
+      expect(res.status).toBe(200);
+      expect(reschedule).toHaveBeenCalledWith(id, senderId, sendAt);
+    });
+
+    it('should return 404 when cancelling a message that is no longer pending', async () => {
+      jest.spyOn(ScheduledMessage, 'cancel').mockResolvedValue(null);
+
+      const res = await request(app)
+        .delete(`/api/messages/scheduled/${uuidv4()}`)
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(404);
+    });
+  });
+});
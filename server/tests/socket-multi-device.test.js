@@ -0,0 +1,185 @@
+/**
+ * Multi-Device Socket Tests
+ *
+ * Tests for delivering events to every device a user has connected,
+ * syncing read state between them and the disconnect grace period
+ */
+process.env.NODE_ENV = 'development';
+delete process.env.REDIS_URL;
+
+const http = require('http');
+const jwt = require('jsonwebtoken');
+const ioClient = require('socket.io-client');
+const { v4: uuidv4 } = require('uuid');
+
+jest.mock('../src/models/Message', () => ({
+  markConversationAsRead: jest.fn()
+}));
+jest.mock('../src/models/MessageReaction', () => ({}));
+jest.mock('../src/models/User', () => ({
+  getById: jest.fn().mockResolvedValue(null),
+  updateStatus: jest.fn().mockResolvedValue(true),
+  getAccountStatus: jest.fn().mockResolvedValue({ roles: [], suspended: false })
+}));
+jest.mock('../src/models/Conversation', () => ({
+  getById: jest.fn()
+}));
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const redis = require('../src/config/redis');
+const Message = require('../src/models/Message');
+const User = require('../src/models/User');
+const Conversation = require('../src/models/Conversation');
+const { JWT_SECRET } = require('../src/config/auth');
+const { initializeSocketServer } = require('../src/websocket/socket');
+
+const waitFor = (socket, event) => new Promise(resolve => socket.once(event, resolve));
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Resolve with true if the event arrives within the timeout, false otherwise
+ */
+const receives = (socket, event, timeout = 200) => new Promise(resolve => {
+  const timer = setTimeout(() => {
+    socket.off(event, handler);
+    resolve(false);
+  }, timeout);
+  const handler = () => {
+    clearTimeout(timer);
+    resolve(true);
+  };
+  socket.once(event, handler);
+});
+
+describe('Multi-device sockets', () => {
+  const alice = uuidv4();
+  const bob = uuidv4();
+  const conversationId = uuidv4();
+  let server;
+  let io;
+  let url;
+  let alicePhone;
+  let aliceLaptop;
+  let bobClient;
+
+  const connect = async (userId) => {
+    const client = ioClient(url, {
+      auth: { token: jwt.sign({ userId }, JWT_SECRET) },
+      transports: ['websocket'],
+      forceNew: true
+    });
+    await waitFor(client, 'connect');
+    for (let attempt = 0; attempt < 50; attempt++) {
+      if ((await redis.getUserSockets(userId)).includes(client.id)) {
+        break;
+      }
+      await sleep(20);
+    }
+    return client;
+  };
+
+  beforeAll(async () => {
+    server = http.createServer();
+    io = await initializeSocketServer(server);
+    await new Promise(resolve => server.listen(0, resolve));
+    url = `http://localhost:${server.address().port}`;
+
+    alicePhone = await connect(alice);
+    aliceLaptop = await connect(alice);
+    bobClient = await connect(bob);
+  });
+
+  afterAll(async () => {
+    [alicePhone, aliceLaptop, bobClient].forEach(client => client.close());
+    // Let the offline grace period run out so no timers are left behind
+    await sleep(5500);
+    await new Promise(resolve => io.close(resolve));
+  }, 10000);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Conversation.getById.mockResolvedValue({
+      id: conversationId,
+      participants: [{ id: alice, username: 'alice' }, { id: bob, username: 'bob' }]
+    });
+  });
+
+  it('should track every socket of a user', async () => {
+    expect((await redis.getUserSockets(alice)).sort()).toEqual([alicePhone.id, aliceLaptop.id].sort());
+  });
+
+  it('should deliver events to all of a user\'s devices', async () => {
+    const onPhone = waitFor(alicePhone, 'typing');
+    const onLaptop = waitFor(aliceLaptop, 'typing');
+
+    bobClient.emit('typing', { conversationId });
+
+    expect(await onPhone).toEqual(expect.objectContaining({ conversationId, userId: bob }));
+    expect(await onLaptop).toEqual(expect.objectContaining({ conversationId, userId: bob }));
+  });
+
+  it('should sync read state to the user\'s other devices', async () => {
+    Message.markConversationAsRead.mockResolvedValue(2);
+    const onLaptop = waitFor(aliceLaptop, 'read_state_sync');
+    const onPhone = receives(alicePhone, 'read_state_sync');
+    const onBob = waitFor(bobClient, 'message_read');
+
+    alicePhone.emit('read_receipt', { conversationId });
+
+    expect(await onLaptop).toEqual(expect.objectContaining({ conversationId, unreadCount: 0 }));
+    expect(await onBob).toEqual(expect.objectContaining({ conversationId, userId: alice }));
+    expect(await onPhone).toBe(false);
+    expect(Message.markConversationAsRead).toHaveBeenCalledWith(conversationId, alice);
+  });
+
+  it('should refuse to connect suspended and deleted users', async () => {
+    const refused = async (account) => {
+      User.getAccountStatus.mockResolvedValueOnce(account);
+      const client = ioClient(url, {
+        auth: { token: jwt.sign({ userId: bob }, JWT_SECRET) },
+        transports: ['websocket'],
+        forceNew: true
+      });
+      const error = await waitFor(client, 'connect_error');
+      client.close();
+      return error.message;
+    };
+
+    expect(await refused({ roles: [], suspended: true })).toBe('Authentication error: Account suspended');
+    expect(await refused(null)).toBe('Authentication error: User not found');
+    expect(User.getAccountStatus).toHaveBeenCalledWith(bob);
+  });
+
+  it('should keep the user online while another device is connected', async () => {
+    const phoneId = alicePhone.id;
+    alicePhone.close();
+
+    await sleep(5500);
+
+    expect(await redis.getUserSockets(alice)).toEqual([aliceLaptop.id]);
+    expect(await redis.getUserBySocket(phoneId)).toBeUndefined();
+    expect((await redis.getUserPresence(alice)).status).toBe('online');
+    expect(User.updateStatus).not.toHaveBeenCalledWith(alice, 'offline');
+
+    // The remaining device still receives events
+    const onLaptop = waitFor(aliceLaptop, 'typing');
+    bobClient.emit('typing', { conversationId });
+    expect(await onLaptop).toEqual(expect.objectContaining({ userId: bob }));
+  }, 10000);
+
+  it('should mark the user offline once the last device disconnects', async () => {
+    aliceLaptop.close();
+
+    await sleep(5500);
+
+    expect(await redis.getUserSockets(alice)).toEqual([]);
+    expect((await redis.getUserPresence(alice)).status).toBe('offline');
+    expect(User.updateStatus).toHaveBeenCalledWith(alice, 'offline');
+  }, 10000);
+});
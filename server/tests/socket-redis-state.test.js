@@ -0,0 +1,229 @@
+/**
+ * Socket State Tests
+ *
+ * Tests for the Redis-backed socket state shared between server instances,
+ * running against the in-memory mock Redis client
+ */
+process.env.NODE_ENV = 'development';
+delete process.env.REDIS_URL;
+
+const http = require('http');
+const jwt = require('jsonwebtoken');
+const ioClient = require('socket.io-client');
+const { v4: uuidv4 } = require('uuid');
+
+jest.mock('../src/models/Message', () => ({
+  updateStatus: jest.fn().mockResolvedValue(true),
+  sendNewMessageNotification: jest.fn().mockResolvedValue()
+}));
+jest.mock('../src/models/MessageReaction', () => ({}));
+jest.mock('../src/models/User', () => ({
+  getById: jest.fn().mockResolvedValue(null),
+  updateStatus: jest.fn().mockResolvedValue(true),
+  getAccountStatus: jest.fn().mockResolvedValue({ roles: [], suspended: false })
+}));
+jest.mock('../src/models/Conversation', () => ({
+  getById: jest.fn()
+}));
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const redis = require('../src/config/redis');
+const Message = require('../src/models/Message');
+const Conversation = require('../src/models/Conversation');
+const UserBlock = require('../src/models/UserBlock');
+const { JWT_SECRET } = require('../src/config/auth');
+const { initializeSocketServer, emitToUser, deliverMessage } = require('../src/websocket/socket');
+
+/**
+ * Wait for a socket event
+ *
+ * @param {Object} socket - Client socket
+ * @param {string} event - Event name
+ * @returns {Promise<*>} Event payload
+ */
+const waitFor = (socket, event) => new Promise(resolve => socket.once(event, resolve));
+
+/**
+ * Poll until a condition holds
+ *
+ * @param {Function} check - Async predicate
+ */
+const eventually = async (check) => {
+  for (let attempt = 0; attempt < 50; attempt++) {
+    if (await check()) {
+      return;
+    }
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  throw new Error('Condition not met in time');
+};
+
+describe('Redis-backed socket state', () => {
+  describe('config/redis helpers', () => {
+    it('should keep a set of sockets per user', async () => {
+      const userId = uuidv4();
+
+      await redis.setUserSocket(userId, 'socket-phone');
+      await redis.setUserSocket(userId, 'socket-laptop');
+      await redis.removeSocket('socket-phone');
+
+      expect(await redis.getUserSockets(userId)).toEqual(['socket-laptop']);
+      expect(await redis.getUserBySocket('socket-phone')).toBeUndefined();
+
+      await redis.removeSocket('socket-laptop');
+      expect(await redis.getUserSockets(userId)).toEqual([]);
+    });
+
+    it('should merge presence updates', async () => {
+      const userId = uuidv4();
+
+      await redis.setUserPresence(userId, { status: 'online', device: 'laptop' });
+      await redis.updateUserPresence(userId, { status: 'away' });
+
+      expect(await redis.getUserPresence(userId)).toEqual({ status: 'away', device: 'laptop' });
+    });
+
+    it('should track active conversations in both directions', async () => {
+      const userId = uuidv4();
+      const conversationId = uuidv4();
+
+      await redis.addActiveConversationUser(conversationId, userId);
+      expect(await redis.getActiveConversationUsers(conversationId)).toEqual([userId]);
+      expect(await redis.getUserActiveConversations(userId)).toEqual([conversationId]);
+
+      await redis.removeActiveConversationUser(conversationId, userId);
+      expect(await redis.getActiveConversationUsers(conversationId)).toEqual([]);
+      expect(await redis.getUserActiveConversations(userId)).toEqual([]);
+    });
+
+    it('should not create pub/sub clients for the mock client', async () => {
+      expect(redis.isMockRedis()).toBe(true);
+      expect(await redis.createPubSubClients()).toBeNull();
+    });
+  });
+
+  describe('socket server', () => {
+    const alice = uuidv4();
+    const bob = uuidv4();
+    const conversationId = uuidv4();
+    let server;
+    let io;
+    let url;
+    const clients = [];
+
+    const connect = async (userId) => {
+      const client = ioClient(url, {
+        auth: { token: jwt.sign({ userId }, JWT_SECRET) },
+        transports: ['websocket'],
+        forceNew: true
+      });
+      clients.push(client);
+      await waitFor(client, 'connect');
+      await eventually(async () => (await redis.getUserSockets(userId)).includes(client.id));
+      return client;
+    };
+
+    beforeAll(async () => {
+      server = http.createServer();
+      io = await initializeSocketServer(server);
+      await new Promise(resolve => server.listen(0, resolve));
+      url = `http://localhost:${server.address().port}`;
+    });
+
+    afterAll(async () => {
+      clients.forEach(client => client.close());
+      // Let the offline grace period run out so no timers are left behind
+      await new Promise(resolve => setTimeout(resolve, 5500));
+      await new Promise(resolve => io.close(resolve));
+    }, 10000);
+
+    beforeEach(() => {
+      Conversation.getById.mockResolvedValue({
+        id: conversationId,
+        participants: [{ id: alice, username: 'alice' }, { id: bob, username: 'bob' }]
+      });
+    });
+
+    it('should store the socket mapping and presence in Redis on connect', async () => {
+      const client = await connect(alice);
+
+      expect(await redis.getUserBySocket(client.id)).toBe(alice);
+      expect(await redis.getUserPresence(alice)).toEqual(expect.objectContaining({ status: 'online' }));
+    });
+
+    it('should route typing events through the shared socket mapping', async () => {
+      const aliceClient = clients[0];
+      const bobClient = await connect(bob);
+
+      const typing = waitFor(bobClient, 'typing');
+      aliceClient.emit('typing', { conversationId });
+
+      expect(await typing).toEqual({ conversationId, userId: alice, username: 'alice' });
+      expect(await redis.redisClient.hGet(`user:typing:${alice}`, conversationId)).toEqual(expect.any(String));
+    });
+
+    it('should share active conversation users', async () => {
+      const [aliceClient, bobClient] = clients;
+
+      const presence = waitFor(bobClient, 'conversation_presence');
+      aliceClient.emit('leave_conversation', conversationId);
+
+      expect(await presence).toEqual({ conversationId, userId: alice, action: 'leave', activeUsers: [] });
+      expect(await redis.getUserActiveConversations(alice)).toEqual([]);
+    });
+
+    it('should emit to users through their room', async () => {
+      const bobClient = clients[1];
+
+      const received = waitFor(bobClient, 'custom_event');
+      await emitToUser(bob, 'custom_event', { hello: 'world' });
+      expect(await received).toEqual({ hello: 'world' });
+      await expect(emitToUser(uuidv4(), 'custom_event', {})).resolves.toBeUndefined();
+    });
+
+    it('should not count sockets a crashed instance left in Redis as connected', async () => {
+      const [aliceClient, bobClient] = clients;
+      const carol = uuidv4();
+      await redis.setUserSocket(carol, 'socket-on-dead-instance');
+      jest.spyOn(UserBlock, 'getBlockedOrBlockingIds').mockResolvedValue(new Set());
+      const fetchSockets = jest.spyOn(io.of('/').adapter, 'fetchSockets');
+      const receipts = [];
+      aliceClient.on('message_delivered', receipt => receipts.push(receipt.userId));
+      const sent = waitFor(aliceClient, 'new_message');
+      const received = waitFor(bobClient, 'new_message');
+
+      await deliverMessage({ id: uuidv4(), conversationId, senderId: alice, content: 'Hi' }, {
+        id: conversationId,
+        participants: [{ id: alice, username: 'alice' }, { id: bob, username: 'bob' }, { id: carol, username: 'carol' }]
+      });
+
+      expect((await sent).senderName).toBe('You');
+      expect((await received).senderName).toBe('alice');
+      await eventually(() => receipts.length > 0);
+      expect(receipts).toEqual([bob]);
+      expect(Message.updateStatus).toHaveBeenCalledTimes(1);
+      // Who is online is looked up once for the message, not per recipient
+      expect(fetchSockets).toHaveBeenCalledTimes(1);
+      aliceClient.off('message_delivered');
+    });
+
+    it('should mark a user offline despite stale sockets once their last device disconnects', async () => {
+      const dave = uuidv4();
+      await redis.setUserSocket(dave, 'socket-on-dead-instance');
+      const client = await connect(dave);
+
+      client.close();
+      // Wait out the offline grace period
+      await new Promise(resolve => setTimeout(resolve, 5500));
+
+      expect(await redis.getUserPresence(dave)).toEqual(expect.objectContaining({ status: 'offline' }));
+      expect(await redis.getUserSockets(dave)).toEqual([]);
+      expect(await redis.getUserBySocket('socket-on-dead-instance')).toBeUndefined();
+    }, 10000);
+  });
+});
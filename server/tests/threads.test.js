@@ -0,0 +1,443 @@
+/**
+ * Thread Tests
+ *
+ * Tests for thread summaries on messages, following threads, the
+ * threads inbox and thread_reply events
+ */
+process.env.NODE_ENV = 'development';
+delete process.env.REDIS_URL;
+
+const http = require('http');
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const ioClient = require('socket.io-client');
+const { v4: uuidv4 } = require('uuid');
+
+jest.mock('../src/config/database', () => ({
+  pool: { query: jest.fn(), connect: jest.fn() },
+  query: jest.fn()
+}));
+jest.mock('../src/models/User', () => ({
+  getById: jest.fn(),
+  getContacts: jest.fn().mockResolvedValue([]),
+  updateStatus: jest.fn().mockResolvedValue(true),
+  getAccountStatus: jest.fn().mockResolvedValue({ roles: [], suspended: false })
+}));
+jest.mock('../src/models/Media', () => ({}));
+jest.mock('../src/websocket/socket', () => ({
+  emitToUser: jest.fn(),
+  emitToConversation: jest.fn(),
+  deliverMessage: jest.fn()
+}));
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const { pool } = require('../src/config/database');
+const redis = require('../src/config/redis');
+const { emitToUser } = require('../src/websocket/socket');
+const Conversation = require('../src/models/Conversation');
+const Message = require('../src/models/Message');
+const ThreadFollow = require('../src/models/ThreadFollow');
+const UserBlock = require('../src/models/UserBlock');
+const messageRoutes = require('../src/api/messages/routes');
+const { errorHandler } = require('../src/middleware/errorHandler');
+const { encodeCursor, decodeCursor } = require('../src/utils/cursor');
+const { JWT_SECRET } = require('../src/config/auth');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const aliceId = uuidv4();
+const bobId = uuidv4();
+const carolId = uuidv4();
+const conversationId = uuidv4();
+const parentId = uuidv4();
+const token = jwt.sign({ userId: bobId, username: 'bob' }, process.env.JWT_SECRET);
+
+const app = express();
+app.use(express.json());
+app.use('/api/messages', messageRoutes);
+app.use(errorHandler);
+
+const parentMessage = (overrides = {}) => ({
+  id: parentId,
+  conversationId,
+  senderId: aliceId,
+  content: 'Lunch on Friday?',
+  parentMessageId: null,
+  ...overrides
+});
+
+const mockClient = () => {
+  const client = {
+    query: jest.fn(async (sql) => {
+      if (sql.includes('INSERT INTO messages')) {
+        return { rows: [{ id: 'x', expires_at: null }] };
+      }
+      return { rows: [] };
+    }),
+    release: jest.fn()
+  };
+  pool.connect.mockResolvedValue(client);
+  return client;
+};
+
+describe('Threads', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+  });
+
+  describe('Message.create', () => {
+    it('should make the replier and the parent message\'s author follow the thread', async () => {
+      jest.spyOn(Message, 'exists').mockResolvedValue(true);
+      jest.spyOn(Message, 'getById').mockResolvedValue(parentMessage());
+      const client = mockClient();
+
+      await Message.create({ conversationId, senderId: bobId, content: 'Sure', parentMessageId: parentId });
+
+      const follows = client.query.mock.calls.filter(([sql]) => sql.includes('INSERT INTO thread_follows'));
+      expect(follows).toHaveLength(2);
+      expect(follows[0][0]).toContain('DO UPDATE SET following = true, last_read_at = NOW()');
+      expect(follows[0][1]).toEqual([bobId, parentId]);
+      // An author who unfollowed their own thread stays unfollowed
+      expect(follows[1][0]).toContain('DO NOTHING');
+      expect(follows[1][1]).toEqual([parentId]);
+    });
+
+    it('should not follow anything for messages that aren\'t replies', async () => {
+      const client = mockClient();
+
+      await Message.create({ conversationId, senderId: bobId, content: 'Hello' });
+
+      expect(client.query.mock.calls.some(([sql]) => sql.includes('thread_follows'))).toBe(false);
+    });
+  });
+
+  describe('Message.getByConversation', () => {
+    it('should summarise the replies to each message for the reading user', async () => {
+      const lastReplyAt = new Date().toISOString();
+      pool.query.mockResolvedValue({
+        rows: [
+          {
+            id: parentId,
+            conversationId,
+            senderId: aliceId,
+            timestamp: new Date().toISOString(),
+            thread: {
+              replyCount: 3,
+              lastReplyAt,
+              participants: [{ userId: bobId, username: 'bob' }, { userId: carolId, username: 'carol' }],
+              unreadCount: 2
+            },
+            followingThread: true
+          },
+          {
+            id: uuidv4(),
+            conversationId,
+            senderId: bobId,
+            timestamp: new Date().toISOString(),
+            thread: { replyCount: 0, lastReplyAt: null, participants: [], unreadCount: 0 },
+            followingThread: false
+          }
+        ]
+      });
+
+      const page = await Message.getByConversation(conversationId, { userId: bobId });
+
+      const [sql, params] = pool.query.mock.calls[0];
+      expect(sql).toContain('LEFT JOIN thread_follows tf');
+      expect(params[params.length - 1]).toBe(bobId);
+      expect(page.messages[0].thread).toEqual({
+        replyCount: 3,
+        lastReplyAt,
+        participants: [{ userId: bobId, username: 'bob' }, { userId: carolId, username: 'carol' }],
+        following: true,
+        unreadCount: 2
+      });
+      expect(page.messages[1].thread).toBeNull();
+    });
+  });
+
+  describe('ThreadFollow.getInbox', () => {
+    it('should return followed threads with a cursor to the next page', async () => {
+      const rows = [0, 1, 2].map(index => ({
+        id: uuidv4(),
+        conversation_id: conversationId,
+        conversation_name: 'Team',
+        sender_id: aliceId,
+        sender_username: 'alice',
+        content: `Topic ${index}`,
+        is_encrypted: false,
+        timestamp: new Date(Date.UTC(2026, 0, 1)).toISOString(),
+        reply_count: 2,
+        last_reply_at: new Date(Date.UTC(2026, 0, 10 - index)).toISOString(),
+        participants: [{ userId: bobId, username: 'bob' }],
+        unread_count: index
+      }));
+      pool.query.mockResolvedValue({ rows });
+
+      const inbox = await ThreadFollow.getInbox(bobId, { limit: 2 });
+
+      expect(pool.query.mock.calls[0][1]).toEqual([bobId, 3]);
+      expect(inbox.threads).toHaveLength(2);
+      expect(inbox.threads[0]).toEqual({
+        parentMessage: {
+          id: rows[0].id,
+          conversationId,
+          conversationName: 'Team',
+          senderId: aliceId,
+          senderUsername: 'alice',
+          content: 'Topic 0',
+          isEncrypted: false,
+          timestamp: rows[0].timestamp
+        },
+        replyCount: 2,
+        lastReplyAt: rows[0].last_reply_at,
+        participants: [{ userId: bobId, username: 'bob' }],
+        unreadCount: 0
+      });
+      expect(decodeCursor(inbox.nextCursor)).toEqual({ timestamp: rows[1].last_reply_at, id: rows[1].id });
+    });
+
+    it('should continue after a cursor', async () => {
+      pool.query.mockResolvedValue({ rows: [] });
+      const cursor = encodeCursor({ timestamp: new Date().toISOString(), id: parentId });
+
+      const inbox = await ThreadFollow.getInbox(bobId, { cursor });
+
+      const [sql, params] = pool.query.mock.calls[0];
+      expect(sql).toContain('(s.last_reply_at, p.id) < ($3::timestamptz, $4::uuid)');
+      expect(params[3]).toBe(parentId);
+      expect(inbox).toEqual({ threads: [], nextCursor: null });
+    });
+  });
+
+  describe('GET /api/messages/threads', () => {
+    it('should return the user\'s threads', async () => {
+      const getInbox = jest.spyOn(ThreadFollow, 'getInbox').mockResolvedValue({ threads: [], nextCursor: null });
+
+      const res = await request(app)
+        .get('/api/messages/threads?limit=10')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ threads: [], nextCursor: null });
+      expect(getInbox).toHaveBeenCalledWith(bobId, { limit: '10', cursor: undefined });
+    });
+
+    it('should reject malformed cursors', async () => {
+      const res = await request(app)
+        .get('/api/messages/threads?cursor=nope')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe('GET /api/messages/:messageId/replies', () => {
+    it('should return replies and mark a followed thread read', async () => {
+      jest.spyOn(Message, 'getById').mockResolvedValue(parentMessage());
+      jest.spyOn(Message, 'isConversationParticipant').mockResolvedValue(true);
+      const replies = [{ id: uuidv4(), parentMessageId: parentId, content: 'Sure' }];
+      const getReplies = jest.spyOn(Message, 'getReplies').mockResolvedValue(replies);
+      const markRead = jest.spyOn(ThreadFollow, 'markRead').mockResolvedValue(true);
+
+      const res = await request(app)
+        .get(`/api/messages/${parentId}/replies?limit=20`)
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual(replies);
+      expect(getReplies).toHaveBeenCalledWith(parentId, { limit: 20, offset: 0 });
+      expect(markRead).toHaveBeenCalledWith(bobId, parentId);
+      expect(emitToUser).toHaveBeenCalledWith(bobId, 'thread_read', expect.objectContaining({ parentMessageId: parentId }));
+    });
+
+    it('should not sync read state for threads the user doesn\'t follow', async () => {
+      jest.spyOn(Message, 'getById').mockResolvedValue(parentMessage());
+      jest.spyOn(Message, 'isConversationParticipant').mockResolvedValue(true);
+      jest.spyOn(Message, 'getReplies').mockResolvedValue([]);
+      jest.spyOn(ThreadFollow, 'markRead').mockResolvedValue(false);
+
+      const res = await request(app)
+        .get(`/api/messages/${parentId}/replies`)
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(200);
+      expect(emitToUser).not.toHaveBeenCalled();
+    });
+
+    it('should forbid non-participants', async () => {
+      jest.spyOn(Message, 'getById').mockResolvedValue(parentMessage());
+      jest.spyOn(Message, 'isConversationParticipant').mockResolvedValue(false);
+      const getReplies = jest.spyOn(Message, 'getReplies');
+
+      const res = await request(app)
+        .get(`/api/messages/${parentId}/replies`)
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(403);
+      expect(getReplies).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 for unknown messages', async () => {
+      jest.spyOn(Message, 'getById').mockResolvedValue(null);
+
+      const res = await request(app)
+        .get(`/api/messages/${uuidv4()}/replies`)
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe('POST and DELETE /api/messages/:messageId/follow', () => {
+    it('should follow a thread', async () => {
+      jest.spyOn(Message, 'getById').mockResolvedValue(parentMessage());
+      jest.spyOn(Message, 'isConversationParticipant').mockResolvedValue(true);
+      const follow = jest.spyOn(ThreadFollow, 'follow').mockResolvedValue();
+
+      const res = await request(app)
+        .post(`/api/messages/${parentId}/follow`)
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ parentMessageId: parentId, following: true });
+      expect(follow).toHaveBeenCalledWith(bobId, parentId);
+    });
+
+    it('should unfollow a thread', async () => {
+      jest.spyOn(Message, 'getById').mockResolvedValue(parentMessage());
+      jest.spyOn(Message, 'isConversationParticipant').mockResolvedValue(true);
+      const unfollow = jest.spyOn(ThreadFollow, 'unfollow').mockResolvedValue();
+
+      const res = await request(app)
+        .delete(`/api/messages/${parentId}/follow`)
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ parentMessageId: parentId, following: false });
+      expect(unfollow).toHaveBeenCalledWith(bobId, parentId);
+    });
+
+    it('should refuse to follow a reply', async () => {
+      jest.spyOn(Message, 'getById').mockResolvedValue(parentMessage({ id: uuidv4(), parentMessageId: parentId }));
+      jest.spyOn(Message, 'isConversationParticipant').mockResolvedValue(true);
+      const follow = jest.spyOn(ThreadFollow, 'follow');
+
+      const res = await request(app)
+        .post(`/api/messages/${uuidv4()}/follow`)
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(400);
+      expect(follow).not.toHaveBeenCalled();
+    });
+
+    it('should forbid non-participants', async () => {
+      jest.spyOn(Message, 'getById').mockResolvedValue(parentMessage());
+      jest.spyOn(Message, 'isConversationParticipant').mockResolvedValue(false);
+      const follow = jest.spyOn(ThreadFollow, 'follow');
+
+      const res = await request(app)
+        .post(`/api/messages/${parentId}/follow`)
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(403);
+      expect(follow).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Socket delivery', () => {
+    const { initializeSocketServer, deliverMessage } = jest.requireActual('../src/websocket/socket');
+    const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+    let server;
+    let io;
+    let bobClient;
+    let carolClient;
+
+    const connect = async (userId) => {
+      const client = ioClient(`http://localhost:${server.address().port}`, {
+        auth: { token: jwt.sign({ userId }, JWT_SECRET) },
+        transports: ['websocket'],
+        forceNew: true
+      });
+      await new Promise(resolve => client.once('connect', resolve));
+      for (let attempt = 0; attempt < 50; attempt++) {
+        if ((await redis.getUserSockets(userId)).includes(client.id)) {
+          break;
+        }
+        await sleep(20);
+      }
+      return client;
+    };
+
+    const group = {
+      id: conversationId,
+      is_group: true,
+      permissions: {},
+      participants: [
+        { id: aliceId, username: 'alice', role: 'owner' },
+        { id: bobId, username: 'bob', role: 'member' },
+        { id: carolId, username: 'carol', role: 'member' }
+      ]
+    };
+
+    beforeAll(async () => {
+      server = http.createServer();
+      io = await initializeSocketServer(server);
+      await new Promise(resolve => server.listen(0, resolve));
+
+      bobClient = await connect(bobId);
+      carolClient = await connect(carolId);
+    });
+
+    afterAll(async () => {
+      bobClient.close();
+      carolClient.close();
+      // Let the offline grace period run out so no timers are left behind
+      await sleep(5500);
+      await new Promise(resolve => io.close(resolve));
+    }, 15000);
+
+    it('should send thread_reply to followers who aren\'t viewing the conversation', async () => {
+      jest.spyOn(UserBlock, 'getBlockedOrBlockingIds').mockResolvedValue(new Set());
+      jest.spyOn(ThreadFollow, 'getFollowerIds').mockResolvedValue([aliceId, bobId, carolId]);
+      jest.spyOn(Message, 'updateStatus').mockResolvedValue(true);
+      jest.spyOn(Message, 'sendNewMessageNotification').mockResolvedValue();
+      await redis.addActiveConversationUser(conversationId, carolId);
+
+      const carolEvents = [];
+      carolClient.on('thread_reply', data => carolEvents.push(data));
+      const bobEvent = new Promise(resolve => bobClient.once('thread_reply', resolve));
+
+      const reply = { id: uuidv4(), conversationId, senderId: aliceId, content: 'Still on?', parentMessageId: parentId };
+      await deliverMessage(reply, group);
+
+      expect(await bobEvent).toEqual({ conversationId, parentMessageId: parentId, message: reply });
+      await sleep(100);
+      expect(carolEvents).toEqual([]);
+
+      await redis.removeActiveConversationUser(conversationId, carolId);
+    });
+
+    it('should pass parentMessageId through when sending a reply', async () => {
+      jest.spyOn(Conversation, 'getById').mockResolvedValue(group);
+      jest.spyOn(UserBlock, 'getBlockedOrBlockingIds').mockResolvedValue(new Set());
+      jest.spyOn(ThreadFollow, 'getFollowerIds').mockResolvedValue([]);
+      jest.spyOn(Message, 'updateStatus').mockResolvedValue(true);
+      jest.spyOn(Message, 'sendNewMessageNotification').mockResolvedValue();
+      const create = jest.spyOn(Message, 'create').mockImplementation(async (data) => ({ id: uuidv4(), ...data }));
+
+      const sent = new Promise(resolve => bobClient.once('message_sent', resolve));
+      bobClient.emit('message', { conversationId, content: 'Sure', parentMessageId: parentId });
+      await sent;
+
+      expect(create).toHaveBeenCalledWith(expect.objectContaining({ senderId: bobId, parentMessageId: parentId }));
+    });
+  });
+});
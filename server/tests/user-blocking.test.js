@@ -0,0 +1,299 @@
+/**
+ * User Blocking Tests
+ *
+ * Tests for blocking and unblocking users and for enforcing blocks when
+ * messaging, adding contacts, searching and sending push notifications
+ */
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+
+jest.mock('../src/config/database', () => ({
+  pool: { query: jest.fn(), connect: jest.fn() },
+  query: jest.fn()
+}));
+jest.mock('../src/config/redis', () => ({ redisClient: {} }));
+jest.mock('../src/models/Media', () => ({}));
+jest.mock('../src/websocket/socket', () => ({
+  emitToUser: jest.fn(),
+  emitToConversation: jest.fn(),
+  deliverMessage: jest.fn()
+}));
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const { pool } = require('../src/config/database');
+const { emitToUser, deliverMessage } = require('../src/websocket/socket');
+const UserBlock = require('../src/models/UserBlock');
+const User = require('../src/models/User');
+const Contact = require('../src/models/Contact');
+const ContactRequest = require('../src/models/ContactRequest');
+const Conversation = require('../src/models/Conversation');
+const Message = require('../src/models/Message');
+const userRoutes = require('../src/api/users/routes');
+const contactRoutes = require('../src/api/contacts/routes');
+const messageRoutes = require('../src/api/messages/routes');
+const statusRoutes = require('../src/routes/statusRoutes');
+const { errorHandler } = require('../src/middleware/errorHandler');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const userId = uuidv4();
+const blockedId = uuidv4();
+const conversationId = uuidv4();
+const token = jwt.sign({ userId, username: 'alice' }, process.env.JWT_SECRET);
+
+const app = express();
+app.use(express.json());
+app.use('/api/users', userRoutes);
+app.use('/api/contacts', contactRoutes);
+app.use('/api/messages', messageRoutes);
+app.use('/api/status', statusRoutes);
+app.use(errorHandler);
+
+const directConversation = {
+  id: conversationId,
+  is_group: false,
+  participants: [{ id: userId, username: 'alice' }, { id: blockedId, username: 'mallory' }]
+};
+
+const mockClient = (handler) => {
+  const client = {
+    query: jest.fn(async (sql, params) => handler(sql, params) || { rows: [] }),
+    release: jest.fn()
+  };
+  pool.connect.mockResolvedValue(client);
+  return client;
+};
+
+describe('User blocking', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+    // The auth middleware checks the account on every request
+    jest.spyOn(User, 'getAccountStatus').mockResolvedValue({ roles: [], suspended: false });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  describe('UserBlock.block', () => {
+    it('should block the user and remove them from each other\'s contacts', async () => {
+      const client = mockClient((sql) => {
+        if (sql.includes('FROM users')) {
+          return { rows: [{ id: blockedId, username: 'mallory' }] };
+        }
+        if (sql.includes('INSERT INTO user_blocks')) {
+          return { rows: [{ created_at: new Date() }] };
+        }
+      });
+
+      const block = await UserBlock.block(userId, blockedId);
+
+      const queries = client.query.mock.calls.map(([sql]) => sql);
+      expect(queries.some(sql => sql.includes('DELETE FROM contacts'))).toBe(true);
+      expect(client.query).toHaveBeenCalledWith('COMMIT');
+      expect(block).toEqual(expect.objectContaining({ userId: blockedId, username: 'mallory' }));
+    });
+
+    it('should refuse to block yourself or unknown users', async () => {
+      await expect(UserBlock.block(userId, userId)).rejects.toThrow('Cannot block yourself');
+
+      const client = mockClient(() => null);
+      await expect(UserBlock.block(userId, blockedId)).rejects.toThrow('User not found');
+      expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+    });
+  });
+
+  describe('Enforcement', () => {
+    it('should not open a direct conversation between blocked users', async () => {
+      jest.spyOn(UserBlock, 'isBlockedBetween').mockResolvedValue(true);
+      const getDirect = jest.spyOn(Conversation, 'getDirectConversation');
+
+      await expect(Conversation.getOrCreateDirectConversation(blockedId, userId)).rejects.toThrow('User is blocked');
+      expect(UserBlock.isBlockedBetween).toHaveBeenCalledWith(blockedId, userId);
+      expect(getDirect).not.toHaveBeenCalled();
+    });
+
+    it('should only block direct conversations', async () => {
+      const isBlockedBetween = jest.spyOn(UserBlock, 'isBlockedBetween').mockResolvedValue(true);
+
+      expect(await Conversation.isBlockedDirectConversation(directConversation, userId)).toBe(true);
+      expect(isBlockedBetween).toHaveBeenCalledWith(userId, blockedId);
+      expect(await Conversation.isBlockedDirectConversation({ ...directConversation, is_group: true }, userId)).toBe(false);
+    });
+
+    it('should not add a blocked user as a contact', async () => {
+      const client = mockClient((sql) => {
+        if (sql.includes('FROM users') || sql.includes('FROM user_blocks')) {
+          return { rows: [{ id: blockedId }] };
+        }
+      });
+
+      await expect(Contact.addContact(blockedId, userId)).rejects.toThrow('User is blocked');
+      expect(client.query.mock.calls.some(([sql]) => sql.includes('INSERT INTO contacts'))).toBe(false);
+    });
+
+    it('should leave blocked users out of search results', async () => {
+      pool.query.mockResolvedValue({ rows: [] });
+
+      await User.search('mal', userId);
+
+      const [sql, params] = pool.query.mock.calls[0];
+      expect(sql).toContain('user_blocks');
+      expect(params).toEqual(['%mal%', userId]);
+    });
+
+    it('should not push messages to users on either side of a block', async () => {
+      const notificationService = require('../src/services/NotificationService');
+      jest.spyOn(notificationService, 'sendNotification').mockResolvedValue({});
+      pool.query.mockImplementation(async (sql) => (
+        sql.includes('FROM conversations') ? { rows: [{ id: conversationId, is_group: false, username: 'mallory' }] } : { rows: [] }
+      ));
+
+      await Message.sendNewMessageNotification({ id: uuidv4(), conversationId, senderId: blockedId, content: 'Hi' });
+
+      const [sql, params] = pool.query.mock.calls[1];
+      expect(sql).toContain('user_blocks');
+      expect(params).toEqual([conversationId, blockedId]);
+      expect(notificationService.sendNotification).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('/api/users/:id/block', () => {
+    it('should block a user and hide the blocker\'s presence from them', async () => {
+      const block = { userId: blockedId, username: 'mallory', blockedAt: new Date().toISOString() };
+      jest.spyOn(UserBlock, 'block').mockResolvedValue(block);
+
+      const res = await request(app)
+        .post(`/api/users/${blockedId}/block`)
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(201);
+      expect(res.body).toEqual(block);
+      expect(UserBlock.block).toHaveBeenCalledWith(userId, blockedId);
+      expect(emitToUser).toHaveBeenCalledWith(blockedId, 'user_status', expect.objectContaining({ userId, status: 'offline' }));
+    });
+
+    it('should return 400 when blocking yourself', async () => {
+      jest.spyOn(UserBlock, 'block').mockRejectedValue(new Error('Cannot block yourself'));
+
+      const res = await request(app)
+        .post(`/api/users/${userId}/block`)
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(400);
+    });
+
+    it('should unblock a user', async () => {
+      jest.spyOn(UserBlock, 'unblock').mockResolvedValue(true);
+
+      const res = await request(app)
+        .delete(`/api/users/${blockedId}/block`)
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(200);
+      expect(UserBlock.unblock).toHaveBeenCalledWith(userId, blockedId);
+    });
+
+    it('should return 404 when the user isn\'t blocked', async () => {
+      jest.spyOn(UserBlock, 'unblock').mockResolvedValue(false);
+
+      const res = await request(app)
+        .delete(`/api/users/${blockedId}/block`)
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(404);
+    });
+
+    it('should list blocked users', async () => {
+      const blocked = [{ userId: blockedId, username: 'mallory' }];
+      jest.spyOn(UserBlock, 'getBlockedUsers').mockResolvedValue(blocked);
+
+      const res = await request(app)
+        .get('/api/users/blocked')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual(blocked);
+      expect(UserBlock.getBlockedUsers).toHaveBeenCalledWith(userId);
+    });
+  });
+
+  describe('Blocked routes', () => {
+    it('should return 403 when adding a blocked user as a contact', async () => {
+      jest.spyOn(ContactRequest, 'create').mockRejectedValue(new Error('User is blocked'));
+
+      const res = await request(app)
+        .post('/api/contacts')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ contactId: blockedId });
+
+      expect(res.status).toBe(403);
+    });
+
+    it('should return 403 when messaging a blocked user', async () => {
+      jest.spyOn(Conversation, 'getById').mockResolvedValue(directConversation);
+      jest.spyOn(UserBlock, 'isBlockedBetween').mockResolvedValue(true);
+      const create = jest.spyOn(Message, 'create');
+
+      const res = await request(app)
+        .post('/api/messages')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ conversationId, content: 'Hello?' });
+
+      expect(res.status).toBe(403);
+      expect(create).not.toHaveBeenCalled();
+    });
+
+    it('should only report the status of accepted contacts outside any block', async () => {
+      const contactId = uuidv4();
+      const strangerId = uuidv4();
+      pool.query.mockResolvedValue({ rows: [{ contact_id: contactId }] });
+      const getStatus = jest.spyOn(User, 'getStatus').mockResolvedValue('online');
+
+      const res = await request(app)
+        .get('/api/users/status')
+        .query({ ids: [contactId, blockedId, strangerId].join(',') })
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ [contactId]: 'online' });
+      const [sql, params] = pool.query.mock.calls[0];
+      expect(sql).toContain('JOIN contacts r ON r.user_id = c.contact_id');
+      expect(sql).toContain('user_blocks');
+      expect(params).toEqual([userId, [contactId, blockedId, strangerId]]);
+      expect(getStatus).toHaveBeenCalledTimes(1);
+    });
+
+    it('should hide the status details of a blocked user', async () => {
+      pool.query.mockResolvedValue({ rows: [] });
+      const getStatusDetails = jest.spyOn(User, 'getStatusDetails');
+
+      const res = await request(app)
+        .get(`/api/status/${blockedId}`)
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(404);
+      expect(getStatusDetails).not.toHaveBeenCalled();
+    });
+
+    it('should refuse to forward into a conversation with a blocked user', async () => {
+      jest.spyOn(Message, 'getById').mockResolvedValue({ id: uuidv4(), conversationId: uuidv4(), content: 'Hi', type: 'text' });
+      jest.spyOn(Message, 'isConversationParticipant').mockResolvedValue(true);
+      jest.spyOn(Conversation, 'getById').mockResolvedValue(directConversation);
+      jest.spyOn(UserBlock, 'isBlockedBetween').mockResolvedValue(true);
+
+      const res = await request(app)
+        .post(`/api/messages/${uuidv4()}/forward`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ conversationIds: [conversationId] });
+
+      expect(res.status).toBe(403);
+      expect(deliverMessage).not.toHaveBeenCalled();
+    });
+  });
+});